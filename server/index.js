@@ -30,6 +30,11 @@ const directorRoutes = (await import("./routes/director.js")).default;
 const subtasksRoutes = (await import("./routes/subtasks.js")).default;
 const departmentTeamsRoutes = (await import("./routes/department_teams.js")).default;
 const generatePDFRoutes = (await import("./routes/report.js")).default;
+const tagsRoutes = (await import("./routes/tags.js")).default;
+const taskTemplatesRoutes = (await import("./routes/task-templates.js")).default;
+const exportRoutes = (await import("./routes/export.js")).default;
+const { getServiceClient } = await import("./lib/supabase.js");
+const { startRecurrenceScheduler } = await import("./services/recurrenceScheduleService.js");
 
 // // Import routes AFTER loading env variables
 // import authRoutes from './routes/auth.js';
@@ -38,7 +43,8 @@ const generatePDFRoutes = (await import("./routes/report.js")).default;
 // import hrRoutes from './routes/hr.js';
 
 const app = express();
-app.use(cors({ origin: process.env.CORS_ORIGIN || "*", credentials: true }));
+// ETag carries row versions for If-Match updates
+app.use(cors({ origin: process.env.CORS_ORIGIN || "*", credentials: true, exposedHeaders: ["ETag"] }));
 app.use(express.json());
 
 app.get("/health", (req, res) => res.json({ ok: true }));
@@ -53,6 +59,9 @@ app.use("/director", directorRoutes);
 app.use('/subtasks', subtasksRoutes);
 app.use('/department-teams', departmentTeamsRoutes)
 app.use('/report', generatePDFRoutes)
+app.use('/tags', tagsRoutes)
+app.use('/task-templates', taskTemplatesRoutes)
+app.use('/export', exportRoutes)
 
 app.get("/", (req, res) => {
   res.json({ message: "Server is running!" });
@@ -69,9 +78,11 @@ app.use((req, res) => res.status(404).type("application/json").send(JSON.stringi
 const isMainModule = import.meta.url === `file:///${process.argv[1].replace(/\\/g, '/')}`;
 if (isMainModule || process.env.NODE_ENV !== 'test') {
   const port = process.env.PORT || 4000;
-  app.listen(port, () =>
-    console.log(`Express API listening on http://localhost:${port}`)
-  );
+  app.listen(port, () => {
+    console.log(`Express API listening on http://localhost:${port}`);
+    // Creates the tasks of series generated on schedule, catching up on missed dates first
+    startRecurrenceScheduler({ getClient: getServiceClient });
+  });
 }
 
 // Export app for testing
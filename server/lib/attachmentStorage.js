@@ -0,0 +1,161 @@
+/**
+ * Storage adapters for task attachments.
+ *
+ * Every adapter exposes the same async interface:
+ * - upload(path, buffer, { contentType }) -> { path }
+ * - remove(paths)
+ * - createSignedUrl(path, expiresInSeconds) -> string
+ *
+ * Supabase storage is used by default; set ATTACHMENT_STORAGE=local to keep
+ * files on the local filesystem instead (used by tests and local development).
+ */
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+// Single bucket for all task files (legacy single-file uploads included)
+export const ATTACHMENTS_BUCKET = process.env.ATTACHMENTS_BUCKET || "task-attachment";
+
+/**
+ * Adapter backed by a Supabase storage bucket
+ * @param {object} supabase - Supabase client
+ * @param {string} bucket - Bucket name
+ * @returns {object} - Storage adapter
+ */
+export function createSupabaseStorage(supabase, bucket = ATTACHMENTS_BUCKET) {
+  return {
+    kind: "supabase",
+    bucket,
+
+    async upload(filePath, buffer, { contentType } = {}) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(filePath, buffer, { contentType, cacheControl: "3600", upsert: false });
+      if (error) throw error;
+      return { path: filePath };
+    },
+
+    async remove(paths) {
+      if (!paths || paths.length === 0) return;
+      const { error } = await supabase.storage.from(bucket).remove(paths);
+      if (error) throw error;
+    },
+
+    async createSignedUrl(filePath, expiresIn) {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(filePath, expiresIn);
+      if (error) throw error;
+      return data?.signedUrl || null;
+    },
+  };
+}
+
+/**
+ * Adapter that stores files under a local directory; signed URLs are file://
+ * URLs carrying an expiry and an HMAC signature that verifySignedUrl checks
+ * @param {string} rootDir - Directory to store files in
+ * @param {object} options
+ * @param {string} options.secret - Key used to sign URLs
+ * @returns {object} - Storage adapter
+ */
+export function createLocalStorage(rootDir, { secret = "local-attachment-secret" } = {}) {
+  const root = path.resolve(rootDir);
+
+  // Keep every path inside the root directory
+  const resolve = (filePath) => {
+    const full = path.resolve(root, filePath);
+    if (full !== root && !full.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage path");
+    }
+    return full;
+  };
+
+  const sign = (filePath, expires) =>
+    crypto.createHmac("sha256", secret).update(`${filePath}:${expires}`).digest("hex");
+
+  return {
+    kind: "local",
+    root,
+
+    async upload(filePath, buffer) {
+      const full = resolve(filePath);
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      // "wx" fails if the file already exists, matching upsert: false
+      await fs.writeFile(full, buffer, { flag: "wx" });
+      return { path: filePath };
+    },
+
+    async remove(paths) {
+      await Promise.all((paths || []).map((p) => fs.rm(resolve(p), { force: true })));
+    },
+
+    async createSignedUrl(filePath, expiresIn, now = Date.now()) {
+      const full = resolve(filePath);
+      await fs.access(full);
+      const expires = Math.floor(now / 1000) + expiresIn;
+      const url = new URL(`file://${full}`);
+      url.searchParams.set("path", filePath);
+      url.searchParams.set("expires", String(expires));
+      url.searchParams.set("signature", sign(filePath, expires));
+      return url.toString();
+    },
+
+    /**
+     * Check a URL produced by createSignedUrl
+     * @param {string} signedUrl
+     * @param {number} now - Reference time in ms
+     * @returns {string|null} - Storage path if valid and not expired
+     */
+    verifySignedUrl(signedUrl, now = Date.now()) {
+      try {
+        const url = new URL(signedUrl);
+        const filePath = url.searchParams.get("path");
+        const expires = Number(url.searchParams.get("expires"));
+        const signature = url.searchParams.get("signature") || "";
+        if (!filePath || !Number.isFinite(expires)) return null;
+        if (expires < Math.floor(now / 1000)) return null;
+        const expected = sign(filePath, expires);
+        if (expected.length !== signature.length) return null;
+        if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) return null;
+        return filePath;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    async read(filePath) {
+      return fs.readFile(resolve(filePath));
+    },
+  };
+}
+
+/**
+ * Pick the attachment storage adapter for this environment
+ * @param {object} supabase - Supabase client (used for the default adapter)
+ * @param {object} [options]
+ * @param {string|null} [options.bucket] - Bucket a stored file lives in (a version's
+ *   storage_bucket, e.g. the legacy "task-files" bucket); null for the attachments
+ *   bucket. Local storage has no buckets.
+ * @returns {object} - Storage adapter
+ */
+export function getAttachmentStorage(supabase, { bucket = null } = {}) {
+  if (process.env.ATTACHMENT_STORAGE === "local") {
+    return createLocalStorage(
+      process.env.ATTACHMENT_STORAGE_DIR || path.join(os.tmpdir(), "coldstorage-attachments"),
+      { secret: process.env.ATTACHMENT_SIGNING_SECRET }
+    );
+  }
+  return createSupabaseStorage(supabase, bucket || ATTACHMENTS_BUCKET);
+}
+
+const attachmentStorage = {
+  ATTACHMENTS_BUCKET,
+  createSupabaseStorage,
+  createLocalStorage,
+  getAttachmentStorage,
+};
+
+export default attachmentStorage;
@@ -0,0 +1,347 @@
+/**
+ * iCalendar (RFC 5545) recurrence rules for recurring tasks.
+ *
+ * Tasks recur by date, so the date parts of a rule are supported: FREQ (DAILY, WEEKLY,
+ * MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with ordinals such as 2MO or -1FR
+ * for monthly and yearly rules), BYMONTHDAY, BYMONTH, BYSETPOS and WKST. Dates are
+ * "YYYY-MM-DD" strings or Dates, read in UTC.
+ *
+ * As in RFC 5545, dates a rule names that do not exist (February 30, the fifth Friday
+ * of a short month) are skipped rather than moved to a nearby day.
+ */
+
+export const RRULE_FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+export const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+export const MAX_RRULE_LENGTH = 500;
+
+const SUPPORTED_PARTS = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "BYDAY", "BYMONTHDAY", "BYMONTH", "BYSETPOS", "WKST"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A rule stops once it has matched nothing for this long (covers February 29 every 8 years)
+const MAX_GAP_DAYS = 9 * 366;
+
+// ---------- Dates as day numbers (days since 1970-01-01, UTC) ----------
+
+const dayNumber = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS;
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const weekdayOf = (day) => (((day + 4) % 7) + 7) % 7; // 1970-01-01 was a Thursday
+
+function dateParts(day) {
+  const date = new Date(day * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Day number of a date
+ * @param {Date|string} value - Date or "YYYY-MM-DD..." string
+ * @returns {number|null} - null when not a valid date
+ */
+export function toDayNumber(value) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return dayNumber(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate());
+  }
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(value ?? ""));
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) return null;
+  return dayNumber(year, month, day);
+}
+
+/**
+ * @param {number} day - Day number
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export function formatDay(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// ---------- Parsing ----------
+
+const isWholeNumber = (value) => /^[+-]?\d+$/.test(value);
+
+function parseNumberList(name, value, max, { allowNegative = true } = {}) {
+  const numbers = value.split(",").map((item) => (isWholeNumber(item) ? Number(item) : NaN));
+  const min = allowNegative ? -max : 1;
+  if (numbers.some((n) => Number.isNaN(n) || n === 0 || n < min || n > max)) {
+    const range = allowNegative ? `1..${max} or -${max}..-1` : `1..${max}`;
+    throw new Error(`${name} must be a list of whole numbers in ${range}`);
+  }
+  return numbers;
+}
+
+function parseByDay(value) {
+  return value.split(",").map((item) => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+    const n = match?.[1] ? Number(match[1]) : null;
+    if (!match || n === 0 || Math.abs(n) > 53) {
+      throw new Error(`BYDAY has an invalid day "${item}" (use SU..SA, optionally with an ordinal like 2MO or -1FR)`);
+    }
+    return { weekday: RRULE_WEEKDAYS.indexOf(match[2]), n };
+  });
+}
+
+function parseUntil(value) {
+  const match = /^(\d{8})(T\d{6}Z?)?$/.exec(value);
+  const day = match ? toDayNumber(match[1]) : null;
+  if (day === null) throw new Error("UNTIL must be a date like 20261231");
+  return formatDay(day);
+}
+
+function parseParts(text) {
+  const parts = {};
+  text.split(";").forEach((part) => {
+    const [name, value, ...rest] = part.split("=");
+    if (!name || value === undefined || value === "" || rest.length > 0) {
+      throw new Error(`"${part}" is not a NAME=VALUE rule part`);
+    }
+    if (!SUPPORTED_PARTS.includes(name)) throw new Error(`${name} is not supported`);
+    if (name in parts) throw new Error(`${name} is given more than once`);
+    parts[name] = value;
+  });
+  return parts;
+}
+
+function buildRule(parts) {
+  if (!parts.FREQ) throw new Error("FREQ is required");
+  if (!RRULE_FREQUENCIES.includes(parts.FREQ)) throw new Error(`FREQ must be one of: ${RRULE_FREQUENCIES.join(", ")}`);
+  const rule = {
+    freq: parts.FREQ,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 1,
+  };
+
+  if (parts.INTERVAL !== undefined) {
+    if (!/^\d+$/.test(parts.INTERVAL) || Number(parts.INTERVAL) < 1) throw new Error("INTERVAL must be a positive whole number");
+    rule.interval = Number(parts.INTERVAL);
+  }
+  if (parts.COUNT !== undefined) {
+    if (!/^\d+$/.test(parts.COUNT) || Number(parts.COUNT) < 1) throw new Error("COUNT must be a positive whole number");
+    rule.count = Number(parts.COUNT);
+  }
+  if (parts.UNTIL !== undefined) rule.until = parseUntil(parts.UNTIL);
+  if (rule.count !== null && rule.until !== null) throw new Error("COUNT and UNTIL cannot both be set");
+
+  if (parts.BYDAY !== undefined) rule.byDay = parseByDay(parts.BYDAY);
+  if (parts.BYMONTHDAY !== undefined) rule.byMonthDay = parseNumberList("BYMONTHDAY", parts.BYMONTHDAY, 31);
+  if (parts.BYMONTH !== undefined) rule.byMonth = parseNumberList("BYMONTH", parts.BYMONTH, 12, { allowNegative: false });
+  if (parts.BYSETPOS !== undefined) rule.bySetPos = parseNumberList("BYSETPOS", parts.BYSETPOS, 366);
+  if (parts.WKST !== undefined) {
+    rule.wkst = RRULE_WEEKDAYS.indexOf(parts.WKST);
+    if (rule.wkst < 0) throw new Error("WKST must be one of: " + RRULE_WEEKDAYS.join(", "));
+  }
+
+  if (rule.byDay.some((d) => d.n !== null) && !["MONTHLY", "YEARLY"].includes(rule.freq)) {
+    throw new Error("BYDAY ordinals (like 2MO or -1FR) need FREQ=MONTHLY or FREQ=YEARLY");
+  }
+  if (rule.freq === "WEEKLY" && rule.byMonthDay.length > 0) throw new Error("BYMONTHDAY cannot be used with FREQ=WEEKLY");
+  if (rule.bySetPos.length > 0 && !rule.byDay.length && !rule.byMonthDay.length && !rule.byMonth.length) {
+    throw new Error("BYSETPOS needs BYDAY, BYMONTHDAY or BYMONTH");
+  }
+  return rule;
+}
+
+/**
+ * Parse an RRULE ("FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1"; an "RRULE:" prefix is allowed)
+ * @param {string} value
+ * @returns {{ rule: object|null, error: string|null }}
+ */
+export function parseRRule(value) {
+  if (typeof value !== "string") return { rule: null, error: "Recurrence rule must be a string" };
+  const text = value.trim().replace(/^RRULE:/i, "").toUpperCase();
+  if (!text) return { rule: null, error: "Recurrence rule is empty" };
+  if (text.length > MAX_RRULE_LENGTH) {
+    return { rule: null, error: `Recurrence rule must be at most ${MAX_RRULE_LENGTH} characters` };
+  }
+  try {
+    return { rule: buildRule(parseParts(text)), error: null };
+  } catch (e) {
+    return { rule: null, error: e.message };
+  }
+}
+
+/**
+ * Whether a value looks like an RRULE rather than one of the named patterns
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isRRule(value) {
+  return typeof value === "string" && /^(RRULE:)?FREQ=|;FREQ=/i.test(value.trim());
+}
+
+/**
+ * Canonical text of a parsed rule (defaults such as INTERVAL=1 and WKST=MO left out)
+ * @param {object} rule - Output of parseRRule
+ * @returns {string}
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map((d) => `${d.n ?? ""}${RRULE_WEEKDAYS[d.weekday]}`).join(",")}`);
+  }
+  if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(",")}`);
+  if (rule.wkst !== 1) parts.push(`WKST=${RRULE_WEEKDAYS[rule.wkst]}`);
+  if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+  if (rule.until !== null) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}`);
+  return parts.join(";");
+}
+
+// ---------- Expansion ----------
+
+// Does a day match one of the BYDAY entries? pos/negPos are its ordinal within the scope
+const matchesByDay = (byDay, weekday, pos, negPos) =>
+  byDay.some((d) => d.weekday === weekday && (d.n === null || d.n === pos || d.n === negPos));
+
+// Days of one month the rule's BYMONTHDAY/BYDAY pick (or the start's day of month)
+function monthDays(rule, year, month, startDate) {
+  const length = daysInMonth(year, month);
+  const first = dayNumber(year, month, 1);
+  if (!rule.byMonthDay.length && !rule.byDay.length) {
+    return startDate.day <= length ? [first + startDate.day - 1] : [];
+  }
+  const days = [];
+  for (let d = 1; d <= length; d++) {
+    if (rule.byMonthDay.length && !rule.byMonthDay.includes(d) && !rule.byMonthDay.includes(d - length - 1)) continue;
+    const day = first + d - 1;
+    const pos = Math.floor((d - 1) / 7) + 1;
+    const negPos = -(Math.floor((length - d) / 7) + 1);
+    if (rule.byDay.length && !matchesByDay(rule.byDay, weekdayOf(day), pos, negPos)) continue;
+    days.push(day);
+  }
+  return days;
+}
+
+// Days of one year matching BYDAY, with ordinals counted within the year
+function yearWeekdays(rule, year) {
+  const first = dayNumber(year, 1, 1);
+  const length = dayNumber(year + 1, 1, 1) - first;
+  const days = [];
+  for (let i = 0; i < length; i++) {
+    const pos = Math.floor(i / 7) + 1;
+    const negPos = -(Math.floor((length - 1 - i) / 7) + 1);
+    if (matchesByDay(rule.byDay, weekdayOf(first + i), pos, negPos)) days.push(first + i);
+  }
+  return days;
+}
+
+// The first day and the candidate days of the index-th period after the start
+function expandPeriod(rule, startDay, index) {
+  const startDate = dateParts(startDay);
+  const step = index * rule.interval;
+  const inMonths = (day) => !rule.byMonth.length || rule.byMonth.includes(dateParts(day).month);
+
+  switch (rule.freq) {
+    case "DAILY": {
+      const day = startDay + step;
+      const { year, month, day: d } = dateParts(day);
+      const length = daysInMonth(year, month);
+      const keep =
+        inMonths(day) &&
+        (!rule.byMonthDay.length || rule.byMonthDay.includes(d) || rule.byMonthDay.includes(d - length - 1)) &&
+        (!rule.byDay.length || matchesByDay(rule.byDay, weekdayOf(day), null, null));
+      return { first: day, days: keep ? [day] : [] };
+    }
+    case "WEEKLY": {
+      const weekStart = startDay - ((weekdayOf(startDay) - rule.wkst + 7) % 7) + step * 7;
+      const weekdays = rule.byDay.length ? rule.byDay.map((d) => d.weekday) : [weekdayOf(startDay)];
+      const days = [];
+      for (let i = 0; i < 7; i++) {
+        const day = weekStart + i;
+        if (weekdays.includes(weekdayOf(day)) && inMonths(day)) days.push(day);
+      }
+      return { first: weekStart, days };
+    }
+    case "MONTHLY": {
+      const monthIndex = startDate.year * 12 + (startDate.month - 1) + step;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      const days = !rule.byMonth.length || rule.byMonth.includes(month) ? monthDays(rule, year, month, startDate) : [];
+      return { first: dayNumber(year, month, 1), days };
+    }
+    default: {
+      const year = startDate.year + step;
+      if (rule.byDay.length && !rule.byMonth.length && !rule.byMonthDay.length) {
+        return { first: dayNumber(year, 1, 1), days: yearWeekdays(rule, year) };
+      }
+      let months = rule.byMonth;
+      if (!months.length) months = rule.byMonthDay.length || rule.byDay.length ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [startDate.month];
+      const days = [...months].sort((a, b) => a - b).flatMap((month) => monthDays(rule, year, month, startDate));
+      return { first: dayNumber(year, 1, 1), days };
+    }
+  }
+}
+
+// BYSETPOS picks from the period's days by position (1 = first, -1 = last)
+function applySetPos(rule, days) {
+  if (!rule.bySetPos.length) return days;
+  const picked = rule.bySetPos.map((p) => (p > 0 ? days[p - 1] : days[days.length + p])).filter((d) => d !== undefined);
+  return [...new Set(picked)].sort((a, b) => a - b);
+}
+
+/**
+ * Occurrences of a rule from the start date on, in order. Ends at COUNT or UNTIL, or
+ * when the rule stops matching any date.
+ * @param {object} rule - Output of parseRRule
+ * @param {Date|string} start - The first occurrence's date (DTSTART)
+ * @yields {string} - "YYYY-MM-DD"
+ */
+export function* iterateRRule(rule, start) {
+  const startDay = toDayNumber(start);
+  if (startDay === null) return;
+  const untilDay = rule.until ? toDayNumber(rule.until) : null;
+  let emitted = 0;
+  let lastDay = startDay;
+
+  for (let index = 0; ; index++) {
+    const { first, days } = expandPeriod(rule, startDay, index);
+    if (untilDay !== null && first > untilDay) return;
+    if (first > lastDay + MAX_GAP_DAYS) return;
+
+    for (const day of applySetPos(rule, days)) {
+      if (day < startDay) continue;
+      if (untilDay !== null && day > untilDay) return;
+      yield formatDay(day);
+      lastDay = day;
+      emitted += 1;
+      if (rule.count !== null && emitted >= rule.count) return;
+    }
+  }
+}
+
+/**
+ * The first occurrence of a rule after a date
+ * @param {object} rule - Output of parseRRule
+ * @param {Date|string} start - DTSTART of the rule
+ * @param {Date|string} [after] - Defaults to the start
+ * @returns {string|null} - "YYYY-MM-DD", or null when the rule has ended
+ */
+export function nextRRuleOccurrence(rule, start, after = start) {
+  const afterDay = toDayNumber(after);
+  for (const date of iterateRRule(rule, start)) {
+    if (toDayNumber(date) > afterDay) return date;
+  }
+  return null;
+}
+
+const rrule = {
+  RRULE_FREQUENCIES,
+  RRULE_WEEKDAYS,
+  MAX_RRULE_LENGTH,
+  toDayNumber,
+  formatDay,
+  parseRRule,
+  isRRule,
+  formatRRule,
+  iterateRRule,
+  nextRRuleOccurrence,
+};
+
+export default rrule;
@@ -0,0 +1,331 @@
+/**
+ * Streaming table writers for the CSV and Excel exports.
+ *
+ * Both writers share the same async interface, so a route can page through rows
+ * without holding the whole export in memory:
+ * - writeRows(rows) - rows are arrays of cells (strings, numbers, null)
+ * - end()           - finish the file (the stream itself is left open)
+ *
+ * CSV starts with a byte order mark and uses CRLF line endings, which is what Excel
+ * needs to open UTF-8 text correctly. XLSX is written as a minimal Office Open XML
+ * workbook (one sheet, inline strings) inside a ZIP whose entries carry data
+ * descriptors, so sizes and checksums are only needed after each entry is written.
+ */
+
+import { once } from "events";
+import zlib from "zlib";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+export const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Wait for the stream to drain before writing more when it asks us to
+async function writeChunk(out, chunk) {
+  if (!out.write(chunk)) await once(out, "drain");
+}
+
+// Quote a CSV cell when it holds a separator, quote or line break
+export function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV writer
+ * @param {import("stream").Writable} out
+ * @param {string[]} columns - Header row
+ * @returns {{writeRows: Function, end: Function}}
+ */
+export function createCsvWriter(out, columns) {
+  let started = false;
+  const lines = (rows) => rows.map((row) => row.map(csvCell).join(",") + "\r\n").join("");
+
+  return {
+    async writeRows(rows) {
+      const text = (started ? "" : "﻿" + lines([columns])) + lines(rows);
+      started = true;
+      await writeChunk(out, text);
+    },
+    async end() {
+      if (!started) await this.writeRows([]);
+    },
+  };
+}
+
+// ---------- XLSX ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, continuing from a previous value
+ * @param {Buffer} buffer
+ * @param {number} [previous]
+ * @returns {number}
+ */
+export function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i += 1) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// XML text with the characters XML 1.0 forbids removed
+const xmlText = (value) =>
+  String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F￾￿]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * One <row> of the sheet; numbers stay numbers, everything else is an inline string
+ * @param {Array<*>} cells
+ * @param {number} rowNumber - 1-based
+ * @param {boolean} [header] - Use the bold header style
+ * @returns {string}
+ */
+export function sheetRow(cells, rowNumber, header = false) {
+  const style = header ? ' s="1"' : "";
+  const xml = cells
+    .map((value, index) => {
+      const ref = `${columnName(index)}${rowNumber}`;
+      if (value === null || value === undefined || value === "") return "";
+      if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+    })
+    .join("");
+  return `<row r="${rowNumber}">${xml}</row>`;
+}
+
+const STATIC_PARTS = (sheetName) => [
+  [
+    "[Content_Types].xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + "</Types>",
+  ],
+  [
+    "_rels/.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + "</Relationships>",
+  ],
+  [
+    "xl/workbook.xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${xmlText(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+      + "</workbook>",
+  ],
+  [
+    "xl/_rels/workbook.xml.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+      + "</Relationships>",
+  ],
+  [
+    "xl/styles.xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+      + "</styleSheet>",
+  ],
+];
+
+// MS-DOS date and time of a Date, as ZIP headers store them
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// General purpose flags: sizes in a trailing data descriptor (bit 3), UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+
+/**
+ * Excel (XLSX) writer with a single sheet
+ * @param {import("stream").Writable} out
+ * @param {string[]} columns - Header row (bold)
+ * @param {object} [options]
+ * @param {string} [options.sheetName]
+ * @returns {{writeRows: Function, end: Function}}
+ */
+export function createXlsxWriter(out, columns, { sheetName = "Export" } = {}) {
+  const { time, day } = dosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+  let sheet = null; // the open sheet entry
+  let rowNumber = 0;
+
+  const emit = async (buffer) => {
+    offset += buffer.length;
+    await writeChunk(out, buffer);
+  };
+
+  const localHeader = (name) => {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    return Buffer.concat([header, nameBuffer]);
+  };
+
+  const dataDescriptor = ({ crc, compressedSize, size }) => {
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    return descriptor;
+  };
+
+  const addEntry = async (name, content) => {
+    const data = Buffer.from(content, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const entry = { name, offset, crc: crc32(data), compressedSize: compressed.length, size: data.length };
+    await emit(localHeader(name));
+    await emit(compressed);
+    await emit(dataDescriptor(entry));
+    entries.push(entry);
+  };
+
+  // The sheet is deflated as it is written; each batch is flushed through to the output
+  const openSheet = async () => {
+    for (const [name, content] of STATIC_PARTS(sheetName)) await addEntry(name, content);
+
+    const name = "xl/worksheets/sheet1.xml";
+    sheet = { name, offset, crc: 0, compressedSize: 0, size: 0, deflate: zlib.createDeflateRaw(), pending: [] };
+    await emit(localHeader(name));
+    sheet.deflate.on("data", (chunk) => {
+      sheet.compressedSize += chunk.length;
+      sheet.pending.push(chunk);
+    });
+    await writeSheet(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + "<sheetData>"
+        + sheetRow(columns, (rowNumber += 1), true)
+    );
+  };
+
+  const flushPending = async () => {
+    const chunks = sheet.pending;
+    sheet.pending = [];
+    for (const chunk of chunks) await emit(chunk);
+  };
+
+  const writeSheet = async (xml, { last = false } = {}) => {
+    const data = Buffer.from(xml, "utf8");
+    sheet.crc = crc32(data, sheet.crc);
+    sheet.size += data.length;
+    if (last) {
+      const ended = once(sheet.deflate, "end");
+      sheet.deflate.end(data);
+      await ended;
+    } else {
+      sheet.deflate.write(data);
+      await new Promise((resolve) => sheet.deflate.flush(zlib.constants.Z_SYNC_FLUSH, resolve));
+    }
+    await flushPending();
+  };
+
+  const centralDirectory = () => {
+    const records = entries.map((entry) => {
+      const nameBuffer = Buffer.from(entry.name, "utf8");
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(time, 12);
+      record.writeUInt16LE(day, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, nameBuffer]);
+    });
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([directory, end]);
+  };
+
+  return {
+    async writeRows(rows) {
+      if (!sheet) await openSheet();
+      if (rows.length === 0) return;
+      await writeSheet(rows.map((row) => sheetRow(row, (rowNumber += 1))).join(""));
+    },
+    async end() {
+      if (!sheet) await openSheet();
+      await writeSheet("</sheetData></worksheet>", { last: true });
+      const entry = { name: sheet.name, offset: sheet.offset, crc: sheet.crc, compressedSize: sheet.compressedSize, size: sheet.size };
+      await emit(dataDescriptor(entry));
+      entries.push(entry);
+      await emit(centralDirectory());
+    },
+  };
+}
+
+/**
+ * Writer for an export format
+ * @param {string} format - "csv" or "xlsx"
+ * @param {import("stream").Writable} out
+ * @param {string[]} columns
+ * @param {object} [options] - Passed to the XLSX writer
+ * @returns {{writeRows: Function, end: Function}}
+ */
+export function createTableWriter(format, out, columns, options = {}) {
+  return format === "xlsx" ? createXlsxWriter(out, columns, options) : createCsvWriter(out, columns);
+}
+
+const spreadsheetWriter = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  csvCell,
+  crc32,
+  columnName,
+  sheetRow,
+  createCsvWriter,
+  createXlsxWriter,
+  createTableWriter,
+};
+
+export default spreadsheetWriter;
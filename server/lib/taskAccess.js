@@ -0,0 +1,135 @@
+/**
+ * Shared task access helpers used by the task sub-resource routes
+ * (comments, dependencies, time entries, ...).
+ */
+
+/**
+ * Normalise a task's collaborators column into an array of strings
+ * @param {Array|string|null} collaborators - Raw collaborators value (array or JSON string)
+ * @returns {string[]} - Collaborator emp_ids as strings
+ */
+export function parseCollaborators(collaborators) {
+  let list = collaborators || [];
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list.filter((c) => c !== null && c !== undefined && c !== "").map((c) => String(c));
+}
+
+/**
+ * Check whether an employee owns or collaborates on a task
+ * @param {object} task - Task row with owner_id and collaborators
+ * @param {string} empId - The employee ID to check
+ * @returns {boolean}
+ */
+export function isTaskMember(task, empId) {
+  if (!task || !empId) return false;
+  if (task.owner_id != null && String(task.owner_id) === String(empId)) return true;
+  return parseCollaborators(task.collaborators).includes(String(empId));
+}
+
+/**
+ * Look up the role of an employee (lowercased), defaulting to "staff"
+ * @param {object} supabase - Supabase client
+ * @param {string} empId - The employee ID
+ * @returns {Promise<string>}
+ */
+export async function getRoleForEmpId(supabase, empId) {
+  try {
+    const { data, error } = await supabase
+      .from("users")
+      .select("role")
+      .eq("emp_id", empId)
+      .single();
+    if (error) throw error;
+    return (data?.role || "staff").toLowerCase();
+  } catch (error) {
+    console.error("Error getting user role:", error);
+    return "staff";
+  }
+}
+
+/**
+ * Employees on the teams a manager runs (department_teams where the manager is listed
+ * in manager_ids). This is the set a manager may assign tasks to.
+ * @param {object} supabase - Supabase client
+ * @param {string} managerEmpId - The manager's employee ID
+ * @returns {Promise<Set<string>>} - Member emp_ids as strings
+ */
+export async function getManagedMemberIds(supabase, managerEmpId) {
+  const { data, error } = await supabase
+    .from("department_teams")
+    .select("member_ids, team_name")
+    .filter("manager_ids", "cs", `{${managerEmpId}}`);
+  if (error) throw error;
+  const members = new Set();
+  (data || []).forEach((team) => {
+    if (!Array.isArray(team.member_ids)) return;
+    team.member_ids.forEach((memberId) => {
+      if (memberId) members.add(String(memberId));
+    });
+  });
+  return members;
+}
+
+/**
+ * Check whether an employee owns or is a member of a project
+ * @param {object} project - Project row with owner_id and members
+ * @param {string} empId - The employee ID to check
+ * @returns {boolean}
+ */
+export function isProjectMember(project, empId) {
+  if (!project || !empId) return false;
+  if (project.owner_id != null && String(project.owner_id) === String(empId)) return true;
+  return Array.isArray(project.members) && project.members.map(String).includes(String(empId));
+}
+
+/**
+ * Check whether an employee may view a task: members always can,
+ * managers and directors can view any task.
+ * @param {object} supabase - Supabase client
+ * @param {object} task - Task row with owner_id and collaborators
+ * @param {string} empId - The employee ID
+ * @returns {Promise<boolean>}
+ */
+export async function canViewTask(supabase, task, empId) {
+  if (isTaskMember(task, empId)) return true;
+  const role = await getRoleForEmpId(supabase, empId);
+  return role === "manager" || role === "director";
+}
+
+/**
+ * Write a task_edit_history row. History is best-effort: a failed insert is logged and
+ * the request carries on.
+ * @param {object} supabase - Supabase client
+ * @param {object} entry
+ * @param {number|string} entry.taskId - Task the row belongs to
+ * @param {string} entry.empId - Editor's employee ID
+ * @param {string} entry.userId - Editor's auth user id
+ * @param {string} entry.action - e.g. "comment_create"
+ * @param {object} [entry.details]
+ * @returns {Promise<boolean>} - Whether the row was written
+ */
+export async function recordTaskHistory(supabase, { taskId, empId, userId, action, details }) {
+  try {
+    const { error } = await supabase
+      .from("task_edit_history")
+      .insert([{
+        task_id: taskId,
+        editor_emp_id: empId,
+        editor_user_id: userId,
+        action,
+        details,
+      }]);
+    if (error) throw error;
+    return true;
+  } catch (hErr) {
+    console.error(`Failed to write task history (${action}):`, hErr);
+    return false;
+  }
+}
@@ -0,0 +1,25 @@
+-- Migration: project-level custom fields on tasks
+-- A project defines extra task fields (client name, ticket number, cost centre...);
+-- a task stores its values in tasks.custom_fields keyed by field id. Values of fields
+-- from another project (after a task moves) are kept but ignored.
+
+CREATE TABLE IF NOT EXISTS project_custom_fields (
+  id BIGSERIAL PRIMARY KEY,
+  project_id BIGINT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  label TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('text', 'number', 'date', 'select', 'multi_select', 'user')),
+  options JSONB NOT NULL DEFAULT '[]'::jsonb,
+  required BOOLEAN NOT NULL DEFAULT false,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+-- Labels are unique (case-insensitively) within a project
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_custom_fields_label
+  ON project_custom_fields (project_id, lower(label));
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_custom_fields ON tasks USING GIN (custom_fields);
@@ -0,0 +1,97 @@
+-- Migration: legacy single task files behind signed access
+-- tasks.file used to hold one of:
+--   - a bare path in the "task-files" bucket (the first POST /tasks uploads)
+--   - a public URL into "task-files"
+--   - a public URL into "task-attachment" (PUT /tasks/:id uploads)
+-- It now holds the storage path, and the file is downloaded with a signed URL from the
+-- task's attachments. Files stay in the bucket they were uploaded to; their attachment
+-- versions name it in storage_bucket (NULL = "task-attachment").
+
+ALTER TABLE task_attachment_versions ADD COLUMN IF NOT EXISTS storage_bucket TEXT;
+
+-- Every legacy file with the bucket it lives in. Paths written by the current upload
+-- ("task-attachment/...") are already listed as attachments.
+CREATE TEMP TABLE legacy_task_files AS
+SELECT task_id, owner_id, storage_path, storage_bucket
+FROM (
+  SELECT
+    id AS task_id,
+    owner_id,
+    split_part(file, '/storage/v1/object/public/task-files/', 2) AS storage_path,
+    'task-files' AS storage_bucket
+  FROM tasks
+  WHERE file LIKE '%/storage/v1/object/public/task-files/%'
+  UNION ALL
+  SELECT id, owner_id, file, 'task-files'
+  FROM tasks
+  WHERE file <> ''
+    AND file NOT LIKE '%://%'
+    AND file NOT LIKE 'task-attachment/%'
+  UNION ALL
+  SELECT
+    id,
+    owner_id,
+    split_part(file, '/storage/v1/object/public/task-attachment/', 2),
+    NULL
+  FROM tasks
+  WHERE file LIKE '%/storage/v1/object/public/task-attachment/%'
+) files
+WHERE NOT EXISTS (
+  SELECT 1
+  FROM task_attachment_versions v
+  JOIN task_attachments a ON a.id = v.attachment_id
+  WHERE a.task_id = files.task_id
+    AND v.storage_path = files.storage_path
+    AND v.storage_bucket IS NOT DISTINCT FROM files.storage_bucket
+);
+
+-- List them under their task's attachments (one legacy file per task)
+WITH inserted AS (
+  INSERT INTO task_attachments (task_id, file_name, current_version, uploaded_by)
+  SELECT task_id, regexp_replace(storage_path, '^.*/', ''), 1, owner_id::TEXT
+  FROM legacy_task_files
+  RETURNING id, task_id, file_name
+)
+INSERT INTO task_attachment_versions (attachment_id, version, storage_path, storage_bucket, file_name, mime_type, uploaded_by)
+SELECT
+  i.id,
+  1,
+  l.storage_path,
+  l.storage_bucket,
+  i.file_name,
+  -- From the extension; NULL when it isn't one of the common document types
+  CASE lower(substring(i.file_name FROM '\.([^.]+)$'))
+    WHEN 'pdf' THEN 'application/pdf'
+    WHEN 'txt' THEN 'text/plain'
+    WHEN 'csv' THEN 'text/csv'
+    WHEN 'png' THEN 'image/png'
+    WHEN 'jpg' THEN 'image/jpeg'
+    WHEN 'jpeg' THEN 'image/jpeg'
+    WHEN 'gif' THEN 'image/gif'
+    WHEN 'doc' THEN 'application/msword'
+    WHEN 'docx' THEN 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    WHEN 'xls' THEN 'application/vnd.ms-excel'
+    WHEN 'xlsx' THEN 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    WHEN 'ppt' THEN 'application/vnd.ms-powerpoint'
+    WHEN 'pptx' THEN 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    WHEN 'zip' THEN 'application/zip'
+    ELSE NULL
+  END,
+  l.owner_id::TEXT
+FROM inserted i
+JOIN legacy_task_files l ON l.task_id = i.task_id;
+
+DROP TABLE legacy_task_files;
+
+-- Public URLs become storage paths
+UPDATE tasks
+SET file = split_part(file, '/storage/v1/object/public/task-files/', 2)
+WHERE file LIKE '%/storage/v1/object/public/task-files/%';
+
+UPDATE tasks
+SET file = split_part(file, '/storage/v1/object/public/task-attachment/', 2)
+WHERE file LIKE '%/storage/v1/object/public/task-attachment/%';
+
+-- Only signed URLs reach the files from now on; every file above is listed as an
+-- attachment before this point
+UPDATE storage.buckets SET public = false WHERE id IN ('task-files', 'task-attachment');
@@ -0,0 +1,23 @@
+-- Migration: skipped and moved occurrences, and pausing recurring series
+-- An exception is keyed by the series and the date the series would fall on; a moved
+-- occurrence keeps that date in tasks.recurrence_occurrence_date, so the rest of the
+-- series stays on its own dates. Pausing stamps every task of the series.
+
+CREATE TABLE IF NOT EXISTS recurrence_exceptions (
+  id BIGSERIAL PRIMARY KEY,
+  series_id TEXT NOT NULL,
+  occurrence_date DATE NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('skip', 'reschedule')),
+  new_date DATE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (series_id, occurrence_date),
+  CHECK ((action = 'reschedule') = (new_date IS NOT NULL))
+);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_occurrence_date DATE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_paused_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_paused_by TEXT;
+
+UPDATE tasks SET recurrence_occurrence_date = due_date
+  WHERE is_recurring AND recurrence_occurrence_date IS NULL;
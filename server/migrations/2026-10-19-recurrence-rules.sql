@@ -0,0 +1,7 @@
+-- Migration: iCalendar recurrence rules on recurring tasks
+-- A recurring task may carry an RFC 5545 RRULE ("FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1").
+-- When set it decides the next occurrence; recurrence_pattern and recurrence_interval
+-- are kept in step with its FREQ and INTERVAL for older clients, recurrence_max_count
+-- and recurrence_end_date with its COUNT and UNTIL.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
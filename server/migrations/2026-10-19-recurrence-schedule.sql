@@ -0,0 +1,19 @@
+-- Migration: recurring series generated on schedule
+-- recurrence_generation says when a series creates its next task: when the open one is
+-- completed (the default) or on its date, by the background job, within the series'
+-- look-ahead (NULL uses RECURRENCE_LOOKAHEAD_DAYS). One task per series and occurrence
+-- date keeps the job idempotent; deleted tasks keep their date taken, so an occurrence
+-- whose task was deleted is not created again.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_generation TEXT NOT NULL DEFAULT 'on_completion'
+  CHECK (recurrence_generation IN ('on_completion', 'on_schedule'));
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_lookahead_days INTEGER
+  CHECK (recurrence_lookahead_days BETWEEN 0 AND 90);
+
+CREATE UNIQUE INDEX IF NOT EXISTS tasks_recurrence_occurrence_key
+  ON tasks (recurrence_series_id, recurrence_occurrence_date)
+  WHERE recurrence_series_id IS NOT NULL AND recurrence_occurrence_date IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS tasks_recurrence_generation_idx
+  ON tasks (recurrence_generation)
+  WHERE recurrence_generation = 'on_schedule';
@@ -0,0 +1,8 @@
+-- Migration: series-aware editing of recurring tasks
+-- A task edited for itself only remembers the values its series continues with
+-- (title, description, priority, collaborators, subtasks) where they differ from its own,
+-- so the next instance is created from the series and not from the one-off edit.
+-- "This and following" edits split the series: the edited instances get a new
+-- recurrence_series_id and the earlier ones end the day before.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_series_values JSONB NOT NULL DEFAULT '{}'::jsonb;
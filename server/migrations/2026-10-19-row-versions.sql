@@ -0,0 +1,30 @@
+-- Migration: row versions for optimistic concurrency on tasks, subtasks and projects
+-- Every update bumps version, whichever code path makes it; the API exposes it as the
+-- ETag and refuses If-Match updates whose version is stale.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE sub_task ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION bump_row_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tasks_bump_version ON tasks;
+CREATE TRIGGER tasks_bump_version
+  BEFORE UPDATE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+DROP TRIGGER IF EXISTS sub_task_bump_version ON sub_task;
+CREATE TRIGGER sub_task_bump_version
+  BEFORE UPDATE ON sub_task
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+DROP TRIGGER IF EXISTS projects_bump_version ON projects;
+CREATE TRIGGER projects_bump_version
+  BEFORE UPDATE ON projects
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
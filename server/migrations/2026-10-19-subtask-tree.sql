@@ -0,0 +1,20 @@
+-- Migration: nested subtasks with a persisted order
+-- parent_subtask_id nests a subtask under another subtask of the same task (the API
+-- enforces the depth limit); deleting a subtask deletes its branch. position orders
+-- the subtasks of one level.
+
+ALTER TABLE sub_task ADD COLUMN IF NOT EXISTS parent_subtask_id BIGINT REFERENCES sub_task(id) ON DELETE CASCADE;
+ALTER TABLE sub_task ADD COLUMN IF NOT EXISTS position INTEGER;
+
+ALTER TABLE sub_task DROP CONSTRAINT IF EXISTS sub_task_not_own_parent;
+ALTER TABLE sub_task ADD CONSTRAINT sub_task_not_own_parent CHECK (parent_subtask_id IS NULL OR parent_subtask_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_sub_task_parent_subtask_id ON sub_task (parent_subtask_id);
+
+-- Keep today's order (highest priority first) as the starting order
+WITH ranked AS (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY parent_task_id ORDER BY priority DESC NULLS LAST, id) - 1 AS pos
+  FROM sub_task
+  WHERE position IS NULL
+)
+UPDATE sub_task SET position = ranked.pos FROM ranked WHERE sub_task.id = ranked.id;
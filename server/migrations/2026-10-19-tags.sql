@@ -0,0 +1,34 @@
+-- Migration: tags (labels) for tasks and subtasks
+-- A tag is either organisation-wide (project_id IS NULL) or scoped to one project.
+-- Project-scoped tags can only be applied to tasks of that project.
+
+CREATE TABLE IF NOT EXISTS tags (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  color TEXT NOT NULL DEFAULT '#6B7280' CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+  project_id BIGINT REFERENCES projects(id) ON DELETE CASCADE,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+-- Tag names are unique (case-insensitively) within their scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_scope_name ON tags (COALESCE(project_id, 0), lower(name));
+
+CREATE TABLE IF NOT EXISTS task_tags (
+  task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  tag_id BIGINT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags (tag_id);
+
+CREATE TABLE IF NOT EXISTS subtask_tags (
+  subtask_id BIGINT NOT NULL REFERENCES sub_task(id) ON DELETE CASCADE,
+  tag_id BIGINT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (subtask_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subtask_tags_tag_id ON subtask_tags (tag_id);
@@ -0,0 +1,16 @@
+-- Migration: archive, trash (soft delete) and restore for tasks
+-- Archived tasks are hidden from the default lists but still reported on; deleted
+-- tasks sit in the trash until restored or purged by a director. Subtasks trashed with
+-- their task share its deleted_at, which is how a restore finds them again.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS archived_by TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+ALTER TABLE sub_task ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Default lists only want live rows; the trash view wants the deleted ones newest first
+CREATE INDEX IF NOT EXISTS idx_tasks_live ON tasks (created_at) WHERE deleted_at IS NULL AND archived_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sub_task_deleted_at ON sub_task (parent_task_id, deleted_at);
@@ -0,0 +1,51 @@
+-- Migration: task and subtask attachments with versions
+-- An attachment belongs to a task (and optionally one of its subtasks); every upload of a
+-- replacement file is kept as a new version. Files live in the "task-attachment" bucket.
+
+CREATE TABLE IF NOT EXISTS task_attachments (
+  id BIGSERIAL PRIMARY KEY,
+  task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  subtask_id BIGINT REFERENCES sub_task(id) ON DELETE CASCADE,
+  file_name TEXT NOT NULL,
+  current_version INTEGER NOT NULL DEFAULT 1,
+  uploaded_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS task_attachment_versions (
+  id BIGSERIAL PRIMARY KEY,
+  attachment_id BIGINT NOT NULL REFERENCES task_attachments(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL CHECK (version >= 1),
+  storage_path TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  mime_type TEXT,
+  size_bytes BIGINT,
+  uploaded_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (attachment_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments (task_id);
+CREATE INDEX IF NOT EXISTS idx_task_attachments_subtask_id ON task_attachments (subtask_id);
+
+-- Backfill the legacy single PDF stored in tasks.file (public URLs into the task-attachment bucket)
+WITH legacy AS (
+  SELECT
+    id AS task_id,
+    owner_id,
+    split_part(file, '/storage/v1/object/public/task-attachment/', 2) AS storage_path
+  FROM tasks
+  WHERE file LIKE '%/storage/v1/object/public/task-attachment/%'
+    AND NOT EXISTS (SELECT 1 FROM task_attachments a WHERE a.task_id = tasks.id)
+),
+inserted AS (
+  INSERT INTO task_attachments (task_id, file_name, current_version, uploaded_by)
+  SELECT task_id, regexp_replace(storage_path, '^.*/', ''), 1, owner_id::TEXT
+  FROM legacy
+  RETURNING id, task_id, file_name
+)
+INSERT INTO task_attachment_versions (attachment_id, version, storage_path, file_name, mime_type, uploaded_by)
+SELECT i.id, 1, l.storage_path, i.file_name, 'application/pdf', l.owner_id::TEXT
+FROM inserted i
+JOIN legacy l ON l.task_id = i.task_id;
@@ -0,0 +1,19 @@
+-- Migration: lightweight checklists on tasks
+-- Checklist items are plain ordered to-dos on a task: no owner, due date or
+-- notifications. A task can require every item to be checked before it completes.
+
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+  id BIGSERIAL PRIMARY KEY,
+  task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  done BOOLEAN NOT NULL DEFAULT false,
+  done_by TEXT,
+  done_at TIMESTAMPTZ,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_checklist_items_task_id ON task_checklist_items (task_id, position);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS require_checklist_complete BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,17 @@
+-- Migration: threaded comments on tasks
+-- Replies point at their parent comment; deleted comments are soft-deleted so threads stay intact
+
+CREATE TABLE IF NOT EXISTS task_comments (
+  id BIGSERIAL PRIMARY KEY,
+  task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  parent_comment_id BIGINT REFERENCES task_comments(id) ON DELETE CASCADE,
+  author_emp_id TEXT NOT NULL,
+  body TEXT NOT NULL,
+  mentions TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments (task_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_task_comments_parent ON task_comments (parent_comment_id);
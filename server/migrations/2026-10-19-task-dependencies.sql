@@ -0,0 +1,18 @@
+-- Migration: dependencies between tasks
+-- finish_to_start: successor cannot be completed until the predecessor is completed
+-- start_to_start: successor cannot be completed until the predecessor has started
+
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  id BIGSERIAL PRIMARY KEY,
+  predecessor_task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  successor_task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  type TEXT NOT NULL DEFAULT 'finish_to_start'
+    CHECK (type IN ('finish_to_start', 'start_to_start')),
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT task_dependencies_unique_pair UNIQUE (predecessor_task_id, successor_task_id),
+  CONSTRAINT task_dependencies_not_self CHECK (predecessor_task_id <> successor_task_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_predecessor ON task_dependencies (predecessor_task_id);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_successor ON task_dependencies (successor_task_id);
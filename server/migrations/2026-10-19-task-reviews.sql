@@ -0,0 +1,8 @@
+-- Migration: review/approval flow for tasks under review
+-- reviewer_id is the employee a task was last submitted to for review; the submissions
+-- and decisions themselves are kept in task_edit_history (review_* actions).
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reviewer_id TEXT;
+
+-- "Pending my review" queue
+CREATE INDEX IF NOT EXISTS idx_tasks_reviewer_status ON tasks (reviewer_id, status);
@@ -0,0 +1,33 @@
+-- Migration: full-text task search and saved filters
+-- Tasks are searchable by title/description and by the body of their comments.
+-- Saved filters are named sets of /tasks/search parameters, private to each employee.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_search_vector ON tasks USING GIN (search_vector);
+
+ALTER TABLE task_comments ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(body, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_task_comments_search_vector ON task_comments USING GIN (search_vector);
+
+-- Keyset pagination orders by (sort column, id)
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date_id ON tasks (due_date, id);
+CREATE INDEX IF NOT EXISTS idx_tasks_priority_id ON tasks (priority, id);
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at_id ON tasks (created_at, id);
+
+CREATE TABLE IF NOT EXISTS saved_task_filters (
+  id BIGSERIAL PRIMARY KEY,
+  emp_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ,
+  UNIQUE (emp_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_task_filters_emp_id ON saved_task_filters (emp_id);
@@ -0,0 +1,23 @@
+-- Migration: reusable task templates
+-- Patterns may contain {date}/{year}/{month}/{week} and caller-supplied {placeholders}.
+-- Due dates are stored as day offsets from the date a template is instantiated on.
+-- subtasks is a list of { title, description, priority, due_offset_days, estimated_hours }.
+
+CREATE TABLE IF NOT EXISTS task_templates (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  title_pattern TEXT NOT NULL,
+  description_pattern TEXT,
+  priority INTEGER NOT NULL DEFAULT 5 CHECK (priority BETWEEN 1 AND 10),
+  due_offset_days INTEGER,
+  estimated_hours NUMERIC(6,2) CHECK (estimated_hours IS NULL OR estimated_hours >= 0),
+  collaborators TEXT[] NOT NULL DEFAULT '{}',
+  subtasks JSONB NOT NULL DEFAULT '[]'::jsonb,
+  tag_ids BIGINT[] NOT NULL DEFAULT '{}',
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+-- Template names are unique (case-insensitively)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_templates_name ON task_templates (lower(name));
@@ -0,0 +1,27 @@
+-- Migration: effort estimates and time tracking
+-- Tasks and subtasks get an optional estimate; time is logged per task (optionally per subtask)
+-- A running timer is an entry without ended_at; each employee can only have one running timer
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS estimated_hours NUMERIC(6,2)
+  CHECK (estimated_hours IS NULL OR estimated_hours >= 0);
+ALTER TABLE sub_task ADD COLUMN IF NOT EXISTS estimated_hours NUMERIC(6,2)
+  CHECK (estimated_hours IS NULL OR estimated_hours >= 0);
+
+CREATE TABLE IF NOT EXISTS task_time_entries (
+  id BIGSERIAL PRIMARY KEY,
+  task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  subtask_id BIGINT REFERENCES sub_task(id) ON DELETE SET NULL,
+  emp_id TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('timer', 'manual')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ended_at TIMESTAMPTZ,
+  minutes INTEGER CHECK (minutes IS NULL OR minutes >= 0),
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_time_entries_task_id ON task_time_entries (task_id);
+CREATE INDEX IF NOT EXISTS idx_task_time_entries_emp_id ON task_time_entries (emp_id, started_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_time_entries_one_running_timer
+  ON task_time_entries (emp_id) WHERE ended_at IS NULL AND source = 'timer';
@@ -0,0 +1,21 @@
+-- Migration: watchers (followers) on tasks and projects
+-- Watching only subscribes an employee to "Task Update" notifications; it grants no
+-- edit rights. Watching a project covers every task in it.
+
+CREATE TABLE IF NOT EXISTS task_watchers (
+  task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  emp_id TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, emp_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_watchers_emp_id ON task_watchers (emp_id);
+
+CREATE TABLE IF NOT EXISTS project_watchers (
+  project_id BIGINT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  emp_id TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (project_id, emp_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_watchers_emp_id ON project_watchers (emp_id);
@@ -4,7 +4,8 @@ import {
   getUserFromToken,
   getEmpIdForUserId,
 } from "../lib/supabase.js";
-
+import timeTrackingService from "../services/timeTrackingService.js";
+import { countByStatus, toStatusKey } from "../services/workflowService.js";
 
 const router = Router();
 
@@ -151,7 +152,7 @@ router.get('/workload', async (req, res) => {
     if (!teams || teams.length === 0) {
       return res.json({ 
         workload: {},
-        summary: { total_members: 0, total_tasks: 0, due_soon: 0, overdue: 0 },
+        summary: { total_members: 0, total_tasks: 0, due_soon: 0, overdue: 0, estimated_hours: 0, logged_hours: 0 },
         teams: []
       });
     }
@@ -166,7 +167,7 @@ router.get('/workload', async (req, res) => {
     if (uniqueMemberIds.length === 0) {
       return res.json({ 
         workload: {},
-        summary: { total_members: 0, total_tasks: 0, due_soon: 0, overdue: 0 },
+        summary: { total_members: 0, total_tasks: 0, due_soon: 0, overdue: 0, estimated_hours: 0, logged_hours: 0 },
         teams: teams
       });
     }
@@ -191,7 +192,8 @@ router.get('/workload', async (req, res) => {
       .from('tasks')
       .select('*')
       .in('owner_id', memberIdsAsStrings)
-      .neq('status');
+      .neq('status')
+      .is('deleted_at', null);
 
     if (ownedTasksError) {
       console.error('Error fetching owned tasks:', ownedTasksError);
@@ -206,7 +208,8 @@ router.get('/workload', async (req, res) => {
         .from('tasks')
         .select('*')
         .neq('status')
-        .not('collaborators', 'is', null);
+        .not('collaborators', 'is', null)
+        .is('deleted_at', null);
 
       if (collabError) {
         console.error('Error fetching collaboration tasks:', collabError);
@@ -236,13 +239,11 @@ router.get('/workload', async (req, res) => {
         owned_tasks: [],
         collaboration_tasks: [],
         total_tasks: 0,
+        estimated_hours: 0,
+        logged_hours: 0,
         due_soon_count: 0,
         overdue_count: 0,
-        task_status_breakdown: {
-          'under review': 0,
-          'ongoing': 0,
-          'completed': 0
-        }
+        task_status_breakdown: countByStatus([])
       };
     });
 
@@ -295,19 +296,37 @@ router.get('/workload', async (req, res) => {
           }
 
           // Status breakdown
-          if (task.status && workloadData[memberEmpId].task_status_breakdown.hasOwnProperty(task.status)) {
-            workloadData[memberEmpId].task_status_breakdown[task.status]++;
+          const statusKey = toStatusKey(task.status);
+          if (statusKey) {
+            workloadData[memberEmpId].task_status_breakdown[statusKey]++;
           }
         }
       });
     });
 
+    // Estimated hours go to the task owner, logged hours to whoever logged them
+    try {
+      const uniqueTasks = [...new Map(allTasks.map(task => [task.id, task])).values()];
+      const { byEmployee } = await timeTrackingService.getHoursRollup(supabase, uniqueTasks);
+      Object.keys(workloadData).forEach(memberEmpId => {
+        const hours = byEmployee[String(memberEmpId)];
+        if (hours) {
+          workloadData[memberEmpId].estimated_hours = hours.estimated_hours;
+          workloadData[memberEmpId].logged_hours = hours.logged_hours;
+        }
+      });
+    } catch (hoursErr) {
+      console.error('Error fetching logged hours:', hoursErr);
+    }
+
     // Calculate summary
     const summary = {
       total_members: (members || []).length,
       total_tasks: Object.values(workloadData).reduce((sum, member) => sum + member.total_tasks, 0),
       due_soon: Object.values(workloadData).reduce((sum, member) => sum + member.due_soon_count, 0),
-      overdue: Object.values(workloadData).reduce((sum, member) => sum + member.overdue_count, 0)
+      overdue: Object.values(workloadData).reduce((sum, member) => sum + member.overdue_count, 0),
+      estimated_hours: Math.round(Object.values(workloadData).reduce((sum, member) => sum + member.estimated_hours, 0) * 100) / 100,
+      logged_hours: Math.round(Object.values(workloadData).reduce((sum, member) => sum + member.logged_hours, 0) * 100) / 100
     };
 
     res.json({ 
@@ -1,5 +1,7 @@
 import express from 'express';
 import { getServiceClient, getUserFromToken } from '../lib/supabase.js';
+import { computeTagBreakdown } from '../services/tagService.js';
+import { isActiveStatus, isTerminalStatus } from '../services/workflowService.js';
 
 const router = express.Router();
 
@@ -21,7 +23,8 @@ router.get('/overview', async (req, res) => {
       // Get all tasks - Remove updated_at since it doesn't exist
       supabase
         .from('tasks')
-        .select('status, owner_id, created_at, due_date, priority'),
+        .select('status, owner_id, created_at, due_date, priority')
+        .is('deleted_at', null),
       
       // Get all projects
       supabase
@@ -44,10 +47,10 @@ router.get('/overview', async (req, res) => {
     const totalTasks = tasks.length;
     const totalProjects = projects.length;
     
-    const activeTasks = tasks.filter(t => ['pending', 'in_progress'].includes(t.status)).length;
-    const completedTasks = tasks.filter(t => t.status === 'completed').length;
+    const activeTasks = tasks.filter(t => isActiveStatus(t.status)).length;
+    const completedTasks = tasks.filter(t => isTerminalStatus(t.status)).length;
     const overdueTasks = tasks.filter(t => 
-      t.status !== 'completed' && t.due_date && new Date(t.due_date) < now
+      !isTerminalStatus(t.status) && t.due_date && new Date(t.due_date) < now
     ).length;
 
     const activeProjects = projects.filter(p => p.status === 'active').length;
@@ -110,7 +113,8 @@ router.get('/departments', async (req, res) => {
     // Get all tasks with owner information
     const { data: tasks, error: taskError } = await supabase
       .from('tasks')
-      .select('id, owner_id, status, priority, created_at, due_date');
+      .select('id, owner_id, status, priority, created_at, due_date')
+      .is('deleted_at', null);
     
     if (taskError) throw taskError;
     
@@ -137,7 +141,7 @@ router.get('/departments', async (req, res) => {
       
       // Tasks for this department
       const deptTasks = tasks.filter(t => userIds.includes(t.owner_id));
-      const completedTasks = deptTasks.filter(t => t.status === 'completed');
+      const completedTasks = deptTasks.filter(t => isTerminalStatus(t.status));
       
       // Projects for this department
       const deptProjects = projects.filter(p => userIds.includes(p.owner_id));
@@ -208,7 +212,8 @@ router.get('/collaboration', async (req, res) => {
         collaborators,
         status,
         task_owner:users!tasks_owner_id_fkey(department)
-      `);
+      `)
+      .is('deleted_at', null);
 
     if (taskError) throw taskError;
 
@@ -302,7 +307,8 @@ router.get('/kpis', async (req, res) => {
     // Get total tasks count and status distribution - Remove updated_at since it doesn't exist
     const { data: tasks, error: taskError } = await supabase
       .from('tasks')
-      .select('id, status, priority, created_at, due_date');
+      .select('id, status, priority, created_at, due_date')
+      .is('deleted_at', null);
     
     if (taskError) throw taskError;
     
@@ -322,12 +328,12 @@ router.get('/kpis', async (req, res) => {
     
     // Calculate task metrics
     const now = new Date();
-    const activeTasks = tasks.filter(t => t.status === 'in-progress' || t.status === 'pending').length;
-    const completedTasks = tasks.filter(t => t.status === 'completed').length;
+    const activeTasks = tasks.filter(t => isActiveStatus(t.status)).length;
+    const completedTasks = tasks.filter(t => isTerminalStatus(t.status)).length;
     const overdueTasks = tasks.filter(t => 
       t.due_date && 
       new Date(t.due_date) < now && 
-      t.status !== 'completed'
+      !isTerminalStatus(t.status)
     ).length;
     
     const taskMetrics = {
@@ -355,10 +361,29 @@ router.get('/kpis', async (req, res) => {
       systemActivity: recentActivity
     };
     
+    // Per-tag task counts; KPIs are still returned if tags can't be loaded
+    let tagBreakdown = [];
+    try {
+      const { data: tags, error: tagsError } = await supabase
+        .from('tags')
+        .select('id, name, color, project_id');
+      if (tagsError) throw tagsError;
+
+      const { data: taskTags, error: taskTagsError } = await supabase
+        .from('task_tags')
+        .select('task_id, tag_id');
+      if (taskTagsError) throw taskTagsError;
+
+      tagBreakdown = computeTagBreakdown(tasks, taskTags, tags, now);
+    } catch (tagErr) {
+      console.error('Error calculating tag breakdown:', tagErr);
+    }
+    
     res.json({
       companyKPIs,
       projectPortfolio,
-      taskMetrics
+      taskMetrics,
+      tagBreakdown
     });
     
   } catch (error) {
@@ -0,0 +1,242 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { getRoleForEmpId, getManagedMemberIds, isProjectMember } from "../lib/taskAccess.js";
+import { CONTENT_TYPES, createTableWriter } from "../lib/spreadsheetWriter.js";
+import taskSearchService, { MAX_LIMIT } from "../services/taskSearchService.js";
+import { applyLifecycleFilter } from "../services/taskLifecycleService.js";
+import customFieldService from "../services/customFieldService.js";
+import progressService from "../services/progressService.js";
+import timeTrackingService from "../services/timeTrackingService.js";
+import exportService, {
+  INVALID_FORMAT_ERROR,
+  PROJECT_EXPORT_COLUMNS,
+  WORKLOAD_EXPORT_COLUMNS,
+} from "../services/exportService.js";
+
+// Tabular exports: GET /export/tasks, /export/projects and /export/workload with
+// ?format=csv|xlsx and the task search filters. Rows are read and written a page at a
+// time, so large exports are streamed rather than built in memory.
+const router = Router();
+
+const PROJECT_PAGE_SIZE = 100;
+const WORKLOAD_PAGE_SIZE = 50;
+// PostgREST caps one response (1000 rows by default), so task reads go a page at a time
+const TASK_PAGE_SIZE = 1000;
+
+// Resolve the caller, their role, the format and the filters
+async function loadExportContext(req, res) {
+  const supabase = getServiceClient();
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ error: "Missing access token" });
+    return null;
+  }
+
+  const user = await getUserFromToken(token);
+  if (!user) {
+    res.status(401).json({ error: "Invalid token" });
+    return null;
+  }
+  const empId = await getEmpIdForUserId(user.id);
+  if (!empId) {
+    res.status(400).json({ error: "emp_id not found" });
+    return null;
+  }
+
+  const format = exportService.parseExportFormat(req.query.format);
+  if (!format) {
+    res.status(400).json({ error: INVALID_FORMAT_ERROR });
+    return null;
+  }
+  const { params, error } = taskSearchService.parseSearchParams(req.query);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  const role = await getRoleForEmpId(supabase, empId);
+  return { supabase, empId, role, format, params };
+}
+
+// emp_id -> name for every user, to show people by name
+async function loadUserNames(supabase) {
+  const { data, error } = await supabase.from("users").select("emp_id, name");
+  if (error) throw error;
+  return Object.fromEntries((data || []).map((u) => [u.emp_id, u.name]));
+}
+
+// Send the download headers and return a writer for the chosen format
+function startDownload(res, ctx, kind, columns) {
+  res.status(200);
+  res.setHeader("Content-Type", CONTENT_TYPES[ctx.format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${exportService.exportFilename(kind, ctx.format)}"`);
+  res.setHeader("Cache-Control", "no-store");
+  return createTableWriter(ctx.format, res, columns, { sheetName: kind.charAt(0).toUpperCase() + kind.slice(1) });
+}
+
+// Before the first byte an error is a normal JSON response; afterwards the download is cut off
+function exportFailed(res, label, e) {
+  console.error(`Error exporting ${label}:`, e);
+  if (res.headersSent) res.destroy(e);
+  else res.status(500).json({ error: e.message });
+}
+
+// Every row of a tasks query. `buildQuery` returns a fresh query for each page.
+async function selectAllTasks(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += TASK_PAGE_SIZE) {
+    const { data, error } = await buildQuery()
+      .order("id", { ascending: true })
+      .range(from, from + TASK_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < TASK_PAGE_SIZE) return rows;
+  }
+}
+
+// Narrow a tasks query by the project, status and due window filters
+function applyTaskFilters(query, params) {
+  let filtered = query;
+  if (params.projectId !== null) filtered = filtered.eq("project_id", params.projectId);
+  if (params.statuses.length > 0) filtered = filtered.in("status", taskSearchService.expandStatuses(params.statuses));
+  if (params.dueFrom) filtered = filtered.gte("due_date", params.dueFrom);
+  if (params.dueTo) filtered = filtered.lte("due_date", params.dueTo);
+  return filtered;
+}
+
+// GET /export/tasks - the tasks a search with the same parameters would return (every
+// page of it). Limited to one project, the export has a column per custom field.
+router.get("/tasks", async (req, res) => {
+  try {
+    const ctx = await loadExportContext(req, res);
+    if (!ctx) return;
+    const { supabase, params } = ctx;
+
+    const fields = params.projectId !== null ? await customFieldService.listCustomFields(supabase, params.projectId) : [];
+    const userNames = await loadUserNames(supabase);
+    const { data: projects, error: projectsErr } = await supabase.from("projects").select("id, title");
+    if (projectsErr) throw projectsErr;
+    const projectTitles = Object.fromEntries((projects || []).map((p) => [p.id, p.title]));
+
+    const writer = startDownload(res, ctx, "tasks", exportService.taskExportColumns(fields));
+    const pageParams = { ...params, limit: MAX_LIMIT, cursor: null };
+    do {
+      const { tasks, next_cursor } = await taskSearchService.searchTasks(supabase, {
+        empId: ctx.empId,
+        role: ctx.role,
+        params: pageParams,
+      });
+      await writer.writeRows(tasks.map((task) => exportService.taskExportRow(task, { userNames, projectTitles, fields })));
+      pageParams.cursor = next_cursor ? taskSearchService.decodeCursor(next_cursor) : null;
+    } while (pageParams.cursor);
+
+    await writer.end();
+    res.end();
+  } catch (e) {
+    exportFailed(res, "tasks", e);
+  }
+});
+
+// GET /export/projects - one row per project: staff get the projects they own or are on,
+// managers and directors every project. project_id and owner_id pick projects; status
+// and the due window limit which of their tasks are counted.
+router.get("/projects", async (req, res) => {
+  try {
+    const ctx = await loadExportContext(req, res);
+    if (!ctx) return;
+    const { supabase, params, empId } = ctx;
+
+    const userNames = await loadUserNames(supabase);
+    const writer = startDownload(res, ctx, "projects", PROJECT_EXPORT_COLUMNS);
+
+    for (let from = 0; ; from += PROJECT_PAGE_SIZE) {
+      let query = supabase.from("projects").select("*");
+      if (ctx.role !== "manager" && ctx.role !== "director") {
+        query = query.or(`owner_id.eq.${empId},members.cs.{${empId}}`);
+      }
+      if (params.projectId !== null) query = query.eq("id", params.projectId);
+      const { data: page, error } = await query.order("id", { ascending: true }).range(from, from + PROJECT_PAGE_SIZE - 1);
+      if (error) throw error;
+      if (!page || page.length === 0) break;
+
+      const projects = params.ownerId ? page.filter((project) => isProjectMember(project, params.ownerId)) : page;
+
+      if (projects.length > 0) {
+        const tasks = await selectAllTasks(() =>
+          applyTaskFilters(
+            applyLifecycleFilter(supabase.from("tasks").select("id, project_id, status, due_date"), { archived: params.archived }),
+            { ...params, projectId: null }
+          ).in("project_id", projects.map((p) => p.id))
+        );
+        await progressService.attachProjectProgress(supabase, projects);
+
+        const counts = exportService.countProjectTasks(tasks);
+        await writer.writeRows(projects.map((project) => exportService.projectExportRow(project, { userNames, counts })));
+      }
+      if (page.length < PROJECT_PAGE_SIZE) break;
+    }
+
+    await writer.end();
+    res.end();
+  } catch (e) {
+    exportFailed(res, "projects", e);
+  }
+});
+
+// GET /export/workload - one row per employee: directors get everyone, managers their
+// team and themselves, others only themselves. owner_id keeps one employee; project,
+// status and the due window limit which tasks are counted.
+router.get("/workload", async (req, res) => {
+  try {
+    const ctx = await loadExportContext(req, res);
+    if (!ctx) return;
+    const { supabase, params, empId, role } = ctx;
+
+    let visibleIds = null; // null: everyone
+    if (role === "manager") visibleIds = [...(await getManagedMemberIds(supabase, empId)), String(empId)];
+    else if (role !== "director") visibleIds = [String(empId)];
+    if (params.ownerId) {
+      visibleIds = !visibleIds || visibleIds.includes(params.ownerId) ? [params.ownerId] : [];
+    }
+
+    const writer = startDownload(res, ctx, "workload", WORKLOAD_EXPORT_COLUMNS);
+
+    for (let from = 0; visibleIds === null || from < visibleIds.length; from += WORKLOAD_PAGE_SIZE) {
+      let query = supabase.from("users").select("emp_id, name, department, role");
+      if (visibleIds) query = query.in("emp_id", visibleIds.slice(from, from + WORKLOAD_PAGE_SIZE));
+      else query = query.range(from, from + WORKLOAD_PAGE_SIZE - 1);
+      const { data: people, error } = await query.order("name", { ascending: true });
+      if (error) throw error;
+      if (!people || people.length === 0) break;
+
+      const ids = people.map((p) => String(p.emp_id));
+      const tasks = await selectAllTasks(() =>
+        applyTaskFilters(
+          applyLifecycleFilter(
+            supabase.from("tasks").select("id, owner_id, collaborators, status, due_date, project_id, estimated_hours"),
+            { archived: params.archived }
+          ),
+          params
+        ).or(`owner_id.in.(${ids.join(",")}),collaborators.ov.{${ids.join(",")}}`)
+      );
+
+      const { byEmployee } = await timeTrackingService.getHoursRollup(supabase, tasks);
+      await writer.writeRows(
+        people.map((person) => exportService.workloadExportRow(person, tasks, byEmployee[String(person.emp_id)]))
+      );
+      if (!visibleIds && people.length < WORKLOAD_PAGE_SIZE) break;
+    }
+
+    await writer.end();
+    res.end();
+  } catch (e) {
+    exportFailed(res, "workload", e);
+  }
+});
+
+export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
 import { getServiceClient } from '../lib/supabase.js';
+import timeTrackingService from '../services/timeTrackingService.js';
+import { isActiveStatus, isTerminalStatus } from '../services/workflowService.js';
 
 const router = express.Router();
 
@@ -36,7 +38,8 @@ router.get('/insights', async (req, res) => {
     const { data: taskStats, error: taskError } = await supabase
       .from('tasks')
       // .select('status, assigned_to, created_at');
-      .select('status, owner_id, created_at, due_date');
+      .select('status, owner_id, created_at, due_date')
+      .is('deleted_at', null);
 
     // Project statistics
     const { data: projectStats, error: projectError } = await supabase
@@ -55,12 +58,12 @@ router.get('/insights', async (req, res) => {
     }, {});
 
     const taskCompletionRate = taskStats.length > 0 
-      ? (taskStats.filter(task => task.status === 'completed').length / taskStats.length) * 100
+      ? (taskStats.filter(task => isTerminalStatus(task.status)).length / taskStats.length) * 100
       : 0;
 
     // Count overdue tasks
     const overdueTasks = taskStats.filter(task => 
-      task.status !== 'completed' && task.due_date && new Date(task.due_date) < new Date()
+      !isTerminalStatus(task.status) && task.due_date && new Date(task.due_date) < new Date()
     ).length;
 
     res.json({
@@ -89,15 +92,28 @@ router.get('/performance', async (req, res) => {
       .select('emp_id, name, department, role');
 
     if (error) throw error;
+
+    // Estimated vs. logged hours per employee; hours stay at 0 if they can't be loaded
+    let byEmployee = {};
+    try {
+      byEmployee = await timeTrackingService.getEmployeeHours(supabase, employees.map((emp) => String(emp.emp_id)));
+    } catch (hoursError) {
+      console.error('HR performance hours error:', hoursError);
+    }
   
     // Add mock performance metrics without foreign key joins
-    const performanceData = employees.map(emp => ({
-      ...emp,
-      totalTasks: 0,
-      completedTasks: 0,
-      overdueTasks: 0,
-      completionRate: 0
-    }));
+    const performanceData = employees.map(emp => {
+      const hours = byEmployee[String(emp.emp_id)] || { estimated_hours: 0, logged_hours: 0 };
+      return {
+        ...emp,
+        totalTasks: 0,
+        completedTasks: 0,
+        overdueTasks: 0,
+        completionRate: 0,
+        estimatedHours: hours.estimated_hours,
+        loggedHours: hours.logged_hours
+      };
+    });
 
     res.json(performanceData);
   } catch (error) {
@@ -209,10 +225,10 @@ router.get('/departments', async (req, res) => {
       
       // Count active and overdue tasks for this employee
       tasks.forEach(task => {
-        if (task.status === 'in_progress' || task.status === 'pending') {
+        if (isActiveStatus(task.status)) {
           departmentStats[dept].active += 1;
         }
-        if (task.status !== 'completed' && task.due_date && new Date(task.due_date) < new Date()) {
+        if (!isTerminalStatus(task.status) && task.due_date && new Date(task.due_date) < new Date()) {
           departmentStats[dept].overdue += 1;
         }
       });
@@ -245,9 +261,9 @@ router.get('/analytics/performance-rankings', async (req, res) => {
 
     const rankings = employees.map(emp => {
       const tasks = emp.tasks_assigned || [];
-      const completed = tasks.filter(t => t.status === 'completed').length;
+      const completed = tasks.filter(t => isTerminalStatus(t.status)).length;
       const overdue = tasks.filter(t => 
-        t.status !== 'completed' && t.due_date && new Date(t.due_date) < new Date()
+        !isTerminalStatus(t.status) && t.due_date && new Date(t.due_date) < new Date()
       ).length;
 
       return {
@@ -278,6 +294,7 @@ router.get('/analytics/trends', async (req, res) => {
     const { data: tasks, error } = await supabase
       .from('tasks')
       .select('created_at, status, due_date')
+      .is('deleted_at', null)
       .order('created_at');
       
     if (error) {
@@ -436,7 +453,7 @@ function groupTasksByPeriod(tasks, period) {
       }
       
       grouped[key].total++;
-      if (task.status === 'completed') {
+      if (isTerminalStatus(task.status)) {
         grouped[key].completed++;
       }
     } catch (e) {
@@ -4,6 +4,7 @@ import {
   getUserFromToken,
   getEmpIdForUserId,
 } from "../lib/supabase.js";
+import progressService, { INVALID_WEIGHTING_ERROR } from "../services/progressService.js";
 
 const router = Router();
 
@@ -43,6 +44,11 @@ router.get("/all", async (req, res) => {
       return res.status(403).json({ error: "Access denied. Manager role required." });
     }
 
+    const weighting = progressService.parseProgressWeighting(req.query.weighting);
+    if (weighting === null) {
+      return res.status(400).json({ error: INVALID_WEIGHTING_ERROR });
+    }
+
     // Get ALL projects for managers
     const { data, error } = await supabase
       .from("projects")
@@ -54,6 +60,13 @@ router.get("/all", async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    // Percent-complete per project; never fail the listing over it
+    try {
+      await progressService.attachProjectProgress(supabase, data, { weighting });
+    } catch (progressErr) {
+      console.error("Failed to compute project progress:", progressErr);
+    }
+
     res.json(data || []);
   } catch (e) {
     console.error("Error:", e);
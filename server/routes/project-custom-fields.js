@@ -0,0 +1,188 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { getRoleForEmpId, isProjectMember } from "../lib/taskAccess.js";
+import customFieldService, { MAX_CUSTOM_FIELDS_PER_PROJECT } from "../services/customFieldService.js";
+
+// Mounted under /projects/:id/custom-fields, so :id is the project. Anyone on the
+// project (and managers/directors) can read the definitions; the project owner,
+// managers and directors can change them.
+const router = Router({ mergeParams: true });
+
+// Resolve the caller and the project; with { manage: true } the caller must be able to edit definitions
+async function loadFieldContext(req, res, { manage = false } = {}) {
+  const supabase = getServiceClient();
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ error: "Missing access token" });
+    return null;
+  }
+
+  const user = await getUserFromToken(token);
+  if (!user) {
+    res.status(401).json({ error: "Invalid token" });
+    return null;
+  }
+  const empId = await getEmpIdForUserId(user.id);
+  if (!empId) {
+    res.status(400).json({ error: "emp_id not found" });
+    return null;
+  }
+
+  const projectId = Number(req.params.id);
+  if (!Number.isFinite(projectId)) {
+    res.status(400).json({ error: "Invalid project id" });
+    return null;
+  }
+
+  const { data: project, error: projectErr } = await supabase
+    .from("projects")
+    .select("id, owner_id, members")
+    .eq("id", projectId)
+    .single();
+  if (projectErr || !project) {
+    res.status(404).json({ error: "Project not found" });
+    return null;
+  }
+
+  const role = await getRoleForEmpId(supabase, empId);
+  const canManage = String(project.owner_id) === String(empId) || role === "manager" || role === "director";
+  if (!canManage && !isProjectMember(project, empId)) {
+    res.status(403).json({ error: "Forbidden: no access to this project" });
+    return null;
+  }
+  if (manage && !canManage) {
+    res.status(403).json({ error: "Forbidden: only the project owner can change custom fields" });
+    return null;
+  }
+
+  return { supabase, empId, projectId, project, canManage };
+}
+
+async function loadField(ctx, fieldId, res) {
+  const id = Number(fieldId);
+  if (!Number.isFinite(id)) {
+    res.status(400).json({ error: "Invalid custom field id" });
+    return null;
+  }
+  const { data: field } = await ctx.supabase
+    .from("project_custom_fields")
+    .select("id, project_id, label, type, options, required, position")
+    .eq("id", id)
+    .single();
+  if (!field || Number(field.project_id) !== ctx.projectId) {
+    res.status(404).json({ error: "Custom field not found" });
+    return null;
+  }
+  return field;
+}
+
+// Definitions plus the people a "user" field can pick from (project owner and members)
+async function fieldState(ctx) {
+  const fields = await customFieldService.listCustomFields(ctx.supabase, ctx.projectId);
+  const memberIds = [...new Set([ctx.project.owner_id, ...(ctx.project.members || [])].filter(Boolean).map(String))];
+  let members = [];
+  if (memberIds.length > 0) {
+    const { data, error } = await ctx.supabase.from("users").select("emp_id, name").in("emp_id", memberIds);
+    if (error) throw error;
+    members = data || [];
+  }
+  return { fields, members, can_manage: ctx.canManage };
+}
+
+// Unique index on (project_id, lower(label)) turns a duplicate label into a 409
+function saveError(res, error) {
+  if (error.code === "23505") {
+    return res.status(409).json({ error: "A custom field with this label already exists in the project" });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+// GET /projects/:id/custom-fields - the project's field definitions in order
+router.get("/", async (req, res) => {
+  try {
+    const ctx = await loadFieldContext(req, res);
+    if (!ctx) return;
+    res.json(await fieldState(ctx));
+  } catch (e) {
+    console.error("Error loading custom fields:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /projects/:id/custom-fields - define a field. Body: { label, type, options?, required? }
+router.post("/", async (req, res) => {
+  try {
+    const ctx = await loadFieldContext(req, res, { manage: true });
+    if (!ctx) return;
+
+    const { field, error: fieldError } = customFieldService.validateFieldDefinition(req.body);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    const existing = await customFieldService.listCustomFields(ctx.supabase, ctx.projectId);
+    if (existing.length >= MAX_CUSTOM_FIELDS_PER_PROJECT) {
+      return res.status(400).json({ error: `A project can have at most ${MAX_CUSTOM_FIELDS_PER_PROJECT} custom fields` });
+    }
+    const position = field.position ?? existing.reduce((max, f) => Math.max(max, (Number(f.position) || 0) + 1), 0);
+
+    const { error } = await ctx.supabase
+      .from("project_custom_fields")
+      .insert([{ ...field, position, project_id: ctx.projectId, created_by: ctx.empId }]);
+    if (error) return saveError(res, error);
+
+    res.status(201).json(await fieldState(ctx));
+  } catch (e) {
+    console.error("Error creating custom field:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /projects/:id/custom-fields/:fieldId - rename, change options/required/position.
+// The type cannot change. Stored values for removed options are ignored from then on.
+router.put("/:fieldId", async (req, res) => {
+  try {
+    const ctx = await loadFieldContext(req, res, { manage: true });
+    if (!ctx) return;
+    const field = await loadField(ctx, req.params.fieldId, res);
+    if (!field) return;
+
+    const { updates, error: updateError } = customFieldService.validateFieldUpdate(field, req.body);
+    if (updateError) return res.status(400).json({ error: updateError });
+
+    if (Object.keys(updates).length > 0) {
+      const { error } = await ctx.supabase
+        .from("project_custom_fields")
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", field.id);
+      if (error) return saveError(res, error);
+    }
+    res.json(await fieldState(ctx));
+  } catch (e) {
+    console.error("Error updating custom field:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /projects/:id/custom-fields/:fieldId - remove a field; tasks keep no trace of it
+// in listings, exports or search
+router.delete("/:fieldId", async (req, res) => {
+  try {
+    const ctx = await loadFieldContext(req, res, { manage: true });
+    if (!ctx) return;
+    const field = await loadField(ctx, req.params.fieldId, res);
+    if (!field) return;
+
+    const { error } = await ctx.supabase.from("project_custom_fields").delete().eq("id", field.id);
+    if (error) return res.status(400).json({ error: error.message });
+    res.json(await fieldState(ctx));
+  } catch (e) {
+    console.error("Error deleting custom field:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,100 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { getRoleForEmpId, isProjectMember } from "../lib/taskAccess.js";
+import watcherService from "../services/watcherService.js";
+
+// Mounted under /projects/:id/watchers, so :id is the project. Watching a project
+// subscribes to "Task Update" notifications for every task in it, without edit rights.
+const router = Router({ mergeParams: true });
+
+// Resolve the caller and the project; members, managers and directors may watch it
+async function loadWatchContext(req, res) {
+  const supabase = getServiceClient();
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ error: "Missing access token" });
+    return null;
+  }
+
+  const user = await getUserFromToken(token);
+  if (!user) {
+    res.status(401).json({ error: "Invalid token" });
+    return null;
+  }
+  const empId = await getEmpIdForUserId(user.id);
+  if (!empId) {
+    res.status(400).json({ error: "emp_id not found" });
+    return null;
+  }
+
+  const projectId = Number(req.params.id);
+  if (!Number.isFinite(projectId)) {
+    res.status(400).json({ error: "Invalid project id" });
+    return null;
+  }
+
+  const { data: project, error: projectErr } = await supabase
+    .from("projects")
+    .select("id, owner_id, members")
+    .eq("id", projectId)
+    .single();
+  if (projectErr || !project) {
+    res.status(404).json({ error: "Project not found" });
+    return null;
+  }
+
+  if (!isProjectMember(project, empId)) {
+    const role = await getRoleForEmpId(supabase, empId);
+    if (role !== "manager" && role !== "director") {
+      res.status(403).json({ error: "Forbidden: no access to this project" });
+      return null;
+    }
+  }
+
+  return { supabase, empId, projectId };
+}
+
+// GET /projects/:id/watchers - who follows the project, and whether the caller does
+router.get("/", async (req, res) => {
+  try {
+    const ctx = await loadWatchContext(req, res);
+    if (!ctx) return;
+    res.json(await watcherService.getWatchState(ctx.supabase, "project", ctx.projectId, ctx.empId));
+  } catch (e) {
+    console.error("Error loading project watchers:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /projects/:id/watchers - follow the project
+router.post("/", async (req, res) => {
+  try {
+    const ctx = await loadWatchContext(req, res);
+    if (!ctx) return;
+    await watcherService.follow(ctx.supabase, "project", ctx.projectId, ctx.empId);
+    res.status(201).json(await watcherService.getWatchState(ctx.supabase, "project", ctx.projectId, ctx.empId));
+  } catch (e) {
+    console.error("Error following project:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /projects/:id/watchers - unfollow the project
+router.delete("/", async (req, res) => {
+  try {
+    const ctx = await loadWatchContext(req, res);
+    if (!ctx) return;
+    await watcherService.unfollow(ctx.supabase, "project", ctx.projectId, ctx.empId);
+    res.json(await watcherService.getWatchState(ctx.supabase, "project", ctx.projectId, ctx.empId));
+  } catch (e) {
+    console.error("Error unfollowing project:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -5,6 +5,10 @@ import {
   getEmpIdForUserId,
 } from "../lib/supabase.js";
 import { ProjectSchema } from "../schemas/task.js";
+import concurrencyService from "../services/concurrencyService.js";
+import projectWatchersRoutes from "./project-watchers.js";
+import projectCustomFieldsRoutes from "./project-custom-fields.js";
+import progressService, { INVALID_WEIGHTING_ERROR } from "../services/progressService.js";
 
 const router = Router();
 
@@ -29,6 +33,11 @@ router.get("/", async (req, res) => {
       return res.status(404).json({ error: "Employee ID not found" });
     }
 
+    const weighting = progressService.parseProgressWeighting(req.query.weighting);
+    if (weighting === null) {
+      return res.status(400).json({ error: INVALID_WEIGHTING_ERROR });
+    }
+
     // Get projects where user is owner or member
     const { data, error } = await supabase
       .from("projects")
@@ -40,6 +49,13 @@ router.get("/", async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    // Percent-complete per project; never fail the listing over it
+    try {
+      await progressService.attachProjectProgress(supabase, data, { weighting });
+    } catch (progressErr) {
+      console.error("Failed to compute project progress:", progressErr);
+    }
+
     // Return projects directly (not wrapped in { projects: data })
     res.json(data || []);
   } catch (e) {
@@ -218,7 +234,11 @@ router.put("/:id", async (req, res) => {
     }
 
     const projectId = req.params.id;
-    const updates = req.body;
+    const updates = { ...req.body };
+    delete updates.version;
+
+    const { version: expectedVersion, error: versionError } = concurrencyService.getExpectedVersion(req);
+    if (versionError) return res.status(400).json({ error: versionError });
 
     // Add updated timestamp
     const projectUpdates = {
@@ -229,7 +249,7 @@ router.put("/:id", async (req, res) => {
     // Check if user owns the project before updating
     const { data: existingProject, error: checkError } = await supabase
       .from("projects")
-      .select("owner_id")
+      .select("*")
       .eq("id", projectId)
       .single();
 
@@ -243,18 +263,29 @@ router.put("/:id", async (req, res) => {
         .json({ error: "Not authorized to update this project" });
     }
 
-    const { data, error } = await supabase
+    if (!concurrencyService.isCurrentVersion(existingProject, expectedVersion)) {
+      return res.status(409).json(concurrencyService.buildConflict(existingProject, updates, expectedVersion));
+    }
+
+    // With a version, the update only lands if nobody saved in between
+    let updateQuery = supabase
       .from("projects")
       .update(projectUpdates)
-      .eq("id", projectId)
-      .select()
-      .single();
+      .eq("id", projectId);
+    if (expectedVersion !== null) updateQuery = updateQuery.eq("version", expectedVersion);
+    const { data, error } = await updateQuery.select().maybeSingle();
 
     if (error) {
       console.error("Update project error:", error);
       return res.status(500).json({ error: error.message });
     }
+    if (!data) {
+      const { data: latest } = await supabase.from("projects").select("*").eq("id", projectId).single();
+      if (!latest) return res.status(404).json({ error: "Project not found" });
+      return res.status(409).json(concurrencyService.buildConflict(latest, updates, expectedVersion));
+    }
 
+    concurrencyService.setEtag(res, data);
     res.json(data);
   } catch (e) {
     console.error("Error:", e);
@@ -386,6 +417,12 @@ router.get("/:id/members", async (req, res) => {
   }
 });
 
+// Followers of a project (notified of updates to its tasks)
+router.use("/:id/watchers", projectWatchersRoutes);
+
+// Extra task fields defined per project (text, number, date, select, user)
+router.use("/:id/custom-fields", projectCustomFieldsRoutes);
+
 // Get complete project data with tasks and member names in one request
 router.get("/complete", async (req, res) => {
   try {
@@ -407,6 +444,11 @@ router.get("/complete", async (req, res) => {
       return res.status(404).json({ error: "Employee ID not found" });
     }
 
+    const weighting = progressService.parseProgressWeighting(req.query.weighting);
+    if (weighting === null) {
+      return res.status(400).json({ error: INVALID_WEIGHTING_ERROR });
+    }
+
     // Get projects where user is owner or member
     const { data: projects, error: projectsError } = await supabase
       .from("projects")
@@ -447,9 +489,11 @@ router.get("/complete", async (req, res) => {
       supabase
         .from("tasks")
         .select(
-          "id, title, status, project_id, description, due_date, priority, owner_id, created_at, file, collaborators"
+          "id, title, status, project_id, description, due_date, priority, owner_id, created_at, file, collaborators, estimated_hours"
         )
-        .in("project_id", projectIds),
+        .in("project_id", projectIds)
+        .is("deleted_at", null)
+        .is("archived_at", null),
 
       // Get user names for all members (only if we have member IDs)
       allEmpIds.size > 0
@@ -470,6 +514,13 @@ router.get("/complete", async (req, res) => {
       return res.status(500).json({ error: usersResult.error.message });
     }
 
+    // Percent-complete per task and project; never fail the request over it
+    try {
+      await progressService.attachProgress(supabase, tasksResult.data || [], { projects, weighting });
+    } catch (progressErr) {
+      console.error("Failed to compute project progress:", progressErr);
+    }
+
     // Group tasks by project_id
     const tasksGrouped = {};
     projects.forEach((project) => {
@@ -6,6 +6,13 @@ import {
   getNumericIdFromEmpId,
   getEmpIdFromNumericId,
 } from "../lib/supabase.js";
+import { parseEstimatedHours } from "../services/timeTrackingService.js";
+import tagService from "../services/tagService.js";
+import workflowService, { INVALID_STATUS_ERROR, normalizeStatus } from "../services/workflowService.js";
+import { getRoleForEmpId, recordTaskHistory } from "../lib/taskAccess.js";
+import concurrencyService from "../services/concurrencyService.js";
+import subtaskTreeService, { SUBTASK_TREE_ACTIONS } from "../services/subtaskTreeService.js";
+import { softDelete } from "../services/taskLifecycleService.js";
 
 const router = Router();
 const DEBUG_ACCESS = process.env.SUBTASKS_DEBUG === 'true';
@@ -13,6 +20,20 @@ const debugAccess = (...args) => {
   if (DEBUG_ACCESS) console.log('[subtasks-access]', ...args);
 };
 
+// Live subtasks of a task with just the fields the tree checks need
+async function loadSubtaskTree(supabase, taskId) {
+  let query = supabase
+    .from("sub_task")
+    .select("id, parent_subtask_id, position")
+    .eq("parent_task_id", taskId);
+  if (typeof query.is === 'function') {
+    query = query.is("deleted_at", null);
+  }
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
 // GET /subtasks/task/:taskId - fetch subtasks for a task if user has access to the parent task
 router.get("/task/:taskId", async (req, res) => {
   try {
@@ -127,11 +148,17 @@ router.get("/task/:taskId", async (req, res) => {
     // Build query and order by priority when supported by client/mock
     let subQuery = supabase
       .from("sub_task")
-      .select("id, parent_task_id, title, description, priority, status, due_date, collaborators, owner_id")
+      .select("id, parent_task_id, parent_subtask_id, position, title, description, priority, status, due_date, collaborators, owner_id, version")
       .eq("parent_task_id", taskId);
 
+    // Subtasks trashed with their task stay hidden until it is restored
+    if (typeof subQuery.is === 'function') {
+      subQuery = subQuery.is("deleted_at", null);
+    }
     if (typeof subQuery.order === 'function') {
-      subQuery = subQuery.order("priority", { ascending: false });
+      subQuery = subQuery
+        .order("position", { ascending: true, nullsFirst: false })
+        .order("priority", { ascending: false });
     }
 
     const { data: subtasks, error: subErr } = await subQuery;
@@ -149,7 +176,13 @@ router.get("/task/:taskId", async (req, res) => {
       })
     );
     
-    return res.json({ subtasks: subtasksWithEmpId });
+    try {
+      await tagService.attachTags(supabase, subtasksWithEmpId, "subtask");
+    } catch (tagErr) {
+      console.error("Failed to load subtask tags:", tagErr);
+    }
+
+    return res.json({ subtasks: subtasksWithEmpId, max_depth: subtaskTreeService.getMaxSubtaskDepth() });
   } catch (e) {
     return res.status(500).json({ error: e.message });
   }
@@ -173,36 +206,22 @@ router.post("/", async (req, res) => {
       title,
       description = null,
       priority = null,
-      status: rawStatus = "ongoing",
+      status: rawStatus,
       due_date = null,
       collaborators = [],
+      estimated_hours = null,
     } = req.body || {};
-    
-    // Function to normalize status (copied from tasks.js)
-    function normalizeStatus(status) {
-      if (!status) return "ongoing"; // Default status
-      
-      // Convert to lowercase for easier matching
-      const statusLower = status.toLowerCase();
-      
-      // Map of status values
-      const statusMap = {
-        'ongoing': 'ongoing',
-        'unassigned': 'unassigned',
-        'completed': 'completed',
-        'under review': 'Under Review'
-      };
-      
-      return statusMap[statusLower] || status;
-    }
-    
-    // Normalize the status
-    const status = normalizeStatus(rawStatus);
 
     if (!parent_task_id || !title || !String(title).trim()) {
       return res.status(400).json({ error: "parent_task_id and title are required" });
     }
 
+    const { parentSubtaskId = null, error: parentSubtaskError } = subtaskTreeService.parseParentSubtaskId(req.body?.parent_subtask_id);
+    if (parentSubtaskError) return res.status(400).json({ error: parentSubtaskError });
+
+    const status = normalizeStatus(rawStatus);
+    if (!status) return res.status(400).json({ error: INVALID_STATUS_ERROR });
+
     // Verify requester owns the parent task
     const { data: parent, error: parentErr } = await supabase
       .from("tasks")
@@ -214,6 +233,12 @@ router.post("/", async (req, res) => {
       return res.status(403).json({ error: "Only the task owner can add subtasks" });
     }
 
+    // Nested subtasks stay within the same task and the depth limit; new ones go last
+    const tree = await loadSubtaskTree(supabase, Number(parent_task_id));
+    const { error: nestingError } = subtaskTreeService.checkNesting(tree, null, parentSubtaskId);
+    if (nestingError) return res.status(400).json({ error: nestingError });
+    const position = subtaskTreeService.nextPosition(subtaskTreeService.getSiblings(tree, parentSubtaskId));
+
     // Normalize priority if valid 1-10
     let normalizedPriority = null;
     if (priority !== null && priority !== undefined && priority !== "") {
@@ -225,11 +250,14 @@ router.post("/", async (req, res) => {
       .from("sub_task")
       .insert({
         parent_task_id: Number(parent_task_id),
+        parent_subtask_id: parentSubtaskId,
+        position,
         title: String(title).trim(),
         description: description || null,
         priority: normalizedPriority,
-        status: status || "ongoing",
+        status,
         due_date: due_date || null,
+        estimated_hours: parseEstimatedHours(estimated_hours) ?? null,
         collaborators: Array.isArray(collaborators) ? collaborators : [],
         owner_id: getNumericIdFromEmpId(parent.owner_id), // Convert emp_id to numeric ID for sub_task table
       })
@@ -252,7 +280,7 @@ router.post("/", async (req, res) => {
           editor_emp_id: empId,
           editor_user_id: user.id,
           action: 'subtask_create',
-          details: { subtask_id: data.id, title: data.title, priority: data.priority, status: data.status, due_date: data.due_date }
+          details: { subtask_id: data.id, parent_subtask_id: data.parent_subtask_id, title: data.title, priority: data.priority, status: data.status, due_date: data.due_date }
         }]);
     } catch (hErr) {
       console.error('Failed to write task history (subtask create):', hErr);
@@ -279,10 +307,13 @@ router.put("/:id", async (req, res) => {
     const subtaskId = Number(req.params.id);
     if (!Number.isFinite(subtaskId)) return res.status(400).json({ error: "Invalid id" });
 
+    const { version: expectedVersion, error: versionError } = concurrencyService.getExpectedVersion(req);
+    if (versionError) return res.status(400).json({ error: versionError });
+
     // Load subtask with parent info
     const { data: subtask, error: stErr } = await supabase
       .from("sub_task")
-      .select("id, parent_task_id")
+      .select("*")
       .eq("id", subtaskId)
       .single();
     if (stErr || !subtask) return res.status(404).json({ error: "Subtask not found" });
@@ -290,7 +321,7 @@ router.put("/:id", async (req, res) => {
     // Verify requester owns the parent task
     const { data: parent, error: parentErr } = await supabase
       .from("tasks")
-      .select("id, owner_id")
+      .select("id, owner_id, collaborators")
       .eq("id", subtask.parent_task_id)
       .single();
     if (parentErr || !parent) return res.status(404).json({ error: "Parent task not found" });
@@ -299,47 +330,77 @@ router.put("/:id", async (req, res) => {
     }
 
     const updates = { ...req.body };
-    
-    // Function to normalize status
-    function normalizeStatus(status) {
-      if (!status) return "ongoing"; // Default status
-      
-      // Convert to lowercase for easier matching
-      const statusLower = status.toLowerCase();
-      
-      // Map of status values
-      const statusMap = {
-        'ongoing': 'ongoing',
-        'unassigned': 'unassigned',
-        'completed': 'completed',
-        'under review': 'Under Review'
-      };
-      
-      return statusMap[statusLower] || status;
+    delete updates.version;
+    if (!concurrencyService.isCurrentVersion(subtask, expectedVersion)) {
+      return res.status(409).json(concurrencyService.buildConflict(subtask, updates, expectedVersion));
     }
-    
-    // Normalize status if present
+
+    // Status changes follow the same workflow as tasks; actors are taken from the parent.
+    // Subtasks have no review flow of their own: they are set under review directly and
+    // the parent's owner signs them off
     if (updates.status) {
       updates.status = normalizeStatus(updates.status);
+      if (!updates.status) return res.status(400).json({ error: INVALID_STATUS_ERROR });
+
+      const role = await getRoleForEmpId(supabase, empId);
+      const transition = workflowService.checkTransition(
+        subtask.status,
+        updates.status,
+        [...workflowService.getActors(parent, empId, role), "reviewer"],
+        { via: "review" }
+      );
+      if (!transition.allowed) {
+        return res.status(transition.code).json({ error: transition.error });
+      }
     }
-    
+
+    // Moving under another subtask (or back to the top) moves the whole branch; it goes
+    // to the end of its new level. Ordering within a level goes through PUT /task/:taskId/order
+    delete updates.position;
+    if (updates.parent_subtask_id !== undefined) {
+      const { parentSubtaskId, error: parentSubtaskError } = subtaskTreeService.parseParentSubtaskId(updates.parent_subtask_id);
+      if (parentSubtaskError) return res.status(400).json({ error: parentSubtaskError });
+      if (String(parentSubtaskId) === String(subtask.parent_subtask_id ?? null)) {
+        delete updates.parent_subtask_id;
+      } else {
+        const tree = await loadSubtaskTree(supabase, subtask.parent_task_id);
+        const { error: nestingError } = subtaskTreeService.checkNesting(tree, subtaskId, parentSubtaskId);
+        if (nestingError) return res.status(400).json({ error: nestingError });
+        updates.parent_subtask_id = parentSubtaskId;
+        updates.position = subtaskTreeService.nextPosition(
+          subtaskTreeService.getSiblings(tree, parentSubtaskId).filter((s) => s.id !== subtaskId)
+        );
+      }
+    }
+
     // Normalize priority
     if (updates.priority !== undefined) {
       const p = parseInt(updates.priority, 10);
       if (!isNaN(p) && p >= 1 && p <= 10) updates.priority = p; else delete updates.priority;
     }
+    // Normalize estimate (drop invalid values)
+    if (updates.estimated_hours !== undefined) {
+      const hours = parseEstimatedHours(updates.estimated_hours);
+      if (hours === undefined) delete updates.estimated_hours; else updates.estimated_hours = hours;
+    }
     // Normalize title/description
     if (updates.title !== undefined) updates.title = String(updates.title || "").trim();
     if (updates.title === "") delete updates.title;
     if (updates.description === "") updates.description = null;
 
-    const { data, error } = await supabase
+    // With a version, the update only lands if nobody saved in between
+    let updateQuery = supabase
       .from("sub_task")
       .update(updates)
-      .eq("id", subtaskId)
-      .select()
-      .single();
+      .eq("id", subtaskId);
+    if (expectedVersion !== null) updateQuery = updateQuery.eq("version", expectedVersion);
+    const { data, error } = await updateQuery.select().maybeSingle();
     if (error) return res.status(400).json({ error: error.message });
+    if (!data) {
+      const { data: latest } = await supabase.from("sub_task").select("*").eq("id", subtaskId).single();
+      if (!latest) return res.status(404).json({ error: "Subtask not found" });
+      return res.status(409).json(concurrencyService.buildConflict(latest, updates, expectedVersion));
+    }
     
     // Convert numeric owner_id back to emp_id format
     if (data.owner_id && typeof data.owner_id === 'number') {
@@ -361,12 +422,336 @@ router.put("/:id", async (req, res) => {
     } catch (hErr) {
       console.error('Failed to write task history (subtask update):', hErr);
     }
+    concurrencyService.setEtag(res, data);
     return res.json({ subtask: data });
   } catch (e) {
     return res.status(500).json({ error: e.message });
   }
 });
 
+// PUT /subtasks/task/:taskId/order - reorder one level of a task's subtasks
+// Body: { parent_subtask_id (null for the top level), ordered_ids: [every subtask of that level] }
+router.put("/task/:taskId/order", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.taskId);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const { parentSubtaskId = null, error: parentSubtaskError } = subtaskTreeService.parseParentSubtaskId(req.body?.parent_subtask_id);
+    if (parentSubtaskError) return res.status(400).json({ error: parentSubtaskError });
+
+    const { data: parent, error: parentErr } = await supabase
+      .from("tasks")
+      .select("id, owner_id")
+      .eq("id", taskId)
+      .single();
+    if (parentErr || !parent) return res.status(404).json({ error: "Parent task not found" });
+    if (String(parent.owner_id) !== String(empId)) {
+      return res.status(403).json({ error: "Only the task owner can reorder subtasks" });
+    }
+
+    const tree = await loadSubtaskTree(supabase, taskId);
+    const { positions, error: orderError } = subtaskTreeService.planReorder(
+      subtaskTreeService.getSiblings(tree, parentSubtaskId),
+      req.body?.ordered_ids
+    );
+    if (orderError) return res.status(400).json({ error: orderError });
+
+    for (const { id, position } of positions) {
+      const { error } = await supabase.from("sub_task").update({ position }).eq("id", id);
+      if (error) return res.status(400).json({ error: error.message });
+    }
+
+    if (positions.length > 0) {
+      await recordTaskHistory(supabase, {
+        taskId,
+        empId,
+        userId: user.id,
+        action: SUBTASK_TREE_ACTIONS.reorder,
+        details: { parent_subtask_id: parentSubtaskId, ordered_ids: req.body.ordered_ids.map(Number) },
+      });
+    }
+    return res.json({ ok: true, updated: positions.length });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /subtasks/:id/promote - turn a subtask into a task of its own
+// The new task keeps the subtask's details, sits in the parent's project and is owned by the
+// parent's owner; nested subtasks, attachments, time entries and tags move with it
+router.post("/:id/promote", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const subtaskId = Number(req.params.id);
+    if (!Number.isFinite(subtaskId)) return res.status(400).json({ error: "Invalid id" });
+
+    const { data: subtask, error: stErr } = await supabase
+      .from("sub_task")
+      .select("*")
+      .eq("id", subtaskId)
+      .single();
+    if (stErr || !subtask || subtask.deleted_at) return res.status(404).json({ error: "Subtask not found" });
+
+    const { data: parent, error: parentErr } = await supabase
+      .from("tasks")
+      .select("id, owner_id, project_id, title")
+      .eq("id", subtask.parent_task_id)
+      .single();
+    if (parentErr || !parent) return res.status(404).json({ error: "Parent task not found" });
+    if (String(parent.owner_id) !== String(empId)) {
+      return res.status(403).json({ error: "Only the task owner can promote subtasks" });
+    }
+
+    const tree = await loadSubtaskTree(supabase, parent.id);
+    const descendantIds = subtaskTreeService.collectDescendantIds(tree, subtaskId);
+
+    const { data: newTask, error: insertErr } = await supabase
+      .from("tasks")
+      .insert(subtaskTreeService.buildPromotedTask(subtask, parent))
+      .select()
+      .single();
+    if (insertErr) return res.status(400).json({ error: insertErr.message });
+
+    // Move the branch before the subtask goes, or deleting it would take the branch along
+    if (descendantIds.length > 0) {
+      const { error: moveErr } = await supabase
+        .from("sub_task")
+        .update({ parent_task_id: newTask.id })
+        .in("id", descendantIds);
+      if (moveErr) return res.status(400).json({ error: moveErr.message });
+      const { error: rootErr } = await supabase
+        .from("sub_task")
+        .update({ parent_subtask_id: null })
+        .eq("parent_subtask_id", subtaskId);
+      if (rootErr) return res.status(400).json({ error: rootErr.message });
+    }
+
+    // Files, time and tags move with the work. If any of it cannot be moved the subtask is
+    // kept, as deleting it would take its attachments along and orphan its time entries
+    const stopPromotion = (what, moveErr) => {
+      console.error(`Failed to move ${what} of promoted subtask ${subtaskId}:`, moveErr);
+      return res.status(500).json({
+        error: `Could not move the subtask's ${what} to the new task, so the subtask was kept`,
+        task_id: newTask.id,
+      });
+    };
+    for (const [table, what] of [["task_attachments", "attachments"], ["task_time_entries", "time entries"]]) {
+      const { error: ownErr } = await supabase
+        .from(table)
+        .update({ task_id: newTask.id, subtask_id: null })
+        .eq("subtask_id", subtaskId);
+      if (ownErr) return stopPromotion(what, ownErr);
+      if (descendantIds.length > 0) {
+        const { error: branchErr } = await supabase
+          .from(table)
+          .update({ task_id: newTask.id })
+          .in("subtask_id", descendantIds);
+        if (branchErr) return stopPromotion(what, branchErr);
+      }
+    }
+
+    const { data: tagRows, error: tagsErr } = await supabase.from("subtask_tags").select("tag_id").eq("subtask_id", subtaskId);
+    if (tagsErr) return stopPromotion("tags", tagsErr);
+    if (tagRows?.length) {
+      const { error: tagInsertErr } = await supabase
+        .from("task_tags")
+        .insert(tagRows.map((row) => ({ task_id: newTask.id, tag_id: row.tag_id })));
+      if (tagInsertErr) return stopPromotion("tags", tagInsertErr);
+    }
+
+    const { error: deleteErr } = await supabase.from("sub_task").delete().eq("id", subtaskId);
+    if (deleteErr) return res.status(400).json({ error: deleteErr.message });
+
+    await recordTaskHistory(supabase, {
+      taskId: parent.id,
+      empId,
+      userId: user.id,
+      action: SUBTASK_TREE_ACTIONS.promote,
+      details: { subtask_id: subtaskId, title: subtask.title, task_id: newTask.id },
+    });
+    await recordTaskHistory(supabase, {
+      taskId: newTask.id,
+      empId,
+      userId: user.id,
+      action: SUBTASK_TREE_ACTIONS.promotedFrom,
+      details: { subtask_id: subtaskId, parent_task_id: parent.id, parent_title: parent.title },
+    });
+
+    return res.status(201).json({ task: newTask, moved_subtask_ids: descendantIds });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /subtasks/demote - turn a task into a subtask of another task
+// Body: { task_id, parent_task_id, parent_subtask_id (optional) }. The requester must own both
+// tasks. The task's subtasks, attachments, time entries and tags move along; the task itself
+// (with its comments and edit history) goes to the trash
+router.post("/demote", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.body?.task_id);
+    const targetId = Number(req.body?.parent_task_id);
+    if (!Number.isInteger(taskId) || !Number.isInteger(targetId)) {
+      return res.status(400).json({ error: "task_id and parent_task_id are required" });
+    }
+    if (taskId === targetId) return res.status(400).json({ error: "A task cannot become its own subtask" });
+
+    const { parentSubtaskId = null, error: parentSubtaskError } = subtaskTreeService.parseParentSubtaskId(req.body?.parent_subtask_id);
+    if (parentSubtaskError) return res.status(400).json({ error: parentSubtaskError });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select("*")
+      .eq("id", taskId)
+      .single();
+    if (taskErr || !task || task.deleted_at) return res.status(404).json({ error: "Task not found" });
+
+    const { data: target, error: targetErr } = await supabase
+      .from("tasks")
+      .select("id, owner_id, title, deleted_at")
+      .eq("id", targetId)
+      .single();
+    if (targetErr || !target || target.deleted_at) return res.status(404).json({ error: "Parent task not found" });
+
+    if (String(task.owner_id) !== String(empId) || String(target.owner_id) !== String(empId)) {
+      return res.status(403).json({ error: "Only the owner of both tasks can make one a subtask of the other" });
+    }
+    if (task.is_recurring) {
+      return res.status(400).json({ error: "Recurring tasks cannot become subtasks" });
+    }
+
+    const { data: links, error: linksErr } = await supabase
+      .from("task_dependencies")
+      .select("id")
+      .or(`predecessor_task_id.eq.${taskId},successor_task_id.eq.${taskId}`)
+      .limit(1);
+    if (linksErr) return res.status(400).json({ error: linksErr.message });
+    if (links?.length) {
+      return res.status(409).json({ error: "Remove the task's dependencies before making it a subtask" });
+    }
+
+    const targetTree = await loadSubtaskTree(supabase, targetId);
+    const ownTree = await loadSubtaskTree(supabase, taskId);
+    const { error: nestingError } = subtaskTreeService.checkDemotion(targetTree, ownTree, parentSubtaskId);
+    if (nestingError) return res.status(400).json({ error: nestingError });
+
+    const { data: newSubtask, error: insertErr } = await supabase
+      .from("sub_task")
+      .insert(subtaskTreeService.buildDemotedSubtask(task, {
+        parentTaskId: targetId,
+        parentSubtaskId,
+        position: subtaskTreeService.nextPosition(subtaskTreeService.getSiblings(targetTree, parentSubtaskId)),
+        ownerId: getNumericIdFromEmpId(target.owner_id),
+      }))
+      .select()
+      .single();
+    if (insertErr) return res.status(400).json({ error: insertErr.message });
+
+    // The task's own subtasks move under the new subtask
+    if (ownTree.length > 0) {
+      const rootIds = subtaskTreeService.getSiblings(ownTree, null).map((s) => s.id);
+      const { error: rootErr } = await supabase
+        .from("sub_task")
+        .update({ parent_subtask_id: newSubtask.id })
+        .in("id", rootIds);
+      if (rootErr) return res.status(400).json({ error: rootErr.message });
+      const { error: moveErr } = await supabase
+        .from("sub_task")
+        .update({ parent_task_id: targetId })
+        .eq("parent_task_id", taskId);
+      if (moveErr) return res.status(400).json({ error: moveErr.message });
+    }
+
+    // Files and time move with the work. If any of it cannot be moved the task is kept,
+    // so nothing is left behind on a task that goes to the trash
+    const stopDemotion = (what, moveErr) => {
+      console.error(`Failed to move ${what} of demoted task ${taskId}:`, moveErr);
+      return res.status(500).json({
+        error: `Could not move the task's ${what} to the new subtask, so the task was kept`,
+        subtask_id: newSubtask.id,
+      });
+    };
+    for (const [table, what] of [["task_attachments", "attachments"], ["task_time_entries", "time entries"]]) {
+      const { error: ownErr } = await supabase
+        .from(table)
+        .update({ task_id: targetId, subtask_id: newSubtask.id })
+        .eq("task_id", taskId)
+        .is("subtask_id", null);
+      if (ownErr) return stopDemotion(what, ownErr);
+      const { error: branchErr } = await supabase
+        .from(table)
+        .update({ task_id: targetId })
+        .eq("task_id", taskId);
+      if (branchErr) return stopDemotion(what, branchErr);
+    }
+
+    const { data: tagRows, error: tagsErr } = await supabase.from("task_tags").select("tag_id").eq("task_id", taskId);
+    if (tagsErr) return stopDemotion("tags", tagsErr);
+    if (tagRows?.length) {
+      const { error: tagInsertErr } = await supabase
+        .from("subtask_tags")
+        .insert(tagRows.map((row) => ({ subtask_id: newSubtask.id, tag_id: row.tag_id })));
+      if (tagInsertErr) return stopDemotion("tags", tagInsertErr);
+    }
+
+    // The task goes to the trash rather than being deleted: its comments, checklist,
+    // reviews, watchers and history stay with it and it can be restored from there
+    await softDelete(supabase, [taskId], { empId });
+
+    const details = { task_id: taskId, title: task.title, subtask_id: newSubtask.id, parent_subtask_id: parentSubtaskId };
+    await recordTaskHistory(supabase, {
+      taskId: targetId,
+      empId,
+      userId: user.id,
+      action: SUBTASK_TREE_ACTIONS.demote,
+      details,
+    });
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: SUBTASK_TREE_ACTIONS.demote,
+      details: { ...details, parent_task_id: targetId },
+    });
+
+    if (newSubtask.owner_id && typeof newSubtask.owner_id === 'number') {
+      newSubtask.owner_id = (await getEmpIdFromNumericId(newSubtask.owner_id)) || newSubtask.owner_id;
+    }
+    return res.status(201).json({ subtask: newSubtask });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
 // DELETE /subtasks/:id - delete a subtask (only if requester owns the parent task)
 router.delete("/:id", async (req, res) => {
   try {
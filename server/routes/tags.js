@@ -0,0 +1,190 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { getRoleForEmpId } from "../lib/taskAccess.js";
+import { validateTagInput } from "../services/tagService.js";
+
+const router = Router();
+
+const TAG_COLUMNS = "id, name, color, project_id, created_by, created_at, updated_at";
+
+// Postgres unique_violation: the name is already used in this scope
+const isDuplicate = (error) => error?.code === "23505";
+
+// Managers/directors manage every tag; project tags can also be managed by
+// the project's owner and members
+async function canManageTags(supabase, empId, projectId) {
+  const role = await getRoleForEmpId(supabase, empId);
+  if (role === "manager" || role === "director") return true;
+  if (projectId === null || projectId === undefined) return false;
+
+  const { data: project } = await supabase
+    .from("projects")
+    .select("owner_id, members")
+    .eq("id", projectId)
+    .single();
+  if (!project) return false;
+  if (String(project.owner_id) === String(empId)) return true;
+  return (project.members || []).map(String).includes(String(empId));
+}
+
+// GET /tags - organisation-wide and project tags (?project_id= limits project
+// tags to that project)
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    let query = supabase.from("tags").select(TAG_COLUMNS);
+    if (req.query.project_id) {
+      const projectId = Number(req.query.project_id);
+      if (!Number.isFinite(projectId)) return res.status(400).json({ error: "Invalid project_id" });
+      query = query.or(`project_id.is.null,project_id.eq.${projectId}`);
+    }
+
+    const { data, error } = await query.order("name", { ascending: true });
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json({ tags: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tags - create a tag { name, color, project_id? }
+router.post("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { value, error: inputError } = validateTagInput(req.body || {});
+    if (inputError) return res.status(400).json({ error: inputError });
+
+    let projectId = null;
+    if (req.body?.project_id !== undefined && req.body?.project_id !== null && req.body?.project_id !== "") {
+      projectId = Number(req.body.project_id);
+      if (!Number.isFinite(projectId)) return res.status(400).json({ error: "Invalid project_id" });
+    }
+
+    if (!(await canManageTags(supabase, empId, projectId))) {
+      return res.status(403).json({
+        error: projectId === null
+          ? "Only managers and directors can create organisation-wide tags"
+          : "Only project members can create tags for this project",
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("tags")
+      .insert({ ...value, project_id: projectId, created_by: empId })
+      .select(TAG_COLUMNS)
+      .single();
+    if (isDuplicate(error)) return res.status(409).json({ error: "A tag with this name already exists" });
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.status(201).json({ tag: data });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tags/:tagId - rename or recolour a tag
+router.put("/:tagId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const tagId = Number(req.params.tagId);
+    if (!Number.isFinite(tagId)) return res.status(400).json({ error: "Invalid tag id" });
+
+    const { value, error: inputError } = validateTagInput(req.body || {}, { partial: true });
+    if (inputError) return res.status(400).json({ error: inputError });
+    if (Object.keys(value).length === 0) return res.status(400).json({ error: "Nothing to update" });
+
+    const { data: tag, error: tagErr } = await supabase
+      .from("tags")
+      .select("id, project_id")
+      .eq("id", tagId)
+      .single();
+    if (tagErr || !tag) return res.status(404).json({ error: "Tag not found" });
+
+    if (!(await canManageTags(supabase, empId, tag.project_id))) {
+      return res.status(403).json({ error: "Forbidden: you cannot edit this tag" });
+    }
+
+    const { data, error } = await supabase
+      .from("tags")
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq("id", tagId)
+      .select(TAG_COLUMNS)
+      .single();
+    if (isDuplicate(error)) return res.status(409).json({ error: "A tag with this name already exists" });
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json({ tag: data });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /tags/:tagId - delete a tag and remove it from every task and subtask
+router.delete("/:tagId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const tagId = Number(req.params.tagId);
+    if (!Number.isFinite(tagId)) return res.status(400).json({ error: "Invalid tag id" });
+
+    const { data: tag, error: tagErr } = await supabase
+      .from("tags")
+      .select("id, project_id")
+      .eq("id", tagId)
+      .single();
+    if (tagErr || !tag) return res.status(404).json({ error: "Tag not found" });
+
+    if (!(await canManageTags(supabase, empId, tag.project_id))) {
+      return res.status(403).json({ error: "Forbidden: you cannot delete this tag" });
+    }
+
+    // task_tags / subtask_tags rows go with it (ON DELETE CASCADE)
+    const { error } = await supabase.from("tags").delete().eq("id", tagId);
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
@@ -0,0 +1,336 @@
+import { Router } from "express";
+import multer from "multer";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { canViewTask, getRoleForEmpId, recordTaskHistory } from "../lib/taskAccess.js";
+import { getAttachmentStorage } from "../lib/attachmentStorage.js";
+import attachmentService, {
+  ATTACHMENT_COLUMNS,
+  VERSION_COLUMNS,
+  SIGNED_URL_TTL_SECONDS,
+} from "../services/attachmentService.js";
+
+// Mounted under /tasks/:id/attachments, so :id is the task the files belong to
+const router = Router({ mergeParams: true });
+
+// Files are kept in memory and handed to the storage adapter; the allow-list and
+// size limit are read per request so they follow the environment configuration.
+// Also used for the legacy single task file on POST/PUT /tasks.
+export function handleUpload(req, res, next) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: attachmentService.getMaxAttachmentBytes() },
+    fileFilter: (req, file, cb) => {
+      if (attachmentService.isMimeTypeAllowed(file.mimetype)) {
+        cb(null, true);
+      } else {
+        const err = new Error(`File type ${file.mimetype || "unknown"} is not allowed`);
+        err.code = "UNSUPPORTED_MEDIA_TYPE";
+        cb(err, false);
+      }
+    },
+  }).single("file");
+
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "File is too large" });
+    if (err.code === "UNSUPPORTED_MEDIA_TYPE") return res.status(415).json({ error: err.message });
+    return res.status(400).json({ error: err.message });
+  });
+}
+
+async function loadTask(supabase, taskId) {
+  const { data: task, error } = await supabase
+    .from("tasks")
+    .select("id, title, owner_id, collaborators")
+    .eq("id", taskId)
+    .single();
+  if (error || !task) return null;
+  return task;
+}
+
+async function loadAttachment(supabase, taskId, attachmentId) {
+  const { data: attachment, error } = await supabase
+    .from("task_attachments")
+    .select(ATTACHMENT_COLUMNS)
+    .eq("id", attachmentId)
+    .single();
+  if (error || !attachment || Number(attachment.task_id) !== Number(taskId)) return null;
+  return attachment;
+}
+
+// A subtask given on an upload must belong to the task
+async function validateSubtask(supabase, taskId, subtaskId) {
+  if (subtaskId === undefined || subtaskId === null || subtaskId === "") return { ok: true, value: null };
+  const id = Number(subtaskId);
+  if (!Number.isFinite(id)) return { ok: false };
+  const { data: subtask, error } = await supabase
+    .from("sub_task")
+    .select("id, parent_task_id")
+    .eq("id", id)
+    .single();
+  if (error || !subtask || Number(subtask.parent_task_id) !== Number(taskId)) return { ok: false };
+  return { ok: true, value: id };
+}
+
+// GET /tasks/:id/attachments - attachments of the task (optionally ?subtask_id=) with their versions
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const task = await loadTask(supabase, taskId);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    if (!(await canViewTask(supabase, task, empId))) {
+      return res.status(403).json({ error: "Forbidden: no access to this task" });
+    }
+
+    let query = supabase
+      .from("task_attachments")
+      .select(ATTACHMENT_COLUMNS)
+      .eq("task_id", taskId);
+    if (req.query.subtask_id) {
+      query = query.eq("subtask_id", Number(req.query.subtask_id));
+    }
+    const { data: attachments, error } = await query.order("created_at", { ascending: true });
+    if (error) return res.status(400).json({ error: error.message });
+
+    let versions = [];
+    const attachmentIds = (attachments || []).map((a) => a.id);
+    if (attachmentIds.length > 0) {
+      const { data, error: versionsErr } = await supabase
+        .from("task_attachment_versions")
+        .select(VERSION_COLUMNS)
+        .in("attachment_id", attachmentIds);
+      if (versionsErr) return res.status(400).json({ error: versionsErr.message });
+      versions = data || [];
+    }
+
+    res.json({
+      attachments: attachmentService.groupVersions(attachments || [], versions),
+      allowed_mime_types: attachmentService.getAllowedMimeTypes(),
+      max_size_bytes: attachmentService.getMaxAttachmentBytes(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/attachments - upload a new attachment (multipart "file", optional subtask_id)
+router.post("/", handleUpload, async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const uploadError = attachmentService.validateUpload(req.file);
+    if (uploadError) return res.status(400).json({ error: uploadError });
+
+    const task = await loadTask(supabase, taskId);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    if (!(await canViewTask(supabase, task, empId))) {
+      return res.status(403).json({ error: "Forbidden: no access to this task" });
+    }
+
+    const subtask = await validateSubtask(supabase, taskId, req.body?.subtask_id);
+    if (!subtask.ok) return res.status(400).json({ error: "Subtask does not belong to this task" });
+
+    const storage = getAttachmentStorage(supabase);
+    const attachment = await attachmentService.createAttachment(supabase, storage, {
+      taskId,
+      subtaskId: subtask.value,
+      file: req.file,
+      empId,
+    });
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "attachment_add",
+      details: { attachment_id: attachment.id, subtask_id: subtask.value, file_name: attachment.file_name },
+    });
+
+    res.status(201).json({ attachment });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/attachments/:attachmentId/versions - upload a replacement file as a new version
+router.post("/:attachmentId/versions", handleUpload, async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    const attachmentId = Number(req.params.attachmentId);
+    if (!Number.isFinite(taskId) || !Number.isFinite(attachmentId)) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+
+    const uploadError = attachmentService.validateUpload(req.file);
+    if (uploadError) return res.status(400).json({ error: uploadError });
+
+    const task = await loadTask(supabase, taskId);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    if (!(await canViewTask(supabase, task, empId))) {
+      return res.status(403).json({ error: "Forbidden: no access to this task" });
+    }
+
+    const attachment = await loadAttachment(supabase, taskId, attachmentId);
+    if (!attachment) return res.status(404).json({ error: "Attachment not found" });
+
+    const storage = getAttachmentStorage(supabase);
+    const version = await attachmentService.addVersion(supabase, storage, attachment, {
+      file: req.file,
+      empId,
+    });
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "attachment_version",
+      details: { attachment_id: attachmentId, version: version.version, file_name: version.file_name },
+    });
+
+    res.status(201).json({ version });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /tasks/:id/attachments/:attachmentId/download - signed URL for the current (or ?version=) version
+router.get("/:attachmentId/download", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    const attachmentId = Number(req.params.attachmentId);
+    if (!Number.isFinite(taskId) || !Number.isFinite(attachmentId)) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+
+    const task = await loadTask(supabase, taskId);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    if (!(await canViewTask(supabase, task, empId))) {
+      return res.status(403).json({ error: "Forbidden: no access to this task" });
+    }
+
+    const attachment = await loadAttachment(supabase, taskId, attachmentId);
+    if (!attachment) return res.status(404).json({ error: "Attachment not found" });
+
+    const versionNumber = req.query.version ? Number(req.query.version) : attachment.current_version;
+    const { data: version, error } = await supabase
+      .from("task_attachment_versions")
+      .select(VERSION_COLUMNS)
+      .eq("attachment_id", attachmentId)
+      .eq("version", versionNumber)
+      .single();
+    if (error || !version) return res.status(404).json({ error: "Version not found" });
+
+    const storage = getAttachmentStorage(supabase, { bucket: version.storage_bucket });
+    const url = await attachmentService.getSignedDownloadUrl(storage, version);
+
+    res.json({
+      url,
+      file_name: version.file_name,
+      version: version.version,
+      expires_in: SIGNED_URL_TTL_SECONDS,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /tasks/:id/attachments/:attachmentId - uploader, task owner, managers and directors
+router.delete("/:attachmentId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    const attachmentId = Number(req.params.attachmentId);
+    if (!Number.isFinite(taskId) || !Number.isFinite(attachmentId)) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+
+    const task = await loadTask(supabase, taskId);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+
+    const attachment = await loadAttachment(supabase, taskId, attachmentId);
+    if (!attachment) return res.status(404).json({ error: "Attachment not found" });
+
+    const isUploader = String(attachment.uploaded_by) === String(empId);
+    const isOwner = String(task.owner_id) === String(empId);
+    if (!isUploader && !isOwner) {
+      const role = await getRoleForEmpId(supabase, empId);
+      if (role !== "manager" && role !== "director") {
+        return res.status(403).json({ error: "Only the uploader or the task owner can delete this attachment" });
+      }
+    }
+
+    const storage = getAttachmentStorage(supabase);
+    await attachmentService.deleteAttachment(supabase, storage, attachment);
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "attachment_delete",
+      details: { attachment_id: attachmentId, file_name: attachment.file_name },
+    });
+
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
@@ -0,0 +1,280 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { canViewTask, isTaskMember, getRoleForEmpId, recordTaskHistory } from "../lib/taskAccess.js";
+import checklistService, {
+  CHECKLIST_ACTIONS,
+  MAX_CHECKLIST_ITEMS,
+} from "../services/checklistService.js";
+
+// Mounted under /tasks/:id/checklist, so :id is the task. Anyone who can see the task
+// can read its checklist; task members (and managers/directors) can edit it.
+const router = Router({ mergeParams: true });
+
+// Resolve the caller and the task; with { edit: true } the caller must be able to edit the checklist
+async function loadChecklistContext(req, res, { edit = false } = {}) {
+  const supabase = getServiceClient();
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ error: "Missing access token" });
+    return null;
+  }
+
+  const user = await getUserFromToken(token);
+  if (!user) {
+    res.status(401).json({ error: "Invalid token" });
+    return null;
+  }
+  const empId = await getEmpIdForUserId(user.id);
+  if (!empId) {
+    res.status(400).json({ error: "emp_id not found" });
+    return null;
+  }
+
+  const taskId = Number(req.params.id);
+  if (!Number.isFinite(taskId)) {
+    res.status(400).json({ error: "Invalid task id" });
+    return null;
+  }
+
+  const { data: task, error: taskErr } = await supabase
+    .from("tasks")
+    .select("id, owner_id, collaborators, project_id, require_checklist_complete")
+    .eq("id", taskId)
+    .single();
+  if (taskErr || !task) {
+    res.status(404).json({ error: "Task not found" });
+    return null;
+  }
+
+  const role = await getRoleForEmpId(supabase, empId);
+  const canManage = String(task.owner_id) === String(empId) || role === "manager" || role === "director";
+  const canEdit = isTaskMember(task, empId) || canManage;
+  if (!canEdit && !(await canViewTask(supabase, task, empId))) {
+    res.status(403).json({ error: "Forbidden: no access to this task" });
+    return null;
+  }
+  if (edit && !canEdit) {
+    res.status(403).json({ error: "Forbidden: only task members can edit the checklist" });
+    return null;
+  }
+
+  return { supabase, empId, userId: user.id, taskId, task, canEdit, canManage };
+}
+
+async function loadItem(ctx, res) {
+  const itemId = Number(ctx.itemId);
+  if (!Number.isFinite(itemId)) {
+    res.status(400).json({ error: "Invalid checklist item id" });
+    return null;
+  }
+  const { data: item } = await ctx.supabase
+    .from("task_checklist_items")
+    .select("id, task_id, title, position, done")
+    .eq("id", itemId)
+    .single();
+  if (!item || Number(item.task_id) !== ctx.taskId) {
+    res.status(404).json({ error: "Checklist item not found" });
+    return null;
+  }
+  return item;
+}
+
+async function checklistState(ctx, requireComplete = ctx.task.require_checklist_complete) {
+  const items = await checklistService.listChecklist(ctx.supabase, ctx.taskId);
+  return {
+    items,
+    summary: checklistService.summarizeChecklist(items),
+    require_complete: Boolean(requireComplete),
+    can_edit: ctx.canEdit,
+    can_manage: ctx.canManage,
+  };
+}
+
+// GET /tasks/:id/checklist - the checklist in order, with counts
+router.get("/", async (req, res) => {
+  try {
+    const ctx = await loadChecklistContext(req, res);
+    if (!ctx) return;
+    res.json(await checklistState(ctx));
+  } catch (e) {
+    console.error("Error loading checklist:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/checklist - add an item at the end. Body: { title }
+router.post("/", async (req, res) => {
+  try {
+    const ctx = await loadChecklistContext(req, res, { edit: true });
+    if (!ctx) return;
+
+    const { title, error: titleError } = checklistService.validateChecklistTitle(req.body?.title);
+    if (titleError) return res.status(400).json({ error: titleError });
+
+    const items = await checklistService.listChecklist(ctx.supabase, ctx.taskId);
+    if (items.length >= MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({ error: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` });
+    }
+
+    const { error } = await ctx.supabase
+      .from("task_checklist_items")
+      .insert([{
+        task_id: ctx.taskId,
+        title,
+        position: checklistService.nextChecklistPosition(items),
+        created_by: ctx.empId,
+      }]);
+    if (error) return res.status(400).json({ error: error.message });
+
+    await recordTaskHistory(ctx.supabase, {
+      taskId: ctx.taskId, empId: ctx.empId, userId: ctx.userId, action: CHECKLIST_ACTIONS.add, details: { title },
+    });
+    res.status(201).json(await checklistState(ctx));
+  } catch (e) {
+    console.error("Error adding checklist item:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/:id/checklist/order - reorder the checklist. Body: { ordered_ids }
+router.put("/order", async (req, res) => {
+  try {
+    const ctx = await loadChecklistContext(req, res, { edit: true });
+    if (!ctx) return;
+
+    const items = await checklistService.listChecklist(ctx.supabase, ctx.taskId);
+    const { positions, error: orderError } = checklistService.planChecklistReorder(items, req.body?.ordered_ids);
+    if (orderError) return res.status(400).json({ error: orderError });
+
+    for (const { id, position } of positions) {
+      const { error } = await ctx.supabase.from("task_checklist_items").update({ position }).eq("id", id);
+      if (error) return res.status(400).json({ error: error.message });
+    }
+
+    if (positions.length > 0) {
+      await recordTaskHistory(ctx.supabase, {
+        taskId: ctx.taskId, empId: ctx.empId, userId: ctx.userId, action: CHECKLIST_ACTIONS.reorder, details: {},
+      });
+    }
+    res.json(await checklistState(ctx));
+  } catch (e) {
+    console.error("Error reordering checklist:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/:id/checklist/settings - whether every item must be checked before the
+// task can be completed (owner, managers and directors). Body: { require_complete }
+router.put("/settings", async (req, res) => {
+  try {
+    const ctx = await loadChecklistContext(req, res, { edit: true });
+    if (!ctx) return;
+    if (!ctx.canManage) {
+      return res.status(403).json({ error: "Forbidden: only the task owner can change checklist settings" });
+    }
+
+    const requireComplete = req.body?.require_complete;
+    if (typeof requireComplete !== "boolean") {
+      return res.status(400).json({ error: "require_complete must be true or false" });
+    }
+
+    const { error } = await ctx.supabase
+      .from("tasks")
+      .update({ require_checklist_complete: requireComplete })
+      .eq("id", ctx.taskId);
+    if (error) return res.status(400).json({ error: error.message });
+
+    await recordTaskHistory(ctx.supabase, {
+      taskId: ctx.taskId, empId: ctx.empId, userId: ctx.userId, action: CHECKLIST_ACTIONS.require, details: { require_complete: requireComplete },
+    });
+    res.json(await checklistState(ctx, requireComplete));
+  } catch (e) {
+    console.error("Error updating checklist settings:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/:id/checklist/:itemId - rename an item. Body: { title }
+router.put("/:itemId", async (req, res) => {
+  try {
+    const ctx = await loadChecklistContext(req, res, { edit: true });
+    if (!ctx) return;
+    const item = await loadItem({ ...ctx, itemId: req.params.itemId }, res);
+    if (!item) return;
+
+    const { title, error: titleError } = checklistService.validateChecklistTitle(req.body?.title);
+    if (titleError) return res.status(400).json({ error: titleError });
+
+    if (title !== item.title) {
+      const { error } = await ctx.supabase.from("task_checklist_items").update({ title }).eq("id", item.id);
+      if (error) return res.status(400).json({ error: error.message });
+      await recordTaskHistory(ctx.supabase, {
+        taskId: ctx.taskId, empId: ctx.empId, userId: ctx.userId, action: CHECKLIST_ACTIONS.rename, details: { from: item.title, to: title },
+      });
+    }
+    res.json(await checklistState(ctx));
+  } catch (e) {
+    console.error("Error renaming checklist item:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/checklist/:itemId/check and /uncheck
+const setChecked = (done) => async (req, res) => {
+  try {
+    const ctx = await loadChecklistContext(req, res, { edit: true });
+    if (!ctx) return;
+    const item = await loadItem({ ...ctx, itemId: req.params.itemId }, res);
+    if (!item) return;
+
+    if (Boolean(item.done) !== done) {
+      const { error } = await ctx.supabase
+        .from("task_checklist_items")
+        .update(checklistService.buildCheckUpdate(done, ctx.empId))
+        .eq("id", item.id);
+      if (error) return res.status(400).json({ error: error.message });
+      await recordTaskHistory(ctx.supabase, {
+        taskId: ctx.taskId,
+        empId: ctx.empId,
+        userId: ctx.userId,
+        action: done ? CHECKLIST_ACTIONS.check : CHECKLIST_ACTIONS.uncheck,
+        details: { title: item.title },
+      });
+    }
+    res.json(await checklistState(ctx));
+  } catch (e) {
+    console.error("Error updating checklist item:", e);
+    res.status(500).json({ error: e.message });
+  }
+};
+
+router.post("/:itemId/check", setChecked(true));
+router.post("/:itemId/uncheck", setChecked(false));
+
+// DELETE /tasks/:id/checklist/:itemId - remove an item
+router.delete("/:itemId", async (req, res) => {
+  try {
+    const ctx = await loadChecklistContext(req, res, { edit: true });
+    if (!ctx) return;
+    const item = await loadItem({ ...ctx, itemId: req.params.itemId }, res);
+    if (!item) return;
+
+    const { error } = await ctx.supabase.from("task_checklist_items").delete().eq("id", item.id);
+    if (error) return res.status(400).json({ error: error.message });
+
+    await recordTaskHistory(ctx.supabase, {
+      taskId: ctx.taskId, empId: ctx.empId, userId: ctx.userId, action: CHECKLIST_ACTIONS.remove, details: { title: item.title },
+    });
+    res.json(await checklistState(ctx));
+  } catch (e) {
+    console.error("Error removing checklist item:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
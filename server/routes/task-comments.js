@@ -0,0 +1,339 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+  getNumericIdFromEmpId,
+} from "../lib/supabase.js";
+import { canViewTask, recordTaskHistory } from "../lib/taskAccess.js";
+import commentService from "../services/commentService.js";
+
+// Mounted under /tasks/:id/comments, so :id is the parent task id
+const router = Router({ mergeParams: true });
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Load the task and make sure the requester may see (and therefore discuss) it
+async function loadAccessibleTask(supabase, taskId, empId) {
+  const { data: task, error } = await supabase
+    .from("tasks")
+    .select("id, title, owner_id, collaborators")
+    .eq("id", taskId)
+    .single();
+
+  if (error || !task) return { status: 404, error: "Task not found" };
+
+  const allowed = await canViewTask(supabase, task, empId);
+  if (!allowed) return { status: 403, error: "Forbidden: no access to this task" };
+
+  return { task };
+}
+
+// Notify mentioned employees (only ones that exist, never the author)
+async function notifyMentions(supabase, { task, comment, mentions, authorEmpId, authorName }) {
+  const recipients = mentions.filter((m) => String(m) !== String(authorEmpId));
+  if (recipients.length === 0) return;
+
+  try {
+    const { data: users, error: usersErr } = await supabase
+      .from("users")
+      .select("emp_id")
+      .in("emp_id", recipients);
+    if (usersErr || !users || users.length === 0) return;
+
+    const notificationsToInsert = users.map((u) => ({
+      emp_id: getNumericIdFromEmpId(u.emp_id), // Convert emp_id to numeric ID for notifications table
+      task_id: task.id,
+      // Comment id keeps the title unique per (task, emp, type) across several mentions
+      title: `Mentioned in "${task.title}" (comment #${comment.id})`,
+      description: `${authorName} mentioned you in a comment on "${task.title}": "${comment.body.slice(0, 140)}"`,
+      type: "Mention",
+      created_at: new Date().toISOString(),
+      read: false,
+    }));
+
+    const { error: notifErr } = await supabase.from("notifications").insert(notificationsToInsert);
+    if (notifErr) console.error("Failed to insert mention notifications:", notifErr);
+  } catch (e) {
+    console.error("Mention notification error:", e);
+  }
+}
+
+// GET /tasks/:id/comments - threaded comments for a task
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const access = await loadAccessibleTask(supabase, taskId, empId);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    const { data: rows, error } = await supabase
+      .from("task_comments")
+      .select("id, task_id, parent_comment_id, author_emp_id, body, mentions, created_at, updated_at, deleted_at")
+      .eq("task_id", taskId)
+      .order("created_at", { ascending: true });
+    if (error) return res.status(400).json({ error: error.message });
+
+    const comments = rows || [];
+
+    // Attach author names
+    const authorIds = [...new Set(comments.map((c) => c.author_emp_id).filter(Boolean))];
+    const authorNames = {};
+    if (authorIds.length > 0) {
+      const { data: authors, error: authorsErr } = await supabase
+        .from("users")
+        .select("emp_id, name")
+        .in("emp_id", authorIds);
+      if (!authorsErr && authors) {
+        authors.forEach((a) => { authorNames[a.emp_id] = a.name; });
+      }
+    }
+
+    const withNames = comments.map((c) => ({
+      ...c,
+      // Deleted comments stay in the thread as placeholders so replies keep their context
+      body: c.deleted_at ? null : c.body,
+      author_name: authorNames[c.author_emp_id] || null,
+    }));
+
+    res.json({ comments: commentService.buildCommentThreads(withNames), total: comments.length });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/comments - add a comment or a reply (parent_comment_id)
+router.post("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const { body: rawBody, parent_comment_id } = req.body || {};
+    const body = typeof rawBody === "string" ? rawBody.trim() : "";
+    if (!body) return res.status(400).json({ error: "Comment body is required" });
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const access = await loadAccessibleTask(supabase, taskId, empId);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { task } = access;
+
+    // Replies must point at a live comment on the same task
+    let parentId = null;
+    if (parent_comment_id !== undefined && parent_comment_id !== null && parent_comment_id !== "") {
+      parentId = Number(parent_comment_id);
+      const { data: parent, error: parentErr } = await supabase
+        .from("task_comments")
+        .select("id, task_id, deleted_at")
+        .eq("id", parentId)
+        .single();
+      if (parentErr || !parent || Number(parent.task_id) !== taskId) {
+        return res.status(400).json({ error: "Parent comment not found on this task" });
+      }
+      if (parent.deleted_at) {
+        return res.status(400).json({ error: "Cannot reply to a deleted comment" });
+      }
+    }
+
+    const mentions = commentService.parseMentions(body);
+
+    const { data: comment, error } = await supabase
+      .from("task_comments")
+      .insert({
+        task_id: taskId,
+        parent_comment_id: parentId,
+        author_emp_id: empId,
+        body,
+        mentions,
+      })
+      .select()
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    let authorName = "Someone";
+    // Optional: a missing name falls back to "Someone"
+    const { data: author } = await supabase
+      .from("users")
+      .select("name")
+      .eq("emp_id", empId)
+      .maybeSingle();
+    if (author?.name) authorName = author.name;
+
+    await notifyMentions(supabase, { task, comment, mentions, authorEmpId: empId, authorName });
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "comment_create",
+      details: { comment_id: comment.id, parent_comment_id: parentId, mentions },
+    });
+
+    res.status(201).json({ comment: { ...comment, author_name: authorName, replies: [] } });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/:id/comments/:commentId - edit own comment
+router.put("/:commentId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    const commentId = Number(req.params.commentId);
+    if (!Number.isFinite(taskId) || !Number.isFinite(commentId)) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+
+    const body = typeof req.body?.body === "string" ? req.body.body.trim() : "";
+    if (!body) return res.status(400).json({ error: "Comment body is required" });
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const access = await loadAccessibleTask(supabase, taskId, empId);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { task } = access;
+
+    const { data: existing, error: fetchErr } = await supabase
+      .from("task_comments")
+      .select("id, task_id, author_emp_id, body, mentions, deleted_at")
+      .eq("id", commentId)
+      .single();
+    if (fetchErr || !existing || Number(existing.task_id) !== taskId || existing.deleted_at) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+    if (String(existing.author_emp_id) !== String(empId)) {
+      return res.status(403).json({ error: "You can only edit your own comments" });
+    }
+
+    const mentions = commentService.parseMentions(body);
+
+    const { data: comment, error } = await supabase
+      .from("task_comments")
+      .update({ body, mentions, updated_at: new Date().toISOString() })
+      .eq("id", commentId)
+      .select()
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    // Only people newly mentioned by the edit get a notification
+    const newMentions = commentService.getNewMentions(existing.mentions, mentions);
+    if (newMentions.length > 0) {
+      let authorName = "Someone";
+      // Optional: a missing name falls back to "Someone"
+      const { data: author } = await supabase
+        .from("users")
+        .select("name")
+        .eq("emp_id", empId)
+        .maybeSingle();
+      if (author?.name) authorName = author.name;
+      await notifyMentions(supabase, { task, comment, mentions: newMentions, authorEmpId: empId, authorName });
+    }
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "comment_update",
+      details: { comment_id: commentId, previous_body: existing.body, mentions },
+    });
+
+    res.json({ comment });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /tasks/:id/comments/:commentId - author or task owner can delete
+router.delete("/:commentId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    const commentId = Number(req.params.commentId);
+    if (!Number.isFinite(taskId) || !Number.isFinite(commentId)) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+
+    const access = await loadAccessibleTask(supabase, taskId, empId);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { task } = access;
+
+    const { data: existing, error: fetchErr } = await supabase
+      .from("task_comments")
+      .select("id, task_id, author_emp_id, deleted_at")
+      .eq("id", commentId)
+      .single();
+    if (fetchErr || !existing || Number(existing.task_id) !== taskId || existing.deleted_at) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const isAuthor = String(existing.author_emp_id) === String(empId);
+    const isTaskOwner = String(task.owner_id) === String(empId);
+    if (!isAuthor && !isTaskOwner) {
+      return res.status(403).json({ error: "Only the author or the task owner can delete this comment" });
+    }
+
+    // Soft delete so replies keep their place in the thread
+    const { error } = await supabase
+      .from("task_comments")
+      .update({ deleted_at: new Date().toISOString() })
+      .eq("id", commentId);
+    if (error) return res.status(400).json({ error: error.message });
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "comment_delete",
+      details: { comment_id: commentId, author_emp_id: existing.author_emp_id },
+    });
+
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
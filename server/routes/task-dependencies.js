@@ -0,0 +1,221 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { canViewTask, isTaskMember, getRoleForEmpId, getManagedMemberIds, recordTaskHistory } from "../lib/taskAccess.js";
+import dependencyService, { DEPENDENCY_TYPES } from "../services/dependencyService.js";
+
+// Mounted under /tasks/:id/dependencies, so :id is the task being viewed
+const router = Router({ mergeParams: true });
+
+// A link changes when the successor can be completed, so it takes edit rights on the
+// successor (its owner or a collaborator, a manager of the owner's team or a director)
+// and sight of the predecessor
+async function canManageDependency(supabase, { predecessor, successor }, empId) {
+  if (!predecessor || !successor) return false;
+  if (!(await canViewTask(supabase, predecessor, empId))) return false;
+  if (isTaskMember(successor, empId)) return true;
+  const role = await getRoleForEmpId(supabase, empId);
+  if (role === "director") return true;
+  if (role !== "manager" || successor.owner_id == null) return false;
+  const teamMemberIds = await getManagedMemberIds(supabase, empId);
+  return teamMemberIds.has(String(successor.owner_id));
+}
+
+// Pick the two ends of a link out of the loaded task rows
+function linkEnds(tasks, predecessorId, successorId) {
+  const byId = new Map((tasks || []).map((t) => [Number(t.id), t]));
+  return { predecessor: byId.get(Number(predecessorId)), successor: byId.get(Number(successorId)) };
+}
+
+// GET /tasks/:id/dependencies - tasks blocking this one and tasks it blocks
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select("id, title, status, due_date, owner_id, collaborators")
+      .eq("id", taskId)
+      .single();
+    if (taskErr || !task) return res.status(404).json({ error: "Task not found" });
+
+    if (!(await canViewTask(supabase, task, empId))) {
+      return res.status(403).json({ error: "Forbidden: no access to this task" });
+    }
+
+    await dependencyService.attachDependencySummaries(supabase, [task]);
+    res.json({ blocked_by: task.blocked_by, blocking: task.blocking });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/dependencies - link this task to another one
+// Body: { predecessor_task_id } (this task is blocked by it) or { successor_task_id } (this task blocks it),
+// plus an optional type: finish_to_start (default) | start_to_start
+router.post("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const { predecessor_task_id, successor_task_id, type = "finish_to_start" } = req.body || {};
+    const hasPredecessor = predecessor_task_id !== undefined && predecessor_task_id !== null && predecessor_task_id !== "";
+    const hasSuccessor = successor_task_id !== undefined && successor_task_id !== null && successor_task_id !== "";
+    if (hasPredecessor === hasSuccessor) {
+      return res.status(400).json({ error: "Provide exactly one of predecessor_task_id or successor_task_id" });
+    }
+    if (!DEPENDENCY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid dependency type. Must be one of: ${DEPENDENCY_TYPES.join(", ")}` });
+    }
+
+    const predecessorId = hasPredecessor ? Number(predecessor_task_id) : taskId;
+    const successorId = hasSuccessor ? Number(successor_task_id) : taskId;
+    if (!Number.isFinite(predecessorId) || !Number.isFinite(successorId)) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+    if (predecessorId === successorId) {
+      return res.status(400).json({ error: "A task cannot depend on itself" });
+    }
+
+    const { data: tasks, error: tasksErr } = await supabase
+      .from("tasks")
+      .select("id, title, status, owner_id, collaborators")
+      .in("id", [predecessorId, successorId]);
+    if (tasksErr) return res.status(400).json({ error: tasksErr.message });
+    if (!tasks || tasks.length < 2) return res.status(404).json({ error: "Task not found" });
+
+    if (!(await canManageDependency(supabase, linkEnds(tasks, predecessorId, successorId), empId))) {
+      return res.status(403).json({ error: "You can only link a task you can edit to a task you can view" });
+    }
+
+    const { data: existing, error: existingErr } = await supabase
+      .from("task_dependencies")
+      .select("id")
+      .eq("predecessor_task_id", predecessorId)
+      .eq("successor_task_id", successorId)
+      .limit(1);
+    if (existingErr) return res.status(400).json({ error: existingErr.message });
+    if (existing?.length) {
+      return res.status(409).json({ error: "These tasks are already linked" });
+    }
+
+    // Follow the links out of the successor so indirect loops (A -> B -> C -> A) are caught too
+    let edges;
+    try {
+      edges = await dependencyService.loadDownstreamLinks(supabase, successorId);
+    } catch (edgesErr) {
+      return res.status(400).json({ error: edgesErr.message });
+    }
+    if (dependencyService.wouldCreateCycle(edges, predecessorId, successorId)) {
+      return res.status(409).json({ error: "This dependency would create a cycle" });
+    }
+
+    const { data: dependency, error } = await supabase
+      .from("task_dependencies")
+      .insert({
+        predecessor_task_id: predecessorId,
+        successor_task_id: successorId,
+        type,
+        created_by: empId,
+      })
+      .select()
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    const details = { dependency_id: dependency.id, predecessor_task_id: predecessorId, successor_task_id: successorId, type };
+    await recordTaskHistory(supabase, { taskId: successorId, empId, userId: user.id, action: "dependency_add", details });
+    await recordTaskHistory(supabase, { taskId: predecessorId, empId, userId: user.id, action: "dependency_add", details });
+
+    res.status(201).json({ dependency });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /tasks/:id/dependencies/:dependencyId - remove a link involving this task
+router.delete("/:dependencyId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    const dependencyId = Number(req.params.dependencyId);
+    if (!Number.isFinite(taskId) || !Number.isFinite(dependencyId)) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+
+    const { data: dependency, error: depErr } = await supabase
+      .from("task_dependencies")
+      .select("id, predecessor_task_id, successor_task_id, type")
+      .eq("id", dependencyId)
+      .single();
+    if (depErr || !dependency) return res.status(404).json({ error: "Dependency not found" });
+    if (Number(dependency.predecessor_task_id) !== taskId && Number(dependency.successor_task_id) !== taskId) {
+      return res.status(404).json({ error: "Dependency not found" });
+    }
+
+    const { data: tasks, error: tasksErr } = await supabase
+      .from("tasks")
+      .select("id, owner_id, collaborators")
+      .in("id", [dependency.predecessor_task_id, dependency.successor_task_id]);
+    if (tasksErr) return res.status(400).json({ error: tasksErr.message });
+
+    const ends = linkEnds(tasks, dependency.predecessor_task_id, dependency.successor_task_id);
+    if (!(await canManageDependency(supabase, ends, empId))) {
+      return res.status(403).json({ error: "You can only unlink a task you can edit from a task you can view" });
+    }
+
+    const { error } = await supabase
+      .from("task_dependencies")
+      .delete()
+      .eq("id", dependencyId);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const details = {
+      dependency_id: dependencyId,
+      predecessor_task_id: dependency.predecessor_task_id,
+      successor_task_id: dependency.successor_task_id,
+      type: dependency.type,
+    };
+    await recordTaskHistory(supabase, { taskId: dependency.successor_task_id, empId, userId: user.id, action: "dependency_remove", details });
+    await recordTaskHistory(supabase, { taskId: dependency.predecessor_task_id, empId, userId: user.id, action: "dependency_remove", details });
+
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
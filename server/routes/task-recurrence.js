@@ -0,0 +1,357 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { isTaskMember, getRoleForEmpId, recordTaskHistory } from "../lib/taskAccess.js";
+import recurrenceService, { MAX_PREVIEW_COUNT } from "../services/recurrenceService.js";
+import recurrenceEditService from "../services/recurrenceEditService.js";
+import recurrenceScheduleService from "../services/recurrenceScheduleService.js";
+import concurrencyService from "../services/concurrencyService.js";
+
+// Mounted under /tasks/:id/recurrence, so :id is any task of a recurring series. Task
+// members, managers and directors can see the series; its owner, managers and directors
+// can skip or move single occurrences, pause or resume it, edit it and choose when it
+// creates its tasks.
+const router = Router({ mergeParams: true });
+
+const UPCOMING_COUNT = 5;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Resolve the caller, the task and its series; with { manage: true } the caller must be
+// able to change the series
+async function loadSeriesContext(req, res, { manage = false } = {}) {
+  const supabase = getServiceClient();
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ error: "Missing access token" });
+    return null;
+  }
+
+  const user = await getUserFromToken(token);
+  if (!user) {
+    res.status(401).json({ error: "Invalid token" });
+    return null;
+  }
+  const empId = await getEmpIdForUserId(user.id);
+  if (!empId) {
+    res.status(400).json({ error: "emp_id not found" });
+    return null;
+  }
+
+  const taskId = Number(req.params.id);
+  if (!Number.isFinite(taskId)) {
+    res.status(400).json({ error: "Invalid task id" });
+    return null;
+  }
+
+  const { data: task, error: taskErr } = await supabase
+    .from("tasks")
+    .select("*")
+    .eq("id", taskId)
+    .single();
+  if (taskErr || !task) {
+    res.status(404).json({ error: "Task not found" });
+    return null;
+  }
+  if (!task.is_recurring || !task.recurrence_series_id) {
+    res.status(400).json({ error: "This task is not part of a recurring series" });
+    return null;
+  }
+
+  const role = await getRoleForEmpId(supabase, empId);
+  const canManage = String(task.owner_id) === String(empId) || role === "manager" || role === "director";
+  if (!canManage && !isTaskMember(task, empId)) {
+    res.status(403).json({ error: "Forbidden: no access to this task" });
+    return null;
+  }
+  if (manage && !canManage) {
+    res.status(403).json({ error: "Only the task owner, a manager or a director can change this series" });
+    return null;
+  }
+
+  const seriesId = task.recurrence_series_id;
+  const instances = await recurrenceService.loadSeriesInstances(supabase, seriesId);
+  const latest = recurrenceService.getLatestInstance(instances) || task;
+  const exceptions = await recurrenceService.listSeriesExceptions(supabase, seriesId);
+  return { supabase, user, empId, task, seriesId, instances, latest, exceptions, canManage };
+}
+
+// The series as the recurrence panel shows it
+function seriesOverview(ctx, exceptions = ctx.exceptions) {
+  const { latest } = ctx;
+  return {
+    series_id: ctx.seriesId,
+    paused_at: latest.recurrence_paused_at || null,
+    paused_by: latest.recurrence_paused_by || null,
+    generation: latest.recurrence_generation || "on_completion",
+    lookahead_days: latest.recurrence_lookahead_days ?? null,
+    default_lookahead_days: recurrenceScheduleService.getDefaultLookaheadDays(),
+    current_task_id: latest.id,
+    instances: ctx.instances.map((t) => ({
+      id: t.id,
+      title: t.title,
+      status: t.status,
+      due_date: t.due_date,
+      occurrence_date: recurrenceService.getOccurrenceDate(t),
+      recurrence_count: t.recurrence_count,
+    })),
+    exceptions,
+    upcoming: recurrenceService.listNextOccurrences(latest, exceptions, { count: UPCOMING_COUNT, includeSkipped: true }),
+    can_manage: ctx.canManage,
+  };
+}
+
+// Skip or move one occurrence
+async function saveOccurrenceException(req, res, action) {
+  const ctx = await loadSeriesContext(req, res, { manage: true });
+  if (!ctx) return;
+  const { supabase, latest, exceptions, seriesId } = ctx;
+  const { date, new_date: newDate } = req.body || {};
+
+  const { error } = recurrenceService.validateException(latest, exceptions, { action, date, newDate, today: today() });
+  if (error) return res.status(400).json({ error });
+
+  const exception = await recurrenceService.saveException(supabase, { seriesId, date, action, newDate, empId: ctx.empId });
+  await recordTaskHistory(supabase, {
+    taskId: latest.id,
+    empId: ctx.empId,
+    userId: ctx.user.id,
+    action: `recurrence_${action}`,
+    details: { occurrence_date: date, new_date: exception.new_date },
+  });
+
+  const updated = [...exceptions.filter((e) => String(e.occurrence_date) !== date), exception];
+  res.status(201).json({ exception, series: seriesOverview(ctx, updated) });
+}
+
+// GET /tasks/:id/recurrence - the series: instances, exceptions, the next occurrences
+// (skipped ones included) and whether it is paused
+router.get("/", async (req, res) => {
+  try {
+    const ctx = await loadSeriesContext(req, res);
+    if (!ctx) return;
+    res.json(seriesOverview(ctx));
+  } catch (e) {
+    console.error("Error loading recurrence series:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /tasks/:id/recurrence/preview?count=N - the next N occurrences (10 by default),
+// skipped and moved ones marked, with notes on dates that may surprise (month ends)
+router.get("/preview", async (req, res) => {
+  try {
+    const count = recurrenceService.parsePreviewCount(req.query.count);
+    if (count === null) {
+      return res.status(400).json({ error: `count must be a whole number from 1 to ${MAX_PREVIEW_COUNT}` });
+    }
+    const ctx = await loadSeriesContext(req, res);
+    if (!ctx) return;
+    res.json({
+      series_id: ctx.seriesId,
+      paused: Boolean(ctx.latest.recurrence_paused_at),
+      ...recurrenceService.previewSeries(ctx.latest, ctx.exceptions, { count }),
+    });
+  } catch (e) {
+    console.error("Error previewing recurrence:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/recurrence/skip - { date }: no task is created for that occurrence
+router.post("/skip", async (req, res) => {
+  try {
+    await saveOccurrenceException(req, res, "skip");
+  } catch (e) {
+    console.error("Error skipping occurrence:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/recurrence/reschedule - { date, new_date }: that occurrence's task is
+// due on new_date; the rest of the series keeps its dates
+router.post("/reschedule", async (req, res) => {
+  try {
+    await saveOccurrenceException(req, res, "reschedule");
+  } catch (e) {
+    console.error("Error rescheduling occurrence:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /tasks/:id/recurrence/exceptions/:date - undo a skip or move
+router.delete("/exceptions/:date", async (req, res) => {
+  try {
+    const ctx = await loadSeriesContext(req, res, { manage: true });
+    if (!ctx) return;
+    const date = recurrenceService.parseOccurrenceDate(req.params.date);
+    if (!date) return res.status(400).json({ error: "date must be a date (YYYY-MM-DD)" });
+
+    const removed = await recurrenceService.deleteException(ctx.supabase, ctx.seriesId, date);
+    if (!removed) return res.status(404).json({ error: "No skipped or moved occurrence on that date" });
+    await recordTaskHistory(ctx.supabase, {
+      taskId: ctx.latest.id,
+      empId: ctx.empId,
+      userId: ctx.user.id,
+      action: "recurrence_restore",
+      details: { occurrence_date: date },
+    });
+
+    res.json({ series: seriesOverview(ctx, ctx.exceptions.filter((e) => String(e.occurrence_date) !== date)) });
+  } catch (e) {
+    console.error("Error restoring occurrence:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/recurrence/pause - completing the open task creates no next one
+router.post("/pause", async (req, res) => {
+  try {
+    const ctx = await loadSeriesContext(req, res, { manage: true });
+    if (!ctx) return;
+    if (ctx.latest.recurrence_paused_at) return res.status(409).json({ error: "This series is already paused" });
+
+    const at = new Date().toISOString();
+    await recurrenceService.setSeriesPaused(ctx.supabase, ctx.seriesId, { paused: true, empId: ctx.empId, at });
+    await recordTaskHistory(ctx.supabase, {
+      taskId: ctx.latest.id,
+      empId: ctx.empId,
+      userId: ctx.user.id,
+      action: "recurrence_pause",
+      details: { series_id: ctx.seriesId },
+    });
+
+    ctx.latest = { ...ctx.latest, recurrence_paused_at: at, recurrence_paused_by: ctx.empId };
+    res.json({ series: seriesOverview(ctx) });
+  } catch (e) {
+    console.error("Error pausing series:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/recurrence/resume - { resume_on } (today by default): the series picks
+// up at its first occurrence on or after that date
+router.post("/resume", async (req, res) => {
+  try {
+    const ctx = await loadSeriesContext(req, res, { manage: true });
+    if (!ctx) return;
+    if (!ctx.latest.recurrence_paused_at) return res.status(409).json({ error: "This series is not paused" });
+
+    const resumeOn = req.body?.resume_on ? recurrenceService.parseOccurrenceDate(req.body.resume_on) : today();
+    if (!resumeOn) return res.status(400).json({ error: "resume_on must be a date (YYYY-MM-DD)" });
+    if (resumeOn < today()) return res.status(400).json({ error: "resume_on cannot be in the past" });
+
+    const result = await recurrenceService.resumeSeries(ctx.supabase, ctx.latest, { resumeOn });
+    await recordTaskHistory(ctx.supabase, {
+      taskId: result.task?.id ?? ctx.latest.id,
+      empId: ctx.empId,
+      userId: ctx.user.id,
+      action: "recurrence_resume",
+      details: { resume_on: resumeOn, created: result.created, moved: result.moved },
+    });
+
+    const instances = await recurrenceService.loadSeriesInstances(ctx.supabase, ctx.seriesId);
+    const latest = recurrenceService.getLatestInstance(instances) || { ...ctx.latest, recurrence_paused_at: null };
+    res.json({
+      task: result.task,
+      created: result.created,
+      moved: result.moved,
+      series: seriesOverview({ ...ctx, instances, latest }),
+    });
+  } catch (e) {
+    console.error("Error resuming series:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/:id/recurrence/generation - { recurrence_generation, recurrence_lookahead_days }:
+// create the next task when the open one is completed ("on_completion") or on its date
+// ("on_schedule", up to recurrence_lookahead_days ahead); a series switched to schedule
+// catches up on the dates it has passed at the job's next run
+router.put("/generation", async (req, res) => {
+  try {
+    const ctx = await loadSeriesContext(req, res, { manage: true });
+    if (!ctx) return;
+    const { settings, error } = recurrenceScheduleService.parseGenerationSettings(req.body || {});
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(settings).length === 0) {
+      return res.status(400).json({ error: "Send recurrence_generation and/or recurrence_lookahead_days" });
+    }
+
+    await recurrenceScheduleService.setSeriesGeneration(ctx.supabase, ctx.seriesId, settings);
+    await recordTaskHistory(ctx.supabase, {
+      taskId: ctx.latest.id,
+      empId: ctx.empId,
+      userId: ctx.user.id,
+      action: "recurrence_generation",
+      details: { series_id: ctx.seriesId, ...settings },
+    });
+
+    ctx.latest = { ...ctx.latest, ...settings };
+    res.json({ series: seriesOverview(ctx) });
+  } catch (e) {
+    console.error("Error changing recurrence generation:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/:id/recurrence/series - { scope, title?, description?, priority?,
+// collaborators?, subtasks? }: edit only this task ("this"), this task and the later
+// ones ("following", which splits the series) or every open task of the series ("all_open").
+// An If-Match header (or version field) is checked against this task.
+router.put("/series", async (req, res) => {
+  try {
+    const ctx = await loadSeriesContext(req, res, { manage: true });
+    if (!ctx) return;
+    const { scope, changes, error } = recurrenceEditService.parseSeriesEdit(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const { version: expectedVersion, error: versionError } = concurrencyService.getExpectedVersion(req);
+    if (versionError) return res.status(400).json({ error: versionError });
+    if (!concurrencyService.isCurrentVersion(ctx.task, expectedVersion)) {
+      const fields = Object.fromEntries(Object.entries(changes).filter(([field]) => field !== "subtasks"));
+      return res.status(409).json(concurrencyService.buildConflict(ctx.task, fields, expectedVersion));
+    }
+
+    const result = await recurrenceEditService.applySeriesEdit(ctx.supabase, {
+      task: ctx.task,
+      instances: ctx.instances,
+      scope,
+      changes,
+    });
+    for (const task of result.tasks) {
+      await recordTaskHistory(ctx.supabase, {
+        taskId: task.id,
+        empId: ctx.empId,
+        userId: ctx.user.id,
+        action: "recurrence_series_edit",
+        details: {
+          scope,
+          updates: changes,
+          edited_task_id: ctx.task.id,
+          series_id: result.seriesId,
+          split_from: result.splitFrom,
+        },
+      });
+    }
+
+    const instances = await recurrenceService.loadSeriesInstances(ctx.supabase, result.seriesId);
+    const latest = recurrenceService.getLatestInstance(instances) || result.tasks[0];
+    const exceptions = await recurrenceService.listSeriesExceptions(ctx.supabase, result.seriesId);
+    res.json({
+      scope,
+      tasks: result.tasks,
+      split_from: result.splitFrom,
+      series: seriesOverview({ ...ctx, seriesId: result.seriesId, instances, latest }, exceptions),
+    });
+  } catch (e) {
+    console.error("Error editing recurrence series:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,414 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+  getNumericIdFromEmpId,
+} from "../lib/supabase.js";
+import { canViewTask, isTaskMember, parseCollaborators, getRoleForEmpId, recordTaskHistory } from "../lib/taskAccess.js";
+import reviewService, { REVIEW_ACTIONS } from "../services/reviewService.js";
+import workflowService, { normalizeStatus, toStatusKey } from "../services/workflowService.js";
+import dependencyService, { DEPENDENCY_CHECK_FAILED_ERROR } from "../services/dependencyService.js";
+import checklistService, { CHECKLIST_INCOMPLETE_ERROR, CHECKLIST_CHECK_FAILED_ERROR } from "../services/checklistService.js";
+import recurrenceService from "../services/recurrenceService.js";
+
+// Mounted under /tasks/:id/review, so :id is the task being reviewed
+const router = Router({ mergeParams: true });
+
+const UNDER_REVIEW = "under review";
+
+// Load the task; members, managers/directors and the task's reviewer may see its review
+async function loadReviewableTask(supabase, taskId, empId) {
+  const { data: task, error } = await supabase
+    .from("tasks")
+    .select("id, title, owner_id, collaborators, reviewer_id, status, is_recurring")
+    .eq("id", taskId)
+    .single();
+
+  if (error || !task) return { status: 404, error: "Task not found" };
+
+  const isReviewer = task.reviewer_id && String(task.reviewer_id) === String(empId);
+  if (!isReviewer && !(await canViewTask(supabase, task, empId))) {
+    return { status: 403, error: "Forbidden: no access to this task" };
+  }
+
+  return { task };
+}
+
+// Review history rows for a task, oldest first
+async function loadReviewHistory(supabase, taskId) {
+  const { data, error } = await supabase
+    .from("task_edit_history")
+    .select("id, action, details, editor_emp_id, created_at")
+    .eq("task_id", taskId)
+    .in("action", Object.values(REVIEW_ACTIONS))
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function getEmployeeName(supabase, empId) {
+  const { data } = await supabase
+    .from("users")
+    .select("name")
+    .eq("emp_id", empId)
+    .maybeSingle();
+  return data?.name || null;
+}
+
+async function notify(supabase, recipients, { task, title, description, type }) {
+  if (recipients.length === 0) return;
+  try {
+    const { error } = await supabase.from("notifications").insert(
+      recipients.map((recipient) => ({
+        emp_id: getNumericIdFromEmpId(recipient), // Convert emp_id to numeric ID for notifications table
+        task_id: task.id,
+        title,
+        description,
+        type,
+        created_at: new Date().toISOString(),
+        read: false,
+      }))
+    );
+    if (error) console.error(`Failed to insert ${type} notifications:`, error);
+  } catch (e) {
+    console.error(`${type} notification error:`, e);
+  }
+}
+
+// Owner and collaborators hear about a decision, except whoever made it
+function decisionRecipients(task, deciderEmpId) {
+  const members = [task.owner_id, ...parseCollaborators(task.collaborators)]
+    .filter(Boolean)
+    .map(String);
+  return [...new Set(members)].filter((m) => m !== String(deciderEmpId));
+}
+
+// GET /tasks/:id/review - current reviewer and the task's review rounds
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const access = await loadReviewableTask(supabase, taskId, empId);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { task } = access;
+
+    const history = await loadReviewHistory(supabase, taskId);
+    const role = await getRoleForEmpId(supabase, empId);
+    const actors = workflowService.getActors(task, empId, role);
+    const underReview = toStatusKey(task.status) === UNDER_REVIEW;
+
+    let defaultReviewer = null;
+    if (!underReview && isTaskMember(task, empId)) {
+      try {
+        defaultReviewer = await reviewService.findDefaultReviewer(supabase, empId);
+      } catch (teamErr) {
+        console.error("Failed to look up default reviewer:", teamErr);
+      }
+    }
+
+    res.json({
+      task_id: taskId,
+      status: task.status,
+      reviewer_id: task.reviewer_id || null,
+      reviewer_name: task.reviewer_id ? await getEmployeeName(supabase, task.reviewer_id) : null,
+      default_reviewer_id: defaultReviewer,
+      can_submit: !underReview && workflowService.checkTransition(task.status, UNDER_REVIEW, actors, { via: "review" }).allowed,
+      can_decide: underReview && workflowService.checkTransition(task.status, "completed", actors).allowed,
+      rounds: reviewService.summarizeReviewRounds(history),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/review/submit - send the task to a reviewer (defaults to the team manager)
+router.post("/submit", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const note = reviewService.validateReviewComment(req.body?.note);
+    if (note.error) return res.status(400).json({ error: note.error });
+
+    const access = await loadReviewableTask(supabase, taskId, empId);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { task } = access;
+
+    if (!isTaskMember(task, empId)) {
+      return res.status(403).json({ error: "Only the task owner or a collaborator can submit it for review" });
+    }
+    if (toStatusKey(task.status) === UNDER_REVIEW) {
+      return res.status(409).json({ error: "Task is already under review" });
+    }
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const transition = workflowService.checkTransition(
+      task.status,
+      UNDER_REVIEW,
+      workflowService.getActors(task, empId, role),
+      { via: "review" }
+    );
+    if (!transition.allowed) return res.status(transition.code).json({ error: transition.error });
+
+    let reviewerId = req.body?.reviewer_emp_id ? String(req.body.reviewer_emp_id) : null;
+    if (!reviewerId) {
+      reviewerId = await reviewService.findDefaultReviewer(supabase, empId);
+      if (!reviewerId) {
+        return res.status(400).json({ error: "No team manager found to review this task; choose a reviewer" });
+      }
+    }
+    if (reviewerId === String(empId)) {
+      return res.status(400).json({ error: "You cannot review your own submission" });
+    }
+
+    const { data: reviewer, error: reviewerErr } = await supabase
+      .from("users")
+      .select("emp_id, name")
+      .eq("emp_id", reviewerId)
+      .single();
+    if (reviewerErr || !reviewer) return res.status(400).json({ error: "Reviewer not found" });
+
+    const { data: updated, error } = await supabase
+      .from("tasks")
+      .update({ status: normalizeStatus(UNDER_REVIEW), reviewer_id: reviewerId })
+      .eq("id", taskId)
+      .select()
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    const round = reviewService.countReviewRounds(await loadReviewHistory(supabase, taskId)) + 1;
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: REVIEW_ACTIONS.submit,
+      details: { round, reviewer_id: reviewerId, note: note.value, previous_status: task.status },
+    });
+
+    const submitterName = (await getEmployeeName(supabase, empId)) || "Someone";
+    await notify(supabase, [reviewerId], {
+      task,
+      // Round keeps the title unique per (task, emp, type) across resubmissions
+      title: `Review requested: "${task.title}" (round ${round})`,
+      description: `${submitterName} submitted "${task.title}" for your review.${note.value ? ` Note: "${note.value.slice(0, 140)}"` : ""}`,
+      type: "Review Request",
+    });
+
+    res.json({ task: updated, reviewer: { emp_id: reviewer.emp_id, name: reviewer.name }, round });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/review/approve - reviewer signs the task off (task completed)
+router.post("/approve", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const comment = reviewService.validateReviewComment(req.body?.comment);
+    if (comment.error) return res.status(400).json({ error: comment.error });
+
+    const access = await loadReviewableTask(supabase, taskId, empId);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { task } = access;
+
+    if (toStatusKey(task.status) !== UNDER_REVIEW) {
+      return res.status(409).json({ error: "Task is not under review" });
+    }
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const transition = workflowService.checkTransition(
+      task.status,
+      "completed",
+      workflowService.getActors(task, empId, role)
+    );
+    if (!transition.allowed) return res.status(transition.code).json({ error: transition.error });
+
+    // Same rule as PUT /tasks/:id: open blockers keep a task from completing
+    let blockers = [];
+    try {
+      const openBlockers = await dependencyService.getOpenBlockers(supabase, taskId);
+      blockers = Array.isArray(openBlockers) ? openBlockers : [];
+    } catch (depErr) {
+      console.error("Failed to check task dependencies:", depErr);
+      return res.status(500).json({ error: DEPENDENCY_CHECK_FAILED_ERROR });
+    }
+    if (blockers.length > 0) {
+      return res.status(409).json({ error: "Task is blocked by open dependencies", blockers });
+    }
+
+    // ...and so do unchecked items on a checklist the task requires
+    let openItems = [];
+    try {
+      const unchecked = await checklistService.getOpenChecklistItems(supabase, taskId);
+      openItems = Array.isArray(unchecked) ? unchecked : [];
+    } catch (checklistErr) {
+      console.error("Failed to check task checklist:", checklistErr);
+      return res.status(500).json({ error: CHECKLIST_CHECK_FAILED_ERROR });
+    }
+    if (openItems.length > 0) {
+      return res.status(409).json({ error: CHECKLIST_INCOMPLETE_ERROR, checklist_items: openItems });
+    }
+
+    const { data: updated, error } = await supabase
+      .from("tasks")
+      .update({ status: normalizeStatus("completed") })
+      .eq("id", taskId)
+      .select()
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    let nextTask = null;
+    if (updated.is_recurring) {
+      try {
+        const recurrenceResult = await recurrenceService.handleTaskCompletion(supabase, taskId);
+        nextTask = recurrenceResult?.nextTask || null;
+      } catch (recurrenceError) {
+        console.error("Error handling task recurrence:", recurrenceError);
+      }
+    }
+
+    const round = reviewService.countReviewRounds(await loadReviewHistory(supabase, taskId));
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: REVIEW_ACTIONS.approve,
+      details: { round, reviewer_id: task.reviewer_id || null, comment: comment.value },
+    });
+
+    const reviewerName = (await getEmployeeName(supabase, empId)) || "Someone";
+    await notify(supabase, decisionRecipients(task, empId), {
+      task,
+      title: `Review approved: "${task.title}" (round ${round})`,
+      description: `${reviewerName} approved "${task.title}".${comment.value ? ` Comment: "${comment.value.slice(0, 140)}"` : ""}`,
+      type: "Review Decision",
+    });
+
+    res.json({ task: updated, next_task: nextTask });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/review/request-changes - reviewer sends the task back with a comment
+router.post("/request-changes", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const comment = reviewService.validateReviewComment(req.body?.comment, { required: true });
+    if (comment.error) return res.status(400).json({ error: comment.error });
+
+    const access = await loadReviewableTask(supabase, taskId, empId);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const { task } = access;
+
+    if (toStatusKey(task.status) !== UNDER_REVIEW) {
+      return res.status(409).json({ error: "Task is not under review" });
+    }
+
+    // Sending back is a decision, so it needs the same actors as approving
+    const role = await getRoleForEmpId(supabase, empId);
+    const transition = workflowService.checkTransition(
+      task.status,
+      "completed",
+      workflowService.getActors(task, empId, role)
+    );
+    if (!transition.allowed) {
+      return res.status(403).json({ error: "Only the reviewer or a manager / director can request changes" });
+    }
+
+    const { data: updated, error } = await supabase
+      .from("tasks")
+      .update({ status: normalizeStatus("ongoing") })
+      .eq("id", taskId)
+      .select()
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    // The comment also goes on the task's thread so the discussion can continue there
+    let commentId = null;
+    try {
+      const { data: threadComment, error: commentErr } = await supabase
+        .from("task_comments")
+        .insert({ task_id: taskId, author_emp_id: empId, body: `Changes requested: ${comment.value}`, mentions: [] })
+        .select("id")
+        .single();
+      if (commentErr) throw commentErr;
+      commentId = threadComment?.id || null;
+    } catch (commentErr) {
+      console.error("Failed to add review comment to the thread:", commentErr);
+    }
+
+    const round = reviewService.countReviewRounds(await loadReviewHistory(supabase, taskId));
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: REVIEW_ACTIONS.requestChanges,
+      details: { round, reviewer_id: task.reviewer_id || null, comment: comment.value, comment_id: commentId },
+    });
+
+    const reviewerName = (await getEmployeeName(supabase, empId)) || "Someone";
+    await notify(supabase, decisionRecipients(task, empId), {
+      task,
+      title: `Changes requested: "${task.title}" (round ${round})`,
+      description: `${reviewerName} requested changes to "${task.title}": "${comment.value.slice(0, 140)}"`,
+      type: "Review Decision",
+    });
+
+    res.json({ task: updated });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
@@ -0,0 +1,159 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { sanitizeSavedFilters } from "../services/taskSearchService.js";
+
+// Mounted under /tasks/saved-filters; every filter belongs to the employee who saved it
+const router = Router();
+
+const FILTER_COLUMNS = "id, emp_id, name, filters, created_at, updated_at";
+const MAX_NAME_LENGTH = 80;
+
+function parseName(name) {
+  const value = typeof name === "string" ? name.trim() : "";
+  if (!value || value.length > MAX_NAME_LENGTH) return null;
+  return value;
+}
+
+// Postgres unique_violation: a filter with this name already exists
+const isDuplicate = (error) => error?.code === "23505";
+
+// GET /tasks/saved-filters - the caller's saved filters
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { data, error } = await supabase
+      .from("saved_task_filters")
+      .select(FILTER_COLUMNS)
+      .eq("emp_id", empId)
+      .order("name", { ascending: true });
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json({ filters: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/saved-filters - save a named filter { name, filters }
+router.post("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const name = parseName(req.body?.name);
+    if (!name) return res.status(400).json({ error: `name is required (max ${MAX_NAME_LENGTH} characters)` });
+
+    const { filters, error: filtersError } = sanitizeSavedFilters(req.body?.filters);
+    if (filtersError) return res.status(400).json({ error: filtersError });
+
+    const { data, error } = await supabase
+      .from("saved_task_filters")
+      .insert({ emp_id: empId, name, filters })
+      .select(FILTER_COLUMNS)
+      .single();
+    if (isDuplicate(error)) return res.status(409).json({ error: "You already have a filter with this name" });
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.status(201).json({ filter: data });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/saved-filters/:filterId - rename and/or replace the filter parameters
+router.put("/:filterId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const filterId = Number(req.params.filterId);
+    if (!Number.isFinite(filterId)) return res.status(400).json({ error: "Invalid filter id" });
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (req.body?.name !== undefined) {
+      const name = parseName(req.body.name);
+      if (!name) return res.status(400).json({ error: `name is required (max ${MAX_NAME_LENGTH} characters)` });
+      updates.name = name;
+    }
+    if (req.body?.filters !== undefined) {
+      const { filters, error: filtersError } = sanitizeSavedFilters(req.body.filters);
+      if (filtersError) return res.status(400).json({ error: filtersError });
+      updates.filters = filters;
+    }
+
+    const { data, error } = await supabase
+      .from("saved_task_filters")
+      .update(updates)
+      .eq("id", filterId)
+      .eq("emp_id", empId)
+      .select(FILTER_COLUMNS);
+    if (isDuplicate(error)) return res.status(409).json({ error: "You already have a filter with this name" });
+    if (error) return res.status(400).json({ error: error.message });
+    if (!data || data.length === 0) return res.status(404).json({ error: "Saved filter not found" });
+
+    res.json({ filter: data[0] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /tasks/saved-filters/:filterId
+router.delete("/:filterId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const filterId = Number(req.params.filterId);
+    if (!Number.isFinite(filterId)) return res.status(400).json({ error: "Invalid filter id" });
+
+    const { data, error } = await supabase
+      .from("saved_task_filters")
+      .delete()
+      .eq("id", filterId)
+      .eq("emp_id", empId)
+      .select("id");
+    if (error) return res.status(400).json({ error: error.message });
+    if (!data || data.length === 0) return res.status(404).json({ error: "Saved filter not found" });
+
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
@@ -0,0 +1,146 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { canViewTask, isTaskMember, getRoleForEmpId, recordTaskHistory } from "../lib/taskAccess.js";
+import tagService, { isTagAvailableForProject, parseTagIds } from "../services/tagService.js";
+
+// Mounted under /tasks/:id/tags, so :id is the task; ?subtask_id / subtask_id
+// targets one of its subtasks instead
+const router = Router({ mergeParams: true });
+
+// Resolve the optional subtask target; it must belong to the task
+async function loadSubtaskTarget(supabase, taskId, rawSubtaskId) {
+  if (rawSubtaskId === undefined || rawSubtaskId === null || rawSubtaskId === "") {
+    return { subtaskId: null, error: null };
+  }
+  const subtaskId = Number(rawSubtaskId);
+  if (!Number.isFinite(subtaskId)) return { subtaskId: null, error: "Invalid subtask_id" };
+
+  const { data: subtask } = await supabase
+    .from("sub_task")
+    .select("id, parent_task_id")
+    .eq("id", subtaskId)
+    .single();
+  if (!subtask || Number(subtask.parent_task_id) !== taskId) {
+    return { subtaskId: null, error: "Subtask not found on this task" };
+  }
+  return { subtaskId, error: null };
+}
+
+// GET /tasks/:id/tags - tags on the task (or on ?subtask_id)
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select("id, owner_id, collaborators, project_id")
+      .eq("id", taskId)
+      .single();
+    if (taskErr || !task) return res.status(404).json({ error: "Task not found" });
+
+    if (!(await canViewTask(supabase, task, empId))) {
+      return res.status(403).json({ error: "Forbidden: no access to this task" });
+    }
+
+    const { subtaskId, error: subtaskError } = await loadSubtaskTarget(supabase, taskId, req.query.subtask_id);
+    if (subtaskError) return res.status(404).json({ error: subtaskError });
+
+    const target = { id: subtaskId ?? taskId };
+    await tagService.attachTags(supabase, [target], subtaskId ? "subtask" : "task");
+    res.json({ tags: target.tags });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/:id/tags - replace the tags on the task (or on body.subtask_id)
+// Body: { tag_ids: number[], subtask_id? }
+router.put("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const tagIds = parseTagIds(req.body?.tag_ids);
+    if (!tagIds) return res.status(400).json({ error: "tag_ids must be an array of tag ids" });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select("id, owner_id, collaborators, project_id")
+      .eq("id", taskId)
+      .single();
+    if (taskErr || !task) return res.status(404).json({ error: "Task not found" });
+
+    if (!isTaskMember(task, empId)) {
+      const role = await getRoleForEmpId(supabase, empId);
+      if (role !== "manager" && role !== "director") {
+        return res.status(403).json({ error: "Forbidden: only task members can tag this task" });
+      }
+    }
+
+    const { subtaskId, error: subtaskError } = await loadSubtaskTarget(supabase, taskId, req.body?.subtask_id);
+    if (subtaskError) return res.status(404).json({ error: subtaskError });
+
+    if (tagIds.length > 0) {
+      const { data: tags, error: tagsErr } = await supabase
+        .from("tags")
+        .select("id, project_id")
+        .in("id", tagIds);
+      if (tagsErr) return res.status(400).json({ error: tagsErr.message });
+      if ((tags || []).length !== tagIds.length) return res.status(404).json({ error: "Tag not found" });
+      if (tags.some((tag) => !isTagAvailableForProject(tag, task.project_id))) {
+        return res.status(400).json({ error: "Project tags can only be used on tasks of that project" });
+      }
+    }
+
+    const kind = subtaskId ? "subtask" : "task";
+    const { added, removed } = await tagService.replaceTags(supabase, {
+      kind,
+      id: subtaskId ?? taskId,
+      tagIds,
+    });
+
+    if (added.length > 0 || removed.length > 0) {
+      await recordTaskHistory(supabase, {
+        taskId,
+        empId,
+        userId: user.id,
+        action: "tags_update",
+        details: { subtask_id: subtaskId, added, removed },
+      });
+    }
+
+    const target = { id: subtaskId ?? taskId };
+    await tagService.attachTags(supabase, [target], kind);
+    res.json({ tags: target.tags });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
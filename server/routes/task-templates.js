@@ -0,0 +1,363 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+  getNumericIdFromEmpId,
+} from "../lib/supabase.js";
+import { getRoleForEmpId, recordTaskHistory } from "../lib/taskAccess.js";
+import templateService, { validateTemplateInput } from "../services/templateService.js";
+import tagService, { isTagAvailableForProject } from "../services/tagService.js";
+
+const router = Router();
+
+const TEMPLATE_COLUMNS =
+  "id, name, title_pattern, description_pattern, priority, due_offset_days, estimated_hours, collaborators, subtasks, tag_ids, created_by, created_at, updated_at";
+
+// Postgres unique_violation: the template name is already taken
+const isDuplicate = (error) => error?.code === "23505";
+
+// Templates are shared; their creator and managers/directors can change them
+async function canManageTemplate(supabase, template, empId) {
+  if (String(template.created_by) === String(empId)) return true;
+  const role = await getRoleForEmpId(supabase, empId);
+  return role === "manager" || role === "director";
+}
+
+async function loadTemplate(supabase, templateId) {
+  const { data, error } = await supabase
+    .from("task_templates")
+    .select(TEMPLATE_COLUMNS)
+    .eq("id", templateId)
+    .single();
+  if (error || !data) return null;
+  return data;
+}
+
+// GET /task-templates - every template, by name
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const { data, error } = await supabase
+      .from("task_templates")
+      .select(TEMPLATE_COLUMNS)
+      .order("name", { ascending: true });
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json({ templates: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /task-templates/:templateId
+router.get("/:templateId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const templateId = Number(req.params.templateId);
+    if (!Number.isFinite(templateId)) return res.status(400).json({ error: "Invalid template id" });
+
+    const template = await loadTemplate(supabase, templateId);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    res.json({ template });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /task-templates - create a template
+router.post("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { value, error: inputError } = validateTemplateInput(req.body || {});
+    if (inputError) return res.status(400).json({ error: inputError });
+
+    const { data, error } = await supabase
+      .from("task_templates")
+      .insert({ ...value, created_by: empId })
+      .select(TEMPLATE_COLUMNS)
+      .single();
+    if (isDuplicate(error)) return res.status(409).json({ error: "A template with this name already exists" });
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.status(201).json({ template: data });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /task-templates/:templateId - update any template fields
+router.put("/:templateId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const templateId = Number(req.params.templateId);
+    if (!Number.isFinite(templateId)) return res.status(400).json({ error: "Invalid template id" });
+
+    const { value, error: inputError } = validateTemplateInput(req.body || {}, { partial: true });
+    if (inputError) return res.status(400).json({ error: inputError });
+    if (Object.keys(value).length === 0) return res.status(400).json({ error: "Nothing to update" });
+
+    const template = await loadTemplate(supabase, templateId);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    if (!(await canManageTemplate(supabase, template, empId))) {
+      return res.status(403).json({ error: "Forbidden: you cannot edit this template" });
+    }
+
+    const { data, error } = await supabase
+      .from("task_templates")
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq("id", templateId)
+      .select(TEMPLATE_COLUMNS)
+      .single();
+    if (isDuplicate(error)) return res.status(409).json({ error: "A template with this name already exists" });
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json({ template: data });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /task-templates/:templateId - tasks created from it are kept
+router.delete("/:templateId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const templateId = Number(req.params.templateId);
+    if (!Number.isFinite(templateId)) return res.status(400).json({ error: "Invalid template id" });
+
+    const template = await loadTemplate(supabase, templateId);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+    if (!(await canManageTemplate(supabase, template, empId))) {
+      return res.status(403).json({ error: "Forbidden: you cannot delete this template" });
+    }
+
+    const { error } = await supabase.from("task_templates").delete().eq("id", templateId);
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /task-templates/:templateId/instantiate - create the task, its subtasks and tags
+// { base_date?, variables?, project_id?, owner_id?, title? }
+router.post("/:templateId/instantiate", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const templateId = Number(req.params.templateId);
+    if (!Number.isFinite(templateId)) return res.status(400).json({ error: "Invalid template id" });
+
+    const { base_date, variables, project_id, owner_id, title } = req.body || {};
+
+    const baseDate = templateService.resolveBaseDate(base_date);
+    if (!baseDate) return res.status(400).json({ error: "base_date must be a date (YYYY-MM-DD)" });
+    if (variables !== undefined && (typeof variables !== "object" || Array.isArray(variables) || variables === null)) {
+      return res.status(400).json({ error: "variables must be an object" });
+    }
+
+    let projectId = null;
+    if (project_id !== undefined && project_id !== null && project_id !== "") {
+      projectId = Number(project_id);
+      if (!Number.isFinite(projectId)) return res.status(400).json({ error: "Invalid project_id" });
+    }
+
+    const template = await loadTemplate(supabase, templateId);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    // Same assignment rules as PUT /tasks/:id: managers assign within their teams,
+    // directors to anyone
+    let ownerId = empId;
+    if (owner_id && String(owner_id) !== String(empId)) {
+      const role = await getRoleForEmpId(supabase, empId);
+      if (role !== "manager" && role !== "director") {
+        return res.status(403).json({ error: "You don't have permission to assign tasks" });
+      }
+      if (role === "manager") {
+        const { data: teams, error: teamErr } = await supabase
+          .from("department_teams")
+          .select("member_ids")
+          .contains("manager_ids", [empId]);
+        if (teamErr) return res.status(400).json({ error: "Failed to validate team membership" });
+        const inTeam = (teams || []).some((t) => (t.member_ids || []).map(String).includes(String(owner_id)));
+        if (!inTeam) return res.status(403).json({ error: "You can only assign tasks to members of your team" });
+      }
+      ownerId = String(owner_id);
+    }
+
+    const { task: taskRow, subtasks: subtaskRows } = templateService.buildTaskFromTemplate(template, {
+      baseDate,
+      variables: variables || {},
+      ownerId,
+      projectId,
+      title,
+    });
+
+    const { data: newTask, error: taskErr } = await supabase
+      .from("tasks")
+      .insert(taskRow)
+      .select()
+      .single();
+    if (taskErr) return res.status(400).json({ error: taskErr.message });
+
+    let createdSubtasks = [];
+    if (subtaskRows.length > 0) {
+      const { data: subtasksData, error: subtasksErr } = await supabase
+        .from("sub_task")
+        .insert(subtaskRows.map((s) => ({
+          ...s,
+          parent_task_id: newTask.id,
+          owner_id: getNumericIdFromEmpId(ownerId), // Convert emp_id to numeric ID for sub_task table
+        })))
+        .select();
+      if (subtasksErr) {
+        // Don't leave a half-built task behind
+        await supabase.from("tasks").delete().eq("id", newTask.id);
+        return res.status(400).json({ error: `Failed to create subtasks: ${subtasksErr.message}` });
+      }
+      createdSubtasks = subtasksData || [];
+    }
+
+    // Project tags only apply to tasks of that project; others are skipped, not fatal
+    let appliedTagIds = [];
+    let skippedTagIds = [];
+    const templateTagIds = (template.tag_ids || []).map(Number);
+    if (templateTagIds.length > 0) {
+      try {
+        const { data: tags } = await supabase
+          .from("tags")
+          .select("id, project_id")
+          .in("id", templateTagIds);
+        const available = (tags || []).filter((tag) => isTagAvailableForProject(tag, projectId)).map((t) => Number(t.id));
+        skippedTagIds = templateTagIds.filter((id) => !available.includes(id));
+        if (available.length > 0) {
+          await tagService.replaceTags(supabase, { kind: "task", id: newTask.id, tagIds: available });
+        }
+        appliedTagIds = available;
+      } catch (tagErr) {
+        console.error("Failed to apply template tags:", tagErr);
+        skippedTagIds = templateTagIds;
+      }
+    }
+
+    // Record history (create)
+    await recordTaskHistory(supabase, {
+      taskId: newTask.id,
+      empId,
+      userId: user.id,
+      action: "create",
+      details: {
+        task: { id: newTask.id, title: newTask.title, status: newTask.status, priority: newTask.priority, due_date: newTask.due_date, project_id: newTask.project_id },
+        template_id: templateId,
+        base_date: baseDate,
+        subtask_count: createdSubtasks.length,
+        tag_ids: appliedTagIds,
+      },
+    });
+
+    // Tell the assignee and collaborators, as the create page does for hand-made tasks
+    try {
+      let creatorName = "Someone";
+      const { data: creator } = await supabase
+        .from("users")
+        .select("name")
+        .eq("emp_id", empId)
+        .single();
+      if (creator?.name) creatorName = creator.name;
+
+      const notificationsToInsert = [];
+      if (String(ownerId) !== String(empId)) {
+        notificationsToInsert.push({
+          emp_id: getNumericIdFromEmpId(ownerId), // Convert emp_id to numeric ID for notifications table
+          task_id: newTask.id,
+          title: `New Task Assigned "${newTask.title}"`,
+          description: `${creatorName} has assigned you a new task: "${newTask.title}".`,
+          type: "Task Assignment",
+          created_at: new Date().toISOString(),
+          read: false,
+        });
+      }
+      (newTask.collaborators || []).forEach((collabId) => {
+        if (!collabId || String(collabId) === String(empId)) return;
+        notificationsToInsert.push({
+          emp_id: getNumericIdFromEmpId(collabId),
+          task_id: newTask.id,
+          title: `Added as collaborator for "${newTask.title}"`,
+          description: `${creatorName} has added you as a collaborator for the shared task: "${newTask.title}".`,
+          type: "Shared Task",
+          created_at: new Date().toISOString(),
+          read: false,
+        });
+      });
+      if (notificationsToInsert.length > 0) {
+        const { error: notifErr } = await supabase.from("notifications").insert(notificationsToInsert);
+        if (notifErr) console.error("Failed to insert template task notifications:", notifErr);
+      }
+    } catch (notifErr) {
+      console.error("Error while creating notifications for template task:", notifErr);
+    }
+
+    res.status(201).json({
+      task: newTask,
+      subtasks: createdSubtasks,
+      tag_ids: appliedTagIds,
+      skipped_tag_ids: skippedTagIds,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
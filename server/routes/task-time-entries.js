@@ -0,0 +1,443 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { canViewTask, isTaskMember, getRoleForEmpId, recordTaskHistory } from "../lib/taskAccess.js";
+import timeTrackingService, { MAX_ENTRY_MINUTES } from "../services/timeTrackingService.js";
+
+// Mounted under /tasks/:id/time-entries, so :id is the task time is logged against
+const router = Router({ mergeParams: true });
+
+const ENTRY_COLUMNS = "id, task_id, subtask_id, emp_id, source, started_at, ended_at, minutes, note, created_at, updated_at";
+
+async function loadTask(supabase, taskId) {
+  const { data: task, error } = await supabase
+    .from("tasks")
+    .select("id, title, owner_id, collaborators, estimated_hours, deleted_at")
+    .eq("id", taskId)
+    .single();
+  if (error || !task) return null;
+  return task;
+}
+
+// A subtask given on an entry must belong to the task
+async function validateSubtask(supabase, taskId, subtaskId) {
+  if (subtaskId === undefined || subtaskId === null || subtaskId === "") return { ok: true, value: null };
+  const id = Number(subtaskId);
+  if (!Number.isFinite(id)) return { ok: false };
+  const { data: subtask, error } = await supabase
+    .from("sub_task")
+    .select("id, parent_task_id")
+    .eq("id", id)
+    .single();
+  if (error || !subtask || Number(subtask.parent_task_id) !== Number(taskId)) return { ok: false };
+  return { ok: true, value: id };
+}
+
+function parseMinutes(body) {
+  const { minutes, hours } = body || {};
+  let value = null;
+  if (minutes !== undefined && minutes !== null && minutes !== "") {
+    value = Number(minutes);
+  } else if (hours !== undefined && hours !== null && hours !== "") {
+    value = Number(hours) * 60;
+  }
+  if (value === null || !Number.isFinite(value)) return null;
+  value = Math.round(value);
+  if (value < 1 || value > MAX_ENTRY_MINUTES) return null;
+  return value;
+}
+
+// GET /tasks/:id/time-entries - entries, estimated vs. logged summary and the caller's running timer
+router.get("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const task = await loadTask(supabase, taskId);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    if (!(await canViewTask(supabase, task, empId))) {
+      return res.status(403).json({ error: "Forbidden: no access to this task" });
+    }
+
+    const { data: entries, error } = await supabase
+      .from("task_time_entries")
+      .select(ENTRY_COLUMNS)
+      .eq("task_id", taskId)
+      .order("started_at", { ascending: false });
+    if (error) return res.status(400).json({ error: error.message });
+
+    const { data: subtasks } = await supabase
+      .from("sub_task")
+      .select("id, estimated_hours")
+      .eq("parent_task_id", taskId);
+
+    // Attach author names
+    const empIds = [...new Set((entries || []).map((e) => e.emp_id).filter(Boolean))];
+    const namesByEmpId = {};
+    if (empIds.length > 0) {
+      const { data: users } = await supabase
+        .from("users")
+        .select("emp_id, name")
+        .in("emp_id", empIds);
+      (users || []).forEach((u) => { namesByEmpId[u.emp_id] = u.name; });
+    }
+
+    const now = new Date();
+    const withDurations = (entries || []).map((e) => ({
+      ...e,
+      emp_name: namesByEmpId[e.emp_id] || null,
+      duration_minutes: timeTrackingService.getEntryMinutes(e, now),
+    }));
+
+    const summary = timeTrackingService.summarizeEntries(entries || [], now);
+    const running = withDurations.find(
+      (e) => !e.ended_at && e.source === "timer" && String(e.emp_id) === String(empId)
+    ) || null;
+
+    res.json({
+      entries: withDurations,
+      summary: {
+        estimated_hours: timeTrackingService.getTaskEstimate(task, subtasks || []),
+        ...summary,
+      },
+      running,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/time-entries/start - start a timer on this task
+router.post("/start", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const task = await loadTask(supabase, taskId);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    if (!isTaskMember(task, empId)) {
+      return res.status(403).json({ error: "You can only log time on tasks you own or collaborate on" });
+    }
+    if (task.deleted_at) {
+      return res.status(409).json({ error: "Task is in the trash; restore it before logging time" });
+    }
+
+    const subtask = await validateSubtask(supabase, taskId, req.body?.subtask_id);
+    if (!subtask.ok) return res.status(400).json({ error: "Subtask does not belong to this task" });
+
+    // One running timer per person, across all tasks
+    const { data: running, error: runningErr } = await supabase
+      .from("task_time_entries")
+      .select(ENTRY_COLUMNS)
+      .eq("emp_id", empId)
+      .eq("source", "timer")
+      .is("ended_at", null);
+    if (runningErr) return res.status(400).json({ error: runningErr.message });
+    if (running && running.length > 0) {
+      return res.status(409).json({ error: "You already have a running timer", running: running[0] });
+    }
+
+    const { data: entry, error } = await supabase
+      .from("task_time_entries")
+      .insert({
+        task_id: taskId,
+        subtask_id: subtask.value,
+        emp_id: empId,
+        source: "timer",
+        started_at: new Date().toISOString(),
+        note: req.body?.note ? String(req.body.note).trim() : null,
+      })
+      .select(ENTRY_COLUMNS)
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.status(201).json({ entry });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/time-entries/stop - stop the caller's running timer on this task
+router.post("/stop", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const { data: running, error: runningErr } = await supabase
+      .from("task_time_entries")
+      .select(ENTRY_COLUMNS)
+      .eq("task_id", taskId)
+      .eq("emp_id", empId)
+      .eq("source", "timer")
+      .is("ended_at", null);
+    if (runningErr) return res.status(400).json({ error: runningErr.message });
+    if (!running || running.length === 0) {
+      return res.status(404).json({ error: "No running timer on this task" });
+    }
+
+    // A timer left running stops at MAX_ENTRY_MINUTES, the same cap as manual entries
+    const startedAt = new Date(running[0].started_at);
+    const endedAt = new Date(Math.min(Date.now(), startedAt.getTime() + MAX_ENTRY_MINUTES * 60000));
+    const minutes = timeTrackingService.getEntryMinutes(running[0], endedAt);
+
+    const { data: entry, error } = await supabase
+      .from("task_time_entries")
+      .update({
+        ended_at: endedAt.toISOString(),
+        minutes,
+        note: req.body?.note !== undefined ? (String(req.body.note).trim() || null) : running[0].note,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", running[0].id)
+      .select(ENTRY_COLUMNS)
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "time_log",
+      details: { entry_id: entry.id, minutes, source: "timer" },
+    });
+
+    res.json({ entry });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/time-entries - log time manually
+// Body: { minutes | hours, started_at?, subtask_id?, note? }
+router.post("/", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    const minutes = parseMinutes(req.body);
+    if (minutes === null) {
+      return res.status(400).json({ error: `Time must be between 1 and ${MAX_ENTRY_MINUTES} minutes` });
+    }
+
+    const startedAt = req.body?.started_at ? new Date(req.body.started_at) : new Date();
+    if (Number.isNaN(startedAt.getTime())) {
+      return res.status(400).json({ error: "Invalid started_at" });
+    }
+
+    const task = await loadTask(supabase, taskId);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    if (!isTaskMember(task, empId)) {
+      return res.status(403).json({ error: "You can only log time on tasks you own or collaborate on" });
+    }
+    if (task.deleted_at) {
+      return res.status(409).json({ error: "Task is in the trash; restore it before logging time" });
+    }
+
+    const subtask = await validateSubtask(supabase, taskId, req.body?.subtask_id);
+    if (!subtask.ok) return res.status(400).json({ error: "Subtask does not belong to this task" });
+
+    const { data: entry, error } = await supabase
+      .from("task_time_entries")
+      .insert({
+        task_id: taskId,
+        subtask_id: subtask.value,
+        emp_id: empId,
+        source: "manual",
+        started_at: startedAt.toISOString(),
+        ended_at: new Date(startedAt.getTime() + minutes * 60000).toISOString(),
+        minutes,
+        note: req.body?.note ? String(req.body.note).trim() : null,
+      })
+      .select(ENTRY_COLUMNS)
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "time_log",
+      details: { entry_id: entry.id, minutes, source: "manual" },
+    });
+
+    res.status(201).json({ entry });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /tasks/:id/time-entries/:entryId - edit own entry (minutes, note)
+router.put("/:entryId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    const entryId = Number(req.params.entryId);
+    if (!Number.isFinite(taskId) || !Number.isFinite(entryId)) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+
+    const { data: existing, error: fetchErr } = await supabase
+      .from("task_time_entries")
+      .select(ENTRY_COLUMNS)
+      .eq("id", entryId)
+      .eq("task_id", taskId)
+      .single();
+    if (fetchErr || !existing) return res.status(404).json({ error: "Time entry not found" });
+    if (String(existing.emp_id) !== String(empId)) {
+      return res.status(403).json({ error: "You can only edit your own time entries" });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    const hasDuration = ["minutes", "hours"].some((k) => req.body?.[k] !== undefined);
+    if (hasDuration) {
+      if (!existing.ended_at) {
+        return res.status(400).json({ error: "Stop the timer before editing its duration" });
+      }
+      const minutes = parseMinutes(req.body);
+      if (minutes === null) {
+        return res.status(400).json({ error: `Time must be between 1 and ${MAX_ENTRY_MINUTES} minutes` });
+      }
+      updates.minutes = minutes;
+      updates.ended_at = new Date(new Date(existing.started_at).getTime() + minutes * 60000).toISOString();
+    }
+    if (req.body?.note !== undefined) {
+      updates.note = String(req.body.note || "").trim() || null;
+    }
+
+    const { data: entry, error } = await supabase
+      .from("task_time_entries")
+      .update(updates)
+      .eq("id", entryId)
+      .select(ENTRY_COLUMNS)
+      .single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    const edited = ["minutes", "note"].filter((k) => k in updates && updates[k] !== existing[k]);
+    if (edited.length > 0) {
+      await recordTaskHistory(supabase, {
+        taskId,
+        empId,
+        userId: user.id,
+        action: "time_update",
+        details: {
+          entry_id: entryId,
+          from: Object.fromEntries(edited.map((k) => [k, existing[k]])),
+          to: Object.fromEntries(edited.map((k) => [k, entry[k]])),
+        },
+      });
+    }
+
+    res.json({ entry });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /tasks/:id/time-entries/:entryId - delete own entry (managers/directors may delete any)
+router.delete("/:entryId", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const taskId = Number(req.params.id);
+    const entryId = Number(req.params.entryId);
+    if (!Number.isFinite(taskId) || !Number.isFinite(entryId)) {
+      return res.status(400).json({ error: "Invalid id" });
+    }
+
+    const { data: existing, error: fetchErr } = await supabase
+      .from("task_time_entries")
+      .select(ENTRY_COLUMNS)
+      .eq("id", entryId)
+      .eq("task_id", taskId)
+      .single();
+    if (fetchErr || !existing) return res.status(404).json({ error: "Time entry not found" });
+
+    if (String(existing.emp_id) !== String(empId)) {
+      const role = await getRoleForEmpId(supabase, empId);
+      if (role !== "manager" && role !== "director") {
+        return res.status(403).json({ error: "You can only delete your own time entries" });
+      }
+    }
+
+    const { error } = await supabase
+      .from("task_time_entries")
+      .delete()
+      .eq("id", entryId);
+    if (error) return res.status(400).json({ error: error.message });
+
+    await recordTaskHistory(supabase, {
+      taskId,
+      empId,
+      userId: user.id,
+      action: "time_delete",
+      details: { entry_id: entryId, emp_id: existing.emp_id, minutes: existing.minutes },
+    });
+
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* istanbul ignore next */
+export default router;
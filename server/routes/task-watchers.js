@@ -0,0 +1,97 @@
+import { Router } from "express";
+import {
+  getServiceClient,
+  getUserFromToken,
+  getEmpIdForUserId,
+} from "../lib/supabase.js";
+import { canViewTask } from "../lib/taskAccess.js";
+import watcherService from "../services/watcherService.js";
+
+// Mounted under /tasks/:id/watchers, so :id is the task. Watching grants no edit
+// rights; it only adds the watcher to "Task Update" notifications.
+const router = Router({ mergeParams: true });
+
+// Resolve the caller and the task, checking the caller may see it
+async function loadWatchContext(req, res) {
+  const supabase = getServiceClient();
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ error: "Missing access token" });
+    return null;
+  }
+
+  const user = await getUserFromToken(token);
+  if (!user) {
+    res.status(401).json({ error: "Invalid token" });
+    return null;
+  }
+  const empId = await getEmpIdForUserId(user.id);
+  if (!empId) {
+    res.status(400).json({ error: "emp_id not found" });
+    return null;
+  }
+
+  const taskId = Number(req.params.id);
+  if (!Number.isFinite(taskId)) {
+    res.status(400).json({ error: "Invalid task id" });
+    return null;
+  }
+
+  const { data: task, error: taskErr } = await supabase
+    .from("tasks")
+    .select("id, owner_id, collaborators, project_id")
+    .eq("id", taskId)
+    .single();
+  if (taskErr || !task) {
+    res.status(404).json({ error: "Task not found" });
+    return null;
+  }
+
+  if (!(await canViewTask(supabase, task, empId))) {
+    res.status(403).json({ error: "Forbidden: no access to this task" });
+    return null;
+  }
+
+  return { supabase, empId, taskId };
+}
+
+// GET /tasks/:id/watchers - who follows the task, and whether the caller does
+router.get("/", async (req, res) => {
+  try {
+    const ctx = await loadWatchContext(req, res);
+    if (!ctx) return;
+    res.json(await watcherService.getWatchState(ctx.supabase, "task", ctx.taskId, ctx.empId));
+  } catch (e) {
+    console.error("Error loading task watchers:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /tasks/:id/watchers - follow the task
+router.post("/", async (req, res) => {
+  try {
+    const ctx = await loadWatchContext(req, res);
+    if (!ctx) return;
+    await watcherService.follow(ctx.supabase, "task", ctx.taskId, ctx.empId);
+    res.status(201).json(await watcherService.getWatchState(ctx.supabase, "task", ctx.taskId, ctx.empId));
+  } catch (e) {
+    console.error("Error following task:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /tasks/:id/watchers - unfollow the task
+router.delete("/", async (req, res) => {
+  try {
+    const ctx = await loadWatchContext(req, res);
+    if (!ctx) return;
+    await watcherService.unfollow(ctx.supabase, "task", ctx.taskId, ctx.empId);
+    res.json(await watcherService.getWatchState(ctx.supabase, "task", ctx.taskId, ctx.empId));
+  } catch (e) {
+    console.error("Error unfollowing task:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
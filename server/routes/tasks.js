@@ -7,46 +7,111 @@ import {
 } from "../lib/supabase.js";
 import { TaskSchema } from "../schemas/task.js";
 import multer from "multer";
-import recurrenceService from "../services/recurrenceService.js";
-
-// Function to normalize status to match test expectations
-function normalizeStatus(status) {
-  if (!status) return "ongoing"; // Default status
-
-  // Convert to lowercase for easier matching
-  const statusLower = status.toLowerCase();
-
-  // Map of status values
-  const statusMap = {
-    'ongoing': 'ongoing',
-    'unassigned': 'unassigned',
-    'completed': 'completed',
-    'under review': 'Under Review'
-  };
-
-  return statusMap[statusLower] || status;
-}
+import recurrenceService, { MAX_PREVIEW_COUNT } from "../services/recurrenceService.js";
+import recurrenceScheduleService from "../services/recurrenceScheduleService.js";
+import taskCommentsRoutes from "./task-comments.js";
+import taskDependenciesRoutes from "./task-dependencies.js";
+import dependencyService, { DEPENDENCY_CHECK_FAILED_ERROR } from "../services/dependencyService.js";
+import taskTimeEntriesRoutes from "./task-time-entries.js";
+import timeTrackingService from "../services/timeTrackingService.js";
+import taskAttachmentsRoutes, { handleUpload } from "./task-attachments.js";
+import attachmentService from "../services/attachmentService.js";
+import { getAttachmentStorage } from "../lib/attachmentStorage.js";
+import taskSearchService from "../services/taskSearchService.js";
+import taskSavedFiltersRoutes from "./task-saved-filters.js";
+import { canViewTask, isTaskMember, getRoleForEmpId, getManagedMemberIds, parseCollaborators, recordTaskHistory } from "../lib/taskAccess.js";
+import taskTagsRoutes from "./task-tags.js";
+import tagService from "../services/tagService.js";
+import workflowService, { TASK_WORKFLOW, INVALID_STATUS_ERROR, normalizeStatus } from "../services/workflowService.js";
+import taskReviewsRoutes from "./task-reviews.js";
+import taskLifecycleService, { LIFECYCLE_ACTIONS } from "../services/taskLifecycleService.js";
+import concurrencyService from "../services/concurrencyService.js";
+import bulkTaskService, { BULK_MAX_TASKS, BULK_RESULT } from "../services/bulkTaskService.js";
+import taskTransferService, { TRANSFER_ACTIONS } from "../services/taskTransferService.js";
+import taskWatchersRoutes from "./task-watchers.js";
+import watcherService from "../services/watcherService.js";
+import subtaskTreeService from "../services/subtaskTreeService.js";
+import progressService, { INVALID_WEIGHTING_ERROR } from "../services/progressService.js";
+import taskChecklistRoutes from "./task-checklist.js";
+import taskRecurrenceRoutes from "./task-recurrence.js";
+import checklistService, { CHECKLIST_INCOMPLETE_ERROR, CHECKLIST_CHECK_FAILED_ERROR } from "../services/checklistService.js";
+import customFieldService from "../services/customFieldService.js";
+import taskImportService, { IMPORT_MAX_ROWS } from "../services/taskImportService.js";
 
 const router = Router();
 
-// Configure multer for file upload
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
+// CSV files for the task import
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: 2 * 1024 * 1024, // 2MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === "application/pdf") {
+    const isCsv = ["text/csv", "text/plain", "application/vnd.ms-excel"].includes(file.mimetype)
+      || file.originalname.toLowerCase().endsWith(".csv");
+    if (isCsv) {
       cb(null, true);
     } else {
-      cb(new Error("Only PDF files are allowed"), false);
+      cb(new Error("Only CSV files are allowed"), false);
     }
   },
 });
 
+// Insert the subtasks drafted with a new task one level at a time, so nested drafts
+// (which name their parent draft by its temporary id) can point at the real parent id
+async function insertDraftSubtasks(supabase, parentTaskId, drafts, toRow) {
+  const { levels, error } = subtaskTreeService.planDraftLevels(drafts);
+  if (error) throw new Error(error);
+
+  const created = [];
+  const idByDraft = new Map();
+  for (const level of levels) {
+    const rows = level.map((draft) => ({
+      ...toRow(draft),
+      parent_task_id: parentTaskId,
+      parent_subtask_id: draft.parent_id != null ? idByDraft.get(String(draft.parent_id)) ?? null : null,
+      position: draft.position,
+    }));
+    const { data, error: insertErr } = await supabase.from("sub_task").insert(rows).select();
+    if (insertErr) throw insertErr;
+    (data || []).forEach((row, index) => idByDraft.set(String(level[index].id), row.id));
+    created.push(...(data || []));
+  }
+  return created;
+}
+
+// Upload the legacy single task file through the attachment storage. tasks.file keeps
+// the storage path; the file is downloaded with a signed URL from the task's attachments.
+async function uploadTaskFile(supabase, file) {
+  const fileExt = file.originalname.split(".").pop();
+  const fileName = `${Date.now()}-${Math.random()
+    .toString(36)
+    .substring(2)}.${fileExt}`;
+  const { path } = await getAttachmentStorage(supabase).upload(`task-attachment/${fileName}`, file.buffer, {
+    contentType: file.mimetype,
+  });
+  return path;
+}
+
+// Also list a legacy upload under the task's attachments
+async function registerTaskFileAttachment(supabase, { taskId, storagePath, file, empId }) {
+  try {
+    await attachmentService.registerStoredFile(supabase, { taskId, storagePath, file, empId });
+  } catch (attachErr) {
+    console.error("Failed to register task file as attachment:", attachErr);
+  }
+}
+
+// 409 body for a stale task update; the file column is managed by the upload, not the form
+function buildTaskConflict(currentTask, submitted, expectedVersion) {
+  const { file: _file, ...fields } = submitted;
+  return concurrencyService.buildConflict(currentTask, fields, expectedVersion, {
+    normalize: { status: workflowService.toStatusKey },
+  });
+}
+
 // Create task
-router.post("/", upload.single("file"), async (req, res) => {
+router.post("/", handleUpload, async (req, res) => {
   try {
     const supabase = getServiceClient();
     const authHeader = req.headers.authorization || "";
@@ -64,7 +129,7 @@ router.post("/", upload.single("file"), async (req, res) => {
       title,
       description,
       priority,
-      status: rawStatus = "ongoing",
+      status: rawStatus,
       due_date,
       project_id,
       collaborators: collaboratorsStr,
@@ -77,8 +142,25 @@ router.post("/", upload.single("file"), async (req, res) => {
       recurrence_end_date,
       recurrence_count,
       recurrence_weekday,
+      recurrence_rule,
+      recurrence_generation,
+      recurrence_lookahead_days,
+      estimated_hours,
+      custom_fields: customFieldsStr,
     } = req.body;
 
+    // Invalid estimates are ignored, like invalid priorities
+    const taskEstimate = timeTrackingService.parseEstimatedHours(estimated_hours) ?? null;
+
+    // Custom field values are checked against the project's definitions (required fields too)
+    const { values: customFieldInput, error: customFieldParseError } = customFieldService.parseCustomFieldInput(customFieldsStr);
+    if (customFieldParseError) return res.status(400).json({ error: customFieldParseError });
+    const { values: customFields, error: customFieldError } = await customFieldService.resolveTaskCustomFields(supabase, {
+      projectId: project_id ? parseInt(project_id) : null,
+      incoming: customFieldInput || {},
+    });
+    if (customFieldError) return res.status(400).json({ error: customFieldError });
+
     // Parse and validate priority as integer
     let taskPriority = null;
     if (priority !== undefined && priority !== null && priority !== "") {
@@ -114,19 +196,11 @@ router.post("/", upload.single("file"), async (req, res) => {
     }
 
     // Handle file upload
-    let fileUrl = null;
+    let uploadedFilePath = null;
     if (req.file) {
       try {
-        const fileName = `task-${Date.now()}-${req.file.originalname}`;
-        const { data: uploadData, error: uploadError } = await supabase.storage
-          .from("task-files")
-          .upload(fileName, req.file.buffer, {
-            contentType: req.file.mimetype,
-          });
-
-        if (uploadError) throw uploadError;
-        fileUrl = uploadData.path;
-        console.log("📎 File uploaded:", fileUrl);
+        uploadedFilePath = await uploadTaskFile(supabase, req.file);
+        console.log("📎 File uploaded:", uploadedFilePath);
       } catch (uploadError) {
         console.error("File upload error:", uploadError);
         return res.status(500).json({ error: "File upload failed" });
@@ -136,6 +210,14 @@ router.post("/", upload.single("file"), async (req, res) => {
     // Determine final owner_id and status
     let finalOwnerId = empId; // Default to current user
     let finalStatus = normalizeStatus(rawStatus);
+    if (!finalStatus) {
+      return res.status(400).json({ error: INVALID_STATUS_ERROR });
+    }
+    // A new task cannot start under review: it has not been submitted to anyone
+    const entry = workflowService.checkTransition(null, finalStatus, []);
+    if (!entry.allowed) {
+      return res.status(entry.code).json({ error: entry.error });
+    }
 
     // Handle assignment logic (only for managers/directors)
     const userRole = await getUserRole(empId); // You'll need this helper function
@@ -143,7 +225,7 @@ router.post("/", upload.single("file"), async (req, res) => {
 
     if (canAssignTasks && owner_id && owner_id !== empId) {
       finalOwnerId = owner_id;
-      finalStatus = "ongoing"; // Assigned tasks are always ongoing
+      finalStatus = normalizeStatus(TASK_WORKFLOW.initial); // Assigned tasks always start in the initial status
       console.log("🎯 Task assigned to:", owner_id);
     }
 
@@ -157,16 +239,31 @@ router.post("/", upload.single("file"), async (req, res) => {
       // ========== RECURRING TASK CREATION ==========
       console.log("🔄 Creating recurring task with pattern:", recurrence_pattern);
 
-      // Validate recurrence fields
-      if (!recurrence_pattern) {
-        return res.status(400).json({ error: "Recurrence pattern is required for recurring tasks" });
-      }
+      // An RRULE replaces the pattern, interval and end condition fields
+      let ruleFields = null;
+      if (recurrence_rule) {
+        const { fields, error: ruleError } = recurrenceService.parseRecurrenceRule(recurrence_rule);
+        if (ruleError) return res.status(400).json({ error: ruleError });
+        ruleFields = fields;
+      } else {
+        // Validate recurrence fields
+        if (!recurrence_pattern) {
+          return res.status(400).json({ error: "Recurrence pattern is required for recurring tasks" });
+        }
 
-      const validPatterns = ["daily", "weekly", "biweekly", "monthly", "quarterly", "yearly"];
-      if (!validPatterns.includes(recurrence_pattern)) {
-        return res.status(400).json({ error: `Invalid recurrence pattern. Must be one of: ${validPatterns.join(", ")}` });
+        const validPatterns = ["daily", "weekly", "biweekly", "monthly", "quarterly", "yearly"];
+        if (!validPatterns.includes(recurrence_pattern)) {
+          return res.status(400).json({ error: `Invalid recurrence pattern. Must be one of: ${validPatterns.join(", ")}` });
+        }
       }
 
+      // On completion (the default) or on schedule, with an optional look-ahead
+      const { settings: generationSettings, error: generationError } = recurrenceScheduleService.parseGenerationSettings({
+        recurrence_generation,
+        recurrence_lookahead_days,
+      });
+      if (generationError) return res.status(400).json({ error: generationError });
+
       // Prepare task data for recurring task service
       const taskData = {
         title,
@@ -176,17 +273,21 @@ router.post("/", upload.single("file"), async (req, res) => {
         project_id: project_id ? parseInt(project_id) : null,
         collaborators,
         owner_id: finalOwnerId,
-        file: fileUrl,
+        file: uploadedFilePath,
         is_recurring: true,
         recurrence_pattern,
         recurrence_interval: recurrence_interval ? parseInt(recurrence_interval) : 1,
         recurrence_end_date: recurrence_end_date || null,
         recurrence_count: recurrence_count ? parseInt(recurrence_count) : null,
         recurrence_weekday: recurrence_weekday !== undefined ? parseInt(recurrence_weekday) : null, // Store weekday preference
+        estimated_hours: taskEstimate,
+        custom_fields: customFields,
+        ...(ruleFields ? { ...ruleFields, recurrence_weekday: null } : {}),
+        ...generationSettings,
       };
 
       // Pass weekday separately for immediate use in calculations
-      const weekdayPreference = recurrence_weekday !== undefined ? parseInt(recurrence_weekday) : null;
+      const weekdayPreference = !ruleFields && recurrence_weekday !== undefined ? parseInt(recurrence_weekday) : null;
 
       // Use recurrence service to create recurring task
       const result = await recurrenceService.createRecurringTask(supabase, taskData, weekdayPreference);
@@ -203,7 +304,7 @@ router.post("/", upload.single("file"), async (req, res) => {
         console.log(`📝 Creating ${subtasksToCreate.length} subtasks for recurring task instance...`);
 
         try {
-          const subtaskInserts = subtasksToCreate.map(subtask => {
+          const toSubtaskRow = (subtask) => {
             let subtaskPriority = null;
             if (subtask.priority !== undefined && subtask.priority !== null && subtask.priority !== "") {
               const parsedSubPriority = parseInt(subtask.priority, 10);
@@ -213,28 +314,20 @@ router.post("/", upload.single("file"), async (req, res) => {
             }
 
             return {
-              parent_task_id: result.firstInstance.id, // Attach to first instance, not template
               title: subtask.title,
               description: subtask.description || null,
               priority: subtaskPriority,
-              status: subtask.status || "ongoing",
+              status: normalizeStatus(subtask.status) || normalizeStatus(TASK_WORKFLOW.initial),
               due_date: subtask.dueDate || null,
+              estimated_hours: timeTrackingService.parseEstimatedHours(subtask.estimated_hours) ?? null,
               collaborators: subtask.collaborators || [],
               owner_id: getNumericIdFromEmpId(finalOwnerId), // Convert emp_id to numeric ID for sub_task table
             };
-          });
-
-          const { data: subtasksData, error: subtasksError } = await supabase
-            .from("sub_task")
-            .insert(subtaskInserts)
-            .select();
+          };
 
-          if (subtasksError) {
-            console.error("Subtasks creation error:", subtasksError);
-          } else {
-            createdSubtasks = subtasksData || [];
-            console.log(`✅ Created ${createdSubtasks.length} subtasks`);
-          }
+          // Attach to first instance, not template
+          createdSubtasks = await insertDraftSubtasks(supabase, result.firstInstance.id, subtasksToCreate, toSubtaskRow);
+          console.log(`✅ Created ${createdSubtasks.length} subtasks`);
         } catch (subtaskError) {
           console.error("Error in subtask creation process:", subtaskError);
         }
@@ -254,7 +347,9 @@ router.post("/", upload.single("file"), async (req, res) => {
           project_id: project_id ? parseInt(project_id) : null,
           collaborators,
           owner_id: finalOwnerId,
-          file: fileUrl,
+          file: uploadedFilePath,
+          estimated_hours: taskEstimate,
+          custom_fields: customFields,
         })
         .select()
         .single();
@@ -270,8 +365,8 @@ router.post("/", upload.single("file"), async (req, res) => {
         console.log(`📝 Creating ${subtasksToCreate.length} subtasks...`);
 
         try {
-          // Prepare subtask data for bulk insert
-          const subtaskInserts = subtasksToCreate.map(subtask => {
+          // Prepare subtask data for insert
+          const toSubtaskRow = (subtask) => {
             // Parse subtask priority
             let subtaskPriority = null;
             if (subtask.priority !== undefined && subtask.priority !== null && subtask.priority !== "") {
@@ -282,30 +377,20 @@ router.post("/", upload.single("file"), async (req, res) => {
             }
 
             return {
-              parent_task_id: newTask.id,
               title: subtask.title,
               description: subtask.description || null,
               priority: subtaskPriority,
-              status: subtask.status || "ongoing",
+              status: normalizeStatus(subtask.status) || normalizeStatus(TASK_WORKFLOW.initial),
               due_date: subtask.dueDate || null, // Note: frontend uses 'dueDate', backend uses 'due_date'
+              estimated_hours: timeTrackingService.parseEstimatedHours(subtask.estimated_hours) ?? null,
               collaborators: subtask.collaborators || [],
               owner_id: getNumericIdFromEmpId(finalOwnerId), // Convert emp_id to numeric ID for sub_task table
             };
-          });
-
-          // Bulk create subtasks
-          const { data: subtasksData, error: subtasksError } = await supabase
-            .from("sub_task")
-            .insert(subtaskInserts)
-            .select();
+          };
 
-          if (subtasksError) {
-            console.error("Subtasks creation error:", subtasksError);
-            // Don't fail the entire request, just log the error
-          } else {
-            createdSubtasks = subtasksData || [];
-            console.log(`✅ Created ${createdSubtasks.length} subtasks`);
-          }
+          // Create subtasks (a failure is logged without failing the task creation)
+          createdSubtasks = await insertDraftSubtasks(supabase, newTask.id, subtasksToCreate, toSubtaskRow);
+          console.log(`✅ Created ${createdSubtasks.length} subtasks`);
         } catch (subtaskError) {
           console.error("Error in subtask creation process:", subtaskError);
           // Continue without failing the main task creation
@@ -328,6 +413,15 @@ router.post("/", upload.single("file"), async (req, res) => {
       console.error('Failed to write task history (create):', hErr);
     }
 
+    if (uploadedFilePath) {
+      await registerTaskFileAttachment(supabase, {
+        taskId: newTask.id,
+        storagePath: uploadedFilePath,
+        file: req.file,
+        empId: finalOwnerId,
+      });
+    }
+
     res.status(201).json(newTask);
   } catch (e) {
     console.error("Stack trace:", e.stack);
@@ -378,10 +472,18 @@ router.get("/", async (req, res) => {
     const userRole = profileData?.role?.toLowerCase();
     const isDirector = userRole === 'director';
 
+    // Archived tasks are hidden unless ?archived=include|only; deleted ones always are
+    const archived = taskLifecycleService.parseArchivedFilter(req.query.archived);
+    if (!archived) return res.status(400).json({ error: "archived must be exclude, include or only" });
+
+    // Percent-complete weighting (count | estimate | priority), defaulting to PROGRESS_WEIGHTING
+    const weighting = progressService.parseProgressWeighting(req.query.weighting);
+    if (weighting === null) return res.status(400).json({ error: INVALID_WEIGHTING_ERROR });
+
     // First, get tasks based on user role
     // Directors can see all tasks, others only see tasks they own or collaborate on
     let tasksResp;
-    const baseSelect = supabase.from("tasks").select("*");
+    const baseSelect = taskLifecycleService.applyLifecycleFilter(supabase.from("tasks").select("*"), { archived });
     if (typeof baseSelect.or === "function") {
       // Use full-featured query when available
       if (isDirector) {
@@ -427,6 +529,9 @@ router.get("/", async (req, res) => {
         return isOwner || isCollaborator;
       });
     }
+    if (tasksData) {
+      tasksData = tasksData.filter((task) => taskLifecycleService.isListed(task, { archived }));
+    }
 
     // Parse collaborators field if it's a JSON string
     if (tasksData && tasksData.length > 0) {
@@ -511,6 +616,31 @@ router.get("/", async (req, res) => {
           task.assignees = [];
         });
       }
+
+      // Attach "blocked by" / "blocking" chips; never fail the listing over them
+      try {
+        await dependencyService.attachDependencySummaries(supabase, tasksData);
+      } catch (depErr) {
+        console.error('Failed to load task dependencies:', depErr);
+      }
+
+      try {
+        await tagService.attachTags(supabase, tasksData);
+      } catch (tagErr) {
+        console.error('Failed to load task tags:', tagErr);
+      }
+
+      try {
+        await checklistService.attachChecklistSummaries(supabase, tasksData);
+      } catch (checklistErr) {
+        console.error('Failed to load task checklists:', checklistErr);
+      }
+
+      try {
+        await progressService.attachProgress(supabase, tasksData, { weighting });
+      } catch (progressErr) {
+        console.error('Failed to compute task progress:', progressErr);
+      }
     }
 
     res.json({ tasks: tasksData || [] });
@@ -519,6 +649,202 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Task status workflow (statuses, transitions and who may perform them), plus the
+// requester's emp_id and role so clients can work out their actors on a task
+router.get("/workflow", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const role = await getRoleForEmpId(supabase, empId);
+    res.json({ workflow: TASK_WORKFLOW, emp_id: empId, role: role || null });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Tasks waiting for the requester's review ("Pending my review"), oldest due first
+router.get("/review-queue", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { data: tasks, error } = await supabase
+      .from("tasks")
+      .select("*")
+      .eq("reviewer_id", empId)
+      .eq("status", normalizeStatus("under review"))
+      .is("deleted_at", null)
+      .order("due_date", { ascending: true, nullsFirst: false });
+    if (error) return res.status(400).json({ error: error.message });
+
+    const rows = tasks || [];
+
+    // Owner names for the queue
+    let ownerNames = {};
+    try {
+      const ownerIds = [...new Set(rows.map((t) => t.owner_id).filter(Boolean))];
+      if (ownerIds.length > 0) {
+        const { data: owners } = await supabase
+          .from("users")
+          .select("emp_id, name")
+          .in("emp_id", ownerIds);
+        (owners || []).forEach((o) => { ownerNames[o.emp_id] = o.name; });
+      }
+    } catch (namesErr) {
+      console.error("Failed to load owner names for review queue:", namesErr);
+    }
+
+    res.json({
+      tasks: rows.map((t) => ({ ...t, owner_name: ownerNames[t.owner_id] || null })),
+      total: rows.length,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Search tasks: full text over title/description/comments, structured filters,
+// sorting and cursor pagination (see services/taskSearchService.js)
+router.get("/search", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { params, error: paramsError } = taskSearchService.parseSearchParams(req.query);
+    if (paramsError) return res.status(400).json({ error: paramsError });
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const { tasks, next_cursor } = await taskSearchService.searchTasks(supabase, { empId, role, params });
+
+    // Same owner / assignee names as the task listings
+    tasks.forEach((task) => {
+      task.collaborators = parseCollaborators(task.collaborators);
+    });
+    const personIds = [...new Set(tasks.flatMap((t) => [t.owner_id, ...t.collaborators]).filter(Boolean))];
+    if (personIds.length > 0) {
+      const { data: people } = await supabase
+        .from("users")
+        .select("emp_id, name, department")
+        .in("emp_id", personIds);
+      const peopleMap = {};
+      (people || []).forEach((p) => { peopleMap[p.emp_id] = p; });
+      tasks.forEach((task) => {
+        task.owner_name = peopleMap[task.owner_id]?.name || null;
+        task.assignees = task.collaborators.map((id) => peopleMap[id]).filter(Boolean);
+      });
+    }
+
+    try {
+      await dependencyService.attachDependencySummaries(supabase, tasks);
+    } catch (depErr) {
+      console.error('Failed to load task dependencies:', depErr);
+    }
+
+    try {
+      await tagService.attachTags(supabase, tasks);
+    } catch (tagErr) {
+      console.error('Failed to load task tags:', tagErr);
+    }
+
+    try {
+      await checklistService.attachChecklistSummaries(supabase, tasks);
+    } catch (checklistErr) {
+      console.error('Failed to load task checklists:', checklistErr);
+    }
+
+    res.json({ tasks, next_cursor });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.use("/saved-filters", taskSavedFiltersRoutes);
+
+// Trash: deleted tasks with their restore deadline. Staff see the tasks they own or
+// deleted; managers and directors see everything.
+router.get("/trash", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const role = await getRoleForEmpId(supabase, empId);
+
+    let query = supabase
+      .from("tasks")
+      .select("*")
+      .not("deleted_at", "is", null);
+    // Directors see the whole trash; everyone else what they own or deleted, and managers
+    // also their team members' tasks (the ones they may restore)
+    if (role !== "director") {
+      const visible = [`owner_id.eq.${empId}`, `deleted_by.eq.${empId}`];
+      const teamMemberIds = [...(await getLifecycleTeam(supabase, empId, role))];
+      if (teamMemberIds.length > 0) visible.push(`owner_id.in.(${teamMemberIds.join(",")})`);
+      query = query.or(visible.join(","));
+    }
+    const { data, error } = await query.order("deleted_at", { ascending: false });
+    if (error) return res.status(400).json({ error: error.message });
+
+    const rows = data || [];
+    const people = {};
+    const personIds = [...new Set(rows.flatMap((t) => [t.owner_id, t.deleted_by]).filter(Boolean))];
+    if (personIds.length > 0) {
+      const { data: users } = await supabase
+        .from("users")
+        .select("emp_id, name")
+        .in("emp_id", personIds);
+      (users || []).forEach((u) => { people[u.emp_id] = u.name; });
+    }
+
+    const now = new Date();
+    res.json({
+      tasks: rows.map((t) => ({
+        ...t,
+        owner_name: people[t.owner_id] || null,
+        deleted_by_name: people[t.deleted_by] || null,
+        restore_deadline: taskLifecycleService.getRestoreDeadline(t.deleted_at),
+        restorable: taskLifecycleService.isRestorable(t, now),
+      })),
+      retention_days: taskLifecycleService.TRASH_RETENTION_DAYS,
+      can_purge: taskLifecycleService.canPurge(role),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Get single task by id with owner and collaborator names and subtasks
 router.get("/:id", async (req, res) => {
   try {
@@ -541,7 +867,7 @@ router.get("/:id", async (req, res) => {
       .eq("id", Number(id))
       .single();
 
-    if (taskErr || !taskData) {
+    if (taskErr || !taskData || taskData.deleted_at) {
       return res.status(404).json({ error: "Task not found" });
     }
 
@@ -573,15 +899,24 @@ router.get("/:id", async (req, res) => {
       }
     }
 
-    // Fetch subtasks
+    // Fetch subtasks (trashed ones come back when the task is restored)
     const { data: subtasks, error: subtasksErr } = await supabase
       .from("sub_task")
       .select("*")
-      .eq("parent_task_id", Number(id));
+      .eq("parent_task_id", Number(id))
+      .is("deleted_at", null);
+
+    try {
+      await tagService.attachTags(supabase, [taskData]);
+      await tagService.attachTags(supabase, subtasks || [], "subtask");
+    } catch (tagErr) {
+      console.error('Failed to load task tags:', tagErr);
+    }
 
     // Return minimal project names map (frontend can expand later)
     const projectNames = {};
 
+    concurrencyService.setEtag(res, taskData);
     res.json({ task: taskData, memberNames, projectNames, subtasks: subtasks || [] });
   } catch (e) {
     console.error("Error fetching task by id:", e);
@@ -612,9 +947,11 @@ router.get("/manager/all", async (req, res) => {
       return res.status(403).json({ error: "Forbidden: managers and directors only" });
     }
 
-    const { data: tasksData, error: tasksError } = await supabase
-      .from("tasks")
-      .select("*")
+    const archived = taskLifecycleService.parseArchivedFilter(req.query.archived);
+    if (!archived) return res.status(400).json({ error: "archived must be exclude, include or only" });
+
+    const { data: tasksData, error: tasksError } = await taskLifecycleService
+      .applyLifecycleFilter(supabase.from("tasks").select("*"), { archived })
       .order("created_at", { ascending: false });
     if (tasksError) return res.status(400).json({ error: tasksError.message });
 
@@ -664,6 +1001,24 @@ router.get("/manager/all", async (req, res) => {
       } else {
         tasksData.forEach((task) => { task.assignees = []; });
       }
+
+      try {
+        await dependencyService.attachDependencySummaries(supabase, tasksData);
+      } catch (depErr) {
+        console.error('Failed to load task dependencies:', depErr);
+      }
+
+      try {
+        await tagService.attachTags(supabase, tasksData);
+      } catch (tagErr) {
+        console.error('Failed to load task tags:', tagErr);
+      }
+
+      try {
+        await checklistService.attachChecklistSummaries(supabase, tasksData);
+      } catch (checklistErr) {
+        console.error('Failed to load task checklists:', checklistErr);
+      }
     }
 
     res.json({ tasks: tasksData || [] });
@@ -785,7 +1140,7 @@ router.get("/manager/staff-members", async (req, res) => {
 });
 
 // Replace the PUT route (lines 265-420) with this fixed version:
-router.put("/:id", upload.single("file"), async (req, res) => {
+router.put("/:id", handleUpload, async (req, res) => {
   try {
     const supabase = getServiceClient();
     const authHeader = req.headers.authorization || "";
@@ -800,6 +1155,10 @@ router.put("/:id", upload.single("file"), async (req, res) => {
     const { id } = req.params;
     const { remove_file, assignTo, ...updates } = req.body || {};
 
+    // Optional optimistic lock: If-Match (or a version field) must match the task's version
+    const { version: expectedVersion, error: versionError } = concurrencyService.getExpectedVersion(req);
+    if (versionError) return res.status(400).json({ error: versionError });
+
     // Clean and validate updates object
     let cleanUpdates = {};
     if (updates.title && updates.title.trim()) {
@@ -815,12 +1174,19 @@ router.put("/:id", upload.single("file"), async (req, res) => {
       }
     }
     if (updates.status) {
-      // Use our standardized status normalization function
-      cleanUpdates.status = normalizeStatus(updates.status);
+      const status = normalizeStatus(updates.status);
+      if (!status) return res.status(400).json({ error: INVALID_STATUS_ERROR });
+      cleanUpdates.status = status;
     }
     if (updates.due_date) {
       cleanUpdates.due_date = updates.due_date;
     }
+    const parsedEstimate = timeTrackingService.parseEstimatedHours(updates.estimated_hours);
+    if (parsedEstimate !== undefined) {
+      cleanUpdates.estimated_hours = parsedEstimate;
+    }
+    const { values: customFieldInput, error: customFieldParseError } = customFieldService.parseCustomFieldInput(updates.custom_fields);
+    if (customFieldParseError) return res.status(400).json({ error: customFieldParseError });
     
     // Handle collaborators update
     if (updates.collaborators !== undefined) {
@@ -842,7 +1208,7 @@ router.put("/:id", upload.single("file"), async (req, res) => {
     // Get current task to check existing file and ownership (including collaborators)
     const { data: currentTask, error: fetchError } = await supabase
       .from("tasks")
-      .select("file, owner_id, collaborators, title")
+      .select("*")
       .eq("id", Number(id))
       .single();
 
@@ -850,7 +1216,9 @@ router.put("/:id", upload.single("file"), async (req, res) => {
       console.error("Fetch error:", fetchError);
       return res.status(404).json({ error: "Task not found" });
     }
-
+    if (currentTask.deleted_at) {
+      return res.status(409).json({ error: "Task is in the trash; restore it before editing" });
+    }
     // Get user role for assignment validation
     const { data: userProfileData, error: userProfileError } = await supabase
       .from("users")
@@ -877,8 +1245,10 @@ router.put("/:id", upload.single("file"), async (req, res) => {
       cleanUpdates.owner_id = assignTo;
     }
 
+    const ownershipTransferred = Boolean(newOwner && newOwner !== oldOwner);
+
     // Handle ownership transfer if owner_id is being updated
-    if (newOwner && newOwner !== oldOwner) {
+    if (ownershipTransferred) {
       // Validate assignment based on user role
       if (!canAssignTasks) {
         return res.status(403).json({ error: "You don't have permission to assign tasks" });
@@ -886,47 +1256,25 @@ router.put("/:id", upload.single("file"), async (req, res) => {
 
       if (userRole === "manager") {
        // Validate that the new owner is in manager's team
+        let teamMemberIds;
         try {
-          const { data: teamData, error: teamError } = await supabase
-            .from("department_teams")
-            .select("member_ids, team_name")
-            .filter("manager_ids", "cs", `{${empId}}`);
-
-          console.log('TEAM DATA ', teamData)
-
-          if (teamError) {
-            console.error("Error fetching manager's team:", teamError);
-            return res.status(400).json({ error: "Failed to validate team membership" });
-          }
-
-          // Check if newOwner is in any of the manager's teams
-          let isTeamMember = false;
-          if (teamData && teamData.length > 0) {
-            for (const team of teamData) {
-              if (team.member_ids && Array.isArray(team.member_ids)) {
-                isTeamMember = team.member_ids.some(memberId => {
-                  return memberId && String(memberId) === newOwner;
-              });
-                if (isTeamMember) break;
-              }
-            }
-          }
+          teamMemberIds = await getManagedMemberIds(supabase, empId);
+        } catch (teamError) {
+          console.error("Error fetching manager's team:", teamError);
+          return res.status(400).json({ error: "Failed to validate team membership" });
+        }
 
-          if (!isTeamMember) {
-            return res.status(403).json({ 
-              error: "You can only assign tasks to members of your team" 
-            });
-          }
-        } catch (teamValidationError) {
-          console.error("Team validation error:", teamValidationError);
-          return res.status(500).json({ error: "Failed to validate team membership" });
+        if (!teamMemberIds.has(newOwner)) {
+          return res.status(403).json({ 
+            error: "You can only assign tasks to members of your team" 
+          });
         }
       }
       // Directors can assign to anyone
 
-       // Transfer ownership and set status to ongoing
+       // Transfer ownership and restart the task in the initial status
       cleanUpdates.owner_id = newOwner;
-      cleanUpdates.status = "ongoing";
+      cleanUpdates.status = normalizeStatus(TASK_WORKFLOW.initial);
       
       console.log(`Transferring ownership from ${oldOwner} to ${newOwner}`);
     }
@@ -984,72 +1332,108 @@ router.put("/:id", upload.single("file"), async (req, res) => {
       cleanUpdates = allowedUpdates;
     }
 
-    // Handle file operations
-    let newFileUrl = currentTask.file;
+    // Checked only now, so the conflict (which carries the task) goes to people who may edit it
+    if (!concurrencyService.isCurrentVersion(currentTask, expectedVersion)) {
+      return res.status(409).json(buildTaskConflict(currentTask, cleanUpdates, expectedVersion));
+    }
 
-    // Remove existing file if requested
-    if (remove_file === "true" && currentTask.file) {
-      try {
-        const fileName = currentTask.file.split("/").pop();
-        await supabase.storage.from("task-attachment").remove([fileName]); // Changed from "task-files"
-        newFileUrl = null;
-      } catch (error) {
-        console.error("Error removing old file:", error);
-      }
+    // Sent custom field values are merged over the stored ones and checked against the
+    // definitions of the task's project; collaborators can't change them
+    if (customFieldInput !== undefined && isOwner) {
+      const { values: customFields, error: customFieldError } = await customFieldService.resolveTaskCustomFields(supabase, {
+        projectId: currentTask.project_id ?? null,
+        incoming: customFieldInput,
+        existing: currentTask.custom_fields || {},
+      });
+      if (customFieldError) return res.status(400).json({ error: customFieldError });
+      cleanUpdates.custom_fields = customFields;
     }
 
-    // Upload new file if provided
-    if (req.file) {
-      // Remove old file if exists (when new file is being uploaded)
-      if (currentTask.file && remove_file !== "true") {
-        try {
-          const fileName = currentTask.file.split("/").pop();
-          await supabase.storage.from("task-attachment").remove([fileName]); // Changed from "task-files"
-        } catch (error) {
-          console.error("Error removing old file:", error);
-        }
+    // Status changes must follow the task workflow; the reset that comes with an
+    // ownership transfer is not a user transition
+    if (cleanUpdates.status && !ownershipTransferred) {
+      const transition = workflowService.checkTransition(
+        currentTask.status,
+        cleanUpdates.status,
+        workflowService.getActors(currentTask, empId, userRole)
+      );
+      if (!transition.allowed) {
+        return res.status(transition.code).json({ error: transition.error });
       }
+    }
 
-      // Upload new file - use same structure as POST route
-      const fileExt = req.file.originalname.split(".").pop();
-      const fileName = `${Date.now()}-${Math.random()
-        .toString(36)
-        .substring(2)}.${fileExt}`;
-      const filePath = `task-attachment/${fileName}`;
-
-      const { error: uploadError } = await supabase.storage
-        .from("task-attachment") // Changed from "task-files"
-        .upload(filePath, req.file.buffer, {
-          contentType: req.file.mimetype,
-          cacheControl: "3600",
-          upsert: false,
+    // A task cannot be completed while any of its blockers are still open
+    if (
+      workflowService.isTerminalStatus(cleanUpdates.status) &&
+      !workflowService.isTerminalStatus(currentTask.status)
+    ) {
+      // If the check cannot run the task stays open rather than completing unchecked
+      let blockers = [];
+      try {
+        const openBlockers = await dependencyService.getOpenBlockers(supabase, Number(id));
+        blockers = Array.isArray(openBlockers) ? openBlockers : [];
+      } catch (depErr) {
+        console.error("Failed to check task dependencies:", depErr);
+        return res.status(500).json({ error: DEPENDENCY_CHECK_FAILED_ERROR });
+      }
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          error: "Task is blocked by open dependencies",
+          blockers,
         });
+      }
 
-      if (uploadError) {
-        console.error("Upload error:", uploadError);
-        return res.status(500).json({ error: "File upload failed" });
+      // Tasks that require their checklist stay open until every item is checked
+      let openItems = [];
+      try {
+        const unchecked = await checklistService.getOpenChecklistItems(supabase, Number(id));
+        openItems = Array.isArray(unchecked) ? unchecked : [];
+      } catch (checklistErr) {
+        console.error("Failed to check task checklist:", checklistErr);
+        return res.status(500).json({ error: CHECKLIST_CHECK_FAILED_ERROR });
       }
+      if (openItems.length > 0) {
+        return res.status(409).json({ error: CHECKLIST_INCOMPLETE_ERROR, checklist_items: openItems });
+      }
+    }
+
+    // Handle file operations
+    let newFilePath = currentTask.file;
 
-      // Get public URL
-      const { data: publicUrlData } = supabase.storage
-        .from("task-attachment") // Changed from "task-files"
-        .getPublicUrl(filePath);
+    // Removing or replacing the task file only unlinks it from the task; the stored
+    // file stays available (with its history) under the task's attachments
+    if (remove_file === "true" && currentTask.file) {
+      newFilePath = null;
+    }
 
-      newFileUrl = publicUrlData.publicUrl;
+    // Upload new file if provided
+    let uploadedFilePath = null;
+    if (req.file) {
+      try {
+        uploadedFilePath = await uploadTaskFile(supabase, req.file);
+        newFilePath = uploadedFilePath;
+      } catch (uploadError) {
+        console.error("Upload error:", uploadError);
+        return res.status(500).json({ error: "File upload failed" });
+      }
     }
 
-    cleanUpdates.file = newFileUrl;
+    cleanUpdates.file = newFilePath;
 
     console.log("Final updates to apply:", cleanUpdates);
     console.log("[PUT /tasks/:id] body:", req.body);
     console.log("[PUT /tasks/:id] incomingOwner(assignTo/owner_id):", assignTo, updates?.owner_id);
 
-    // Update the task - don't restrict to owner_id since we've already verified access
-    const { data, error } = await supabase
+    // Update the task - don't restrict to owner_id since we've already verified access.
+    // With a version, the update only lands if nobody saved in between
+    let updateQuery = supabase
       .from("tasks")
       .update(cleanUpdates)
-      .eq("id", Number(id))
-      .select();
+      .eq("id", Number(id));
+    if (expectedVersion !== null) {
+      updateQuery = updateQuery.eq("version", expectedVersion);
+    }
+    const { data, error } = await updateQuery.select();
 
     if (error) {
       console.error("Update error:", error);
@@ -1057,6 +1441,14 @@ router.put("/:id", upload.single("file"), async (req, res) => {
     }
 
     if (!data || data.length === 0) {
+      if (expectedVersion !== null) {
+        const { data: latest } = await supabase
+          .from("tasks")
+          .select("*")
+          .eq("id", Number(id))
+          .single();
+        if (latest) return res.status(409).json(buildTaskConflict(latest, cleanUpdates, expectedVersion));
+      }
       return res.status(404).json({
         error: "Task not found",
       });
@@ -1064,9 +1456,18 @@ router.put("/:id", upload.single("file"), async (req, res) => {
 
     const updatedTask = data[0];
 
+    if (uploadedFilePath) {
+      await registerTaskFileAttachment(supabase, {
+        taskId: updatedTask.id,
+        storagePath: uploadedFilePath,
+        file: req.file,
+        empId,
+      });
+    }
+
     // ========== HANDLE RECURRING TASK COMPLETION ==========
     // If task status changed to "completed" and it's a recurring task, create next instance
-    if (cleanUpdates.status === "completed" && updatedTask.is_recurring) {
+    if (workflowService.isTerminalStatus(cleanUpdates.status) && updatedTask.is_recurring) {
       console.log("🔄 Recurring task completed - creating next instance...");
 
       try {
@@ -1228,6 +1629,25 @@ router.put("/:id", upload.single("file"), async (req, res) => {
         console.error('Error preparing collaborator notifications:', collabErr);
       }
 
+      // Notify watchers of the task (or its project) who are not already on it
+      try {
+        const watcherIds = await watcherService.getTaskWatcherIds(supabase, updatedTask);
+        const recipients = watcherService.selectWatcherRecipients(watcherIds, updatedTask, empId);
+        watcherService.buildWatcherNotifications(updatedTask, recipients, { editorName }).forEach((n) => {
+          notificationsToInsert.push({
+            emp_id: getNumericIdFromEmpId(n.empId),
+            task_id: updatedTask.id,
+            title: n.title,
+            description: n.description,
+            type: "Task Update",
+            created_at: new Date().toISOString(),
+            read: false,
+          });
+        });
+      } catch (watcherErr) {
+        console.error('Error preparing watcher notifications:', watcherErr);
+      }
+
       if (notificationsToInsert.length > 0) {
         try {
           const { data: notifData, error: notifErr } = await supabase
@@ -1247,6 +1667,7 @@ router.put("/:id", upload.single("file"), async (req, res) => {
       console.error('Error while creating notifications for task update:', notifOuterErr);
     }
 
+    concurrencyService.setEtag(res, updatedTask);
     res.json(updatedTask);
   } catch (e) {
     console.error("Unexpected error:", e);
@@ -1254,32 +1675,920 @@ router.put("/:id", upload.single("file"), async (req, res) => {
   }
 });
 
-// Delete task
-// router.delete("/:id", async (req, res) => {
-//   try {
-//     const supabase = getServiceClient();
-//     const authHeader = req.headers.authorization || "";
-//     const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-//     if (!token) return res.status(401).json({ error: "Missing access token" });
+// ========== BULK UPDATE ==========
 
-//     const user = await getUserFromToken(token);
-//     if (!user) return res.status(401).json({ error: "Invalid token" });
-//     const empId = await getEmpIdForUserId(user.id);
-//     if (!empId) return res.status(400).json({ error: "emp_id not found" });
+// Apply status / priority / due-date shift / reassignment / collaborator / project /
+// archive changes to a list (task_ids) or search filter of tasks. Each task is checked
+// like a single PUT; the response has a result per task. See services/bulkTaskService.js
+router.post("/bulk-update", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
 
-//     const { id } = req.params;
-//     const { error } = await supabase
-//       .from("tasks")
-//       .delete()
-//       .eq("id", Number(id))
-//       .eq("owner_id", empId);
-//     if (error) return res.status(400).json({ error: error.message });
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
 
-//     res.json({ ok: true });
-//   } catch (e) {
-//     res.status(500).json({ error: e.message });
-//   }
-// });
+    const { taskIds, filter, ops, error: parseError } = bulkTaskService.parseBulkRequest(req.body);
+    if (parseError) return res.status(400).json({ error: parseError });
+
+    const role = await getRoleForEmpId(supabase, empId);
+    let teamMemberIds = new Set();
+    if (role === "manager") {
+      try {
+        teamMemberIds = await getManagedMemberIds(supabase, empId);
+      } catch (teamError) {
+        console.error("Error fetching manager's team:", teamError);
+        return res.status(400).json({ error: "Failed to validate team membership" });
+      }
+    }
+
+    // Tasks to work on; trashed tasks are never touched
+    const results = [];
+    let tasks = [];
+    if (taskIds) {
+      const { data, error } = await supabase
+        .from("tasks")
+        .select("*")
+        .in("id", taskIds)
+        .is("deleted_at", null);
+      if (error) return res.status(400).json({ error: error.message });
+      tasks = data || [];
+      const found = new Set(tasks.map((t) => t.id));
+      taskIds
+        .filter((id) => !found.has(id))
+        .forEach((id) => results.push({ task_id: id, result: BULK_RESULT.failed, code: 404, error: "Task not found" }));
+    } else {
+      const { params, error: filterError } = taskSearchService.parseSearchParams(filter);
+      if (filterError) return res.status(400).json({ error: filterError });
+      params.limit = BULK_MAX_TASKS;
+      const found = await taskSearchService.searchTasks(supabase, { empId, role, params });
+      if (found.next_cursor) {
+        return res.status(400).json({
+          error: `The filter matches more than ${BULK_MAX_TASKS} tasks; narrow it down`,
+        });
+      }
+      tasks = found.tasks;
+    }
+
+    // A project move needs a project the requester belongs to (directors can use any)
+    if (ops.projectId) {
+      const { data: project } = await supabase
+        .from("projects")
+        .select("id, title, owner_id, members")
+        .eq("id", ops.projectId)
+        .single();
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      if (!taskTransferService.canUseProject(project, empId, role)) {
+        return res.status(403).json({ error: "You can only move tasks into projects you are a member of" });
+      }
+    }
+
+    // Tasks that change project keep only values that fit the target project's fields
+    const targetFieldRules = ops.projectId !== undefined
+      ? await customFieldService.loadCustomFieldRules(supabase, ops.projectId)
+      : null;
+
+    const changes = [];
+    const archivedAt = new Date().toISOString();
+    for (const task of tasks) {
+      const plan = bulkTaskService.planTaskUpdate(task, ops, { empId, role, teamMemberIds });
+      if (plan.error) {
+        results.push({ task_id: task.id, title: task.title, result: BULK_RESULT.failed, code: plan.code, error: plan.error });
+        continue;
+      }
+      if (Object.keys(plan.updates).length === 0 && !plan.archive) {
+        results.push({ task_id: task.id, title: task.title, result: BULK_RESULT.skipped, error: "Nothing to change" });
+        continue;
+      }
+
+      if ("project_id" in plan.updates) {
+        const { values: customFields, error: customFieldError } = customFieldService.applyCustomFieldRules(
+          targetFieldRules,
+          {},
+          task.custom_fields || {}
+        );
+        if (customFieldError) {
+          results.push({ task_id: task.id, title: task.title, result: BULK_RESULT.failed, code: 400, error: customFieldError });
+          continue;
+        }
+        plan.updates.custom_fields = customFields;
+      }
+
+      // A task cannot be completed while any of its blockers are still open
+      if (
+        workflowService.isTerminalStatus(plan.updates.status) &&
+        !workflowService.isTerminalStatus(task.status)
+      ) {
+        let blockers;
+        try {
+          blockers = await dependencyService.getOpenBlockers(supabase, task.id);
+        } catch (depErr) {
+          console.error(`Failed to check dependencies of task ${task.id}:`, depErr);
+          results.push({
+            task_id: task.id,
+            title: task.title,
+            result: BULK_RESULT.failed,
+            code: 500,
+            error: DEPENDENCY_CHECK_FAILED_ERROR,
+          });
+          continue;
+        }
+        if (Array.isArray(blockers) && blockers.length > 0) {
+          results.push({
+            task_id: task.id,
+            title: task.title,
+            result: BULK_RESULT.failed,
+            code: 409,
+            error: "Task is blocked by open dependencies",
+          });
+          continue;
+        }
+
+        let openItems;
+        try {
+          openItems = await checklistService.getOpenChecklistItems(supabase, task.id);
+        } catch (checklistErr) {
+          console.error(`Failed to check checklist of task ${task.id}:`, checklistErr);
+          results.push({
+            task_id: task.id,
+            title: task.title,
+            result: BULK_RESULT.failed,
+            code: 500,
+            error: CHECKLIST_CHECK_FAILED_ERROR,
+          });
+          continue;
+        }
+        if (Array.isArray(openItems) && openItems.length > 0) {
+          results.push({
+            task_id: task.id,
+            title: task.title,
+            result: BULK_RESULT.failed,
+            code: 409,
+            error: CHECKLIST_INCOMPLETE_ERROR,
+          });
+          continue;
+        }
+      }
+
+      try {
+        let updatedTask = task;
+        if (Object.keys(plan.updates).length > 0) {
+          const { data, error } = await supabase
+            .from("tasks")
+            .update(plan.updates)
+            .eq("id", task.id)
+            .select();
+          if (error) throw error;
+          updatedTask = data?.[0] || { ...task, ...plan.updates };
+        }
+        // Tags of the old project don't apply in the new one
+        if ("project_id" in plan.updates) {
+          plan.removedTagIds = await tagService.dropUnavailableTags(supabase, {
+            taskId: task.id,
+            projectId: plan.updates.project_id,
+          });
+        }
+        if (plan.archive) {
+          await taskLifecycleService.setArchived(supabase, [task.id], { archive: true, empId, at: archivedAt });
+          updatedTask = { ...updatedTask, archived_at: archivedAt, archived_by: empId };
+        }
+
+        if (workflowService.isTerminalStatus(plan.updates.status) && updatedTask.is_recurring) {
+          try {
+            await recurrenceService.handleTaskCompletion(supabase, task.id);
+          } catch (recurrenceError) {
+            console.error("Error handling task recurrence:", recurrenceError);
+          }
+        }
+
+        await recordTaskHistory(supabase, {
+          taskId: task.id,
+          empId,
+          userId: user.id,
+          action: "bulk_update",
+          details: { updates: plan.updates, archived: plan.archive, removed_tag_ids: plan.removedTagIds },
+        });
+
+        changes.push({ before: task, after: updatedTask });
+        results.push({
+          task_id: task.id,
+          title: task.title,
+          result: BULK_RESULT.updated,
+          updates: plan.updates,
+          archived: plan.archive,
+          ...(plan.removedTagIds ? { removed_tag_ids: plan.removedTagIds } : {}),
+        });
+      } catch (updateError) {
+        results.push({ task_id: task.id, title: task.title, result: BULK_RESULT.failed, code: 400, error: updateError.message });
+      }
+    }
+
+    // One notification per affected person for the whole batch
+    let notified = 0;
+    if (changes.length > 0) {
+      try {
+        let editorName = "Someone";
+        const { data: editorUser } = await supabase.from("users").select("name").eq("id", user.id).single();
+        if (editorUser?.name) editorName = editorUser.name;
+
+        let watchersByTask = null;
+        try {
+          watchersByTask = await watcherService.getWatcherIdsByTask(supabase, changes.map((c) => c.after));
+        } catch (watcherErr) {
+          console.error("Failed to load watchers for bulk update:", watcherErr);
+        }
+        const rows = bulkTaskService
+          .buildBulkNotifications(changes, { editorEmpId: empId, editorName, watchersByTask })
+          .map((n) => ({
+            emp_id: getNumericIdFromEmpId(n.empId),
+            task_id: n.taskIds[0],
+            title: n.title,
+            description: n.description,
+            type: "Bulk Task Update",
+            created_at: new Date().toISOString(),
+            read: false,
+          }));
+        if (rows.length > 0) {
+          // Repeating the same bulk change refreshes the earlier notification (unique per
+          // task/emp/type/title) instead of failing the insert
+          const { error: notifErr } = await supabase
+            .from("notifications")
+            .upsert(rows, { onConflict: "task_id,emp_id,type,title" });
+          if (notifErr) console.error("Failed to insert bulk update notifications:", notifErr);
+          else notified = rows.length;
+        }
+      } catch (notifErr) {
+        console.error("Error while creating notifications for bulk update:", notifErr);
+      }
+    }
+
+    const count = (result) => results.filter((r) => r.result === result).length;
+    res.json({
+      results,
+      summary: {
+        total: results.length,
+        updated: count(BULK_RESULT.updated),
+        skipped: count(BULK_RESULT.skipped),
+        failed: count(BULK_RESULT.failed),
+      },
+      notified,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ========== IMPORT ==========
+
+// Users, projects and assignable owners the import rows are checked against
+async function loadImportLookups(supabase, { empId, role, mapping }) {
+  const needsUsers = Boolean(mapping.owner || mapping.collaborators);
+  const { data: users, error: usersErr } = needsUsers
+    ? await supabase.from("users").select("emp_id, email")
+    : { data: [], error: null };
+  if (usersErr) throw usersErr;
+
+  let projects = [];
+  if (mapping.project) {
+    const { data, error } = await supabase.from("projects").select("id, title, owner_id, members");
+    if (error) throw error;
+    const { data: required, error: requiredErr } = await supabase
+      .from("project_custom_fields")
+      .select("project_id, label")
+      .eq("required", true);
+    if (requiredErr) throw requiredErr;
+    projects = (data || []).map((project) => ({
+      ...project,
+      required_fields: (required || [])
+        .filter((field) => Number(field.project_id) === Number(project.id))
+        .map((field) => field.label),
+    }));
+  }
+
+  // Staff can only own their imported tasks, managers assign to their team, directors to anyone
+  let assignableIds = new Set();
+  if (role === "director") assignableIds = null;
+  else if (role === "manager" && mapping.owner) assignableIds = await getManagedMemberIds(supabase, empId);
+
+  return { users: users || [], projects, assignableIds };
+}
+
+// Import tasks from a CSV: multipart "file" or the CSV text in "csv". Fields: mapping
+// (JSON of import field -> column; guessed from the headers when left out) and dry_run.
+// A dry run, or a file with any invalid row, returns the per-row check and writes nothing.
+router.post("/import", csvUpload.single("file"), async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const text = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+    if (!text) return res.status(400).json({ error: "Upload a CSV file" });
+
+    const { headers, rows, error: csvError } = taskImportService.parseCsv(text);
+    if (csvError) return res.status(400).json({ error: csvError });
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `An import can have at most ${IMPORT_MAX_ROWS} rows` });
+    }
+
+    const requested = req.body?.mapping || taskImportService.suggestMapping(headers);
+    const { mapping, error: mappingError } = taskImportService.parseMapping(requested, headers);
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError, columns: headers, mapping: taskImportService.suggestMapping(headers) });
+    }
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const lookups = await loadImportLookups(supabase, { empId, role, mapping });
+    const plan = taskImportService.planImport({ headers, rows, mapping, lookups, empId, role });
+    const preview = { columns: headers, mapping, rows: plan.rows, summary: plan.summary };
+
+    const dryRun = req.body?.dry_run === true || req.body?.dry_run === "true";
+    if (dryRun) return res.json({ dry_run: true, ...preview });
+    if (plan.summary.invalid > 0) {
+      return res.status(400).json({ error: "Fix the invalid rows before importing", dry_run: false, ...preview });
+    }
+    if (plan.summary.total === 0) return res.status(400).json({ error: "The CSV has no rows to import" });
+
+    // Tasks first, then the subtasks pointing at them
+    const taskEntries = plan.rows.filter((entry) => entry.kind === "task");
+    const { data: createdTasks, error: tasksErr } = await supabase
+      .from("tasks")
+      .insert(taskEntries.map(({ task }) => ({
+        ...task,
+        priority: task.priority ?? 5, // same default as a single create
+        status: normalizeStatus(TASK_WORKFLOW.initial),
+        custom_fields: {},
+      })))
+      .select();
+    if (tasksErr) return res.status(400).json({ error: tasksErr.message });
+
+    const taskIdByRow = new Map(taskEntries.map((entry, index) => [entry.row, createdTasks[index].id]));
+    const positions = new Map();
+    const subtaskRows = plan.rows
+      .filter((entry) => entry.kind === "subtask")
+      .map(({ task, parent_row }) => {
+        const position = positions.get(parent_row) || 0;
+        positions.set(parent_row, position + 1);
+        return {
+          title: task.title,
+          description: task.description,
+          priority: task.priority,
+          status: normalizeStatus(TASK_WORKFLOW.initial),
+          due_date: task.due_date,
+          collaborators: task.collaborators,
+          owner_id: getNumericIdFromEmpId(task.owner_id), // Convert emp_id to numeric ID for sub_task table
+          parent_task_id: taskIdByRow.get(parent_row),
+          position,
+        };
+      });
+
+    let createdSubtasks = [];
+    if (subtaskRows.length > 0) {
+      const { data, error: subtasksErr } = await supabase.from("sub_task").insert(subtaskRows).select();
+      if (subtasksErr) {
+        // Keep the import all-or-nothing
+        await supabase.from("tasks").delete().in("id", createdTasks.map((t) => t.id));
+        return res.status(400).json({ error: subtasksErr.message });
+      }
+      createdSubtasks = data || [];
+    }
+
+    // One history insert for the whole import; a failed insert is logged and the import stands
+    try {
+      const { error: hErr } = await supabase.from("task_edit_history").insert(createdTasks.map((task) => ({
+        task_id: task.id,
+        editor_emp_id: empId,
+        editor_user_id: user.id,
+        action: "create",
+        details: {
+          task: { id: task.id, title: task.title, status: task.status, priority: task.priority, due_date: task.due_date, project_id: task.project_id },
+          imported: true,
+        },
+      })));
+      if (hErr) throw hErr;
+    } catch (hErr) {
+      console.error("Failed to write task history (import):", hErr);
+    }
+
+    res.status(201).json({
+      dry_run: false,
+      summary: { ...plan.summary, tasks: createdTasks.length, subtasks: createdSubtasks.length },
+      task_ids: createdTasks.map((t) => t.id),
+    });
+  } catch (e) {
+    console.error("Error importing tasks:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ========== CLONE / MOVE ROUTES ==========
+
+// Target project of a clone or move; { project: null } for "no project"
+async function loadTargetProject(supabase, projectId) {
+  if (projectId === null || projectId === undefined) return { project: null, error: null };
+  const { data: project } = await supabase
+    .from("projects")
+    .select("id, title, owner_id, members")
+    .eq("id", projectId)
+    .single();
+  return project ? { project, error: null } : { project: null, error: "Project not found" };
+}
+
+// Duplicate a task (optionally with its subtasks) as a new task owned by the requester.
+// Body: { include_subtasks = true, reset_status = true, shift_days = 0, project_id?, title?, custom_fields? }
+// custom_fields are values for the target project's fields, merged over the copied ones
+router.post("/:id/clone", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { options, error: optionsError } = taskTransferService.parseCloneOptions(req.body);
+    if (optionsError) return res.status(400).json({ error: optionsError });
+    const { values: customFieldInput, error: customFieldParseError } = customFieldService.parseCustomFieldInput(req.body?.custom_fields);
+    if (customFieldParseError) return res.status(400).json({ error: customFieldParseError });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select("*")
+      .eq("id", Number(req.params.id))
+      .single();
+    if (taskErr || !task || task.deleted_at) return res.status(404).json({ error: "Task not found" });
+    if (!(await canViewTask(supabase, task, empId))) {
+      return res.status(403).json({ error: "You can only clone tasks you can see" });
+    }
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const targetProjectId = options.projectId === undefined ? task.project_id ?? null : options.projectId;
+    const { project, error: projectError } = await loadTargetProject(supabase, targetProjectId);
+    if (projectError) return res.status(404).json({ error: projectError });
+    if (!taskTransferService.canUseProject(project, empId, role)) {
+      return res.status(403).json({ error: "You can only add tasks to projects you are a member of" });
+    }
+
+    const taskRow = taskTransferService.buildClonedTask(task, { ...options, projectId: targetProjectId, ownerId: empId });
+
+    // The clone's values must fit the target project's fields, like a new task's
+    const { values: customFields, error: customFieldError } = await customFieldService.resolveTaskCustomFields(supabase, {
+      projectId: targetProjectId,
+      incoming: customFieldInput || {},
+      existing: taskRow.custom_fields,
+    });
+    if (customFieldError) return res.status(400).json({ error: customFieldError });
+    taskRow.custom_fields = customFields;
+
+    const { data: clone, error: cloneErr } = await supabase
+      .from("tasks")
+      .insert(taskRow)
+      .select()
+      .single();
+    if (cloneErr) return res.status(400).json({ error: cloneErr.message });
+
+    let subtasks = [];
+    if (options.includeSubtasks) {
+      const { data: sourceSubtasks, error: subErr } = await supabase
+        .from("sub_task")
+        .select("*")
+        .eq("parent_task_id", task.id)
+        .is("deleted_at", null);
+      if (subErr) return res.status(400).json({ error: subErr.message });
+
+      const drafts = taskTransferService.buildClonedSubtaskDrafts(sourceSubtasks, options);
+      try {
+        subtasks = await insertDraftSubtasks(supabase, clone.id, drafts, (draft) => ({
+          ...draft.row,
+          owner_id: getNumericIdFromEmpId(empId), // Convert emp_id to numeric ID for sub_task table
+        }));
+      } catch (insertErr) {
+        return res.status(400).json({ error: insertErr.message });
+      }
+    }
+
+    let checklistItems = 0;
+    try {
+      checklistItems = await checklistService.copyChecklist(supabase, task.id, clone.id, { createdBy: empId });
+    } catch (checklistErr) {
+      console.error("Failed to copy task checklist:", checklistErr);
+    }
+
+    await recordTaskHistory(supabase, {
+      taskId: clone.id,
+      empId,
+      userId: user.id,
+      action: TRANSFER_ACTIONS.clone,
+      details: { source_task_id: task.id, subtasks: subtasks.length, checklist_items: checklistItems, options },
+    });
+    await recordTaskHistory(supabase, {
+      taskId: task.id,
+      empId,
+      userId: user.id,
+      action: TRANSFER_ACTIONS.clonedFrom,
+      details: { clone_task_id: clone.id },
+    });
+
+    res.status(201).json({ task: clone, subtasks });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Move a task to another project (project_id: null takes it out of its project). The
+// task keeps its id, so subtasks, attachments, comments and history move with it.
+// Body: { project_id, custom_fields? }. Values of the old project's fields are dropped;
+// custom_fields gives values for the target project's fields (required ones must be set).
+// Tags of the old project come off the task and its subtasks. Honours If-Match like PUT.
+router.post("/:id/move", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { projectId, error: targetError } = taskTransferService.parseMoveTarget(req.body);
+    if (targetError) return res.status(400).json({ error: targetError });
+    const { version: expectedVersion, error: versionError } = concurrencyService.getExpectedVersion(req);
+    if (versionError) return res.status(400).json({ error: versionError });
+    const { values: customFieldInput, error: customFieldParseError } = customFieldService.parseCustomFieldInput(req.body?.custom_fields);
+    if (customFieldParseError) return res.status(400).json({ error: customFieldParseError });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select("id, title, owner_id, collaborators, project_id, custom_fields, deleted_at, version")
+      .eq("id", Number(req.params.id))
+      .single();
+    if (taskErr || !task || task.deleted_at) return res.status(404).json({ error: "Task not found" });
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const teamMemberIds = role === "manager" ? await getManagedMemberIds(supabase, empId) : new Set();
+    if (!taskTransferService.canMoveTask(task, empId, role, { teamMemberIds })) {
+      return res.status(403).json({ error: "Only the task owner, their manager or a director can move this task" });
+    }
+    if (!concurrencyService.isCurrentVersion(task, expectedVersion)) {
+      return res.status(409).json(buildTaskConflict(task, { project_id: projectId }, expectedVersion));
+    }
+    if ((task.project_id ?? null) === projectId) {
+      return res.status(409).json({ error: "Task is already in that project" });
+    }
+
+    const { project, error: projectError } = await loadTargetProject(supabase, projectId);
+    if (projectError) return res.status(404).json({ error: projectError });
+    if (!taskTransferService.canUseProject(project, empId, role)) {
+      return res.status(403).json({ error: "You can only move tasks into projects you are a member of" });
+    }
+
+    const { values: customFields, error: customFieldError } = await customFieldService.resolveTaskCustomFields(supabase, {
+      projectId,
+      incoming: customFieldInput || {},
+      existing: task.custom_fields || {},
+    });
+    if (customFieldError) return res.status(400).json({ error: customFieldError });
+
+    // With a version, the move only lands if nobody saved in between
+    let updateQuery = supabase
+      .from("tasks")
+      .update({ project_id: projectId, custom_fields: customFields })
+      .eq("id", task.id);
+    if (expectedVersion !== null) {
+      updateQuery = updateQuery.eq("version", expectedVersion);
+    }
+    const { data, error } = await updateQuery.select();
+    if (error) return res.status(400).json({ error: error.message });
+    if (!data || data.length === 0) {
+      if (expectedVersion !== null) {
+        const { data: latest } = await supabase
+          .from("tasks")
+          .select("id, title, owner_id, collaborators, project_id, custom_fields, deleted_at, version")
+          .eq("id", task.id)
+          .single();
+        if (latest) return res.status(409).json(buildTaskConflict(latest, { project_id: projectId }, expectedVersion));
+      }
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    // Tags of the old project don't apply in the new one
+    let removedTagIds;
+    try {
+      removedTagIds = await tagService.dropUnavailableTags(supabase, { taskId: task.id, projectId });
+    } catch (tagErr) {
+      console.error(`Failed to remove old project tags of moved task ${task.id}:`, tagErr);
+      return res.status(500).json({
+        error: "The task was moved but the old project's tags could not be removed from it",
+        task: data[0],
+      });
+    }
+
+    await recordTaskHistory(supabase, {
+      taskId: task.id,
+      empId,
+      userId: user.id,
+      action: TRANSFER_ACTIONS.move,
+      details: { from_project_id: task.project_id ?? null, to_project_id: projectId, removed_tag_ids: removedTagIds },
+    });
+
+    concurrencyService.setEtag(res, data[0]);
+    res.json({
+      task: data[0],
+      from_project_id: task.project_id ?? null,
+      to_project_id: projectId,
+      removed_tag_ids: removedTagIds,
+      // Owner / collaborators who are not members of the target project
+      non_member_ids: taskTransferService.findNonMembers(task, project),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ========== ARCHIVE / TRASH ROUTES ==========
+
+const LIFECYCLE_TASK_COLUMNS =
+  "id, title, owner_id, collaborators, status, archived_at, archived_by, deleted_at, deleted_by, recurrence_series_id";
+
+// Managers archive, delete and restore the tasks of their team members only
+async function getLifecycleTeam(supabase, empId, role) {
+  return role === "manager" ? getManagedMemberIds(supabase, empId) : new Set();
+}
+
+// One history row per task an archive / delete / restore / purge touched
+async function recordLifecycleHistory(supabase, targets, { empId, userId, action, series }) {
+  for (const [index, t] of targets.entries()) {
+    await recordTaskHistory(supabase, {
+      taskId: t.id,
+      empId,
+      userId,
+      action,
+      details: index === 0
+        ? { series, affected_task_ids: targets.map((x) => x.id) }
+        : { series, cascaded_from: targets[0].id },
+    });
+  }
+}
+
+// Archive a task: hidden from the default lists, still counted in reports.
+// ?series=true archives the other live instances of its recurring series too.
+router.post("/:id/archive", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select(LIFECYCLE_TASK_COLUMNS)
+      .eq("id", Number(req.params.id))
+      .single();
+    if (taskErr || !task) return res.status(404).json({ error: "Task not found" });
+    if (task.deleted_at) return res.status(409).json({ error: "Task is in the trash" });
+    if (task.archived_at) return res.status(409).json({ error: "Task is already archived" });
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const teamMemberIds = await getLifecycleTeam(supabase, empId, role);
+    if (!taskLifecycleService.canManageLifecycle(task, empId, role, { teamMemberIds })) {
+      return res.status(403).json({ error: "Only the task owner, their manager or a director can archive this task" });
+    }
+
+    const series = taskLifecycleService.parseSeriesScope(req.query.series);
+    const seriesTasks = await taskLifecycleService.loadSeriesTasks(supabase, task, series);
+    const targets = taskLifecycleService.selectCascadeTargets(LIFECYCLE_ACTIONS.archive, task, seriesTasks);
+    const at = new Date().toISOString();
+    await taskLifecycleService.setArchived(supabase, targets.map((t) => t.id), { archive: true, empId, at });
+
+    await recordLifecycleHistory(supabase, targets, { empId, userId: user.id, action: LIFECYCLE_ACTIONS.archive, series });
+
+    res.json({
+      task: { ...task, archived_at: at, archived_by: empId },
+      affected_task_ids: targets.map((t) => t.id),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Bring an archived task back into the default lists (with ?series=true, every
+// instance archived in the same go)
+router.post("/:id/unarchive", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select(LIFECYCLE_TASK_COLUMNS)
+      .eq("id", Number(req.params.id))
+      .single();
+    if (taskErr || !task) return res.status(404).json({ error: "Task not found" });
+    if (task.deleted_at) return res.status(409).json({ error: "Task is in the trash" });
+    if (!task.archived_at) return res.status(409).json({ error: "Task is not archived" });
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const teamMemberIds = await getLifecycleTeam(supabase, empId, role);
+    if (!taskLifecycleService.canManageLifecycle(task, empId, role, { teamMemberIds })) {
+      return res.status(403).json({ error: "Only the task owner, their manager or a director can unarchive this task" });
+    }
+
+    const series = taskLifecycleService.parseSeriesScope(req.query.series);
+    const seriesTasks = await taskLifecycleService.loadSeriesTasks(supabase, task, series);
+    const targets = taskLifecycleService.selectCascadeTargets(LIFECYCLE_ACTIONS.unarchive, task, seriesTasks);
+    await taskLifecycleService.setArchived(supabase, targets.map((t) => t.id), { archive: false, empId });
+
+    await recordLifecycleHistory(supabase, targets, { empId, userId: user.id, action: LIFECYCLE_ACTIONS.unarchive, series });
+
+    res.json({
+      task: { ...task, archived_at: null, archived_by: null },
+      affected_task_ids: targets.map((t) => t.id),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Delete task: moves it and its subtasks to the trash, where it can be restored within
+// the retention window. ?series=true trashes the rest of its recurring series too.
+router.delete("/:id", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select(LIFECYCLE_TASK_COLUMNS)
+      .eq("id", Number(req.params.id))
+      .single();
+    if (taskErr || !task) return res.status(404).json({ error: "Task not found" });
+    if (task.deleted_at) return res.status(409).json({ error: "Task is already in the trash" });
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const teamMemberIds = await getLifecycleTeam(supabase, empId, role);
+    if (!taskLifecycleService.canManageLifecycle(task, empId, role, { teamMemberIds })) {
+      return res.status(403).json({ error: "Only the task owner, their manager or a director can delete this task" });
+    }
+
+    const series = taskLifecycleService.parseSeriesScope(req.query.series);
+    const seriesTasks = await taskLifecycleService.loadSeriesTasks(supabase, task, series);
+    const targets = taskLifecycleService.selectCascadeTargets(LIFECYCLE_ACTIONS.delete, task, seriesTasks);
+    const at = new Date().toISOString();
+    await taskLifecycleService.softDelete(supabase, targets.map((t) => t.id), { empId, at });
+
+    await recordLifecycleHistory(supabase, targets, { empId, userId: user.id, action: LIFECYCLE_ACTIONS.delete, series });
+
+    res.json({
+      ok: true,
+      affected_task_ids: targets.map((t) => t.id),
+      restore_deadline: taskLifecycleService.getRestoreDeadline(at),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Take a task out of the trash, along with the subtasks (and, with ?series=true, the
+// series instances) deleted together with it
+router.post("/:id/restore", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select(LIFECYCLE_TASK_COLUMNS)
+      .eq("id", Number(req.params.id))
+      .single();
+    if (taskErr || !task) return res.status(404).json({ error: "Task not found" });
+    if (!task.deleted_at) return res.status(409).json({ error: "Task is not in the trash" });
+    if (!taskLifecycleService.isRestorable(task)) {
+      return res.status(410).json({
+        error: `Deleted tasks can only be restored within ${taskLifecycleService.TRASH_RETENTION_DAYS} days`,
+      });
+    }
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const teamMemberIds = await getLifecycleTeam(supabase, empId, role);
+    if (!taskLifecycleService.canManageLifecycle(task, empId, role, { teamMemberIds })) {
+      return res.status(403).json({ error: "Only the task owner, whoever deleted it, their manager or a director can restore this task" });
+    }
+
+    const series = taskLifecycleService.parseSeriesScope(req.query.series);
+    const seriesTasks = await taskLifecycleService.loadSeriesTasks(supabase, task, series);
+    const targets = taskLifecycleService.selectCascadeTargets(LIFECYCLE_ACTIONS.restore, task, seriesTasks);
+    await taskLifecycleService.restoreDeleted(supabase, targets.map((t) => t.id), task.deleted_at);
+
+    await recordLifecycleHistory(supabase, targets, { empId, userId: user.id, action: LIFECYCLE_ACTIONS.restore, series });
+
+    res.json({
+      task: { ...task, deleted_at: null, deleted_by: null },
+      affected_task_ids: targets.map((t) => t.id),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Directors: remove a trashed task for good (subtasks, comments, attachments and
+// links go with it)
+router.delete("/:id/purge", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const role = await getRoleForEmpId(supabase, empId);
+    if (!taskLifecycleService.canPurge(role)) {
+      return res.status(403).json({ error: "Forbidden: only directors can purge tasks" });
+    }
+
+    const { data: task, error: taskErr } = await supabase
+      .from("tasks")
+      .select(LIFECYCLE_TASK_COLUMNS)
+      .eq("id", Number(req.params.id))
+      .single();
+    if (taskErr || !task) return res.status(404).json({ error: "Task not found" });
+    if (!task.deleted_at) return res.status(409).json({ error: "Only tasks in the trash can be purged" });
+
+    const series = taskLifecycleService.parseSeriesScope(req.query.series);
+    const seriesTasks = await taskLifecycleService.loadSeriesTasks(supabase, task, series);
+    const targets = taskLifecycleService.selectCascadeTargets(LIFECYCLE_ACTIONS.purge, task, seriesTasks);
+    const ids = targets.map((t) => t.id);
+
+    // Stored files are not covered by the row cascades
+    const { data: attachments } = await supabase
+      .from("task_attachments")
+      .select("id")
+      .in("task_id", ids);
+    const storage = getAttachmentStorage(supabase);
+    for (const attachment of attachments || []) {
+      await attachmentService.deleteAttachment(supabase, storage, attachment);
+    }
+
+    // Written before the rows go, so the purge is logged even where history outlives tasks
+    await recordLifecycleHistory(supabase, targets, { empId, userId: user.id, action: LIFECYCLE_ACTIONS.purge, series });
+    await taskLifecycleService.purgeTasks(supabase, ids);
+
+    res.json({ ok: true, purged_task_ids: ids });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
 // Get tasks for multiple projects (needed for your frontend)
 router.post("/bulk", async (req, res) => {
@@ -1308,7 +2617,9 @@ router.post("/bulk", async (req, res) => {
       .select(
         "id, title, status, project_id, description, due_date, priority, owner_id, created_at, file, collaborators"
       )
-      .in("project_id", project_ids);
+      .in("project_id", project_ids)
+      .is("deleted_at", null)
+      .is("archived_at", null);
 
     if (error) {
       console.error("Supabase error:", error);
@@ -1343,15 +2654,46 @@ router.get("/project/:projectId", async (req, res) => {
     const { data, error } = await supabase
       .from("tasks")
       .select(
-        "id, title, status, project_id, description, due_date, priority, owner_id, created_at, file"
+        "id, title, status, project_id, description, due_date, priority, owner_id, created_at, file, estimated_hours, archived_at, custom_fields"
       )
-      .eq("project_id", projectId);
+      .eq("project_id", projectId)
+      // Project reports still count archived tasks
+      .is("deleted_at", null);
 
     if (error) {
       console.error("Supabase error:", error);
       return res.status(500).json({ error: error.message });
     }
 
+    // Attach estimated vs. logged hours for project reports
+    if (Array.isArray(data) && data.length > 0) {
+      try {
+        const rollup = await timeTrackingService.getHoursRollup(supabase, data);
+        data.forEach((task) => {
+          const hours = rollup.byTask[task.id] || { estimated_hours: 0, logged_hours: 0 };
+          task.time_summary = {
+            estimated_hours: hours.estimated_hours,
+            logged_hours: hours.logged_hours,
+            logged_by_employee: hours.logged_by_employee || {},
+          };
+        });
+      } catch (hoursErr) {
+        console.error("Failed to load logged hours:", hoursErr);
+      }
+
+      try {
+        await tagService.attachTags(supabase, data);
+      } catch (tagErr) {
+        console.error("Failed to load task tags:", tagErr);
+      }
+
+      try {
+        await progressService.attachProgress(supabase, data);
+      } catch (progressErr) {
+        console.error("Failed to compute task progress:", progressErr);
+      }
+    }
+
     res.json(data || []);
   } catch (e) {
     console.error("Error:", e);
@@ -1383,8 +2725,100 @@ router.get("/:id/history", async (req, res) => {
   }
 });
 
+// Comment threads for a task
+router.use("/:id/comments", taskCommentsRoutes);
+router.use("/:id/dependencies", taskDependenciesRoutes);
+router.use("/:id/time-entries", taskTimeEntriesRoutes);
+router.use("/:id/attachments", taskAttachmentsRoutes);
+router.use("/:id/tags", taskTagsRoutes);
+router.use("/:id/review", taskReviewsRoutes);
+router.use("/:id/watchers", taskWatchersRoutes);
+router.use("/:id/checklist", taskChecklistRoutes);
+router.use("/:id/recurrence", taskRecurrenceRoutes);
+
 // ========== RECURRING TASK ROUTES ==========
 
+// Longest date range the calendar can ask projected occurrences for
+const MAX_PROJECTION_DAYS = 62;
+const MAX_PROJECTION_TASKS = 500;
+
+// Preview an unsaved recurrence: the recurrence fields of POST /tasks (due_date,
+// recurrence_rule or recurrence_pattern, recurrence_interval, recurrence_weekday,
+// recurrence_end_date, recurrence_count) and how many occurrences to list (count)
+router.post("/recurrence/preview", async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const { count: requested, ...settings } = req.body || {};
+    const count = recurrenceService.parsePreviewCount(requested);
+    if (count === null) return res.status(400).json({ error: `count must be a whole number from 1 to ${MAX_PREVIEW_COUNT}` });
+
+    const { occurrences, notes, error } = recurrenceService.previewRecurrence(settings, { count });
+    if (error) return res.status(400).json({ error });
+    res.json({ occurrences, notes });
+  } catch (e) {
+    console.error("Error previewing recurrence:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Future occurrences of recurring tasks in a date range, for the calendar's ghost
+// entries: from, to (YYYY-MM-DD) and task_ids (comma separated tasks the calendar shows;
+// each series is projected from its latest instance)
+router.get("/recurrence/projections", async (req, res) => {
+  try {
+    const supabase = getServiceClient();
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+
+    if (!token) return res.status(401).json({ error: "Missing access token" });
+
+    const user = await getUserFromToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid token" });
+
+    const empId = await getEmpIdForUserId(user.id);
+    if (!empId) return res.status(400).json({ error: "emp_id not found" });
+
+    const from = recurrenceService.parseOccurrenceDate(req.query.from);
+    const to = recurrenceService.parseOccurrenceDate(req.query.to);
+    if (!from || !to) return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)" });
+    if (to < from) return res.status(400).json({ error: "to must not be before from" });
+    if ((new Date(to) - new Date(from)) / 86400000 > MAX_PROJECTION_DAYS) {
+      return res.status(400).json({ error: `The range can span at most ${MAX_PROJECTION_DAYS} days` });
+    }
+
+    const taskIds = [...new Set(String(req.query.task_ids || "").split(",").map(Number).filter(Number.isInteger))];
+    if (taskIds.length > MAX_PROJECTION_TASKS) {
+      return res.status(400).json({ error: `At most ${MAX_PROJECTION_TASKS} task_ids can be given` });
+    }
+    if (taskIds.length === 0) return res.json({ occurrences: [] });
+
+    const { data: tasks, error: tasksError } = await supabase
+      .from("tasks")
+      .select("id, owner_id, collaborators, is_recurring, recurrence_series_id")
+      .in("id", taskIds);
+    if (tasksError) throw tasksError;
+
+    const role = await getRoleForEmpId(supabase, empId);
+    const seesAll = role === "manager" || role === "director";
+    const seriesIds = [...new Set((tasks || [])
+      .filter((t) => t.is_recurring && t.recurrence_series_id && (seesAll || isTaskMember(t, empId)))
+      .map((t) => t.recurrence_series_id))];
+
+    const { latest, exceptions } = await recurrenceService.loadSeriesForProjection(supabase, seriesIds);
+    res.json({ occurrences: recurrenceService.projectOccurrences(latest, exceptions, { from, to }) });
+  } catch (e) {
+    console.error("Error projecting recurring tasks:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Get recurrence history for a task
 router.get("/:id/recurrence-history", async (req, res) => {
   try {
@@ -1,4 +1,6 @@
 import { z } from "zod";
+import { STATUS_KEYS, toStatusKey } from "../services/workflowService.js";
+import { parseRRule } from "../lib/rrule.js";
 
 export const TaskSchema = z.object({
   title: z.string().min(1),
@@ -6,10 +8,11 @@ export const TaskSchema = z.object({
   priority: z.number().int().min(1).max(10).optional().nullable(),
   due_date: z.string().optional().nullable(),
   project_id: z.number().optional().nullable(),
-  status: z
-    .enum(["ongoing", "under review", "completed"])
-    .optional()
-    .nullable(),
+  // Any stored or legacy spelling is accepted and parsed to its workflow key
+  status: z.preprocess(
+    (value) => (value === undefined || value === null ? value : toStatusKey(value) ?? value),
+    z.enum(STATUS_KEYS).optional().nullable()
+  ),
   file: z.string().nullable().optional(),
   collaborators: z.array(z.string()).optional().nullable(),
   owner_id: z.string().optional().nullable(),
@@ -20,12 +23,24 @@ export const TaskSchema = z.object({
     .optional()
     .nullable(),
   recurrence_interval: z.number().int().min(1).optional().nullable(),
+  // iCalendar RRULE (e.g. "FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1"); takes precedence over the pattern
+  recurrence_rule: z
+    .string()
+    .superRefine((value, ctx) => {
+      const { error } = parseRRule(value);
+      if (error) ctx.addIssue({ code: "custom", message: error });
+    })
+    .optional()
+    .nullable(),
   recurrence_end_date: z.string().optional().nullable(),
   recurrence_count: z.number().int().min(1).optional().nullable(),
   parent_recurrence_id: z.number().optional().nullable(),
   recurrence_series_id: z.string().optional().nullable(),
   next_occurrence_date: z.string().optional().nullable(),
   last_completed_date: z.string().optional().nullable(),
+  // Values of the project's custom fields keyed by field id; checked against the
+  // definitions with buildCustomFieldValuesSchema
+  custom_fields: z.record(z.string(), z.unknown()).optional().nullable(),
 });
 
 export const RegisterSchema = z.object({
@@ -43,3 +58,118 @@ export const ProjectSchema = z.object({
   members: z.array(z.string()).optional().nullable(),
 });
 
+
+export const CUSTOM_FIELD_TYPES = ["text", "number", "date", "select", "multi_select", "user"];
+export const MAX_CUSTOM_FIELD_LABEL_LENGTH = 60;
+export const MAX_CUSTOM_FIELD_OPTIONS = 50;
+export const MAX_CUSTOM_FIELD_TEXT_LENGTH = 500;
+
+const SELECT_TYPES = ["select", "multi_select"];
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const CustomFieldOptionsSchema = z
+  .array(z.string().trim().min(1).max(MAX_CUSTOM_FIELD_LABEL_LENGTH))
+  .max(MAX_CUSTOM_FIELD_OPTIONS)
+  .refine((options) => new Set(options.map((o) => o.toLowerCase())).size === options.length, {
+    message: "Options must be unique",
+  });
+
+// Definition of a project custom field
+export const CustomFieldSchema = z
+  .object({
+    label: z.string().trim().min(1).max(MAX_CUSTOM_FIELD_LABEL_LENGTH),
+    type: z.enum(CUSTOM_FIELD_TYPES),
+    options: CustomFieldOptionsSchema.optional().nullable(),
+    required: z.boolean().optional(),
+    position: z.number().int().min(0).optional(),
+  })
+  .superRefine((field, ctx) => {
+    if (SELECT_TYPES.includes(field.type) && !(field.options || []).length) {
+      ctx.addIssue({ code: "custom", path: ["options"], message: "Select fields need at least one option" });
+    }
+  });
+
+// Changes to a custom field; the type is fixed once values may have been stored
+export const CustomFieldUpdateSchema = z.object({
+  label: z.string().trim().min(1).max(MAX_CUSTOM_FIELD_LABEL_LENGTH).optional(),
+  options: CustomFieldOptionsSchema.optional(),
+  required: z.boolean().optional(),
+  position: z.number().int().min(0).optional(),
+});
+
+// null, "" and [] all mean "no value"
+const emptyToNull = (value) => {
+  if (value === "" || (Array.isArray(value) && value.length === 0)) return null;
+  if (typeof value === "string" && value.trim() === "") return null;
+  return value;
+};
+
+/**
+ * Schema for the value of one custom field
+ * @param {object} field - Definition (type, options)
+ * @param {object} [options]
+ * @param {string[]} [options.memberIds] - emp_ids a "user" field may hold
+ * @returns {import("zod").ZodType}
+ */
+export function buildCustomFieldValueSchema(field, { memberIds } = {}) {
+  const choices = (field.options || []).map(String);
+  switch (field.type) {
+    case "number":
+      return z.preprocess(
+        (value) => (typeof value === "string" ? Number(value) : value),
+        z.number({ message: "must be a number" })
+      );
+    case "date":
+      return z
+        .string()
+        .regex(ISO_DATE_RE, "must be a date (YYYY-MM-DD)")
+        .refine((value) => !Number.isNaN(Date.parse(value)), "must be a valid date");
+    case "select":
+      return z.string().refine((value) => choices.includes(value), "must be one of the field's options");
+    case "multi_select":
+      return z
+        .array(z.string().refine((value) => choices.includes(value), "must be one of the field's options"))
+        .transform((values) => [...new Set(values)]);
+    case "user":
+      return z
+        .string()
+        .trim()
+        .min(1)
+        .refine((value) => !memberIds || memberIds.includes(value), "must be a member of the project");
+    default:
+      return z.string().trim().max(MAX_CUSTOM_FIELD_TEXT_LENGTH);
+  }
+}
+
+/**
+ * Schema for a task's custom field values, keyed by field id. Unknown keys are refused;
+ * empty values parse to null (meaning "clear").
+ * @param {object[]} fields - The project's field definitions
+ * @param {object} [options]
+ * @param {string[]} [options.memberIds] - emp_ids "user" fields may hold
+ * @param {boolean} [options.enforceRequired=true] - Refuse missing values for required fields
+ * @returns {import("zod").ZodType}
+ */
+export function buildCustomFieldValuesSchema(fields = [], { memberIds, enforceRequired = true } = {}) {
+  const shape = {};
+  fields.forEach((field) => {
+    shape[String(field.id)] = z.preprocess(
+      emptyToNull,
+      buildCustomFieldValueSchema(field, { memberIds }).nullable().optional()
+    );
+  });
+  return z
+    .object(shape)
+    .strict()
+    .superRefine((values, ctx) => {
+      if (!enforceRequired) return;
+      fields
+        .filter((field) => field.required)
+        .forEach((field) => {
+          const value = values[String(field.id)];
+          if (value === null || value === undefined) {
+            ctx.addIssue({ code: "custom", path: [String(field.id)], message: "is required" });
+          }
+        });
+    });
+}
@@ -0,0 +1,340 @@
+/**
+ * Attachment Service
+ *
+ * Logic:
+ * - A task (or one of its subtasks) can have any number of attachments
+ * - Each attachment keeps every uploaded version; uploading a replacement adds
+ *   version n+1 and moves current_version to it, older versions stay downloadable
+ * - Files are checked against a MIME allow-list (ATTACHMENT_ALLOWED_MIME_TYPES,
+ *   comma separated, "image/*" style wildcards allowed) and a size limit
+ *   (ATTACHMENT_MAX_SIZE_MB)
+ * - Downloads go through short-lived signed URLs; storage paths are never public
+ * - File bytes live in a storage adapter (see lib/attachmentStorage.js), rows in
+ *   task_attachments / task_attachment_versions
+ */
+
+import { randomUUID } from 'crypto';
+
+export const DEFAULT_ALLOWED_MIME_TYPES = [
+  'application/pdf',
+  'image/*',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+];
+
+export const DEFAULT_MAX_SIZE_MB = 10;
+export const SIGNED_URL_TTL_SECONDS = 5 * 60;
+
+export const ATTACHMENT_COLUMNS = 'id, task_id, subtask_id, file_name, current_version, uploaded_by, created_at, updated_at';
+export const VERSION_COLUMNS =
+  'id, attachment_id, version, storage_path, storage_bucket, file_name, mime_type, size_bytes, uploaded_by, created_at';
+
+/**
+ * MIME types accepted for attachments in this environment
+ * @returns {string[]}
+ */
+export function getAllowedMimeTypes() {
+  const configured = (process.env.ATTACHMENT_ALLOWED_MIME_TYPES || '')
+    .split(',')
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_MIME_TYPES;
+}
+
+/**
+ * Maximum attachment size in bytes for this environment
+ * @returns {number}
+ */
+export function getMaxAttachmentBytes() {
+  const mb = Number(process.env.ATTACHMENT_MAX_SIZE_MB);
+  return (Number.isFinite(mb) && mb > 0 ? mb : DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+}
+
+/**
+ * Check a MIME type against an allow-list ("*\/*" allows everything, "image/*" a whole type)
+ * @param {string} mimeType
+ * @param {string[]} allowList
+ * @returns {boolean}
+ */
+export function isMimeTypeAllowed(mimeType, allowList = getAllowedMimeTypes()) {
+  if (!mimeType) return false;
+  const mime = String(mimeType).toLowerCase().split(';')[0].trim();
+  const [type] = mime.split('/');
+  return allowList.some((allowed) => {
+    if (allowed === '*/*' || allowed === '*') return true;
+    if (allowed.endsWith('/*')) return allowed.slice(0, -2) === type;
+    return allowed === mime;
+  });
+}
+
+/**
+ * Make a file name safe to use inside a storage path
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function sanitizeFileName(fileName) {
+  const base = String(fileName || 'file').split(/[\\/]/).pop();
+  const cleaned = base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\.+/, '');
+  return (cleaned || 'file').slice(0, 120);
+}
+
+/**
+ * Storage path for one version of an attachment
+ * @param {object} params
+ * @param {number} params.taskId
+ * @param {number|null} params.subtaskId
+ * @param {number} params.version
+ * @param {string} params.fileName
+ * @returns {string}
+ */
+export function buildStoragePath({ taskId, subtaskId = null, version, fileName }) {
+  const scope = subtaskId ? `tasks/${taskId}/subtasks/${subtaskId}` : `tasks/${taskId}`;
+  return `${scope}/${randomUUID()}-v${version}-${sanitizeFileName(fileName)}`;
+}
+
+/**
+ * Check an uploaded (multer) file against the allow-list and size limit
+ * @param {object} file - { originalname, mimetype, size }
+ * @returns {string|null} - Error message, or null if the file is acceptable
+ */
+export function validateUpload(file) {
+  if (!file) return 'No file uploaded';
+  if (!isMimeTypeAllowed(file.mimetype)) return `File type ${file.mimetype || 'unknown'} is not allowed`;
+  if (file.size > getMaxAttachmentBytes()) return 'File is too large';
+  return null;
+}
+
+/**
+ * Attach versions (newest first) and the current version to attachment rows
+ * @param {Array} attachments - task_attachments rows
+ * @param {Array} versions - task_attachment_versions rows for those attachments
+ * @returns {Array}
+ */
+export function groupVersions(attachments, versions) {
+  const byAttachment = new Map();
+  (versions || []).forEach((v) => {
+    const key = Number(v.attachment_id);
+    if (!byAttachment.has(key)) byAttachment.set(key, []);
+    byAttachment.get(key).push(v);
+  });
+
+  return (attachments || []).map((a) => {
+    const list = (byAttachment.get(Number(a.id)) || []).sort((x, y) => y.version - x.version);
+    const current = list.find((v) => v.version === a.current_version) || list[0] || null;
+    return {
+      ...a,
+      versions: list,
+      current: current
+        ? { version: current.version, mime_type: current.mime_type, size_bytes: current.size_bytes, created_at: current.created_at }
+        : null,
+    };
+  });
+}
+
+async function storeVersion(supabase, storage, { attachment, version, file, empId }) {
+  const storagePath = buildStoragePath({
+    taskId: attachment.task_id,
+    subtaskId: attachment.subtask_id,
+    version,
+    fileName: file.originalname,
+  });
+  await storage.upload(storagePath, file.buffer, { contentType: file.mimetype });
+
+  const { data, error } = await supabase
+    .from('task_attachment_versions')
+    .insert({
+      attachment_id: attachment.id,
+      version,
+      storage_path: storagePath,
+      file_name: file.originalname,
+      mime_type: file.mimetype,
+      size_bytes: file.size ?? file.buffer?.length ?? null,
+      uploaded_by: empId,
+    })
+    .select(VERSION_COLUMNS)
+    .single();
+
+  if (error) {
+    // Don't leave orphaned bytes behind
+    try { await storage.remove([storagePath]); } catch (e) { console.error('Failed to clean up attachment upload:', e); }
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Record a file that is already in storage (legacy task "file" uploads) as a new attachment
+ * @param {object} supabase - Supabase client
+ * @param {object} params
+ * @param {number} params.taskId
+ * @param {string} params.storagePath - Path of the stored file
+ * @param {object} params.file - multer file (originalname, mimetype, size)
+ * @param {string} params.empId - Uploader
+ * @returns {Promise<object>} - Attachment with versions
+ */
+export async function registerStoredFile(supabase, { taskId, storagePath, file, empId }) {
+  const { data: attachment, error } = await supabase
+    .from('task_attachments')
+    .insert({
+      task_id: taskId,
+      file_name: file.originalname,
+      current_version: 1,
+      uploaded_by: empId,
+    })
+    .select(ATTACHMENT_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  const { data: version, error: versionErr } = await supabase
+    .from('task_attachment_versions')
+    .insert({
+      attachment_id: attachment.id,
+      version: 1,
+      storage_path: storagePath,
+      file_name: file.originalname,
+      mime_type: file.mimetype,
+      size_bytes: file.size ?? null,
+      uploaded_by: empId,
+    })
+    .select(VERSION_COLUMNS)
+    .single();
+  if (versionErr) throw versionErr;
+
+  return groupVersions([attachment], [version])[0];
+}
+
+/**
+ * Create an attachment with its first version
+ * @param {object} supabase - Supabase client
+ * @param {object} storage - Storage adapter
+ * @param {object} params
+ * @param {number} params.taskId
+ * @param {number|null} params.subtaskId
+ * @param {object} params.file - multer file (originalname, mimetype, size, buffer)
+ * @param {string} params.empId - Uploader
+ * @returns {Promise<object>} - Attachment with versions
+ */
+export async function createAttachment(supabase, storage, { taskId, subtaskId = null, file, empId }) {
+  const { data: attachment, error } = await supabase
+    .from('task_attachments')
+    .insert({
+      task_id: taskId,
+      subtask_id: subtaskId,
+      file_name: file.originalname,
+      current_version: 1,
+      uploaded_by: empId,
+    })
+    .select(ATTACHMENT_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  try {
+    const version = await storeVersion(supabase, storage, { attachment, version: 1, file, empId });
+    return groupVersions([attachment], [version])[0];
+  } catch (e) {
+    await supabase.from('task_attachments').delete().eq('id', attachment.id);
+    throw e;
+  }
+}
+
+/**
+ * Upload a replacement file as the next version of an attachment
+ * @param {object} supabase - Supabase client
+ * @param {object} storage - Storage adapter
+ * @param {object} attachment - task_attachments row
+ * @param {object} params
+ * @param {object} params.file - multer file
+ * @param {string} params.empId - Uploader
+ * @returns {Promise<object>} - The new version row
+ */
+export async function addVersion(supabase, storage, attachment, { file, empId }) {
+  const { data: latest, error: latestErr } = await supabase
+    .from('task_attachment_versions')
+    .select('version')
+    .eq('attachment_id', attachment.id)
+    .order('version', { ascending: false })
+    .limit(1);
+  if (latestErr) throw latestErr;
+
+  const nextVersion = (latest?.[0]?.version || attachment.current_version || 0) + 1;
+  const version = await storeVersion(supabase, storage, { attachment, version: nextVersion, file, empId });
+
+  const { error } = await supabase
+    .from('task_attachments')
+    .update({
+      current_version: nextVersion,
+      file_name: file.originalname,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', attachment.id);
+  if (error) throw error;
+
+  return version;
+}
+
+/**
+ * Delete an attachment, all of its versions and their stored files
+ * @param {object} supabase - Supabase client
+ * @param {object} storage - Storage adapter
+ * @param {object} attachment - task_attachments row
+ * @returns {Promise<void>}
+ */
+export async function deleteAttachment(supabase, storage, attachment) {
+  const { data: versions, error: versionsErr } = await supabase
+    .from('task_attachment_versions')
+    .select('storage_path, storage_bucket')
+    .eq('attachment_id', attachment.id);
+  if (versionsErr) throw versionsErr;
+
+  const { error } = await supabase
+    .from('task_attachments')
+    .delete()
+    .eq('id', attachment.id);
+  if (error) throw error;
+
+  // Rows are gone (versions cascade); a failed file cleanup only leaves orphaned bytes.
+  // Files still in the legacy bucket are left where they are.
+  try {
+    await storage.remove((versions || []).filter((v) => !v.storage_bucket).map((v) => v.storage_path).filter(Boolean));
+  } catch (e) {
+    console.error('Failed to remove attachment files:', e);
+  }
+}
+
+/**
+ * Short-lived download URL for one version of an attachment
+ * @param {object} storage - Storage adapter
+ * @param {object} version - task_attachment_versions row
+ * @param {number} expiresIn - Seconds
+ * @returns {Promise<string>}
+ */
+export async function getSignedDownloadUrl(storage, version, expiresIn = SIGNED_URL_TTL_SECONDS) {
+  return storage.createSignedUrl(version.storage_path, expiresIn);
+}
+
+const attachmentService = {
+  DEFAULT_ALLOWED_MIME_TYPES,
+  DEFAULT_MAX_SIZE_MB,
+  SIGNED_URL_TTL_SECONDS,
+  getAllowedMimeTypes,
+  getMaxAttachmentBytes,
+  isMimeTypeAllowed,
+  sanitizeFileName,
+  buildStoragePath,
+  validateUpload,
+  groupVersions,
+  registerStoredFile,
+  createAttachment,
+  addVersion,
+  deleteAttachment,
+  getSignedDownloadUrl
+};
+
+export default attachmentService;
@@ -0,0 +1,270 @@
+/**
+ * Bulk Task Service
+ *
+ * Logic:
+ * - A bulk update names its tasks either as `task_ids` or as a search `filter` (the same
+ *   parameters as GET /tasks/search) and carries one or more operations: status,
+ *   priority, due-date shift in days, owner reassignment, collaborators to add/remove,
+ *   project move and archive
+ * - Each task is planned on its own with the rules of PUT /tasks/:id: owners change
+ *   everything, collaborators only the status, managers may also act on tasks owned by
+ *   their team members and only reassign within their teams, directors act on anything
+ * - A reassignment restarts the task in the workflow's initial status, as a single edit does
+ * - Tasks cannot be put under review in bulk; each is submitted through POST /tasks/:id/review/submit
+ * - One task failing does not stop the others; the response lists a result per task
+ * - Everyone affected gets one notification for the whole batch, not one per task
+ */
+
+import workflowService, {
+  TASK_WORKFLOW,
+  INVALID_STATUS_ERROR,
+  REVIEW_SUBMIT_REQUIRED_ERROR,
+  normalizeStatus,
+  getStatusVia,
+} from './workflowService.js';
+import { canManageLifecycle } from './taskLifecycleService.js';
+import { parseCollaborators } from '../lib/taskAccess.js';
+
+export const BULK_MAX_TASKS = 200;
+
+export const BULK_RESULT = {
+  updated: 'updated',
+  skipped: 'skipped',
+  failed: 'failed',
+};
+
+// Titles listed in a batched notification before it says "and N more"
+const NOTIFICATION_TITLE_LIMIT = 5;
+
+const toIdList = (value) =>
+  (Array.isArray(value) ? value : [])
+    .filter((v) => v !== null && v !== undefined && v !== '')
+    .map(String);
+
+/**
+ * Validate a bulk update body
+ * @param {object} body - { task_ids | filter, status, priority, due_shift_days, owner_id,
+ *   collaborators_add, collaborators_remove, project_id, archive }
+ * @returns {{taskIds: number[]|null, filter: object|null, ops: object|null, error: string|null}}
+ */
+export function parseBulkRequest(body = {}) {
+  const fail = (error) => ({ taskIds: null, filter: null, ops: null, error });
+  const input = body || {};
+
+  let taskIds = null;
+  let filter = null;
+  if (input.task_ids !== undefined) {
+    if (!Array.isArray(input.task_ids) || input.task_ids.length === 0) {
+      return fail('task_ids must be a non-empty array');
+    }
+    taskIds = [...new Set(input.task_ids.map(Number))];
+    if (taskIds.some((id) => !Number.isInteger(id) || id <= 0)) return fail('task_ids must be task ids');
+    if (taskIds.length > BULK_MAX_TASKS) return fail(`At most ${BULK_MAX_TASKS} tasks can be updated at once`);
+  } else if (input.filter !== undefined) {
+    if (!input.filter || typeof input.filter !== 'object' || Array.isArray(input.filter)) {
+      return fail('filter must be an object of search parameters');
+    }
+    filter = input.filter;
+  } else {
+    return fail('Provide task_ids or a filter');
+  }
+
+  const ops = {};
+  if (input.status !== undefined && input.status !== null && input.status !== '') {
+    ops.status = normalizeStatus(input.status);
+    if (!ops.status) return fail(INVALID_STATUS_ERROR);
+    if (getStatusVia(ops.status)) return fail(REVIEW_SUBMIT_REQUIRED_ERROR);
+  }
+  if (input.priority !== undefined && input.priority !== null && input.priority !== '') {
+    const priority = Number(input.priority);
+    if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+      return fail('priority must be an integer between 1 and 10');
+    }
+    ops.priority = priority;
+  }
+  if (input.due_shift_days !== undefined && input.due_shift_days !== null && input.due_shift_days !== '') {
+    const days = Number(input.due_shift_days);
+    if (!Number.isInteger(days) || days === 0 || Math.abs(days) > 365) {
+      return fail('due_shift_days must be a whole number of days between -365 and 365');
+    }
+    ops.dueShiftDays = days;
+  }
+  if (input.owner_id !== undefined && input.owner_id !== null && input.owner_id !== '') {
+    ops.ownerId = String(input.owner_id);
+  }
+  if (input.collaborators_add !== undefined) {
+    if (!Array.isArray(input.collaborators_add)) return fail('collaborators_add must be an array');
+    const add = toIdList(input.collaborators_add);
+    if (add.length > 0) ops.collaboratorsAdd = add;
+  }
+  if (input.collaborators_remove !== undefined) {
+    if (!Array.isArray(input.collaborators_remove)) return fail('collaborators_remove must be an array');
+    const remove = toIdList(input.collaborators_remove);
+    if (remove.length > 0) ops.collaboratorsRemove = remove;
+  }
+  if (input.project_id !== undefined) {
+    // null takes the tasks out of their project
+    if (input.project_id === null || input.project_id === '') {
+      ops.projectId = null;
+    } else {
+      const projectId = Number(input.project_id);
+      if (!Number.isInteger(projectId) || projectId <= 0) return fail('Invalid project_id');
+      ops.projectId = projectId;
+    }
+  }
+  if (input.archive !== undefined) {
+    if (input.archive !== true && input.archive !== 'true') return fail('archive can only be true');
+    ops.archive = true;
+  }
+
+  if (Object.keys(ops).length === 0) return fail('No bulk operation given');
+  return { taskIds, filter, ops, error: null };
+}
+
+/**
+ * Move a due date by a number of days
+ * @param {string|null} dueDate - Date or timestamp
+ * @param {number} days
+ * @returns {string|null} - YYYY-MM-DD, or null when the task has no due date
+ */
+export function shiftDueDate(dueDate, days) {
+  if (!dueDate) return null;
+  const date = new Date(`${String(dueDate).slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Work out what a bulk update does to one task, applying the PUT /tasks/:id rules
+ * @param {object} task - Current task row
+ * @param {object} ops - Operations from parseBulkRequest
+ * @param {object} context
+ * @param {string} context.empId - Requesting employee
+ * @param {string} context.role - Requesting employee's role (lowercase)
+ * @param {Set<string>} context.teamMemberIds - Members of the manager's teams (empty for others)
+ * @returns {{updates: object, archive: boolean, error: string|null, code: number|null}}
+ */
+export function planTaskUpdate(task, ops, { empId, role, teamMemberIds = new Set() }) {
+  const fail = (code, error) => ({ updates: {}, archive: false, error, code });
+  const isOwner = String(task.owner_id) === String(empId);
+  const collaborators = parseCollaborators(task.collaborators);
+  const isCollaborator = collaborators.includes(String(empId));
+  const managesOwner = role === 'manager' && task.owner_id != null && teamMemberIds.has(String(task.owner_id));
+  const fullAccess = isOwner || role === 'director' || managesOwner;
+
+  if (!fullAccess && !isCollaborator) {
+    return fail(403, 'You can only edit tasks you own or collaborate on');
+  }
+  if (!fullAccess && Object.keys(ops).some((op) => op !== 'status')) {
+    return fail(403, 'Collaborators can only change the status');
+  }
+
+  const updates = {};
+  let ownershipTransferred = false;
+
+  if (ops.ownerId && ops.ownerId !== String(task.owner_id)) {
+    if (role !== 'manager' && role !== 'director') {
+      return fail(403, "You don't have permission to assign tasks");
+    }
+    if (role === 'manager' && !teamMemberIds.has(ops.ownerId)) {
+      return fail(403, 'You can only assign tasks to members of your team');
+    }
+    updates.owner_id = ops.ownerId;
+    updates.status = normalizeStatus(TASK_WORKFLOW.initial);
+    ownershipTransferred = true;
+  }
+
+  // The reset that comes with a reassignment is not a user transition
+  if (ops.status && !ownershipTransferred && ops.status !== normalizeStatus(task.status)) {
+    const transition = workflowService.checkTransition(
+      task.status,
+      ops.status,
+      workflowService.getActors(task, empId, role)
+    );
+    if (!transition.allowed) return fail(transition.code, transition.error);
+    updates.status = ops.status;
+  }
+
+  if (ops.priority !== undefined && ops.priority !== task.priority) {
+    updates.priority = ops.priority;
+  }
+  if (ops.dueShiftDays) {
+    const shifted = shiftDueDate(task.due_date, ops.dueShiftDays);
+    if (shifted) updates.due_date = shifted;
+  }
+  if (ops.collaboratorsAdd || ops.collaboratorsRemove) {
+    const remove = new Set(ops.collaboratorsRemove || []);
+    const next = [...new Set([...collaborators, ...(ops.collaboratorsAdd || [])])].filter((c) => !remove.has(c));
+    const changed = next.length !== collaborators.length || next.some((c) => !collaborators.includes(c));
+    if (changed) updates.collaborators = next;
+  }
+  if (ops.projectId !== undefined && (task.project_id ?? null) !== ops.projectId) {
+    updates.project_id = ops.projectId;
+  }
+
+  let archive = false;
+  if (ops.archive && !task.archived_at) {
+    if (!canManageLifecycle(task, empId, role, { teamMemberIds })) {
+      return fail(403, 'Only the task owner, their manager or a director can archive a task');
+    }
+    archive = true;
+  }
+
+  return { updates, archive, error: null, code: null };
+}
+
+/**
+ * One notification per affected person for a whole batch
+ * @param {Array<{before: object, after: object}>} changes - Tasks the batch updated
+ * @param {object} options
+ * @param {string} options.editorEmpId - Who ran the bulk update (not notified)
+ * @param {string} options.editorName - Name used in the message
+ * @param {Map<number, string[]>} [options.watchersByTask] - Watchers to notify as well, by task id
+ * @returns {Array<{empId: string, taskIds: number[], title: string, description: string}>}
+ */
+export function buildBulkNotifications(changes = [], { editorEmpId, editorName = 'Someone', watchersByTask = null }) {
+  const byRecipient = new Map();
+  const add = (empId, task) => {
+    if (!empId || String(empId) === String(editorEmpId)) return;
+    const key = String(empId);
+    if (!byRecipient.has(key)) byRecipient.set(key, new Map());
+    byRecipient.get(key).set(task.id, task);
+  };
+
+  changes.forEach(({ before, after }) => {
+    add(after.owner_id, after);
+    // A previous owner hears that the task moved away from them
+    if (before && String(before.owner_id) !== String(after.owner_id)) add(before.owner_id, after);
+    parseCollaborators(after.collaborators).forEach((c) => add(c, after));
+    if (before) {
+      parseCollaborators(before.collaborators)
+        .filter((c) => !parseCollaborators(after.collaborators).includes(c))
+        .forEach((c) => add(c, after));
+    }
+    (watchersByTask?.get(after.id) || []).forEach((w) => add(w, after));
+  });
+
+  return [...byRecipient.entries()].map(([empId, tasks]) => {
+    const list = [...tasks.values()];
+    const titles = list.slice(0, NOTIFICATION_TITLE_LIMIT).map((t) => `"${t.title}"`);
+    const more = list.length - titles.length;
+    return {
+      empId,
+      taskIds: list.map((t) => t.id),
+      title: list.length === 1 ? `Task Updated (${list[0].title})` : `${list.length} tasks updated`,
+      description: `${editorName} updated ${titles.join(', ')}${more > 0 ? ` and ${more} more` : ''} in one bulk change.`,
+    };
+  });
+}
+
+const bulkTaskService = {
+  BULK_MAX_TASKS,
+  BULK_RESULT,
+  parseBulkRequest,
+  shiftDueDate,
+  planTaskUpdate,
+  buildBulkNotifications,
+};
+
+export default bulkTaskService;
@@ -0,0 +1,212 @@
+/**
+ * Checklist Service
+ *
+ * Logic:
+ * - A task can carry an ordered checklist of plain to-do items; unlike subtasks they have
+ *   no owner, due date or notifications, just a title and a checked state
+ * - Checking an item records who checked it and when; unchecking clears both
+ * - Items are ordered by position; reordering rewrites only the positions that change
+ * - Task listings carry a `checklist` summary of { total, done }
+ * - A task with require_checklist_complete cannot be completed while items are unchecked,
+ *   nor when its checklist cannot be read
+ * - Clones and the next instance of a recurring task get the checklist back, unchecked
+ */
+
+export const MAX_CHECKLIST_ITEMS = 100;
+export const MAX_CHECKLIST_TITLE_LENGTH = 200;
+
+export const CHECKLIST_INCOMPLETE_ERROR = 'All checklist items must be checked before the task is completed';
+
+export const CHECKLIST_CHECK_FAILED_ERROR = 'Could not check the task\'s checklist, so it was not completed; try again';
+
+// task_edit_history actions for checklist changes
+export const CHECKLIST_ACTIONS = {
+  add: 'checklist_add',
+  rename: 'checklist_rename',
+  check: 'checklist_check',
+  uncheck: 'checklist_uncheck',
+  remove: 'checklist_remove',
+  reorder: 'checklist_reorder',
+  require: 'checklist_require',
+};
+
+const ITEM_COLUMNS = 'id, task_id, title, position, done, done_by, done_at, created_by, created_at';
+
+/**
+ * Validate a checklist item title from a request body
+ * @param {*} value - Raw title
+ * @returns {{title: string|null, error: string|null}}
+ */
+export function validateChecklistTitle(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { title: null, error: 'title is required' };
+  }
+  const title = value.trim();
+  if (title.length > MAX_CHECKLIST_TITLE_LENGTH) {
+    return { title: null, error: `title must be at most ${MAX_CHECKLIST_TITLE_LENGTH} characters` };
+  }
+  return { title, error: null };
+}
+
+/**
+ * @param {Array<object>} items - Checklist items
+ * @returns {Array<object>} - Copy ordered by position, then id
+ */
+export function sortChecklist(items = []) {
+  return [...items].sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || Number(a.id) - Number(b.id));
+}
+
+/**
+ * @param {Array<object>} items - Checklist items
+ * @returns {{total: number, done: number}}
+ */
+export function summarizeChecklist(items = []) {
+  return { total: items.length, done: items.filter((i) => i.done).length };
+}
+
+/**
+ * @param {Array<object>} items - Checklist items of one task
+ * @returns {number} - Position for a new item at the end
+ */
+export function nextChecklistPosition(items = []) {
+  return items.reduce((max, i) => Math.max(max, (Number(i.position) || 0) + 1), 0);
+}
+
+/**
+ * Work out new positions for a reordered checklist
+ * @param {Array<object>} items - The task's checklist items
+ * @param {Array<number>} orderedIds - Every item id, in the new order
+ * @returns {{positions: Array<{id: number, position: number}>, error: string|null}}
+ */
+export function planChecklistReorder(items = [], orderedIds) {
+  if (!Array.isArray(orderedIds)) return { positions: [], error: 'ordered_ids must be an array of checklist item ids' };
+  const ids = orderedIds.map(Number);
+  const expected = new Set(items.map((i) => Number(i.id)));
+  if (ids.length !== expected.size || new Set(ids).size !== ids.length || ids.some((id) => !expected.has(id))) {
+    return { positions: [], error: 'ordered_ids must list every checklist item exactly once' };
+  }
+  const current = new Map(items.map((i) => [Number(i.id), i.position]));
+  const positions = ids
+    .map((id, index) => ({ id, position: index }))
+    .filter(({ id, position }) => current.get(id) !== position);
+  return { positions, error: null };
+}
+
+/**
+ * Fields to write when checking or unchecking an item
+ * @param {boolean} done
+ * @param {string} empId - Who checked it
+ * @param {Date} now
+ * @returns {object}
+ */
+export function buildCheckUpdate(done, empId, now = new Date()) {
+  return done
+    ? { done: true, done_by: empId, done_at: now.toISOString() }
+    : { done: false, done_by: null, done_at: null };
+}
+
+/**
+ * Load a task's checklist in order
+ * @param {object} supabase - Supabase client
+ * @param {number} taskId
+ * @returns {Promise<Array<object>>}
+ */
+export async function listChecklist(supabase, taskId) {
+  const { data, error } = await supabase
+    .from('task_checklist_items')
+    .select(ITEM_COLUMNS)
+    .eq('task_id', taskId);
+  if (error) throw error;
+  return sortChecklist(data || []);
+}
+
+/**
+ * Attach a `checklist` summary ({ total, done }) to each task in a list
+ * @param {object} supabase - Supabase client
+ * @param {Array} tasks - Task rows
+ * @returns {Promise<Array>} - The same tasks
+ */
+export async function attachChecklistSummaries(supabase, tasks) {
+  if (!Array.isArray(tasks) || tasks.length === 0) return tasks;
+
+  const { data, error } = await supabase
+    .from('task_checklist_items')
+    .select('task_id, done')
+    .in('task_id', tasks.map((t) => t.id));
+  if (error) throw error;
+
+  const byTask = new Map();
+  (data || []).forEach((item) => {
+    if (!byTask.has(item.task_id)) byTask.set(item.task_id, []);
+    byTask.get(item.task_id).push(item);
+  });
+  tasks.forEach((task) => {
+    task.checklist = summarizeChecklist(byTask.get(task.id) || []);
+  });
+  return tasks;
+}
+
+/**
+ * Get the unchecked items that keep a task from completing (none unless the task
+ * requires its checklist to be complete)
+ * @param {object} supabase - Supabase client
+ * @param {number} taskId
+ * @returns {Promise<Array<{id: number, title: string}>>}
+ */
+export async function getOpenChecklistItems(supabase, taskId) {
+  const { data: task, error: taskErr } = await supabase
+    .from('tasks')
+    .select('id, require_checklist_complete')
+    .eq('id', taskId)
+    .single();
+  if (taskErr) throw taskErr;
+  if (!task?.require_checklist_complete) return [];
+
+  const items = await listChecklist(supabase, taskId);
+  return items.filter((i) => !i.done).map((i) => ({ id: i.id, title: i.title }));
+}
+
+/**
+ * Copy a task's checklist to another task, every item unchecked (clones, next recurrences)
+ * @param {object} supabase - Supabase client
+ * @param {number} fromTaskId - Source task
+ * @param {number} toTaskId - Destination task
+ * @param {object} options
+ * @param {string|null} options.createdBy - emp_id recorded as the items' creator
+ * @returns {Promise<number>} - Number of items copied
+ */
+export async function copyChecklist(supabase, fromTaskId, toTaskId, { createdBy = null } = {}) {
+  const items = await listChecklist(supabase, fromTaskId);
+  if (items.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('task_checklist_items')
+    .insert(items.map((item, index) => ({
+      task_id: toTaskId,
+      title: item.title,
+      position: index,
+      created_by: createdBy ?? item.created_by ?? null,
+    })));
+  if (error) throw error;
+  return items.length;
+}
+
+const checklistService = {
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_TITLE_LENGTH,
+  CHECKLIST_INCOMPLETE_ERROR,
+  CHECKLIST_CHECK_FAILED_ERROR,
+  CHECKLIST_ACTIONS,
+  validateChecklistTitle,
+  sortChecklist,
+  summarizeChecklist,
+  nextChecklistPosition,
+  planChecklistReorder,
+  buildCheckUpdate,
+  listChecklist,
+  attachChecklistSummaries,
+  getOpenChecklistItems,
+  copyChecklist
+};
+
+export default checklistService;
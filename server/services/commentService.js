@@ -0,0 +1,80 @@
+/**
+ * Comment Service
+ *
+ * Pure helpers for task comment threads:
+ * - Extract @mentions (emp_ids) from a comment body
+ * - Turn the flat list of comment rows into a reply tree
+ */
+
+// An @mention must start the body or follow a non-word character,
+// so e-mail addresses such as "jane@corp.com" are not treated as mentions.
+const MENTION_REGEX = /(^|[^\w@])@([A-Za-z0-9_-]+)/g;
+
+/**
+ * Extract the unique emp_ids mentioned in a comment body
+ * @param {string} body - The comment text
+ * @returns {string[]} - Mentioned emp_ids in order of first appearance
+ */
+export function parseMentions(body) {
+  if (!body || typeof body !== 'string') return [];
+
+  const mentions = [];
+  for (const match of body.matchAll(MENTION_REGEX)) {
+    const empId = match[2];
+    if (!mentions.includes(empId)) {
+      mentions.push(empId);
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Find mentions present in the new body but not in the previous one
+ * @param {string[]} previous - Mentions already notified
+ * @param {string[]} next - Mentions in the edited body
+ * @returns {string[]} - Newly added mentions
+ */
+export function getNewMentions(previous, next) {
+  const seen = new Set((previous || []).map(String));
+  return (next || []).filter((empId) => !seen.has(String(empId)));
+}
+
+/**
+ * Build a threaded tree from flat comment rows
+ * Replies whose parent is missing are promoted to the top level so they are never lost.
+ * @param {object[]} comments - Rows with id and parent_comment_id
+ * @returns {object[]} - Top-level comments, each with a nested `replies` array (oldest first)
+ */
+export function buildCommentThreads(comments) {
+  const byId = new Map();
+  (comments || []).forEach((comment) => {
+    byId.set(comment.id, { ...comment, replies: [] });
+  });
+
+  const roots = [];
+  byId.forEach((comment) => {
+    const parent = comment.parent_comment_id != null ? byId.get(comment.parent_comment_id) : null;
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+  const sortTree = (nodes) => {
+    nodes.sort(byCreatedAt);
+    nodes.forEach((node) => sortTree(node.replies));
+    return nodes;
+  };
+
+  return sortTree(roots);
+}
+
+const commentService = {
+  parseMentions,
+  getNewMentions,
+  buildCommentThreads
+};
+
+export default commentService;
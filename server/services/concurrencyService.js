@@ -0,0 +1,138 @@
+/**
+ * Concurrency Service
+ *
+ * Logic:
+ * - Tasks, subtasks and projects carry a version number that the database bumps on
+ *   every update; it is exposed as the ETag of the row
+ * - Clients send the version they edited as If-Match (or a `version` body field for
+ *   form posts); an update whose version is stale is refused with 409
+ * - The conflict response carries the current row, its version and a field-level diff
+ *   between the current values and the ones the client tried to save, so the client
+ *   can let the user pick per field and retry against the new version
+ * - Requests without a version keep the old last-write-wins behaviour
+ */
+
+export const VERSION_CONFLICT_CODE = 'version_conflict';
+
+// Fields a conflict diff never reports (bookkeeping the user does not edit)
+const IGNORED_DIFF_FIELDS = ['version', 'updated_at', 'created_at'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * ETag for a row version
+ * @param {number} version
+ * @returns {string|null} - Quoted ETag, or null without a version
+ */
+export function formatEtag(version) {
+  if (!Number.isInteger(version)) return null;
+  return `"${version}"`;
+}
+
+/**
+ * Parse an If-Match header (or a version body field)
+ * @param {*} value - '"3"', 'W/"3"', '3', 3 or '*'
+ * @returns {{version: number|null, error: string|null}} - null version means "no check"
+ */
+export function parseIfMatch(value) {
+  if (value === undefined || value === null || value === '') return { version: null, error: null };
+  const raw = String(value).trim();
+  if (raw === '*') return { version: null, error: null };
+  const match = raw.match(/^(?:W\/)?"?(\d+)"?$/);
+  if (!match) return { version: null, error: 'If-Match must be a version ETag such as "3"' };
+  return { version: Number(match[1]), error: null };
+}
+
+/**
+ * Version a request expects to update: the If-Match header wins over a body field
+ * @param {object} req - Express request
+ * @returns {{version: number|null, error: string|null}}
+ */
+export function getExpectedVersion(req) {
+  const header = req.headers?.['if-match'];
+  if (header !== undefined && header !== '') return parseIfMatch(header);
+  return parseIfMatch(req.body?.version);
+}
+
+/**
+ * Whether a row still has the version the client edited
+ * @param {object} row - Current row
+ * @param {number|null} expected - Version from getExpectedVersion
+ * @returns {boolean}
+ */
+export function isCurrentVersion(row, expected) {
+  if (expected === null || expected === undefined) return true;
+  // Rows from before versioning count as version 1
+  return (row?.version ?? 1) === expected;
+}
+
+// Comparable form of a column value
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return JSON.stringify(value.map(String).sort());
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  // Dates may come back as timestamps; the edit forms work in whole days
+  if (DATE_RE.test(text)) return text.slice(0, 10);
+  return text;
+}
+
+/**
+ * Field-level differences between the current row and the values a client submitted
+ * @param {object} current - Current row
+ * @param {object} submitted - Values the client tried to save
+ * @param {object} options
+ * @param {object} options.normalize - Per-field functions mapping values before comparing
+ * @returns {Array<{field: string, current: *, submitted: *}>}
+ */
+export function diffFields(current = {}, submitted = {}, { normalize = {} } = {}) {
+  return Object.keys(submitted || {})
+    .filter((field) => !IGNORED_DIFF_FIELDS.includes(field))
+    .filter((field) => {
+      const map = normalize[field] || ((v) => v);
+      return normalizeValue(map(current?.[field])) !== normalizeValue(map(submitted[field]));
+    })
+    .map((field) => ({ field, current: current?.[field] ?? null, submitted: submitted[field] ?? null }));
+}
+
+/**
+ * Body of a 409 version conflict
+ * @param {object} current - Current row
+ * @param {object} submitted - Values the client tried to save
+ * @param {number} expected - Version the client edited
+ * @param {object} options - Passed to diffFields
+ * @returns {object}
+ */
+export function buildConflict(current, submitted, expected, options = {}) {
+  return {
+    error: 'This item was changed by someone else since you opened it',
+    code: VERSION_CONFLICT_CODE,
+    your_version: expected,
+    current_version: current?.version ?? 1,
+    current,
+    diff: diffFields(current, submitted, options),
+  };
+}
+
+/**
+ * Set the ETag header for a row
+ * @param {object} res - Express response
+ * @param {object} row - Row with a version
+ */
+export function setEtag(res, row) {
+  const etag = formatEtag(row?.version);
+  if (etag) res.set('ETag', etag);
+}
+
+const concurrencyService = {
+  VERSION_CONFLICT_CODE,
+  formatEtag,
+  parseIfMatch,
+  getExpectedVersion,
+  isCurrentVersion,
+  diffFields,
+  buildConflict,
+  setEtag,
+};
+
+export default concurrencyService;
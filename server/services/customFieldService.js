@@ -0,0 +1,257 @@
+/**
+ * Custom Field Service
+ *
+ * Logic:
+ * - A project defines extra task fields (text, number, date, single/multi select, user);
+ *   definitions are validated with the zod schemas in schemas/task.js
+ * - A task stores its values in tasks.custom_fields keyed by field id; empty values are
+ *   not stored, values of fields the task's project doesn't define are ignored
+ * - Saving values merges them over the task's stored values, then checks the result
+ *   against the project's definitions (required fields, select options, project members)
+ * - Exports and reports show one column per field, formatted for people (option labels,
+ *   member names, "; " between multi-select values)
+ */
+
+import {
+  CustomFieldSchema,
+  CustomFieldUpdateSchema,
+  buildCustomFieldValuesSchema,
+} from '../schemas/task.js';
+
+export const MAX_CUSTOM_FIELDS_PER_PROJECT = 30;
+
+const FIELD_COLUMNS = 'id, project_id, label, type, options, required, position';
+
+// First zod issue as one readable sentence, naming the field by its label
+function describeIssue(issue, fields = []) {
+  if (issue.code === 'unrecognized_keys') return `Unknown custom field: ${issue.keys.join(', ')}`;
+  const field = fields.find((f) => String(f.id) === String(issue.path?.[0]));
+  if (field) return `${field.label} ${issue.message}`;
+  const path = (issue.path || []).join('.');
+  return path ? `${path}: ${issue.message}` : issue.message;
+}
+
+/**
+ * @param {Array<object>} fields - Field definitions
+ * @returns {Array<object>} - Copy ordered by position, then id
+ */
+export function sortCustomFields(fields = []) {
+  return [...fields].sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || Number(a.id) - Number(b.id));
+}
+
+/**
+ * Validate a new field definition
+ * @param {object} input - Request body
+ * @returns {{field: object|null, error: string|null}}
+ */
+export function validateFieldDefinition(input) {
+  const result = CustomFieldSchema.safeParse(input || {});
+  if (!result.success) return { field: null, error: describeIssue(result.error.issues[0]) };
+  const { type, options } = result.data;
+  return {
+    field: {
+      ...result.data,
+      options: type === 'select' || type === 'multi_select' ? options : [],
+      required: Boolean(result.data.required),
+    },
+    error: null,
+  };
+}
+
+/**
+ * Validate changes to an existing field definition
+ * @param {object} field - Current definition
+ * @param {object} input - Request body
+ * @returns {{updates: object|null, error: string|null}}
+ */
+export function validateFieldUpdate(field, input) {
+  if (input && input.type !== undefined && input.type !== field.type) {
+    return { updates: null, error: 'A custom field\'s type cannot be changed' };
+  }
+  const changes = { ...(input || {}) };
+  delete changes.type;
+  const result = CustomFieldUpdateSchema.safeParse(changes);
+  if (!result.success) return { updates: null, error: describeIssue(result.error.issues[0]) };
+  const updates = result.data;
+  if (updates.options !== undefined) {
+    if (field.type !== 'select' && field.type !== 'multi_select') {
+      return { updates: null, error: 'Only select fields have options' };
+    }
+    if (updates.options.length === 0) return { updates: null, error: 'Select fields need at least one option' };
+  }
+  return { updates, error: null };
+}
+
+/**
+ * Parse custom field values from a JSON body or a multipart form string
+ * @param {*} raw
+ * @returns {{values: object|null|undefined, error: string|null}} - undefined when absent
+ */
+export function parseCustomFieldInput(raw) {
+  if (raw === undefined || raw === '') return { values: undefined, error: null };
+  if (raw === null) return { values: {}, error: null };
+  let values = raw;
+  if (typeof raw === 'string') {
+    try {
+      values = JSON.parse(raw);
+    } catch {
+      return { values: null, error: 'custom_fields must be an object' };
+    }
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { values: null, error: 'custom_fields must be an object' };
+  }
+  return { values, error: null };
+}
+
+/**
+ * Merge incoming values over a task's stored ones and check them against the definitions
+ * @param {Array<object>} fields - The project's field definitions
+ * @param {object} incoming - Values sent by the client (field id -> value)
+ * @param {object} [existing] - The task's stored custom_fields
+ * @param {object} [options]
+ * @param {string[]} [options.memberIds] - emp_ids "user" fields may hold
+ * @returns {{values: object|null, error: string|null}} - Values to store (empty ones left out)
+ */
+export function validateTaskCustomFields(fields = [], incoming = {}, existing = {}, { memberIds } = {}) {
+  const known = new Set(fields.map((f) => String(f.id)));
+  const kept = {};
+  Object.entries(existing || {}).forEach(([id, value]) => {
+    if (known.has(id)) kept[id] = value;
+  });
+
+  const schema = buildCustomFieldValuesSchema(fields, { memberIds });
+  const result = schema.safeParse({ ...kept, ...incoming });
+  if (!result.success) return { values: null, error: describeIssue(result.error.issues[0], fields) };
+
+  const values = {};
+  Object.entries(result.data).forEach(([id, value]) => {
+    if (value !== null && value !== undefined) values[id] = value;
+  });
+  return { values, error: null };
+}
+
+/**
+ * A custom field value as shown in reports and exports
+ * @param {object} field - Definition
+ * @param {*} value - Stored value
+ * @param {object} [memberNames] - emp_id -> name, for "user" fields
+ * @returns {string}
+ */
+export function formatCustomFieldValue(field, value, memberNames = {}) {
+  if (value === null || value === undefined || value === '') return '';
+  if (field.type === 'multi_select') return (Array.isArray(value) ? value : [value]).join('; ');
+  if (field.type === 'user') return memberNames[value] || String(value);
+  return String(value);
+}
+
+/**
+ * Load a project's custom field definitions in order
+ * @param {object} supabase - Supabase client
+ * @param {number} projectId
+ * @returns {Promise<Array<object>>}
+ */
+export async function listCustomFields(supabase, projectId) {
+  if (projectId === null || projectId === undefined) return [];
+  const { data, error } = await supabase
+    .from('project_custom_fields')
+    .select(FIELD_COLUMNS)
+    .eq('project_id', projectId);
+  if (error) throw error;
+  return sortCustomFields(data || []);
+}
+
+/**
+ * Load custom field definitions by id (for search filters)
+ * @param {object} supabase - Supabase client
+ * @param {number[]} fieldIds
+ * @returns {Promise<Array<object>>}
+ */
+export async function getCustomFieldsByIds(supabase, fieldIds = []) {
+  if (fieldIds.length === 0) return [];
+  const { data, error } = await supabase
+    .from('project_custom_fields')
+    .select(FIELD_COLUMNS)
+    .in('id', fieldIds);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * emp_ids a "user" field of the project may hold (owner and members)
+ * @param {object} supabase - Supabase client
+ * @param {number} projectId
+ * @returns {Promise<string[]>}
+ */
+export async function getProjectMemberIds(supabase, projectId) {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('owner_id, members')
+    .eq('id', projectId)
+    .single();
+  if (error) throw error;
+  return [...new Set([project?.owner_id, ...(project?.members || [])].filter(Boolean).map(String))];
+}
+
+/**
+ * Everything needed to check values against a project's fields: its definitions and,
+ * when it has "user" fields, its members
+ * @param {object} supabase - Supabase client
+ * @param {number|null} projectId
+ * @returns {Promise<{fields: Array<object>, memberIds: string[]|undefined}>}
+ */
+export async function loadCustomFieldRules(supabase, projectId) {
+  const fields = await listCustomFields(supabase, projectId);
+  const memberIds = fields.some((f) => f.type === 'user') ? await getProjectMemberIds(supabase, projectId) : undefined;
+  return { fields, memberIds };
+}
+
+/**
+ * Check values against rules from loadCustomFieldRules
+ * @param {{fields: Array<object>, memberIds: string[]|undefined}} rules
+ * @param {object} incoming - Parsed values from the request
+ * @param {object} [existing] - The task's stored values
+ * @returns {{values: object|null, error: string|null}}
+ */
+export function applyCustomFieldRules({ fields, memberIds }, incoming, existing = {}) {
+  if (fields.length === 0) {
+    return Object.keys(incoming || {}).length > 0
+      ? { values: null, error: 'This task\'s project has no custom fields' }
+      : { values: {}, error: null };
+  }
+  return validateTaskCustomFields(fields, incoming, existing, { memberIds });
+}
+
+/**
+ * Load the project's definitions and validate a task's custom field values. A task that
+ * changes project is checked against its new project: stored values of the old project's
+ * fields are dropped, and the new project's required fields must be given.
+ * @param {object} supabase - Supabase client
+ * @param {object} options
+ * @param {number|null} options.projectId - The task's project
+ * @param {object} options.incoming - Parsed values from the request
+ * @param {object} [options.existing] - The task's stored values
+ * @returns {Promise<{values: object|null, error: string|null}>}
+ */
+export async function resolveTaskCustomFields(supabase, { projectId, incoming, existing = {} }) {
+  const rules = await loadCustomFieldRules(supabase, projectId);
+  return applyCustomFieldRules(rules, incoming, existing);
+}
+
+const customFieldService = {
+  MAX_CUSTOM_FIELDS_PER_PROJECT,
+  sortCustomFields,
+  validateFieldDefinition,
+  validateFieldUpdate,
+  parseCustomFieldInput,
+  validateTaskCustomFields,
+  formatCustomFieldValue,
+  listCustomFields,
+  getCustomFieldsByIds,
+  getProjectMemberIds,
+  loadCustomFieldRules,
+  applyCustomFieldRules,
+  resolveTaskCustomFields
+};
+
+export default customFieldService;
@@ -1,4 +1,5 @@
 import { getServiceClient, getNumericIdFromEmpId } from "../lib/supabase.js";
+import { isListed } from "./taskLifecycleService.js";
 
 class DeadlineNotificationService {
   constructor() {
@@ -88,7 +89,7 @@ class DeadlineNotificationService {
         // Query tasks due on target date
         const { data: tasks, error: tasksError } = await supabase
           .from("tasks")
-          .select("id, title, due_date, owner_id, collaborators, status")
+          .select("id, title, due_date, owner_id, collaborators, status, archived_at, deleted_at")
           .eq("due_date", targetDateStr)
           .neq("status", "completed");
 
@@ -100,8 +101,8 @@ class DeadlineNotificationService {
           continue;
         }
 
-        // Process each task
-        for (const task of tasks) {
+        // Process each task (archived and trashed tasks get no reminders)
+        for (const task of tasks.filter((t) => isListed(t))) {
           // Get recipients (owner + collaborators)
           const recipients = [];
 
@@ -214,7 +215,7 @@ class DeadlineNotificationService {
       // Query overdue tasks using Singapore timezone
       const { data: overdueTasks, error: tasksError } = await supabase
         .from("tasks")
-        .select("id, title, due_date, owner_id, collaborators, status")
+        .select("id, title, due_date, owner_id, collaborators, status, archived_at, deleted_at")
         .lt("due_date", todaySingapore)
         .neq("status", "completed");
 
@@ -240,8 +241,8 @@ class DeadlineNotificationService {
       let totalCreated = 0;
       let duplicatesPrevented = 0;
 
-      // Process each overdue task
-      for (const task of overdueTasks) {
+      // Process each overdue task (archived and trashed tasks get no reminders)
+      for (const task of overdueTasks.filter((t) => isListed(t))) {
         // Get recipients (owner + collaborators)
         const recipients = [];
 
@@ -0,0 +1,226 @@
+/**
+ * Dependency Service
+ *
+ * Logic:
+ * - A dependency links a predecessor task to a successor task
+ * - finish_to_start: the successor cannot be completed until the predecessor is completed
+ * - start_to_start: the successor cannot be completed until the predecessor has started
+ * - Links must never form a cycle (A blocks B blocks ... blocks A)
+ * - When the blockers cannot be checked, the task is not completed
+ */
+
+import { isNotStartedStatus, isTerminalStatus } from './workflowService.js';
+
+export const DEPENDENCY_TYPES = ['finish_to_start', 'start_to_start'];
+
+export const DEPENDENCY_CHECK_FAILED_ERROR = 'Could not check the task\'s dependencies, so it was not completed; try again';
+
+/**
+ * Check whether a predecessor still blocks its successor
+ * @param {string} type - Dependency type
+ * @param {string} predecessorStatus - Current status of the predecessor task
+ * @returns {boolean} - True if the blocker is still open
+ */
+export function isBlockerOpen(type, predecessorStatus) {
+  if (type === 'start_to_start') {
+    return !predecessorStatus || isNotStartedStatus(predecessorStatus);
+  }
+  // finish_to_start (default)
+  return !isTerminalStatus(predecessorStatus);
+}
+
+/**
+ * Check whether adding predecessor -> successor would create a cycle
+ * @param {Array<{predecessor_task_id: number, successor_task_id: number}>} edges - Existing links
+ * @param {number} predecessorId - Task that would block
+ * @param {number} successorId - Task that would be blocked
+ * @returns {boolean} - True if the new link closes a loop
+ */
+export function wouldCreateCycle(edges, predecessorId, successorId) {
+  const from = Number(predecessorId);
+  const to = Number(successorId);
+  if (from === to) return true;
+
+  // Adjacency list: predecessor -> successors
+  const graph = new Map();
+  (edges || []).forEach((edge) => {
+    const p = Number(edge.predecessor_task_id);
+    const s = Number(edge.successor_task_id);
+    if (!graph.has(p)) graph.set(p, []);
+    graph.get(p).push(s);
+  });
+
+  // The new edge closes a loop if the successor can already reach the predecessor
+  const visited = new Set();
+  const stack = [to];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === from) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+    (graph.get(current) || []).forEach((next) => stack.push(next));
+  }
+  return false;
+}
+
+/**
+ * Load the links reachable from a task by following it to its successors, their
+ * successors and so on. These are the only links a new link into the task can close a
+ * loop with, so the cycle check doesn't need the whole table.
+ * @param {object} supabase - Supabase client
+ * @param {number} taskId - Task to start from
+ * @returns {Promise<Array<{predecessor_task_id: number, successor_task_id: number}>>}
+ */
+export async function loadDownstreamLinks(supabase, taskId) {
+  const links = [];
+  const visited = new Set([Number(taskId)]);
+  let frontier = [Number(taskId)];
+  while (frontier.length > 0) {
+    const { data, error } = await supabase
+      .from('task_dependencies')
+      .select('predecessor_task_id, successor_task_id')
+      .in('predecessor_task_id', frontier);
+    if (error) throw error;
+
+    frontier = [];
+    (data || []).forEach((link) => {
+      links.push(link);
+      const next = Number(link.successor_task_id);
+      if (!visited.has(next)) {
+        visited.add(next);
+        frontier.push(next);
+      }
+    });
+  }
+  return links;
+}
+
+/**
+ * Get the predecessors that still block a task from being completed
+ * @param {object} supabase - Supabase client
+ * @param {number} taskId - The successor task ID
+ * @returns {Promise<Array>} - Open blockers with id, title, status and dependency type
+ */
+export async function getOpenBlockers(supabase, taskId) {
+  const { data: links, error } = await supabase
+    .from('task_dependencies')
+    .select('id, predecessor_task_id, successor_task_id, type')
+    .eq('successor_task_id', taskId);
+
+  if (error) throw error;
+  if (!Array.isArray(links) || links.length === 0) return [];
+
+  const predecessorIds = [...new Set(links.map((l) => l.predecessor_task_id))];
+  const { data: predecessors, error: predErr } = await supabase
+    .from('tasks')
+    .select('id, title, status, deleted_at')
+    .in('id', predecessorIds);
+
+  if (predErr) throw predErr;
+
+  // A predecessor in the trash no longer blocks anything
+  const byId = new Map((predecessors || []).filter((t) => !t.deleted_at).map((t) => [t.id, t]));
+  return links
+    .filter((link) => byId.has(link.predecessor_task_id))
+    .filter((link) => isBlockerOpen(link.type, byId.get(link.predecessor_task_id).status))
+    .map((link) => ({
+      dependency_id: link.id,
+      type: link.type,
+      ...byId.get(link.predecessor_task_id),
+    }));
+}
+
+/**
+ * Group dependency links into per-task "blocked by" / "blocking" summaries
+ * @param {Array} links - Dependency rows
+ * @param {Map<number, object>} tasksById - Related tasks (id, title, status)
+ * @returns {Map<number, {blocked_by: Array, blocking: Array}>}
+ */
+export function summarizeDependencies(links, tasksById) {
+  const summaries = new Map();
+  const ensure = (id) => {
+    if (!summaries.has(id)) summaries.set(id, { blocked_by: [], blocking: [] });
+    return summaries.get(id);
+  };
+
+  (links || []).forEach((link) => {
+    const predecessor = tasksById.get(link.predecessor_task_id);
+    const successor = tasksById.get(link.successor_task_id);
+
+    ensure(link.successor_task_id).blocked_by.push({
+      dependency_id: link.id,
+      task_id: link.predecessor_task_id,
+      title: predecessor?.title || null,
+      status: predecessor?.status || null,
+      due_date: predecessor?.due_date || null,
+      type: link.type,
+      is_open: isBlockerOpen(link.type, predecessor?.status),
+    });
+
+    ensure(link.predecessor_task_id).blocking.push({
+      dependency_id: link.id,
+      task_id: link.successor_task_id,
+      title: successor?.title || null,
+      status: successor?.status || null,
+      due_date: successor?.due_date || null,
+      type: link.type,
+      is_open: isBlockerOpen(link.type, predecessor?.status),
+    });
+  });
+
+  return summaries;
+}
+
+/**
+ * Attach blocked_by / blocking arrays to each task in a list
+ * @param {object} supabase - Supabase client
+ * @param {Array} tasks - Task rows (mutated in place)
+ * @returns {Promise<Array>} - The same tasks
+ */
+export async function attachDependencySummaries(supabase, tasks) {
+  if (!Array.isArray(tasks) || tasks.length === 0) return tasks;
+
+  const ids = tasks.map((t) => t.id);
+  const idList = ids.join(',');
+  const { data: links, error } = await supabase
+    .from('task_dependencies')
+    .select('id, predecessor_task_id, successor_task_id, type')
+    .or(`predecessor_task_id.in.(${idList}),successor_task_id.in.(${idList})`);
+
+  if (error) throw error;
+
+  const tasksById = new Map(tasks.map((t) => [t.id, t]));
+  const missingIds = [...new Set((links || [])
+    .flatMap((l) => [l.predecessor_task_id, l.successor_task_id])
+    .filter((id) => !tasksById.has(id)))];
+
+  if (missingIds.length > 0) {
+    const { data: related } = await supabase
+      .from('tasks')
+      .select('id, title, status, due_date')
+      .in('id', missingIds);
+    (related || []).forEach((t) => tasksById.set(t.id, t));
+  }
+
+  const summaries = summarizeDependencies(links || [], tasksById);
+  tasks.forEach((task) => {
+    const summary = summaries.get(task.id) || { blocked_by: [], blocking: [] };
+    task.blocked_by = summary.blocked_by;
+    task.blocking = summary.blocking;
+  });
+
+  return tasks;
+}
+
+const dependencyService = {
+  DEPENDENCY_TYPES,
+  DEPENDENCY_CHECK_FAILED_ERROR,
+  isBlockerOpen,
+  wouldCreateCycle,
+  loadDownstreamLinks,
+  getOpenBlockers,
+  summarizeDependencies,
+  attachDependencySummaries
+};
+
+export default dependencyService;
@@ -0,0 +1,225 @@
+/**
+ * Export Service
+ *
+ * Logic:
+ * - Tasks, projects and workload can be exported as CSV or XLSX; the columns and the
+ *   cell values of each row are built here, the writers in lib/spreadsheetWriter.js
+ * - Filters use the task search parameters (project_id, status, owner_id, due_from,
+ *   due_to, ...), so an export matches what the search bar shows
+ * - Task exports add a column per custom field when they are limited to one project
+ * - Project exports list each project once; status and due window narrow the tasks that
+ *   are counted, owner_id keeps projects that employee owns or is a member of
+ * - Workload exports have one row per employee: tasks owned (per status) and
+ *   collaborated on, overdue and due-soon counts, estimated and logged hours
+ * - Overdue means due before today and not in a terminal status
+ */
+
+import { STATUS_KEYS, TASK_WORKFLOW, getStatusLabel, isTerminalStatus, toStatusKey } from './workflowService.js';
+import { formatCustomFieldValue } from './customFieldService.js';
+import { EXPORT_FORMATS } from '../lib/spreadsheetWriter.js';
+
+export const EXPORT_KINDS = ['tasks', 'projects', 'workload'];
+export const INVALID_FORMAT_ERROR = `format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+export const DUE_SOON_DAYS = 3;
+
+const STATUS_LABELS = TASK_WORKFLOW.statuses.map((s) => s.label);
+
+/**
+ * Parse the export format (csv when left out)
+ * @param {*} value
+ * @returns {string|null} - null when invalid
+ */
+export function parseExportFormat(value) {
+  if (value === undefined || value === null || value === '') return 'csv';
+  const format = String(value).toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Download file name, e.g. tasks-2026-10-19.xlsx
+ * @param {string} kind
+ * @param {string} format
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function exportFilename(kind, format, now = new Date()) {
+  return `${kind}-${now.toISOString().slice(0, 10)}.${format}`;
+}
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : '');
+const today = (now) => now.toISOString().slice(0, 10);
+
+/**
+ * @param {object} task - Task row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isOverdue(task, now = new Date()) {
+  return Boolean(task.due_date) && dateOnly(task.due_date) < today(now) && !isTerminalStatus(task.status);
+}
+
+/**
+ * Due today or within DUE_SOON_DAYS and still open
+ * @param {object} task - Task row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isDueSoon(task, now = new Date()) {
+  if (!task.due_date || isTerminalStatus(task.status)) return false;
+  const limit = new Date(now);
+  limit.setUTCDate(limit.getUTCDate() + DUE_SOON_DAYS);
+  const due = dateOnly(task.due_date);
+  return due >= today(now) && due <= today(limit);
+}
+
+// ---------- Tasks ----------
+
+/**
+ * Header row of a task export
+ * @param {Array<object>} [fields] - Custom field definitions (one project)
+ * @returns {string[]}
+ */
+export function taskExportColumns(fields = []) {
+  return [
+    'ID', 'Title', 'Description', 'Status', 'Priority', 'Owner', 'Collaborators', 'Project',
+    'Due date', 'Estimated hours', 'Recurring', 'Created', ...fields.map((f) => f.label),
+  ];
+}
+
+/**
+ * Cells of one task
+ * @param {object} task - Task row
+ * @param {object} lookups
+ * @param {object} lookups.userNames - emp_id -> name
+ * @param {object} lookups.projectTitles - project id -> title
+ * @param {Array<object>} [lookups.fields] - Custom field definitions
+ * @returns {Array<*>}
+ */
+export function taskExportRow(task, { userNames = {}, projectTitles = {}, fields = [] } = {}) {
+  const name = (empId) => userNames[empId] || empId;
+  return [
+    task.id,
+    task.title,
+    task.description || '',
+    getStatusLabel(task.status),
+    task.priority ?? '',
+    task.owner_id ? name(task.owner_id) : '',
+    (Array.isArray(task.collaborators) ? task.collaborators : []).map(name).join('; '),
+    task.project_id ? projectTitles[task.project_id] || task.project_id : '',
+    dateOnly(task.due_date),
+    task.estimated_hours ?? '',
+    task.is_recurring ? 'Yes' : 'No',
+    dateOnly(task.created_at),
+    ...fields.map((field) => formatCustomFieldValue(field, task.custom_fields?.[field.id], userNames)),
+  ];
+}
+
+// ---------- Projects ----------
+
+export const PROJECT_EXPORT_COLUMNS = [
+  'ID', 'Title', 'Status', 'Owner', 'Members', 'Tasks', 'Completed', 'Overdue', 'Progress (%)', 'Created',
+];
+
+/**
+ * Task counts per project
+ * @param {Array<object>} tasks - Task rows (project_id, status, due_date)
+ * @param {Date} [now]
+ * @returns {Object<string, {total: number, completed: number, overdue: number}>}
+ */
+export function countProjectTasks(tasks = [], now = new Date()) {
+  const counts = {};
+  tasks.forEach((task) => {
+    const entry = (counts[task.project_id] ??= { total: 0, completed: 0, overdue: 0 });
+    entry.total += 1;
+    if (isTerminalStatus(task.status)) entry.completed += 1;
+    if (isOverdue(task, now)) entry.overdue += 1;
+  });
+  return counts;
+}
+
+/**
+ * Cells of one project
+ * @param {object} project - Project row (with progress when attached)
+ * @param {object} lookups
+ * @param {object} lookups.userNames - emp_id -> name
+ * @param {object} lookups.counts - Output of countProjectTasks
+ * @returns {Array<*>}
+ */
+export function projectExportRow(project, { userNames = {}, counts = {} } = {}) {
+  const count = counts[project.id] || { total: 0, completed: 0, overdue: 0 };
+  return [
+    project.id,
+    project.title,
+    project.status || '',
+    project.owner_id ? userNames[project.owner_id] || project.owner_id : '',
+    (Array.isArray(project.members) ? project.members : []).map((id) => userNames[id] || id).join('; '),
+    count.total,
+    count.completed,
+    count.overdue,
+    project.progress ?? '',
+    dateOnly(project.created_at),
+  ];
+}
+
+// ---------- Workload ----------
+
+export const WORKLOAD_EXPORT_COLUMNS = [
+  'Employee ID', 'Name', 'Department', 'Role', 'Owned tasks',
+  ...STATUS_LABELS.map((label) => `Owned: ${label}`),
+  'Collaborating on', 'Overdue', `Due within ${DUE_SOON_DAYS} days`, 'Estimated hours', 'Logged hours',
+];
+
+/**
+ * Cells of one employee's workload
+ * @param {object} person - User row (emp_id, name, department, role)
+ * @param {Array<object>} tasks - Tasks the person owns or collaborates on (others are ignored)
+ * @param {object} [hours] - { estimated_hours, logged_hours } for the person
+ * @param {Date} [now]
+ * @returns {Array<*>}
+ */
+export function workloadExportRow(person, tasks = [], hours = null, now = new Date()) {
+  const empId = String(person.emp_id);
+  const owned = tasks.filter((t) => String(t.owner_id) === empId);
+  const collaborating = tasks.filter(
+    (t) => String(t.owner_id) !== empId && Array.isArray(t.collaborators) && t.collaborators.map(String).includes(empId)
+  );
+  const mine = [...owned, ...collaborating];
+  const byStatus = Object.fromEntries(STATUS_KEYS.map((key) => [key, 0]));
+  owned.forEach((task) => {
+    const key = toStatusKey(task.status);
+    if (key) byStatus[key] += 1;
+  });
+
+  return [
+    person.emp_id,
+    person.name || '',
+    person.department || '',
+    person.role || '',
+    owned.length,
+    ...STATUS_KEYS.map((key) => byStatus[key]),
+    collaborating.length,
+    mine.filter((t) => isOverdue(t, now)).length,
+    mine.filter((t) => isDueSoon(t, now)).length,
+    hours?.estimated_hours ?? 0,
+    hours?.logged_hours ?? 0,
+  ];
+}
+
+const exportService = {
+  EXPORT_KINDS,
+  INVALID_FORMAT_ERROR,
+  DUE_SOON_DAYS,
+  PROJECT_EXPORT_COLUMNS,
+  WORKLOAD_EXPORT_COLUMNS,
+  parseExportFormat,
+  exportFilename,
+  isOverdue,
+  isDueSoon,
+  taskExportColumns,
+  taskExportRow,
+  countProjectTasks,
+  projectExportRow,
+  workloadExportRow
+};
+
+export default exportService;
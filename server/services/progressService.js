@@ -0,0 +1,220 @@
+/**
+ * Progress Service
+ *
+ * Logic:
+ * - A task's percent-complete comes from its subtasks: a completed task is 100%, a task
+ *   without subtasks is 0% until it is completed
+ * - Subtask trees roll up level by level: a completed subtask counts as 100%, a subtask with
+ *   children takes the weighted share of its children, any other subtask counts as 0%
+ * - Siblings are weighted equally ("count"), by estimated_hours ("estimate") or by
+ *   priority 1-10 ("priority"); items without an estimate take the average estimate of
+ *   their siblings, items without a priority count as priority 5
+ * - Projects take the weighted share of their tasks' percentages, using the same weighting
+ *   (a task's estimate falls back to the sum of its subtask estimates)
+ * - The default weighting comes from PROGRESS_WEIGHTING and can be overridden per request
+ */
+
+import { isTerminalStatus } from './workflowService.js';
+import { buildSubtaskTree } from './subtaskTreeService.js';
+import { getTaskEstimate } from './timeTrackingService.js';
+
+export const PROGRESS_WEIGHTINGS = ['count', 'estimate', 'priority'];
+export const DEFAULT_PROGRESS_WEIGHTING = 'count';
+export const DEFAULT_PRIORITY_WEIGHT = 5;
+
+export const INVALID_WEIGHTING_ERROR = 'weighting must be count, estimate or priority';
+
+/**
+ * Parse a weighting from a query string or the environment
+ * @param {*} value - Raw value
+ * @returns {string|null|undefined} - Weighting, undefined if absent, null if invalid
+ */
+export function parseProgressWeighting(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const weighting = String(value).trim().toLowerCase();
+  return PROGRESS_WEIGHTINGS.includes(weighting) ? weighting : null;
+}
+
+/**
+ * @returns {string} - Default weighting (env PROGRESS_WEIGHTING, else "count")
+ */
+export function getProgressWeighting() {
+  return parseProgressWeighting(process.env.PROGRESS_WEIGHTING) || DEFAULT_PROGRESS_WEIGHTING;
+}
+
+function rawWeight(item, weighting, estimate) {
+  if (weighting === 'priority') {
+    const priority = Number(item.priority);
+    return Number.isFinite(priority) && priority > 0 ? Math.min(priority, 10) : DEFAULT_PRIORITY_WEIGHT;
+  }
+  if (weighting === 'estimate') {
+    const hours = Number(estimate);
+    return estimate !== null && estimate !== undefined && hours > 0 ? hours : null;
+  }
+  return 1;
+}
+
+/**
+ * Weighted average of percentages
+ * @param {Array<{percent: number, weight: number|null}>} entries - null weights take the mean known weight
+ * @returns {number|null} - Rounded percent, null for no entries
+ */
+export function weightedPercent(entries = []) {
+  if (entries.length === 0) return null;
+  const known = entries.filter((e) => e.weight !== null && e.weight !== undefined);
+  const fallback = known.length > 0 ? known.reduce((sum, e) => sum + e.weight, 0) / known.length : 1;
+
+  let total = 0;
+  let done = 0;
+  entries.forEach((e) => {
+    const weight = e.weight ?? fallback;
+    total += weight;
+    done += weight * e.percent;
+  });
+  return total > 0 ? Math.round(done / total) : 0;
+}
+
+function nodePercent(node, weighting) {
+  if (isTerminalStatus(node.status)) return 100;
+  if (node.children.length === 0) return 0;
+  return levelPercent(node.children, weighting);
+}
+
+function levelPercent(nodes, weighting) {
+  return weightedPercent(nodes.map((node) => ({
+    percent: nodePercent(node, weighting),
+    weight: rawWeight(node, weighting, node.estimated_hours),
+  })));
+}
+
+/**
+ * Percent-complete of one task
+ * @param {object} task - Task row (status)
+ * @param {Array<object>} subtasks - The task's subtasks (status, parent_subtask_id, estimated_hours, priority)
+ * @param {string} weighting - One of PROGRESS_WEIGHTINGS
+ * @returns {number} - 0-100
+ */
+export function computeTaskProgress(task, subtasks = [], weighting = DEFAULT_PROGRESS_WEIGHTING) {
+  if (isTerminalStatus(task?.status)) return 100;
+  if (!Array.isArray(subtasks) || subtasks.length === 0) return 0;
+  return levelPercent(buildSubtaskTree(subtasks), weighting);
+}
+
+/**
+ * Percent-complete per task and per project
+ * @param {object} params
+ * @param {Array} params.tasks - Task rows (id, status, project_id, estimated_hours, priority)
+ * @param {Array} params.subtasks - Subtask rows of these tasks (parent_task_id, ...)
+ * @param {string} params.weighting - One of PROGRESS_WEIGHTINGS
+ * @returns {{byTask: object, byProject: object}} - id -> percent (projects without tasks are absent)
+ */
+export function rollUpProgress({ tasks = [], subtasks = [], weighting = DEFAULT_PROGRESS_WEIGHTING }) {
+  const subtasksByTask = new Map();
+  subtasks.forEach((st) => {
+    const key = String(st.parent_task_id);
+    if (!subtasksByTask.has(key)) subtasksByTask.set(key, []);
+    subtasksByTask.get(key).push(st);
+  });
+
+  const byTask = {};
+  const entriesByProject = new Map();
+  tasks.forEach((task) => {
+    const own = subtasksByTask.get(String(task.id)) || [];
+    const percent = computeTaskProgress(task, own, weighting);
+    byTask[task.id] = percent;
+
+    if (task.project_id === null || task.project_id === undefined) return;
+    const key = task.project_id;
+    if (!entriesByProject.has(key)) entriesByProject.set(key, []);
+    const estimate = weighting === 'estimate' ? getTaskEstimate(task, own) || null : null;
+    entriesByProject.get(key).push({ percent, weight: rawWeight(task, weighting, estimate) });
+  });
+
+  const byProject = {};
+  entriesByProject.forEach((entries, projectId) => {
+    byProject[projectId] = weightedPercent(entries);
+  });
+
+  return { byTask, byProject };
+}
+
+/**
+ * Load the subtasks of a set of tasks and roll up their progress
+ * @param {object} supabase - Supabase client
+ * @param {Array} tasks - Task rows (id, status, project_id, estimated_hours, priority)
+ * @param {object} options
+ * @param {string} options.weighting - Defaults to getProgressWeighting()
+ * @returns {Promise<{byTask: object, byProject: object}>}
+ */
+export async function getProgressRollup(supabase, tasks, { weighting = getProgressWeighting() } = {}) {
+  if (!Array.isArray(tasks) || tasks.length === 0) return rollUpProgress({ weighting });
+
+  const { data: subtasks, error } = await supabase
+    .from('sub_task')
+    .select('id, parent_task_id, parent_subtask_id, position, status, estimated_hours, priority')
+    .in('parent_task_id', tasks.map((t) => t.id));
+  if (error) throw error;
+
+  return rollUpProgress({ tasks, subtasks: Array.isArray(subtasks) ? subtasks : [], weighting });
+}
+
+/**
+ * Set `progress` on each task (and on each given project) in place
+ * @param {object} supabase - Supabase client
+ * @param {Array} tasks - Task rows
+ * @param {object} options
+ * @param {Array} options.projects - Project rows to receive `progress` (null without tasks)
+ * @param {string} options.weighting - Defaults to getProgressWeighting()
+ * @returns {Promise<{byTask: object, byProject: object}>}
+ */
+export async function attachProgress(supabase, tasks, { projects = [], weighting } = {}) {
+  const rollup = await getProgressRollup(supabase, tasks, { weighting });
+  (tasks || []).forEach((task) => {
+    task.progress = rollup.byTask[task.id] ?? 0;
+  });
+  projects.forEach((project) => {
+    project.progress = rollup.byProject[project.id] ?? null;
+  });
+  return rollup;
+}
+
+/**
+ * Set `progress` on each project in place, loading the projects' live tasks
+ * (archived and deleted tasks don't count)
+ * @param {object} supabase - Supabase client
+ * @param {Array} projects - Project rows
+ * @param {object} options
+ * @param {string} options.weighting - Defaults to getProgressWeighting()
+ * @returns {Promise<Array>} - The same projects
+ */
+export async function attachProjectProgress(supabase, projects, { weighting } = {}) {
+  if (!Array.isArray(projects) || projects.length === 0) return projects;
+
+  const { data: tasks, error } = await supabase
+    .from('tasks')
+    .select('id, status, project_id, estimated_hours, priority')
+    .in('project_id', projects.map((p) => p.id))
+    .is('deleted_at', null)
+    .is('archived_at', null);
+  if (error) throw error;
+
+  await attachProgress(supabase, tasks || [], { projects, weighting });
+  return projects;
+}
+
+const progressService = {
+  PROGRESS_WEIGHTINGS,
+  DEFAULT_PROGRESS_WEIGHTING,
+  DEFAULT_PRIORITY_WEIGHT,
+  INVALID_WEIGHTING_ERROR,
+  parseProgressWeighting,
+  getProgressWeighting,
+  weightedPercent,
+  computeTaskProgress,
+  rollUpProgress,
+  getProgressRollup,
+  attachProgress,
+  attachProjectProgress
+};
+
+export default progressService;
@@ -0,0 +1,376 @@
+/**
+ * Recurrence Edit Service
+ *
+ * Logic:
+ * - An edit of a recurring task's title, description, priority, collaborators or
+ *   subtasks has a scope, as in a calendar app:
+ *   - 'this': only the task; the series keeps its values, which the task remembers in
+ *     recurrence_series_values so its next instance is created from them
+ *   - 'following': the task and every later instance. Earlier instances stay in the old
+ *     series, which ends the day before the task's occurrence; the task and the later
+ *     ones move to a new recurrence_series_id together with their skipped and moved
+ *     dates, keeping their numbering and end conditions
+ *   - 'all_open': the task and every instance of the series that is not completed; the
+ *     series continues with the new values
+ * - Subtasks are matched by title among an instance's top-level subtasks: matches are
+ *   updated, missing ones added, and the rest removed unless they are completed
+ * - Every edited task gets a task_edit_history row (written by the route)
+ */
+
+import { randomUUID } from 'crypto';
+import { isTerminalStatus } from './workflowService.js';
+import { nextPosition } from './subtaskTreeService.js';
+import { buildClonedSubtasks } from './taskTransferService.js';
+import { getOccurrenceDate, getSeriesValues, getLatestInstance, SERIES_VALUE_FIELDS } from './recurrenceService.js';
+import { parseCollaborators } from '../lib/taskAccess.js';
+import { getNumericIdFromEmpId } from '../lib/supabase.js';
+
+export const SERIES_EDIT_SCOPES = ['this', 'following', 'all_open'];
+
+// Task fields a series edit can change (subtasks are synced separately)
+export const SERIES_EDIT_FIELDS = ['title', 'description', 'priority', 'collaborators'];
+
+export const MAX_SERIES_SUBTASKS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hasField = (body, field) => Object.prototype.hasOwnProperty.call(body, field) && body[field] !== undefined;
+
+const titleKey = (title) => String(title ?? '').trim().toLowerCase();
+
+const parsePriority = (value) => {
+  if (value === null || value === '') return { priority: null };
+  const priority = Number(value);
+  if (!Number.isInteger(priority) || priority < 1 || priority > 10) return { error: true };
+  return { priority };
+};
+
+// The values of a subtask a series carries from one instance to the next
+const toSubtaskValues = (subtask) => ({
+  title: String(subtask.title ?? '').trim(),
+  description: subtask.description || null,
+  priority: subtask.priority ?? null,
+});
+
+function normaliseValue(field, value) {
+  switch (field) {
+    case 'collaborators':
+      return [...new Set(parseCollaborators(value))].sort();
+    case 'subtasks':
+      return (value || []).map(toSubtaskValues);
+    case 'priority':
+      return value === null || value === undefined || value === '' ? null : Number(value);
+    case 'description':
+      return value || null;
+    default:
+      return value ?? null;
+  }
+}
+
+const sameValue = (field, a, b) => JSON.stringify(normaliseValue(field, a)) === JSON.stringify(normaliseValue(field, b));
+
+// { title, description?, priority? } entries of a subtasks list; description or priority
+// left out stay as they are on a matched subtask
+function parseSubtaskList(value) {
+  if (!Array.isArray(value)) return { error: 'subtasks must be a list' };
+  if (value.length > MAX_SERIES_SUBTASKS) return { error: `A series can keep at most ${MAX_SERIES_SUBTASKS} subtasks` };
+
+  const subtasks = [];
+  const seen = new Set();
+  for (const entry of value) {
+    const title = typeof entry?.title === 'string' ? entry.title.trim() : '';
+    if (!title) return { error: 'Every subtask needs a title' };
+    if (seen.has(titleKey(title))) return { error: `Subtask "${title}" is listed twice` };
+    seen.add(titleKey(title));
+
+    const subtask = { title };
+    if (hasField(entry, 'description')) subtask.description = entry.description ? String(entry.description) : null;
+    if (hasField(entry, 'priority')) {
+      const { priority, error } = parsePriority(entry.priority);
+      if (error) return { error: `Priority of subtask "${title}" must be a whole number from 1 to 10` };
+      subtask.priority = priority;
+    }
+    subtasks.push(subtask);
+  }
+  return { subtasks };
+}
+
+/**
+ * Parse the body of a series edit
+ * @param {object} body - { scope, title?, description?, priority?, collaborators?, subtasks? }
+ * @returns {{ scope?: string, changes?: object, error?: string }}
+ */
+export function parseSeriesEdit(body = {}) {
+  const { scope } = body;
+  if (!SERIES_EDIT_SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${SERIES_EDIT_SCOPES.join(', ')}` };
+  }
+
+  const changes = {};
+  if (hasField(body, 'title')) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) return { error: 'title cannot be empty' };
+    changes.title = title;
+  }
+  if (hasField(body, 'description')) {
+    changes.description = body.description === null ? null : String(body.description);
+  }
+  if (hasField(body, 'priority')) {
+    const { priority, error } = parsePriority(body.priority);
+    if (error || priority === null) return { error: 'priority must be a whole number from 1 to 10' };
+    changes.priority = priority;
+  }
+  if (hasField(body, 'collaborators')) {
+    if (!Array.isArray(body.collaborators)) return { error: 'collaborators must be a list of employee ids' };
+    changes.collaborators = [...new Set(parseCollaborators(body.collaborators))];
+  }
+  if (hasField(body, 'subtasks')) {
+    const { subtasks, error } = parseSubtaskList(body.subtasks);
+    if (error) return { error };
+    changes.subtasks = subtasks;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to change: send title, description, priority, collaborators or subtasks' };
+  }
+  return { scope, changes };
+}
+
+/**
+ * Pick the instances an edit applies to
+ * @param {string} scope - One of SERIES_EDIT_SCOPES
+ * @param {object} task - Task the edit was requested on
+ * @param {Array<object>} instances - Live instances of its series
+ * @returns {Array<object>} - Task rows to edit, the requested task first
+ */
+export function selectEditTargets(scope, task, instances = []) {
+  const others = (instances || []).filter((t) => t.id !== task.id);
+  let matches;
+  switch (scope) {
+    case 'following':
+      matches = (t) => (t.recurrence_count || 1) > (task.recurrence_count || 1);
+      break;
+    case 'all_open':
+      matches = (t) => !isTerminalStatus(t.status);
+      break;
+    default:
+      matches = () => false;
+  }
+  return [task, ...others.filter(matches)];
+}
+
+/**
+ * How a 'following' edit splits the series; null when the task starts its series, so
+ * there is nothing to split off
+ * @param {object} task - Task the edit was requested on
+ * @param {Array<object>} instances - Live instances of its series
+ * @returns {{ seriesId: string, fromDate: string, endDate: string, earlier: Array<object> }|null}
+ */
+export function planSeriesSplit(task, instances = []) {
+  const earlier = (instances || []).filter((t) => t.id !== task.id && (t.recurrence_count || 1) < (task.recurrence_count || 1));
+  const fromDate = getOccurrenceDate(task);
+  if (earlier.length === 0 || !fromDate) return null;
+  const endDate = new Date(new Date(`${fromDate}T00:00:00Z`).getTime() - DAY_MS).toISOString().slice(0, 10);
+  return { seriesId: randomUUID(), fromDate, endDate, earlier };
+}
+
+/**
+ * Sync an instance's top-level subtasks to a list, matching by title
+ * @param {Array<object>} existing - The instance's live top-level subtasks
+ * @param {Array<object>} wanted - Parsed subtask list
+ * @returns {{ updates: Array<{ id, changes }>, inserts: Array<object>, removals: Array<number>, wanted: Array<object>, result: Array<object> }}
+ *   wanted is the list with left-out values filled in from the matches; result is what
+ *   the instance ends up with (wanted plus the completed subtasks it keeps)
+ */
+export function planSubtaskSync(existing = [], wanted = []) {
+  const remaining = [...(existing || [])];
+  const updates = [];
+  const inserts = [];
+  const resolved = [];
+
+  wanted.forEach((subtask) => {
+    const index = remaining.findIndex((s) => titleKey(s.title) === titleKey(subtask.title));
+    if (index === -1) {
+      const values = toSubtaskValues(subtask);
+      inserts.push(values);
+      resolved.push(values);
+      return;
+    }
+    const [match] = remaining.splice(index, 1);
+    const values = toSubtaskValues({ ...match, ...subtask });
+    const changes = {};
+    ['title', 'description', 'priority'].forEach((field) => {
+      if (!sameValue(field, match[field], values[field])) changes[field] = values[field];
+    });
+    if (Object.keys(changes).length > 0) updates.push({ id: match.id, changes });
+    resolved.push(values);
+  });
+
+  // Completed subtasks are a record of work done and stay
+  const kept = remaining.filter((s) => isTerminalStatus(s.status));
+  const removals = remaining.filter((s) => !isTerminalStatus(s.status)).map((s) => s.id);
+  return { updates, inserts, removals, wanted: resolved, result: [...resolved, ...kept.map(toSubtaskValues)] };
+}
+
+/**
+ * The recurrence_series_values of an instance after an edit: a field is kept only where
+ * the series continues with a value other than the instance's own
+ * @param {object} task - Task row (its current recurrence_series_values)
+ * @param {object} own - The instance's values after the edit, for the fields edited
+ * @param {object} series - The series' values after the edit, for the same fields
+ * @returns {object}
+ */
+export function mergeSeriesValues(task, own, series) {
+  const values = { ...(task.recurrence_series_values || {}) };
+  Object.keys(series).forEach((field) => {
+    if (!SERIES_VALUE_FIELDS.includes(field)) return;
+    if (sameValue(field, own[field], series[field])) delete values[field];
+    else values[field] = normaliseValue(field, series[field]);
+  });
+  return values;
+}
+
+async function loadTopLevelSubtasks(supabase, taskIds) {
+  if (taskIds.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from('sub_task')
+    .select('*')
+    .in('parent_task_id', taskIds)
+    .is('parent_subtask_id', null)
+    .is('deleted_at', null)
+    .order('position', { ascending: true });
+  if (error) throw error;
+  const byTask = new Map(taskIds.map((id) => [id, []]));
+  (data || []).forEach((s) => byTask.get(s.parent_task_id)?.push(s));
+  return byTask;
+}
+
+async function syncSubtasks(supabase, task, plan, existing) {
+  for (const { id, changes } of plan.updates) {
+    const { error } = await supabase.from('sub_task').update(changes).eq('id', id);
+    if (error) throw error;
+  }
+  if (plan.removals.length > 0) {
+    // Nested subtasks go with their parent (ON DELETE CASCADE)
+    const { error } = await supabase.from('sub_task').delete().in('id', plan.removals);
+    if (error) throw error;
+  }
+  if (plan.inserts.length > 0) {
+    const start = nextPosition(existing);
+    const rows = buildClonedSubtasks(plan.inserts, task.id).map((row, index) => ({
+      ...row,
+      position: start + index,
+      owner_id: getNumericIdFromEmpId(task.owner_id), // Convert emp_id to numeric ID for sub_task table
+    }));
+    const { error } = await supabase.from('sub_task').insert(rows);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Apply an edit to a recurring series
+ * @param {object} supabase - Supabase client
+ * @param {object} params
+ * @param {object} params.task - Task the edit was requested on
+ * @param {Array<object>} params.instances - Live instances of its series
+ * @param {string} params.scope - One of SERIES_EDIT_SCOPES
+ * @param {object} params.changes - From parseSeriesEdit
+ * @returns {Promise<{ tasks: Array<object>, seriesId: string, splitFrom: string|null }>}
+ *   tasks are the edited rows, the requested task first
+ */
+export async function applySeriesEdit(supabase, { task, instances, scope, changes }) {
+  const targets = selectEditTargets(scope, task, instances);
+  const latest = getLatestInstance(instances) || task;
+  // With 'all_open' a completed latest instance still decides what the series creates next
+  const carrier = scope === 'all_open' && !targets.some((t) => t.id === latest.id) ? latest : null;
+  const split = scope === 'following' ? planSeriesSplit(task, instances) : null;
+
+  const fieldChanges = {};
+  SERIES_EDIT_FIELDS.forEach((field) => {
+    if (field in changes) fieldChanges[field] = changes[field];
+  });
+  const subtaskIds = changes.subtasks ? [...targets, ...(carrier ? [carrier] : [])].map((t) => t.id) : [];
+  const subtasksByTask = await loadTopLevelSubtasks(supabase, subtaskIds);
+
+  const tasks = [];
+  for (const target of targets) {
+    const existing = subtasksByTask.get(target.id) || [];
+    const before = { ...target, subtasks: existing.map(toSubtaskValues) };
+    const own = { ...before, ...fieldChanges };
+    let plan = null;
+    if (changes.subtasks) {
+      plan = planSubtaskSync(existing, changes.subtasks);
+      own.subtasks = plan.result;
+    }
+
+    let series = plan ? { ...changes, subtasks: plan.wanted } : changes;
+    if (scope === 'this') {
+      // The series keeps what it had before this edit
+      const seriesBefore = { subtasks: before.subtasks, ...getSeriesValues(target) };
+      series = Object.fromEntries(Object.keys(changes).map((field) => [field, seriesBefore[field]]));
+    }
+
+    const updates = {
+      ...fieldChanges,
+      recurrence_series_values: mergeSeriesValues(target, own, series),
+      ...(split ? { recurrence_series_id: split.seriesId } : {}),
+    };
+    const { data: updated, error } = await supabase
+      .from('tasks')
+      .update(updates)
+      .eq('id', target.id)
+      .select()
+      .single();
+    if (error) throw error;
+    if (plan) await syncSubtasks(supabase, target, plan, existing);
+    tasks.push(updated);
+  }
+
+  if (carrier) {
+    const existing = subtasksByTask.get(carrier.id) || [];
+    const own = { ...carrier, subtasks: existing.map(toSubtaskValues) };
+    const series = changes.subtasks ? { ...changes, subtasks: planSubtaskSync(existing, changes.subtasks).wanted } : changes;
+    const { error } = await supabase
+      .from('tasks')
+      .update({ recurrence_series_values: mergeSeriesValues(carrier, own, series) })
+      .eq('id', carrier.id);
+    if (error) throw error;
+  }
+
+  if (split) {
+    // The old series stops where the new one starts; its dates from there on move along
+    const ended = split.earlier
+      .filter((t) => !t.recurrence_end_date || String(t.recurrence_end_date).slice(0, 10) > split.endDate)
+      .map((t) => t.id);
+    if (ended.length > 0) {
+      const { error } = await supabase.from('tasks').update({ recurrence_end_date: split.endDate }).in('id', ended);
+      if (error) throw error;
+    }
+    const { error: exceptionError } = await supabase
+      .from('recurrence_exceptions')
+      .update({ series_id: split.seriesId })
+      .eq('series_id', task.recurrence_series_id)
+      .gte('occurrence_date', split.fromDate);
+    if (exceptionError) throw exceptionError;
+  }
+
+  return {
+    tasks,
+    seriesId: split ? split.seriesId : task.recurrence_series_id,
+    splitFrom: split ? task.recurrence_series_id : null,
+  };
+}
+
+const recurrenceEditService = {
+  SERIES_EDIT_SCOPES,
+  SERIES_EDIT_FIELDS,
+  MAX_SERIES_SUBTASKS,
+  parseSeriesEdit,
+  selectEditTargets,
+  planSeriesSplit,
+  planSubtaskSync,
+  mergeSeriesValues,
+  applySeriesEdit,
+};
+
+export default recurrenceEditService;
@@ -0,0 +1,276 @@
+/**
+ * Recurrence Schedule Service
+ *
+ * Logic:
+ * - A series either creates its next instance when the open one is completed
+ *   (recurrence_generation 'on_completion', the default) or on schedule ('on_schedule'):
+ *   a background job creates every occurrence once its date comes within the series'
+ *   look-ahead window, whether or not the earlier instances are done
+ * - The look-ahead is recurrence_lookahead_days on the series (0 creates an occurrence on
+ *   its day), or RECURRENCE_LOOKAHEAD_DAYS for series that do not set one
+ * - Catch-up: each run continues from the series' latest instance, so occurrences that
+ *   fell due while the job was not running are created on the next run, at most
+ *   RECURRENCE_MAX_CATCH_UP per series per run (the rest follow on later runs)
+ * - Idempotent: an occurrence is keyed by series id + occurrence date (a unique index on
+ *   tasks), so an overlapping run, or an occurrence whose task was deleted, is passed
+ *   over instead of being created twice
+ * - Paused, archived and ended series create nothing; skipped dates are passed over and
+ *   moved ones are created with their new due date
+ * - The job runs once at start-up and then every RECURRENCE_SCHEDULE_INTERVAL_MINUTES;
+ *   RECURRENCE_SCHEDULER=off turns it off
+ */
+
+import {
+  GENERATION_MODES,
+  isScheduledSeries,
+  getLatestInstance,
+  listNextOccurrences,
+  listSeriesExceptions,
+  createNextRecurringTask,
+} from './recurrenceService.js';
+
+export const DEFAULT_LOOKAHEAD_DAYS = 0;
+export const MAX_LOOKAHEAD_DAYS = 90;
+export const DEFAULT_MAX_CATCH_UP = 31;
+export const DEFAULT_SCHEDULE_INTERVAL_MINUTES = 60;
+
+// Postgres unique_violation: the occurrence already has a task
+const UNIQUE_VIOLATION = '23505';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+const addDays = (date, days) => toDateString(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS);
+
+const positiveInteger = (value, fallback) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Look-ahead for series that do not set their own
+ * @returns {number} - Days
+ */
+export function getDefaultLookaheadDays() {
+  const days = Number(process.env.RECURRENCE_LOOKAHEAD_DAYS);
+  return Number.isInteger(days) && days >= 0 && days <= MAX_LOOKAHEAD_DAYS ? days : DEFAULT_LOOKAHEAD_DAYS;
+}
+
+/**
+ * @returns {number} - Most occurrences one run creates for a series
+ */
+export function getMaxCatchUp() {
+  return positiveInteger(process.env.RECURRENCE_MAX_CATCH_UP, DEFAULT_MAX_CATCH_UP);
+}
+
+/**
+ * @returns {number} - Milliseconds between runs of the job
+ */
+export function getScheduleIntervalMs() {
+  return positiveInteger(process.env.RECURRENCE_SCHEDULE_INTERVAL_MINUTES, DEFAULT_SCHEDULE_INTERVAL_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Look-ahead of a series
+ * @param {object} task - Task row
+ * @returns {number} - Days
+ */
+export function getLookaheadDays(task) {
+  const days = task?.recurrence_lookahead_days;
+  return Number.isInteger(days) && days >= 0 ? days : getDefaultLookaheadDays();
+}
+
+/**
+ * Parse the generation settings of a recurring task
+ * @param {object} body - { recurrence_generation?, recurrence_lookahead_days? }
+ * @returns {{ settings?: object, error?: string }} - settings holds the columns given
+ *   (a blank look-ahead falls back to the default)
+ */
+export function parseGenerationSettings(body = {}) {
+  const settings = {};
+  const { recurrence_generation: mode, recurrence_lookahead_days: lookahead } = body;
+  if (mode !== undefined && mode !== null && mode !== '') {
+    if (!GENERATION_MODES.includes(mode)) {
+      return { error: `recurrence_generation must be one of: ${GENERATION_MODES.join(', ')}` };
+    }
+    settings.recurrence_generation = mode;
+  }
+  if (lookahead !== undefined) {
+    if (lookahead === null || lookahead === '') {
+      settings.recurrence_lookahead_days = null;
+    } else {
+      const days = Number(lookahead);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_LOOKAHEAD_DAYS) {
+        return { error: `recurrence_lookahead_days must be a whole number from 0 to ${MAX_LOOKAHEAD_DAYS}` };
+      }
+      settings.recurrence_lookahead_days = days;
+    }
+  }
+  return { settings };
+}
+
+/**
+ * Occurrences a run should create for a series: those after its latest instance whose
+ * due date is within the look-ahead window, in order
+ * @param {object} latest - The series' latest instance
+ * @param {Array<object>} exceptions - The series' skipped and moved dates
+ * @param {object} options
+ * @param {string} options.today - "YYYY-MM-DD"
+ * @param {number} [options.maxCount] - Most occurrences to return
+ * @returns {Array<object>} - Entries of listNextOccurrences
+ */
+export function planScheduledOccurrences(latest, exceptions, { today, maxCount = getMaxCatchUp() }) {
+  if (!isScheduledSeries(latest) || latest.recurrence_paused_at || latest.archived_at || latest.deleted_at) return [];
+  const horizon = addDays(today, getLookaheadDays(latest));
+  const planned = [];
+  // A date moved past the window holds back the ones after it, so the series stays in order
+  for (const occurrence of listNextOccurrences(latest, exceptions, { count: maxCount, until: horizon })) {
+    if (occurrence.due_date > horizon) break;
+    planned.push(occurrence);
+  }
+  return planned;
+}
+
+/**
+ * The latest instance of every series generated on schedule
+ * @param {object} supabase - Supabase client
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadScheduledSeries(supabase) {
+  const { data, error } = await supabase
+    .from('tasks')
+    .select('*')
+    .eq('is_recurring', true)
+    .eq('recurrence_generation', 'on_schedule')
+    .is('deleted_at', null);
+  if (error) throw error;
+
+  const bySeries = new Map();
+  (data || []).forEach((t) => {
+    if (!t.recurrence_series_id) return;
+    bySeries.set(t.recurrence_series_id, [...(bySeries.get(t.recurrence_series_id) || []), t]);
+  });
+  return [...bySeries.values()].map(getLatestInstance);
+}
+
+/**
+ * Create the due occurrences of one series
+ * @param {object} supabase - Supabase client
+ * @param {object} latest - The series' latest instance
+ * @param {object} options
+ * @param {string} options.today - "YYYY-MM-DD"
+ * @returns {Promise<{ created: Array<object>, existing: number }>} - existing counts
+ *   occurrences that already had a task
+ */
+export async function generateSeriesOccurrences(supabase, latest, { today }) {
+  const exceptions = await listSeriesExceptions(supabase, latest.recurrence_series_id);
+  const created = [];
+  let existing = 0;
+  let previous = latest;
+  for (const next of planScheduledOccurrences(latest, exceptions, { today })) {
+    try {
+      const task = await createNextRecurringTask(supabase, previous, { next });
+      if (task) {
+        created.push(task);
+        previous = task;
+      }
+    } catch (error) {
+      if (error?.code !== UNIQUE_VIOLATION) throw error;
+      existing += 1;
+    }
+  }
+  return { created, existing };
+}
+
+/**
+ * One run of the job: create the due occurrences of every series generated on schedule.
+ * A series that fails is reported and the others still run.
+ * @param {object} supabase - Supabase client
+ * @param {object} [options]
+ * @param {string} [options.today] - "YYYY-MM-DD", today by default
+ * @returns {Promise<{ today: string, series: number, created: Array<object>, existing: number, failed: Array<object> }>}
+ */
+export async function runScheduledGeneration(supabase, { today = toDateString(new Date()) } = {}) {
+  const series = await loadScheduledSeries(supabase);
+  const result = { today, series: series.length, created: [], existing: 0, failed: [] };
+  for (const latest of series) {
+    try {
+      const { created, existing } = await generateSeriesOccurrences(supabase, latest, { today });
+      result.created.push(...created.map((t) => ({ id: t.id, series_id: t.recurrence_series_id, due_date: t.due_date })));
+      result.existing += existing;
+    } catch (error) {
+      console.error(`Error generating recurrence series ${latest.recurrence_series_id}:`, error);
+      result.failed.push({ series_id: latest.recurrence_series_id, error: error.message });
+    }
+  }
+  return result;
+}
+
+/**
+ * Set when a series creates its instances (every live task of the series)
+ * @param {object} supabase - Supabase client
+ * @param {string} seriesId
+ * @param {object} settings - From parseGenerationSettings
+ */
+export async function setSeriesGeneration(supabase, seriesId, settings) {
+  const { error } = await supabase
+    .from('tasks')
+    .update(settings)
+    .eq('recurrence_series_id', seriesId)
+    .is('deleted_at', null);
+  if (error) throw error;
+}
+
+/**
+ * Start the background job: one run now (catching up after downtime), then one every
+ * interval. Runs never overlap.
+ * @param {object} options
+ * @param {Function} options.getClient - Returns a Supabase client
+ * @param {number} [options.intervalMs]
+ * @returns {Function|null} - Stops the job; null when the job is turned off
+ */
+export function startRecurrenceScheduler({ getClient, intervalMs = getScheduleIntervalMs() }) {
+  if (process.env.NODE_ENV === 'test' || process.env.RECURRENCE_SCHEDULER === 'off') return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runScheduledGeneration(getClient());
+      if (result.created.length > 0 || result.failed.length > 0) {
+        console.log(`🔁 Recurrence schedule: ${result.created.length} created, ${result.failed.length} series failed`);
+      }
+    } catch (error) {
+      console.error('Error in recurrence schedule run:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+const recurrenceScheduleService = {
+  DEFAULT_LOOKAHEAD_DAYS,
+  MAX_LOOKAHEAD_DAYS,
+  DEFAULT_MAX_CATCH_UP,
+  DEFAULT_SCHEDULE_INTERVAL_MINUTES,
+  getDefaultLookaheadDays,
+  getMaxCatchUp,
+  getScheduleIntervalMs,
+  getLookaheadDays,
+  parseGenerationSettings,
+  planScheduledOccurrences,
+  loadScheduledSeries,
+  generateSeriesOccurrences,
+  runScheduledGeneration,
+  setSeriesGeneration,
+  startRecurrenceScheduler,
+};
+
+export default recurrenceScheduleService;
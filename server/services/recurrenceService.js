@@ -6,9 +6,27 @@
  * - When a task is completed (or due date reached), create a NEW task with updated due date
  * - No separate history table, no master/instance concept
  * - Each task is independent but carries recurrence information
+ * - A series may follow an iCalendar RRULE (recurrence_rule) instead of a named pattern;
+ *   its COUNT and UNTIL are stored as recurrence_max_count and recurrence_end_date
+ * - Single occurrences can be skipped or moved to another date (recurrence_exceptions,
+ *   keyed by series and the date the series would fall on); each instance remembers that
+ *   date in recurrence_occurrence_date, so a moved instance does not shift the series
+ * - A paused series creates no new instance when one is completed; resuming re-anchors
+ *   it to the resume date, so occurrences missed while paused are not made up
+ * - An instance edited for itself only keeps the values its series continues with in
+ *   recurrence_series_values; the next instance is created from those
+ * - A series set to generate on schedule (recurrence_generation 'on_schedule') gets its
+ *   instances from a background job on their dates (see recurrenceScheduleService.js)
+ *   instead of on completion
  */
 
 import { randomUUID } from 'crypto';
+import { copyChecklist } from './checklistService.js';
+import { TASK_WORKFLOW, isTerminalStatus, normalizeStatus } from './workflowService.js';
+import { buildClonedSubtasks } from './taskTransferService.js';
+import { getNumericIdFromEmpId } from '../lib/supabase.js';
+import { TaskSchema } from '../schemas/task.js';
+import { parseRRule, formatRRule, isRRule, iterateRRule, nextRRuleOccurrence } from '../lib/rrule.js';
 
 /**
  * Calculate the next occurrence of a specific weekday from a given date
@@ -47,13 +65,22 @@ function getNextWeekday(fromDate, targetWeekday, weeksToAdd = 0) {
 /**
  * Calculate the next occurrence date based on recurrence pattern
  * @param {Date} currentDate - The current/last occurrence date
- * @param {string} pattern - The recurrence pattern (daily, weekly, monthly, etc.)
+ * @param {string} pattern - The recurrence pattern (daily, weekly, monthly, etc.) or an
+ *   RRULE such as "FREQ=WEEKLY;BYDAY=MO,TH" (interval and weekday are then ignored)
  * @param {number} interval - The interval multiplier (e.g., every 2 weeks)
  * @param {number} weekday - Target weekday for weekly patterns (0-6, Sunday-Saturday)
- * @returns {Date} - The next occurrence date
+ * @returns {Date|null} - The next occurrence date (null once an RRULE's UNTIL has passed)
  */
 export function calculateNextOccurrence(currentDate, pattern, interval = 1, weekday = null) {
   const date = new Date(currentDate);
+
+  if (isRRule(pattern)) {
+    const { rule, error } = parseRRule(pattern);
+    if (error) throw new Error(`Invalid recurrence rule: ${error}`);
+    // The rule is followed from the current occurrence on; COUNT is tracked by recurrence_count
+    const next = nextRRuleOccurrence({ ...rule, count: null }, date);
+    return next ? new Date(next) : null;
+  }
   
   switch (pattern) {
     case 'daily':
@@ -100,6 +127,30 @@ export function calculateNextOccurrence(currentDate, pattern, interval = 1, week
   return date;
 }
 
+/**
+ * Validate an RRULE and derive the task's recurrence columns from it
+ * @param {string} value - RRULE text ("RRULE:" prefix optional)
+ * @returns {{ fields: object|null, error: string|null }} - fields holds recurrence_rule
+ *   (canonical text), recurrence_pattern, recurrence_interval, recurrence_count (COUNT)
+ *   and recurrence_end_date (UNTIL)
+ */
+export function parseRecurrenceRule(value) {
+  const result = TaskSchema.shape.recurrence_rule.safeParse(value);
+  if (!result.success) return { fields: null, error: `Invalid recurrence rule: ${result.error.issues[0].message}` };
+  const { rule } = parseRRule(result.data);
+  if (!rule) return { fields: null, error: 'Invalid recurrence rule: Recurrence rule is empty' };
+  return {
+    fields: {
+      recurrence_rule: formatRRule(rule),
+      recurrence_pattern: rule.freq.toLowerCase(),
+      recurrence_interval: rule.interval,
+      recurrence_count: rule.count,
+      recurrence_end_date: rule.until
+    },
+    error: null
+  };
+}
+
 /**
  * Check if recurrence should continue based on end conditions
  * @param {Date} nextDate - The next occurrence date
@@ -125,82 +176,568 @@ export function shouldContinueRecurrence(nextDate, endDate, maxCount, currentCou
   return true;
 }
 
+// ---------- Series exceptions ----------
+
+export const EXCEPTION_ACTIONS = ['skip', 'reschedule'];
+// Upper bound on occurrences stepped over while looking for the next one
+const MAX_OCCURRENCE_STEPS = 1000;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * The date in the series an instance stands for (its due date unless it was rescheduled)
+ * @param {object} task - Task row
+ * @returns {string|null} - "YYYY-MM-DD"
+ */
+export function getOccurrenceDate(task) {
+  const date = task.recurrence_occurrence_date || task.due_date;
+  return date ? toDateString(date) : null;
+}
+
+// When a series creates its next instance: on completion of the open one, or on its date
+export const GENERATION_MODES = ['on_completion', 'on_schedule'];
+
+/**
+ * Whether a series' instances are created on their dates rather than on completion
+ * @param {object} task - Task row
+ * @returns {boolean}
+ */
+export function isScheduledSeries(task) {
+  return task?.recurrence_generation === 'on_schedule';
+}
+
+// Fields an instance can edit for itself only while its series keeps its own value
+export const SERIES_VALUE_FIELDS = ['title', 'description', 'priority', 'collaborators', 'subtasks'];
+
+/**
+ * The values a series continues with after this instance: the instance's own, except
+ * where it was edited for itself only. `subtasks` is only set when the series keeps a
+ * list other than the instance's subtasks ([{ title, description, priority }]).
+ * @param {object} task - Task row
+ * @returns {object} - { title, description, priority, collaborators, subtasks? }
+ */
+export function getSeriesValues(task) {
+  const stored = task.recurrence_series_values || {};
+  const values = {
+    title: task.title,
+    description: task.description ?? null,
+    priority: task.priority ?? null,
+    collaborators: task.collaborators ?? [],
+  };
+  SERIES_VALUE_FIELDS.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(stored, field)) values[field] = stored[field];
+  });
+  return values;
+}
+
+// The series' next date after an occurrence (null when the rule has ended)
+function stepOccurrence(task, fromDate) {
+  const hasWeekday = (task.recurrence_pattern === 'weekly' || task.recurrence_pattern === 'biweekly')
+    && task.recurrence_weekday !== null && task.recurrence_weekday !== undefined;
+  const next = calculateNextOccurrence(
+    new Date(fromDate),
+    task.recurrence_rule || task.recurrence_pattern,
+    task.recurrence_interval || 1,
+    hasWeekday ? task.recurrence_weekday : null
+  );
+  return next ? toDateString(next) : null;
+}
+
+/**
+ * The first date on or after `fromDate` the series would fall on if it started there.
+ * Used to re-anchor a series when it is resumed.
+ * @param {object} task - Task row with the recurrence settings
+ * @param {string} fromDate - "YYYY-MM-DD"
+ * @returns {string|null}
+ */
+export function anchorOccurrence(task, fromDate) {
+  if (task.recurrence_rule) {
+    const { rule } = parseRRule(task.recurrence_rule);
+    if (!rule) return null;
+    return iterateRRule({ ...rule, count: null }, fromDate).next().value ?? null;
+  }
+  if ((task.recurrence_pattern === 'weekly' || task.recurrence_pattern === 'biweekly')
+      && task.recurrence_weekday !== null && task.recurrence_weekday !== undefined) {
+    const date = new Date(fromDate);
+    return date.getUTCDay() === Number(task.recurrence_weekday)
+      ? fromDate
+      : toDateString(getNextWeekday(date, Number(task.recurrence_weekday), 0));
+  }
+  return fromDate;
+}
+
+/**
+ * Work out the occurrences that follow an instance of a series. Skipped dates are passed
+ * over (they still count towards the series' maximum, like EXDATE in iCalendar),
+ * rescheduled ones get their new due date while the series keeps its own dates.
+ * @param {object} task - The instance to continue from
+ * @param {Array<object>} [exceptions] - Rows of recurrence_exceptions for the series
+ * @param {object} [options]
+ * @param {number} [options.count=1] - How many occurrences to return
+ * @param {boolean} [options.includeSkipped=false] - Also return skipped occurrences
+ * @param {string|null} [options.anchor] - Continue from this occurrence date instead
+ * @param {string|null} [options.until] - Stop after this date ("YYYY-MM-DD")
+ * @returns {Array<{occurrence_date: string, due_date: string|null, recurrence_count: number, exception: string|null}>}
+ */
+export function listNextOccurrences(task, exceptions = [], { count = 1, includeSkipped = false, anchor = null, until = null } = {}) {
+  const byDate = new Map(exceptions.map((e) => [toDateString(e.occurrence_date), e]));
+  const maxCount = task.recurrence_max_count ?? null;
+  const endDate = task.recurrence_end_date ? toDateString(task.recurrence_end_date) : null;
+  const occurrences = [];
+  let number = task.recurrence_count || 1;
+  let current = anchor || getOccurrenceDate(task);
+
+  for (let step = 0; current && occurrences.length < count && step < MAX_OCCURRENCE_STEPS; step++) {
+    const next = stepOccurrence(task, current);
+    if (!next || !shouldContinueRecurrence(new Date(next), endDate, maxCount, number)) break;
+    if (until && next > until) break;
+    number += 1;
+    current = next;
+
+    const exception = byDate.get(next);
+    if (exception?.action === 'skip' && !includeSkipped) continue;
+    occurrences.push({
+      occurrence_date: next,
+      due_date: exception?.action === 'skip' ? null : exception?.action === 'reschedule' ? toDateString(exception.new_date) : next,
+      recurrence_count: number,
+      exception: exception?.action || null
+    });
+  }
+  return occurrences;
+}
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+// How far ahead an occurrence can be skipped or moved
+const MAX_EXCEPTION_LOOKAHEAD = 500;
+
+/**
+ * Parse a "YYYY-MM-DD" date
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function parseOccurrenceDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_RE.test(value)) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) || toDateString(date) !== value ? null : value;
+}
+
+/**
+ * The instance a series continues from: the one with the highest occurrence number
+ * @param {Array<object>} instances - Tasks of the series
+ * @returns {object|null}
+ */
+export function getLatestInstance(instances = []) {
+  return instances.reduce((latest, task) => {
+    if (!latest) return task;
+    const a = latest.recurrence_count || 1;
+    const b = task.recurrence_count || 1;
+    return b > a || (b === a && task.id > latest.id) ? task : latest;
+  }, null);
+}
+
+/**
+ * Check that a date can be skipped or moved: it must be an occurrence of the series that
+ * has no task yet. Moves need a new date from today on.
+ * @param {object} latest - The series' latest instance
+ * @param {Array<object>} exceptions - The series' exceptions
+ * @param {object} change
+ * @param {string} change.action - 'skip' or 'reschedule'
+ * @param {*} change.date - The occurrence date
+ * @param {*} [change.newDate] - Where a rescheduled occurrence moves to
+ * @param {string} [change.today] - "YYYY-MM-DD"
+ * @returns {{ error: string|null, occurrence: object|null }}
+ */
+export function validateException(latest, exceptions, { action, date, newDate, today = toDateString(new Date()) }) {
+  if (!EXCEPTION_ACTIONS.includes(action)) return { error: `action must be one of: ${EXCEPTION_ACTIONS.join(', ')}`, occurrence: null };
+  const occurrenceDate = parseOccurrenceDate(date);
+  if (!occurrenceDate) return { error: 'date must be a date (YYYY-MM-DD)', occurrence: null };
+  if (occurrenceDate <= getOccurrenceDate(latest)) {
+    return { error: 'Only occurrences after the current task can be skipped or moved; change that task instead', occurrence: null };
+  }
+
+  const others = exceptions.filter((e) => toDateString(e.occurrence_date) !== occurrenceDate);
+  const occurrence = listNextOccurrences(latest, others, { count: MAX_EXCEPTION_LOOKAHEAD, includeSkipped: true })
+    .find((o) => o.occurrence_date === occurrenceDate);
+  if (!occurrence) return { error: 'date is not an upcoming occurrence of this series', occurrence: null };
+
+  if (action === 'reschedule') {
+    const movedTo = parseOccurrenceDate(newDate);
+    if (!movedTo) return { error: 'new_date must be a date (YYYY-MM-DD)', occurrence: null };
+    if (movedTo === occurrenceDate) return { error: 'new_date must differ from the occurrence date', occurrence: null };
+    if (movedTo < today) return { error: 'new_date cannot be in the past', occurrence: null };
+  }
+  return { error: null, occurrence };
+}
+
+/**
+ * The occurrence a resumed series continues with: the first date on or after the resume
+ * date (passing over skipped dates and stopping at the series' end)
+ * @param {object} latest - The series' latest instance
+ * @param {Array<object>} exceptions
+ * @param {string} resumeOn - "YYYY-MM-DD"
+ * @returns {object|null} - Like an entry of listNextOccurrences; null when the series has ended
+ */
+export function planResumedOccurrence(latest, exceptions, resumeOn) {
+  const anchored = anchorOccurrence(latest, resumeOn);
+  if (!anchored) return null;
+  // An open instance is moved rather than followed by a new one
+  const number = (latest.recurrence_count || 1) + (isTerminalStatus(latest.status) ? 1 : 0);
+  const endDate = latest.recurrence_end_date ? toDateString(latest.recurrence_end_date) : null;
+  if (endDate && anchored > endDate) return null;
+  if (latest.recurrence_max_count != null && number > latest.recurrence_max_count) return null;
+
+  const exception = exceptions.find((e) => toDateString(e.occurrence_date) === anchored);
+  if (exception?.action === 'skip') {
+    const [next] = listNextOccurrences({ ...latest, recurrence_count: number }, exceptions, { anchor: anchored });
+    return next || null;
+  }
+  return {
+    occurrence_date: anchored,
+    due_date: exception?.action === 'reschedule' ? toDateString(exception.new_date) : anchored,
+    recurrence_count: number,
+    exception: exception?.action || null
+  };
+}
+
+// ---------- Previews ----------
+
+export const RECURRENCE_PATTERNS = ['daily', 'weekly', 'biweekly', 'monthly', 'quarterly', 'yearly'];
+export const DEFAULT_PREVIEW_COUNT = 10;
+export const MAX_PREVIEW_COUNT = 50;
+const MONTH_PATTERNS = ['monthly', 'quarterly', 'yearly'];
+
+/**
+ * Parse the number of occurrences a preview asks for
+ * @param {*} value
+ * @returns {number|null} - null when it is not a whole number from 1 to MAX_PREVIEW_COUNT
+ */
+export function parsePreviewCount(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_PREVIEW_COUNT;
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 1 && count <= MAX_PREVIEW_COUNT ? count : null;
+}
+
+/**
+ * Explain dates that may surprise: a month-based pattern started on the 29th-31st rolls
+ * over in shorter months (31 Jan + 1 month is 3 Mar) and stays on the new day, while a
+ * rule skips months that lack the day
+ * @param {object} task - Task row with the recurrence settings
+ * @param {string} fromDate - The occurrence the dates follow
+ * @param {Array<object>} occurrences - Entries of listNextOccurrences
+ * @returns {Array<string>}
+ */
+function describeRecurrenceNotes(task, fromDate, occurrences) {
+  const notes = [];
+  const dayOf = (date) => Number(date.slice(8, 10));
+
+  if (task.recurrence_rule) {
+    const { rule } = parseRRule(task.recurrence_rule);
+    if (rule?.freq !== 'MONTHLY') return notes;
+    // Without BYMONTHDAY or BYDAY a monthly rule keeps the day of the date it starts from
+    const days = rule.byMonthDay.length ? rule.byMonthDay : rule.byDay.length ? [] : [dayOf(fromDate)];
+    const missing = days.filter((d) => d > 28);
+    if (missing.length) notes.push(`Months without day ${missing.join(', ')} are skipped; use "last day" of the month to stay at month end.`);
+    return notes;
+  }
+
+  if (!MONTH_PATTERNS.includes(task.recurrence_pattern)) return notes;
+  let previous = fromDate;
+  for (const { occurrence_date: date } of occurrences) {
+    if (dayOf(previous) > 28 && dayOf(date) !== dayOf(previous)) {
+      notes.push(`Day ${dayOf(previous)} does not exist in every month: the occurrence after ${previous} falls on ${date} and the series stays on day ${dayOf(date)} from then on. Use a custom rule on the last day of the month to stay at month end.`);
+      break;
+    }
+    previous = date;
+  }
+  return notes;
+}
+
+/**
+ * The next occurrences of a saved series, with notes on surprising dates
+ * @param {object} latest - The series' latest instance
+ * @param {Array<object>} exceptions - The series' exceptions
+ * @param {object} [options]
+ * @param {number} [options.count]
+ * @returns {{ occurrences: Array<object>, notes: Array<string> }}
+ */
+export function previewSeries(latest, exceptions, { count = DEFAULT_PREVIEW_COUNT } = {}) {
+  const occurrences = listNextOccurrences(latest, exceptions, { count, includeSkipped: true });
+  return { occurrences, notes: describeRecurrenceNotes(latest, getOccurrenceDate(latest), occurrences) };
+}
+
+/**
+ * Preview an unsaved recurrence: the first occurrences a task created with these
+ * settings would have (the first is the due date itself)
+ * @param {object} settings - The recurrence fields of POST /tasks: due_date (today when
+ *   left out), recurrence_rule or recurrence_pattern, recurrence_interval,
+ *   recurrence_weekday, recurrence_end_date and recurrence_count (the maximum)
+ * @param {object} [options]
+ * @param {number} [options.count]
+ * @param {string} [options.today] - "YYYY-MM-DD"
+ * @returns {{ occurrences: Array<object>, notes: Array<string>, error: string|null }}
+ */
+export function previewRecurrence(settings, { count = DEFAULT_PREVIEW_COUNT, today = toDateString(new Date()) } = {}) {
+  const fail = (error) => ({ occurrences: [], notes: [], error });
+  const start = settings.due_date ? parseOccurrenceDate(settings.due_date) : today;
+  if (!start) return fail('due_date must be a date (YYYY-MM-DD)');
+
+  let fields;
+  if (settings.recurrence_rule) {
+    const { fields: ruleFields, error } = parseRecurrenceRule(settings.recurrence_rule);
+    if (error) return fail(error);
+    fields = { ...ruleFields, recurrence_weekday: null };
+  } else {
+    const pattern = settings.recurrence_pattern;
+    if (!pattern) return fail('Recurrence pattern is required for recurring tasks');
+    if (!RECURRENCE_PATTERNS.includes(pattern)) return fail(`Invalid recurrence pattern. Must be one of: ${RECURRENCE_PATTERNS.join(', ')}`);
+
+    const interval = settings.recurrence_interval ? Number(settings.recurrence_interval) : 1;
+    if (!Number.isInteger(interval) || interval < 1) return fail('recurrence_interval must be a positive whole number');
+    const hasWeekday = settings.recurrence_weekday !== undefined && settings.recurrence_weekday !== null && settings.recurrence_weekday !== '';
+    const weekday = hasWeekday ? Number(settings.recurrence_weekday) : null;
+    if (hasWeekday && !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) return fail('recurrence_weekday must be 0 (Sunday) to 6 (Saturday)');
+    const endDate = settings.recurrence_end_date ? parseOccurrenceDate(settings.recurrence_end_date) : null;
+    if (settings.recurrence_end_date && !endDate) return fail('recurrence_end_date must be a date (YYYY-MM-DD)');
+    const maxCount = settings.recurrence_count ? Number(settings.recurrence_count) : null;
+    if (maxCount !== null && !(Number.isInteger(maxCount) && maxCount >= 1)) return fail('recurrence_count must be a positive whole number');
+
+    fields = {
+      recurrence_pattern: pattern,
+      recurrence_interval: interval,
+      recurrence_weekday: pattern === 'weekly' || pattern === 'biweekly' ? weekday : null,
+      recurrence_end_date: endDate,
+      recurrence_count: maxCount
+    };
+  }
+
+  const task = {
+    ...fields,
+    due_date: start,
+    recurrence_occurrence_date: start,
+    recurrence_count: 1,
+    recurrence_max_count: fields.recurrence_count ?? null
+  };
+  if (task.recurrence_end_date && start > task.recurrence_end_date) return fail('The series ends before its first due date');
+
+  const first = { occurrence_date: start, due_date: start, recurrence_count: 1, exception: null };
+  const occurrences = [first, ...listNextOccurrences(task, [], { count: count - 1 })];
+  const notes = describeRecurrenceNotes(task, start, occurrences.slice(1));
+  const firstOnSchedule = anchorOccurrence(task, start);
+  if (firstOnSchedule && firstOnSchedule !== start) {
+    notes.unshift(`The first task is due on ${start}, which is off the schedule; the ones after it follow the schedule.`);
+  }
+  return { occurrences, notes, error: null };
+}
+
+/**
+ * Future occurrences of open series that fall in a date range, for calendars. Paused
+ * series and skipped dates are left out; a series generated on schedule continues even
+ * when its latest instance is done.
+ * @param {Array<object>} latestInstances - The latest instance of each series
+ * @param {Array<object>} exceptions - Exceptions of those series
+ * @param {object} range - { from, to } as "YYYY-MM-DD"
+ * @returns {Array<object>} - Entries of listNextOccurrences with task_id, series_id and title
+ */
+export function projectOccurrences(latestInstances, exceptions, { from, to }) {
+  const bySeries = new Map();
+  exceptions.forEach((e) => bySeries.set(e.series_id, [...(bySeries.get(e.series_id) || []), e]));
+
+  return latestInstances
+    .filter((task) => !task.recurrence_paused_at && (isScheduledSeries(task) || !isTerminalStatus(task.status)))
+    .flatMap((task) => listNextOccurrences(task, bySeries.get(task.recurrence_series_id) || [], { count: MAX_PREVIEW_COUNT, until: to })
+      .filter((o) => o.due_date && o.due_date >= from && o.due_date <= to)
+      .map((o) => ({ ...o, task_id: task.id, series_id: task.recurrence_series_id, title: task.title })));
+}
+
+/**
+ * The latest instance and the exceptions of several series, for projectOccurrences
+ * @param {object} supabase - Supabase client
+ * @param {Array<string>} seriesIds
+ * @returns {Promise<{ latest: Array<object>, exceptions: Array<object> }>}
+ */
+export async function loadSeriesForProjection(supabase, seriesIds) {
+  if (seriesIds.length === 0) return { latest: [], exceptions: [] };
+  const [{ data: instances, error }, { data: exceptions, error: exceptionsError }] = await Promise.all([
+    supabase.from('tasks').select('*').in('recurrence_series_id', seriesIds).is('deleted_at', null),
+    supabase.from('recurrence_exceptions').select('*').in('series_id', seriesIds)
+  ]);
+  if (error) throw error;
+  if (exceptionsError) throw exceptionsError;
+
+  const bySeries = new Map();
+  (instances || []).forEach((t) => bySeries.set(t.recurrence_series_id, [...(bySeries.get(t.recurrence_series_id) || []), t]));
+  return { latest: [...bySeries.values()].map(getLatestInstance), exceptions: exceptions || [] };
+}
+
+/**
+ * All tasks of a series (the trash left out), first occurrence first
+ * @param {object} supabase - Supabase client
+ * @param {string} seriesId
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadSeriesInstances(supabase, seriesId) {
+  const { data, error } = await supabase
+    .from('tasks')
+    .select('*')
+    .eq('recurrence_series_id', seriesId)
+    .is('deleted_at', null)
+    .order('recurrence_count', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Skipped and moved occurrences of a series, by date
+ * @param {object} supabase - Supabase client
+ * @param {string|null} seriesId
+ * @returns {Promise<Array<object>>}
+ */
+export async function listSeriesExceptions(supabase, seriesId) {
+  if (!seriesId) return [];
+  const { data, error } = await supabase
+    .from('recurrence_exceptions')
+    .select('*')
+    .eq('series_id', seriesId);
+  if (error) throw error;
+  return (data || []).sort((a, b) => String(a.occurrence_date).localeCompare(String(b.occurrence_date)));
+}
+
+/**
+ * Skip or move one occurrence (replacing an earlier exception for the same date)
+ * @param {object} supabase - Supabase client
+ * @param {object} exception - { seriesId, date, action, newDate, empId }
+ * @returns {Promise<object>} - The saved row
+ */
+export async function saveException(supabase, { seriesId, date, action, newDate = null, empId }) {
+  const { data, error } = await supabase
+    .from('recurrence_exceptions')
+    .upsert({
+      series_id: seriesId,
+      occurrence_date: date,
+      action,
+      new_date: action === 'reschedule' ? newDate : null,
+      created_by: empId,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'series_id,occurrence_date' })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Put a skipped or moved occurrence back on its normal date
+ * @param {object} supabase - Supabase client
+ * @param {string} seriesId
+ * @param {string} date - The occurrence date
+ * @returns {Promise<boolean>} - Whether there was an exception to remove
+ */
+export async function deleteException(supabase, seriesId, date) {
+  const { data, error } = await supabase
+    .from('recurrence_exceptions')
+    .delete()
+    .eq('series_id', seriesId)
+    .eq('occurrence_date', date)
+    .select('id');
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Pause or unpause every task of a series
+ * @param {object} supabase - Supabase client
+ * @param {string} seriesId
+ * @param {object} options - { paused, empId, at }
+ */
+export async function setSeriesPaused(supabase, seriesId, { paused, empId = null, at = new Date().toISOString() }) {
+  const { error } = await supabase
+    .from('tasks')
+    .update({ recurrence_paused_at: paused ? at : null, recurrence_paused_by: paused ? empId : null })
+    .eq('recurrence_series_id', seriesId);
+  if (error) throw error;
+}
+
+/**
+ * Resume a paused series from a date: an open instance due earlier is moved to the first
+ * occurrence on or after it; when every instance is done the next one is created there
+ * @param {object} supabase - Supabase client
+ * @param {object} latest - The series' latest instance
+ * @param {object} options
+ * @param {string} options.resumeOn - "YYYY-MM-DD"
+ * @returns {Promise<{ task: object|null, created: boolean, moved: boolean }>} - task is the
+ *   series' open instance afterwards (null when the series has ended)
+ */
+export async function resumeSeries(supabase, latest, { resumeOn }) {
+  await setSeriesPaused(supabase, latest.recurrence_series_id, { paused: false });
+  const resumed = { ...latest, recurrence_paused_at: null, recurrence_paused_by: null };
+  const open = !isTerminalStatus(latest.status);
+  if (open && getOccurrenceDate(latest) >= resumeOn) return { task: resumed, created: false, moved: false };
+
+  const exceptions = await listSeriesExceptions(supabase, latest.recurrence_series_id);
+  const planned = planResumedOccurrence(latest, exceptions, resumeOn);
+  if (!planned) return { task: open ? resumed : null, created: false, moved: false };
+
+  if (open) {
+    const changes = { due_date: planned.due_date, recurrence_occurrence_date: planned.occurrence_date };
+    const { data, error } = await supabase.from('tasks').update(changes).eq('id', latest.id).select().single();
+    if (error) throw error;
+    return { task: data, created: false, moved: true };
+  }
+  const task = await createNextRecurringTask(supabase, resumed, { next: planned });
+  return { task, created: Boolean(task), moved: false };
+}
+
 /**
- * Create a new recurring task by copying the completed one
+ * Create a new recurring task by copying the completed one (or, for a series generated
+ * on schedule, the latest one)
  * @param {object} supabase - Supabase client
  * @param {object} completedTask - The task that was just completed
+ * @param {object} [options]
+ * @param {Array<object>} [options.exceptions] - The series' skipped and rescheduled dates
+ * @param {object} [options.next] - The occurrence to create (from listNextOccurrences);
+ *   worked out from the completed task when left out
  * @returns {object} - The newly created task
  */
-async function createNextRecurringTask(supabase, completedTask) {
+export async function createNextRecurringTask(supabase, completedTask, { exceptions = [], next = null } = {}) {
   try {
-    // Calculate the next due date
-    const currentDueDate = new Date(completedTask.due_date);
-    
-    // Use stored weekday preference if available
-    let weekday = null;
-    if ((completedTask.recurrence_pattern === 'weekly' || completedTask.recurrence_pattern === 'biweekly') 
-        && completedTask.recurrence_weekday !== null && completedTask.recurrence_weekday !== undefined) {
-      weekday = completedTask.recurrence_weekday;
-      console.log(`📅 Using stored weekday preference: ${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][weekday]}`);
-    }
-    
-    const nextDate = calculateNextOccurrence(
-      currentDueDate,
-      completedTask.recurrence_pattern,
-      completedTask.recurrence_interval || 1,
-      weekday
-    );
-    
-    console.log(`📅 Next occurrence calculated: ${nextDate.toISOString().split('T')[0]}`);
-    
-    // Calculate next occurrence number (increment)
-    const currentOccurrenceNum = completedTask.recurrence_count || 1;
-    const maxOccurrences = completedTask.recurrence_max_count;
-    const nextOccurrenceNum = currentOccurrenceNum + 1;
-    
-    if (maxOccurrences !== null && maxOccurrences !== undefined) {
-      console.log(`📊 Current occurrence: ${currentOccurrenceNum} of ${maxOccurrences}`);
-      
-      // If we've reached the max count, stop creating more tasks
-      if (currentOccurrenceNum >= maxOccurrences) {
-        console.log(`🏁 Recurrence completed for task: ${completedTask.title} (count limit reached: ${currentOccurrenceNum}/${maxOccurrences})`);
-        return null;
-      }
-      console.log(`📊 Next occurrence will be: ${nextOccurrenceNum} of ${maxOccurrences}`);
-    }
-    
-    // Check if we should continue recurring based on end date
-    const shouldContinue = shouldContinueRecurrence(
-      nextDate,
-      completedTask.recurrence_end_date,
-      null, // Don't check count here, we already checked above
-      1
-    );
-    
-    if (!shouldContinue) {
-      console.log(`🏁 Recurrence completed for task: ${completedTask.title} (end date reached)`);
+    const [planned] = next ? [next] : listNextOccurrences(completedTask, exceptions);
+    if (!planned) {
+      console.log(`🏁 Recurrence completed for task: ${completedTask.title} (no more occurrences)`);
       return null;
     }
+
+    console.log(`📅 Next occurrence: ${planned.occurrence_date}${planned.exception === 'reschedule' ? ` (moved to ${planned.due_date})` : ''}`);
+    const maxOccurrences = completedTask.recurrence_max_count;
+    const nextOccurrenceNum = planned.recurrence_count;
+    // Edits made to the completed task alone do not carry over
+    const seriesValues = getSeriesValues(completedTask);
     
     // Create a NEW task with the same details but updated due date
     const newTaskData = {
-      title: completedTask.title,
-      description: completedTask.description,
-      due_date: nextDate.toISOString().split('T')[0],
-      status: 'ongoing',
-      priority: completedTask.priority,
+      title: seriesValues.title,
+      description: seriesValues.description,
+      due_date: planned.due_date,
+      status: normalizeStatus(TASK_WORKFLOW.initial),
+      priority: seriesValues.priority,
       owner_id: completedTask.owner_id,
       project_id: completedTask.project_id,
-      collaborators: completedTask.collaborators,
+      collaborators: seriesValues.collaborators,
       file: completedTask.file,
+      estimated_hours: completedTask.estimated_hours ?? null,
+      require_checklist_complete: completedTask.require_checklist_complete ?? false,
+      custom_fields: completedTask.custom_fields || {},
       // Copy recurrence settings
       is_recurring: true,
       recurrence_pattern: completedTask.recurrence_pattern,
+      recurrence_rule: completedTask.recurrence_rule ?? null,
       recurrence_interval: completedTask.recurrence_interval,
       recurrence_end_date: completedTask.recurrence_end_date,
       recurrence_count: nextOccurrenceNum, // Incremented count for next task
       recurrence_max_count: maxOccurrences, // Keep the max count
       recurrence_weekday: completedTask.recurrence_weekday,
+      recurrence_occurrence_date: planned.occurrence_date,
+      recurrence_generation: completedTask.recurrence_generation ?? 'on_completion',
+      recurrence_lookahead_days: completedTask.recurrence_lookahead_days ?? null,
       recurrence_series_id: completedTask.recurrence_series_id // Keep same series ID
     };
     
@@ -218,7 +755,18 @@ async function createNextRecurringTask(supabase, completedTask) {
     console.log(`✅ Created next recurring task: ${newTask.title} (due: ${newTask.due_date})`);
     
     // Copy subtasks if any
-    await copySubtasksToNewTask(supabase, completedTask.id, newTask.id);
+    if (seriesValues.subtasks) {
+      await insertSeriesSubtasks(supabase, seriesValues.subtasks, newTask);
+    } else {
+      await copySubtasksToNewTask(supabase, completedTask.id, newTask);
+    }
+
+    // Start the next occurrence with a fresh (unchecked) checklist
+    try {
+      await copyChecklist(supabase, completedTask.id, newTask.id);
+    } catch (checklistError) {
+      console.error('Error copying checklist:', checklistError);
+    }
     
     return newTask;
   } catch (error) {
@@ -231,25 +779,23 @@ async function createNextRecurringTask(supabase, completedTask) {
  * Copy subtasks from one task to another
  * @param {object} supabase - Supabase client
  * @param {number} fromTaskId - Source task ID
- * @param {number} toTaskId - Destination task ID
+ * @param {object} toTask - Destination task row
  */
-async function copySubtasksToNewTask(supabase, fromTaskId, toTaskId) {
+async function copySubtasksToNewTask(supabase, fromTaskId, toTask) {
   try {
     const { data: subtasks, error: fetchError } = await supabase
       .from('sub_task')
       .select('*')
-      .eq('main_task_id', fromTaskId);
+      .eq('parent_task_id', fromTaskId)
+      .is('deleted_at', null);
     
     if (fetchError || !subtasks || subtasks.length === 0) {
       return;
     }
     
-    const newSubtasks = subtasks.map(subtask => ({
-      main_task_id: toTaskId,
-      title: subtask.title,
-      description: subtask.description,
-      status: 'not started',
-      priority: subtask.priority
+    const newSubtasks = buildClonedSubtasks(subtasks, toTask.id).map((row) => ({
+      ...row,
+      owner_id: getNumericIdFromEmpId(toTask.owner_id), // Convert emp_id to numeric ID for sub_task table
     }));
     
     const { error: insertError } = await supabase
@@ -266,6 +812,30 @@ async function copySubtasksToNewTask(supabase, fromTaskId, toTaskId) {
   }
 }
 
+/**
+ * Create the subtasks a series keeps ([{ title, description, priority }]) on a new instance
+ * @param {object} supabase - Supabase client
+ * @param {Array<object>} subtasks - Subtask values, in order
+ * @param {object} toTask - Destination task row
+ */
+export async function insertSeriesSubtasks(supabase, subtasks, toTask) {
+  if (!subtasks || subtasks.length === 0) return [];
+  const rows = buildClonedSubtasks(subtasks, toTask.id).map((row, index) => ({
+    ...row,
+    position: index,
+    owner_id: getNumericIdFromEmpId(toTask.owner_id), // Convert emp_id to numeric ID for sub_task table
+  }));
+  const { data, error } = await supabase
+    .from('sub_task')
+    .insert(rows)
+    .select();
+  if (error) {
+    console.error('Error creating series subtasks:', error);
+    return [];
+  }
+  return data || [];
+}
+
 /**
  * Handle task completion - create next recurring task if needed
  * @param {object} supabase - Supabase client
@@ -298,10 +868,35 @@ export async function handleTaskCompletion(supabase, taskId) {
       };
     }
 
+    // A series whose instance sits in the trash stops generating
+    if (task.deleted_at) {
+      return {
+        success: true,
+        message: 'Task is in the trash'
+      };
+    }
+
+    // A paused series picks up again when it is resumed
+    if (task.recurrence_paused_at) {
+      return {
+        success: true,
+        message: 'Recurrence series is paused'
+      };
+    }
+
+    // The schedule job creates the next instance on its date
+    if (isScheduledSeries(task)) {
+      return {
+        success: true,
+        message: 'Recurrence series is generated on schedule'
+      };
+    }
+
     console.log(`🔄 Recurring task completed: ${task.title} (due: ${task.due_date})`);
     
-    // Create the next recurring task
-    const nextTask = await createNextRecurringTask(supabase, task);
+    // Create the next recurring task, passing over skipped dates
+    const exceptions = await listSeriesExceptions(supabase, task.recurrence_series_id);
+    const nextTask = await createNextRecurringTask(supabase, task, { exceptions });
     
     if (!nextTask) {
       console.log('🏁 Recurrence series completed - no more tasks will be created');
@@ -343,12 +938,13 @@ export async function createRecurringTask(supabase, taskData, weekdayPreference
     // For the first task, set recurrence_count to 1 (first occurrence)
     const recurringTaskData = {
       ...taskData,
-      status: 'ongoing',
+      status: normalizeStatus(TASK_WORKFLOW.initial),
       recurrence_series_id: seriesId,
       is_recurring: true,
       recurrence_weekday: weekdayPreference, // Store for future occurrences
       recurrence_count: 1, // This is the 1st occurrence
-      recurrence_max_count: maxCount // Store the max count
+      recurrence_max_count: maxCount, // Store the max count
+      recurrence_occurrence_date: taskData.due_date || null
     };
 
     const { data: task, error: taskError } = await supabase
@@ -413,8 +1009,34 @@ export async function getRecurrenceInstances(supabase, seriesId) {
  */
 const recurrenceService = {
   calculateNextOccurrence,
+  parseRecurrenceRule,
   shouldContinueRecurrence,
+  EXCEPTION_ACTIONS,
+  getOccurrenceDate,
+  GENERATION_MODES,
+  isScheduledSeries,
+  SERIES_VALUE_FIELDS,
+  getSeriesValues,
+  insertSeriesSubtasks,
+  anchorOccurrence,
+  listNextOccurrences,
+  parseOccurrenceDate,
+  getLatestInstance,
+  validateException,
+  planResumedOccurrence,
+  loadSeriesInstances,
+  listSeriesExceptions,
+  saveException,
+  deleteException,
+  setSeriesPaused,
+  resumeSeries,
+  parsePreviewCount,
+  previewSeries,
+  previewRecurrence,
+  projectOccurrences,
+  loadSeriesForProjection,
   handleTaskCompletion,
+  createNextRecurringTask,
   createRecurringTask,
   getRecurrenceInstances
 };
@@ -0,0 +1,132 @@
+/**
+ * Review Service
+ *
+ * Logic:
+ * - Staff submit a task for review naming a reviewer; the task moves to "Under Review"
+ *   and tasks.reviewer_id records who has to sign it off
+ * - Without an explicit reviewer the submitter's team manager is used
+ *   (first of department_teams.manager_ids on a team the submitter is a member of)
+ * - The reviewer approves (task completed) or requests changes with a comment
+ *   (task back to ongoing); who may do either is decided by the task workflow
+ * - Every submission and decision is a task_edit_history row; `round` counts the
+ *   submissions so repeated reviews of one task stay distinguishable
+ */
+
+export const REVIEW_ACTIONS = {
+  submit: 'review_submit',
+  approve: 'review_approve',
+  requestChanges: 'review_request_changes',
+};
+
+export const MAX_REVIEW_COMMENT_LENGTH = 2000;
+
+/**
+ * Pick the default reviewer for a submitter from their teams
+ * @param {Array<{member_ids: string[], manager_ids: string[]}>} teams - department_teams rows
+ * @param {string} submitterEmpId - Employee submitting the task
+ * @returns {string|null} - Manager emp_id, or null if none of their teams has one
+ */
+export function pickDefaultReviewer(teams = [], submitterEmpId) {
+  const submitter = String(submitterEmpId);
+  for (const team of teams || []) {
+    const members = Array.isArray(team?.member_ids) ? team.member_ids.map(String) : [];
+    if (!members.includes(submitter)) continue;
+    const managers = Array.isArray(team.manager_ids) ? team.manager_ids : [];
+    const manager = managers.find((m) => m && String(m) !== submitter);
+    if (manager) return String(manager);
+  }
+  return null;
+}
+
+/**
+ * Look up the default reviewer (team manager) for a submitter
+ * @param {object} supabase - Supabase client
+ * @param {string} submitterEmpId - Employee submitting the task
+ * @returns {Promise<string|null>}
+ */
+export async function findDefaultReviewer(supabase, submitterEmpId) {
+  const { data: teams, error } = await supabase
+    .from('department_teams')
+    .select('member_ids, manager_ids')
+    .contains('member_ids', [String(submitterEmpId)]);
+  if (error) throw error;
+  return pickDefaultReviewer(teams || [], submitterEmpId);
+}
+
+/**
+ * Validate a review comment
+ * @param {*} comment - Raw comment from the request body
+ * @param {object} options
+ * @param {boolean} options.required - Whether an empty comment is an error
+ * @returns {{value: string|null, error: string|null}}
+ */
+export function validateReviewComment(comment, { required = false } = {}) {
+  const value = typeof comment === 'string' ? comment.trim() : '';
+  if (!value) {
+    return required
+      ? { value: null, error: 'A comment is required when requesting changes' }
+      : { value: null, error: null };
+  }
+  if (value.length > MAX_REVIEW_COMMENT_LENGTH) {
+    return { value: null, error: `Comment must be at most ${MAX_REVIEW_COMMENT_LENGTH} characters` };
+  }
+  return { value, error: null };
+}
+
+/**
+ * Number of times a task has been submitted for review (the current round)
+ * @param {Array<{action: string}>} history - task_edit_history rows for the task
+ * @returns {number}
+ */
+export function countReviewRounds(history = []) {
+  return (history || []).filter((h) => h?.action === REVIEW_ACTIONS.submit).length;
+}
+
+/**
+ * Summarise a task's review history (oldest first) into rounds
+ * @param {Array<{action: string, details: object, editor_emp_id: string, created_at: string}>} history
+ * @returns {Array<{round: number, submitted_by: string, reviewer_id: string, note: string|null,
+ *   submitted_at: string, decision: string|null, decided_by: string|null, comment: string|null,
+ *   decided_at: string|null}>} - Newest round first
+ */
+export function summarizeReviewRounds(history = []) {
+  const rounds = [];
+  for (const entry of history || []) {
+    const details = entry?.details || {};
+    if (entry?.action === REVIEW_ACTIONS.submit) {
+      rounds.push({
+        round: details.round || rounds.length + 1,
+        submitted_by: entry.editor_emp_id,
+        reviewer_id: details.reviewer_id || null,
+        note: details.note || null,
+        submitted_at: entry.created_at,
+        decision: null,
+        decided_by: null,
+        comment: null,
+        decided_at: null,
+      });
+      continue;
+    }
+    const isDecision =
+      entry?.action === REVIEW_ACTIONS.approve || entry?.action === REVIEW_ACTIONS.requestChanges;
+    const current = rounds[rounds.length - 1];
+    if (!isDecision || !current || current.decision) continue;
+    current.decision = entry.action === REVIEW_ACTIONS.approve ? 'approved' : 'changes_requested';
+    current.decided_by = entry.editor_emp_id;
+    current.comment = details.comment || null;
+    current.decided_at = entry.created_at;
+  }
+  return rounds.reverse();
+}
+
+const reviewService = {
+  REVIEW_ACTIONS,
+  MAX_REVIEW_COMMENT_LENGTH,
+  pickDefaultReviewer,
+  findDefaultReviewer,
+  validateReviewComment,
+  countReviewRounds,
+  summarizeReviewRounds,
+};
+
+export default reviewService;
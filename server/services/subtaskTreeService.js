@@ -0,0 +1,333 @@
+/**
+ * Subtask Tree Service
+ *
+ * Logic:
+ * - Subtasks always belong to one task (parent_task_id); parent_subtask_id nests a subtask
+ *   under another subtask of the same task, down to SUBTASK_MAX_DEPTH levels (default 3,
+ *   where direct subtasks of a task are level 1)
+ * - Siblings are ordered by position (then id); new subtasks go to the end of their level
+ *   and reordering rewrites the positions of one level at a time
+ * - Moving a subtask moves its whole branch, so the branch's height counts towards the
+ *   depth limit and a subtask can never be moved under its own branch
+ * - Promoting turns a subtask into a task in the parent's project, owned by the parent's
+ *   owner; its branch comes along as the new task's subtasks. Demoting does the reverse:
+ *   a task (with its subtasks) becomes a subtask of another task
+ */
+
+import { TASK_WORKFLOW, normalizeStatus } from './workflowService.js';
+import { parseCollaborators } from '../lib/taskAccess.js';
+
+export const DEFAULT_MAX_SUBTASK_DEPTH = 3;
+
+export const SUBTASK_TREE_ACTIONS = {
+  reorder: 'subtask_reorder',
+  promote: 'subtask_promote',
+  promotedFrom: 'promoted_from_subtask',
+  demote: 'task_demote',
+};
+
+/**
+ * Deepest allowed nesting for this environment
+ * @returns {number}
+ */
+export function getMaxSubtaskDepth() {
+  const depth = Number(process.env.SUBTASK_MAX_DEPTH);
+  return Number.isInteger(depth) && depth > 0 ? depth : DEFAULT_MAX_SUBTASK_DEPTH;
+}
+
+/**
+ * Parse a parent_subtask_id from a request body
+ * @param {*} value - Raw value (undefined when not given)
+ * @returns {{parentSubtaskId: number|null|undefined, error: string|null}}
+ */
+export function parseParentSubtaskId(value) {
+  if (value === undefined) return { parentSubtaskId: undefined, error: null };
+  if (value === null || value === '') return { parentSubtaskId: null, error: null };
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) return { parentSubtaskId: undefined, error: 'Invalid parent_subtask_id' };
+  return { parentSubtaskId: id, error: null };
+}
+
+const parentOf = (subtask) => subtask?.parent_subtask_id ?? null;
+
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+/**
+ * Sibling order: position first (unpositioned last), then id
+ */
+export function compareSiblings(a, b) {
+  const pa = a.position ?? Number.MAX_SAFE_INTEGER;
+  const pb = b.position ?? Number.MAX_SAFE_INTEGER;
+  if (pa !== pb) return pa - pb;
+  return Number(a.id) - Number(b.id);
+}
+
+/**
+ * Nest a task's flat subtask list; subtasks whose parent is missing become roots
+ * @param {Array<object>} subtasks - Rows with id, parent_subtask_id and position
+ * @returns {Array<object>} - Roots, each with a `children` array
+ */
+export function buildSubtaskTree(subtasks = []) {
+  const nodes = new Map((subtasks || []).map((s) => [String(s.id), { ...s, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = parentOf(node) !== null ? nodes.get(String(parentOf(node))) : null;
+    if (parent && parent !== node) parent.children.push(node);
+    else roots.push(node);
+  });
+  const sort = (list) => {
+    list.sort(compareSiblings);
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+  return sort(roots);
+}
+
+/**
+ * Level of a subtask (1 for direct subtasks of the task)
+ * @param {Array<object>} subtasks - The task's subtasks
+ * @param {number} subtaskId
+ * @returns {number}
+ */
+export function getSubtaskDepth(subtasks = [], subtaskId) {
+  const byId = new Map(subtasks.map((s) => [String(s.id), s]));
+  let depth = 0;
+  let current = byId.get(String(subtaskId));
+  const seen = new Set();
+  while (current && !seen.has(String(current.id))) {
+    seen.add(String(current.id));
+    depth += 1;
+    current = parentOf(current) !== null ? byId.get(String(parentOf(current))) : null;
+  }
+  return depth;
+}
+
+/**
+ * Ids of every subtask nested (at any level) under a subtask
+ * @param {Array<object>} subtasks - The task's subtasks
+ * @param {number} subtaskId
+ * @returns {number[]}
+ */
+export function collectDescendantIds(subtasks = [], subtaskId) {
+  const result = [];
+  const queue = [subtaskId];
+  const seen = new Set([String(subtaskId)]);
+  while (queue.length > 0) {
+    const current = queue.shift();
+    subtasks
+      .filter((s) => sameId(parentOf(s), current) && !seen.has(String(s.id)))
+      .forEach((s) => {
+        seen.add(String(s.id));
+        result.push(s.id);
+        queue.push(s.id);
+      });
+  }
+  return result;
+}
+
+/**
+ * Number of levels in a subtask's branch (1 for a subtask without children)
+ * @param {Array<object>} subtasks - The task's subtasks
+ * @param {number|null} subtaskId - null measures the whole task's tree
+ * @returns {number}
+ */
+export function getBranchHeight(subtasks = [], subtaskId) {
+  const children = subtasks.filter((s) => (subtaskId === null ? parentOf(s) === null : sameId(parentOf(s), subtaskId)));
+  const below = children.length > 0 ? Math.max(...children.map((c) => getBranchHeight(subtasks, c.id))) : 0;
+  return subtaskId === null ? below : below + 1;
+}
+
+/**
+ * Check that a subtask (or a new one, when subtaskId is null) may sit under a parent
+ * @param {Array<object>} subtasks - The task's subtasks
+ * @param {number|null} subtaskId - The subtask being placed (null for a new subtask)
+ * @param {number|null} parentSubtaskId - The new parent (null for the top level)
+ * @param {number} [maxDepth]
+ * @returns {{error: string|null}}
+ */
+export function checkNesting(subtasks = [], subtaskId, parentSubtaskId, maxDepth = getMaxSubtaskDepth()) {
+  const height = subtaskId === null ? 1 : getBranchHeight(subtasks, subtaskId);
+  if (parentSubtaskId === null || parentSubtaskId === undefined) {
+    return { error: height > maxDepth ? `Subtasks can be nested at most ${maxDepth} levels deep` : null };
+  }
+  if (!subtasks.some((s) => sameId(s.id, parentSubtaskId))) {
+    return { error: 'Parent subtask must belong to the same task' };
+  }
+  if (subtaskId !== null && (sameId(subtaskId, parentSubtaskId) || collectDescendantIds(subtasks, subtaskId).some((id) => sameId(id, parentSubtaskId)))) {
+    return { error: 'A subtask cannot be nested under itself or its own subtasks' };
+  }
+  if (getSubtaskDepth(subtasks, parentSubtaskId) + height > maxDepth) {
+    return { error: `Subtasks can be nested at most ${maxDepth} levels deep` };
+  }
+  return { error: null };
+}
+
+/**
+ * Check that a task, with its own subtasks, fits under a parent in another task's tree
+ * @param {Array<object>} targetSubtasks - Subtasks of the task receiving it
+ * @param {Array<object>} ownSubtasks - Subtasks of the task being demoted
+ * @param {number|null} parentSubtaskId - Where it goes (null for the top level)
+ * @param {number} [maxDepth]
+ * @returns {{error: string|null}}
+ */
+export function checkDemotion(targetSubtasks = [], ownSubtasks = [], parentSubtaskId, maxDepth = getMaxSubtaskDepth()) {
+  const height = 1 + getBranchHeight(ownSubtasks, null);
+  let depth = 0;
+  if (parentSubtaskId !== null && parentSubtaskId !== undefined) {
+    if (!targetSubtasks.some((s) => sameId(s.id, parentSubtaskId))) {
+      return { error: 'Parent subtask must belong to the target task' };
+    }
+    depth = getSubtaskDepth(targetSubtasks, parentSubtaskId);
+  }
+  return { error: depth + height > maxDepth ? `Subtasks can be nested at most ${maxDepth} levels deep` : null };
+}
+
+/**
+ * Subtasks directly under a parent (null for the top level)
+ */
+export function getSiblings(subtasks = [], parentSubtaskId) {
+  return subtasks.filter((s) => (parentSubtaskId === null || parentSubtaskId === undefined
+    ? parentOf(s) === null
+    : sameId(parentOf(s), parentSubtaskId)));
+}
+
+/**
+ * Position for a subtask added at the end of a level
+ * @param {Array<object>} siblings
+ * @returns {number}
+ */
+export function nextPosition(siblings = []) {
+  const positions = siblings.map((s) => s.position).filter((p) => Number.isInteger(p));
+  return positions.length > 0 ? Math.max(...positions) + 1 : siblings.length;
+}
+
+/**
+ * New positions for one level of subtasks
+ * @param {Array<object>} siblings - Current subtasks of that level
+ * @param {Array} orderedIds - Every sibling id, in the new order
+ * @returns {{positions: Array<{id: number, position: number}>, error: string|null}}
+ */
+export function planReorder(siblings = [], orderedIds) {
+  if (!Array.isArray(orderedIds)) return { positions: [], error: 'ordered_ids must be an array of subtask ids' };
+  const ids = orderedIds.map(Number);
+  const expected = new Set(siblings.map((s) => Number(s.id)));
+  if (ids.length !== expected.size || new Set(ids).size !== ids.length || ids.some((id) => !expected.has(id))) {
+    return { positions: [], error: 'ordered_ids must list every subtask of that level exactly once' };
+  }
+  const current = new Map(siblings.map((s) => [Number(s.id), s.position]));
+  const positions = ids
+    .map((id, index) => ({ id, position: index }))
+    .filter(({ id, position }) => current.get(id) !== position);
+  return { positions, error: null };
+}
+
+/**
+ * Arrange draft subtasks sent with a new task into insert levels. Drafts refer to
+ * their parent draft by its temporary `parent_id`; unknown parents fall back to the top.
+ * @param {Array<object>} drafts - Draft subtasks with temporary `id` and `parent_id`
+ * @param {number} [maxDepth]
+ * @returns {{levels: Array<Array<object>>, error: string|null}} - Each level keeps the
+ *   drafts in order, with `position` set among their siblings
+ */
+export function planDraftLevels(drafts = [], maxDepth = getMaxSubtaskDepth()) {
+  const list = (drafts || []).filter(Boolean);
+  const ids = new Set(list.map((d) => String(d.id)));
+  const parentKey = (d) => (d.parent_id !== undefined && d.parent_id !== null && ids.has(String(d.parent_id))
+    ? String(d.parent_id)
+    : null);
+
+  const levels = [];
+  const placed = new Set();
+  let frontier = [null];
+  while (frontier.length > 0) {
+    const next = [];
+    const level = [];
+    frontier.forEach((parent) => {
+      list
+        .filter((d) => parentKey(d) === parent && !placed.has(d))
+        .forEach((d, index) => {
+          placed.add(d);
+          level.push({ ...d, position: index });
+          next.push(String(d.id));
+        });
+    });
+    if (level.length === 0) break;
+    levels.push(level);
+    frontier = next;
+  }
+
+  if (levels.length > maxDepth) return { levels: [], error: `Subtasks can be nested at most ${maxDepth} levels deep` };
+  // Drafts in a parent cycle never reach the top level; keep them as top-level subtasks
+  const stranded = list.filter((d) => !placed.has(d));
+  if (stranded.length > 0) {
+    if (levels.length === 0) levels.push([]);
+    const start = levels[0].length;
+    stranded.forEach((d, index) => levels[0].push({ ...d, parent_id: null, position: start + index }));
+  }
+  return { levels, error: null };
+}
+
+/**
+ * Row for the task created when a subtask is promoted
+ * @param {object} subtask - The subtask
+ * @param {object} parentTask - Its current parent task
+ * @returns {object}
+ */
+export function buildPromotedTask(subtask, parentTask) {
+  return {
+    title: subtask.title,
+    description: subtask.description ?? null,
+    priority: subtask.priority ?? null,
+    status: normalizeStatus(subtask.status) || normalizeStatus(TASK_WORKFLOW.initial),
+    due_date: subtask.due_date ?? null,
+    estimated_hours: subtask.estimated_hours ?? null,
+    project_id: parentTask.project_id ?? null,
+    owner_id: parentTask.owner_id,
+    collaborators: parseCollaborators(subtask.collaborators).filter((c) => c !== String(parentTask.owner_id)),
+    is_recurring: false,
+  };
+}
+
+/**
+ * Row for the subtask created when a task is demoted
+ * @param {object} task - The task being demoted
+ * @param {object} placement - { parentTaskId, parentSubtaskId, position, ownerId (numeric sub_task owner) }
+ * @returns {object}
+ */
+export function buildDemotedSubtask(task, { parentTaskId, parentSubtaskId = null, position = 0, ownerId }) {
+  return {
+    parent_task_id: parentTaskId,
+    parent_subtask_id: parentSubtaskId,
+    position,
+    title: task.title,
+    description: task.description ?? null,
+    priority: task.priority ?? null,
+    status: normalizeStatus(task.status) || normalizeStatus(TASK_WORKFLOW.initial),
+    due_date: task.due_date ? String(task.due_date).slice(0, 10) : null,
+    estimated_hours: task.estimated_hours ?? null,
+    collaborators: parseCollaborators(task.collaborators),
+    owner_id: ownerId,
+  };
+}
+
+const subtaskTreeService = {
+  DEFAULT_MAX_SUBTASK_DEPTH,
+  SUBTASK_TREE_ACTIONS,
+  getMaxSubtaskDepth,
+  parseParentSubtaskId,
+  compareSiblings,
+  buildSubtaskTree,
+  getSubtaskDepth,
+  collectDescendantIds,
+  getBranchHeight,
+  checkNesting,
+  checkDemotion,
+  getSiblings,
+  nextPosition,
+  planReorder,
+  planDraftLevels,
+  buildPromotedTask,
+  buildDemotedSubtask,
+};
+
+export default subtaskTreeService;
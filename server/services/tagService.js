@@ -0,0 +1,238 @@
+/**
+ * Tag Service
+ *
+ * Logic:
+ * - A tag has a name and a hex colour, and is either organisation-wide (project_id null)
+ *   or scoped to a single project
+ * - Tags can be applied to tasks and subtasks; a project tag only applies to tasks of
+ *   that project (subtasks follow their parent task's project)
+ * - Task and subtask listings carry a `tags` array of { id, name, color, project_id }
+ * - Tag breakdowns count total / completed / overdue tasks per tag for reporting
+ */
+
+import { isTerminalStatus } from './workflowService.js';
+
+export const DEFAULT_TAG_COLOR = '#6B7280';
+export const MAX_TAG_NAME_LENGTH = 40;
+
+const COLOR_RE = /^#[0-9A-Fa-f]{6}$/;
+const TAG_COLUMNS = 'id, name, color, project_id';
+
+// Link tables for each kind of taggable item
+const LINK_TABLES = {
+  task: { table: 'task_tags', key: 'task_id' },
+  subtask: { table: 'subtask_tags', key: 'subtask_id' },
+};
+
+/**
+ * Validate a tag name/colour from a request body
+ * @param {object} input - { name, color }
+ * @param {object} options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @returns {{value: object|null, error: string|null}}
+ */
+export function validateTagInput(input = {}, { partial = false } = {}) {
+  const value = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) return { value: null, error: 'Tag name is required' };
+    if (name.length > MAX_TAG_NAME_LENGTH) {
+      return { value: null, error: `Tag name must be at most ${MAX_TAG_NAME_LENGTH} characters` };
+    }
+    value.name = name;
+  }
+
+  if (input.color !== undefined && input.color !== null && input.color !== '') {
+    if (!COLOR_RE.test(String(input.color))) {
+      return { value: null, error: 'Tag color must be a hex colour like #3B82F6' };
+    }
+    value.color = String(input.color).toUpperCase();
+  } else if (!partial) {
+    value.color = DEFAULT_TAG_COLOR;
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * Whether a tag may be applied to a task of the given project
+ * @param {object} tag - Tag row
+ * @param {number|null} projectId - The task's project_id
+ * @returns {boolean}
+ */
+export function isTagAvailableForProject(tag, projectId) {
+  if (!tag) return false;
+  if (tag.project_id === null || tag.project_id === undefined) return true;
+  return projectId !== null && projectId !== undefined && Number(tag.project_id) === Number(projectId);
+}
+
+/**
+ * Normalise a list of tag ids from a request body
+ * @param {*} tagIds - Array of ids (numbers or numeric strings)
+ * @returns {number[]|null} - Unique ids, or null if the input is not a list of ids
+ */
+export function parseTagIds(tagIds) {
+  if (!Array.isArray(tagIds)) return null;
+  const ids = tagIds.map(Number);
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) return null;
+  return [...new Set(ids)];
+}
+
+/**
+ * Attach a `tags` array to each task or subtask in a list
+ * @param {object} supabase - Supabase client
+ * @param {Array} items - Task or subtask rows (mutated in place)
+ * @param {string} kind - "task" or "subtask"
+ * @returns {Promise<Array>} - The same items
+ */
+export async function attachTags(supabase, items, kind = 'task') {
+  if (!Array.isArray(items) || items.length === 0) return items;
+  const { table, key } = LINK_TABLES[kind];
+
+  const { data: links, error } = await supabase
+    .from(table)
+    .select(`${key}, tag:tags(${TAG_COLUMNS})`)
+    .in(key, items.map((i) => i.id));
+  if (error) throw error;
+
+  const byItem = new Map();
+  (links || []).forEach((link) => {
+    if (!link.tag) return;
+    if (!byItem.has(link[key])) byItem.set(link[key], []);
+    byItem.get(link[key]).push(link.tag);
+  });
+
+  items.forEach((item) => {
+    item.tags = (byItem.get(item.id) || []).sort((a, b) => a.name.localeCompare(b.name));
+  });
+  return items;
+}
+
+/**
+ * Replace the tags on a task or subtask
+ * @param {object} supabase - Supabase client
+ * @param {object} options
+ * @param {string} options.kind - "task" or "subtask"
+ * @param {number} options.id - Task or subtask id
+ * @param {number[]} options.tagIds - The complete new set of tag ids
+ * @returns {Promise<{added: number[], removed: number[]}>}
+ */
+export async function replaceTags(supabase, { kind, id, tagIds }) {
+  const { table, key } = LINK_TABLES[kind];
+
+  const { data: existing, error: loadErr } = await supabase
+    .from(table)
+    .select('tag_id')
+    .eq(key, id);
+  if (loadErr) throw loadErr;
+
+  const current = new Set((existing || []).map((l) => Number(l.tag_id)));
+  const next = new Set(tagIds);
+  const added = tagIds.filter((t) => !current.has(t));
+  const removed = [...current].filter((t) => !next.has(t));
+
+  if (removed.length > 0) {
+    const { error } = await supabase.from(table).delete().eq(key, id).in('tag_id', removed);
+    if (error) throw error;
+  }
+  if (added.length > 0) {
+    const { error } = await supabase.from(table).insert(added.map((tagId) => ({ [key]: id, tag_id: tagId })));
+    if (error) throw error;
+  }
+
+  return { added, removed };
+}
+
+/**
+ * Remove the tags a task and its subtasks may no longer carry after the task moved to
+ * another project: tags scoped to any other project
+ * @param {object} supabase - Supabase client
+ * @param {object} options
+ * @param {number} options.taskId - The moved task
+ * @param {number|null} options.projectId - The task's new project_id
+ * @returns {Promise<number[]>} - Ids of the tags removed
+ */
+export async function dropUnavailableTags(supabase, { taskId, projectId }) {
+  const { data: subtasks, error: subErr } = await supabase
+    .from('sub_task')
+    .select('id')
+    .eq('parent_task_id', taskId);
+  if (subErr) throw subErr;
+
+  const removed = new Set();
+  const targets = [['task', [taskId]], ['subtask', (subtasks || []).map((s) => s.id)]];
+  for (const [kind, ids] of targets) {
+    if (ids.length === 0) continue;
+    const { table, key } = LINK_TABLES[kind];
+    const { data: links, error } = await supabase
+      .from(table)
+      .select(`tag:tags(${TAG_COLUMNS})`)
+      .in(key, ids);
+    if (error) throw error;
+
+    const stale = [...new Set((links || [])
+      .filter((link) => link.tag && !isTagAvailableForProject(link.tag, projectId))
+      .map((link) => Number(link.tag.id)))];
+    if (stale.length === 0) continue;
+    const { error: deleteErr } = await supabase.from(table).delete().in(key, ids).in('tag_id', stale);
+    if (deleteErr) throw deleteErr;
+    stale.forEach((id) => removed.add(id));
+  }
+  return [...removed];
+}
+
+/**
+ * Count tasks per tag
+ * @param {Array} tasks - Task rows with id, status and due_date
+ * @param {Array} links - task_tags rows ({ task_id, tag_id })
+ * @param {Array} tags - Tag rows
+ * @param {Date} now - Reference time for overdue checks
+ * @returns {Array} - One entry per tag: { tagId, name, color, projectId, total, completed, overdue, completionRate }
+ */
+export function computeTagBreakdown(tasks, links, tags, now = new Date()) {
+  const tasksById = new Map((tasks || []).map((t) => [t.id, t]));
+  const stats = new Map((tags || []).map((tag) => [tag.id, {
+    tagId: tag.id,
+    name: tag.name,
+    color: tag.color,
+    projectId: tag.project_id ?? null,
+    total: 0,
+    completed: 0,
+    overdue: 0,
+    completionRate: 0,
+  }]));
+
+  (links || []).forEach((link) => {
+    const entry = stats.get(link.tag_id);
+    const task = tasksById.get(link.task_id);
+    if (!entry || !task) return;
+    entry.total += 1;
+    if (isTerminalStatus(task.status)) {
+      entry.completed += 1;
+    } else if (task.due_date && new Date(task.due_date) < now) {
+      entry.overdue += 1;
+    }
+  });
+
+  return [...stats.values()]
+    .map((entry) => ({
+      ...entry,
+      completionRate: entry.total > 0 ? Math.round((entry.completed / entry.total) * 100) : 0,
+    }))
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+}
+
+const tagService = {
+  DEFAULT_TAG_COLOR,
+  MAX_TAG_NAME_LENGTH,
+  validateTagInput,
+  isTagAvailableForProject,
+  parseTagIds,
+  attachTags,
+  replaceTags,
+  dropUnavailableTags,
+  computeTagBreakdown
+};
+
+export default tagService;
@@ -0,0 +1,278 @@
+/**
+ * Task Import Service
+ *
+ * Logic:
+ * - An import is a CSV file with a header row; a column mapping says which header feeds
+ *   which task field (ref, title, description, priority, due date, owner, collaborators,
+ *   project, parent). Without a mapping, headers are matched by name
+ * - Every row is checked with TaskSchema plus the lookups a single create would do:
+ *   owners and collaborators by email or emp_id, projects by id or title
+ * - Owners follow the assignment rules of POST /tasks: staff import tasks for themselves,
+ *   managers for their team members, directors for anyone. Putting a task into a project
+ *   needs project membership, as moving or cloning does
+ * - A row whose parent column names another row (by its ref, or by title when no ref
+ *   column is mapped) becomes a subtask of that row's task; subtasks are one level deep
+ * - A dry run returns the per-row result without writing anything; a real import only
+ *   writes when every row is valid, so a file is imported entirely or not at all
+ */
+
+import { TaskSchema } from '../schemas/task.js';
+import { canUseProject } from './taskTransferService.js';
+
+export const IMPORT_MAX_ROWS = 500;
+
+export const IMPORT_FIELDS = ['ref', 'title', 'description', 'priority', 'due_date', 'owner', 'collaborators', 'project', 'parent'];
+
+// Header spellings recognised when no mapping is sent (compared lowercase, without spaces/punctuation)
+const HEADER_ALIASES = {
+  ref: ['ref', 'id', 'key', 'rowid', 'reference'],
+  title: ['title', 'name', 'task', 'tasktitle', 'summary'],
+  description: ['description', 'details', 'notes'],
+  priority: ['priority'],
+  due_date: ['duedate', 'due', 'deadline'],
+  owner: ['owner', 'owneremail', 'ownerempid', 'assignee', 'assignedto'],
+  collaborators: ['collaborators', 'collaborator'],
+  project: ['project', 'projectid', 'projecttitle'],
+  parent: ['parent', 'parentref', 'parenttask', 'parentid'],
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9_]/g, '').replace(/_/g, '');
+
+// People in one cell are separated by ";" or ","
+const splitPeople = (value) =>
+  String(value || '')
+    .split(/[;,]/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ * @param {string} text
+ * @returns {{headers: string[], rows: string[][], error: string|null}}
+ */
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^﻿/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return { headers: [], rows: [], error: 'The CSV has an unclosed quoted field' };
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((cell) => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return { headers: [], rows: [], error: 'The CSV is empty' };
+  const [headers, ...rows] = nonEmpty;
+  return { headers: headers.map((h) => h.trim()), rows, error: null };
+}
+
+/**
+ * Guess a mapping from header names
+ * @param {string[]} headers
+ * @returns {object} - field -> header
+ */
+export function suggestMapping(headers = []) {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const header = headers.find((h) => HEADER_ALIASES[field].includes(headerKey(h)));
+    if (header !== undefined) mapping[field] = header;
+  });
+  return mapping;
+}
+
+/**
+ * Validate a column mapping against the file's headers
+ * @param {*} mapping - field -> header (or a JSON string of it)
+ * @param {string[]} headers
+ * @returns {{mapping: object|null, error: string|null}}
+ */
+export function parseMapping(mapping, headers = []) {
+  let value = mapping;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return { mapping: null, error: 'mapping must be an object of field: column' };
+    }
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { mapping: null, error: 'mapping must be an object of field: column' };
+  }
+
+  const picked = {};
+  for (const [field, header] of Object.entries(value)) {
+    if (header === null || header === undefined || header === '') continue;
+    if (!IMPORT_FIELDS.includes(field)) return { mapping: null, error: `Unknown import field: ${field}` };
+    if (!headers.includes(header)) return { mapping: null, error: `Column "${header}" is not in the file` };
+    picked[field] = header;
+  }
+  if (!picked.title) return { mapping: null, error: 'Map a column to the task title' };
+  return { mapping: picked, error: null };
+}
+
+/**
+ * Check every row and work out what would be created
+ * @param {object} options
+ * @param {string[]} options.headers
+ * @param {string[][]} options.rows - Data rows (without the header)
+ * @param {object} options.mapping - Output of parseMapping
+ * @param {object} options.lookups
+ * @param {Array<object>} options.lookups.users - { emp_id, email }
+ * @param {Array<object>} options.lookups.projects - { id, title, owner_id, members, required_fields }
+ *   where required_fields are the labels of the project's required custom fields
+ * @param {Set<string>|null} options.lookups.assignableIds - Owners the caller may assign to
+ *   (null means anyone)
+ * @param {string} options.empId - The importing employee
+ * @param {string} options.role - Their role (lowercase)
+ * @returns {{rows: Array<object>, summary: {total: number, valid: number, invalid: number}}}
+ */
+export function planImport({ headers, rows, mapping, lookups, empId, role }) {
+  const column = Object.fromEntries(Object.entries(mapping).map(([field, header]) => [field, headers.indexOf(header)]));
+  const cell = (row, field) => (column[field] === undefined ? '' : String(row[column[field]] ?? '').trim());
+
+  const usersByKey = new Map();
+  (lookups.users || []).forEach((u) => {
+    usersByKey.set(String(u.emp_id).toLowerCase(), String(u.emp_id));
+    if (u.email) usersByKey.set(String(u.email).toLowerCase(), String(u.emp_id));
+  });
+  const projectsByKey = new Map();
+  (lookups.projects || []).forEach((p) => {
+    projectsByKey.set(String(p.id), p);
+    if (p.title) projectsByKey.set(String(p.title).toLowerCase(), p);
+  });
+
+  // Parent references point at a row's ref, or at its title when no ref column is mapped
+  const refs = rows.map((row) => (mapping.ref ? cell(row, 'ref') : cell(row, 'title')).toLowerCase());
+
+  const planned = rows.map((row, index) => {
+    const errors = [];
+    const line = index + 2; // 1-based, after the header row
+
+    const priorityCell = cell(row, 'priority');
+    const candidate = {
+      title: cell(row, 'title'),
+      description: cell(row, 'description') || null,
+      priority: priorityCell === '' ? null : Number(priorityCell),
+      due_date: cell(row, 'due_date') || null,
+      owner_id: empId,
+      collaborators: [],
+      project_id: null,
+    };
+
+    const ownerCell = cell(row, 'owner');
+    if (ownerCell) {
+      const ownerId = usersByKey.get(ownerCell.toLowerCase());
+      if (!ownerId) {
+        errors.push(`owner: no user with email or emp_id "${ownerCell}"`);
+      } else if (ownerId !== String(empId) && lookups.assignableIds && !lookups.assignableIds.has(ownerId)) {
+        errors.push(role === 'manager'
+          ? 'owner: you can only assign tasks to members of your team'
+          : 'owner: you don\'t have permission to assign tasks');
+      } else {
+        candidate.owner_id = ownerId;
+      }
+    }
+
+    splitPeople(cell(row, 'collaborators')).forEach((person) => {
+      const collaboratorId = usersByKey.get(person.toLowerCase());
+      if (!collaboratorId) errors.push(`collaborators: no user with email or emp_id "${person}"`);
+      else if (collaboratorId !== candidate.owner_id && !candidate.collaborators.includes(collaboratorId)) {
+        candidate.collaborators.push(collaboratorId);
+      }
+    });
+
+    const projectCell = cell(row, 'project');
+    if (projectCell) {
+      const project = projectsByKey.get(projectCell.toLowerCase());
+      if (!project) errors.push(`project: no project "${projectCell}"`);
+      else if (!canUseProject(project, empId, role)) errors.push(`project: you are not a member of "${project.title}"`);
+      else if ((project.required_fields || []).length > 0) {
+        // Imported tasks carry no custom field values, so they cannot satisfy required ones
+        errors.push(`project: "${project.title}" has required custom fields (${project.required_fields.join(', ')})`);
+      } else candidate.project_id = Number(project.id);
+    }
+
+    if (candidate.due_date && (!ISO_DATE_RE.test(candidate.due_date) || Number.isNaN(Date.parse(candidate.due_date)))) {
+      errors.push('due_date: must be a date (YYYY-MM-DD)');
+    }
+
+    const parsed = TaskSchema.safeParse(candidate);
+    if (!parsed.success) {
+      parsed.error.issues.forEach((issue) => {
+        errors.push(`${issue.path.join('.') || 'row'}: ${issue.message}`);
+      });
+    }
+
+    let parentIndex = null;
+    const parentCell = cell(row, 'parent');
+    if (parentCell) {
+      const matches = refs.reduce((found, ref, i) => (ref === parentCell.toLowerCase() ? [...found, i] : found), []);
+      if (matches.length === 0) errors.push(`parent: no row "${parentCell}"`);
+      else if (matches.length > 1) errors.push(`parent: more than one row is "${parentCell}"`);
+      else if (matches[0] === index) errors.push('parent: a row cannot be its own parent');
+      else parentIndex = matches[0];
+    }
+
+    const ref = mapping.ref ? cell(row, 'ref') : null;
+    if (ref && refs.filter((r) => r === ref.toLowerCase()).length > 1) errors.push(`ref: "${ref}" is used by more than one row`);
+
+    return { row: line, ref, parentIndex, task: candidate, errors };
+  });
+
+  // Subtasks are one level deep: a parent must itself be a task row
+  planned.forEach((entry) => {
+    if (entry.parentIndex !== null && planned[entry.parentIndex].parentIndex !== null) {
+      entry.errors.push(`parent: row ${planned[entry.parentIndex].row} is a subtask itself`);
+    }
+  });
+
+  const result = planned.map(({ parentIndex, ...entry }) => ({
+    ...entry,
+    kind: parentIndex === null ? 'task' : 'subtask',
+    parent_row: parentIndex === null ? null : planned[parentIndex].row,
+  }));
+  const invalid = result.filter((r) => r.errors.length > 0).length;
+  return { rows: result, summary: { total: result.length, valid: result.length - invalid, invalid } };
+}
+
+const importService = {
+  IMPORT_MAX_ROWS,
+  IMPORT_FIELDS,
+  parseCsv,
+  suggestMapping,
+  parseMapping,
+  planImport
+};
+
+export default importService;
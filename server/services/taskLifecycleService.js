@@ -0,0 +1,292 @@
+/**
+ * Task Lifecycle Service
+ *
+ * Logic:
+ * - A task is active, archived (archived_at set) or deleted (deleted_at set, i.e. in the trash)
+ * - Default task lists hide archived and deleted tasks; reports keep archived tasks and
+ *   only drop deleted ones
+ * - Deleted tasks can be restored until the retention window runs out; after that only a
+ *   director can purge them, which removes the rows for good
+ * - Deleting / archiving cascades to the task's subtasks, and with series scope to the
+ *   other instances of its recurring series
+ * - Every row touched by one action gets the same timestamp, so restoring / unarchiving
+ *   brings back exactly that batch and leaves rows removed earlier where they are
+ */
+
+export const TRASH_RETENTION_DAYS = 30;
+
+export const LIFECYCLE_ACTIONS = {
+  archive: 'archive',
+  unarchive: 'unarchive',
+  delete: 'delete',
+  restore: 'restore',
+  purge: 'purge',
+};
+
+// How a listing treats archived tasks
+export const ARCHIVED_FILTERS = ['exclude', 'include', 'only'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the `archived` query parameter of a listing
+ * @param {*} value - "exclude" (default), "include" or "only"
+ * @returns {string|null} - null if invalid
+ */
+export function parseArchivedFilter(value) {
+  if (value === undefined || value === null || value === '') return 'exclude';
+  const filter = String(value).toLowerCase();
+  return ARCHIVED_FILTERS.includes(filter) ? filter : null;
+}
+
+/**
+ * Parse the `series` query parameter of a lifecycle action
+ * @param {*} value - "true" applies the action to the whole recurring series
+ * @returns {boolean}
+ */
+export function parseSeriesScope(value) {
+  return String(value).toLowerCase() === 'true';
+}
+
+/**
+ * Lifecycle state of a task
+ * @param {object} task - Task row
+ * @returns {'active'|'archived'|'deleted'}
+ */
+export function getLifecycleState(task) {
+  if (task?.deleted_at) return 'deleted';
+  if (task?.archived_at) return 'archived';
+  return 'active';
+}
+
+/**
+ * Whether a task shows up in a listing
+ * @param {object} task - Task row
+ * @param {object} options
+ * @param {string} options.archived - "exclude", "include" or "only"
+ * @returns {boolean}
+ */
+export function isListed(task, { archived = 'exclude' } = {}) {
+  if (task?.deleted_at) return false;
+  if (archived === 'exclude') return !task?.archived_at;
+  if (archived === 'only') return Boolean(task?.archived_at);
+  return true;
+}
+
+/**
+ * Hide deleted (and, depending on `archived`, archived) tasks from a tasks query
+ * @param {object} query - Supabase query on tasks
+ * @param {object} options
+ * @param {string} options.archived - "exclude", "include" or "only"
+ * @returns {object} - The filtered query (unchanged if the builder cannot filter on nulls)
+ */
+export function applyLifecycleFilter(query, { archived = 'exclude' } = {}) {
+  if (typeof query?.is !== 'function') return query;
+  let filtered = query.is('deleted_at', null);
+  if (archived === 'exclude') filtered = filtered.is('archived_at', null);
+  else if (archived === 'only' && typeof filtered.not === 'function') {
+    filtered = filtered.not('archived_at', 'is', null);
+  }
+  return filtered;
+}
+
+/**
+ * When a deleted task drops out of the trash
+ * @param {string} deletedAt - ISO timestamp
+ * @param {number} retentionDays
+ * @returns {string|null} - ISO timestamp
+ */
+export function getRestoreDeadline(deletedAt, retentionDays = TRASH_RETENTION_DAYS) {
+  if (!deletedAt) return null;
+  const deleted = new Date(deletedAt);
+  if (Number.isNaN(deleted.getTime())) return null;
+  return new Date(deleted.getTime() + retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Whether a deleted task can still be restored
+ * @param {object} task - Task row
+ * @param {Date} now - Current time (for tests)
+ * @returns {boolean}
+ */
+export function isRestorable(task, now = new Date()) {
+  const deadline = getRestoreDeadline(task?.deleted_at);
+  return Boolean(deadline) && now.getTime() < new Date(deadline).getTime();
+}
+
+/**
+ * Whether an employee may archive, delete or restore a task: its owner, whoever deleted
+ * it, a manager of the owner's team (the same rule as PUT /tasks/:id) or a director
+ * @param {object} task - Task row
+ * @param {string} empId - Acting employee
+ * @param {string} role - Acting employee's role (lowercase)
+ * @param {object} [options]
+ * @param {Set<string>} [options.teamMemberIds] - Members of a manager's teams (see getManagedMemberIds)
+ * @returns {boolean}
+ */
+export function canManageLifecycle(task, empId, role, { teamMemberIds = new Set() } = {}) {
+  if (role === 'director') return true;
+  if (role === 'manager' && task?.owner_id != null && teamMemberIds.has(String(task.owner_id))) return true;
+  return String(task?.owner_id) === String(empId)
+    || (Boolean(task?.deleted_by) && String(task.deleted_by) === String(empId));
+}
+
+/**
+ * Only directors purge tasks for good
+ * @param {string} role - Acting employee's role (lowercase)
+ * @returns {boolean}
+ */
+export function canPurge(role) {
+  return role === 'director';
+}
+
+/**
+ * Pick the tasks an action applies to
+ * @param {string} action - One of LIFECYCLE_ACTIONS
+ * @param {object} task - Task the action was requested on
+ * @param {object[]} seriesTasks - Instances of its recurring series (may be empty)
+ * @returns {object[]} - Task rows to update, the requested task first
+ */
+export function selectCascadeTargets(action, task, seriesTasks = []) {
+  const others = (seriesTasks || []).filter((t) => t.id !== task.id);
+  let matches;
+  switch (action) {
+    case LIFECYCLE_ACTIONS.archive:
+      matches = (t) => !t.deleted_at && !t.archived_at;
+      break;
+    case LIFECYCLE_ACTIONS.unarchive:
+      matches = (t) => !t.deleted_at && Boolean(t.archived_at) && t.archived_at === task.archived_at;
+      break;
+    case LIFECYCLE_ACTIONS.delete:
+      matches = (t) => !t.deleted_at;
+      break;
+    case LIFECYCLE_ACTIONS.restore:
+    case LIFECYCLE_ACTIONS.purge:
+      matches = (t) => Boolean(t.deleted_at) && t.deleted_at === task.deleted_at;
+      break;
+    default:
+      matches = () => false;
+  }
+  return [task, ...others.filter(matches)];
+}
+
+/**
+ * Load a task and, with series scope, the rest of its recurring series
+ * @param {object} supabase - Supabase client
+ * @param {object} task - Task row
+ * @param {boolean} series - Include the other series instances
+ * @returns {Promise<object[]>}
+ */
+export async function loadSeriesTasks(supabase, task, series) {
+  if (!series || !task.recurrence_series_id) return [];
+  const { data, error } = await supabase
+    .from('tasks')
+    .select('id, title, owner_id, archived_at, deleted_at, recurrence_series_id')
+    .eq('recurrence_series_id', task.recurrence_series_id);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Archive or unarchive tasks
+ * @param {object} supabase - Supabase client
+ * @param {number[]} taskIds
+ * @param {object} options
+ * @param {boolean} options.archive - false to unarchive
+ * @param {string} options.empId - Acting employee
+ * @param {string} options.at - Timestamp shared by the batch
+ */
+export async function setArchived(supabase, taskIds, { archive, empId, at = new Date().toISOString() }) {
+  const { error } = await supabase
+    .from('tasks')
+    .update(archive ? { archived_at: at, archived_by: empId } : { archived_at: null, archived_by: null })
+    .in('id', taskIds);
+  if (error) throw error;
+}
+
+/**
+ * Move tasks and their live subtasks to the trash
+ * @param {object} supabase - Supabase client
+ * @param {number[]} taskIds
+ * @param {object} options
+ * @param {string} options.empId - Acting employee
+ * @param {string} options.at - Timestamp shared by the batch
+ */
+export async function softDelete(supabase, taskIds, { empId, at = new Date().toISOString() }) {
+  const { error } = await supabase
+    .from('tasks')
+    .update({ deleted_at: at, deleted_by: empId })
+    .in('id', taskIds);
+  if (error) throw error;
+
+  const { error: subErr } = await supabase
+    .from('sub_task')
+    .update({ deleted_at: at })
+    .in('parent_task_id', taskIds)
+    .is('deleted_at', null);
+  if (subErr) throw subErr;
+}
+
+/**
+ * Take tasks out of the trash together with the subtasks deleted alongside them
+ * @param {object} supabase - Supabase client
+ * @param {number[]} taskIds
+ * @param {string} deletedAt - Timestamp of the delete being undone
+ */
+export async function restoreDeleted(supabase, taskIds, deletedAt) {
+  const { error } = await supabase
+    .from('tasks')
+    .update({ deleted_at: null, deleted_by: null })
+    .in('id', taskIds);
+  if (error) throw error;
+
+  const { error: subErr } = await supabase
+    .from('sub_task')
+    .update({ deleted_at: null })
+    .in('parent_task_id', taskIds)
+    .eq('deleted_at', deletedAt);
+  if (subErr) throw subErr;
+}
+
+/**
+ * Remove trashed tasks and their subtasks for good
+ * @param {object} supabase - Supabase client
+ * @param {number[]} taskIds
+ */
+export async function purgeTasks(supabase, taskIds) {
+  const { error: subErr } = await supabase
+    .from('sub_task')
+    .delete()
+    .in('parent_task_id', taskIds);
+  if (subErr) throw subErr;
+
+  const { error } = await supabase
+    .from('tasks')
+    .delete()
+    .in('id', taskIds)
+    .not('deleted_at', 'is', null);
+  if (error) throw error;
+}
+
+const taskLifecycleService = {
+  TRASH_RETENTION_DAYS,
+  LIFECYCLE_ACTIONS,
+  ARCHIVED_FILTERS,
+  parseArchivedFilter,
+  parseSeriesScope,
+  getLifecycleState,
+  isListed,
+  applyLifecycleFilter,
+  getRestoreDeadline,
+  isRestorable,
+  canManageLifecycle,
+  canPurge,
+  selectCascadeTargets,
+  loadSeriesTasks,
+  setArchived,
+  softDelete,
+  restoreDeleted,
+  purgeTasks,
+};
+
+export default taskLifecycleService;
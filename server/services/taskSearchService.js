@@ -0,0 +1,381 @@
+/**
+ * Task Search Service
+ *
+ * Logic:
+ * - Free text (q) matches task titles/descriptions and comment bodies through the
+ *   search_vector full-text columns. Task text is matched in the tasks query itself;
+ *   comment matches are collected as task ids first, from the newest
+ *   MAX_COMMENT_MATCHES matching comments
+ * - Structured filters (status, priority range, owner, collaborator, project, due
+ *   window, recurring) are applied to the tasks query itself; tag filters match tasks
+ *   carrying any of the given tags
+ * - Custom field filters (cf_<fieldId>=value) match tasks of the field's project: text
+ *   fields by substring, multi-selects by containing the option, other types exactly
+ * - Results are sorted by one whitelisted column with id as the tie-breaker, nulls last
+ * - Pagination is keyset based: the cursor encodes the sort value and id of the
+ *   last row returned, so pages stay stable while tasks are being added
+ * - Staff only see tasks they own or collaborate on; managers and directors see all
+ * - Deleted tasks never match; archived ones only with archived=include|only
+ */
+
+import { normalizeStatus, toStatusKey } from './workflowService.js';
+import { applyLifecycleFilter, parseArchivedFilter } from './taskLifecycleService.js';
+import { getCustomFieldsByIds } from './customFieldService.js';
+
+export const SORT_FIELDS = ['due_date', 'priority', 'created_at', 'title'];
+export const DEFAULT_LIMIT = 25;
+export const MAX_LIMIT = 100;
+export const MAX_COMMENT_MATCHES = 500;
+
+const TEXT_SEARCH_OPTIONS = { type: 'websearch', config: 'english' };
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+const CUSTOM_FIELD_KEY_RE = /^cf_(\d+)$/;
+
+const splitList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+/**
+ * Validate and normalise search query parameters
+ * @param {object} query - Raw query string values (or a saved filter object)
+ * @returns {{params: object|null, error: string|null}}
+ */
+export function parseSearchParams(query = {}) {
+  const params = {
+    q: query.q ? String(query.q).trim() : '',
+    statuses: [],
+    priorityMin: null,
+    priorityMax: null,
+    ownerId: query.owner_id ? String(query.owner_id) : null,
+    collaboratorId: query.collaborator_id ? String(query.collaborator_id) : null,
+    projectId: null,
+    tagIds: [],
+    customFields: [],
+    dueFrom: null,
+    dueTo: null,
+    recurring: null,
+    archived: 'exclude',
+    sort: 'due_date',
+    direction: 'asc',
+    limit: DEFAULT_LIMIT,
+    cursor: null,
+  };
+
+  if (query.status) {
+    params.statuses = splitList(query.status).map((s) => s.toLowerCase());
+  }
+
+  for (const [key, field] of [['priority_min', 'priorityMin'], ['priority_max', 'priorityMax']]) {
+    if (query[key] !== undefined && query[key] !== '') {
+      const value = Number(query[key]);
+      if (!Number.isInteger(value) || value < 1 || value > 10) {
+        return { params: null, error: `${key} must be an integer between 1 and 10` };
+      }
+      params[field] = value;
+    }
+  }
+  if (params.priorityMin !== null && params.priorityMax !== null && params.priorityMin > params.priorityMax) {
+    return { params: null, error: 'priority_min cannot be greater than priority_max' };
+  }
+
+  if (query.project_id !== undefined && query.project_id !== '') {
+    const projectId = Number(query.project_id);
+    if (!Number.isFinite(projectId)) return { params: null, error: 'Invalid project_id' };
+    params.projectId = projectId;
+  }
+
+  if (query.tag) {
+    const tagIds = splitList(query.tag).map(Number);
+    if (tagIds.some((id) => !Number.isInteger(id) || id <= 0)) return { params: null, error: 'Invalid tag' };
+    params.tagIds = [...new Set(tagIds)];
+  }
+
+  Object.entries(query).forEach(([key, value]) => {
+    const match = CUSTOM_FIELD_KEY_RE.exec(key);
+    if (!match || value === undefined || value === null || String(value).trim() === '') return;
+    params.customFields.push({ fieldId: Number(match[1]), value: String(value).trim() });
+  });
+
+  for (const [key, field] of [['due_from', 'dueFrom'], ['due_to', 'dueTo']]) {
+    if (query[key]) {
+      if (!DATE_RE.test(String(query[key])) || Number.isNaN(Date.parse(query[key]))) {
+        return { params: null, error: `${key} must be a date (YYYY-MM-DD)` };
+      }
+      params[field] = String(query[key]).slice(0, 10);
+    }
+  }
+
+  if (query.recurring !== undefined && query.recurring !== '') {
+    const value = String(query.recurring).toLowerCase();
+    if (value !== 'true' && value !== 'false') return { params: null, error: 'recurring must be true or false' };
+    params.recurring = value === 'true';
+  }
+
+  const archived = parseArchivedFilter(query.archived);
+  if (!archived) return { params: null, error: 'archived must be exclude, include or only' };
+  params.archived = archived;
+
+  if (query.sort) {
+    if (!SORT_FIELDS.includes(query.sort)) {
+      return { params: null, error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+    params.sort = query.sort;
+  }
+  if (query.direction) {
+    const direction = String(query.direction).toLowerCase();
+    if (direction !== 'asc' && direction !== 'desc') return { params: null, error: 'direction must be asc or desc' };
+    params.direction = direction;
+  }
+
+  if (query.limit !== undefined && query.limit !== '') {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { params: null, error: 'limit must be a positive integer' };
+    params.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { params: null, error: 'Invalid cursor' };
+    params.cursor = cursor;
+  }
+
+  return { params, error: null };
+}
+
+// Search parameters that can be stored in a saved filter (no paging state)
+export const SAVED_FILTER_KEYS = [
+  'q', 'status', 'priority_min', 'priority_max', 'owner_id', 'collaborator_id',
+  'project_id', 'tag', 'due_from', 'due_to', 'recurring', 'archived', 'sort', 'direction',
+];
+
+/**
+ * Validate the parameters of a saved filter and keep only the searchable keys
+ * @param {object} filters - Raw filter object from the request body
+ * @returns {{filters: object|null, error: string|null}}
+ */
+export function sanitizeSavedFilters(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { filters: null, error: 'filters must be an object' };
+  }
+  const picked = {};
+  const keys = [...SAVED_FILTER_KEYS, ...Object.keys(filters).filter((key) => CUSTOM_FIELD_KEY_RE.test(key))];
+  keys.forEach((key) => {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') return;
+    picked[key] = Array.isArray(value) ? value.map(String).join(',') : String(value);
+  });
+  const { error } = parseSearchParams(picked);
+  if (error) return { filters: null, error };
+  return { filters: picked, error: null };
+}
+
+/**
+ * Expand requested statuses to the spellings stored in the database
+ * @param {string[]} statuses - Lowercase status names
+ * @returns {string[]}
+ */
+export function expandStatuses(statuses) {
+  // Rows may hold the workflow key or its stored spelling ("under review" / "Under Review")
+  return [...new Set(statuses.flatMap((s) => {
+    const key = toStatusKey(s);
+    return key ? [key, normalizeStatus(key)] : [s];
+  }))];
+}
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {object} row - Last task returned
+ * @param {string} sort - Sort column
+ * @returns {string}
+ */
+export function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ v: row[sort] ?? null, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {{v: *, id: number}|null}
+ */
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || !Number.isFinite(Number(decoded.id)) || !('v' in decoded)) return null;
+    return { v: decoded.v, id: Number(decoded.id) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Apply custom field filters to a tasks query
+ * @param {object} query - Supabase tasks query
+ * @param {Array<object>} fields - Definitions of the filtered fields
+ * @param {Array<{fieldId: number, value: string}>} filters
+ * @returns {object|null} - The narrowed query, or null when nothing can match
+ */
+export function applyCustomFieldFilters(query, fields, filters) {
+  const byId = new Map(fields.map((f) => [Number(f.id), f]));
+  for (const { fieldId, value } of filters) {
+    const field = byId.get(fieldId);
+    if (!field) return null;
+    const column = `custom_fields->>${field.id}`;
+    query = query.eq('project_id', field.project_id);
+    if (field.type === 'text') {
+      query = query.ilike(column, `%${value.replace(/[\\%_]/g, (c) => `\\${c}`)}%`);
+    } else if (field.type === 'multi_select') {
+      query = query.contains('custom_fields', { [field.id]: [value] });
+    } else if (field.type === 'number') {
+      if (!Number.isFinite(Number(value))) return null;
+      query = query.eq(column, String(Number(value)));
+    } else {
+      query = query.eq(column, value);
+    }
+  }
+  return query;
+}
+
+// Quote a value for a PostgREST logic-tree filter
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * PostgREST "or" filter selecting the rows after a cursor, for ORDER BY sort
+ * (nulls last), id ascending
+ * @param {string} sort - Sort column
+ * @param {string} direction - "asc" or "desc"
+ * @param {{v: *, id: number}} cursor
+ * @returns {string}
+ */
+export function buildCursorFilter(sort, direction, cursor) {
+  if (cursor.v === null || cursor.v === undefined) {
+    return `and(${sort}.is.null,id.gt.${cursor.id})`;
+  }
+  const op = direction === 'desc' ? 'lt' : 'gt';
+  const v = quote(cursor.v);
+  return `${sort}.${op}.${v},and(${sort}.eq.${v},id.gt.${cursor.id}),${sort}.is.null`;
+}
+
+/**
+ * Ids of tasks with a (non-deleted) comment matching a free text query. Only the newest
+ * MAX_COMMENT_MATCHES matching comments count, so a common word stays a short id list.
+ * @param {object} supabase - Supabase client
+ * @param {string} q - websearch-style query
+ * @returns {Promise<number[]>}
+ */
+export async function findCommentMatchIds(supabase, q) {
+  const { data, error } = await supabase
+    .from('task_comments')
+    .select('task_id')
+    .is('deleted_at', null)
+    .textSearch('search_vector', q, TEXT_SEARCH_OPTIONS)
+    .order('created_at', { ascending: false })
+    .limit(MAX_COMMENT_MATCHES);
+  if (error) throw error;
+  return [...new Set((data || []).map((c) => Number(c.task_id)))];
+}
+
+/**
+ * PostgREST "or" filter for free text: the task's own text matches, or it is one of the
+ * tasks with a matching comment
+ * @param {string} q - websearch-style query
+ * @param {number[]} commentMatchIds - Output of findCommentMatchIds
+ * @returns {string}
+ */
+export function buildTextFilter(q, commentMatchIds = []) {
+  const ownText = `search_vector.wfts(${TEXT_SEARCH_OPTIONS.config}).${quote(q)}`;
+  return commentMatchIds.length > 0 ? `${ownText},id.in.(${commentMatchIds.join(',')})` : ownText;
+}
+
+/**
+ * Ids of tasks carrying any of the given tags
+ * @param {object} supabase - Supabase client
+ * @param {number[]} tagIds
+ * @returns {Promise<number[]>}
+ */
+export async function findTaggedTaskIds(supabase, tagIds) {
+  const { data, error } = await supabase
+    .from('task_tags')
+    .select('task_id')
+    .in('tag_id', tagIds);
+  if (error) throw error;
+  return [...new Set((data || []).map((l) => Number(l.task_id)))];
+}
+
+/**
+ * Run a task search
+ * @param {object} supabase - Supabase client
+ * @param {object} options
+ * @param {string} options.empId - Requesting employee
+ * @param {string} options.role - Requesting employee's role (lowercase)
+ * @param {object} options.params - Output of parseSearchParams
+ * @returns {Promise<{tasks: Array, next_cursor: string|null}>}
+ */
+export async function searchTasks(supabase, { empId, role, params }) {
+  const commentMatchIds = params.q ? await findCommentMatchIds(supabase, params.q) : null;
+  let taggedIds = null;
+  if (params.tagIds.length > 0) {
+    taggedIds = await findTaggedTaskIds(supabase, params.tagIds);
+    if (taggedIds.length === 0) return { tasks: [], next_cursor: null };
+  }
+
+  let query = applyLifecycleFilter(supabase.from('tasks').select('*'), { archived: params.archived });
+
+  if (role !== 'manager' && role !== 'director') {
+    query = query.or(`owner_id.eq.${empId},collaborators.cs.{${empId}}`);
+  }
+  if (params.q) query = query.or(buildTextFilter(params.q, commentMatchIds));
+  if (taggedIds) query = query.in('id', taggedIds);
+  if (params.statuses.length > 0) query = query.in('status', expandStatuses(params.statuses));
+  if (params.priorityMin !== null) query = query.gte('priority', params.priorityMin);
+  if (params.priorityMax !== null) query = query.lte('priority', params.priorityMax);
+  if (params.ownerId) query = query.eq('owner_id', params.ownerId);
+  if (params.collaboratorId) query = query.contains('collaborators', [params.collaboratorId]);
+  if (params.projectId !== null) query = query.eq('project_id', params.projectId);
+  if (params.dueFrom) query = query.gte('due_date', params.dueFrom);
+  if (params.dueTo) query = query.lte('due_date', params.dueTo);
+  if (params.recurring !== null) query = query.eq('is_recurring', params.recurring);
+  if (params.customFields.length > 0) {
+    const fields = await getCustomFieldsByIds(supabase, [...new Set(params.customFields.map((f) => f.fieldId))]);
+    query = applyCustomFieldFilters(query, fields, params.customFields);
+    if (!query) return { tasks: [], next_cursor: null };
+  }
+  if (params.cursor) query = query.or(buildCursorFilter(params.sort, params.direction, params.cursor));
+
+  const { data, error } = await query
+    .order(params.sort, { ascending: params.direction === 'asc', nullsFirst: false })
+    .order('id', { ascending: true })
+    .limit(params.limit + 1);
+  if (error) throw error;
+
+  const rows = data || [];
+  const hasMore = rows.length > params.limit;
+  const tasks = hasMore ? rows.slice(0, params.limit) : rows;
+
+  return {
+    tasks,
+    next_cursor: hasMore ? encodeCursor(tasks[tasks.length - 1], params.sort) : null,
+  };
+}
+
+const taskSearchService = {
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MAX_COMMENT_MATCHES,
+  SAVED_FILTER_KEYS,
+  parseSearchParams,
+  sanitizeSavedFilters,
+  expandStatuses,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  findCommentMatchIds,
+  buildTextFilter,
+  findTaggedTaskIds,
+  applyCustomFieldFilters,
+  searchTasks
+};
+
+export default taskSearchService;
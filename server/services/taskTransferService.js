@@ -0,0 +1,219 @@
+/**
+ * Task Transfer Service
+ *
+ * Logic:
+ * - Cloning copies a task (title, description, priority, estimate, due date, project and
+ *   collaborators) into a new task owned by whoever clones it, optionally with its live
+ *   subtasks, nested as they were. Statuses restart in the workflow's initial status
+ *   unless asked to keep them; a status only entered through a flow (Under Review) is
+ *   never kept, as the clone has no review. Due dates can be shifted by whole days. A clone is always a one-off task:
+ *   recurrence settings, attachments, comments and time entries stay with the original
+ * - Moving changes a task's project in place, so subtasks, attachments, comments,
+ *   collaborators and edit history all stay attached to the same task id
+ * - Putting a task into a project (by clone or move) requires the requester to be a
+ *   member of that project (directors may use any project); owners, managers and
+ *   directors may move a task
+ * - Both write a task_edit_history row on the tasks involved
+ */
+
+import { TASK_WORKFLOW, normalizeStatus, getStatusVia } from './workflowService.js';
+import { shiftDueDate } from './bulkTaskService.js';
+import { compareSiblings } from './subtaskTreeService.js';
+import { isProjectMember, parseCollaborators } from '../lib/taskAccess.js';
+
+export const TRANSFER_ACTIONS = {
+  clone: 'clone',
+  clonedFrom: 'cloned',
+  move: 'move',
+};
+
+export const MAX_CLONE_SHIFT_DAYS = 730;
+
+const parseFlag = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  return value === true || value === 'true';
+};
+
+// project_id from a request body: undefined (not given), null (no project) or an id
+function parseProjectId(value) {
+  if (value === undefined) return { projectId: undefined, error: null };
+  if (value === null || value === '') return { projectId: null, error: null };
+  const projectId = Number(value);
+  if (!Number.isInteger(projectId) || projectId <= 0) return { projectId: undefined, error: 'Invalid project_id' };
+  return { projectId, error: null };
+}
+
+/**
+ * Validate clone options
+ * @param {object} body - { include_subtasks, reset_status, shift_days, project_id, title }
+ * @returns {{options: object|null, error: string|null}}
+ */
+export function parseCloneOptions(body = {}) {
+  const input = body || {};
+  const shiftDays = input.shift_days === undefined || input.shift_days === '' ? 0 : Number(input.shift_days);
+  if (!Number.isInteger(shiftDays) || Math.abs(shiftDays) > MAX_CLONE_SHIFT_DAYS) {
+    return { options: null, error: `shift_days must be a whole number of days between -${MAX_CLONE_SHIFT_DAYS} and ${MAX_CLONE_SHIFT_DAYS}` };
+  }
+  const { projectId, error } = parseProjectId(input.project_id);
+  if (error) return { options: null, error };
+  if (input.title !== undefined && input.title !== null && typeof input.title !== 'string') {
+    return { options: null, error: 'title must be text' };
+  }
+
+  return {
+    options: {
+      includeSubtasks: parseFlag(input.include_subtasks, true),
+      resetStatus: parseFlag(input.reset_status, true),
+      shiftDays,
+      projectId,
+      title: input.title ? input.title.trim() : null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Validate the target of a move
+ * @param {object} body - { project_id } (null takes the task out of its project)
+ * @returns {{projectId: number|null, error: string|null}}
+ */
+export function parseMoveTarget(body = {}) {
+  if (!body || !Object.prototype.hasOwnProperty.call(body, 'project_id')) {
+    return { projectId: null, error: 'project_id is required (null removes the task from its project)' };
+  }
+  const { projectId, error } = parseProjectId(body.project_id);
+  return { projectId: error ? null : projectId, error };
+}
+
+/**
+ * Whether an employee may put tasks into a project
+ * @param {object|null} project - Target project row (null for "no project")
+ * @param {string} empId - Requesting employee
+ * @param {string} role - Requesting employee's role (lowercase)
+ * @returns {boolean}
+ */
+export function canUseProject(project, empId, role) {
+  if (!project) return true;
+  return role === 'director' || isProjectMember(project, empId);
+}
+
+/**
+ * Whether an employee may move a task to another project: its owner, a manager of the
+ * owner's team (the same rule as PUT /tasks/:id) or a director
+ * @param {object} task - Task row
+ * @param {string} empId - Requesting employee
+ * @param {string} role - Requesting employee's role (lowercase)
+ * @param {object} [options]
+ * @param {Set<string>} [options.teamMemberIds] - Members of a manager's teams (see getManagedMemberIds)
+ * @returns {boolean}
+ */
+export function canMoveTask(task, empId, role, { teamMemberIds = new Set() } = {}) {
+  if (role === 'director') return true;
+  if (role === 'manager' && task?.owner_id != null && teamMemberIds.has(String(task.owner_id))) return true;
+  return String(task?.owner_id) === String(empId);
+}
+
+/**
+ * People on a task (owner and collaborators) who are not members of a project, so the
+ * caller can warn that they may lose sight of it there
+ * @param {object} task - Task row
+ * @param {object|null} project - Target project row
+ * @returns {string[]} - emp_ids
+ */
+export function findNonMembers(task, project) {
+  if (!project) return [];
+  const people = [task?.owner_id, ...parseCollaborators(task?.collaborators)]
+    .filter((p) => p !== null && p !== undefined && p !== '')
+    .map(String);
+  return [...new Set(people)].filter((empId) => !isProjectMember(project, empId));
+}
+
+const statusFor = (status, resetStatus) =>
+  (resetStatus || getStatusVia(status)
+    ? normalizeStatus(TASK_WORKFLOW.initial)
+    : normalizeStatus(status) || normalizeStatus(TASK_WORKFLOW.initial));
+
+const dueDateFor = (dueDate, shiftDays) =>
+  (dueDate ? (shiftDays ? shiftDueDate(dueDate, shiftDays) : String(dueDate).slice(0, 10)) : null);
+
+/**
+ * Row for the cloned task
+ * @param {object} task - Source task
+ * @param {object} options - parseCloneOptions output plus ownerId (the new owner)
+ * @returns {object}
+ */
+export function buildClonedTask(task, { ownerId, resetStatus = true, shiftDays = 0, projectId, title } = {}) {
+  const targetProjectId = projectId === undefined ? task.project_id ?? null : projectId;
+  return {
+    title: title || `Copy of ${task.title}`,
+    description: task.description ?? null,
+    priority: task.priority ?? null,
+    status: statusFor(task.status, resetStatus),
+    due_date: dueDateFor(task.due_date, shiftDays),
+    estimated_hours: task.estimated_hours ?? null,
+    project_id: targetProjectId,
+    owner_id: ownerId,
+    collaborators: parseCollaborators(task.collaborators).filter((c) => c !== String(ownerId)),
+    is_recurring: false,
+    require_checklist_complete: Boolean(task.require_checklist_complete),
+    // Custom field values only mean something within the project that defines the fields
+    custom_fields: targetProjectId === (task.project_id ?? null) ? { ...(task.custom_fields || {}) } : {},
+  };
+}
+
+// Copied fields of one subtask
+const clonedSubtaskFields = (subtask, { resetStatus = true, shiftDays = 0 } = {}) => ({
+  title: subtask.title,
+  description: subtask.description ?? null,
+  priority: subtask.priority ?? null,
+  status: statusFor(subtask.status, resetStatus),
+  due_date: dueDateFor(subtask.due_date, shiftDays),
+  estimated_hours: subtask.estimated_hours ?? null,
+  collaborators: parseCollaborators(subtask.collaborators),
+});
+
+/**
+ * Rows for the cloned subtasks (without owner_id; the route sets it from the new owner)
+ * @param {Array} subtasks - Live subtasks of the source task
+ * @param {number} parentTaskId - The clone's id
+ * @param {object} options - { resetStatus, shiftDays }
+ * @returns {Array<object>}
+ */
+export function buildClonedSubtasks(subtasks = [], parentTaskId, options = {}) {
+  return (subtasks || []).map((subtask) => ({
+    parent_task_id: parentTaskId,
+    ...clonedSubtaskFields(subtask, options),
+  }));
+}
+
+/**
+ * Cloned subtasks as drafts for a level-by-level insert, so the copy nests like the
+ * original: each keeps its source `id`, names its source parent in `parent_id` and holds
+ * the copied fields in `row`, in sibling order (parent_task_id, parent_subtask_id,
+ * position and owner_id are set when inserting)
+ * @param {Array} subtasks - Live subtasks of the source task
+ * @param {object} options - { resetStatus, shiftDays }
+ * @returns {Array<object>}
+ */
+export function buildClonedSubtaskDrafts(subtasks = [], options = {}) {
+  return [...(subtasks || [])].sort(compareSiblings).map((subtask) => ({
+    id: subtask.id,
+    parent_id: subtask.parent_subtask_id ?? null,
+    row: clonedSubtaskFields(subtask, options),
+  }));
+}
+
+const taskTransferService = {
+  TRANSFER_ACTIONS,
+  MAX_CLONE_SHIFT_DAYS,
+  parseCloneOptions,
+  parseMoveTarget,
+  canUseProject,
+  canMoveTask,
+  findNonMembers,
+  buildClonedTask,
+  buildClonedSubtasks,
+  buildClonedSubtaskDrafts,
+};
+
+export default taskTransferService;
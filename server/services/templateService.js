@@ -0,0 +1,259 @@
+/**
+ * Template Service
+ *
+ * Logic:
+ * - A task template holds a title/description pattern, a default priority, a due-date
+ *   offset in days, default collaborators, a subtask list (each with its own offset)
+ *   and tag ids
+ * - Patterns may use {date}, {year}, {month}, {week} (taken from the base date) and
+ *   any {name} supplied as a variable when instantiating; unknown placeholders stay as-is
+ * - Offsets are whole days relative to the base date (today unless given), so a
+ *   template can be reused on any start date
+ * - Instantiating builds plain task / subtask rows; the route inserts them
+ */
+
+import { normalizeStatus, TASK_WORKFLOW } from './workflowService.js';
+import { parseTagIds } from './tagService.js';
+import timeTrackingService from './timeTrackingService.js';
+
+export const MAX_TEMPLATE_NAME_LENGTH = 80;
+export const MAX_TEMPLATE_SUBTASKS = 50;
+// Offsets beyond roughly two years are almost certainly typos
+export const MAX_DUE_OFFSET_DAYS = 730;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * Parse a due-date offset
+ * @param {*} value - Offset in days (number or numeric string); empty means "no due date"
+ * @returns {number|null|undefined} - Whole days, null for none, undefined if invalid
+ */
+export function parseDueOffset(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || Math.abs(days) > MAX_DUE_OFFSET_DAYS) return undefined;
+  return days;
+}
+
+function parsePriority(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const priority = Number(value);
+  return Number.isInteger(priority) && priority >= 1 && priority <= 10 ? priority : undefined;
+}
+
+function parseCollaboratorList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (!Array.isArray(value)) return null;
+  return [...new Set(value.filter((c) => c !== null && c !== undefined && c !== '').map(String))];
+}
+
+/**
+ * Validate a template from a request body
+ * @param {object} input - Request body
+ * @param {object} options
+ * @param {boolean} options.partial - Only validate the fields present (updates)
+ * @returns {{value: object|null, error: string|null}} - value holds task_templates columns
+ */
+export function validateTemplateInput(input = {}, { partial = false } = {}) {
+  const value = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) return { value: null, error: 'Template name is required' };
+    if (name.length > MAX_TEMPLATE_NAME_LENGTH) {
+      return { value: null, error: `Template name must be at most ${MAX_TEMPLATE_NAME_LENGTH} characters` };
+    }
+    value.name = name;
+  }
+
+  if (input.title_pattern !== undefined || !partial) {
+    const titlePattern = typeof input.title_pattern === 'string' ? input.title_pattern.trim() : '';
+    if (!titlePattern) return { value: null, error: 'Title pattern is required' };
+    value.title_pattern = titlePattern;
+  }
+
+  if (input.description_pattern !== undefined) {
+    value.description_pattern = typeof input.description_pattern === 'string' && input.description_pattern.trim()
+      ? input.description_pattern
+      : null;
+  }
+
+  if (input.priority !== undefined || !partial) {
+    const priority = parsePriority(input.priority, 5);
+    if (priority === undefined) return { value: null, error: 'Priority must be an integer between 1 and 10' };
+    value.priority = priority;
+  }
+
+  if (input.due_offset_days !== undefined) {
+    const offset = parseDueOffset(input.due_offset_days);
+    if (offset === undefined) {
+      return { value: null, error: `due_offset_days must be a whole number of days (at most ${MAX_DUE_OFFSET_DAYS})` };
+    }
+    value.due_offset_days = offset;
+  }
+
+  if (input.estimated_hours !== undefined) {
+    value.estimated_hours = timeTrackingService.parseEstimatedHours(input.estimated_hours) ?? null;
+  }
+
+  if (input.collaborators !== undefined) {
+    const collaborators = parseCollaboratorList(input.collaborators);
+    if (!collaborators) return { value: null, error: 'collaborators must be a list of employee ids' };
+    value.collaborators = collaborators;
+  }
+
+  if (input.tag_ids !== undefined) {
+    const tagIds = input.tag_ids === null ? [] : parseTagIds(input.tag_ids);
+    if (!tagIds) return { value: null, error: 'tag_ids must be a list of tag ids' };
+    value.tag_ids = tagIds;
+  }
+
+  if (input.subtasks !== undefined) {
+    const subtasks = input.subtasks === null ? [] : input.subtasks;
+    if (!Array.isArray(subtasks)) return { value: null, error: 'subtasks must be a list' };
+    if (subtasks.length > MAX_TEMPLATE_SUBTASKS) {
+      return { value: null, error: `A template can have at most ${MAX_TEMPLATE_SUBTASKS} subtasks` };
+    }
+    value.subtasks = [];
+    for (const [index, subtask] of subtasks.entries()) {
+      const title = typeof subtask?.title === 'string' ? subtask.title.trim() : '';
+      if (!title) return { value: null, error: `Subtask ${index + 1} needs a title` };
+      const priority = parsePriority(subtask.priority, null);
+      if (priority === undefined) {
+        return { value: null, error: `Subtask ${index + 1}: priority must be an integer between 1 and 10` };
+      }
+      const offset = parseDueOffset(subtask.due_offset_days);
+      if (offset === undefined) {
+        return { value: null, error: `Subtask ${index + 1}: due_offset_days must be a whole number of days` };
+      }
+      value.subtasks.push({
+        title,
+        description: typeof subtask.description === 'string' && subtask.description.trim() ? subtask.description : null,
+        priority,
+        due_offset_days: offset,
+        estimated_hours: timeTrackingService.parseEstimatedHours(subtask.estimated_hours) ?? null,
+      });
+    }
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * Resolve the base date templates are instantiated against
+ * @param {string} baseDate - YYYY-MM-DD, or empty for today
+ * @param {Date} now - Current time (for tests)
+ * @returns {string|null} - YYYY-MM-DD, or null if the input is not a valid date
+ */
+export function resolveBaseDate(baseDate, now = new Date()) {
+  if (baseDate === undefined || baseDate === null || baseDate === '') {
+    return now.toISOString().split('T')[0];
+  }
+  if (!DATE_RE.test(String(baseDate))) return null;
+  const parsed = new Date(`${baseDate}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().split('T')[0] !== baseDate) return null;
+  return baseDate;
+}
+
+/**
+ * Add whole days to a YYYY-MM-DD date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number|null} days - Offset; null means no date
+ * @returns {string|null}
+ */
+export function addDays(date, days) {
+  if (days === null || days === undefined) return null;
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + Number(days));
+  return d.toISOString().split('T')[0];
+}
+
+// ISO-8601 week number
+function isoWeek(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+}
+
+/**
+ * Fill the placeholders of a title/description pattern
+ * @param {string} pattern - Pattern text
+ * @param {object} options
+ * @param {string} options.baseDate - YYYY-MM-DD
+ * @param {object} options.variables - Extra placeholder values
+ * @returns {string|null}
+ */
+export function renderPattern(pattern, { baseDate, variables = {} } = {}) {
+  if (pattern === null || pattern === undefined) return null;
+  const d = new Date(`${baseDate}T00:00:00Z`);
+  const values = {
+    date: baseDate,
+    year: String(d.getUTCFullYear()),
+    month: MONTHS[d.getUTCMonth()],
+    week: String(isoWeek(baseDate)),
+  };
+  Object.entries(variables || {}).forEach(([key, val]) => {
+    if (val !== undefined && val !== null) values[key] = String(val);
+  });
+  return String(pattern).replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Build the task and subtask rows for a template
+ * @param {object} template - task_templates row
+ * @param {object} options
+ * @param {string} options.baseDate - YYYY-MM-DD the offsets count from
+ * @param {object} options.variables - Extra placeholder values
+ * @param {string} options.ownerId - Owner emp_id
+ * @param {number|null} options.projectId - Project for the new task
+ * @param {string} options.title - Optional title overriding the pattern
+ * @returns {{task: object, subtasks: object[]}} - subtasks lack parent_task_id / owner_id
+ */
+export function buildTaskFromTemplate(template, { baseDate, variables = {}, ownerId, projectId = null, title } = {}) {
+  const initialStatus = normalizeStatus(TASK_WORKFLOW.initial);
+  const task = {
+    title: title && String(title).trim()
+      ? String(title).trim()
+      : renderPattern(template.title_pattern, { baseDate, variables }),
+    description: renderPattern(template.description_pattern, { baseDate, variables }),
+    priority: template.priority ?? 5,
+    status: initialStatus,
+    due_date: addDays(baseDate, template.due_offset_days ?? null),
+    project_id: projectId,
+    collaborators: (template.collaborators || []).filter((c) => String(c) !== String(ownerId)),
+    owner_id: ownerId,
+    estimated_hours: template.estimated_hours ?? null,
+  };
+
+  const subtasks = (template.subtasks || []).map((subtask) => ({
+    title: renderPattern(subtask.title, { baseDate, variables }),
+    description: renderPattern(subtask.description, { baseDate, variables }),
+    priority: subtask.priority ?? null,
+    status: initialStatus,
+    due_date: addDays(baseDate, subtask.due_offset_days ?? null),
+    estimated_hours: subtask.estimated_hours ?? null,
+    collaborators: [],
+  }));
+
+  return { task, subtasks };
+}
+
+const templateService = {
+  MAX_TEMPLATE_NAME_LENGTH,
+  MAX_TEMPLATE_SUBTASKS,
+  MAX_DUE_OFFSET_DAYS,
+  parseDueOffset,
+  validateTemplateInput,
+  resolveBaseDate,
+  addDays,
+  renderPattern,
+  buildTaskFromTemplate,
+};
+
+export default templateService;
@@ -0,0 +1,273 @@
+/**
+ * Time Tracking Service
+ *
+ * Logic:
+ * - Tasks and subtasks carry an optional estimated_hours
+ * - Time is logged as entries against a task (optionally a subtask), either from a
+ *   start/stop timer or entered manually in minutes
+ * - A running timer has no ended_at; its duration counts up to "now"
+ * - Estimates roll up to the task owner and the task's project; a task without its own
+ *   estimate uses the sum of its subtask estimates
+ * - Logged time rolls up to whoever logged it and to the task's project
+ * - Roll-up data is read in batches of ids and pages of rows, so a request stays short
+ *   and no result is cut off by the API's row cap however many tasks there are
+ */
+
+export const MAX_ESTIMATED_HOURS = 1000;
+export const MAX_ENTRY_MINUTES = 24 * 60;
+
+// Ids per `in` filter and rows per page when loading roll-up data
+export const ROLLUP_BATCH_SIZE = 200;
+const ROLLUP_PAGE_SIZE = 1000;
+
+/**
+ * Parse an estimated_hours value from a request body
+ * @param {*} value - Raw value (number or numeric string)
+ * @returns {number|null|undefined} - Hours rounded to 2dp, null to clear, undefined if absent or invalid
+ */
+export function parseEstimatedHours(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0 || hours > MAX_ESTIMATED_HOURS) return undefined;
+  return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Convert minutes to hours rounded to 2 decimal places
+ * @param {number} minutes
+ * @returns {number}
+ */
+export function minutesToHours(minutes) {
+  return Math.round(((Number(minutes) || 0) / 60) * 100) / 100;
+}
+
+/**
+ * Duration of a time entry in whole minutes
+ * @param {object} entry - Time entry row
+ * @param {Date} now - Reference time for running timers
+ * @returns {number} - Minutes (never negative); a timer counts for at most MAX_ENTRY_MINUTES
+ */
+export function getEntryMinutes(entry, now = new Date()) {
+  if (!entry) return 0;
+  if (entry.minutes !== null && entry.minutes !== undefined) {
+    return Math.max(0, Number(entry.minutes) || 0);
+  }
+  if (!entry.started_at) return 0;
+
+  const start = new Date(entry.started_at);
+  const end = entry.ended_at ? new Date(entry.ended_at) : now;
+  const minutes = Math.floor((end - start) / 60000);
+  return Number.isFinite(minutes) ? Math.min(MAX_ENTRY_MINUTES, Math.max(0, minutes)) : 0;
+}
+
+/**
+ * Summarize the time entries of a single task
+ * @param {Array} entries - Time entry rows
+ * @param {Date} now - Reference time for running timers
+ * @returns {{logged_minutes: number, logged_hours: number, by_employee: Object<string, number>}}
+ *   by_employee maps emp_id to logged hours
+ */
+export function summarizeEntries(entries, now = new Date()) {
+  const minutesByEmp = {};
+  let total = 0;
+
+  (entries || []).forEach((entry) => {
+    const minutes = getEntryMinutes(entry, now);
+    total += minutes;
+    const empId = String(entry.emp_id);
+    minutesByEmp[empId] = (minutesByEmp[empId] || 0) + minutes;
+  });
+
+  const byEmployee = {};
+  Object.entries(minutesByEmp).forEach(([empId, minutes]) => {
+    byEmployee[empId] = minutesToHours(minutes);
+  });
+
+  return { logged_minutes: total, logged_hours: minutesToHours(total), by_employee: byEmployee };
+}
+
+/**
+ * Effective estimate of a task: its own estimate, else the sum of its subtask estimates
+ * @param {object} task - Task row
+ * @param {Array} subtasks - Subtasks of this task
+ * @returns {number} - Hours
+ */
+export function getTaskEstimate(task, subtasks = []) {
+  if (task?.estimated_hours !== null && task?.estimated_hours !== undefined) {
+    return Number(task.estimated_hours) || 0;
+  }
+  return subtasks.reduce((sum, st) => sum + (Number(st.estimated_hours) || 0), 0);
+}
+
+/**
+ * Roll up estimated vs. logged hours per task, person and project
+ * @param {object} params
+ * @param {Array} params.tasks - Task rows (id, owner_id, project_id, estimated_hours)
+ * @param {Array} params.subtasks - Subtask rows (parent_task_id, estimated_hours)
+ * @param {Array} params.entries - Time entries for these tasks (task_id, emp_id, minutes/started_at/ended_at)
+ * @param {Date} params.now - Reference time for running timers
+ * @returns {{byTask: object, byEmployee: object, byProject: object, totals: object}}
+ *   every bucket is { estimated_hours, logged_hours }; byTask buckets also carry
+ *   logged_by_employee (emp_id -> hours)
+ */
+export function rollupHours({ tasks = [], subtasks = [], entries = [], now = new Date() }) {
+  const subtasksByTask = new Map();
+  subtasks.forEach((st) => {
+    const key = Number(st.parent_task_id);
+    if (!subtasksByTask.has(key)) subtasksByTask.set(key, []);
+    subtasksByTask.get(key).push(st);
+  });
+
+  const taskById = new Map(tasks.map((t) => [Number(t.id), t]));
+  const byTask = {};
+  const byEmployee = {};
+  const byProject = {};
+  const totals = { estimated_hours: 0, logged_hours: 0 };
+
+  const bucket = (map, key) => {
+    if (!map[key]) map[key] = { estimated_hours: 0, logged_hours: 0 };
+    return map[key];
+  };
+
+  tasks.forEach((task) => {
+    const estimate = getTaskEstimate(task, subtasksByTask.get(Number(task.id)) || []);
+    bucket(byTask, task.id).estimated_hours += estimate;
+    if (task.owner_id) bucket(byEmployee, String(task.owner_id)).estimated_hours += estimate;
+    if (task.project_id) bucket(byProject, task.project_id).estimated_hours += estimate;
+    totals.estimated_hours += estimate;
+  });
+
+  entries.forEach((entry) => {
+    const task = taskById.get(Number(entry.task_id));
+    if (!task) return;
+    const hours = getEntryMinutes(entry, now) / 60;
+    const taskBucket = bucket(byTask, task.id);
+    taskBucket.logged_hours += hours;
+    if (entry.emp_id) {
+      const empId = String(entry.emp_id);
+      taskBucket.logged_by_employee = taskBucket.logged_by_employee || {};
+      taskBucket.logged_by_employee[empId] = (taskBucket.logged_by_employee[empId] || 0) + hours;
+      bucket(byEmployee, empId).logged_hours += hours;
+    }
+    if (task.project_id) bucket(byProject, task.project_id).logged_hours += hours;
+    totals.logged_hours += hours;
+  });
+
+  const roundBucket = (b) => {
+    b.estimated_hours = Math.round(b.estimated_hours * 100) / 100;
+    b.logged_hours = Math.round(b.logged_hours * 100) / 100;
+    if (b.logged_by_employee) {
+      Object.keys(b.logged_by_employee).forEach((empId) => {
+        b.logged_by_employee[empId] = Math.round(b.logged_by_employee[empId] * 100) / 100;
+      });
+    }
+  };
+  [byTask, byEmployee, byProject].forEach((map) => Object.values(map).forEach(roundBucket));
+  roundBucket(totals);
+
+  return { byTask, byEmployee, byProject, totals };
+}
+
+/**
+ * Every row of a table whose `column` is one of `values`, read in batches and pages
+ * @param {object} supabase - Supabase client
+ * @param {string} table
+ * @param {string} columns - Columns to select (must include id)
+ * @param {string} column - Column to filter on
+ * @param {Array} values
+ * @param {Function} [narrow] - Adds further filters to each query
+ * @returns {Promise<Array>}
+ */
+export async function selectInBatches(supabase, table, columns, column, values, narrow = (query) => query) {
+  const rows = [];
+  const unique = [...new Set(values)];
+  for (let i = 0; i < unique.length; i += ROLLUP_BATCH_SIZE) {
+    const batch = unique.slice(i, i + ROLLUP_BATCH_SIZE);
+    for (let from = 0; ; from += ROLLUP_PAGE_SIZE) {
+      const { data, error } = await narrow(supabase.from(table).select(columns).in(column, batch))
+        .order('id', { ascending: true })
+        .range(from, from + ROLLUP_PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < ROLLUP_PAGE_SIZE) break;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Load subtasks and time entries for a set of tasks and roll up their hours
+ * @param {object} supabase - Supabase client
+ * @param {Array} tasks - Task rows (id, owner_id, project_id, estimated_hours)
+ * @returns {Promise<object>} - Result of rollupHours
+ */
+export async function getHoursRollup(supabase, tasks) {
+  if (!Array.isArray(tasks) || tasks.length === 0) return rollupHours({});
+
+  const taskIds = tasks.map((t) => t.id);
+  const subtasks = await selectInBatches(supabase, 'sub_task', 'id, parent_task_id, estimated_hours', 'parent_task_id', taskIds);
+  const entries = await selectInBatches(
+    supabase,
+    'task_time_entries',
+    'id, task_id, emp_id, minutes, started_at, ended_at',
+    'task_id',
+    taskIds
+  );
+
+  return rollupHours({ tasks, subtasks, entries });
+}
+
+/**
+ * Estimated vs. logged hours of a set of employees: estimates of the live tasks they
+ * own, and the time they logged on any live task
+ * @param {object} supabase - Supabase client
+ * @param {string[]} empIds
+ * @returns {Promise<Object<string, {estimated_hours: number, logged_hours: number}>>} - By emp_id
+ */
+export async function getEmployeeHours(supabase, empIds) {
+  if (!Array.isArray(empIds) || empIds.length === 0) return {};
+
+  const liveOnly = (query) => query.is('deleted_at', null);
+  const owned = await selectInBatches(supabase, 'tasks', 'id, owner_id, project_id, estimated_hours', 'owner_id', empIds, liveOnly);
+  const entries = await selectInBatches(
+    supabase,
+    'task_time_entries',
+    'id, task_id, emp_id, minutes, started_at, ended_at',
+    'emp_id',
+    empIds
+  );
+
+  // Time logged on other people's tasks counts too, as long as the task is live
+  const ownedIds = new Set(owned.map((t) => Number(t.id)));
+  const otherIds = entries.map((e) => Number(e.task_id)).filter((id) => !ownedIds.has(id));
+  const others = await selectInBatches(supabase, 'tasks', 'id, project_id', 'id', otherIds, liveOnly);
+
+  const subtasks = await selectInBatches(
+    supabase,
+    'sub_task',
+    'id, parent_task_id, estimated_hours',
+    'parent_task_id',
+    owned.filter((t) => t.estimated_hours === null || t.estimated_hours === undefined).map((t) => t.id)
+  );
+
+  // Other people's tasks only carry logged time here, not their estimates
+  const tasks = [...owned, ...others.map((t) => ({ ...t, owner_id: null, estimated_hours: 0 }))];
+  return rollupHours({ tasks, subtasks, entries }).byEmployee;
+}
+
+const timeTrackingService = {
+  MAX_ESTIMATED_HOURS,
+  MAX_ENTRY_MINUTES,
+  parseEstimatedHours,
+  minutesToHours,
+  getEntryMinutes,
+  summarizeEntries,
+  getTaskEstimate,
+  rollupHours,
+  selectInBatches,
+  getHoursRollup,
+  getEmployeeHours
+};
+
+export default timeTrackingService;
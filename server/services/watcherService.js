@@ -0,0 +1,178 @@
+/**
+ * Watcher Service
+ *
+ * Logic:
+ * - Anyone who can see a task (or a project) may follow it; following only subscribes
+ *   them to "Task Update" notifications and never grants edit rights
+ * - Watching a project means watching every task in it, so a task's watchers are its
+ *   own watchers plus its project's watchers
+ * - Owners and collaborators already hear about updates, so they (and the editor) are
+ *   left out when watcher notifications are built
+ */
+
+import { parseCollaborators } from '../lib/taskAccess.js';
+
+export const WATCH_TARGETS = {
+  task: { table: 'task_watchers', key: 'task_id' },
+  project: { table: 'project_watchers', key: 'project_id' },
+};
+
+const targetFor = (target) => {
+  const config = WATCH_TARGETS[target];
+  if (!config) throw new Error(`Unknown watch target: ${target}`);
+  return config;
+};
+
+const toEmpIds = (rows) =>
+  [...new Set((rows || []).map((row) => row?.emp_id).filter((id) => id !== null && id !== undefined && id !== '').map(String))];
+
+/**
+ * emp_ids watching a task or project
+ * @param {object} supabase - Supabase client
+ * @param {'task'|'project'} target - What is watched
+ * @param {number} id - Task or project id
+ * @returns {Promise<string[]>}
+ */
+export async function listWatchers(supabase, target, id) {
+  const { table, key } = targetFor(target);
+  const { data, error } = await supabase.from(table).select('emp_id').eq(key, id);
+  if (error) throw error;
+  return toEmpIds(data);
+}
+
+/**
+ * Watchers (with names) of a task or project, and whether one employee is among them
+ * @param {object} supabase - Supabase client
+ * @param {'task'|'project'} target - What is watched
+ * @param {number} id - Task or project id
+ * @param {string} empId - The employee asking
+ * @returns {Promise<{watching: boolean, watchers: Array<{emp_id: string, name: string|null}>}>}
+ */
+export async function getWatchState(supabase, target, id, empId) {
+  const ids = await listWatchers(supabase, target, id);
+  let watchers = [];
+  if (ids.length > 0) {
+    const { data: users } = await supabase.from('users').select('emp_id, name').in('emp_id', ids);
+    const names = new Map((users || []).map((u) => [String(u.emp_id), u.name]));
+    watchers = ids.map((watcherId) => ({ emp_id: watcherId, name: names.get(watcherId) || null }));
+  }
+  return { watching: ids.includes(String(empId)), watchers };
+}
+
+/**
+ * Start watching a task or project (following twice is a no-op)
+ * @param {object} supabase - Supabase client
+ * @param {'task'|'project'} target - What is watched
+ * @param {number} id - Task or project id
+ * @param {string} empId - The follower
+ */
+export async function follow(supabase, target, id, empId) {
+  const { table, key } = targetFor(target);
+  const { error } = await supabase
+    .from(table)
+    .upsert([{ [key]: id, emp_id: String(empId) }], { onConflict: `${key},emp_id`, ignoreDuplicates: true });
+  if (error) throw error;
+}
+
+/**
+ * Stop watching a task or project
+ * @param {object} supabase - Supabase client
+ * @param {'task'|'project'} target - What is watched
+ * @param {number} id - Task or project id
+ * @param {string} empId - The follower
+ */
+export async function unfollow(supabase, target, id, empId) {
+  const { table, key } = targetFor(target);
+  const { error } = await supabase.from(table).delete().eq(key, id).eq('emp_id', String(empId));
+  if (error) throw error;
+}
+
+/**
+ * Everyone watching a task, directly or through its project
+ * @param {object} supabase - Supabase client
+ * @param {object} task - Task row with id and project_id
+ * @returns {Promise<string[]>}
+ */
+export async function getTaskWatcherIds(supabase, task) {
+  const ids = await listWatchers(supabase, 'task', task.id);
+  if (task.project_id) ids.push(...(await listWatchers(supabase, 'project', task.project_id)));
+  return [...new Set(ids)];
+}
+
+/**
+ * Watchers of several tasks at once, keyed by task id
+ * @param {object} supabase - Supabase client
+ * @param {Array<object>} tasks - Task rows with id and project_id
+ * @returns {Promise<Map<number, string[]>>}
+ */
+export async function getWatcherIdsByTask(supabase, tasks = []) {
+  const byTask = new Map((tasks || []).map((task) => [task.id, new Set()]));
+  if (byTask.size === 0) return new Map();
+
+  const { data: taskRows, error: taskErr } = await supabase
+    .from('task_watchers')
+    .select('task_id, emp_id')
+    .in('task_id', [...byTask.keys()]);
+  if (taskErr) throw taskErr;
+  (taskRows || []).forEach((row) => byTask.get(row.task_id)?.add(String(row.emp_id)));
+
+  const projectIds = [...new Set(tasks.map((task) => task.project_id).filter(Boolean))];
+  if (projectIds.length > 0) {
+    const { data: projectRows, error: projectErr } = await supabase
+      .from('project_watchers')
+      .select('project_id, emp_id')
+      .in('project_id', projectIds);
+    if (projectErr) throw projectErr;
+    tasks.forEach((task) => {
+      (projectRows || [])
+        .filter((row) => row.project_id === task.project_id)
+        .forEach((row) => byTask.get(task.id).add(String(row.emp_id)));
+    });
+  }
+
+  return new Map([...byTask.entries()].map(([taskId, ids]) => [taskId, [...ids]]));
+}
+
+/**
+ * Watchers who still need a notification: not the editor, and not the task's owner or
+ * collaborators (they are notified as members)
+ * @param {string[]} watcherIds - Watchers of the task
+ * @param {object} task - Task row with owner_id and collaborators
+ * @param {string} editorEmpId - Who made the change
+ * @returns {string[]}
+ */
+export function selectWatcherRecipients(watcherIds = [], task = {}, editorEmpId = null) {
+  const skip = new Set([editorEmpId, task?.owner_id, ...parseCollaborators(task?.collaborators)]
+    .filter((id) => id !== null && id !== undefined)
+    .map(String));
+  return [...new Set((watcherIds || []).map(String))].filter((empId) => !skip.has(empId));
+}
+
+/**
+ * "Task Update" notifications for a task's watchers
+ * @param {object} task - The updated task
+ * @param {string[]} recipients - selectWatcherRecipients output
+ * @param {object} options - { editorName }
+ * @returns {Array<{empId: string, title: string, description: string}>}
+ */
+export function buildWatcherNotifications(task, recipients = [], { editorName = 'Someone' } = {}) {
+  return recipients.map((empId) => ({
+    empId,
+    title: `Task Updated (${task.title})`,
+    description: `${editorName} updated a task you're following: "${task.title}."`,
+  }));
+}
+
+const watcherService = {
+  WATCH_TARGETS,
+  listWatchers,
+  getWatchState,
+  follow,
+  unfollow,
+  getTaskWatcherIds,
+  getWatcherIdsByTask,
+  selectWatcherRecipients,
+  buildWatcherNotifications,
+};
+
+export default watcherService;
@@ -0,0 +1,266 @@
+/**
+ * Workflow Service
+ *
+ * Logic:
+ * - A single definition of the task status workflow: the statuses, the transitions
+ *   between them, which actors may perform each transition and which states are terminal
+ * - Status keys are the lowercase canonical names; `stored` is the value written to
+ *   tasks.status / sub_task.status ("Under Review" keeps its historical casing)
+ * - Legacy spellings ("on going", "under_review", "in_progress", ...) normalise to keys
+ * - Actors are derived per task: owner, collaborator, the reviewer the task was
+ *   submitted to, plus the requester's role (manager / director); a transition is
+ *   allowed if any actor is listed for it
+ * - Only the reviewer (or a manager / director) can complete a task under review;
+ *   the owner or a collaborator can withdraw it back to ongoing
+ * - A status with `via` is only entered through that flow: tasks go under review by
+ *   being submitted (POST /tasks/:id/review/submit, which records the reviewer), never by a
+ *   plain or bulk edit
+ * - Re-saving the current status is always allowed
+ */
+
+export const ACTORS = ['owner', 'collaborator', 'reviewer', 'manager', 'director'];
+
+export const TASK_WORKFLOW = {
+  initial: 'ongoing',
+  statuses: [
+    { key: 'unassigned', label: 'Unassigned', stored: 'unassigned', category: 'not_started', terminal: false },
+    { key: 'ongoing', label: 'Ongoing', stored: 'ongoing', category: 'active', terminal: false },
+    { key: 'under review', label: 'Under Review', stored: 'Under Review', category: 'active', terminal: false, via: 'review' },
+    { key: 'completed', label: 'Completed', stored: 'completed', category: 'done', terminal: true },
+  ],
+  transitions: [
+    { from: 'unassigned', to: 'ongoing', actors: ['owner', 'manager', 'director'] },
+    { from: 'ongoing', to: 'unassigned', actors: ['owner', 'manager', 'director'] },
+    { from: 'ongoing', to: 'under review', actors: ['owner', 'collaborator'] },
+    { from: 'ongoing', to: 'completed', actors: ['owner', 'collaborator'] },
+    { from: 'under review', to: 'ongoing', actors: ['owner', 'collaborator', 'reviewer', 'manager', 'director'] },
+    { from: 'under review', to: 'completed', actors: ['reviewer', 'manager', 'director'] },
+    // Reopening a completed task
+    { from: 'completed', to: 'ongoing', actors: ['owner', 'manager', 'director'] },
+  ],
+};
+
+export const STATUS_KEYS = TASK_WORKFLOW.statuses.map((s) => s.key);
+
+export const INVALID_STATUS_ERROR = `Invalid status. Must be one of: ${STATUS_KEYS.join(', ')}`;
+
+export const REVIEW_SUBMIT_REQUIRED_ERROR = 'Tasks go under review by being submitted: use POST /tasks/:id/review/submit';
+
+const STATUS_BY_KEY = new Map(TASK_WORKFLOW.statuses.map((s) => [s.key, s]));
+
+// Spellings that were used by older code paths and seed data
+const LEGACY_ALIASES = {
+  'on going': 'ongoing',
+  'in progress': 'ongoing',
+  in_progress: 'ongoing',
+  'in-progress': 'ongoing',
+  under_review: 'under review',
+  'under-review': 'under review',
+  done: 'completed',
+};
+
+/**
+ * Resolve any stored or legacy status value to its workflow key
+ * @param {string} status - Raw status value
+ * @returns {string|null} - Workflow key, or null if the value is unknown
+ */
+export function toStatusKey(status) {
+  if (status === undefined || status === null) return null;
+  const lower = String(status).trim().toLowerCase();
+  if (STATUS_BY_KEY.has(lower)) return lower;
+  return LEGACY_ALIASES[lower] || null;
+}
+
+/**
+ * Check whether a value names a workflow status
+ * @param {string} status - Raw status value
+ * @returns {boolean}
+ */
+export function isKnownStatus(status) {
+  return toStatusKey(status) !== null;
+}
+
+/**
+ * Normalise a status for storage; empty values fall back to the initial status
+ * @param {string} status - Raw status value
+ * @returns {string|null} - Stored value, or null if the value is unknown
+ */
+export function normalizeStatus(status) {
+  if (!status) return STATUS_BY_KEY.get(TASK_WORKFLOW.initial).stored;
+  const key = toStatusKey(status);
+  return key ? STATUS_BY_KEY.get(key).stored : null;
+}
+
+/**
+ * Display label for a status
+ * @param {string} status - Raw status value
+ * @returns {string} - Label, or the raw value if unknown
+ */
+export function getStatusLabel(status) {
+  const key = toStatusKey(status);
+  return key ? STATUS_BY_KEY.get(key).label : String(status || '');
+}
+
+/**
+ * Flow a status can only be entered through
+ * @param {string} status - Raw status value
+ * @returns {string|null} - e.g. 'review' for "Under Review", null for statuses any edit may set
+ */
+export function getStatusVia(status) {
+  const key = toStatusKey(status);
+  return (key && STATUS_BY_KEY.get(key).via) || null;
+}
+
+/**
+ * @param {string} status - Raw status value
+ * @returns {boolean} - True for terminal states (no further work expected)
+ */
+export function isTerminalStatus(status) {
+  const key = toStatusKey(status);
+  return Boolean(key && STATUS_BY_KEY.get(key).terminal);
+}
+
+/**
+ * @param {string} status - Raw status value
+ * @returns {boolean} - True for statuses being worked on (neither unstarted nor terminal)
+ */
+export function isActiveStatus(status) {
+  const key = toStatusKey(status);
+  return Boolean(key && STATUS_BY_KEY.get(key).category === 'active');
+}
+
+/**
+ * @param {string} status - Raw status value
+ * @returns {boolean} - True for statuses where work has not been picked up
+ */
+export function isNotStartedStatus(status) {
+  const key = toStatusKey(status);
+  return Boolean(key && STATUS_BY_KEY.get(key).category === 'not_started');
+}
+
+/**
+ * Work out which workflow actors the requester is on a task
+ * @param {object} task - Task row (owner_id, collaborators, reviewer_id)
+ * @param {string} empId - Requester emp_id
+ * @param {string} role - Requester role from users.role
+ * @returns {string[]} - Subset of ACTORS
+ */
+export function getActors(task, empId, role) {
+  const actors = [];
+  if (task && String(task.owner_id) === String(empId)) actors.push('owner');
+
+  let collaborators = task?.collaborators || [];
+  if (typeof collaborators === 'string') {
+    try {
+      collaborators = JSON.parse(collaborators);
+    } catch (e) {
+      collaborators = [];
+    }
+  }
+  if (Array.isArray(collaborators) && collaborators.map(String).includes(String(empId))) {
+    actors.push('collaborator');
+  }
+  if (task?.reviewer_id && String(task.reviewer_id) === String(empId)) actors.push('reviewer');
+
+  const normalizedRole = String(role || '').toLowerCase();
+  if (normalizedRole === 'manager' || normalizedRole === 'director') actors.push(normalizedRole);
+  return actors;
+}
+
+/**
+ * Check a status change against the workflow
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string[]} actors - Actors the requester acts as (see getActors)
+ * @param {object} [options]
+ * @param {string} [options.via] - Flow making the change ('review' for a submission);
+ *   statuses with `via` can only be entered through their flow
+ * @returns {{allowed: boolean, code: number|null, error: string|null}} - code is the
+ *   HTTP status to answer with when the change is refused
+ */
+export function checkTransition(from, to, actors = [], { via = null } = {}) {
+  const toKey = toStatusKey(to);
+  if (!toKey) {
+    return { allowed: false, code: 400, error: INVALID_STATUS_ERROR };
+  }
+
+  const fromKey = toStatusKey(from);
+  if (fromKey === toKey) return { allowed: true, code: null, error: null };
+
+  const requiredVia = getStatusVia(toKey);
+  if (requiredVia && requiredVia !== via) {
+    return { allowed: false, code: 400, error: REVIEW_SUBMIT_REQUIRED_ERROR };
+  }
+
+  // Rows with an unknown current status can be moved into the workflow freely
+  if (!fromKey) return { allowed: true, code: null, error: null };
+
+  const transition = TASK_WORKFLOW.transitions.find((t) => t.from === fromKey && t.to === toKey);
+  if (!transition) {
+    return {
+      allowed: false,
+      code: 409,
+      error: `Cannot change status from "${getStatusLabel(fromKey)}" to "${getStatusLabel(toKey)}"`,
+    };
+  }
+  if (!transition.actors.some((actor) => actors.includes(actor))) {
+    return {
+      allowed: false,
+      code: 403,
+      error: `Only ${transition.actors.join(' / ')} can change status from "${getStatusLabel(fromKey)}" to "${getStatusLabel(toKey)}"`,
+    };
+  }
+  return { allowed: true, code: null, error: null };
+}
+
+/**
+ * Statuses the given actors may move a task to from its current status
+ * @param {string} from - Current status
+ * @param {string[]} actors - Actors the requester acts as
+ * @param {object} [options]
+ * @param {string} [options.via] - As for checkTransition
+ * @returns {string[]} - Workflow keys
+ */
+export function getAllowedTransitions(from, actors = [], { via = null } = {}) {
+  const fromKey = toStatusKey(from);
+  return TASK_WORKFLOW.transitions
+    .filter((t) => t.from === fromKey && t.actors.some((actor) => actors.includes(actor)))
+    .filter((t) => !getStatusVia(t.to) || getStatusVia(t.to) === via)
+    .map((t) => t.to);
+}
+
+/**
+ * Count tasks per workflow status; unknown statuses are ignored
+ * @param {Array<{status: string}>} tasks
+ * @returns {Object<string, number>} - Count per workflow key (every key present)
+ */
+export function countByStatus(tasks = []) {
+  const counts = Object.fromEntries(STATUS_KEYS.map((key) => [key, 0]));
+  for (const task of tasks) {
+    const key = toStatusKey(task?.status);
+    if (key) counts[key] += 1;
+  }
+  return counts;
+}
+
+const workflowService = {
+  ACTORS,
+  TASK_WORKFLOW,
+  STATUS_KEYS,
+  INVALID_STATUS_ERROR,
+  REVIEW_SUBMIT_REQUIRED_ERROR,
+  toStatusKey,
+  isKnownStatus,
+  normalizeStatus,
+  getStatusLabel,
+  getStatusVia,
+  isTerminalStatus,
+  isActiveStatus,
+  isNotStartedStatus,
+  getActors,
+  checkTransition,
+  getAllowedTransitions,
+  countByStatus,
+};
+
+export default workflowService;
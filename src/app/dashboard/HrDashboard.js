@@ -8,6 +8,7 @@ import { Bar, Pie, Line } from "react-chartjs-2";
 import HeaderBar from "@/components/layout/HeaderBar";
 import { StatCard } from "@/components/ui/StatCard";
 import { Th, Td } from "@/components/ui/Table";
+import { isCompletedStatus } from "@/constants/taskConstants";
 
 // Chart.js registration
 import {
@@ -210,7 +211,7 @@ function OverviewTab({
         }
 
         monthlyTrends[period].total++;
-        if (task.status === "completed") {
+        if (isCompletedStatus(task.status)) {
           monthlyTrends[period].completed++;
         }
       } catch (e) {
@@ -526,6 +527,9 @@ function AnalyticsTab({ performanceRankings, trends, departments }) {
                 <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Tasks
                 </th>
+                <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Hours (Logged / Est.)
+                </th>
                 <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Score
                 </th>
@@ -550,6 +554,9 @@ function AnalyticsTab({ performanceRankings, trends, departments }) {
                     <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
                       {emp.completedTasks}/{emp.totalTasks}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
+                      {emp.loggedHours ?? 0}h / {emp.estimatedHours ?? 0}h
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-medium text-gray-900">
                       {Math.round(emp.performanceScore)}%
                     </td>
@@ -1,10 +1,14 @@
 // app/dashboard/ManagerDashboard.js
 "use client";
 
+import { useEffect } from "react";
 import { useManagerTasks } from "@/utils/hooks/useManagerTasks";
 import { useManagerProjects } from "@/utils/hooks/useManagerProjects";
+import { useTaskReview } from "@/utils/hooks/useTaskReview";
 import TaskCard from "@/components/tasks/TaskCard";
+import TaskReviewDecision from "@/components/tasks/TaskReviewDecision";
 import HeaderBar from "@/components/layout/HeaderBar";
+import { TASK_STATUSES, getStatusBadgeClasses } from "@/constants/taskConstants";
 
 export default function ManagerDashboard({ user, userProfile, onLogout }) {
   const {
@@ -15,7 +19,18 @@ export default function ManagerDashboard({ user, userProfile, onLogout }) {
     updateTaskAssignment,
     getTasksByStatus,
     getOverdueTasks,
+    refreshData,
   } = useManagerTasks();
+  const {
+    queue: reviewQueue,
+    fetchReviewQueue,
+    approveReview,
+    requestChanges,
+  } = useTaskReview();
+
+  useEffect(() => {
+    fetchReviewQueue();
+  }, [fetchReviewQueue]);
 
   const handleLogout = async () => {
     await signOut();
@@ -49,19 +64,6 @@ export default function ManagerDashboard({ user, userProfile, onLogout }) {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
-      case "completed":
-        return "bg-green-100 text-green-800";
-      case "ongoing":
-        return "bg-blue-100 text-blue-800";
-      case "under review":
-        return "bg-yellow-100 text-yellow-800";
-      default:
-        return "bg-gray-100 text-gray-800";
-    }
-  };
-
   const getProjectName = (projectId) => {
     const project = allProjects?.find((p) => p.id === projectId);
     return project?.title || `ID: ${projectId}`;
@@ -71,9 +73,16 @@ export default function ManagerDashboard({ user, userProfile, onLogout }) {
     updateTaskAssignment(id, task.collaborators || [], updates);
 
   const buildCompleteHandler = (task) => (id) =>
-    updateTaskAssignment(id, task.collaborators || [], { status: "completed" });
+    updateTaskAssignment(id, task.collaborators || [], { status: TASK_STATUSES.COMPLETED });
+
+  // Decisions change the task's status, so the task lists are reloaded afterwards
+  const buildReviewHandler = (decide, taskId) => async (comment) => {
+    const result = await decide(taskId, comment);
+    if (result.success) refreshData();
+    return result;
+  };
 
-  const activeTasks = getTasksByStatus("ongoing") || [];
+  const activeTasks = getTasksByStatus(TASK_STATUSES.ONGOING) || [];
   const overdueTasks = getOverdueTasks() || [];
 
   if (loading) {
@@ -200,6 +209,46 @@ export default function ManagerDashboard({ user, userProfile, onLogout }) {
               </div>
             </div>
 
+            {/* Pending my review */}
+            <div className="bg-white shadow rounded-lg mb-8">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                  Pending my review
+                  {reviewQueue.length > 0 && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                      {reviewQueue.length}
+                    </span>
+                  )}
+                </h3>
+                {reviewQueue.length === 0 ? (
+                  <div className="text-center py-4 text-gray-500">
+                    No tasks waiting for your review
+                  </div>
+                ) : (
+                  <div className="divide-y divide-gray-200">
+                    {reviewQueue.map((task) => (
+                      <div key={task.id} className="py-4 grid gap-3 md:grid-cols-2">
+                        <div>
+                          <p className="font-medium text-gray-900">{task.title}</p>
+                          <p className="text-sm text-gray-500">
+                            Submitted by {task.owner_name || task.owner_id} · Due {formatDate(task.due_date)}
+                          </p>
+                          {task.project_id && (
+                            <p className="text-xs text-gray-400">{getProjectName(task.project_id)}</p>
+                          )}
+                        </div>
+                        <TaskReviewDecision
+                          compact
+                          onApprove={buildReviewHandler(approveReview, task.id)}
+                          onRequestChanges={buildReviewHandler(requestChanges, task.id)}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+
             {/* Recent Tasks */}
             <div className="bg-white shadow rounded-lg">
               <div className="px-4 py-5 sm:p-6">
@@ -218,7 +267,7 @@ export default function ManagerDashboard({ user, userProfile, onLogout }) {
                         task={task}
                         formatDate={formatDate}
                         getPriorityColor={getPriorityColor}
-                        getStatusColor={getStatusColor}
+                        getStatusColor={getStatusBadgeClasses}
                         getProjectName={getProjectName}
                         canEdit={
                           userProfile?.emp_id === task.owner_id ||
@@ -142,6 +142,13 @@ export default function StaffDashboard({
                       >
                         New Task
                       </Link>
+                      <span className="text-gray-300"> · </span>
+                      <Link
+                        href="/dashboard/tasks/import"
+                        className="text-sm text-gray-600 hover:text-gray-800"
+                      >
+                        Import CSV
+                      </Link>
                     </dd>
                   </dl>
                 </div>
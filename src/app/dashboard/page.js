@@ -8,6 +8,7 @@ import { useTasks } from "@/utils/hooks/useTasks";
 import { useProjects } from "@/utils/hooks/useProjects";
 import { useAuth } from "@/utils/hooks/useAuth";
 import { createClient } from "@/utils/supabase/client";
+import { getStatusBadgeClasses } from "@/constants/taskConstants";
 
 // Import manager/HR dashboard component
 import ManagerDashboard from "./ManagerDashboard";
@@ -246,19 +247,6 @@ export default function DashboardPage() {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
-      case "completed":
-        return "bg-green-100 text-green-800";
-      case "ongoing":
-        return "bg-blue-100 text-blue-800";
-      case "under review":
-        return "bg-yellow-100 text-yellow-800";
-      default:
-        return "bg-gray-100 text-gray-800";
-    }
-  };
-
   const getProjectName = (projectId) => {
     const project = projects.find((p) => p.id === projectId);
     return project ? project.title : projectId; // fallback to ID if not found
@@ -359,7 +347,7 @@ export default function DashboardPage() {
           projectsError={projectsError}
           formatDate={formatDate}
           getPriorityColor={getPriorityColor}
-          getStatusColor={getStatusColor}
+          getStatusColor={getStatusBadgeClasses}
           getProjectName={getProjectName}
           toggleTaskComplete={toggleTaskComplete}
           handleLogout={handleLogout}
@@ -1,13 +1,17 @@
 "use client";
 
+import { useState } from "react";
 import Link from "next/link";
 import { useTasks } from "@/utils/hooks/useTasks";
 import { useAuth } from "@/utils/hooks/useAuth";
 import ManagerTasks from "./ManagerTasks";
+import TaskSearchBar from "@/components/tasks/TaskSearchBar";
 
 export default function DirectorTasksView({ onLogout, showHeader = true, projectNames = {} }) {
   const { user, userProfile, signOut } = useAuth();
-  const { tasks = [], toggleTaskComplete, updateTask } = useTasks(user);
+  const { tasks = [], toggleTaskComplete, updateTask, fetchTasks } = useTasks(user);
+  // Server-side search results replace the full task list while a search is active
+  const [searchResults, setSearchResults] = useState(null);
 
   const handleLogout = async () => {
     await signOut();
@@ -44,31 +48,42 @@ export default function DirectorTasksView({ onLogout, showHeader = true, project
         <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3 mb-6">
           <h2 className="text-xl font-semibold text-gray-900">Task Across Teams</h2>
 
-          <Link
-            href="/dashboard/tasks/create"
-            className="w-full sm:w-auto inline-flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2.5 sm:py-2 rounded-lg text-sm font-medium transition-all duration-200 shadow-sm hover:shadow-md"
-          >
-            <svg
-              className="w-4 h-4 flex-shrink-0"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+          <div className="w-full sm:w-auto flex gap-2">
+            <Link
+              href="/dashboard/tasks/import"
+              className="w-full sm:w-auto inline-flex items-center justify-center px-4 py-2.5 sm:py-2 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M12 4v16m8-8H4"
-              />
-            </svg>
-            <span className="whitespace-nowrap">Create Task</span>
-          </Link>
+              Import CSV
+            </Link>
+            <Link
+              href="/dashboard/tasks/create"
+              className="w-full sm:w-auto inline-flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2.5 sm:py-2 rounded-lg text-sm font-medium transition-all duration-200 shadow-sm hover:shadow-md"
+            >
+              <svg
+                className="w-4 h-4 flex-shrink-0"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M12 4v16m8-8H4"
+                />
+              </svg>
+              <span className="whitespace-nowrap">Create Task</span>
+            </Link>
+          </div>
         </div>
 
+        <TaskSearchBar onResultsChange={setSearchResults} />
+
         {/* Manager view of tasks */}
         <ManagerTasks
-          tasks={tasks}
+          tasks={searchResults ?? tasks}
           onEditTask={handleEditTask}
+          onTaskRemoved={() => fetchTasks()}
           currentUserEmpId={currentUserEmpId}
           onLogout={handleLogout}
           projectNames={projectNames}
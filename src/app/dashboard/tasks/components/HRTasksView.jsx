@@ -4,25 +4,33 @@ import Link from "next/link";
 import TaskCard from "@/components/tasks/TaskCard";
 import { formatDate, getPriorityColor, getStatusColor } from "./taskUtils";
 import { useAuth } from "@/utils/hooks/useAuth";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { TASK_STATUSES, toStatusKey } from "@/constants/taskConstants";
 import { useTasks } from "@/utils/hooks/useTasks";
 import { useState, useEffect } from "react";
 
 // Status mapping (from backend to frontend display)
-const statusOrder = ["ongoing", "under review", "completed"];
-const statusLabels = {
-  ongoing: "Ongoing",
-  "under review": "Under Review",
-  completed: "Completed",
-};
+const statusOrder = [
+  TASK_STATUSES.ONGOING,
+  TASK_STATUSES.UNDER_REVIEW,
+  TASK_STATUSES.COMPLETED,
+];
 
 const statusColors = {
-  ongoing: "bg-blue-50",
-  "under review": "bg-yellow-50",
-  completed: "bg-green-50",
+  [TASK_STATUSES.ONGOING]: "bg-blue-50",
+  [TASK_STATUSES.UNDER_REVIEW]: "bg-yellow-50",
+  [TASK_STATUSES.COMPLETED]: "bg-green-50",
+};
+
+const dotColors = {
+  [TASK_STATUSES.ONGOING]: "bg-blue-400",
+  [TASK_STATUSES.UNDER_REVIEW]: "bg-yellow-400",
+  [TASK_STATUSES.COMPLETED]: "bg-green-400",
 };
 
 export default function HrTasksView({ onLogout, showHeader = true }) {
   const { user, userProfile } = useAuth();
+  const { getStatusLabel } = useTaskWorkflow();
   const [hrStaff, setHrStaff] = useState([]);
   const { tasks = [], updateTask } = useTasks(user);
   
@@ -63,7 +71,7 @@ export default function HrTasksView({ onLogout, showHeader = true }) {
   
   // Group tasks by status
   const grouped = statusOrder.reduce((acc, status) => {
-    acc[status] = tasks.filter((t) => t.status?.toLowerCase() === status.toLowerCase());
+    acc[status] = tasks.filter((t) => toStatusKey(t.status) === status);
     return acc;
   }, {});
 
@@ -78,18 +86,10 @@ export default function HrTasksView({ onLogout, showHeader = true }) {
               >
                 <div className="flex items-center mb-2">
                   <span
-                    className={`w-3 h-3 rounded-full mr-2 ${
-                      status === "todo"
-                        ? "bg-yellow-400"
-                        : status === "in_progress"
-                        ? "bg-blue-400"
-                        : status === "done"
-                        ? "bg-green-400"
-                        : "bg-gray-400"
-                    }`}
+                    className={`w-3 h-3 rounded-full mr-2 ${dotColors[status] || "bg-gray-400"}`}
                   />
                   <span className="font-semibold">
-                    {statusLabels[status]}{" "}
+                    {getStatusLabel(status)}{" "}
                     <span className="bg-white rounded-full px-2 py-0.5 text-xs ml-1 border">
                       {grouped[status]?.length || 0}
                     </span>
@@ -3,36 +3,39 @@
 import TaskCard from "@/components/tasks/TaskCard";
 import { formatDate, getPriorityColor, getStatusColor } from "./taskUtils";
 import { useAuth } from "@/utils/hooks/useAuth";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { TASK_STATUSES, toStatusKey } from "@/constants/taskConstants";
 
-const statusOrder = ["unassigned", "ongoing", "under review", "completed"];
-const statusLabels = {
-  unassigned: "Unassigned",
-  ongoing: "Ongoing",
-  "under review": "Under Review",
-  completed: "Completed",
-};
+const statusOrder = [
+  TASK_STATUSES.UNASSIGNED,
+  TASK_STATUSES.ONGOING,
+  TASK_STATUSES.UNDER_REVIEW,
+  TASK_STATUSES.COMPLETED,
+];
 
 const statusColors = {
-  unassigned: "bg-gray-50",
-  ongoing: "bg-yellow-50",
-  "under review": "bg-blue-50",
-  completed: "bg-green-50",
+  [TASK_STATUSES.UNASSIGNED]: "bg-gray-50",
+  [TASK_STATUSES.ONGOING]: "bg-yellow-50",
+  [TASK_STATUSES.UNDER_REVIEW]: "bg-blue-50",
+  [TASK_STATUSES.COMPLETED]: "bg-green-50",
 };
 
 const dotColors = {
-  unassigned: "bg-gray-500",
-  ongoing: "bg-yellow-400",
-  "under review": "bg-blue-400",
-  completed: "bg-green-400",
+  [TASK_STATUSES.UNASSIGNED]: "bg-gray-500",
+  [TASK_STATUSES.ONGOING]: "bg-yellow-400",
+  [TASK_STATUSES.UNDER_REVIEW]: "bg-blue-400",
+  [TASK_STATUSES.COMPLETED]: "bg-green-400",
 };
 
 export default function StaffTasksView({
   tasks = [],
   onLogout,
   onEditTask,
+  onTaskRemoved,
   showHeader = true,
 }) {
   const { user, userProfile } = useAuth();
+  const { getStatusLabel } = useTaskWorkflow();
 
   if (!userProfile) {
     return (
@@ -44,7 +47,7 @@ export default function StaffTasksView({
 
   const grouped = statusOrder.reduce((acc, status) => {
     acc[status] = tasks.filter(
-      (t) => t.status?.toLowerCase() === status.toLowerCase()
+      (t) => toStatusKey(t.status) === status
     );
     return acc;
   }, {});
@@ -64,7 +67,7 @@ export default function StaffTasksView({
               <div className="flex items-center">
                 <span className={`w-3 h-3 rounded-full mr-2 ${dotColors[status]}`} />
                 <span className="font-semibold text-gray-800 text-sm sm:text-base">
-                  {statusLabels[status]}
+                  {getStatusLabel(status)}
                 </span>
               </div>
               <span className="bg-white rounded-full px-2 py-0.5 text-xs border text-gray-600">
@@ -118,6 +121,7 @@ export default function StaffTasksView({
                       getPriorityColor={getPriorityColor}
                       getStatusColor={getStatusColor}
                       onTaskUpdate={onEditTask}
+                      onTaskRemoved={onTaskRemoved}
                     />
                   );
                 })
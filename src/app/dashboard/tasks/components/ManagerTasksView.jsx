@@ -6,18 +6,29 @@ import { useRouter } from "next/navigation";
 import { useTasks } from "@/utils/hooks/useTasks";
 import { useDepartmentTeams } from "@/utils/hooks/useDepartmentTeams";
 import ManagerTasks from "./ManagerTasks";
+import TaskSearchBar from "@/components/tasks/TaskSearchBar";
+import ExportButtons from "@/components/report/ExportButtons";
 import { useAuth } from "@/utils/hooks/useAuth";
+import { useProjects } from "@/utils/hooks/useProjects";
+import BulkActionBar from "@/components/tasks/BulkActionBar";
+import { TASK_STATUSES } from "@/constants/taskConstants";
+import { formatDate } from "./taskUtils";
 
 export default function ManagerTasksView({ currentUserEmpId, onLogout, showHeader = true, projectNames = {} }) {
   const [activeTab, setActiveTab] = useState("my-tasks");
+  // Multi-select for bulk changes; ids stay selected across both tabs
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
   const router = useRouter();
   const { user, signOut } = useAuth();
+  const { projects = [] } = useProjects(user);
 
   // Personal tasks (same as staff)
   const {
     tasks: myTasks = [],
     loading: tasksLoading,
     updateTask,
+    fetchTasks,
   } = useTasks(user);
 
   // Department workload data
@@ -26,8 +37,35 @@ export default function ManagerTasksView({ currentUserEmpId, onLogout, showHeade
     teamWorkload = {},
     loading: workloadLoading,
     error: workloadError,
+    refreshData: refreshWorkload,
   } = useDepartmentTeams();
 
+  const toggleSelected = (ids, selected) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      ids.forEach((id) => (selected ? next.add(id) : next.delete(id)));
+      return [...next];
+    });
+  };
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelectedIds([]);
+  };
+
+  const handleBulkDone = (result) => {
+    if (!result.success) return;
+    setSelectedIds([]);
+    fetchTasks();
+    if (typeof refreshWorkload === "function") refreshWorkload();
+  };
+
+  // People a bulk change can reassign to or add as collaborators: the manager's team members
+  const teamPeople = Object.entries(teamWorkload).map(([empId, data]) => ({
+    emp_id: empId,
+    name: data.member_info?.name,
+  }));
+
 
   const handleLogout = async () => {
     await signOut();
@@ -72,7 +110,19 @@ export default function ManagerTasksView({ currentUserEmpId, onLogout, showHeade
             </nav>
 
             {/*  Create Task Button */}
-            <div className="flex-shrink-0 w-full sm:w-auto">
+            <div className="flex-shrink-0 w-full sm:w-auto flex gap-2">
+              <button
+                onClick={() => (selecting ? stopSelecting() : setSelecting(true))}
+                className="w-full sm:w-auto inline-flex items-center justify-center px-4 py-2.5 sm:py-2 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+              >
+                {selecting ? "Done selecting" : "Select tasks"}
+              </button>
+              <Link
+                href="/dashboard/tasks/import"
+                className="w-full sm:w-auto inline-flex items-center justify-center px-4 py-2.5 sm:py-2 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+              >
+                Import CSV
+              </Link>
               <Link
                 href="/dashboard/tasks/create"
                 className="w-full sm:w-auto inline-flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2.5 sm:py-2 rounded-lg text-sm font-medium transition-all duration-200 shadow-sm hover:shadow-md"
@@ -104,11 +154,20 @@ export default function ManagerTasksView({ currentUserEmpId, onLogout, showHeade
               currentUserEmpId={currentUserEmpId}
               loading={tasksLoading}
               onEditTask={updateTask}
+              onTaskRemoved={() => fetchTasks()}
               projectNames={projectNames}
               onLogout={handleLogout}
+              selecting={selecting}
+              selectedIds={selectedIds}
+              onToggleSelected={toggleSelected}
             />
           )}
 
+          {activeTab === "team-workload" && (
+            <div className="flex justify-end mb-3">
+              <ExportButtons kind="workload" label="Export team workload" />
+            </div>
+          )}
           {activeTab === "team-workload" && (
             <TeamWorkloadTab
               departmentTeams={departmentTeams}
@@ -116,16 +175,43 @@ export default function ManagerTasksView({ currentUserEmpId, onLogout, showHeade
               loading={workloadLoading}
               error={workloadError}
               onLogout={handleLogout}
+              selecting={selecting}
+              selectedIds={selectedIds}
+              onToggleSelected={toggleSelected}
             />
           )}
         </div>
+
+        {selecting && (
+          <BulkActionBar
+            selectedIds={selectedIds}
+            people={teamPeople}
+            projects={projects}
+            onClear={() => setSelectedIds([])}
+            onDone={handleBulkDone}
+          />
+        )}
       </div>
     </div>
   );
 }
 
 //  Tasks Tab
-function MyTasksTab({ tasks = [], currentUserEmpId, loading, onEditTask, projectNames = {}, onLogout }) {
+function MyTasksTab({
+  tasks = [],
+  currentUserEmpId,
+  loading,
+  onEditTask,
+  onTaskRemoved,
+  projectNames = {},
+  onLogout,
+  selecting = false,
+  selectedIds = [],
+  onToggleSelected,
+}) {
+  // Server-side search results replace the personal task list while a search is active
+  const [searchResults, setSearchResults] = useState(null);
+
   if (loading) {
     return (
       <div className="bg-white shadow-sm rounded-lg p-4 sm:p-6">
@@ -137,8 +223,38 @@ function MyTasksTab({ tasks = [], currentUserEmpId, loading, onEditTask, project
     );
   }
 
+  if (searchResults !== null) {
+    return (
+      <>
+        <TaskSearchBar onResultsChange={setSearchResults} />
+        {searchResults.length === 0 ? (
+          <div className="bg-white shadow-sm rounded-lg p-4 sm:p-6 text-center text-gray-500">
+            No tasks match your search.
+          </div>
+        ) : selecting ? (
+          <SelectableTaskList
+            tasks={searchResults}
+            selectedIds={selectedIds}
+            onToggleSelected={onToggleSelected}
+            projectNames={projectNames}
+          />
+        ) : (
+          <ManagerTasks
+            tasks={searchResults}
+            onEditTask={onEditTask}
+            onTaskRemoved={onTaskRemoved}
+            currentUserEmpId={currentUserEmpId}
+            projectNames={projectNames}
+          />
+        )}
+      </>
+    );
+  }
+
   if (!tasks || tasks.length === 0) {
     return (
+      <>
+      <TaskSearchBar onResultsChange={setSearchResults} />
       <div className="bg-white shadow-sm rounded-lg p-4 sm:p-6">
         <div className="text-center py-8">
           <svg className="w-12 h-12 text-gray-300 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -157,21 +273,91 @@ function MyTasksTab({ tasks = [], currentUserEmpId, loading, onEditTask, project
           </Link>
         </div>
       </div>
+      </>
     );
   }
 
   return (
-    <ManagerTasks
-      tasks={tasks}
-      onEditTask={onEditTask}
-      currentUserEmpId={currentUserEmpId}
-      projectNames={projectNames}
-    />
+    <>
+      <TaskSearchBar onResultsChange={setSearchResults} />
+      {selecting ? (
+        <SelectableTaskList
+          tasks={tasks}
+          selectedIds={selectedIds}
+          onToggleSelected={onToggleSelected}
+          projectNames={projectNames}
+        />
+      ) : (
+        <ManagerTasks
+          tasks={tasks}
+          onEditTask={onEditTask}
+          onTaskRemoved={onTaskRemoved}
+          currentUserEmpId={currentUserEmpId}
+          projectNames={projectNames}
+        />
+      )}
+    </>
+  );
+}
+
+// Checkbox list shown instead of the task columns while picking tasks for a bulk change
+function SelectableTaskList({ tasks = [], selectedIds = [], onToggleSelected, projectNames = {} }) {
+  const allSelected = tasks.length > 0 && tasks.every((t) => selectedIds.includes(t.id));
+
+  return (
+    <div className="bg-white shadow-sm rounded-lg overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-3 py-2 w-8">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={(e) => onToggleSelected(tasks.map((t) => t.id), e.target.checked)}
+                aria-label="Select all tasks"
+              />
+            </th>
+            <th className="px-3 py-2 text-left font-medium text-gray-600">Task</th>
+            <th className="px-3 py-2 text-left font-medium text-gray-600">Status</th>
+            <th className="px-3 py-2 text-left font-medium text-gray-600">Priority</th>
+            <th className="px-3 py-2 text-left font-medium text-gray-600">Due</th>
+            <th className="px-3 py-2 text-left font-medium text-gray-600">Project</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {tasks.map((task) => (
+            <tr key={task.id} className={selectedIds.includes(task.id) ? "bg-blue-50" : ""}>
+              <td className="px-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(task.id)}
+                  onChange={(e) => onToggleSelected([task.id], e.target.checked)}
+                  aria-label={`Select ${task.title}`}
+                />
+              </td>
+              <td className="px-3 py-2 font-medium text-gray-900">{task.title}</td>
+              <td className="px-3 py-2 text-gray-700">{task.status}</td>
+              <td className="px-3 py-2 text-gray-700">{task.priority ?? "—"}</td>
+              <td className="px-3 py-2 text-gray-700">{task.due_date ? formatDate(task.due_date) : "—"}</td>
+              <td className="px-3 py-2 text-gray-700">{projectNames[task.project_id] || "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
   );
 }
 
 // ✅ FIX: Team Workload Tab - Fully responsive
-function TeamWorkloadTab({ departmentTeams = [], teamWorkload = {}, loading, error }) {
+function TeamWorkloadTab({
+  departmentTeams = [],
+  teamWorkload = {},
+  loading,
+  error,
+  selecting = false,
+  selectedIds = [],
+  onToggleSelected,
+}) {
   if (loading) {
     return (
       <div className="bg-white shadow-sm rounded-lg p-4 sm:p-6">
@@ -327,7 +513,17 @@ function TeamWorkloadTab({ departmentTeams = [], teamWorkload = {}, loading, err
                     </div>
                   </div>
                   
-                  <div className="flex-shrink-0">
+                  <div className="flex-shrink-0 flex items-center gap-3">
+                    {selecting && memberData.owned_tasks.length > 0 && (
+                      <label className="flex items-center gap-1.5 text-xs text-gray-700 whitespace-nowrap">
+                        <input
+                          type="checkbox"
+                          checked={memberData.owned_tasks.every((t) => selectedIds.includes(t.id))}
+                          onChange={(e) => onToggleSelected(memberData.owned_tasks.map((t) => t.id), e.target.checked)}
+                        />
+                        Select their {memberData.owned_tasks.length} owned task{memberData.owned_tasks.length === 1 ? "" : "s"}
+                      </label>
+                    )}
                     <span className={`px-3 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${
                       workloadLevel === 'high' ? 'bg-red-100 text-red-800' :
                       workloadLevel === 'medium' ? 'bg-yellow-100 text-yellow-800' :
@@ -375,13 +571,13 @@ function TeamWorkloadTab({ departmentTeams = [], teamWorkload = {}, loading, err
                 {/* 🎯 RESPONSIVE: Task Status Breakdown */}
                 <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-600">
                   <span className="whitespace-nowrap">
-                    Under Review: <span className="font-medium text-gray-900">{memberData.task_status_breakdown['under review'] || 0}</span>
+                    Under Review: <span className="font-medium text-gray-900">{memberData.task_status_breakdown[TASK_STATUSES.UNDER_REVIEW] || 0}</span>
                   </span>
                   <span className="whitespace-nowrap">
-                    Ongoing: <span className="font-medium text-gray-900">{memberData.task_status_breakdown.ongoing || 0}</span>
+                    Ongoing: <span className="font-medium text-gray-900">{memberData.task_status_breakdown[TASK_STATUSES.ONGOING] || 0}</span>
                   </span>
                   <span className="whitespace-nowrap">
-                    Completed: <span className="font-medium text-gray-900">{memberData.task_status_breakdown.completed || 0}</span>
+                    Completed: <span className="font-medium text-gray-900">{memberData.task_status_breakdown[TASK_STATUSES.COMPLETED] || 0}</span>
                   </span>
                 </div>
               </div>
@@ -1,29 +1,32 @@
 "use client";
 
+import { useState } from "react";
 import Link from "next/link";
 import TaskCard from "@/components/tasks/TaskCard";
+import TaskSearchBar from "@/components/tasks/TaskSearchBar";
 import { formatDate, getPriorityColor, getStatusColor } from "./taskUtils";
 import { useAuth } from "@/utils/hooks/useAuth";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { TASK_STATUSES, toStatusKey } from "@/constants/taskConstants";
 
-const statusOrder = ["ongoing", "under review", "completed"];
-const statusLabels = {
-  ongoing: "Ongoing",
-  "under review": "Under Review",
-  completed: "Completed",
-};
+const statusOrder = [
+  TASK_STATUSES.ONGOING,
+  TASK_STATUSES.UNDER_REVIEW,
+  TASK_STATUSES.COMPLETED,
+];
 
 // Updated color scheme to match your project columns
 const statusColors = {
-  ongoing: "bg-yellow-50",        // Changed from bg-blue-50 to bg-yellow-50
-  "under review": "bg-blue-50",   // Changed from bg-yellow-50 to bg-blue-50
-  completed: "bg-green-50",       // Stays the same
+  [TASK_STATUSES.ONGOING]: "bg-yellow-50", // Changed from bg-blue-50 to bg-yellow-50
+  [TASK_STATUSES.UNDER_REVIEW]: "bg-blue-50", // Changed from bg-yellow-50 to bg-blue-50
+  [TASK_STATUSES.COMPLETED]: "bg-green-50", // Stays the same
 };
 
 // Updated dot colors to match
 const dotColors = {
-  ongoing: "bg-yellow-400",       // Changed from bg-blue-400 to bg-yellow-400
-  "under review": "bg-blue-400",  // Changed from bg-yellow-400 to bg-blue-400
-  completed: "bg-green-400",      // Stays the same
+  [TASK_STATUSES.ONGOING]: "bg-yellow-400", // Changed from bg-blue-400 to bg-yellow-400
+  [TASK_STATUSES.UNDER_REVIEW]: "bg-blue-400", // Changed from bg-yellow-400 to bg-blue-400
+  [TASK_STATUSES.COMPLETED]: "bg-green-400", // Stays the same
 };
 
 const handleLogout = async () => {
@@ -32,8 +35,11 @@ const handleLogout = async () => {
 };
 
 
-export default function StaffTasksView({ tasks = [], onLogout, onEditTask, showHeader = true }) {
+export default function StaffTasksView({ tasks = [], onLogout, onEditTask, onTaskRemoved, showHeader = true }) {
   const { user, userProfile } = useAuth();
+  const { getStatusLabel } = useTaskWorkflow();
+  // Server-side search results replace the given tasks while a search is active
+  const [searchResults, setSearchResults] = useState(null);
 
   // Early return if userProfile is not loaded yet
   if (!userProfile) {
@@ -50,12 +56,13 @@ export default function StaffTasksView({ tasks = [], onLogout, onEditTask, showH
 
   // Group tasks by status
   const grouped = statusOrder.reduce((acc, status) => {
-    acc[status] = tasks.filter((t) => t.status?.toLowerCase() === status.toLowerCase());
+    acc[status] = (searchResults ?? tasks).filter((t) => toStatusKey(t.status) === status);
     return acc;
   }, {});
 
   return (
 <div className="max-w-7xl mx-auto px-2 sm:px-4 lg:px-8">
+  <TaskSearchBar onResultsChange={setSearchResults} />
   {/* Responsive grid layout */}
   <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
     {statusOrder.map((status) => (
@@ -66,7 +73,7 @@ export default function StaffTasksView({ tasks = [], onLogout, onEditTask, showH
         <div className="flex items-center mb-2">
           <span className={`w-3 h-3 rounded-full mr-2 ${dotColors[status]}`} />
           <span className="font-semibold">
-            {statusLabels[status]}{" "}
+            {getStatusLabel(status)}{" "}
             <span className="bg-white rounded-full px-2 py-0.5 text-xs ml-1 border">
               {grouped[status]?.length || 0}
             </span>
@@ -96,6 +103,7 @@ export default function StaffTasksView({ tasks = [], onLogout, onEditTask, showH
                 getPriorityColor={getPriorityColor}
                 getStatusColor={getStatusColor}
                 onTaskUpdate={onEditTask}
+                onTaskRemoved={onTaskRemoved}
               />
             );
           })}
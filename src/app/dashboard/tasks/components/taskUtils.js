@@ -1,3 +1,5 @@
+import { getStatusBadgeClasses } from "@/constants/taskConstants";
+
 export function formatDate(dateString) {
   if (!dateString) return "No due date";
   const date = new Date(dateString);
@@ -28,16 +30,5 @@ export function getPriorityColor(priority) {
 }
 
 export function getStatusColor(status) {
-  switch (status?.toLowerCase()) {
-    case "completed":
-      return "bg-green-100 text-green-800";
-    case "in_progress":
-      return "bg-blue-100 text-blue-800";
-    case "pending":
-      return "bg-yellow-100 text-yellow-800";
-    default:
-      return "bg-gray-100 text-gray-800";
-  }
+  return getStatusBadgeClasses(status);
 }
-
-
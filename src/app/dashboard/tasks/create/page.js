@@ -10,6 +10,7 @@ import { useAuth } from "@/utils/hooks/useAuth";
 import { useUsers } from "@/utils/hooks/useUsers";
 import { useDepartmentTeams } from "@/utils/hooks/useDepartmentTeams";
 import TaskForm from "@/components/tasks/TaskForm";
+import { TASK_STATUSES } from "@/constants/taskConstants";
 import SidebarLayout from "@/components/layout/SidebarLayout";
 import HeaderBar from "@/components/layout/HeaderBar";
 import dynamic from "next/dynamic";
@@ -165,6 +166,8 @@ function CreateTaskPage() {
           formData.append("collaborators", JSON.stringify(taskData[key]));
         } else if (key === "subtasks") {
           formData.append("subtasks", JSON.stringify(taskData[key]));
+        } else if (key === "custom_fields") {
+          formData.append("custom_fields", JSON.stringify(taskData[key]));
         } else if (key === "status") {
           // Skip status here - we'll handle it in assignment logic below
           return;
@@ -189,10 +192,10 @@ function CreateTaskPage() {
             }
           }
 
-          formData.append("status", "ongoing");
+          formData.append("status", TASK_STATUSES.ONGOING);
           formData.append("owner_id", taskData.assignTo);
-        } else if (taskData.status === "unassigned") {
-          formData.append("status", "unassigned");
+        } else if (taskData.status === TASK_STATUSES.UNASSIGNED) {
+          formData.append("status", TASK_STATUSES.UNASSIGNED);
         } else {
           formData.append("status", taskData.status);
         }
@@ -375,6 +378,7 @@ function CreateTaskPage() {
               onProjectChange={setSelectedProject}
               file={file}
               onFileChange={setFile}
+              onTemplateCreated={() => router.push("/dashboard")}
               isHR={isHR}
             />
           </div>
@@ -0,0 +1,275 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { useAuth } from "@/utils/hooks/useAuth";
+import { useTaskImport } from "@/utils/hooks/useTaskImport";
+import SidebarLayout from "@/components/layout/SidebarLayout";
+import HeaderBar from "@/components/layout/HeaderBar";
+import dynamic from "next/dynamic";
+
+const IMPORT_FIELDS = [
+  { key: "title", label: "Title", required: true },
+  { key: "description", label: "Description" },
+  { key: "priority", label: "Priority (1-10)" },
+  { key: "due_date", label: "Due date (YYYY-MM-DD)" },
+  { key: "owner", label: "Owner (email or employee ID)" },
+  { key: "collaborators", label: "Collaborators (separated by ;)" },
+  { key: "project", label: "Project (title or ID)" },
+  { key: "ref", label: "Row reference" },
+  { key: "parent", label: "Parent (reference or title of another row)" },
+];
+
+const STEPS = ["Upload", "Map columns", "Review"];
+
+// Upload a CSV, map its columns, check every row with a dry run, then import
+function ImportTasksPage() {
+  const router = useRouter();
+  const { userProfile, signOut } = useAuth();
+  const { previewImport, runImport } = useTaskImport();
+
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null); // { rows, summary }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [imported, setImported] = useState(null);
+
+  const handleLogout = async () => {
+    await signOut();
+    router.push("/login");
+  };
+
+  // Step 1: the first dry run reads the headers and guesses the mapping
+  const handleUpload = async () => {
+    if (!file) return;
+    setBusy(true);
+    setError(null);
+    const result = await previewImport(file);
+    setBusy(false);
+    if (!result.columns) {
+      setError(result.error);
+      return;
+    }
+    setColumns(result.columns);
+    setMapping(result.mapping || {});
+    setPreview(null);
+    setStep(1);
+  };
+
+  // Step 2: check the rows with the chosen mapping
+  const handleCheck = async () => {
+    setBusy(true);
+    setError(null);
+    const result = await previewImport(file, mapping);
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setPreview({ rows: result.rows, summary: result.summary });
+    setStep(2);
+  };
+
+  // Step 3: import; the server refuses the whole file if any row turned invalid meanwhile
+  const handleImport = async () => {
+    setBusy(true);
+    setError(null);
+    const result = await runImport(file, mapping);
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      if (result.rows) setPreview({ rows: result.rows, summary: result.summary });
+      return;
+    }
+    setImported(result.summary);
+  };
+
+  const reset = () => {
+    setStep(0);
+    setFile(null);
+    setColumns([]);
+    setMapping({});
+    setPreview(null);
+    setImported(null);
+    setError(null);
+  };
+
+  return (
+    <SidebarLayout>
+      <div className="min-h-screen bg-gray-50">
+        <HeaderBar
+          title="Import Tasks"
+          user={{ email: userProfile?.email }}
+          userProfile={userProfile}
+          roleLabel={userProfile?.role || "Staff"}
+          roleColor="gray"
+          onLogout={handleLogout}
+        />
+
+        <main className="max-w-5xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+          <div className="bg-white shadow rounded-lg p-6">
+            <ol className="flex gap-4 mb-6 text-sm">
+              {STEPS.map((label, index) => (
+                <li
+                  key={label}
+                  className={index === step ? "font-semibold text-blue-600" : index < step ? "text-gray-700" : "text-gray-400"}
+                >
+                  {index + 1}. {label}
+                </li>
+              ))}
+            </ol>
+
+            {error && (
+              <div className="mb-4 rounded-md bg-red-50 p-3 text-sm text-red-700">{error}</div>
+            )}
+
+            {imported ? (
+              <div className="space-y-4">
+                <p className="text-sm text-green-700">
+                  Imported {imported.tasks} task{imported.tasks === 1 ? "" : "s"}
+                  {imported.subtasks > 0 && ` and ${imported.subtasks} subtask${imported.subtasks === 1 ? "" : "s"}`}.
+                </p>
+                <div className="flex gap-2">
+                  <Link href="/dashboard/tasks" className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700">
+                    Go to tasks
+                  </Link>
+                  <button type="button" onClick={reset} className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50">
+                    Import another file
+                  </button>
+                </div>
+              </div>
+            ) : step === 0 ? (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Upload a CSV file with a header row. Each row becomes a task, or a subtask when its parent
+                  column names another row. Nothing is created until every row passes the check.
+                </p>
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => setFile(e.target.files?.[0] || null)}
+                  className="block text-sm"
+                />
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={handleUpload}
+                    disabled={!file || busy}
+                    className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {busy ? "Reading..." : "Next"}
+                  </button>
+                  <Link href="/dashboard/tasks" className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50">
+                    Cancel
+                  </Link>
+                </div>
+              </div>
+            ) : step === 1 ? (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">Choose the column of <span className="font-medium">{file?.name}</span> for each task field.</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {IMPORT_FIELDS.map((field) => (
+                    <label key={field.key} className="block text-sm">
+                      <span className="font-medium text-gray-700">
+                        {field.label}
+                        {field.required && <span className="text-red-500"> *</span>}
+                      </span>
+                      <select
+                        value={mapping[field.key] || ""}
+                        onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value || undefined })}
+                        className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+                      >
+                        <option value="">— Not imported —</option>
+                        {columns.map((column) => (
+                          <option key={column} value={column}>{column}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  <button type="button" onClick={() => setStep(0)} className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50">
+                    Back
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleCheck}
+                    disabled={!mapping.title || busy}
+                    className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {busy ? "Checking..." : "Check rows"}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {preview && (
+                  <>
+                    <p className="text-sm text-gray-700">
+                      {preview.summary.total} row{preview.summary.total === 1 ? "" : "s"}: {preview.summary.valid} valid,{" "}
+                      <span className={preview.summary.invalid > 0 ? "text-red-600 font-medium" : ""}>
+                        {preview.summary.invalid} with errors
+                      </span>
+                    </p>
+                    <div className="overflow-x-auto border border-gray-200 rounded-md">
+                      <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            {["Row", "Title", "Type", "Owner", "Project", "Due", "Errors"].map((heading) => (
+                              <th key={heading} className="px-3 py-2 text-left font-medium text-gray-600">{heading}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                          {preview.rows.map((row) => (
+                            <tr key={row.row} className={row.errors.length > 0 ? "bg-red-50" : ""}>
+                              <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                              <td className="px-3 py-2">{row.task.title || <span className="text-gray-400">—</span>}</td>
+                              <td className="px-3 py-2 text-gray-600">
+                                {row.kind === "subtask" ? `Subtask of row ${row.parent_row}` : "Task"}
+                              </td>
+                              <td className="px-3 py-2 text-gray-600">{row.task.owner_id}</td>
+                              <td className="px-3 py-2 text-gray-600">{row.task.project_id ?? "—"}</td>
+                              <td className="px-3 py-2 text-gray-600">{row.task.due_date || "—"}</td>
+                              <td className="px-3 py-2 text-red-600">
+                                {row.errors.map((message) => (
+                                  <div key={message}>{message}</div>
+                                ))}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </>
+                )}
+                <div className="flex gap-2">
+                  <button type="button" onClick={() => setStep(1)} className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50">
+                    Back to mapping
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={busy || !preview || preview.summary.invalid > 0 || preview.summary.total === 0}
+                    className="px-4 py-2 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                  >
+                    {busy ? "Importing..." : `Import ${preview?.summary.valid ?? 0} row${preview?.summary.valid === 1 ? "" : "s"}`}
+                  </button>
+                </div>
+                {preview?.summary.invalid > 0 && (
+                  <p className="text-xs text-gray-500">Fix the rows with errors in the file and upload it again, or change the mapping.</p>
+                )}
+              </div>
+            )}
+          </div>
+        </main>
+      </div>
+    </SidebarLayout>
+  );
+}
+
+export default dynamic(() => Promise.resolve(ImportTasksPage), { ssr: false });
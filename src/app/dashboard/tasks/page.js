@@ -9,6 +9,7 @@ import SidebarLayout from "@/components/layout/SidebarLayout";
 import HeaderBar from "@/components/layout/HeaderBar";
 import TaskCard from "@/components/tasks/TaskCard";
 import Toast from "@/components/ui/Toast";
+import { getStatusBadgeClasses } from "@/constants/taskConstants";
 // import { useManagerTasks } from "@/utils/hooks/useManagerTasks";
 import StaffTasksView from "./components/StaffTasksView";
 import ManagerTasksView from "./components/ManagerTasksView";
@@ -38,6 +39,7 @@ function DashboardPage() {
     overdueTasks = [],
     toggleTaskComplete,
     updateTask,
+    fetchTasks,
   } = useTasks(user);
   // Notification creation is now handled on the server after task updates
   useProjects(user); // keep hook initialised if needed elsewhere (no local use)
@@ -208,6 +210,7 @@ function DashboardPage() {
               tasks={tasks}
               onLogout={handleLogout}
               onEditTask={updateTask}
+              onTaskRemoved={() => fetchTasks()}
               currentUserEmpId={userProfile?.emp_id}
             />
           </div>
@@ -292,19 +295,6 @@ function getPriorityColor(priority) {
   }
 }
 
-function getStatusColor(status) {
-  switch (status?.toLowerCase()) {
-    case "completed":
-      return "bg-green-100 text-green-800";
-    case "ongoing":
-      return "bg-blue-100 text-blue-800";
-    case "under review":
-      return "bg-yellow-100 text-yellow-800";
-    default:
-      return "bg-gray-100 text-gray-800";
-  }
-}
-
 function AllTasksSection({
   tasks = [],
   onMarkComplete,
@@ -350,7 +340,7 @@ function AllTasksSection({
                     task={task}
                     formatDate={formatDate}
                     getPriorityColor={getPriorityColor}
-                    getStatusColor={getStatusColor}
+                    getStatusColor={getStatusBadgeClasses}
                     onMarkComplete={onMarkComplete}
                     canEdit={canEdit}
                     isOwner={isOwner}
@@ -366,7 +356,8 @@ function AllTasksSection({
                             type: "success",
                             message: "Task updated successfully.",
                           });
-                        } else {
+                        } else if (!result?.conflict) {
+                          // Version conflicts are resolved in the edit modal
                           setFeedback({
                             type: "error",
                             message:
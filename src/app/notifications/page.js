@@ -136,6 +136,12 @@ export default function NotificationPage() {
         return "⏱️";
       case "Deadline Missed":
         return "❗";
+      case "Mention":
+        return "💬";
+      case "Review Request":
+        return "🔍";
+      case "Review Decision":
+        return "📋";
       default:
         return "📬";
     }
@@ -158,6 +164,15 @@ export default function NotificationPage() {
       "Project Update": isRead
         ? "bg-orange-50 text-orange-600 border-orange-200"
         : "bg-orange-100 text-orange-700 border-orange-300",
+      Mention: isRead
+        ? "bg-teal-50 text-teal-600 border-teal-200"
+        : "bg-teal-100 text-teal-700 border-teal-300",
+      "Review Request": isRead
+        ? "bg-purple-50 text-purple-600 border-purple-200"
+        : "bg-purple-100 text-purple-700 border-purple-300",
+      "Review Decision": isRead
+        ? "bg-green-50 text-green-600 border-green-200"
+        : "bg-green-100 text-green-700 border-green-300",
       System: isRead
         ? "bg-gray-50 text-gray-600 border-gray-200"
         : "bg-gray-100 text-gray-700 border-gray-300",
@@ -9,6 +9,10 @@ import { useAuth } from "@/utils/hooks/useAuth";
 import HeaderBar from "@/components/layout/HeaderBar";
 import SidebarLayout from "@/components/layout/SidebarLayout";
 import TaskColumn from "@/components/projects/ProjectTaskColumn";
+import FollowButton from "@/components/ui/FollowButton";
+import ProgressBar from "@/components/ui/ProgressBar";
+import ProjectCustomFields from "@/components/projects/ProjectCustomFields";
+import { STATUS_LEVELS, TASK_STATUSES, toStatusKey } from "@/constants/taskConstants";
 
 export default function ProjectsPage() {
   const [showCreateForm, setShowCreateForm] = useState(false);
@@ -226,16 +230,9 @@ export default function ProjectsPage() {
       setProjectTasks(tasksGrouped);
       setMemberNames(namesMap);
 
-      // Debug: Check for tasks with invalid statuses
-      const validStatuses = [
-        "unassigned",
-        "ongoing",
-        "under_review",
-        "completed",
-      ];
-
+      // Debug: Check for tasks with statuses outside the workflow
       const invalidTasks = tasksData.filter(
-        (task) => !validStatuses.includes(task.status)
+        (task) => !toStatusKey(task.status)
       );
       if (invalidTasks.length > 0) {
         console.warn(
@@ -314,16 +311,10 @@ export default function ProjectsPage() {
 
   // Count tasks by status for a project
   const getTaskCounts = (tasks) => {
-    const counts = {
-      unassigned: 0,
-      ongoing: 0,
-      under_review: 0,
-      completed: 0,
-    };
+    const counts = Object.fromEntries(STATUS_LEVELS.map((key) => [key, 0]));
     tasks.forEach((task) => {
-      if (counts.hasOwnProperty(task.status)) {
-        counts[task.status]++;
-      }
+      const key = toStatusKey(task.status);
+      if (key) counts[key]++;
     });
     return counts;
   };
@@ -345,11 +336,16 @@ export default function ProjectsPage() {
 
       if (!response.ok) {
         const errorData = await response.json();
+        // Stale version: hand the conflict back to the edit modal
+        if (response.status === 409 && errorData.code === "version_conflict") {
+          return { success: false, error: errorData.error, conflict: errorData };
+        }
         throw new Error(errorData.error || "Failed to update task");
       }
 
       // Optimized: Refetch all data to stay in sync
       await fetchCompleteProjectData();
+      return { success: true };
     } catch (error) {
       console.error("Error updating task:", error);
       throw error;
@@ -730,6 +726,7 @@ export default function ProjectsPage() {
                                 <h4 className="text-lg sm:text-xl font-semibold text-gray-900">
                                   {project.title}
                                 </h4>
+                                <FollowButton target="project" id={project.id} className="ml-3" />
                               </div>
                               {project.description && (
                                 <p className="text-gray-600 mb-3 ml-6 sm:ml-8 text-sm sm:text-base">
@@ -762,6 +759,7 @@ export default function ProjectsPage() {
                                   ).toLocaleDateString()}
                                 </span>
                               </div>
+                              <ProgressBar value={project.progress} className="mt-2 ml-6 sm:ml-8 max-w-xs" />
                             </div>
 
                             {/* Task Summary */}
@@ -769,25 +767,25 @@ export default function ProjectsPage() {
                               <div className="flex items-center">
                                 <div className="w-2 h-2 sm:w-3 sm:h-3 bg-gray-400 rounded-full mr-1"></div>
                                 <span className="text-xs">
-                                  Unassigned: {taskCounts.unassigned}
+                                  Unassigned: {taskCounts[TASK_STATUSES.UNASSIGNED]}
                                 </span>
                               </div>
                               <div className="flex items-center">
                                 <div className="w-2 h-2 sm:w-3 sm:h-3 bg-yellow-400 rounded-full mr-1"></div>
                                 <span className="text-xs">
-                                  Ongoing: {taskCounts["ongoing"]}
+                                  Ongoing: {taskCounts[TASK_STATUSES.ONGOING]}
                                 </span>
                               </div>
                               <div className="flex items-center">
                                 <div className="w-2 h-2 sm:w-3 sm:h-3 bg-blue-400 rounded-full mr-1"></div>
                                 <span className="text-xs">
-                                  Review: {taskCounts.under_review}
+                                  Review: {taskCounts[TASK_STATUSES.UNDER_REVIEW]}
                                 </span>
                               </div>
                               <div className="flex items-center">
                                 <div className="w-2 h-2 sm:w-3 sm:h-3 bg-green-400 rounded-full mr-1"></div>
                                 <span className="text-xs">
-                                  Completed: {taskCounts.completed}
+                                  Completed: {taskCounts[TASK_STATUSES.COMPLETED]}
                                 </span>
                               </div>
                             </div>
@@ -797,6 +795,7 @@ export default function ProjectsPage() {
                         {/* Tasks Section  */}
                         {isExpanded && (
                           <div className="p-3 sm:p-6">
+                            <ProjectCustomFields projectId={project.id} />
                             {loadingTasks ? (
                               <div className="text-center py-4 text-gray-500">
                                 Loading tasks...
@@ -815,10 +814,10 @@ export default function ProjectsPage() {
                                 {(() => {
                                   const taskCounts = getTaskCounts(tasks);
                                   const validTasksCount =
-                                    taskCounts.unassigned +
-                                    taskCounts["ongoing"] +
-                                    taskCounts.under_review +
-                                    taskCounts.completed;
+                                    taskCounts[TASK_STATUSES.UNASSIGNED] +
+                                    taskCounts[TASK_STATUSES.ONGOING] +
+                                    taskCounts[TASK_STATUSES.UNDER_REVIEW] +
+                                    taskCounts[TASK_STATUSES.COMPLETED];
                                   return (
                                     <h5 className="text-base sm:text-lg font-medium text-gray-900 mb-3 sm:mb-4">
                                       Project Tasks ({validTasksCount})
@@ -829,9 +828,9 @@ export default function ProjectsPage() {
                                 <div className="grid grid-cols-1 lg:grid-cols-4 gap-4 sm:gap-6">
                                   <TaskColumn
                                     title="Unassigned"
-                                    status="unassigned"
+                                    status={TASK_STATUSES.UNASSIGNED}
                                     tasks={tasks}
-                                    count={taskCounts.unassigned}
+                                    count={taskCounts[TASK_STATUSES.UNASSIGNED]}
                                     bgColor="bg-gray-50"
                                     dotColor="bg-gray-400"
                                     countBadgeColor="bg-gray-200 text-gray-800"
@@ -844,9 +843,9 @@ export default function ProjectsPage() {
 
                                   <TaskColumn
                                     title="Ongoing"
-                                    status="ongoing"
+                                    status={TASK_STATUSES.ONGOING}
                                     tasks={tasks}
-                                    count={taskCounts["ongoing"]}
+                                    count={taskCounts[TASK_STATUSES.ONGOING]}
                                     bgColor="bg-yellow-50"
                                     dotColor="bg-yellow-400"
                                     countBadgeColor="bg-yellow-200 text-yellow-800"
@@ -859,9 +858,9 @@ export default function ProjectsPage() {
 
                                   <TaskColumn
                                     title="Under Review"
-                                    status="under_review"
+                                    status={TASK_STATUSES.UNDER_REVIEW}
                                     tasks={tasks}
-                                    count={taskCounts.under_review}
+                                    count={taskCounts[TASK_STATUSES.UNDER_REVIEW]}
                                     bgColor="bg-blue-50"
                                     dotColor="bg-blue-400"
                                     countBadgeColor="bg-blue-200 text-blue-800"
@@ -874,9 +873,9 @@ export default function ProjectsPage() {
 
                                   <TaskColumn
                                     title="Completed"
-                                    status="completed"
+                                    status={TASK_STATUSES.COMPLETED}
                                     tasks={tasks}
-                                    count={taskCounts.completed}
+                                    count={taskCounts[TASK_STATUSES.COMPLETED]}
                                     bgColor="bg-green-50"
                                     dotColor="bg-green-400"
                                     countBadgeColor="bg-green-200 text-green-800"
@@ -16,6 +16,7 @@ import ReportCard from "@/components/report/ReportCard";
 import ProjectsSection from "@/components/report/ProjectsSection";
 import FilterSection from "@/components/report/FilterSection";
 import { useHrInsights } from "@/utils/hooks/useHrInsights";
+import ExportPanel from "@/components/report/ExportPanel";
 
 export default function ReportPage() {
   const router = useRouter();
@@ -65,6 +66,8 @@ export default function ReportPage() {
                 </Link>
               </div> */}
 
+              <ExportPanel />
+
               {isDirector ? (
                 <DirectorReports />
               ) : isHR ? (
@@ -163,11 +166,13 @@ function DirectorReports() {
   const [reportType, setReportType] = useState(null);
   const [selectedData, setSelectedData] = useState(null);
   const [departmentFilter, setDepartmentFilter] = useState("all");
+  const [tagFilter, setTagFilter] = useState("all");
   const { user, userProfile } = useAuth();
   const { projects = [], loading: projectsLoading } = useProjects(user);
   const {
     departmentPerformance,
     collaborationMetrics,
+    tagBreakdown,
     loading: insightsLoading,
   } = useDirectorInsights();
 
@@ -251,15 +256,32 @@ function DirectorReports() {
     })),
   ];
 
+  // Filter options for tag selector (per-tag breakdown in the task analysis)
+  const tagOptions = [
+    { value: "all", label: "All Tags" },
+    ...tagBreakdown.map((tag) => ({
+      value: String(tag.tagId),
+      label: tag.name,
+    })),
+  ];
+
+  const filteredTagBreakdown =
+    tagFilter === "all"
+      ? tagBreakdown
+      : tagBreakdown.filter((tag) => String(tag.tagId) === tagFilter);
+
   return (
     <div className="space-y-6">
-      {/* Department Filter */}
+      {/* Department / Tag Filter */}
       <FilterSection
         title="Organization Reports"
         filterLabel="Filter by Department"
         filterValue={departmentFilter}
         onFilterChange={setDepartmentFilter}
         options={departmentOptions}
+        tagOptions={tagBreakdown.length > 0 ? tagOptions : null}
+        tagValue={tagFilter}
+        onTagChange={setTagFilter}
         disabled={loading}
       />
 
@@ -321,6 +343,7 @@ function DirectorReports() {
           handleGenerateReport("task-analysis", {
             departments: departmentPerformance,
             filter: departmentFilter,
+            tagBreakdown: filteredTagBreakdown,
             type: "task-analysis",
           })
         }
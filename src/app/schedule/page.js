@@ -1,6 +1,6 @@
 "use client";
 
-import { useMemo, useState, useEffect } from "react";
+import { useMemo, useState, useEffect, useRef } from "react";
 import { useRouter } from "next/navigation";
 import SidebarLayout from "@/components/layout/SidebarLayout";
 import HeaderBar from "@/components/layout/HeaderBar";
@@ -8,8 +8,13 @@ import { useTasks } from "@/utils/hooks/useTasks";
 import { useProjects } from "@/utils/hooks/useProjects";
 import { useUsers } from "@/utils/hooks/useUsers";
 import TaskDetailsModal from "@/components/tasks/TaskDetailsModal";
+import DependencyLinksOverlay from "@/components/tasks/DependencyLinksOverlay";
 import { useAuth } from "@/utils/hooks/useAuth";
 import { useManagerTasks } from "@/utils/hooks/useManagerTasks";
+import { useTags } from "@/utils/hooks/useTags";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { useRecurrencePreview } from "@/utils/hooks/useRecurrencePreview";
+import { TASK_STATUSES, toStatusKey } from "@/constants/taskConstants";
 import {
   startOfDay,
   addDays,
@@ -18,6 +23,10 @@ import {
   getWeekGrid,
   groupTasksByDate,
   applyFilters,
+  getDependencyLinks,
+  toDateKey,
+  getRecurringSeriesTaskIds,
+  buildProjectedEntries,
 } from "@/utils/calendarUtils";
 
 export default function SchedulePage() {
@@ -26,11 +35,19 @@ export default function SchedulePage() {
   const [projectFilter, setProjectFilter] = useState("");
   const [statusFilter, setStatusFilter] = useState("");
   const [assigneeFilter, setAssigneeFilter] = useState("");
+  const [tagFilter, setTagFilter] = useState("");
+  const [showDependencies, setShowDependencies] = useState(true);
+  const [showRepeats, setShowRepeats] = useState(true);
+  const [projectedOccurrences, setProjectedOccurrences] = useState([]);
+  const calendarRef = useRef(null);
 
   const { user, isStaff, userProfile, signOut } = useAuth();
   const { tasks, loading: tasksLoading, error: tasksError } = useTasks(user);
   const { projects, loading: projectsLoading } = useProjects(user);
   const { users, fetchUsers } = useUsers();
+  const { tags, fetchTags } = useTags();
+  const { statusOptions } = useTaskWorkflow();
+  const { fetchProjections } = useRecurrencePreview();
   const [detailsOpen, setDetailsOpen] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
   const router = useRouter();
@@ -53,6 +70,10 @@ export default function SchedulePage() {
     }
   }, [fetchUsers, isStaff, isManagerView]);
 
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
   // For staff, auto-filter to self and hide the assignee filter
   useEffect(() => {
     const empId = userProfile?.emp_id;
@@ -129,26 +150,55 @@ export default function SchedulePage() {
     return map;
   }, [users, staffMembers, isManagerView, roleTasks]);
 
+  const daysGrid = useMemo(() => {
+    if (view === "day") return [cursorDate];
+    if (view === "week") return getWeekGrid(cursorDate);
+    return getMonthGrid(cursorDate);
+  }, [view, cursorDate]);
+
+  // Future occurrences of the recurring tasks on screen, drawn as ghost entries
+  const seriesTaskIds = useMemo(() => getRecurringSeriesTaskIds(roleTasks), [roleTasks]);
+  const gridFrom = toDateKey(daysGrid[0]);
+  const gridTo = toDateKey(daysGrid[daysGrid.length - 1]);
+  useEffect(() => {
+    if (!showRepeats || seriesTaskIds.length === 0) {
+      setProjectedOccurrences([]);
+      return;
+    }
+    let cancelled = false;
+    fetchProjections({ from: gridFrom, to: gridTo, taskIds: seriesTaskIds }).then((result) => {
+      if (!cancelled) setProjectedOccurrences(result.occurrences);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [showRepeats, seriesTaskIds, gridFrom, gridTo, fetchProjections]);
+
+  const projectedEntries = useMemo(
+    () => buildProjectedEntries(projectedOccurrences, roleTasks),
+    [projectedOccurrences, roleTasks]
+  );
+
   // Normalize and filter tasks: must have due_date
   const schedulableTasks = useMemo(() => {
-    return applyFilters(roleTasks || [], {
+    return applyFilters([...(roleTasks || []), ...projectedEntries], {
       projectId: projectFilter,
       status: statusFilter,
       assigneeId: assigneeFilter,
+      tagId: tagFilter,
       requireDueDate: true,
     });
-  }, [roleTasks, projectFilter, statusFilter, assigneeFilter]);
-
-  const daysGrid = useMemo(() => {
-    if (view === "day") return [cursorDate];
-    if (view === "week") return getWeekGrid(cursorDate);
-    return getMonthGrid(cursorDate);
-  }, [view, cursorDate]);
+  }, [roleTasks, projectedEntries, projectFilter, statusFilter, assigneeFilter, tagFilter]);
 
   const tasksByDay = useMemo(() => {
     return groupTasksByDate(schedulableTasks, daysGrid);
   }, [daysGrid, schedulableTasks]);
 
+  const dependencyLinks = useMemo(
+    () => (showDependencies ? getDependencyLinks(schedulableTasks) : []),
+    [showDependencies, schedulableTasks]
+  );
+
   const goPrev = () => {
     if (view === "day") setCursorDate(addDays(cursorDate, -1));
     else if (view === "week") setCursorDate(addDays(cursorDate, -7));
@@ -180,26 +230,37 @@ export default function SchedulePage() {
     });
   }, [view, cursorDate]);
 
-  // Status options from existing usage in forms/modals
-  const statusOptions = ["ongoing", "under review", "completed"];
-
   // UI helpers for color-coding
+  // Projected occurrences of recurring tasks are drawn as dashed outlines
+  const getEntryChipClasses = (task) =>
+    task.isProjected
+      ? "bg-white text-purple-700 border-purple-300 border-dashed opacity-80"
+      : getStatusChipClasses(task.status);
+
   const getStatusChipClasses = (status) => {
-    const s = String(status || "").toLowerCase();
-    if (s === "completed") return "bg-green-50 text-green-700 border-green-200";
-    if (s === "under review") return "bg-blue-50 text-blue-700 border-blue-200";
-    if (s === "ongoing") return "bg-amber-50 text-amber-700 border-amber-200";
-    if (s === "unassigned") return "bg-gray-50 text-gray-700 border-gray-200";
-    return "bg-gray-50 text-gray-700 border-gray-200";
+    switch (toStatusKey(status)) {
+      case TASK_STATUSES.COMPLETED:
+        return "bg-green-50 text-green-700 border-green-200";
+      case TASK_STATUSES.UNDER_REVIEW:
+        return "bg-blue-50 text-blue-700 border-blue-200";
+      case TASK_STATUSES.ONGOING:
+        return "bg-amber-50 text-amber-700 border-amber-200";
+      default:
+        return "bg-gray-50 text-gray-700 border-gray-200";
+    }
   };
 
   const getStatusDotClasses = (status) => {
-    const s = String(status || "").toLowerCase();
-    if (s === "completed") return "bg-green-500";
-    if (s === "under review") return "bg-blue-500";
-    if (s === "ongoing") return "bg-amber-500";
-    if (s === "unassigned") return "bg-gray-500";
-    return "bg-gray-500";
+    switch (toStatusKey(status)) {
+      case TASK_STATUSES.COMPLETED:
+        return "bg-green-500";
+      case TASK_STATUSES.UNDER_REVIEW:
+        return "bg-blue-500";
+      case TASK_STATUSES.ONGOING:
+        return "bg-amber-500";
+      default:
+        return "bg-gray-500";
+    }
   };
 
   const getPriorityBadgeClasses = (priority) => {
@@ -223,7 +284,8 @@ export default function SchedulePage() {
   };
 
   const openDetails = (task) => {
-    setSelectedTask(task);
+    // A projected occurrence opens the series' task it was projected from
+    setSelectedTask(task.sourceTask || task);
     setDetailsOpen(true);
   };
   const closeDetails = () => {
@@ -248,7 +310,7 @@ export default function SchedulePage() {
           onLogout={handleLogout}
         />
         <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-          <div className="bg-white shadow rounded-lg p-4 sm:p-6">
+          <div ref={calendarRef} className="relative bg-white shadow rounded-lg p-4 sm:p-6">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
               <h1 className="text-lg sm:text-xl font-semibold">Schedule</h1>
               <div className="flex flex-wrap items-center justify-start sm:justify-end gap-2">
@@ -298,7 +360,7 @@ export default function SchedulePage() {
             {/* Filters */}
             <div
               className={`mt-4 grid grid-cols-1 ${
-                isStaff ? "sm:grid-cols-2" : "sm:grid-cols-3"
+                isStaff ? "sm:grid-cols-3" : "sm:grid-cols-4"
               } gap-3`}
             >
               <select
@@ -319,9 +381,21 @@ export default function SchedulePage() {
                 className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
               >
                 <option value="">All statuses</option>
-                {statusOptions.map((s) => (
-                  <option key={s} value={s}>
-                    {s}
+                {statusOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={tagFilter}
+                onChange={(e) => setTagFilter(e.target.value)}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              >
+                <option value="">All tags</option>
+                {(tags || []).map((tag) => (
+                  <option key={tag.id} value={tag.id}>
+                    {tag.name}
                   </option>
                 ))}
               </select>
@@ -345,8 +419,26 @@ export default function SchedulePage() {
 
             {/* Calendar header */}
             <div className="mt-4 flex items-center justify-between">
-              <div className="text-sm font-medium text-gray-700">
-                {headerLabel}
+              <div className="flex items-center gap-3">
+                <div className="text-sm font-medium text-gray-700">
+                  {headerLabel}
+                </div>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={showDependencies}
+                    onChange={(e) => setShowDependencies(e.target.checked)}
+                  />
+                  Show dependency links
+                </label>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={showRepeats}
+                    onChange={(e) => setShowRepeats(e.target.checked)}
+                  />
+                  Show upcoming repeats
+                </label>
               </div>
               {(isManagerView ? managerLoading : tasksLoading) ||
               projectsLoading ? (
@@ -401,11 +493,10 @@ export default function SchedulePage() {
                             dayTasks.slice(0, 5).map((t) => (
                               <button
                                 key={t.id}
+                                data-task-id={t.isProjected ? undefined : t.id}
                                 onClick={() => openDetails(t)}
-                                className={`w-full text-left text-[10px] sm:text-[11px] px-2 py-1 rounded border truncate hover:opacity-95 ${getStatusChipClasses(
-                                  t.status
-                                )}`}
-                                title={`${t.title}\nProject: ${
+                                className={`w-full text-left text-[10px] sm:text-[11px] px-2 py-1 rounded border truncate hover:opacity-95 ${getEntryChipClasses(t)}`}
+                                title={`${t.isProjected ? "Upcoming repeat, not created yet\n" : ""}${t.title}\nProject: ${
                                   projectIdToTitle[t.project_id] || "No project"
                                 }\nStatus: ${t.status || "-"}\nPriority: ${
                                   t.priority ?? "-"
@@ -484,11 +575,10 @@ export default function SchedulePage() {
                           dayTasks.map((t) => (
                             <li key={t.id}>
                               <button
+                                data-task-id={t.isProjected ? undefined : t.id}
                                 onClick={() => openDetails(t)}
-                                className={`w-full text-left rounded border p-2 sm:p-3 hover:opacity-95 ${getStatusChipClasses(
-                                  t.status
-                                )}`}
-                                title={`${t.title}\nStatus: ${
+                                className={`w-full text-left rounded border p-2 sm:p-3 hover:opacity-95 ${getEntryChipClasses(t)}`}
+                                title={`${t.isProjected ? "Upcoming repeat, not created yet\n" : ""}${t.title}\nStatus: ${
                                   t.status || "-"
                                 }\nPriority: ${t.priority ?? "-"}`}
                               >
@@ -564,11 +654,10 @@ export default function SchedulePage() {
                     ).map((t) => (
                       <li key={t.id}>
                         <button
-                          onClick={() => openDetails(t)}
-                          className={`w-full text-left p-2 sm:p-3 border rounded-md hover:opacity-95 ${getStatusChipClasses(
-                            t.status
-                          )}`}
-                          title={`${t.title}\nStatus: ${
+                          data-task-id={t.isProjected ? undefined : t.id}
+                                onClick={() => openDetails(t)}
+                          className={`w-full text-left p-2 sm:p-3 border rounded-md hover:opacity-95 ${getEntryChipClasses(t)}`}
+                          title={`${t.isProjected ? "Upcoming repeat, not created yet\n" : ""}${t.title}\nStatus: ${
                             t.status || "-"
                           }\nPriority: ${t.priority ?? "-"}`}
                         >
@@ -620,6 +709,13 @@ export default function SchedulePage() {
               </div>
             )}
 
+            {/* Dependency arrows between blocked and blocking tasks */}
+            <DependencyLinksOverlay
+              containerRef={calendarRef}
+              links={dependencyLinks}
+              redrawKey={`${view}-${cursorDate.getTime()}`}
+            />
+
             {/* Legend */}
             <div className="mt-4 flex flex-wrap items-center gap-3 text-[11px] text-gray-600">
               <div className="flex items-center gap-1">
@@ -0,0 +1,190 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import SidebarLayout from "@/components/layout/SidebarLayout";
+import HeaderBar from "@/components/layout/HeaderBar";
+import { useAuth } from "@/utils/hooks/useAuth";
+import { useTaskTrash } from "@/utils/hooks/useTaskTrash";
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+export default function TrashPage() {
+  const router = useRouter();
+  const { user, userProfile, loading: authLoading, signOut } = useAuth();
+  const {
+    trash,
+    archived,
+    retentionDays,
+    canPurge,
+    loading,
+    error,
+    fetchTrash,
+    fetchArchived,
+    unarchiveTask,
+    restoreTask,
+    purgeTask,
+  } = useTaskTrash();
+  const [activeTab, setActiveTab] = useState("trash");
+  const [series, setSeries] = useState(false);
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  useEffect(() => {
+    if (!authLoading && !user) router.push("/login");
+  }, [user, authLoading, router]);
+
+  useEffect(() => {
+    if (!user) return;
+    if (activeTab === "trash") fetchTrash();
+    else fetchArchived();
+  }, [user, activeTab, fetchTrash, fetchArchived]);
+
+  const handleLogout = async () => {
+    await signOut();
+    router.push("/login");
+  };
+
+  const report = (result, success) => {
+    setMessage(result.success ? { type: "success", text: success } : { type: "error", text: result.error });
+  };
+
+  const handleRestore = async (task) => {
+    report(await restoreTask(task.id, { series }), `Restored "${task.title}"`);
+  };
+
+  const handlePurge = async (task) => {
+    if (!confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) return;
+    report(await purgeTask(task.id, { series }), `Deleted "${task.title}" for good`);
+  };
+
+  const handleUnarchive = async (task) => {
+    report(await unarchiveTask(task.id, { series }), `Unarchived "${task.title}"`);
+  };
+
+  const rows = activeTab === "trash" ? trash : archived;
+
+  return (
+    <SidebarLayout>
+      <HeaderBar
+        title="Trash & Archive"
+        user={user}
+        userProfile={userProfile}
+        roleLabel={userProfile?.role || "User"}
+        roleColor="gray"
+        onLogout={handleLogout}
+      />
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 w-full space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3 border-b border-gray-200">
+          <nav className="-mb-px flex space-x-6">
+            {[
+              { id: "trash", label: "Trash" },
+              { id: "archived", label: "Archived" },
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`py-2 px-1 border-b-2 text-sm font-medium ${
+                  activeTab === tab.id
+                    ? "border-blue-500 text-blue-600"
+                    : "border-transparent text-gray-500 hover:text-gray-700"
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </nav>
+          <label className="flex items-center gap-2 text-sm text-gray-600 pb-2">
+            <input type="checkbox" checked={series} onChange={(e) => setSeries(e.target.checked)} />
+            Apply to the whole recurring series
+          </label>
+        </div>
+
+        {activeTab === "trash" && retentionDays !== null && (
+          <p className="text-sm text-gray-500">
+            Deleted tasks can be restored for {retentionDays} days.
+            {canPurge ? " As a director you can also remove them permanently." : ""}
+          </p>
+        )}
+        {message.text && (
+          <p className={`text-sm ${message.type === "error" ? "text-red-600" : "text-green-700"}`}>{message.text}</p>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          {loading ? (
+            <div className="p-6 text-center text-gray-500">Loading...</div>
+          ) : rows.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              {activeTab === "trash" ? "The trash is empty." : "No archived tasks."}
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Task</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Owner</th>
+                  {activeTab === "trash" ? (
+                    <>
+                      <th className="px-4 py-2 text-left font-medium text-gray-600">Deleted</th>
+                      <th className="px-4 py-2 text-left font-medium text-gray-600">Restore until</th>
+                    </>
+                  ) : (
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Archived</th>
+                  )}
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((task) => (
+                  <tr key={task.id}>
+                    <td className="px-4 py-2">
+                      <div className="font-medium text-gray-900">{task.title}</div>
+                      <div className="text-xs text-gray-500">
+                        {task.status}
+                        {task.is_recurring ? " · recurring" : ""}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{task.owner_name || task.owner_id || "—"}</td>
+                    {activeTab === "trash" ? (
+                      <>
+                        <td className="px-4 py-2 text-gray-700">
+                          {formatDateTime(task.deleted_at)}
+                          {task.deleted_by_name && <div className="text-xs text-gray-500">by {task.deleted_by_name}</div>}
+                        </td>
+                        <td className="px-4 py-2 text-gray-700">
+                          {task.restorable ? formatDateTime(task.restore_deadline) : <span className="text-red-600">Expired</span>}
+                        </td>
+                      </>
+                    ) : (
+                      <td className="px-4 py-2 text-gray-700">{formatDateTime(task.archived_at)}</td>
+                    )}
+                    <td className="px-4 py-2 text-right whitespace-nowrap space-x-3">
+                      {activeTab === "trash" ? (
+                        <>
+                          {task.restorable && (
+                            <button onClick={() => handleRestore(task)} className="text-blue-600 hover:text-blue-800">
+                              Restore
+                            </button>
+                          )}
+                          {canPurge && (
+                            <button onClick={() => handlePurge(task)} className="text-red-600 hover:text-red-800">
+                              Delete forever
+                            </button>
+                          )}
+                        </>
+                      ) : (
+                        <button onClick={() => handleUnarchive(task)} className="text-blue-600 hover:text-blue-800">
+                          Unarchive
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </SidebarLayout>
+  );
+}
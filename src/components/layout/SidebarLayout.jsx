@@ -26,6 +26,7 @@ export default function SidebarLayout({ children }) {
       { label: "Schedule", href: "/schedule", icon: ScheduleIcon },
       { label: "Report", href: "/report", icon: ReportIcon },
       { label: "Mailbox", href: "/notifications", icon: MailboxIcon },
+      { label: "Trash", href: "/trash", icon: TrashIcon },
     ],
     [isHR]
   );
@@ -145,6 +146,14 @@ function ReportIcon({ className = "w-5 h-5" }) {
   );
 }
 
+function TrashIcon({ className = "w-5 h-5" }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" xmlns="http://www.w3.org/2000/svg">
+      <path strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+    </svg>
+  );
+}
+
 function MailboxIcon({ className = "w-5 h-5" }) {
   return (
     <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" xmlns="http://www.w3.org/2000/svg">
@@ -0,0 +1,205 @@
+"use client";
+
+import { useState } from "react";
+import { useProjectCustomFields } from "@/utils/hooks/useProjectCustomFields";
+
+const TYPE_LABELS = {
+  text: "Text",
+  number: "Number",
+  date: "Date",
+  select: "Single select",
+  multi_select: "Multi select",
+  user: "Person",
+};
+
+const isSelectType = (type) => type === "select" || type === "multi_select";
+
+// Options are edited as one comma separated line
+const parseOptions = (value) =>
+  value
+    .split(",")
+    .map((option) => option.trim())
+    .filter(Boolean);
+
+const EMPTY_DRAFT = { label: "", type: "text", options: "", required: false };
+
+/**
+ * Custom task fields of a project. Everyone on the project sees the list; the owner,
+ * managers and directors can add, edit and remove fields.
+ */
+export default function ProjectCustomFields({ projectId }) {
+  const { fields, canManage, loading, error, createField, updateField, deleteField } = useProjectCustomFields(projectId);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(null); // { id, label, options, required, type }
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    const result = await action();
+    setBusy(false);
+    return result;
+  };
+
+  const handleCreate = async () => {
+    if (!draft.label.trim()) return;
+    const result = await run(() =>
+      createField({
+        label: draft.label.trim(),
+        type: draft.type,
+        required: draft.required,
+        ...(isSelectType(draft.type) ? { options: parseOptions(draft.options) } : {}),
+      })
+    );
+    if (result.success) setDraft(EMPTY_DRAFT);
+  };
+
+  const handleUpdate = async () => {
+    if (!editing?.label.trim()) return;
+    const result = await run(() =>
+      updateField(editing.id, {
+        label: editing.label.trim(),
+        required: editing.required,
+        ...(isSelectType(editing.type) ? { options: parseOptions(editing.options) } : {}),
+      })
+    );
+    if (result.success) setEditing(null);
+  };
+
+  const handleDelete = (field) => {
+    if (!confirm(`Remove the "${field.label}" field? Values stored on tasks will no longer show.`)) return;
+    run(() => deleteField(field.id));
+  };
+
+  if (!canManage && fields.length === 0) return null;
+
+  return (
+    <div className="mb-4 rounded-md border border-gray-200 bg-gray-50 p-3 text-sm">
+      <h5 className="font-medium text-gray-900 mb-2">Custom fields</h5>
+
+      {loading && fields.length === 0 ? (
+        <p className="text-gray-500">Loading custom fields...</p>
+      ) : fields.length === 0 ? (
+        <p className="text-gray-500">No custom fields yet</p>
+      ) : (
+        <ul className="space-y-1">
+          {fields.map((field) =>
+            editing?.id === field.id ? (
+              <li key={field.id} className="flex flex-wrap items-center gap-2">
+                <input
+                  type="text"
+                  value={editing.label}
+                  onChange={(e) => setEditing({ ...editing, label: e.target.value })}
+                  maxLength={60}
+                  className="border border-gray-300 rounded px-2 py-0.5"
+                />
+                {isSelectType(field.type) && (
+                  <input
+                    type="text"
+                    value={editing.options}
+                    onChange={(e) => setEditing({ ...editing, options: e.target.value })}
+                    placeholder="Option A, Option B"
+                    className="flex-1 min-w-[10rem] border border-gray-300 rounded px-2 py-0.5"
+                  />
+                )}
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={editing.required}
+                    onChange={(e) => setEditing({ ...editing, required: e.target.checked })}
+                  />
+                  Required
+                </label>
+                <button type="button" onClick={handleUpdate} disabled={busy} className="text-xs text-blue-600 hover:text-blue-800">
+                  Save
+                </button>
+                <button type="button" onClick={() => setEditing(null)} className="text-xs text-gray-500 hover:text-gray-700">
+                  Cancel
+                </button>
+              </li>
+            ) : (
+              <li key={field.id} className="flex flex-wrap items-center gap-2">
+                <span className="font-medium text-gray-800">{field.label}</span>
+                <span className="text-xs text-gray-500">
+                  {TYPE_LABELS[field.type] || field.type}
+                  {isSelectType(field.type) && ` (${(field.options || []).join(", ")})`}
+                  {field.required && " · required"}
+                </span>
+                {canManage && (
+                  <span className="ml-auto flex gap-2 text-xs">
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setEditing({
+                          id: field.id,
+                          type: field.type,
+                          label: field.label,
+                          options: (field.options || []).join(", "),
+                          required: Boolean(field.required),
+                        })
+                      }
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Edit
+                    </button>
+                    <button type="button" onClick={() => handleDelete(field)} disabled={busy} className="text-red-600 hover:text-red-800">
+                      Remove
+                    </button>
+                  </span>
+                )}
+              </li>
+            )
+          )}
+        </ul>
+      )}
+
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+
+      {canManage && (
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={draft.label}
+            onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+            placeholder="Field name"
+            maxLength={60}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <select
+            value={draft.type}
+            onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {isSelectType(draft.type) && (
+            <input
+              type="text"
+              value={draft.options}
+              onChange={(e) => setDraft({ ...draft, options: e.target.value })}
+              placeholder="Option A, Option B"
+              className="flex-1 min-w-[10rem] border border-gray-300 rounded px-2 py-1"
+            />
+          )}
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={draft.required}
+              onChange={(e) => setDraft({ ...draft, required: e.target.checked })}
+            />
+            Required
+          </label>
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={busy || !draft.label.trim()}
+            className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add field
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
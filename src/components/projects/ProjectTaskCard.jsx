@@ -3,7 +3,7 @@
 import { useState } from "react";
 import TaskEditModal from "@/components/tasks/TaskEditModal";
 import TaskDetailsModal from "@/components/tasks/TaskDetailsModal";
-import { getPriorityConfig } from "@/constants/taskConstants";
+import { getPriorityConfig, isCompletedStatus } from "@/constants/taskConstants";
 
 export default function ProjectTaskCard({ 
   task, 
@@ -87,14 +87,16 @@ export default function ProjectTaskCard({
       setEditError("");
       
       // Call the parent's update function with FormData - match ProjectTaskCard exactly
-      await onTaskUpdate(taskId, formData);
+      const result = await onTaskUpdate(taskId, formData);
+      // A stale version is resolved in the modal, not reported as saved
+      if (result?.conflict) return result;
       
       setEditSuccess("Task updated successfully!");
       setTimeout(() => {
         closeEditModal();
         setEditSuccess("");
       }, 1000);
-      
+      return result;
     } catch (error) {
       console.error("Error updating task:", error);
       setEditError(error.message || "Failed to update task");
@@ -111,7 +113,7 @@ export default function ProjectTaskCard({
     if (!dueDate) return borderColor; // Use default if no due date
     
     // Consider the task's status when determining if it's overdue
-    const isTaskCompleted = task.status === 'done' || task.status === 'completed';
+    const isTaskCompleted = isCompletedStatus(task.status);
     
     // Only mark as overdue if not completed
     const isOverdue = dueDate < now && !isTaskCompleted;
@@ -141,14 +143,14 @@ export default function ProjectTaskCard({
   const dueDate = task.due_date ? new Date(task.due_date) : null;
   
   // Only mark as overdue if not done/completed
-  const isOverdue = dueDate && dueDate < now && task.status !== 'done' && task.status !== 'completed';
+  const isOverdue = dueDate && dueDate < now && !isCompletedStatus(task.status);
   
   // Check if due date is approaching (within 3 days)
   const msInDay = 24 * 60 * 60 * 1000;
   const daysUntilDue = dueDate ? Math.ceil((dueDate - now) / msInDay) : null;
   
   // Only show approaching warning if not done/completed
-  const isApproaching = dueDate && daysUntilDue > 0 && daysUntilDue <= 3 && task.status !== 'done' && task.status !== 'completed';
+  const isApproaching = dueDate && daysUntilDue > 0 && daysUntilDue <= 3 && !isCompletedStatus(task.status);
 
   // Simple function to get assigned user name
   const getAssignedUserName = () => {
@@ -240,7 +242,7 @@ export default function ProjectTaskCard({
                   </span>
                 )}
                 {/* Show past due date as regular text if task is completed */}
-                {(task.status === 'done' || task.status === 'completed') && dueDate && dueDate < now && (
+                {isCompletedStatus(task.status) && dueDate && dueDate < now && (
                   <span className="ml-1 text-gray-500">
                     (Completed)
                   </span>
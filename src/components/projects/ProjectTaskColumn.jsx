@@ -1,6 +1,7 @@
 "use client";
 
 import ProjectTaskCard from "./ProjectTaskCard";
+import { toStatusKey } from "@/constants/taskConstants";
 
 export default function TaskColumn({ 
   title, 
@@ -16,7 +17,7 @@ export default function TaskColumn({
   memberNames,
   projectNames
 }) {
-  const filteredTasks = tasks.filter(task => task.status === status);
+  const filteredTasks = tasks.filter(task => toStatusKey(task.status) === toStatusKey(status));
 
   return (
     <div className={`${bgColor} rounded-lg p-3 sm:p-4`}>
@@ -1,5 +1,7 @@
 "use client";
 
+import { TASK_STATUSES } from "@/constants/taskConstants";
+
 export default function TeamWorkloadReportContent({
   teamWorkload = {},
   departmentTeams = [],
@@ -25,6 +27,14 @@ export default function TeamWorkloadReportContent({
     0
   );
 
+  const round = (n) => Math.round(n * 100) / 100;
+  const totalEstimated = round(
+    entries.reduce((s, [, m]) => s + (m.estimated_hours || 0), 0)
+  );
+  const totalLogged = round(
+    entries.reduce((s, [, m]) => s + (m.logged_hours || 0), 0)
+  );
+
   const level = (n) => (n >= 15 ? "high" : n >= 8 ? "medium" : "low");
 
   return (
@@ -74,6 +84,17 @@ export default function TeamWorkloadReportContent({
         </div>
       </div>
 
+      {/* Effort summary */}
+      {(totalEstimated > 0 || totalLogged > 0) && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 text-sm text-gray-700 avoid-break-inside">
+          <span className="font-semibold text-gray-900">Effort: </span>
+          <span className={totalEstimated > 0 && totalLogged > totalEstimated ? "font-medium text-red-600" : "font-medium"}>
+            {totalLogged}h
+          </span>{" "}
+          logged of {totalEstimated}h estimated
+        </div>
+      )}
+
       {/* Members list */}
       <div className="page-break">
         <h5 className="text-base sm:text-lg font-medium text-gray-900 mb-4">
@@ -163,19 +184,31 @@ export default function TeamWorkloadReportContent({
                   <span>
                     Under Review:{" "}
                     <span className="font-medium">
-                      {m.task_status_breakdown?.["under review"] ?? 0}
+                      {m.task_status_breakdown?.[TASK_STATUSES.UNDER_REVIEW] ?? 0}
                     </span>
                   </span>
                   <span>
                     Ongoing:{" "}
                     <span className="font-medium">
-                      {m.task_status_breakdown?.ongoing ?? 0}
+                      {m.task_status_breakdown?.[TASK_STATUSES.ONGOING] ?? 0}
                     </span>
                   </span>
                   <span>
                     Completed:{" "}
                     <span className="font-medium">
-                      {m.task_status_breakdown?.completed ?? 0}
+                      {m.task_status_breakdown?.[TASK_STATUSES.COMPLETED] ?? 0}
+                    </span>
+                  </span>
+                  <span>
+                    Hours:{" "}
+                    <span
+                      className={`font-medium ${
+                        m.estimated_hours > 0 && m.logged_hours > m.estimated_hours
+                          ? "text-red-600"
+                          : ""
+                      }`}
+                    >
+                      {m.logged_hours ?? 0}h logged / {m.estimated_hours ?? 0}h est.
                     </span>
                   </span>
                 </div>
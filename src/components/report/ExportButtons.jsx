@@ -0,0 +1,34 @@
+"use client";
+
+import { useExport } from "@/utils/hooks/useExport";
+
+const FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel" },
+];
+
+/**
+ * CSV and Excel download buttons for one export (tasks, projects or workload).
+ * `filters` are the task search parameters the export should honour.
+ */
+export default function ExportButtons({ kind, filters = {}, label = "Export", className = "" }) {
+  const { downloadExport, downloading, error } = useExport();
+
+  return (
+    <div className={`inline-flex flex-wrap items-center gap-2 ${className}`}>
+      {label && <span className="text-xs text-gray-500">{label}</span>}
+      {FORMATS.map((format) => (
+        <button
+          key={format.value}
+          type="button"
+          onClick={() => downloadExport(kind, format.value, filters)}
+          disabled={Boolean(downloading)}
+          className="px-3 py-1.5 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {downloading === `${kind}:${format.value}` ? "Preparing..." : format.label}
+        </button>
+      ))}
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useAuth } from "@/utils/hooks/useAuth";
+import { useProjects } from "@/utils/hooks/useProjects";
+import { useUsers } from "@/utils/hooks/useUsers";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import ExportButtons from "@/components/report/ExportButtons";
+
+const inputClass = "border border-gray-300 rounded-md px-2 py-1 text-sm";
+
+const EXPORTS = [
+  { kind: "tasks", title: "Tasks", description: "One row per task, with custom field columns when a project is chosen" },
+  { kind: "projects", title: "Projects", description: "One row per project with task counts and progress" },
+  { kind: "workload", title: "Workload", description: "One row per person: tasks by status, overdue, due soon and hours" },
+];
+
+/**
+ * Tabular exports for the report page. The filters are the task search filters; each
+ * export only contains what the signed-in user is allowed to see.
+ */
+export default function ExportPanel() {
+  const { user } = useAuth();
+  const { projects = [] } = useProjects(user);
+  const { users, fetchUsers } = useUsers();
+  const { statusOptions } = useTaskWorkflow();
+  const [filters, setFilters] = useState({ project_id: "", status: "", owner_id: "", due_from: "", due_to: "" });
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="border rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Data Exports</h3>
+      <p className="text-sm text-gray-500 mb-4">Download spreadsheets of the data behind these reports.</p>
+
+      <div className="flex flex-wrap items-end gap-3 mb-4 text-sm">
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Project</span>
+          <select value={filters.project_id} onChange={(e) => updateFilter("project_id", e.target.value)} className={inputClass}>
+            <option value="">All projects</option>
+            {projects.map((project) => (
+              <option key={project.id} value={project.id}>{project.title}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Status</span>
+          <select value={filters.status} onChange={(e) => updateFilter("status", e.target.value)} className={inputClass}>
+            <option value="">Any status</option>
+            {statusOptions.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Assignee</span>
+          <select value={filters.owner_id} onChange={(e) => updateFilter("owner_id", e.target.value)} className={inputClass}>
+            <option value="">Anyone</option>
+            {(users || []).map((person) => (
+              <option key={person.emp_id} value={person.emp_id}>{person.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Due from</span>
+          <input type="date" value={filters.due_from} onChange={(e) => updateFilter("due_from", e.target.value)} className={inputClass} />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-gray-600">Due to</span>
+          <input type="date" value={filters.due_to} onChange={(e) => updateFilter("due_to", e.target.value)} className={inputClass} />
+        </label>
+      </div>
+
+      <div className="divide-y divide-gray-100">
+        {EXPORTS.map((item) => (
+          <div key={item.kind} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 py-3">
+            <div>
+              <p className="text-sm font-medium text-gray-900">{item.title}</p>
+              <p className="text-xs text-gray-500">{item.description}</p>
+            </div>
+            <ExportButtons kind={item.kind} filters={filters} label="" />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
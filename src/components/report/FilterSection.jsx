@@ -1,11 +1,17 @@
 "use client";
 
+const selectClassName =
+  "border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500";
+
 export default function FilterSection({
   title,
   filterLabel,
   filterValue,
   onFilterChange,
   options,
+  tagOptions = null,
+  tagValue = "all",
+  onTagChange,
   disabled = false,
   bgColor = "bg-gray-50",
   titleColor = "text-gray-900",
@@ -13,26 +19,48 @@ export default function FilterSection({
 }) {
   return (
     <div className={`${bgColor} p-4 rounded-lg`}>
-      <div className="flex items-center justify-between">
+      <div className="flex flex-wrap items-center justify-between gap-3">
         <h3 className={`text-lg font-medium ${titleColor}`}>{title}</h3>
-        <div className="flex items-center space-x-2">
-          <label className={`text-sm ${labelColor}`}>
-            {filterLabel}:
-          </label>
-          <select
-            value={filterValue}
-            onChange={(e) => onFilterChange(e.target.value)}
-            className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
-            disabled={disabled}
-          >
-            {options.map((option) => (
-              <option key={option.value} value={option.value}>
-                {option.label}
-              </option>
-            ))}
-          </select>
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center space-x-2">
+            <label className={`text-sm ${labelColor}`}>
+              {filterLabel}:
+            </label>
+            <select
+              value={filterValue}
+              onChange={(e) => onFilterChange(e.target.value)}
+              className={selectClassName}
+              disabled={disabled}
+            >
+              {options.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {/* Optional tag filter, shown when tag options are passed */}
+          {tagOptions && (
+            <div className="flex items-center space-x-2">
+              <label className={`text-sm ${labelColor}`}>
+                Tag:
+              </label>
+              <select
+                value={tagValue}
+                onChange={(e) => onTagChange(e.target.value)}
+                className={selectClassName}
+                disabled={disabled}
+              >
+                {tagOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,5 +1,7 @@
 "use client";
 
+import ProgressBar from "@/components/ui/ProgressBar";
+
 export default function ProjectCard({
   project,
   userEmpId,
@@ -57,6 +59,9 @@ export default function ProjectCard({
                 : "N/A"}
             </span>
           </div>
+
+          {/* Percent-complete rolled up from the project's tasks (absent until it has tasks) */}
+          <ProgressBar value={project.progress} className="mt-2 max-w-xs" />
         </div>
 
         {/* Generate Report button — now contained inside the div */}
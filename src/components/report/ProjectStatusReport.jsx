@@ -2,12 +2,28 @@
 
 import { useState, useEffect } from "react";
 import { createClient } from "@/utils/supabase/client";
-
-export default function ProjectStatusReport({ project }) {
+import { formatCustomFieldValue, getProjectHours, getProjectStats, getTaskProgress, groupTasksByStatus } from "@/utils/reportUtils";
+import { useProjectCustomFields } from "@/utils/hooks/useProjectCustomFields";
+import ProgressBar from "@/components/ui/ProgressBar";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { TASK_STATUSES, toStatusKey, isCompletedStatus } from "@/constants/taskConstants";
+
+// onDataLoaded({ tasks, customFields, memberNames }) hands the loaded rows to the
+// parent, which uses them for the CSV export
+export default function ProjectStatusReport({ project, onDataLoaded }) {
   const [tasks, setTasks] = useState([]);
   const [teamMembers, setTeamMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { getStatusLabel } = useTaskWorkflow();
+  const { fields: customFields, members: customFieldMembers } = useProjectCustomFields(project?.id);
+
+  useEffect(() => {
+    if (loading || typeof onDataLoaded !== "function") return;
+    const memberNames = Object.fromEntries(customFieldMembers.map((m) => [m.emp_id, m.name]));
+    onDataLoaded({ tasks, customFields, memberNames });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [loading, tasks, customFields, customFieldMembers]);
 
   useEffect(() => {
     if (project?.id) {
@@ -115,16 +131,13 @@ export default function ProjectStatusReport({ project }) {
   };
 
   const getStatusColor = (status) => {
-    const statusLower = (status || "").toLowerCase();
-    switch (statusLower) {
-      case "completed":
+    switch (toStatusKey(status)) {
+      case TASK_STATUSES.COMPLETED:
         return "bg-green-100 text-green-800";
-      case "ongoing":
+      case TASK_STATUSES.ONGOING:
         return "bg-blue-100 text-blue-800";
-      case "under review":
+      case TASK_STATUSES.UNDER_REVIEW:
         return "bg-yellow-100 text-yellow-800";
-      case "unassigned":
-        return "bg-gray-100 text-gray-800";
       default:
         return "bg-gray-100 text-gray-800";
     }
@@ -136,42 +149,6 @@ export default function ProjectStatusReport({ project }) {
     return "text-gray-600";
   };
 
-  const getProjectStats = () => {
-    const total = tasks.length;
-    const completed = tasks.filter(
-      (t) => t.status?.toLowerCase() === "completed"
-    ).length;
-    const ongoing = tasks.filter(
-      (t) => t.status?.toLowerCase() === "ongoing"
-    ).length;
-    const underReview = tasks.filter(
-      (t) => t.status?.toLowerCase() === "under review"
-    ).length;
-    const overdue = tasks.filter(
-      (t) =>
-        t.due_date &&
-        new Date(t.due_date) < new Date() &&
-        t.status?.toLowerCase() !== "completed"
-    ).length;
-
-    return { total, completed, ongoing, underReview, overdue };
-  };
-
-  const getTasksByStatus = () => {
-    const completed = tasks.filter(
-      (t) => t.status?.toLowerCase() === "completed"
-    );
-    const underReview = tasks.filter(
-      (t) => t.status?.toLowerCase() === "under review"
-    );
-    const ongoing = tasks.filter((t) => t.status?.toLowerCase() === "ongoing");
-    const unassigned = tasks.filter(
-      (t) => t.status?.toLowerCase() === "unassigned"
-    );
-
-    return { completed, underReview, ongoing, unassigned };
-  };
-
   const formatDate = (dateStr) => {
     if (!dateStr) return "No due date";
     const date = new Date(dateStr);
@@ -183,7 +160,7 @@ export default function ProjectStatusReport({ project }) {
   };
 
   const isOverdue = (task) => {
-    if (!task.due_date || task.status?.toLowerCase() === "completed")
+    if (!task.due_date || isCompletedStatus(task.status))
       return false;
     return new Date(task.due_date) < new Date();
   };
@@ -205,13 +182,15 @@ export default function ProjectStatusReport({ project }) {
     );
   }
 
-  const stats = getProjectStats();
-  const tasksByStatus = getTasksByStatus();
+  const stats = getProjectStats(tasks);
+  const hours = getProjectHours(tasks);
+  const tasksByStatus = groupTasksByStatus(tasks);
   const sortedTasks = [...tasks].sort((a, b) => {
     if (!a.due_date) return 1;
     if (!b.due_date) return -1;
     return new Date(a.due_date) - new Date(b.due_date);
   });
+  const customFieldNames = Object.fromEntries(customFieldMembers.map((m) => [m.emp_id, m.name]));
 
   return (
     <div className="space-y-6">
@@ -277,6 +256,36 @@ export default function ProjectStatusReport({ project }) {
         </div>
       </div>
 
+      {/* Percent-complete rolled up from subtasks */}
+      {stats.total > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4">
+          <ProgressBar value={stats.progress} label="Overall progress" />
+        </div>
+      )}
+
+      {/* Effort: estimated vs. logged hours */}
+      {(hours.estimated > 0 || hours.logged > 0) && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-gray-700 mb-2">
+            <span className="font-semibold text-gray-900">Effort</span>
+            <span>
+              <span className={hours.estimated > 0 && hours.logged > hours.estimated ? "font-semibold text-red-600" : "font-semibold text-gray-900"}>
+                {hours.logged}h
+              </span>{" "}
+              logged of {hours.estimated}h estimated
+            </span>
+          </div>
+          {hours.estimated > 0 && (
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className={`h-full ${hours.logged > hours.estimated ? "bg-red-500" : "bg-blue-500"}`}
+                style={{ width: `${Math.min(100, (hours.logged / hours.estimated) * 100)}%` }}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Team Members */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
@@ -323,6 +332,11 @@ export default function ProjectStatusReport({ project }) {
                     )}
                   </div>
                   <div className="text-xs text-gray-500">{member.department}</div>
+                  {hours.byMember[String(member.emp_id)] && (
+                    <div className="text-xs text-gray-500">
+                      {hours.byMember[String(member.emp_id)].logged}h logged / {hours.byMember[String(member.emp_id)].estimated}h est.
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
@@ -330,6 +344,37 @@ export default function ProjectStatusReport({ project }) {
         )}
       </div>
 
+      {/* Project custom fields per task */}
+      {customFields.length > 0 && sortedTasks.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Custom Fields</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4 font-medium">Task</th>
+                  {customFields.map((field) => (
+                    <th key={field.id} className="py-2 pr-4 font-medium">{field.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedTasks.map((task) => (
+                  <tr key={task.id} className="border-b last:border-0">
+                    <td className="py-2 pr-4 text-gray-900">{task.title}</td>
+                    {customFields.map((field) => (
+                      <td key={field.id} className="py-2 pr-4 text-gray-700">
+                        {formatCustomFieldValue(field, task.custom_fields?.[field.id], customFieldNames) || "—"}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* ========== COMMENTED OUT: ORIGINAL TIMELINE (CREATED FROM SCRATCH) ========== */}
       {/* 
       <div className="bg-white border border-gray-200 rounded-lg p-6">
@@ -365,16 +410,16 @@ export default function ProjectStatusReport({ project }) {
                   <div className="relative flex items-start group">
                     <div
                       className={`absolute left-0 flex items-center justify-center w-8 h-8 rounded-full border-4 border-white ${
-                        task.status?.toLowerCase() === "completed"
+                        isCompletedStatus(task.status)
                           ? "bg-green-500"
                           : isOverdue(task)
                           ? "bg-red-500"
-                          : task.status?.toLowerCase() === "under review"
+                          : toStatusKey(task.status) === TASK_STATUSES.UNDER_REVIEW
                           ? "bg-yellow-500"
                           : "bg-blue-500"
                       }`}
                     >
-                      {task.status?.toLowerCase() === "completed" && (
+                      {isCompletedStatus(task.status) && (
                         <svg
                           className="w-4 h-4 text-white"
                           fill="currentColor"
@@ -401,7 +446,7 @@ export default function ProjectStatusReport({ project }) {
                                 task.status
                               )}`}
                             >
-                              {task.status}
+                              {getStatusLabel(task.status)}
                             </span>
                             {isOverdue(task) && (
                               <span className="px-2 py-1 text-xs bg-red-100 text-red-800 rounded-full">
@@ -581,7 +626,7 @@ export default function ProjectStatusReport({ project }) {
                                         task.status
                                       )}`}
                                     >
-                                      {task.status}
+                                      {getStatusLabel(task.status)}
                                     </span>
                                   </div>
                                   {task.description && (
@@ -645,7 +690,7 @@ export default function ProjectStatusReport({ project }) {
                                   task.status
                                 )}`}
                               >
-                                {task.status}
+                                {getStatusLabel(task.status)}
                               </span>
                             </div>
                             {task.description && (
@@ -729,7 +774,9 @@ export default function ProjectStatusReport({ project }) {
                     className="text-sm text-gray-600 flex items-center justify-between"
                   >
                     <span>• {task.title}</span>
-                    <span className="text-xs text-gray-500">
+                    <span className="flex items-center gap-2 text-xs text-gray-500">
+                      <ProgressBar value={getTaskProgress(task)} showLabel={false} size="sm" className="w-16" />
+                      <span>{getTaskProgress(task)}%</span>
                       {task.owner_name}
                     </span>
                   </div>
@@ -752,7 +799,9 @@ export default function ProjectStatusReport({ project }) {
                     className="text-sm text-gray-600 flex items-center justify-between"
                   >
                     <span>• {task.title}</span>
-                    <span className="text-xs text-gray-500">
+                    <span className="flex items-center gap-2 text-xs text-gray-500">
+                      <ProgressBar value={getTaskProgress(task)} showLabel={false} size="sm" className="w-16" />
+                      <span>{getTaskProgress(task)}%</span>
                       {task.owner_name}
                     </span>
                   </div>
@@ -775,7 +824,9 @@ export default function ProjectStatusReport({ project }) {
                     className="text-sm text-gray-600 flex items-center justify-between"
                   >
                     <span>• {task.title}</span>
-                    <span className="text-xs text-gray-500">
+                    <span className="flex items-center gap-2 text-xs text-gray-500">
+                      <ProgressBar value={getTaskProgress(task)} showLabel={false} size="sm" className="w-16" />
+                      <span>{getTaskProgress(task)}%</span>
                       {task.owner_name}
                     </span>
                   </div>
@@ -6,11 +6,16 @@ import { useDirectorInsights } from "@/utils/hooks/useDirectorInsights"
 import { useHrInsights } from "@/utils/hooks/useHrInsights"
 import { set } from "zod"
 import { useState } from "react"
+import { buildTaskCsv } from "@/utils/reportUtils"
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow"
 
 export default function ReportPreviewModal({ reportType, data, onClose, userRole }) {
   const { user } = useAuth();
   const { departmentPerformance } = useDirectorInsights();
   const [isExporting, setIsExporting] = useState(false);
+  // Rows of the project report, for the CSV export
+  const [projectExport, setProjectExport] = useState(null);
+  const { getStatusLabel } = useTaskWorkflow();
   const { 
     headcount, 
     departments, 
@@ -62,12 +67,29 @@ export default function ReportPreviewModal({ reportType, data, onClose, userRole
 };
 
 
+  const handleExportCSV = () => {
+    if (!projectExport) return;
+    const csv = buildTaskCsv(projectExport.tasks, projectExport.customFields, {
+      memberNames: projectExport.memberNames,
+      getStatusLabel,
+    });
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = getReportFileName().replace(/\.pdf$/i, "") + ".csv";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+  };
+
   const renderPreviewContent = () => {
     if (reportType === 'project-report' && data) {
       // Use enhanced report for both staff and managers
       return (
         <div className="space-y-4">
-          <ProjectStatusReport project={data} />
+          <ProjectStatusReport project={data} onDataLoaded={setProjectExport} />
         </div>
       );
     }
@@ -407,6 +429,43 @@ export default function ReportPreviewModal({ reportType, data, onClose, userRole
           )}
         </div>
 
+        {/* Task Breakdown by Tag */}
+        {data.tagBreakdown?.length > 0 && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Task Breakdown by Tag</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2 pr-4 font-medium">Tag</th>
+                    <th className="py-2 pr-4 font-medium text-right">Tasks</th>
+                    <th className="py-2 pr-4 font-medium text-right">Completed</th>
+                    <th className="py-2 pr-4 font-medium text-right">Overdue</th>
+                    <th className="py-2 font-medium text-right">Completion</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.tagBreakdown.map((tag) => (
+                    <tr key={tag.tagId} className="border-b last:border-0">
+                      <td className="py-2 pr-4">
+                        <span className="inline-flex items-center gap-2">
+                          <span className="w-3 h-3 rounded-full" style={{ backgroundColor: tag.color }}></span>
+                          <span className="text-gray-900">{tag.name}</span>
+                          {tag.projectId && <span className="text-xs text-gray-500">(project)</span>}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 text-right">{tag.total}</td>
+                      <td className="py-2 pr-4 text-right text-green-700">{tag.completed}</td>
+                      <td className="py-2 pr-4 text-right text-red-600">{tag.overdue}</td>
+                      <td className="py-2 text-right font-semibold">{tag.completionRate}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Performance Rankings */}
         <div className="bg-white border border-gray-200 rounded-lg p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
@@ -966,6 +1025,15 @@ export default function ReportPreviewModal({ reportType, data, onClose, userRole
           >
             Close
           </button>
+          {reportType === 'project-report' && (
+            <button
+              onClick={handleExportCSV}
+              disabled={!projectExport}
+              className="w-full sm:w-auto px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-50 text-sm sm:text-base"
+            >
+              Export CSV
+            </button>
+          )}
           <button
   onClick={handleExportPDF}
   disabled={isExporting}
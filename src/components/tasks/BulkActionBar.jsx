@@ -0,0 +1,184 @@
+"use client";
+
+import { useState } from "react";
+import { useBulkTasks } from "@/utils/hooks/useBulkTasks";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+
+const ACTIONS = [
+  { id: "status", label: "Change status" },
+  { id: "priority", label: "Set priority" },
+  { id: "due_shift_days", label: "Shift due dates" },
+  { id: "owner_id", label: "Reassign to" },
+  { id: "collaborators_add", label: "Add collaborator" },
+  { id: "collaborators_remove", label: "Remove collaborator" },
+  { id: "project_id", label: "Move to project" },
+  { id: "archive", label: "Archive" },
+];
+
+const inputClass = "px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+/**
+ * Sticky bar for applying one change to every selected task through POST /tasks/bulk-update.
+ * `people` ([{ emp_id, name }]) feeds the reassign / collaborator pickers, `projects`
+ * ([{ id, title }]) the project move. `onDone(result)` runs after the request with the
+ * per-task results.
+ */
+export default function BulkActionBar({ selectedIds = [], people = [], projects = [], onClear, onDone }) {
+  const { running, bulkUpdate } = useBulkTasks();
+  const { editableStatusOptions } = useTaskWorkflow();
+  const [action, setAction] = useState("status");
+  const [value, setValue] = useState("");
+  const [outcome, setOutcome] = useState(null);
+
+  if (selectedIds.length === 0 && !outcome) return null;
+
+  const buildPayload = () => {
+    const payload = { task_ids: selectedIds };
+    switch (action) {
+      case "priority":
+      case "due_shift_days":
+        payload[action] = Number(value);
+        break;
+      case "collaborators_add":
+      case "collaborators_remove":
+        payload[action] = [value];
+        break;
+      case "project_id":
+        payload.project_id = value === "none" ? null : Number(value);
+        break;
+      case "archive":
+        payload.archive = true;
+        break;
+      default:
+        payload[action] = value;
+    }
+    return payload;
+  };
+
+  const needsValue = action !== "archive";
+
+  const handleApply = async () => {
+    if (needsValue && value === "") return;
+    const count = selectedIds.length;
+    if (!confirm(`Apply "${ACTIONS.find((a) => a.id === action).label}" to ${count} task${count === 1 ? "" : "s"}?`)) return;
+    const result = await bulkUpdate(buildPayload());
+    setOutcome(result);
+    if (typeof onDone === "function") onDone(result);
+  };
+
+  const renderValueInput = () => {
+    switch (action) {
+      case "status":
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+            <option value="">Choose status…</option>
+            {editableStatusOptions.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        );
+      case "priority":
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+            <option value="">Choose priority…</option>
+            {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((p) => (
+              <option key={p} value={p}>{p}</option>
+            ))}
+          </select>
+        );
+      case "due_shift_days":
+        return (
+          <input
+            type="number"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="Days (e.g. 7 or -2)"
+            className={`${inputClass} w-40`}
+          />
+        );
+      case "owner_id":
+      case "collaborators_add":
+      case "collaborators_remove":
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+            <option value="">Choose person…</option>
+            {people.map((person) => (
+              <option key={person.emp_id} value={person.emp_id}>{person.name || person.emp_id}</option>
+            ))}
+          </select>
+        );
+      case "project_id":
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+            <option value="">Choose project…</option>
+            <option value="none">No project</option>
+            {projects.map((project) => (
+              <option key={project.id} value={project.id}>{project.title || project.name}</option>
+            ))}
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const failures = outcome?.success ? outcome.results.filter((r) => r.result === "failed") : [];
+
+  return (
+    <div className="sticky bottom-0 z-30 mt-4 bg-white border border-gray-200 shadow-lg rounded-lg p-3 sm:p-4 space-y-2">
+      {selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-800 mr-2">{selectedIds.length} selected</span>
+          <select
+            value={action}
+            onChange={(e) => {
+              setAction(e.target.value);
+              setValue("");
+            }}
+            className={inputClass}
+          >
+            {ACTIONS.map((a) => (
+              <option key={a.id} value={a.id}>{a.label}</option>
+            ))}
+          </select>
+          {renderValueInput()}
+          <button
+            onClick={handleApply}
+            disabled={running || (needsValue && value === "")}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {running ? "Applying..." : "Apply"}
+          </button>
+          <button onClick={onClear} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800">
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {outcome && (
+        <div className="text-sm">
+          {outcome.success ? (
+            <p className="text-gray-700">
+              Updated {outcome.summary.updated}, unchanged {outcome.summary.skipped}, failed {outcome.summary.failed}.
+              {outcome.notified > 0 && ` ${outcome.notified} ${outcome.notified === 1 ? "person was" : "people were"} notified.`}
+              <button onClick={() => setOutcome(null)} className="ml-2 text-xs text-gray-500 hover:text-gray-700">
+                Dismiss
+              </button>
+            </p>
+          ) : (
+            <p className="text-red-600">{outcome.error}</p>
+          )}
+          {failures.length > 0 && (
+            <ul className="mt-1 max-h-32 overflow-y-auto text-xs text-red-600 list-disc pl-5">
+              {failures.map((f) => (
+                <li key={f.task_id}>
+                  {f.title || `Task ${f.task_id}`}: {f.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
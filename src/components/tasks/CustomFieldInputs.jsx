@@ -0,0 +1,131 @@
+"use client";
+
+const inputClass = "mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm";
+
+// Values to send for the given fields: unknown fields left out, removed options cleared
+export function cleanCustomFieldValues(fields = [], values = {}) {
+  const cleaned = {};
+  fields.forEach((field) => {
+    let value = values[field.id] ?? null;
+    const options = field.options || [];
+    if (field.type === "select" && !options.includes(value)) value = null;
+    if (field.type === "multi_select") value = (Array.isArray(value) ? value : []).filter((v) => options.includes(v));
+    cleaned[field.id] = value;
+  });
+  return cleaned;
+}
+
+/**
+ * Inputs for a project's custom fields. `values` maps field id to value; options that
+ * were removed from a field since a value was saved are shown as unset.
+ */
+export default function CustomFieldInputs({ fields = [], members = [], values = {}, onChange, disabled = false }) {
+  if (fields.length === 0) return null;
+
+  const setValue = (fieldId, value) => onChange({ ...values, [fieldId]: value });
+
+  const renderInput = (field) => {
+    const value = values[field.id];
+    const options = field.options || [];
+
+    switch (field.type) {
+      case "number":
+        return (
+          <input
+            type="number"
+            step="any"
+            value={value ?? ""}
+            onChange={(e) => setValue(field.id, e.target.value === "" ? null : e.target.value)}
+            disabled={disabled}
+            className={inputClass}
+          />
+        );
+      case "date":
+        return (
+          <input
+            type="date"
+            value={value ?? ""}
+            onChange={(e) => setValue(field.id, e.target.value || null)}
+            disabled={disabled}
+            className={inputClass}
+          />
+        );
+      case "select":
+        return (
+          <select
+            value={options.includes(value) ? value : ""}
+            onChange={(e) => setValue(field.id, e.target.value || null)}
+            disabled={disabled}
+            className={inputClass}
+          >
+            <option value="">—</option>
+            {options.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case "multi_select": {
+        const selected = (Array.isArray(value) ? value : []).filter((v) => options.includes(v));
+        return (
+          <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+            {options.map((option) => (
+              <label key={option} className="flex items-center gap-1 text-sm">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(option)}
+                  disabled={disabled}
+                  onChange={(e) =>
+                    setValue(
+                      field.id,
+                      e.target.checked ? [...selected, option] : selected.filter((v) => v !== option)
+                    )
+                  }
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        );
+      }
+      case "user":
+        return (
+          <select
+            value={value ?? ""}
+            onChange={(e) => setValue(field.id, e.target.value || null)}
+            disabled={disabled}
+            className={inputClass}
+          >
+            <option value="">—</option>
+            {members.map((member) => (
+              <option key={member.emp_id} value={member.emp_id}>{member.name}</option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <input
+            type="text"
+            maxLength={500}
+            value={value ?? ""}
+            onChange={(e) => setValue(field.id, e.target.value)}
+            disabled={disabled}
+            className={inputClass}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      {fields.map((field) => (
+        <div key={field.id}>
+          <label className="block text-sm font-medium text-gray-700">
+            {field.label}
+            {field.required && <span className="text-red-500"> *</span>}
+          </label>
+          {renderInput(field)}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+"use client";
+
+import { useState, useLayoutEffect } from "react";
+
+// Draws arrows between task chips (elements with data-task-id) inside containerRef
+export default function DependencyLinksOverlay({ containerRef, links = [], redrawKey }) {
+  const [paths, setPaths] = useState([]);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  useLayoutEffect(() => {
+    const container = containerRef?.current;
+    if (!container) return;
+
+    const measure = () => {
+      const box = container.getBoundingClientRect();
+      const centerOf = (taskId) => {
+        const el = container.querySelector(`[data-task-id="${taskId}"]`);
+        if (!el) return null;
+        const r = el.getBoundingClientRect();
+        return {
+          left: r.left - box.left,
+          right: r.right - box.left,
+          y: r.top - box.top + r.height / 2,
+        };
+      };
+
+      const next = [];
+      links.forEach((link) => {
+        const from = centerOf(link.fromId);
+        const to = centerOf(link.toId);
+        if (!from || !to) return;
+        const startX = from.right;
+        const endX = to.left;
+        const bend = Math.max(30, Math.abs(endX - startX) / 2);
+        next.push({
+          id: link.id,
+          isOpen: link.isOpen,
+          d: `M ${startX} ${from.y} C ${startX + bend} ${from.y}, ${endX - bend} ${to.y}, ${endX} ${to.y}`,
+        });
+      });
+
+      setSize({ width: container.scrollWidth, height: container.scrollHeight });
+      setPaths(next);
+    };
+
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [containerRef, links, redrawKey]);
+
+  if (paths.length === 0) return null;
+
+  return (
+    <svg
+      className="absolute inset-0 pointer-events-none"
+      width={size.width}
+      height={size.height}
+      aria-hidden="true"
+    >
+      <defs>
+        <marker id="dependency-arrow-open" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+          <path d="M0,0 L8,4 L0,8 z" fill="#dc2626" />
+        </marker>
+        <marker id="dependency-arrow-done" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+          <path d="M0,0 L8,4 L0,8 z" fill="#9ca3af" />
+        </marker>
+      </defs>
+      {paths.map((p) => (
+        <path
+          key={p.id}
+          d={p.d}
+          fill="none"
+          stroke={p.isOpen ? "#dc2626" : "#9ca3af"}
+          strokeWidth="1.5"
+          strokeDasharray={p.isOpen ? undefined : "4 3"}
+          markerEnd={`url(#${p.isOpen ? "dependency-arrow-open" : "dependency-arrow-done"})`}
+        />
+      ))}
+    </svg>
+  );
+}
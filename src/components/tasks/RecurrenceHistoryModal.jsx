@@ -1,68 +1,71 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState } from "react";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { useTaskRecurrence } from "@/utils/hooks/useTaskRecurrence";
+import { TASK_STATUSES, toStatusKey, isCompletedStatus } from "@/constants/taskConstants";
 
-export default function RecurrenceHistoryModal({ 
-  isOpen, 
-  onClose, 
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * The recurring series a task belongs to: its tasks so far and the next occurrences.
+ * The series' owner, managers and directors can skip or move single occurrences and
+ * pause or resume the series from here.
+ */
+export default function RecurrenceHistoryModal({
+  isOpen,
+  onClose,
   taskId,
-  seriesId,
-  taskTitle 
+  taskTitle,
 }) {
-  const [tasks, setTasks] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    if (isOpen && seriesId) {
-      fetchRecurringSeries();
-    }
-  }, [isOpen, seriesId]);
-
-  const fetchRecurringSeries = async () => {
-    setLoading(true);
-    setError(null);
-
-    try {
-      const token = localStorage.getItem("token");
-      // Fetch all tasks with the same recurrence_series_id
-      const response = await fetch(`/api/tasks?recurrence_series_id=${seriesId}`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error("Failed to fetch recurring tasks");
-      }
-
-      const data = await response.json();
-      // Sort by due date
-      const sortedTasks = (data || []).sort((a, b) => 
-        new Date(a.due_date) - new Date(b.due_date)
-      );
-      setTasks(sortedTasks);
-    } catch (err) {
-      console.error("Error fetching recurring series:", err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const { getStatusLabel } = useTaskWorkflow();
+  const {
+    series,
+    loading,
+    error,
+    skipOccurrence,
+    rescheduleOccurrence,
+    restoreOccurrence,
+    pauseSeries,
+    resumeSeries,
+    setGeneration,
+  } = useTaskRecurrence(taskId, { enabled: isOpen });
+  const [moving, setMoving] = useState(null); // { date, newDate } while moving an occurrence
+  const [resumeOn, setResumeOn] = useState(todayString());
+  const [busy, setBusy] = useState(false);
+  const [generationDraft, setGenerationDraft] = useState(null); // { mode, days } while changing it
 
   if (!isOpen) return null;
 
+  const tasks = series?.instances || [];
+  const upcoming = series?.upcoming || [];
+  const canManage = Boolean(series?.can_manage);
+  const paused = Boolean(series?.paused_at);
+  const generation = generationDraft || {
+    mode: series?.generation || "on_completion",
+    days: series?.lookahead_days ?? "",
+  };
+  const generationChanged = Boolean(generationDraft)
+    && (generationDraft.mode !== series?.generation || String(generationDraft.days) !== String(series?.lookahead_days ?? ""));
+
+  const run = async (action) => {
+    setBusy(true);
+    const result = await action();
+    setBusy(false);
+    if (result.success) setMoving(null);
+  };
+
   const getStatusBadge = (status) => {
     const statusConfig = {
-      completed: "bg-green-100 text-green-800 border-green-200",
-      ongoing: "bg-blue-100 text-blue-800 border-blue-200",
-      "under review": "bg-yellow-100 text-yellow-800 border-yellow-200",
-      pending: "bg-gray-100 text-gray-800 border-gray-200",
+      [TASK_STATUSES.COMPLETED]: "bg-green-100 text-green-800 border-green-200",
+      [TASK_STATUSES.ONGOING]: "bg-blue-100 text-blue-800 border-blue-200",
+      [TASK_STATUSES.UNDER_REVIEW]: "bg-yellow-100 text-yellow-800 border-yellow-200",
     };
+    const defaultStyle = "bg-gray-100 text-gray-800 border-gray-200";
 
     return (
-      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium border ${statusConfig[status] || statusConfig.pending}`}>
-        {status}
+      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium border ${statusConfig[toStatusKey(status)] || defaultStyle}`}>
+        {getStatusLabel(status)}
       </span>
     );
   };
@@ -91,7 +94,7 @@ export default function RecurrenceHistoryModal({
           <div className="flex items-center justify-between p-6 border-b border-gray-200">
             <div>
               <h2 className="text-xl font-semibold text-gray-900">
-                🔄 Recurrence History
+                🔄 Recurring Series
               </h2>
               <p className="text-sm text-gray-600 mt-1">{taskTitle}</p>
             </div>
@@ -120,8 +123,107 @@ export default function RecurrenceHistoryModal({
               </div>
             )}
 
-            {!loading && !error && tasks && (
+            {!loading && series && (
               <>
+                {/* Paused series */}
+                {paused ? (
+                  <div className="mb-6 rounded-md border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+                    <div className="font-medium">
+                      Paused since {formatDate(series.paused_at)}
+                    </div>
+                    <p className="mt-1">
+                      Completing the current task will not create the next one. Resuming picks the series
+                      up at its first date on or after the resume date; missed dates are not made up.
+                    </p>
+                    {canManage && (
+                      <div className="mt-3 flex flex-wrap items-center gap-2">
+                        <label htmlFor="resume-on" className="text-amber-900">Resume on</label>
+                        <input
+                          id="resume-on"
+                          type="date"
+                          min={todayString()}
+                          value={resumeOn}
+                          onChange={(e) => setResumeOn(e.target.value)}
+                          className="rounded-md border border-amber-300 px-2 py-1 text-sm"
+                        />
+                        <button
+                          type="button"
+                          disabled={busy || !resumeOn}
+                          onClick={() => run(() => resumeSeries(resumeOn))}
+                          className="px-3 py-1 text-sm rounded bg-amber-600 text-white hover:bg-amber-700 disabled:opacity-50"
+                        >
+                          Resume series
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ) : canManage && (
+                  <div className="mb-6 flex justify-end">
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => run(pauseSeries)}
+                      className="px-3 py-1 text-sm rounded border border-amber-300 text-amber-700 hover:bg-amber-50 disabled:opacity-50"
+                    >
+                      Pause series
+                    </button>
+                  </div>
+                )}
+
+                {/* When the series creates its tasks */}
+                <div className="mb-6 rounded-md border border-gray-200 p-4 text-sm text-gray-700">
+                  <div className="font-medium text-gray-900">
+                    {series.generation === "on_schedule"
+                      ? `New tasks are created on schedule, ${series.lookahead_days ?? series.default_lookahead_days} day(s) ahead, even if earlier ones are still open`
+                      : "The next task is created when the current one is completed"}
+                  </div>
+                  {canManage && (
+                    <div className="mt-3 flex flex-wrap items-center gap-2">
+                      <select
+                        aria-label="Create tasks"
+                        value={generation.mode}
+                        onChange={(e) => setGenerationDraft({ ...generation, mode: e.target.value })}
+                        className="rounded-md border border-gray-300 px-2 py-1 text-sm"
+                      >
+                        <option value="on_completion">On completion</option>
+                        <option value="on_schedule">On schedule</option>
+                      </select>
+                      {generation.mode === "on_schedule" && (
+                        <>
+                          <input
+                            type="number"
+                            min="0"
+                            max="90"
+                            aria-label="Days ahead"
+                            value={generation.days}
+                            placeholder={String(series.default_lookahead_days ?? 0)}
+                            onChange={(e) => setGenerationDraft({ ...generation, days: e.target.value })}
+                            className="w-20 rounded-md border border-gray-300 px-2 py-1 text-sm"
+                          />
+                          <span className="text-gray-500">days ahead</span>
+                        </>
+                      )}
+                      <button
+                        type="button"
+                        disabled={busy || !generationChanged}
+                        onClick={() => run(async () => {
+                          const result = await setGeneration(generation.mode, generation.days);
+                          if (result.success) setGenerationDraft(null);
+                          return result;
+                        })}
+                        className="px-3 py-1 text-sm rounded border border-blue-300 text-blue-700 hover:bg-blue-50 disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  )}
+                  {generation.mode === "on_schedule" && generationChanged && (
+                    <p className="mt-2 text-xs text-gray-500">
+                      Dates the series has already passed are created at the next run of the schedule.
+                    </p>
+                  )}
+                </div>
+
                 {/* Summary Stats */}
                 <div className="grid grid-cols-3 gap-4 mb-6">
                   <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
@@ -132,13 +234,13 @@ export default function RecurrenceHistoryModal({
                   </div>
                   <div className="bg-green-50 rounded-lg p-4 border border-green-200">
                     <div className="text-2xl font-bold text-green-700">
-                      {tasks.filter(t => t.status === 'completed').length || 0}
+                      {tasks.filter(t => isCompletedStatus(t.status)).length || 0}
                     </div>
                     <div className="text-xs text-green-600 mt-1">Completed</div>
                   </div>
                   <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
                     <div className="text-2xl font-bold text-gray-700">
-                      {tasks.filter(t => t.status !== 'completed').length || 0}
+                      {tasks.filter(t => !isCompletedStatus(t.status)).length || 0}
                     </div>
                     <div className="text-xs text-gray-600 mt-1">Ongoing</div>
                   </div>
@@ -157,7 +259,7 @@ export default function RecurrenceHistoryModal({
                         >
                           <div className="flex items-center space-x-4 flex-1">
                             <div className="flex items-center justify-center w-8 h-8 rounded-full bg-blue-100 text-blue-700 text-xs font-semibold">
-                              #{index + 1}
+                              #{task.recurrence_count || index + 1}
                             </div>
                             <div className="flex-1">
                               <div className="flex items-center space-x-3">
@@ -166,6 +268,11 @@ export default function RecurrenceHistoryModal({
                                 </span>
                                 {getStatusBadge(task.status)}
                               </div>
+                              {task.occurrence_date && task.due_date && task.occurrence_date !== task.due_date && (
+                                <div className="text-xs text-purple-700 mt-1">
+                                  Moved from {formatDate(task.occurrence_date)}
+                                </div>
+                              )}
                               <div className="text-xs text-gray-600 mt-1">
                                 Task ID: {task.id}
                               </div>
@@ -180,6 +287,95 @@ export default function RecurrenceHistoryModal({
                     </div>
                   )}
                 </div>
+
+                {/* Next occurrences */}
+                <div className="space-y-3 mt-6">
+                  <h3 className="text-sm font-semibold text-gray-900 mb-3">Upcoming</h3>
+                  {upcoming.length > 0 ? (
+                    <div className="space-y-2">
+                      {upcoming.map((occurrence) => (
+                        <div
+                          key={occurrence.occurrence_date}
+                          className="flex flex-wrap items-center justify-between gap-2 p-3 rounded-lg border border-dashed border-gray-300"
+                        >
+                          <div className="text-sm">
+                            <span className={occurrence.exception === "skip" ? "text-gray-400 line-through" : "text-gray-900"}>
+                              {formatDate(occurrence.occurrence_date)}
+                            </span>
+                            {occurrence.exception === "skip" && (
+                              <span className="ml-2 text-xs text-gray-500">Skipped</span>
+                            )}
+                            {occurrence.exception === "reschedule" && (
+                              <span className="ml-2 text-xs text-purple-700">Moved to {formatDate(occurrence.due_date)}</span>
+                            )}
+                          </div>
+                          {canManage && (
+                            moving?.date === occurrence.occurrence_date ? (
+                              <div className="flex items-center gap-2">
+                                <input
+                                  type="date"
+                                  min={todayString()}
+                                  value={moving.newDate}
+                                  onChange={(e) => setMoving({ ...moving, newDate: e.target.value })}
+                                  className="rounded-md border border-gray-300 px-2 py-1 text-xs"
+                                />
+                                <button
+                                  type="button"
+                                  disabled={busy || !moving.newDate}
+                                  onClick={() => run(() => rescheduleOccurrence(moving.date, moving.newDate))}
+                                  className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                                >
+                                  Move
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => setMoving(null)}
+                                  className="px-2 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            ) : (
+                              <div className="flex items-center gap-2">
+                                {occurrence.exception ? (
+                                  <button
+                                    type="button"
+                                    disabled={busy}
+                                    onClick={() => run(() => restoreOccurrence(occurrence.occurrence_date))}
+                                    className="px-2 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                                  >
+                                    Restore
+                                  </button>
+                                ) : (
+                                  <button
+                                    type="button"
+                                    disabled={busy}
+                                    onClick={() => run(() => skipOccurrence(occurrence.occurrence_date))}
+                                    className="px-2 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                                  >
+                                    Skip
+                                  </button>
+                                )}
+                                <button
+                                  type="button"
+                                  disabled={busy}
+                                  onClick={() => setMoving({ date: occurrence.occurrence_date, newDate: occurrence.due_date || occurrence.occurrence_date })}
+                                  className="px-2 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                                >
+                                  Move
+                                </button>
+                              </div>
+                            )
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="text-center py-4 text-sm text-gray-500">
+                      The series has no further occurrences
+                    </div>
+                  )}
+                </div>
               </>
             )}
           </div>
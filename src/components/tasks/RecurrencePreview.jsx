@@ -0,0 +1,77 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRecurrencePreview } from "@/utils/hooks/useRecurrencePreview";
+
+// Wait for the user to stop changing the settings before asking the server
+const PREVIEW_DELAY_MS = 400;
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString("en-GB", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+/**
+ * The next dates of a recurrence, worked out by the server. Pass `settings` (the
+ * recurrence fields of a new task) for an unsaved recurrence or `taskId` for the series a
+ * task belongs to. Notes explain dates that may surprise, such as month ends.
+ */
+export default function RecurrencePreview({ settings, taskId, count = 5 }) {
+  const { previewSettings, previewTask, loading } = useRecurrencePreview();
+  const [preview, setPreview] = useState(null);
+  const settingsKey = settings ? JSON.stringify(settings) : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      const result = taskId ? await previewTask(taskId, count) : await previewSettings(JSON.parse(settingsKey), count);
+      if (!cancelled) setPreview(result);
+    };
+    const timer = setTimeout(load, taskId ? 0 : PREVIEW_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [taskId, settingsKey, count, previewSettings, previewTask]);
+
+  if (!preview) {
+    return loading ? <div className="text-xs text-gray-500 mt-2">Working out the next dates…</div> : null;
+  }
+  if (!preview.success) {
+    return <div className="text-xs text-red-600 mt-2">{preview.error}</div>;
+  }
+
+  return (
+    <div className="mt-2 text-xs">
+      <div className="font-medium text-gray-700">{taskId ? "Next dates" : "First dates"}</div>
+      {preview.occurrences.length === 0 ? (
+        <div className="text-gray-500 mt-1">No further occurrences</div>
+      ) : (
+        <ol className="mt-1 space-y-0.5">
+          {preview.occurrences.map((occurrence) => (
+            <li key={occurrence.occurrence_date} className="text-gray-700">
+              <span className="text-gray-400 mr-1">#{occurrence.recurrence_count}</span>
+              {occurrence.exception === "skip" ? (
+                <span className="line-through text-gray-400">{formatDate(occurrence.occurrence_date)}</span>
+              ) : (
+                formatDate(occurrence.due_date)
+              )}
+              {occurrence.exception === "skip" && <span className="ml-1 text-gray-500">(skipped)</span>}
+              {occurrence.exception === "reschedule" && (
+                <span className="ml-1 text-purple-700">(moved from {formatDate(occurrence.occurrence_date)})</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      {preview.notes.map((note) => (
+        <div key={note} className="mt-1 rounded border border-amber-200 bg-amber-50 px-2 py-1 text-amber-800">
+          {note}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+"use client";
+
+import { MONTH_NAMES, RRULE_WEEKDAYS, SET_POSITIONS, WEEKDAY_NAMES } from "@/utils/recurrenceUtils";
+
+const selectClass = "rounded-md border border-gray-300 px-2 py-1.5 text-sm focus:border-blue-500 focus:ring-blue-500";
+
+const UNIT_LABELS = { DAILY: "day(s)", WEEKLY: "week(s)", MONTHLY: "month(s)", YEARLY: "year(s)" };
+
+/**
+ * Builder for a custom recurrence rule: frequency and interval, the days of the week for
+ * weekly rules, and "day N" or "the Nth <weekday>" for monthly and yearly ones. `value`
+ * is the builder state from defaultRuleBuilder; the end condition is chosen separately.
+ */
+export default function RecurrenceRuleBuilder({ value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleDay = (code) => {
+    const byDay = value.byDay.includes(code) ? value.byDay.filter((d) => d !== code) : [...value.byDay, code];
+    update({ byDay: byDay.length > 0 ? byDay : value.byDay });
+  };
+
+  const showMonthOptions = value.freq === "MONTHLY" || value.freq === "YEARLY";
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-600">Repeat every</span>
+        <input
+          type="number"
+          min="1"
+          max="100"
+          value={value.interval}
+          onChange={(e) => update({ interval: e.target.value })}
+          className="w-20 rounded-md border border-gray-300 px-3 py-1.5 text-sm focus:border-blue-500 focus:ring-blue-500"
+        />
+        <select value={value.freq} onChange={(e) => update({ freq: e.target.value })} className={selectClass}>
+          {Object.entries(UNIT_LABELS).map(([freq, label]) => (
+            <option key={freq} value={freq}>{label}</option>
+          ))}
+        </select>
+        {value.freq === "YEARLY" && (
+          <>
+            <span className="text-gray-600">in</span>
+            <select value={value.month} onChange={(e) => update({ month: Number(e.target.value) })} className={selectClass}>
+              {MONTH_NAMES.map((name, index) => (
+                <option key={name} value={index + 1}>{name}</option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+
+      {value.freq === "WEEKLY" && (
+        <div className="grid grid-cols-7 gap-2">
+          {RRULE_WEEKDAYS.map((code, index) => (
+            <button
+              key={code}
+              type="button"
+              onClick={() => toggleDay(code)}
+              className={`px-3 py-2 text-sm font-medium rounded-md transition-colors ${
+                value.byDay.includes(code)
+                  ? "bg-blue-600 text-white"
+                  : "bg-white text-gray-700 border border-gray-300 hover:bg-gray-50"
+              }`}
+              title={WEEKDAY_NAMES[index]}
+            >
+              {WEEKDAY_NAMES[index].slice(0, 3)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {showMonthOptions && (
+        <div className="space-y-2">
+          <label className="flex flex-wrap items-center gap-2">
+            <input
+              type="radio"
+              name="monthlyMode"
+              checked={value.monthlyMode === "day"}
+              onChange={() => update({ monthlyMode: "day" })}
+              className="w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+            />
+            <span className="text-gray-700">On day</span>
+            <select
+              value={value.monthDay}
+              onChange={(e) => update({ monthDay: Number(e.target.value), monthlyMode: "day" })}
+              className={selectClass}
+            >
+              {Array.from({ length: 31 }, (_, i) => i + 1).map((day) => (
+                <option key={day} value={day}>{day}</option>
+              ))}
+              <option value={-1}>last day</option>
+            </select>
+            {value.monthlyMode === "day" && value.monthDay > 28 && (
+              <span className="text-xs text-gray-500">Months without this day are skipped</span>
+            )}
+          </label>
+          <label className="flex flex-wrap items-center gap-2">
+            <input
+              type="radio"
+              name="monthlyMode"
+              checked={value.monthlyMode === "weekday"}
+              onChange={() => update({ monthlyMode: "weekday" })}
+              className="w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+            />
+            <span className="text-gray-700">On the</span>
+            <select
+              value={value.setPos}
+              onChange={(e) => update({ setPos: Number(e.target.value), monthlyMode: "weekday" })}
+              className={selectClass}
+            >
+              {SET_POSITIONS.map((position) => (
+                <option key={position.value} value={position.value}>{position.label}</option>
+              ))}
+            </select>
+            <select
+              value={value.weekday}
+              onChange={(e) => update({ weekday: e.target.value, monthlyMode: "weekday" })}
+              className={selectClass}
+            >
+              {RRULE_WEEKDAYS.map((code, index) => (
+                <option key={code} value={code}>{WEEKDAY_NAMES[index]}</option>
+              ))}
+              <option value="WEEKDAY">weekday (Mon-Fri)</option>
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
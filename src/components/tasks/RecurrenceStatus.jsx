@@ -1,11 +1,15 @@
 "use client";
 
+import { describeRRule } from "@/utils/recurrenceUtils";
+import RecurrencePreview from "./RecurrencePreview";
+
 /**
  * RecurrenceStatus Component
  * Displays recurrence information based on the end condition:
  * - Shows "X of Y" if count-based
  * - Shows end date if date-based
  * - Shows both if both conditions are set
+ * Also flags a paused series and an occurrence moved off its usual date.
  */
 export default function RecurrenceStatus({ task, variant = "compact" }) {
   if (!task?.is_recurring) return null;
@@ -14,6 +18,10 @@ export default function RecurrenceStatus({ task, variant = "compact" }) {
   const hasEndDate = task.recurrence_end_date !== null && task.recurrence_end_date !== undefined;
   const currentCount = task.recurrence_count || 1;
   const maxCount = task.recurrence_max_count;
+  const isPaused = Boolean(task.recurrence_paused_at);
+  const dateOnly = (value) => (value ? String(value).slice(0, 10) : null);
+  const isMoved = Boolean(task.recurrence_occurrence_date && task.due_date)
+    && dateOnly(task.recurrence_occurrence_date) !== dateOnly(task.due_date);
 
   // Format date for display
   const formatDate = (dateString) => {
@@ -46,9 +54,10 @@ export default function RecurrenceStatus({ task, variant = "compact" }) {
   // Compact variant (for TaskCard badge)
   if (variant === "compact") {
     return (
-      <div className="inline-flex items-center px-2 py-1 rounded-full text-xs font-semibold bg-purple-50 text-purple-700 border border-purple-200" title="Recurring task">
+      <div className="inline-flex items-center px-2 py-1 rounded-full text-xs font-semibold bg-purple-50 text-purple-700 border border-purple-200" title={task.recurrence_rule ? describeRRule(task.recurrence_rule) : "Recurring task"}>
         🔄 {formatPattern(task.recurrence_pattern)}
         {hasCountLimit && ` (${currentCount}/${maxCount})`}
+        {isPaused && " · Paused"}
       </div>
     );
   }
@@ -64,7 +73,14 @@ export default function RecurrenceStatus({ task, variant = "compact" }) {
             </svg>
           </div>
           <div className="flex-1">
-            <h4 className="text-sm font-semibold text-purple-900 mb-2">🔄 Recurring Task</h4>
+            <h4 className="text-sm font-semibold text-purple-900 mb-2">
+              🔄 Recurring Task
+              {isPaused && (
+                <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-100 text-amber-800 border border-amber-200">
+                  Paused
+                </span>
+              )}
+            </h4>
             
             {/* Pattern */}
             <div className="space-y-2 text-sm text-purple-700">
@@ -82,6 +98,26 @@ export default function RecurrenceStatus({ task, variant = "compact" }) {
                 )}
               </div>
 
+              {/* Custom (RRULE) schedule */}
+              {task.recurrence_rule && (
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium">Schedule:</span>
+                  <span className="text-purple-800 font-semibold" title={`RRULE:${task.recurrence_rule}`}>
+                    {describeRRule(task.recurrence_rule)}
+                  </span>
+                </div>
+              )}
+
+              {/* This occurrence was moved off its usual date */}
+              {isMoved && (
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium">Moved:</span>
+                  <span className="text-purple-800">
+                    from {formatDate(task.recurrence_occurrence_date)} to {formatDate(task.due_date)}
+                  </span>
+                </div>
+              )}
+
               {/* Weekday preference for weekly/biweekly */}
               {(task.recurrence_pattern === 'weekly' || task.recurrence_pattern === 'biweekly') && 
                task.recurrence_weekday !== null && task.recurrence_weekday !== undefined && (
@@ -132,6 +168,11 @@ export default function RecurrenceStatus({ task, variant = "compact" }) {
                   </span>
                 </div>
               )}
+
+              {/* Upcoming dates (none are created while the series is paused) */}
+              {task.recurrence_series_id && !isPaused && (
+                <RecurrencePreview taskId={task.id} />
+              )}
             </div>
           </div>
         </div>
@@ -143,6 +184,9 @@ export default function RecurrenceStatus({ task, variant = "compact" }) {
   return (
     <div className="flex items-center space-x-2 text-xs text-purple-700">
       <span className="font-medium">🔄 {formatPattern(task.recurrence_pattern)}</span>
+      {isPaused && (
+        <span className="px-1.5 py-0.5 bg-amber-100 text-amber-800 rounded font-semibold">Paused</span>
+      )}
       {hasCountLimit && (
         <span className="px-1.5 py-0.5 bg-purple-100 rounded font-semibold">
           {currentCount}/{maxCount}
@@ -1,6 +1,17 @@
 "use client";
 
 import { useEffect, useState } from "react";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { TASK_STATUSES, toStatusKey } from "@/constants/taskConstants";
+import VersionConflictDialog from "@/components/ui/VersionConflictDialog";
+
+const CONFLICT_LABELS = {
+  title: "Title",
+  description: "Description",
+  priority: "Priority",
+  status: "Status",
+  due_date: "Due date",
+};
 
 export default function SubtaskEditModal({ 
   open, 
@@ -9,15 +20,20 @@ export default function SubtaskEditModal({
   onSave, 
   saving = false,
   isOwner = false,
-  isCollaborator = false 
+  isCollaborator = false,
+  parentTask = null
 }) {
+  const { statusOptions, getStatusOptions } = useTaskWorkflow();
   const [form, setForm] = useState({
     title: "",
     description: "",
     priority: 5,
-    status: "ongoing",
+    status: TASK_STATUSES.ONGOING,
     due_date: "",
   });
+  const [baseVersion, setBaseVersion] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [conflictNotice, setConflictNotice] = useState("");
 
   useEffect(() => {
     if (subtask) {
@@ -25,9 +41,12 @@ export default function SubtaskEditModal({
         title: subtask.title || "",
         description: subtask.description || "",
         priority: subtask.priority ?? 5,
-        status: subtask.status || "ongoing",
+        status: toStatusKey(subtask.status) || TASK_STATUSES.ONGOING,
         due_date: subtask.due_date ? subtask.due_date.slice(0, 10) : "",
       });
+      setBaseVersion(subtask.version ?? null);
+      setConflict(null);
+      setConflictNotice("");
     }
   }, [subtask]);
 
@@ -47,7 +66,7 @@ export default function SubtaskEditModal({
     setForm((prev) => ({ ...prev, [field]: value }));
   };
 
-  const handleSave = () => {
+  const handleSave = async () => {
     if (!form.title.trim()) return;
     
     // For collaborators, only send status updates
@@ -66,7 +85,25 @@ export default function SubtaskEditModal({
         due_date: form.due_date || null,
       };
     }
-    onSave?.(subtask.id, updates);
+    if (baseVersion !== null) updates.version = baseVersion;
+    const result = await onSave?.(subtask.id, updates);
+    if (result?.conflict) setConflict(result.conflict);
+  };
+
+  // Take the saved values for the fields picked as "theirs", then save again on the new version
+  const handleResolveConflict = (choices) => {
+    const current = conflict?.current || {};
+    const theirs = {};
+    (conflict?.diff || []).forEach(({ field }) => {
+      if (choices[field] !== "theirs" || !(field in CONFLICT_LABELS)) return;
+      if (field === "status") theirs.status = toStatusKey(current.status) || TASK_STATUSES.ONGOING;
+      else if (field === "due_date") theirs.due_date = current.due_date ? current.due_date.slice(0, 10) : "";
+      else theirs[field] = current[field] ?? "";
+    });
+    setForm((prev) => ({ ...prev, ...theirs }));
+    setBaseVersion(conflict?.current_version ?? null);
+    setConflict(null);
+    setConflictNotice("Conflicting fields merged. Review and save again.");
   };
 
   return (
@@ -74,6 +111,11 @@ export default function SubtaskEditModal({
       <div className="absolute inset-0 bg-black/30" onClick={onClose} />
       <div className="relative bg-white w-full max-w-lg rounded-lg shadow-lg p-6 max-h-[90vh] overflow-y-auto">
         <h3 className="text-lg font-medium text-gray-900 mb-4">Edit Subtask</h3>
+        {conflictNotice && (
+          <div className="mb-3 bg-blue-50 border border-blue-200 text-blue-700 px-3 py-2 rounded text-sm">
+            {conflictNotice}
+          </div>
+        )}
 
         <div className="space-y-4">
           <div>
@@ -136,9 +178,11 @@ export default function SubtaskEditModal({
                   !canEditStatus ? 'bg-gray-100 cursor-not-allowed' : ''
                 }`}
               >
-                <option value="ongoing">Ongoing</option>
-                <option value="under review">Under Review</option>
-                <option value="completed">Completed</option>
+                {(parentTask ? getStatusOptions(subtask, parentTask) : statusOptions).map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
               </select>
               {isCollaborator && !isOwner && (
                 <p className="text-xs text-green-600 mt-1">You can edit this field</p>
@@ -175,6 +219,12 @@ export default function SubtaskEditModal({
           </button>
         </div>
       </div>
+      <VersionConflictDialog
+        conflict={conflict}
+        labels={CONFLICT_LABELS}
+        onResolve={handleResolveConflict}
+        onCancel={() => setConflict(null)}
+      />
     </div>
   );
 }
@@ -1,6 +1,12 @@
 "use client";
 
 import { useState } from "react";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { TASK_STATUSES, DEFAULT_SUBTASK_MAX_DEPTH } from "@/constants/taskConstants";
+import SubtaskTree from "./SubtaskTree";
+
+// Draft subtasks point at their parent draft through `parent_id` (a temporary id); the
+// server turns the drafts into nested subtasks when the task is created
 
 export default function SubtaskManager({ 
   subtasks = [], 
@@ -8,14 +14,17 @@ export default function SubtaskManager({
   availableCollaborators = [],
   selectedProject = null 
 }) {
+  const { statusOptions, getStatusLabel } = useTaskWorkflow();
   const [showForm, setShowForm] = useState(false);
+  const [formParentId, setFormParentId] = useState(null);
   const [subtaskForm, setSubtaskForm] = useState({
     title: "",
     description: "",
     priority: 5,
-    status: "ongoing",
+    status: TASK_STATUSES.ONGOING,
     collaborators: [],
-    dueDate: ""
+    dueDate: "",
+    estimated_hours: ""
   });
 
   const addSubtask = () => {
@@ -23,6 +32,7 @@ export default function SubtaskManager({
 
     const newSubtask = {
       id: Date.now(), // Temporary ID
+      parent_id: formParentId,
       ...subtaskForm
     };
     onSubtasksChange([...subtasks, newSubtask]);
@@ -32,15 +42,56 @@ export default function SubtaskManager({
       title: "",
       description: "",
       priority: 5,
-      status: "ongoing",
+      status: TASK_STATUSES.ONGOING,
       collaborators: [],
-      dueDate: ""
+      dueDate: "",
+      estimated_hours: ""
     });
     setShowForm(false);
+    setFormParentId(null);
   };
 
+  // Removing a subtask removes everything nested under it
   const removeSubtask = (id) => {
-    onSubtasksChange(subtasks.filter(subtask => subtask.id !== id));
+    const removed = new Set([id]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      subtasks.forEach((subtask) => {
+        if (!removed.has(subtask.id) && removed.has(subtask.parent_id)) {
+          removed.add(subtask.id);
+          grew = true;
+        }
+      });
+    }
+    onSubtasksChange(subtasks.filter(subtask => !removed.has(subtask.id)));
+  };
+
+  const depthOf = (subtask) => {
+    let depth = 1;
+    let parent = subtasks.find((s) => s.id === subtask.parent_id);
+    while (parent && depth <= subtasks.length) {
+      depth += 1;
+      parent = subtasks.find((s) => s.id === parent.parent_id);
+    }
+    return depth;
+  };
+
+  // Siblings take each other's slots in the list, so the list order is the tree order
+  const reorderSubtasks = (parentId, orderedIds) => {
+    const slots = subtasks
+      .map((subtask, index) => (orderedIds.includes(subtask.id) ? index : -1))
+      .filter((index) => index !== -1);
+    const next = [...subtasks];
+    slots.forEach((slot, k) => {
+      next[slot] = subtasks.find((subtask) => subtask.id === orderedIds[k]);
+    });
+    onSubtasksChange(next);
+  };
+
+  const openForm = (parentId = null) => {
+    setFormParentId(parentId);
+    setShowForm(true);
   };
 
   const handleCollaboratorToggle = (empId) => {
@@ -67,7 +118,7 @@ export default function SubtaskManager({
           </span>
           <button
             type="button"
-            onClick={() => setShowForm(true)}
+            onClick={() => openForm(null)}
             className="inline-flex items-center px-3 py-1 border border-transparent text-sm font-medium rounded-md text-blue-700 bg-blue-100 hover:bg-blue-200"
           >
             + Add Subtask
@@ -77,10 +128,13 @@ export default function SubtaskManager({
 
       {/* Existing Subtasks */}
       {subtasks.length > 0 && (
-        <div className="space-y-3 mb-4">
-          {subtasks.map((subtask, index) => (
-            <div key={subtask.id} className="bg-gray-50 p-3 rounded-md border">
-              <div className="flex gap-3">
+        <div className="mb-4 bg-gray-50 p-2 rounded-md border">
+          <SubtaskTree
+            subtasks={subtasks}
+            parentKey="parent_id"
+            onReorder={reorderSubtasks}
+            renderItem={(subtask) => (
+              <div className="flex gap-3 py-1">
                 <div className="flex-1 min-w-0">
                   <h4 className="font-medium text-sm break-words pr-2">{subtask.title}</h4>
                   {subtask.description && (
@@ -88,16 +142,28 @@ export default function SubtaskManager({
                   )}
                   <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-2 text-xs text-gray-500">
                     <span className="capitalize">Priority: {subtask.priority}</span>
-                    <span className="capitalize">{subtask.status}</span>
+                    <span>{getStatusLabel(subtask.status)}</span>
                     {subtask.dueDate && (
                       <span className="text-orange-600">Due: {formatDate(subtask.dueDate)}</span>
                     )}
+                    {subtask.estimated_hours !== "" && subtask.estimated_hours != null && (
+                      <span>Est: {subtask.estimated_hours}h</span>
+                    )}
                     {subtask.collaborators.length > 0 && (
                       <span>{subtask.collaborators.length} collaborator{subtask.collaborators.length !== 1 ? 's' : ''}</span>
                     )}
                   </div>
                 </div>
-                <div className="flex-shrink-0">
+                <div className="flex-shrink-0 flex flex-col items-end gap-1">
+                  {depthOf(subtask) < DEFAULT_SUBTASK_MAX_DEPTH && (
+                    <button
+                      type="button"
+                      onClick={() => openForm(subtask.id)}
+                      className="text-blue-500 hover:text-blue-700 text-xs px-2 py-1 rounded hover:bg-blue-50 transition-colors"
+                    >
+                      + Nested
+                    </button>
+                  )}
                   <button
                     type="button"
                     onClick={() => removeSubtask(subtask.id)}
@@ -107,15 +173,19 @@ export default function SubtaskManager({
                   </button>
                 </div>
               </div>
-            </div>
-          ))}
+            )}
+          />
         </div>
       )}
 
       {/* Add Subtask Form - NOT a form element, just a div */}
       {showForm && (
         <div className="bg-white border border-gray-200 rounded-lg p-4 mb-4">
-          <h4 className="text-md font-medium mb-4">Add New Subtask</h4>
+          <h4 className="text-md font-medium mb-4">
+            {formParentId
+              ? `Add Subtask under "${subtasks.find((subtask) => subtask.id === formParentId)?.title || ""}"`
+              : "Add New Subtask"}
+          </h4>
           
           <div className="space-y-4">
             {/* Title */}
@@ -147,7 +217,7 @@ export default function SubtaskManager({
             </div>
 
             {/* Priority, Status, and Due Date */}
-            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700">
                   Priority Level (1-10)
@@ -172,9 +242,13 @@ export default function SubtaskManager({
                   onChange={(e) => setSubtaskForm(prev => ({ ...prev, status: e.target.value }))}
                   className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2"
                 >
-                  <option value="ongoing">Ongoing</option>
-                  <option value="under review">Under Review</option>
-                  <option value="completed">Completed</option>
+                  {statusOptions
+                    .filter((option) => option.value !== TASK_STATUSES.UNASSIGNED)
+                    .map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
                 </select>
               </div>
 
@@ -190,6 +264,21 @@ export default function SubtaskManager({
                   className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2"
                 />
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Est. Hours
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max="1000"
+                  step="0.25"
+                  value={subtaskForm.estimated_hours}
+                  onChange={(e) => setSubtaskForm(prev => ({ ...prev, estimated_hours: e.target.value }))}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2"
+                />
+              </div>
             </div>
 
             {/* Collaborators */}
@@ -227,13 +316,15 @@ export default function SubtaskManager({
                 type="button"
                 onClick={() => {
                   setShowForm(false);
+                  setFormParentId(null);
                   setSubtaskForm({
                     title: "",
                     description: "",
                     priority: 5,
-                    status: "ongoing",
+                    status: TASK_STATUSES.ONGOING,
                     collaborators: [],
-                    dueDate: ""
+                    dueDate: "",
+                    estimated_hours: ""
                   });
                 }}
                 className="inline-flex items-center rounded-md border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
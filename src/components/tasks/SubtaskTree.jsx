@@ -0,0 +1,121 @@
+"use client";
+
+import { useMemo, useState } from "react";
+
+const byPosition = (a, b) => {
+  const pa = a.position ?? Number.MAX_SAFE_INTEGER;
+  const pb = b.position ?? Number.MAX_SAFE_INTEGER;
+  if (pa !== pb) return pa - pb;
+  return 0;
+};
+
+/**
+ * Nest a flat subtask list by `parentKey`; subtasks whose parent is missing stay on top.
+ * Siblings keep their list order unless they carry a `position`.
+ */
+export function buildTree(subtasks = [], parentKey = "parent_subtask_id") {
+  const nodes = new Map(subtasks.map((s) => [String(s.id), { subtask: s, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parentId = node.subtask[parentKey];
+    const parent = parentId !== null && parentId !== undefined ? nodes.get(String(parentId)) : null;
+    if (parent && parent !== node) parent.children.push(node);
+    else roots.push(node);
+  });
+  const sort = (list) => {
+    list.sort((a, b) => byPosition(a.subtask, b.subtask));
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+  return sort(roots);
+}
+
+/**
+ * Collapsible subtask tree with drag-to-reorder among siblings.
+ * `renderItem(subtask, { depth, hasChildren })` draws one row; `onReorder(parentId, orderedIds)`
+ * receives the new order of one level (omit it to turn dragging off).
+ */
+export default function SubtaskTree({ subtasks = [], parentKey = "parent_subtask_id", renderItem, onReorder }) {
+  const tree = useMemo(() => buildTree(subtasks, parentKey), [subtasks, parentKey]);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [dragging, setDragging] = useState(null); // { id, parentId }
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const toggle = (id) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleDrop = (siblings, parentId, targetId) => {
+    setDropTarget(null);
+    if (!dragging || dragging.parentId !== parentId || dragging.id === targetId) return;
+    const ids = siblings.map((node) => node.subtask.id).filter((id) => id !== dragging.id);
+    ids.splice(ids.indexOf(targetId), 0, dragging.id);
+    setDragging(null);
+    onReorder(parentId, ids);
+  };
+
+  const renderLevel = (nodes, parentId, depth) => (
+    <ul className={depth > 1 ? "ml-5 border-l border-gray-200 pl-2" : "divide-y divide-gray-200"}>
+      {nodes.map((node) => {
+        const { subtask, children } = node;
+        const isCollapsed = collapsed.has(subtask.id);
+        const draggable = typeof onReorder === "function" && nodes.length > 1;
+        return (
+          <li key={subtask.id} className="py-1">
+            <div
+              draggable={draggable}
+              onDragStart={(e) => {
+                e.stopPropagation();
+                setDragging({ id: subtask.id, parentId });
+              }}
+              onDragEnd={() => {
+                setDragging(null);
+                setDropTarget(null);
+              }}
+              onDragOver={(e) => {
+                if (dragging && dragging.parentId === parentId) {
+                  e.preventDefault();
+                  setDropTarget(subtask.id);
+                }
+              }}
+              onDrop={(e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                handleDrop(nodes, parentId, subtask.id);
+              }}
+              className={`flex items-start gap-1 rounded ${dropTarget === subtask.id ? "ring-2 ring-blue-300" : ""} ${
+                dragging?.id === subtask.id ? "opacity-50" : ""
+              }`}
+            >
+              {draggable && (
+                <span className="mt-1 cursor-grab select-none text-gray-300" title="Drag to reorder">⋮⋮</span>
+              )}
+              {children.length > 0 ? (
+                <button
+                  type="button"
+                  onClick={() => toggle(subtask.id)}
+                  className="mt-0.5 text-gray-500 hover:text-gray-700 text-xs w-4"
+                  aria-label={isCollapsed ? "Expand subtask" : "Collapse subtask"}
+                >
+                  {isCollapsed ? "▸" : "▾"}
+                </button>
+              ) : (
+                <span className="w-4" />
+              )}
+              <div className="flex-1 min-w-0">{renderItem(subtask, { depth, hasChildren: children.length > 0 })}</div>
+            </div>
+            {children.length > 0 && !isCollapsed && renderLevel(children, subtask.id, depth + 1)}
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  if (tree.length === 0) return null;
+  return renderLevel(tree, null, 1);
+}
@@ -0,0 +1,37 @@
+"use client";
+
+// Coloured tag chips built from task.tags / subtask.tags
+export default function TagChips({ tags = [], onRemove, size = "sm" }) {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {tags.map((tag) => (
+        <span
+          key={tag.id}
+          className={`inline-flex items-center gap-1 rounded-full border font-medium max-w-full ${
+            size === "xs" ? "px-1.5 py-0 text-[11px]" : "px-2 py-0.5 text-xs"
+          }`}
+          style={{
+            color: tag.color,
+            borderColor: tag.color,
+            backgroundColor: `${tag.color}1A`,
+          }}
+          title={tag.project_id ? `${tag.name} (project tag)` : tag.name}
+        >
+          <span className="truncate">{tag.name}</span>
+          {onRemove && (
+            <button
+              type="button"
+              onClick={(e) => { e.stopPropagation(); onRemove(tag.id); }}
+              className="hover:opacity-70"
+              title="Remove tag"
+            >
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useTags } from "@/utils/hooks/useTags";
+import TagChips from "./TagChips";
+
+const DEFAULT_NEW_COLOR = "#3B82F6";
+
+/**
+ * Edit the tags on a task (or, with subtaskId, one of its subtasks).
+ * Changes are saved immediately; onChange receives the updated tag list.
+ */
+export default function TagPicker({ taskId, projectId = null, subtaskId = null, initialTags, onChange, compact = false }) {
+  const { tags: availableTags, fetchTags, createTag, setItemTags } = useTags();
+  const [selected, setSelected] = useState(initialTags || []);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [newColor, setNewColor] = useState(DEFAULT_NEW_COLOR);
+  const [newScope, setNewScope] = useState(projectId ? "project" : "org");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchTags(projectId);
+  }, [projectId, fetchTags]);
+
+  useEffect(() => {
+    setSelected(initialTags || []);
+  }, [initialTags]);
+
+  const save = async (nextIds) => {
+    setBusy(true);
+    setError("");
+    const result = await setItemTags(taskId, nextIds, { subtaskId });
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setSelected(result.tags);
+    if (typeof onChange === "function") onChange(result.tags);
+  };
+
+  const selectedIds = selected.map((t) => t.id);
+  const unselected = availableTags.filter((t) => !selectedIds.includes(t.id));
+
+  const handleAdd = (tagId) => {
+    if (!tagId) return;
+    save([...selectedIds, Number(tagId)]);
+  };
+
+  const handleRemove = (tagId) => save(selectedIds.filter((id) => id !== tagId));
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+    setBusy(true);
+    setError("");
+    const result = await createTag({
+      name: newName.trim(),
+      color: newColor,
+      projectId: newScope === "project" ? projectId : null,
+    });
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setNewName("");
+    setShowCreate(false);
+    await save([...selectedIds, result.tag.id]);
+  };
+
+  return (
+    <div className={compact ? "space-y-1" : "space-y-2"}>
+      <TagChips tags={selected} onRemove={busy ? undefined : handleRemove} />
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <select
+          value=""
+          disabled={busy || unselected.length === 0}
+          onChange={(e) => handleAdd(e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1 text-xs disabled:opacity-50"
+        >
+          <option value="">{unselected.length === 0 ? "No more tags" : "Add tag..."}</option>
+          {unselected.map((tag) => (
+            <option key={tag.id} value={tag.id}>
+              {tag.name}{tag.project_id ? " (project)" : ""}
+            </option>
+          ))}
+        </select>
+        {!subtaskId && (
+          <button
+            type="button"
+            onClick={() => setShowCreate(!showCreate)}
+            className="text-blue-600 hover:text-blue-800"
+          >
+            {showCreate ? "Cancel" : "New tag"}
+          </button>
+        )}
+      </div>
+
+      {showCreate && (
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <input
+            type="text"
+            value={newName}
+            maxLength={40}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="Tag name"
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="color"
+            value={newColor}
+            onChange={(e) => setNewColor(e.target.value)}
+            className="h-7 w-8 border border-gray-300 rounded"
+            title="Tag colour"
+          />
+          <select
+            value={newScope}
+            onChange={(e) => setNewScope(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {projectId && <option value="project">This project</option>}
+            <option value="org">Organisation-wide</option>
+          </select>
+          <button
+            type="button"
+            disabled={busy || !newName.trim()}
+            onClick={handleCreate}
+            className="px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            Create
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,231 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import { useTaskAttachments } from "@/utils/hooks/useTaskAttachments";
+import { useAuth } from "@/utils/hooks/useAuth";
+
+const formatSize = (bytes) => {
+  const size = Number(bytes) || 0;
+  if (size >= 1024 * 1024) return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+  if (size >= 1024) return `${Math.round(size / 1024)} KB`;
+  return `${size} B`;
+};
+
+export default function TaskAttachments({ taskId, ownerId, subtasks = [], readOnly = false }) {
+  const { userProfile, isManager, isDirector } = useAuth();
+  const myEmpId = userProfile?.emp_id ? String(userProfile.emp_id) : null;
+  const {
+    attachments,
+    allowedMimeTypes,
+    maxSizeBytes,
+    loading,
+    error,
+    fetchAttachments,
+    uploadAttachment,
+    uploadVersion,
+    getDownloadUrl,
+    deleteAttachment,
+  } = useTaskAttachments();
+  const [subtaskId, setSubtaskId] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [replaceTargetId, setReplaceTargetId] = useState(null);
+  const uploadInputRef = useRef(null);
+  const replaceInputRef = useRef(null);
+
+  useEffect(() => {
+    if (taskId) {
+      fetchAttachments(taskId);
+    }
+  }, [taskId, fetchAttachments]);
+
+  const withErrorHandling = async (action) => {
+    setBusy(true);
+    setActionError("");
+    const result = await action();
+    setBusy(false);
+    if (!result.success) setActionError(result.error);
+    return result;
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    await withErrorHandling(() =>
+      uploadAttachment(taskId, file, { subtaskId: subtaskId || null })
+    );
+  };
+
+  const handleReplace = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file || !replaceTargetId) return;
+    await withErrorHandling(() => uploadVersion(taskId, replaceTargetId, file));
+    setReplaceTargetId(null);
+  };
+
+  const handleDownload = async (attachmentId, version = null) => {
+    const result = await withErrorHandling(() => getDownloadUrl(taskId, attachmentId, version));
+    if (result.success && result.url) {
+      window.open(result.url, "_blank", "noopener,noreferrer");
+    }
+  };
+
+  const canDelete = (attachment) =>
+    !readOnly &&
+    !!myEmpId &&
+    (String(attachment.uploaded_by) === myEmpId ||
+      String(ownerId) === myEmpId ||
+      isManager ||
+      isDirector);
+
+  const subtaskTitle = (id) => subtasks.find((st) => Number(st.id) === Number(id))?.title;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Attachments {attachments.length > 0 && `(${attachments.length})`}
+      </label>
+      <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-md space-y-3">
+        {loading && attachments.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading attachments...</p>
+        ) : error && attachments.length === 0 ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : attachments.length === 0 ? (
+          <p className="text-sm text-gray-500">No attachments yet</p>
+        ) : (
+          <ul className="space-y-2">
+            {attachments.map((attachment) => (
+              <li key={attachment.id} className="text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <button
+                      type="button"
+                      onClick={() => handleDownload(attachment.id)}
+                      className="font-medium text-blue-700 hover:underline truncate max-w-full text-left"
+                    >
+                      {attachment.file_name}
+                    </button>
+                    <div className="text-xs text-gray-500">
+                      v{attachment.current_version}
+                      {attachment.current?.size_bytes != null && ` · ${formatSize(attachment.current.size_bytes)}`}
+                      {attachment.subtask_id && subtaskTitle(attachment.subtask_id) && (
+                        <> · Subtask: {subtaskTitle(attachment.subtask_id)}</>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0 text-xs">
+                    {attachment.versions?.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => setExpandedId(expandedId === attachment.id ? null : attachment.id)}
+                        className="text-gray-600 hover:text-gray-800"
+                      >
+                        {expandedId === attachment.id ? "Hide versions" : `Versions (${attachment.versions.length})`}
+                      </button>
+                    )}
+                    {!readOnly && (
+                      <button
+                        type="button"
+                        disabled={busy}
+                        onClick={() => {
+                          setReplaceTargetId(attachment.id);
+                          replaceInputRef.current?.click();
+                        }}
+                        className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        Replace
+                      </button>
+                    )}
+                    {canDelete(attachment) && (
+                      <button
+                        type="button"
+                        disabled={busy}
+                        onClick={() => {
+                          if (confirm(`Delete "${attachment.file_name}" and all of its versions?`)) {
+                            withErrorHandling(() => deleteAttachment(taskId, attachment.id));
+                          }
+                        }}
+                        className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {expandedId === attachment.id && (
+                  <ul className="mt-1 ml-3 space-y-1 border-l border-gray-200 pl-3">
+                    {attachment.versions.map((version) => (
+                      <li key={version.id} className="flex items-center justify-between text-xs text-gray-600">
+                        <span className="truncate">
+                          v{version.version} · {version.file_name} · {new Date(version.created_at).toLocaleDateString()}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => handleDownload(attachment.id, version.version)}
+                          className="ml-2 text-blue-600 hover:text-blue-800"
+                        >
+                          Download
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {actionError && <p className="text-xs text-red-600">{actionError}</p>}
+
+        {!readOnly && (
+          <div className="flex flex-wrap items-center gap-2">
+            {subtasks.length > 0 && (
+              <select
+                value={subtaskId}
+                onChange={(e) => setSubtaskId(e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                <option value="">Whole task</option>
+                {subtasks.map((st) => (
+                  <option key={st.id} value={st.id}>
+                    Subtask: {st.title}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => uploadInputRef.current?.click()}
+              className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? "Uploading..." : "Upload file"}
+            </button>
+            {maxSizeBytes && (
+              <span className="text-xs text-gray-500">Max {formatSize(maxSizeBytes)} per file</span>
+            )}
+          </div>
+        )}
+
+        <input
+          ref={uploadInputRef}
+          type="file"
+          accept={allowedMimeTypes.includes("*/*") ? undefined : allowedMimeTypes.join(",")}
+          onChange={handleUpload}
+          className="hidden"
+        />
+        <input
+          ref={replaceInputRef}
+          type="file"
+          accept={allowedMimeTypes.includes("*/*") ? undefined : allowedMimeTypes.join(",")}
+          onChange={handleReplace}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+}
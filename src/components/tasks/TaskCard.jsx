@@ -8,9 +8,14 @@ import { useProjects } from "@/utils/hooks/useProjects";
 import SubtaskEditModal from "@/components/tasks/SubtaskEditModal";
 import Toast from "@/components/ui/Toast";
 import RecurrenceStatus from "@/components/tasks/RecurrenceStatus";
+import TaskDependencyChips from "@/components/tasks/TaskDependencyChips";
+import TagChips from "@/components/tasks/TagChips";
+import ProgressBar from "@/components/ui/ProgressBar";
 import { useAuth } from "@/utils/hooks/useAuth";
 import { useUsers } from "@/utils/hooks/useUsers";
 import { useDepartmentTeams } from "@/utils/hooks/useDepartmentTeams";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { TASK_STATUSES, toStatusKey, isCompletedStatus } from "@/constants/taskConstants";
 
 // Helper function to get priority color based on numeric value (1-10)
 const getPriorityColor = (priority) => {
@@ -64,42 +69,27 @@ const getStatusColor = (status) => {
     };
   }
 
-  const statusLower = String(status).toLowerCase();
-  
-  // Unassigned - Gray
-  if (statusLower === 'unassigned') {
-    return {
-      bg: "bg-gray-50",
-      text: "text-gray-700",
-      border: "border-gray-200",
-    };
-  }
-  
-  // Ongoing/In Progress - Yellow
-  if (statusLower === 'ongoing' || statusLower === 'in progress' || statusLower === 'in_progress') {
-    return {
-      bg: "bg-yellow-50",
-      text: "text-yellow-700",
-      border: "border-yellow-200",
-    };
-  }
-  
-  // Under Review - Blue
-  if (statusLower === 'under review' || statusLower === 'under_review' || statusLower === 'pending') {
-    return {
-      bg: "bg-blue-50",
-      text: "text-blue-700",
-      border: "border-blue-200",
-    };
-  }
-  
-  // Completed/Done - Green
-  if (statusLower === 'completed' || statusLower === 'done') {
-    return {
-      bg: "bg-green-50",
-      text: "text-green-700",
-      border: "border-green-200",
-    };
+  switch (toStatusKey(status)) {
+    case TASK_STATUSES.ONGOING:
+      return {
+        bg: "bg-yellow-50",
+        text: "text-yellow-700",
+        border: "border-yellow-200",
+      };
+    case TASK_STATUSES.UNDER_REVIEW:
+      return {
+        bg: "bg-blue-50",
+        text: "text-blue-700",
+        border: "border-blue-200",
+      };
+    case TASK_STATUSES.COMPLETED:
+      return {
+        bg: "bg-green-50",
+        text: "text-green-700",
+        border: "border-green-200",
+      };
+    default:
+      break;
   }
 
   // Default - Gray
@@ -120,13 +110,15 @@ export default function TaskCard({
   borderColor = "border-gray-200",
   currentUserId,
   memberNames = {},
-  projectNames = {}
+  projectNames = {},
+  onTaskRemoved = null // (taskIds, action) after the task is archived or trashed
 }) {
 
   const { projects, loading: projectsLoading } = useProjects();
   const { userProfile } = useAuth();
   const { fetchUsers, getAssignableUsers, getUserByEmpId } = useUsers();
   const {fetchMyTeam} = useDepartmentTeams()
+  const { getStatusLabel } = useTaskWorkflow();
 
   const hookProjectNames = useMemo(() => {
     const namesMap = {};
@@ -341,6 +333,8 @@ export default function TaskCard({
       // Call the update function
       const result = await updateFn(taskId, updates);
       console.log("[handleEditTask] Update result:", result);
+      // A stale version is resolved in the modal, not reported as saved
+      if (result?.conflict) return result;
       
       setEditSuccess("Task updated successfully!");
       setTimeout(() => {
@@ -366,13 +360,13 @@ export default function TaskCard({
   const dueDate = task.due_date ? new Date(task.due_date) : null;
   
   // Only mark as overdue if not done/completed
-  const isOverdue = dueDate && dueDate < now && task.status !== 'done' && task.status !== 'completed';
+  const isOverdue = dueDate && dueDate < now && !isCompletedStatus(task.status);
 
   const msInDay = 24 * 60 * 60 * 1000;
   const daysUntilDue = dueDate ? Math.ceil((dueDate - now) / msInDay) : null;
   
   // Only show approaching warning if not done/completed
-  const isApproaching = dueDate && daysUntilDue > 0 && daysUntilDue <= 3 && task.status !== 'done' && task.status !== 'completed';
+  const isApproaching = dueDate && daysUntilDue > 0 && daysUntilDue <= 3 && !isCompletedStatus(task.status);
 
   const getAssignedToDisplay = () => {
     // Assigned to = task owner
@@ -595,7 +589,47 @@ export default function TaskCard({
               </div>
             </div>
           )}
+
+          {/* Checklist */}
+          {task.checklist?.total > 0 && (
+            <div className="flex items-start sm:items-center text-xs sm:text-sm">
+              <svg className="w-3.5 h-3.5 text-gray-400 mr-1.5 flex-shrink-0 mt-0.5 sm:mt-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+              </svg>
+              <div className="min-w-0 flex-1">
+                <span className="text-gray-500 font-medium">Checklist:</span>
+                <span className={`sm:ml-1 font-medium ${
+                  task.checklist.done === task.checklist.total ? "text-green-600" : "text-gray-700"
+                }`}>
+                  {" "}{task.checklist.done}/{task.checklist.total}
+                </span>
+              </div>
+            </div>
+          )}
         </div>
+
+        {/* Percent-complete from subtasks (tasks without subtasks are simply done or not) */}
+        {typeof task.progress === "number" && subtaskCount > 0 && (
+          <ProgressBar value={task.progress} size="sm" className="mt-3" />
+        )}
+
+        {/* Tags */}
+        {task.tags?.length > 0 && (
+          <div className="mt-3">
+            <TagChips tags={task.tags} size="xs" />
+          </div>
+        )}
+
+        {/* Dependencies */}
+        {((task.blocked_by?.length || 0) > 0 || (task.blocking?.length || 0) > 0) && (
+          <div className="mt-3 pt-3 border-t border-gray-100">
+            <TaskDependencyChips
+              blockedBy={task.blocked_by || []}
+              blocking={task.blocking || []}
+              compact
+            />
+          </div>
+        )}
         
         {/* Subtasks Section */}
         {(subtaskCount > 0 || loadingSubtaskCount) && (
@@ -651,7 +685,7 @@ export default function TaskCard({
                             )}
                             {st.status && (
                               <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-semibold border ${getStatusColor(st.status).bg} ${getStatusColor(st.status).text} ${getStatusColor(st.status).border}`}>
-                                {String(st.status).replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                                {getStatusLabel(st.status)}
                               </span>
                             )}
                             {userCanEdit && (
@@ -710,6 +744,12 @@ export default function TaskCard({
         subtasks={subtasks} 
         loadingSubtasks={loadingSubtasks}
         subtasksError={subtasksError}
+        onLifecycleChange={typeof onTaskRemoved === "function" && (isOwner || ["manager", "director"].includes(userProfile?.role?.toLowerCase()))
+          ? (action, result) => {
+              closeDetailsModal();
+              onTaskRemoved(result.affectedTaskIds || [task.id], action);
+            }
+          : null}
       />
 
       {userCanEdit && (
@@ -740,11 +780,14 @@ export default function TaskCard({
           saving={subtaskSaving}
           isOwner={isOwner}
           isCollaborator={isCollaborator}
+          parentTask={task}
           onClose={() => { setSubtaskEditOpen(false); setSubtaskBeingEdited(null); }}
           onSave={async (subtaskId, updates) => {
             try {
               setSubtaskSaving(true);
-              await updateSubtask(subtaskId, updates);
+              const result = await updateSubtask(subtaskId, updates);
+              // Leave the modal open so it can show the conflict dialog
+              if (result?.conflict) return result;
               setSubtaskEditOpen(false);
               setSubtaskBeingEdited(null);
               setToast({ type: "success", message: "Subtask updated successfully" });
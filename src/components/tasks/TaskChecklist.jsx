@@ -0,0 +1,194 @@
+"use client";
+
+import { useState } from "react";
+import { useChecklist } from "@/utils/hooks/useChecklist";
+
+/**
+ * Checklist section for a task: check items off, add, rename, remove and move them.
+ * The owner (and managers/directors) can require every item to be checked before completion.
+ */
+export default function TaskChecklist({ taskId }) {
+  const {
+    items,
+    summary,
+    requireComplete,
+    canEdit,
+    canManage,
+    loading,
+    error,
+    addItem,
+    renameItem,
+    toggleItem,
+    removeItem,
+    reorderItems,
+    setRequired,
+  } = useChecklist(taskId);
+  const [newTitle, setNewTitle] = useState("");
+  const [editing, setEditing] = useState(null); // { id, title }
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    const result = await action();
+    setBusy(false);
+    return result;
+  };
+
+  const handleAdd = async () => {
+    if (!newTitle.trim()) return;
+    const result = await run(() => addItem(newTitle.trim()));
+    if (result.success) setNewTitle("");
+  };
+
+  const handleRename = async () => {
+    if (!editing?.title.trim()) return;
+    const result = await run(() => renameItem(editing.id, editing.title.trim()));
+    if (result.success) setEditing(null);
+  };
+
+  const move = (index, offset) => {
+    const ids = items.map((item) => item.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+    run(() => reorderItems(ids));
+  };
+
+  if (!taskId || (!canEdit && items.length === 0 && !loading)) return null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <label className="block text-sm font-medium text-gray-700">
+          Checklist {summary.total > 0 && `(${summary.done}/${summary.total})`}
+        </label>
+        {canManage ? (
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={requireComplete}
+              disabled={busy}
+              onChange={(e) => run(() => setRequired(e.target.checked))}
+            />
+            Required before completion
+          </label>
+        ) : (
+          requireComplete && <span className="text-xs text-gray-500">Required before completion</span>
+        )}
+      </div>
+      <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-md space-y-2">
+        {loading && items.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading checklist...</p>
+        ) : items.length === 0 ? (
+          <p className="text-sm text-gray-500">No checklist items yet</p>
+        ) : (
+          <ul className="space-y-1">
+            {items.map((item, index) => (
+              <li key={item.id} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={Boolean(item.done)}
+                  disabled={!canEdit || busy}
+                  onChange={() => run(() => toggleItem(item))}
+                  aria-label={item.done ? `Uncheck ${item.title}` : `Check ${item.title}`}
+                />
+                {editing?.id === item.id ? (
+                  <>
+                    <input
+                      type="text"
+                      value={editing.title}
+                      onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") handleRename();
+                        if (e.key === "Escape") setEditing(null);
+                      }}
+                      className="flex-1 border border-gray-300 rounded px-2 py-0.5 text-sm"
+                      autoFocus
+                    />
+                    <button type="button" onClick={handleRename} disabled={busy} className="text-xs text-blue-600 hover:text-blue-800">
+                      Save
+                    </button>
+                    <button type="button" onClick={() => setEditing(null)} className="text-xs text-gray-500 hover:text-gray-700">
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <span className={`flex-1 min-w-0 break-words ${item.done ? "line-through text-gray-400" : "text-gray-900"}`}>
+                      {item.title}
+                    </span>
+                    {canEdit && (
+                      <span className="flex items-center gap-1 text-xs">
+                        <button
+                          type="button"
+                          onClick={() => move(index, -1)}
+                          disabled={busy || index === 0}
+                          className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          aria-label="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => move(index, 1)}
+                          disabled={busy || index === items.length - 1}
+                          className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          aria-label="Move down"
+                        >
+                          ↓
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setEditing({ id: item.id, title: item.title })}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => run(() => removeItem(item.id))}
+                          disabled={busy}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Remove
+                        </button>
+                      </span>
+                    )}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        {canEdit && (
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  handleAdd();
+                }
+              }}
+              placeholder="Add an item"
+              maxLength={200}
+              className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <button
+              type="button"
+              disabled={busy || !newTitle.trim()}
+              onClick={handleAdd}
+              className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
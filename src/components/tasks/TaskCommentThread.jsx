@@ -0,0 +1,247 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useTaskComments } from "@/utils/hooks/useTaskComments";
+import { useAuth } from "@/utils/hooks/useAuth";
+
+// Highlight @EMPID mentions inside a comment body
+const renderBody = (body, memberNames) => {
+  const parts = body.split(/(@[A-Za-z0-9_-]+)/g);
+  return parts.map((part, index) => {
+    if (part.startsWith("@") && part.length > 1) {
+      const empId = part.slice(1);
+      return (
+        <span key={index} className="text-blue-700 font-medium" title={empId}>
+          @{memberNames?.[empId] || empId}
+        </span>
+      );
+    }
+    return <span key={index}>{part}</span>;
+  });
+};
+
+function CommentItem({
+  comment,
+  depth,
+  currentEmpId,
+  taskOwnerId,
+  memberNames,
+  onReply,
+  onEdit,
+  onDelete,
+}) {
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const isDeleted = !!comment.deleted_at;
+  const isAuthor = currentEmpId && String(comment.author_emp_id) === String(currentEmpId);
+  const isTaskOwner = currentEmpId && String(taskOwnerId) === String(currentEmpId);
+
+  const submit = async () => {
+    if (!draft.trim()) return;
+    setSubmitting(true);
+    const result = editing ? await onEdit(comment.id, draft) : await onReply(comment.id, draft);
+    setSubmitting(false);
+    if (result?.success) {
+      setDraft("");
+      setReplying(false);
+      setEditing(false);
+    }
+  };
+
+  return (
+    <div className={depth > 0 ? "ml-4 pl-3 border-l border-gray-200" : ""}>
+      <div className="bg-white border border-gray-200 rounded p-2">
+        <div className="flex items-center justify-between text-xs text-gray-500">
+          <span className="font-medium text-gray-700">
+            {comment.author_name || memberNames?.[comment.author_emp_id] || `User ${comment.author_emp_id}`}
+          </span>
+          <span>
+            {new Date(comment.created_at).toLocaleString()}
+            {comment.updated_at && !isDeleted && " (edited)"}
+          </span>
+        </div>
+
+        {editing ? (
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={2}
+            className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+        ) : (
+          <p className={`mt-1 text-sm whitespace-pre-wrap ${isDeleted ? "italic text-gray-400" : "text-gray-900"}`}>
+            {isDeleted ? "This comment was deleted" : renderBody(comment.body || "", memberNames)}
+          </p>
+        )}
+
+        {!isDeleted && (
+          <div className="mt-1 flex items-center gap-3 text-xs">
+            {!editing && (
+              <button
+                type="button"
+                onClick={() => { setReplying((v) => !v); setEditing(false); setDraft(""); }}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Reply
+              </button>
+            )}
+            {isAuthor && !replying && (
+              <button
+                type="button"
+                onClick={() => { setEditing((v) => !v); setDraft(editing ? "" : comment.body || ""); }}
+                className="text-gray-600 hover:text-gray-800"
+              >
+                {editing ? "Cancel" : "Edit"}
+              </button>
+            )}
+            {(isAuthor || isTaskOwner) && !editing && (
+              <button
+                type="button"
+                onClick={() => onDelete(comment.id)}
+                className="text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            )}
+            {editing && (
+              <button
+                type="button"
+                disabled={submitting}
+                onClick={submit}
+                className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+              >
+                Save
+              </button>
+            )}
+          </div>
+        )}
+
+        {replying && (
+          <div className="mt-2 flex gap-2">
+            <input
+              type="text"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder="Write a reply... use @EMPID to mention"
+              className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <button
+              type="button"
+              disabled={submitting || !draft.trim()}
+              onClick={submit}
+              className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Reply
+            </button>
+          </div>
+        )}
+      </div>
+
+      {Array.isArray(comment.replies) && comment.replies.length > 0 && (
+        <div className="mt-2 space-y-2">
+          {comment.replies.map((reply) => (
+            <CommentItem
+              key={reply.id}
+              comment={reply}
+              depth={depth + 1}
+              currentEmpId={currentEmpId}
+              taskOwnerId={taskOwnerId}
+              memberNames={memberNames}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function TaskCommentThread({ taskId, taskOwnerId, memberNames = {} }) {
+  const { userProfile } = useAuth();
+  const { comments, loading, error, fetchComments, addComment, editComment, deleteComment } = useTaskComments();
+  const [newComment, setNewComment] = useState("");
+  const [posting, setPosting] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    if (taskId) {
+      fetchComments(taskId);
+    }
+  }, [taskId, fetchComments]);
+
+  const countComments = (nodes) =>
+    nodes.reduce((sum, c) => sum + (c.deleted_at ? 0 : 1) + countComments(c.replies || []), 0);
+
+  const withErrorHandling = async (action) => {
+    setActionError("");
+    const result = await action();
+    if (!result.success) setActionError(result.error);
+    return result;
+  };
+
+  const handlePost = async () => {
+    if (!newComment.trim()) return;
+    setPosting(true);
+    const result = await withErrorHandling(() => addComment(taskId, newComment));
+    setPosting(false);
+    if (result.success) setNewComment("");
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Comments {comments.length > 0 ? `(${countComments(comments)})` : ""}
+      </label>
+      <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-md space-y-3">
+        {loading && comments.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading comments...</p>
+        ) : error && comments.length === 0 ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : comments.length === 0 ? (
+          <p className="text-sm text-gray-500">No comments yet</p>
+        ) : (
+          <div className="space-y-2">
+            {comments.map((comment) => (
+              <CommentItem
+                key={comment.id}
+                comment={comment}
+                depth={0}
+                currentEmpId={userProfile?.emp_id}
+                taskOwnerId={taskOwnerId}
+                memberNames={memberNames}
+                onReply={(parentId, body) => withErrorHandling(() => addComment(taskId, body, parentId))}
+                onEdit={(commentId, body) => withErrorHandling(() => editComment(taskId, commentId, body))}
+                onDelete={(commentId) => withErrorHandling(() => deleteComment(taskId, commentId))}
+              />
+            ))}
+          </div>
+        )}
+
+        {actionError && <p className="text-xs text-red-600">{actionError}</p>}
+
+        <div className="flex gap-2">
+          <textarea
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            rows={2}
+            placeholder="Add a comment... use @EMPID to mention a teammate"
+            className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <button
+            type="button"
+            disabled={posting || !newComment.trim()}
+            onClick={handlePost}
+            className="self-end px-3 py-1.5 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {posting ? "Posting..." : "Comment"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
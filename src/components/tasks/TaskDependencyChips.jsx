@@ -0,0 +1,63 @@
+"use client";
+
+const TYPE_LABELS = {
+  finish_to_start: "FS",
+  start_to_start: "SS",
+};
+
+const TYPE_TITLES = {
+  finish_to_start: "Finish-to-start",
+  start_to_start: "Start-to-start",
+};
+
+// "Blocked by" / "Blocking" chips built from task.blocked_by and task.blocking
+export default function TaskDependencyChips({ blockedBy = [], blocking = [], onRemove, compact = false }) {
+  if (blockedBy.length === 0 && blocking.length === 0) return null;
+
+  const renderChip = (dep, direction) => {
+    const isOpen = dep.is_open;
+    const colors = direction === "blocked_by"
+      ? isOpen
+        ? "bg-red-50 text-red-700 border-red-200"
+        : "bg-gray-50 text-gray-500 border-gray-200 line-through"
+      : "bg-amber-50 text-amber-700 border-amber-200";
+
+    return (
+      <span
+        key={`${direction}-${dep.dependency_id}`}
+        className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs font-medium max-w-full ${colors}`}
+        title={`${TYPE_TITLES[dep.type] || dep.type}: ${dep.title || `Task ${dep.task_id}`}${dep.status ? ` (${dep.status})` : ""}`}
+      >
+        <span className="truncate">{dep.title || `Task ${dep.task_id}`}</span>
+        <span className="opacity-70">{TYPE_LABELS[dep.type] || ""}</span>
+        {onRemove && (
+          <button
+            type="button"
+            onClick={(e) => { e.stopPropagation(); onRemove(dep.dependency_id); }}
+            className="ml-0.5 hover:text-gray-900"
+            title="Remove dependency"
+          >
+            ×
+          </button>
+        )}
+      </span>
+    );
+  };
+
+  return (
+    <div className={compact ? "space-y-1" : "space-y-2"}>
+      {blockedBy.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-xs sm:text-sm">
+          <span className="text-gray-500 font-medium mr-1">Blocked by:</span>
+          {blockedBy.map((dep) => renderChip(dep, "blocked_by"))}
+        </div>
+      )}
+      {blocking.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-xs sm:text-sm">
+          <span className="text-gray-500 font-medium mr-1">Blocking:</span>
+          {blocking.map((dep) => renderChip(dep, "blocking"))}
+        </div>
+      )}
+    </div>
+  );
+}
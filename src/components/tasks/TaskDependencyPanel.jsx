@@ -0,0 +1,102 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useTaskDependencies } from "@/utils/hooks/useTaskDependencies";
+import TaskDependencyChips from "./TaskDependencyChips";
+
+export default function TaskDependencyPanel({ taskId }) {
+  const { blockedBy, blocking, loading, error, fetchDependencies, addDependency, removeDependency } = useTaskDependencies();
+  const [otherTaskId, setOtherTaskId] = useState("");
+  const [direction, setDirection] = useState("blocked_by");
+  const [type, setType] = useState("finish_to_start");
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    if (taskId) {
+      fetchDependencies(taskId);
+    }
+  }, [taskId, fetchDependencies]);
+
+  const handleAdd = async () => {
+    if (!otherTaskId.trim()) return;
+    setSaving(true);
+    setActionError("");
+    const result = await addDependency(taskId, Number(otherTaskId), direction, type);
+    setSaving(false);
+    if (result.success) {
+      setOtherTaskId("");
+    } else {
+      setActionError(result.error);
+    }
+  };
+
+  const handleRemove = async (dependencyId) => {
+    setActionError("");
+    const result = await removeDependency(taskId, dependencyId);
+    if (!result.success) setActionError(result.error);
+  };
+
+  const openBlockers = blockedBy.filter((dep) => dep.is_open).length;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Dependencies
+        {openBlockers > 0 && (
+          <span className="ml-2 text-xs font-normal text-red-600">
+            Cannot be completed until {openBlockers} blocker{openBlockers === 1 ? " is" : "s are"} resolved
+          </span>
+        )}
+      </label>
+      <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-md space-y-3">
+        {loading && blockedBy.length === 0 && blocking.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading dependencies...</p>
+        ) : error && blockedBy.length === 0 && blocking.length === 0 ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : blockedBy.length === 0 && blocking.length === 0 ? (
+          <p className="text-sm text-gray-500">No dependencies</p>
+        ) : (
+          <TaskDependencyChips blockedBy={blockedBy} blocking={blocking} onRemove={handleRemove} />
+        )}
+
+        {actionError && <p className="text-xs text-red-600">{actionError}</p>}
+
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={direction}
+            onChange={(e) => setDirection(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            <option value="blocked_by">Blocked by</option>
+            <option value="blocking">Blocking</option>
+          </select>
+          <input
+            type="number"
+            min="1"
+            value={otherTaskId}
+            onChange={(e) => setOtherTaskId(e.target.value)}
+            placeholder="Task ID"
+            className="w-24 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            <option value="finish_to_start">Finish-to-start</option>
+            <option value="start_to_start">Start-to-start</option>
+          </select>
+          <button
+            type="button"
+            disabled={saving || !otherTaskId.trim()}
+            onClick={handleAdd}
+            className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Linking..." : "Link"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,19 @@ import { useState, useEffect, useMemo } from "react";
 import { createClient } from "@/utils/supabase/client";
 import { useSubtasks } from "@/utils/hooks/useSubtasks";
 import RecurrenceStatus from "./RecurrenceStatus";
+import RecurrenceHistoryModal from "./RecurrenceHistoryModal";
+import TaskCommentThread from "./TaskCommentThread";
+import TaskDependencyPanel from "./TaskDependencyPanel";
+import TaskTimeTracker from "./TaskTimeTracker";
+import TaskChecklist from "./TaskChecklist";
+import TaskAttachments from "./TaskAttachments";
+import TaskReviewPanel from "./TaskReviewPanel";
+import TaskLifecycleActions from "./TaskLifecycleActions";
+import TaskTransferActions from "./TaskTransferActions";
+import TagChips from "./TagChips";
+import FollowButton from "@/components/ui/FollowButton";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { TASK_STATUSES, toStatusKey } from "@/constants/taskConstants";
 
 export default function TaskDetailsModal({
   open,
@@ -13,12 +26,15 @@ export default function TaskDetailsModal({
   projectNames = {}, // Add this prop
   subtasks = [], // Accept subtasks from props
   loadingSubtasks = false, // Accept loading state from props
-  subtasksError = null // Accept error state from props
+  subtasksError = null, // Accept error state from props
+  onLifecycleChange = null // Archive / trash and clone / move controls are shown when given
 }) {
+  const { getStatusLabel } = useTaskWorkflow();
   const [showHistory, setShowHistory] = useState(false);
   const [history, setHistory] = useState([]);
   const [loadingHistory, setLoadingHistory] = useState(false);
   const [historyError, setHistoryError] = useState("");
+  const [showRecurrenceHistory, setShowRecurrenceHistory] = useState(false);
 
   // Fallback to useSubtasks hook if props are not provided
   const {
@@ -52,27 +68,6 @@ export default function TaskDetailsModal({
 
   if (!open || !task) return null;
 
-  // Function to get file name from URL
-  const getFileName = (fileUrl) => {
-    if (!fileUrl) return null;
-    const urlParts = fileUrl.split('/');
-    const fileName = urlParts[urlParts.length - 1];
-    const cleanName = fileName.replace(/^\d+-/, '');
-    return cleanName || fileName;
-  };
-
-  // Function to handle file download
-  const handleFileDownload = (fileUrl, fileName) => {
-    const link = document.createElement('a');
-    link.href = fileUrl;
-    link.download = fileName || 'attachment.pdf';
-    link.target = '_blank';
-    link.rel = 'noopener noreferrer';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  };
-
   // Format date for display - Updated to show format: 29 September 2025
   const formatDate = (dateString) => {
     if (!dateString) return 'Not set';
@@ -132,16 +127,13 @@ export default function TaskDetailsModal({
 
   // Get status styling
   const getStatusStyle = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'completed':
+    switch (toStatusKey(status)) {
+      case TASK_STATUSES.COMPLETED:
         return 'bg-green-100 text-green-800 border-green-200';
-      case 'under_review':
-      case 'under review': // Updated to ensure consistent display
+      case TASK_STATUSES.UNDER_REVIEW:
         return 'bg-blue-100 text-blue-800 border-blue-200';
-      case 'ongoing':
+      case TASK_STATUSES.ONGOING:
         return 'bg-yellow-100 text-yellow-800 border-yellow-200';
-      case 'unassigned':
-        return 'bg-gray-100 text-gray-800 border-gray-200';
       default:
         return 'bg-gray-100 text-gray-800 border-gray-200';
     }
@@ -150,7 +142,7 @@ export default function TaskDetailsModal({
   // Format status display
   const formatStatus = (status) => {
     if (!status) return 'Unknown';
-    return status.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
+    return getStatusLabel(status);
   };
 
   return (
@@ -160,6 +152,8 @@ export default function TaskDetailsModal({
         <div className="flex items-center justify-between mb-4">
           <h3 className="text-lg font-medium text-gray-900">Task Details</h3>
           <div className="flex items-center space-x-2">
+            <FollowButton target="task" id={task.id} />
+
             {/* Recurrence History Button - Only show if task is recurring */}
             {task.is_recurring && (
               <button
@@ -299,31 +293,27 @@ export default function TaskDetailsModal({
             </div>
           </div>
 
-          {/* File Attachment */}
-          {task.file && (
+          {/* Tags */}
+          {task.tags?.length > 0 && (
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Attachment (PDF)</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
               <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-md">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-2">
-                    <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                    </svg>
-                    <span className="text-sm text-gray-700">
-                      {getFileName(task.file) || 'Attachment.pdf'}
-                    </span>
-                  </div>
-                  <button
-                    onClick={() => handleFileDownload(task.file, getFileName(task.file))}
-                    className="text-xs text-blue-600 hover:text-blue-800 font-medium"
-                  >
-                    View
-                  </button>
-                </div>
+                <TagChips tags={task.tags} />
               </div>
             </div>
           )}
 
+          {/* Checklist */}
+          <TaskChecklist taskId={task.id} />
+
+          {/* Attachments */}
+          <TaskAttachments
+            taskId={task.id}
+            ownerId={task.owner_id}
+            subtasks={finalSubtasks}
+            readOnly
+          />
+
           {/* Collaborators */}
           {task.collaborators && task.collaborators.length > 0 && (
             <div>
@@ -367,6 +357,11 @@ export default function TaskDetailsModal({
                           {st.description && (
                             <p className="text-xs text-gray-600 mt-1 line-clamp-2">{st.description}</p>
                           )}
+                          {st.tags?.length > 0 && (
+                            <div className="mt-1">
+                              <TagChips tags={st.tags} size="xs" />
+                            </div>
+                          )}
                         </div>
                         <div className="flex items-center gap-2 flex-shrink-0">
                           {/* Priority */}
@@ -407,6 +402,26 @@ export default function TaskDetailsModal({
             </div>
           </div>
 
+          {/* Review */}
+          <TaskReviewPanel taskId={task.id} memberNames={memberNames} />
+
+          {/* Dependencies */}
+          <TaskDependencyPanel taskId={task.id} />
+
+          {/* Time Tracking */}
+          <TaskTimeTracker
+            taskId={task.id}
+            ownerId={task.owner_id}
+            collaborators={task.collaborators}
+          />
+
+          {/* Comments */}
+          <TaskCommentThread
+            taskId={task.id}
+            taskOwnerId={task.owner_id}
+            memberNames={memberNames}
+          />
+
           {/* Created At */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Created</label>
@@ -456,7 +471,16 @@ export default function TaskDetailsModal({
           </div>
         )}
 
+        {typeof onLifecycleChange === "function" && (
+          <div className="mt-6">
+            <TaskTransferActions task={task} onChange={onLifecycleChange} />
+          </div>
+        )}
+
         <div className="mt-6 flex justify-end gap-2">
+          {typeof onLifecycleChange === "function" && (
+            <TaskLifecycleActions task={task} onChange={onLifecycleChange} />
+          )}
           <button
             onClick={onClose}
             className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 text-sm"
@@ -465,6 +489,15 @@ export default function TaskDetailsModal({
           </button>
         </div>
       </div>
+
+      {task.is_recurring && (
+        <RecurrenceHistoryModal
+          isOpen={showRecurrenceHistory}
+          onClose={() => setShowRecurrenceHistory(false)}
+          taskId={task.id}
+          taskTitle={task.title}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -2,6 +2,34 @@
 
 import { useState, useEffect } from "react";
 import { useSubtasks } from "@/utils/hooks/useSubtasks";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { useTaskRecurrence } from "@/utils/hooks/useTaskRecurrence";
+import { TASK_STATUSES, toStatusKey } from "@/constants/taskConstants";
+import TaskAttachments from "./TaskAttachments";
+import TagPicker from "./TagPicker";
+import TagChips from "./TagChips";
+import SubtaskTree from "./SubtaskTree";
+import CustomFieldInputs, { cleanCustomFieldValues } from "./CustomFieldInputs";
+import { useProjectCustomFields } from "@/utils/hooks/useProjectCustomFields";
+import VersionConflictDialog from "@/components/ui/VersionConflictDialog";
+
+const CONFLICT_LABELS = {
+  title: "Title",
+  description: "Description",
+  priority: "Priority",
+  status: "Status",
+  due_date: "Due date",
+  estimated_hours: "Estimated hours",
+  owner_id: "Assigned to",
+};
+
+// How far title, description and priority edits of a recurring task reach
+const SERIES_SCOPES = [
+  { value: "this", label: "Only this task" },
+  { value: "following", label: "This and following tasks" },
+  { value: "all_open", label: "All open tasks in the series" },
+];
+const SERIES_FIELDS = ["title", "description", "priority"];
 
 export default function TaskEditModal({ 
   open, 
@@ -22,26 +50,49 @@ export default function TaskEditModal({
     title: "",
     description: "",
     priority: 5,
-    status: "ongoing",
+    status: TASK_STATUSES.ONGOING,
     due_date: "",
+    estimated_hours: "",
     assignTo: ""
   });
-  const [file, setFile] = useState(null);
-  const [removeExistingFile, setRemoveExistingFile] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
   const [editSuccess, setEditSuccess] = useState("");
   const [editError, setEditError] = useState("");
-  const { subtasks, loading: loadingSubtasks, error: subtasksError, fetchSubtasks, createSubtask, updateSubtask, deleteSubtask } = useSubtasks();
+  // Version the form was loaded at; sent as If-Match so a stale save comes back as a conflict
+  const [baseVersion, setBaseVersion] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [conflictNotice, setConflictNotice] = useState("");
+  const { getStatusOptions, getStatusLabel } = useTaskWorkflow();
+  const { fields: customFields, members: customFieldMembers } = useProjectCustomFields(task?.project_id || null);
+  const [customFieldValues, setCustomFieldValues] = useState({});
+  const isSeriesTask = Boolean(task?.is_recurring && task?.recurrence_series_id) && isOwner;
+  const { editSeries } = useTaskRecurrence(task?.id, { enabled: false });
+  const [seriesScope, setSeriesScope] = useState("this");
+  const [applySubtasksToSeries, setApplySubtasksToSeries] = useState(false);
+  const {
+    subtasks,
+    loading: loadingSubtasks,
+    error: subtasksError,
+    maxDepth,
+    fetchSubtasks,
+    createSubtask,
+    updateSubtask,
+    deleteSubtask,
+    reorderSubtasks,
+    promoteSubtask,
+  } = useSubtasks();
   const [newSubtask, setNewSubtask] = useState({
     title: "",
     description: "",
     priority: 5,
-    status: "ongoing",
-    due_date: ""
+    status: TASK_STATUSES.ONGOING,
+    due_date: "",
+    estimated_hours: "",
+    parent_subtask_id: null
   });
   const [creatingSubtask, setCreatingSubtask] = useState(false);
   const [editingSubtaskId, setEditingSubtaskId] = useState(null);
-  const [editingValues, setEditingValues] = useState({ title: "", description: "", priority: 5, status: "ongoing", due_date: "" });
+  const [editingValues, setEditingValues] = useState({ title: "", description: "", priority: 5, status: TASK_STATUSES.ONGOING, due_date: "", estimated_hours: "" });
   const [savingSubtaskId, setSavingSubtaskId] = useState(null);
 
   const beginEditSubtask = (st) => {
@@ -50,8 +101,9 @@ export default function TaskEditModal({
       title: st.title || "",
       description: st.description || "",
       priority: st.priority ?? 5,
-      status: st.status || "ongoing",
+      status: toStatusKey(st.status) || TASK_STATUSES.ONGOING,
       due_date: st.due_date ? st.due_date.slice(0, 10) : "",
+      estimated_hours: st.estimated_hours ?? "",
     });
   };
 
@@ -89,10 +141,19 @@ export default function TaskEditModal({
           priority: editingValues.priority,
           status: editingValues.status,
           due_date: editingValues.due_date || null,
+          estimated_hours: editingValues.estimated_hours === "" ? null : editingValues.estimated_hours,
         };
       }
       
-      await updateSubtask(subtaskId, updates);
+      const version = subtasks.find((st) => st.id === subtaskId)?.version;
+      if (version !== undefined && version !== null) updates.version = version;
+
+      const result = await updateSubtask(subtaskId, updates);
+      if (result?.conflict) {
+        // Someone saved this subtask meanwhile; reload it so the row shows their values
+        setEditError(`${result.error}. The subtask was reloaded; edit it again to apply your change.`);
+        fetchSubtasks(task.id);
+      }
       setEditingSubtaskId(null);
     } finally {
       setSavingSubtaskId(null);
@@ -105,12 +166,17 @@ export default function TaskEditModal({
         title: task.title || "",
         description: task.description || "",
         priority: task.priority !== null && task.priority !== undefined ? task.priority : 5,
-        status: task.status || "ongoing",
+        status: toStatusKey(task.status) || TASK_STATUSES.ONGOING,
         due_date: task.due_date ? task.due_date.slice(0, 10) : "",
+        estimated_hours: task.estimated_hours ?? "",
         assignTo: task.owner_id || "", //set current owner as assignto
       });
-      setFile(null);
-      setRemoveExistingFile(false);
+      setCustomFieldValues(task.custom_fields || {});
+      setBaseVersion(task.version ?? null);
+      setConflict(null);
+      setConflictNotice("");
+      setSeriesScope("this");
+      setApplySubtasksToSeries(false);
       setValidationErrors({}); // Clear validation errors when task changes
       // Load subtasks for this task
       if (task.id) {
@@ -139,6 +205,22 @@ export default function TaskEditModal({
     return errors;
   };
 
+  // Series fields the form changes, plus this task's subtasks when they should carry over
+  const getSeriesChanges = () => {
+    const values = { title: form.title.trim(), description: form.description || "", priority: Number(form.priority) };
+    const current = { title: task.title || "", description: task.description || "", priority: Number(task.priority ?? 5) };
+    const changes = {};
+    SERIES_FIELDS.forEach((field) => {
+      if (values[field] !== current[field]) changes[field] = values[field];
+    });
+    if (seriesScope !== "this" && applySubtasksToSeries) {
+      changes.subtasks = subtasks
+        .filter((st) => !st.parent_subtask_id)
+        .map((st) => ({ title: st.title, description: st.description || null, priority: st.priority ?? null }));
+    }
+    return changes;
+  };
+
   const handleSave = async () => {
     if (!onSave) {
       console.error("TaskEditModal: No onSave function provided");
@@ -159,9 +241,14 @@ export default function TaskEditModal({
       if (isCollaborator && !isOwner) {
         console.log("Collaborator updating task status to:", form.status);
         const updates = { status: form.status };
+        if (baseVersion !== null) updates.version = baseVersion;
       
         const result = await onSave(task.id, updates);
         console.log("Collaborator update result:", result);
+        if (result?.conflict) {
+          setConflict(result.conflict);
+          return;
+        }
         
         // Show success message and close modal
         setEditSuccess("Task status updated successfully!");
@@ -174,18 +261,38 @@ export default function TaskEditModal({
       }
 
       // Full edit permissions for owners
-      // Create FormData to handle file upload
+      // Title, description and priority of a recurring task go through the series edit,
+      // which also records what the series continues with
+      let version = baseVersion;
+      const seriesChanges = isSeriesTask ? getSeriesChanges() : {};
+      if (Object.keys(seriesChanges).length > 0) {
+        const seriesResult = await editSeries(seriesScope, {
+          ...seriesChanges,
+          ...(baseVersion !== null ? { version: baseVersion } : {}),
+        });
+        if (seriesResult.conflict) {
+          setConflict(seriesResult.conflict);
+          return;
+        }
+        if (!seriesResult.success) {
+          setEditError(seriesResult.error);
+          return;
+        }
+        version = seriesResult.data.tasks?.[0]?.version ?? null;
+      }
+
+      // Create FormData (the tasks endpoint accepts multipart bodies)
       const formData = new FormData();
       
       // Add form fields (only add non-empty values)
-      if (form.title && form.title.trim()) {
+      if (form.title && form.title.trim() && !("title" in seriesChanges)) {
         formData.append("title", form.title.trim());
       }
-      if (form.description !== undefined) {
+      if (form.description !== undefined && !("description" in seriesChanges)) {
         formData.append("description", form.description);
       }
       // Always append priority if it's a valid number
-      if (form.priority !== null && form.priority !== undefined) {
+      if (form.priority !== null && form.priority !== undefined && !("priority" in seriesChanges)) {
         formData.append("priority", form.priority.toString());
       }
 
@@ -223,18 +330,23 @@ export default function TaskEditModal({
         formData.append("due_date", form.due_date);
       }
 
-      // Handle file operations
-      if (file && file instanceof File) {
-        formData.append("file", file);
+      // Empty string clears the estimate
+      formData.append("estimated_hours", form.estimated_hours === null ? "" : String(form.estimated_hours));
+      if (customFields.length > 0) {
+        formData.append("custom_fields", JSON.stringify(cleanCustomFieldValues(customFields, customFieldValues)));
       }
-
-      if (removeExistingFile) {
-        formData.append("remove_file", "true");
+      if (version !== null) {
+        formData.append("version", String(version));
       }
 
+
       console.log("🔧 Calling onSave with FormData");
       const result = await onSave(task.id, formData);
       console.log("🔧 onSave result:", result);
+      if (result?.conflict) {
+        setConflict(result.conflict);
+        return;
+      }
 
       // FIX: Check if result exists and has success property
       if (result && result.success !== false) {
@@ -253,6 +365,24 @@ export default function TaskEditModal({
     }
   };
 
+  // Merge the values picked in the conflict dialog into the form and rebase on the saved version
+  const handleResolveConflict = (choices) => {
+    const current = conflict?.current || {};
+    const theirs = {};
+    (conflict?.diff || []).forEach(({ field }) => {
+      if (choices[field] !== "theirs") return;
+      if (field === "status") theirs.status = toStatusKey(current.status) || TASK_STATUSES.ONGOING;
+      else if (field === "due_date") theirs.due_date = current.due_date ? current.due_date.slice(0, 10) : "";
+      else if (field === "owner_id") theirs.assignTo = current.owner_id || "";
+      else theirs[field] = current[field] ?? "";
+    });
+    setForm((prev) => ({ ...prev, ...theirs }));
+    setBaseVersion(conflict?.current_version ?? null);
+    setConflict(null);
+    setEditError("");
+    setConflictNotice("Conflicting fields merged. Review the form and save again.");
+  };
+
   // Clear validation error when user starts typing
   const handleInputChange = (field, value) => {
     setForm({ ...form, [field]: value });
@@ -279,17 +409,46 @@ export default function TaskEditModal({
         priority: newSubtask.priority,
         status: newSubtask.status,
         due_date: newSubtask.due_date || null,
+        estimated_hours: newSubtask.estimated_hours === "" ? null : newSubtask.estimated_hours,
         collaborators: [],
+        parent_subtask_id: newSubtask.parent_subtask_id,
       };
       const res = await createSubtask(payload);
       if (res?.success) {
-        setNewSubtask({ title: "", description: "", priority: 5, status: "ongoing", due_date: "" });
+        setNewSubtask({ title: "", description: "", priority: 5, status: TASK_STATUSES.ONGOING, due_date: "", estimated_hours: "", parent_subtask_id: null });
+      } else if (res?.error) {
+        setEditError(res.error);
       }
     } finally {
       setCreatingSubtask(false);
     }
   };
 
+  const subtaskDepth = (subtask) => {
+    let depth = 1;
+    let parent = subtasks.find((st) => st.id === subtask.parent_subtask_id);
+    while (parent && depth <= subtasks.length) {
+      depth += 1;
+      parent = subtasks.find((st) => st.id === parent.parent_subtask_id);
+    }
+    return depth;
+  };
+
+  const handleReorderSubtasks = async (parentSubtaskId, orderedIds) => {
+    const res = await reorderSubtasks(task.id, parentSubtaskId, orderedIds);
+    if (!res.success) setEditError(res.error);
+  };
+
+  const handlePromoteSubtask = async (subtask) => {
+    if (!confirm(`Turn "${subtask.title}" into a task of its own? Its nested subtasks move with it.`)) return;
+    const res = await promoteSubtask(subtask.id);
+    if (res.success) {
+      setEditSuccess(`"${res.task.title}" is now a task.`);
+    } else {
+      setEditError(res.error);
+    }
+  };
+
   if (!open) return null;
 
   return (
@@ -326,6 +485,11 @@ export default function TaskEditModal({
             {editError}
           </div>
         )}
+        {conflictNotice && (
+          <div className="mb-3 bg-blue-50 border border-blue-200 text-blue-700 px-3 py-2 rounded text-sm">
+            {conflictNotice}
+          </div>
+        )}
 
         {/* Show validation errors summary */}
         {Object.keys(validationErrors).length > 0 && (
@@ -471,10 +635,11 @@ export default function TaskEditModal({
                 }`}
               >
                 <option value="">Select status...</option>
-                {canAssignTasks && <option value="unassigned">Unassigned</option>}
-                <option value="ongoing">Ongoing</option>
-                <option value="under review">Under Review</option>
-                <option value="completed">Completed</option>
+                {getStatusOptions(task).map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
               </select>
               {validationErrors.status && (
                 <p className="mt-1 text-xs text-red-600">{validationErrors.status}</p>
@@ -497,78 +662,58 @@ export default function TaskEditModal({
             </div>
           </div>
 
-          {/* File Upload Section - Only editable for owners */}
-          {!(isCollaborator && !isOwner) && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Estimated Hours
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="1000"
+              step="0.25"
+              value={form.estimated_hours}
+              onChange={(e) => setForm({ ...form, estimated_hours: e.target.value })}
+              disabled={isCollaborator && !isOwner}
+              placeholder="e.g. 4"
+              className={`w-full md:w-1/3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                isCollaborator && !isOwner ? 'bg-gray-100 cursor-not-allowed text-gray-600' : ''
+              }`}
+            />
+            <p className="mt-1 text-xs text-gray-500">Leave empty to use the sum of subtask estimates</p>
+          </div>
+
+          {/* Project custom fields */}
+          {customFields.length > 0 && (
+            <CustomFieldInputs
+              fields={customFields}
+              members={customFieldMembers}
+              values={customFieldValues}
+              onChange={setCustomFieldValues}
+              disabled={isCollaborator && !isOwner}
+            />
+          )}
+
+          {/* Tags - changes apply immediately */}
+          {task?.id && (
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Attachment (PDF)
+                Tags
               </label>
-              
-              {/* Show existing file if present */}
-              {task?.file && !removeExistingFile && (
-                <div className="mb-2 p-2 bg-gray-50 rounded border">
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center">
-                      <svg className="w-4 h-4 text-gray-500 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                      </svg>
-                      <span className="text-sm text-gray-700">Current file attached</span>
-                    </div>
-                    <button
-                      type="button"
-                      onClick={() => setRemoveExistingFile(true)}
-                      className="text-xs text-red-600 hover:text-red-800"
-                    >
-                      Remove
-                    </button>
-                  </div>
-                </div>
-              )}
-              
-              {/* File input */}
-              <input
-                type="file"
-                accept=".pdf,application/pdf"
-                onChange={(e) => {
-                  setFile(e.target.files[0] || null);
-                  setRemoveExistingFile(false); // Reset remove flag when new file is selected
-                }}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 file:mr-4 file:py-1 file:px-2 file:rounded file:border-0 file:text-sm file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+              <TagPicker
+                taskId={task.id}
+                projectId={task.project_id || null}
+                initialTags={task.tags}
               />
-              <p className="mt-1 text-xs text-gray-500">
-                PDF files only, max 10MB
-              </p>
-              
-              {/* Show selected file name */}
-              {file && (
-                <div className="mt-2 text-sm text-green-600">
-                  New file selected: {file.name}
-                </div>
-              )}
-              
-              {removeExistingFile && (
-                <div className="mt-2 text-sm text-red-600">
-                  Current file will be removed
-                </div>
-              )}
             </div>
           )}
 
-          {/* Show file info for collaborators (read-only) */}
-          {(isCollaborator && !isOwner) && task?.file && (
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Attachment
-              </label>
-              <div className="mb-2 p-2 bg-gray-50 rounded border">
-                <div className="flex items-center">
-                  <svg className="w-4 h-4 text-gray-500 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                  </svg>
-                  <span className="text-sm text-gray-700">File attached (view only)</span>
-                </div>
-              </div>
-            </div>
+          {/* Attachments - uploads, replacements and deletes apply immediately */}
+          {task?.id && (
+            <TaskAttachments
+              taskId={task.id}
+              ownerId={task.owner_id}
+              subtasks={subtasks}
+            />
           )}
         </div>
 
@@ -591,9 +736,11 @@ export default function TaskEditModal({
               ) : subtasks.length === 0 ? (
                 <p className="text-sm text-gray-500">No subtasks yet</p>
               ) : (
-                <ul className="divide-y divide-gray-200">
-                  {subtasks.map((st) => (
-                    <li key={st.id} className="py-2 flex items-start justify-between">
+                <SubtaskTree
+                  subtasks={subtasks}
+                  onReorder={isOwner ? handleReorderSubtasks : undefined}
+                  renderItem={(st) => (
+                    <div className="py-1 flex items-start justify-between">
                       <div className="min-w-0 pr-3 w-full">
                         {editingSubtaskId === st.id ? (
                           <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
@@ -653,9 +800,11 @@ export default function TaskEditModal({
                                 onChange={(e) => handleEditFieldChange("status", e.target.value)}
                                 className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
                               >
-                                <option value="ongoing">Ongoing</option>
-                                <option value="under review">Under Review</option>
-                                <option value="completed">Completed</option>
+                                {getStatusOptions(st, task).map((option) => (
+                                  <option key={option.value} value={option.value}>
+                                    {option.label}
+                                  </option>
+                                ))}
                               </select>
                             </div>
                             {/* Subtask Due Date - disabled for collaborators */}
@@ -673,6 +822,36 @@ export default function TaskEditModal({
                                 }`}
                               />
                             </div>
+                            {/* Subtask Estimate - disabled for collaborators */}
+                            <div>
+                              <label className="block text-[11px] font-medium text-gray-700 mb-0.5">Est. Hours</label>
+                              <input
+                                type="number"
+                                min="0"
+                                max="1000"
+                                step="0.25"
+                                value={editingValues.estimated_hours}
+                                onChange={(e) => handleEditFieldChange("estimated_hours", e.target.value)}
+                                disabled={isCollaborator && !isOwner}
+                                className={`w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm ${
+                                  isCollaborator && !isOwner 
+                                    ? 'bg-gray-100 cursor-not-allowed text-gray-600' 
+                                    : ''
+                                }`}
+                              />
+                            </div>
+                            {/* Subtask Tags - applied immediately */}
+                            <div className="md:col-span-2">
+                              <label className="block text-[11px] font-medium text-gray-700 mb-0.5">Tags</label>
+                              <TagPicker
+                                taskId={task.id}
+                                projectId={task.project_id || null}
+                                subtaskId={st.id}
+                                initialTags={st.tags}
+                                onChange={() => fetchSubtasks(task.id)}
+                                compact
+                              />
+                            </div>
                             <div className="md:col-span-2 flex gap-2 mt-1">
                               <button
                                 type="button"
@@ -702,12 +881,17 @@ export default function TaskEditModal({
                                 <span>Priority: {st.priority}</span>
                               )}
                               {st.status && (
-                                <span>Status: {st.status}</span>
+                                <span>Status: {getStatusLabel(st.status)}</span>
                               )}
                               {st.due_date && (
                                 <span>Due: {st.due_date?.slice(0,10)}</span>
                               )}
                             </div>
+                            {st.tags?.length > 0 && (
+                              <div className="mt-1">
+                                <TagChips tags={st.tags} size="xs" />
+                              </div>
+                            )}
                           </>
                         )}
                       </div>
@@ -722,6 +906,26 @@ export default function TaskEditModal({
                             Edit
                           </button>
                         )}
+                        {isOwner && editingSubtaskId !== st.id && subtaskDepth(st) < maxDepth && (
+                          <button
+                            type="button"
+                            onClick={() => setNewSubtask((prev) => ({ ...prev, parent_subtask_id: st.id }))}
+                            className="text-xs text-blue-600 hover:text-blue-800"
+                            title="Add a subtask under this one"
+                          >
+                            + Nested
+                          </button>
+                        )}
+                        {isOwner && editingSubtaskId !== st.id && (
+                          <button
+                            type="button"
+                            onClick={() => handlePromoteSubtask(st)}
+                            className="text-xs text-gray-600 hover:text-gray-800"
+                            title="Turn into a task of its own"
+                          >
+                            Promote
+                          </button>
+                        )}
                         {isOwner && (
                           <button
                             type="button"
@@ -733,15 +937,27 @@ export default function TaskEditModal({
                           </button>
                         )}
                       </div>
-                    </li>
-                  ))}
-                </ul>
+                    </div>
+                  )}
+                />
               )}
             </div>
 
             {/* Add new subtask - owners only */}
             {isOwner && (
               <div className="bg-white border border-gray-200 rounded-md p-3">
+              {newSubtask.parent_subtask_id && (
+                <p className="mb-2 text-xs text-gray-600">
+                  Adding under &quot;{subtasks.find((st) => st.id === newSubtask.parent_subtask_id)?.title}&quot;
+                  <button
+                    type="button"
+                    onClick={() => handleNewSubtaskChange("parent_subtask_id", null)}
+                    className="ml-2 text-blue-600 hover:text-blue-800"
+                  >
+                    Add at top level instead
+                  </button>
+                </p>
+              )}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                 <div>
                   <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
@@ -785,6 +1001,18 @@ export default function TaskEditModal({
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
                 </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Est. Hours</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1000"
+                    step="0.25"
+                    value={newSubtask.estimated_hours}
+                    onChange={(e) => handleNewSubtaskChange("estimated_hours", e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
                 <div className="flex items-end">
                   <button
                     type="button"
@@ -801,6 +1029,39 @@ export default function TaskEditModal({
           </div>
         </div>
 
+        {isSeriesTask && (
+          <div className="mt-4 rounded-md border border-purple-200 bg-purple-50 p-3">
+            <label htmlFor="series-scope" className="block text-sm font-medium text-purple-900 mb-1">
+              This task repeats. Apply title, description and priority changes to
+            </label>
+            <select
+              id="series-scope"
+              value={seriesScope}
+              onChange={(e) => setSeriesScope(e.target.value)}
+              className="w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            >
+              {SERIES_SCOPES.map((scope) => (
+                <option key={scope.value} value={scope.value}>{scope.label}</option>
+              ))}
+            </select>
+            {seriesScope === "this" ? (
+              <p className="mt-1 text-xs text-purple-800">The next task in the series keeps the current values.</p>
+            ) : (
+              <label className="mt-2 flex items-center gap-2 text-xs text-purple-900">
+                <input
+                  type="checkbox"
+                  checked={applySubtasksToSeries}
+                  onChange={(e) => setApplySubtasksToSeries(e.target.checked)}
+                />
+                Also give those tasks this task&apos;s subtasks (completed subtasks are kept)
+              </label>
+            )}
+            {seriesScope === "following" && (
+              <p className="mt-1 text-xs text-purple-800">Earlier tasks stay in the old series, which ends before this one.</p>
+            )}
+          </div>
+        )}
+
         <div className="mt-6 flex justify-end gap-2">
           <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 text-sm">
             Cancel
@@ -814,6 +1075,12 @@ export default function TaskEditModal({
           </button>
         </div>
       </div>
+      <VersionConflictDialog
+        conflict={conflict}
+        labels={CONFLICT_LABELS}
+        onResolve={handleResolveConflict}
+        onCancel={() => setConflict(null)}
+      />
     </div>
   );
 }
\ No newline at end of file
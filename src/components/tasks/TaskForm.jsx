@@ -2,7 +2,15 @@
 
 import { useState } from "react";
 import SubtaskManager from "./SubtaskManager";
+import TaskTemplatePicker from "./TaskTemplatePicker";
+import CustomFieldInputs, { cleanCustomFieldValues } from "./CustomFieldInputs";
+import RecurrenceRuleBuilder from "./RecurrenceRuleBuilder";
+import RecurrencePreview from "./RecurrencePreview";
 import { useRouter } from "next/navigation";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { useProjectCustomFields } from "@/utils/hooks/useProjectCustomFields";
+import { TASK_STATUSES } from "@/constants/taskConstants";
+import { buildRRule, defaultRuleBuilder, describeRRule } from "@/utils/recurrenceUtils";
 
 export default function TaskForm({ 
   initialData = {}, 
@@ -20,20 +28,27 @@ export default function TaskForm({
   loadingMembers = false,
   onProjectChange = () => {},
   file = null,
-  onFileChange = () => {}
+  onFileChange = () => {},
+  onTemplateCreated = null
 }) {
+  const { editableStatusOptions } = useTaskWorkflow();
   const [formData, setFormData] = useState({
     title: "",
     description: "",
     priority: 5,
-    status: "ongoing",
+    status: TASK_STATUSES.ONGOING,
     collaborators: [],
     assignTo: "",
     dueDate: "",
+    estimated_hours: "",
     ...initialData
   });
 
   const router = useRouter();
+
+  // Custom fields of the selected project (main tasks only)
+  const { fields: customFields, members: customFieldMembers } = useProjectCustomFields(isSubtask ? null : selectedProject);
+  const [customFieldValues, setCustomFieldValues] = useState({});
   
   // Subtasks state - only for main tasks
   const [subtasks, setSubtasks] = useState([]);
@@ -46,8 +61,35 @@ export default function TaskForm({
     endType: "date", // "date" or "count"
     endDate: "",
     count: "",
-    weekday: new Date().getDay() // 0 = Sunday, 1 = Monday, etc.
+    weekday: new Date().getDay(), // 0 = Sunday, 1 = Monday, etc.
+    generation: "on_completion", // or "on_schedule": created on their dates by the server
+    lookaheadDays: ""
   });
+  // Builder state for the "custom" pattern, sent as an RRULE
+  const [ruleBuilder, setRuleBuilder] = useState(() => defaultRuleBuilder(initialData.dueDate));
+  const isCustomRule = recurrenceData.pattern === "custom";
+  const recurrenceRule = isCustomRule ? buildRRule(ruleBuilder, recurrenceData) : null;
+
+  // The recurrence fields sent with the task, also used for the preview of its dates
+  const recurrenceFields = (() => {
+    // The rule carries the interval and end condition
+    if (isCustomRule) return { recurrence_rule: recurrenceRule };
+
+    const fields = {
+      recurrence_pattern: recurrenceData.pattern,
+      recurrence_interval: parseInt(recurrenceData.interval),
+    };
+    // Add weekday for weekly tasks
+    if (recurrenceData.pattern === "weekly" || recurrenceData.pattern === "biweekly") {
+      fields.recurrence_weekday = parseInt(recurrenceData.weekday);
+    }
+    if (recurrenceData.endType === "date" && recurrenceData.endDate) {
+      fields.recurrence_end_date = recurrenceData.endDate;
+    } else if (recurrenceData.endType === "count" && recurrenceData.count) {
+      fields.recurrence_count = parseInt(recurrenceData.count);
+    }
+    return fields;
+  })();
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -57,22 +99,17 @@ export default function TaskForm({
       ...formData,
       ...(isSubtask ? {} : { subtasks })
     };
+    if (!isSubtask && customFields.length > 0) {
+      submissionData.custom_fields = cleanCustomFieldValues(customFields, customFieldValues);
+    }
 
     // Add recurrence data if recurring is enabled (only for main tasks)
     if (!isSubtask && isRecurring) {
       submissionData.is_recurring = true;
-      submissionData.recurrence_pattern = recurrenceData.pattern;
-      submissionData.recurrence_interval = parseInt(recurrenceData.interval);
-      
-      // Add weekday for weekly tasks
-      if (recurrenceData.pattern === "weekly" || recurrenceData.pattern === "biweekly") {
-        submissionData.recurrence_weekday = parseInt(recurrenceData.weekday);
-      }
-      
-      if (recurrenceData.endType === "date" && recurrenceData.endDate) {
-        submissionData.recurrence_end_date = recurrenceData.endDate;
-      } else if (recurrenceData.endType === "count" && recurrenceData.count) {
-        submissionData.recurrence_count = parseInt(recurrenceData.count);
+      Object.assign(submissionData, recurrenceFields);
+      submissionData.recurrence_generation = recurrenceData.generation;
+      if (recurrenceData.generation === "on_schedule" && recurrenceData.lookaheadDays !== "") {
+        submissionData.recurrence_lookahead_days = parseInt(recurrenceData.lookaheadDays);
       }
     }
 
@@ -96,6 +133,16 @@ export default function TaskForm({
         </div>
       )}
 
+      {/* Templates (only for main tasks) */}
+      {!isSubtask && onTemplateCreated && (
+        <TaskTemplatePicker
+          draft={{ ...formData, subtasks }}
+          projectId={selectedProject}
+          assignTo={formData.assignTo}
+          onCreated={onTemplateCreated}
+        />
+      )}
+
       {/* Title */}
       <div>
         <label className="block text-sm font-medium text-gray-700">
@@ -179,14 +226,39 @@ export default function TaskForm({
             onChange={(e) => setFormData(prev => ({ ...prev, status: e.target.value }))}
             className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2"
           >
-            {canAssignTasks && <option value="unassigned">Unassigned</option>}
-            <option value="ongoing">Ongoing</option>
-            <option value="under review">Under Review</option>
-            <option value="completed">Completed</option>
+            {editableStatusOptions
+              .filter((option) => canAssignTasks || option.value !== TASK_STATUSES.UNASSIGNED)
+              .map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
           </select>
         </div>
       </div>
 
+      {/* Estimated effort */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700">
+          Estimated hours
+        </label>
+        <input
+          type="number"
+          min="0"
+          max="1000"
+          step="0.25"
+          value={formData.estimated_hours}
+          onChange={(e) => setFormData(prev => ({ ...prev, estimated_hours: e.target.value }))}
+          placeholder="e.g. 4"
+          className="mt-1 block w-full sm:w-1/2 rounded-md border border-gray-300 px-3 py-2"
+        />
+        {!isSubtask && (
+          <p className="mt-1 text-xs text-gray-500">
+            Optional. Leave empty to use the sum of subtask estimates
+          </p>
+        )}
+      </div>
+
       {/* Due Date and File Upload (only for main tasks) */}
       {!isSubtask && (
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
@@ -205,16 +277,15 @@ export default function TaskForm({
 
           <div>
             <label className="block text-sm font-medium text-gray-700">
-              Attachment (PDF)
+              Attachment
             </label>
             <input
               type="file"
-              accept=".pdf,application/pdf"
               onChange={(e) => onFileChange(e.target.files[0] || null)}
               className="mt-1 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm file:mr-4 file:py-1 file:px-2 file:rounded file:border-0 file:text-sm file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
             />
             <p className="mt-1 text-xs text-gray-500">
-              PDF files only, max 10MB
+              Documents, spreadsheets and images, max 10MB. More files can be attached after the task is created.
             </p>
           </div>
         </div>
@@ -258,9 +329,11 @@ export default function TaskForm({
                     <option value="monthly">Monthly</option>
                     <option value="quarterly">Quarterly</option>
                     <option value="yearly">Yearly</option>
+                    <option value="custom">Custom rule…</option>
                   </select>
                 </div>
 
+                {!isCustomRule && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Interval
@@ -284,8 +357,12 @@ export default function TaskForm({
                     </span>
                   </div>
                 </div>
+                )}
               </div>
 
+              {/* Rule builder (custom pattern) */}
+              {isCustomRule && <RecurrenceRuleBuilder value={ruleBuilder} onChange={setRuleBuilder} />}
+
               {/* Weekday Selector (only for weekly/biweekly) */}
               {(recurrenceData.pattern === "weekly" || recurrenceData.pattern === "biweekly") && (
                 <div>
@@ -401,9 +478,62 @@ export default function TaskForm({
                 </div>
               </div>
 
+              {/* When the next task is created */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Create the next task
+                </label>
+                <div className="space-y-2">
+                  <label className="flex items-start space-x-3">
+                    <input
+                      type="radio"
+                      name="generation"
+                      value="on_completion"
+                      checked={recurrenceData.generation === "on_completion"}
+                      onChange={(e) => setRecurrenceData(prev => ({ ...prev, generation: e.target.value }))}
+                      className="mt-1 w-4 h-4 text-blue-600 focus:ring-blue-500"
+                    />
+                    <div className="text-sm text-gray-700">When this one is completed</div>
+                  </label>
+                  <label className="flex items-start space-x-3">
+                    <input
+                      type="radio"
+                      name="generation"
+                      value="on_schedule"
+                      checked={recurrenceData.generation === "on_schedule"}
+                      onChange={(e) => setRecurrenceData(prev => ({ ...prev, generation: e.target.value }))}
+                      className="mt-1 w-4 h-4 text-blue-600 focus:ring-blue-500"
+                    />
+                    <div className="flex-1">
+                      <div className="text-sm text-gray-700">On schedule, even if earlier ones are still open</div>
+                      {recurrenceData.generation === "on_schedule" && (
+                        <div className="flex items-center space-x-2 mt-1">
+                          <input
+                            type="number"
+                            min="0"
+                            max="90"
+                            value={recurrenceData.lookaheadDays}
+                            onChange={(e) => setRecurrenceData(prev => ({ ...prev, lookaheadDays: e.target.value }))}
+                            placeholder="0"
+                            className="w-20 rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-blue-500 focus:ring-blue-500"
+                          />
+                          <span className="text-sm text-gray-600">days before each date</span>
+                        </div>
+                      )}
+                    </div>
+                  </label>
+                </div>
+              </div>
+
               {/* Recurrence Summary */}
               <div className="bg-blue-50 border border-blue-200 rounded-md p-3 mt-4">
                 <div className="text-xs font-medium text-blue-800 mb-1">📅 Recurrence Summary</div>
+                {isCustomRule ? (
+                <div className="text-sm text-blue-700">
+                  <strong>{describeRRule(recurrenceRule)}</strong>.
+                  <div className="text-xs text-blue-600 mt-1 font-mono break-all">RRULE:{recurrenceRule}</div>
+                </div>
+                ) : (
                 <div className="text-sm text-blue-700">
                   This task will repeat <strong>every {recurrenceData.interval} {
                     recurrenceData.pattern === "daily" ? `day${recurrenceData.interval > 1 ? 's' : ''}` :
@@ -427,11 +557,13 @@ export default function TaskForm({
                   )}
                   .
                 </div>
+                )}
                 {formData.dueDate && (
                   <div className="text-xs text-blue-600 mt-2">
                     First occurrence: <strong>{new Date(formData.dueDate).toLocaleDateString()}</strong>
                   </div>
                 )}
+                <RecurrencePreview settings={{ ...recurrenceFields, due_date: formData.dueDate || undefined }} />
               </div>
             </div>
           )}
@@ -523,6 +655,17 @@ export default function TaskForm({
         </div>
       )}
 
+      {/* Project custom fields (only for main tasks) */}
+      {!isSubtask && customFields.length > 0 && (
+        <CustomFieldInputs
+          fields={customFields}
+          members={customFieldMembers}
+          values={customFieldValues}
+          onChange={setCustomFieldValues}
+          disabled={loading}
+        />
+      )}
+
       {/* Collaborators only (for subtasks) */}
       {isSubtask && (
         <div>
@@ -0,0 +1,73 @@
+"use client";
+
+import { useState } from "react";
+import { useTaskTrash } from "@/utils/hooks/useTaskTrash";
+
+/**
+ * Archive / unarchive and move-to-trash buttons for a task.
+ * `onChange(action, result)` runs after an action succeeded, with action one of
+ * "archive", "unarchive" or "delete".
+ */
+export default function TaskLifecycleActions({ task, onChange }) {
+  const { archiveTask, unarchiveTask, deleteTask } = useTaskTrash();
+  const [series, setSeries] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  if (!task?.id) return null;
+  const isArchived = Boolean(task.archived_at);
+
+  const run = async (action, fn) => {
+    setBusy(true);
+    setError("");
+    const result = await fn(task.id, { series });
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    if (typeof onChange === "function") onChange(action, result);
+  };
+
+  const handleDelete = () => {
+    const what = series ? "this task and the rest of its recurring series" : "this task";
+    if (!confirm(`Move ${what} to the trash? It can be restored from the trash for a limited time.`)) return;
+    run("delete", deleteTask);
+  };
+
+  return (
+    <div className="mr-auto flex flex-wrap items-center gap-2">
+      {isArchived ? (
+        <button
+          onClick={() => run("unarchive", unarchiveTask)}
+          disabled={busy}
+          className="px-3 py-2 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Unarchive
+        </button>
+      ) : (
+        <button
+          onClick={() => run("archive", archiveTask)}
+          disabled={busy}
+          className="px-3 py-2 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Archive
+        </button>
+      )}
+      <button
+        onClick={handleDelete}
+        disabled={busy}
+        className="px-3 py-2 text-sm rounded border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-50"
+      >
+        Move to trash
+      </button>
+      {task.is_recurring && task.recurrence_series_id && (
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          <input type="checkbox" checked={series} onChange={(e) => setSeries(e.target.checked)} />
+          Whole series
+        </label>
+      )}
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+}
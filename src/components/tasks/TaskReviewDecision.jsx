@@ -0,0 +1,61 @@
+"use client";
+
+import { useState } from "react";
+
+/**
+ * Approve / request-changes controls for a task under review.
+ * `onApprove(comment)` and `onRequestChanges(comment)` return { success, error }.
+ */
+export default function TaskReviewDecision({ onApprove, onRequestChanges, compact = false }) {
+  const [comment, setComment] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const decide = async (handler, requireComment) => {
+    if (requireComment && !comment.trim()) {
+      setError("Add a comment describing the changes needed");
+      return;
+    }
+    setBusy(true);
+    setError("");
+    const result = await handler(comment.trim());
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setComment("");
+  };
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={compact ? 2 : 3}
+        maxLength={2000}
+        placeholder="Comment (required when requesting changes)"
+        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+      />
+      <div className="flex gap-2">
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => decide(onApprove, false)}
+          className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+        >
+          Approve
+        </button>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => decide(onRequestChanges, true)}
+          className="px-3 py-1 text-sm bg-white text-orange-700 border border-orange-300 rounded hover:bg-orange-50 disabled:opacity-50"
+        >
+          Request changes
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useTaskReview } from "@/utils/hooks/useTaskReview";
+import { useUsers } from "@/utils/hooks/useUsers";
+import TaskReviewDecision from "./TaskReviewDecision";
+
+const DECISION_LABELS = {
+  approved: { label: "Approved", className: "text-green-700" },
+  changes_requested: { label: "Changes requested", className: "text-orange-700" },
+};
+
+/**
+ * Review state of a task: submit it for review (owner / collaborators), decide on it
+ * (the reviewer), and the outcome of earlier review rounds.
+ * `onStatusChange(task)` receives the updated task after any review action.
+ */
+export default function TaskReviewPanel({ taskId, memberNames = {}, onStatusChange }) {
+  const { review, loading, error, fetchReview, submitForReview, approveReview, requestChanges } = useTaskReview();
+  const { users: reviewers, fetchUsers } = useUsers();
+  const [showSubmit, setShowSubmit] = useState(false);
+  const [reviewerEmpId, setReviewerEmpId] = useState("");
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    if (taskId) {
+      fetchReview(taskId);
+    }
+  }, [taskId, fetchReview]);
+
+  useEffect(() => {
+    if (showSubmit) {
+      fetchUsers({ roles: ["manager", "director"], excludeSelf: true });
+    }
+  }, [showSubmit, fetchUsers]);
+
+  const nameOf = (empId) => memberNames?.[empId] || reviewers.find((u) => u.emp_id === empId)?.name || empId;
+
+  const afterAction = async (result) => {
+    if (result.success) {
+      await fetchReview(taskId);
+      if (typeof onStatusChange === "function") onStatusChange(result.task);
+    }
+    return result;
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setActionError("");
+    const result = await submitForReview(taskId, { reviewerEmpId, note });
+    setSaving(false);
+    if (!result.success) {
+      setActionError(result.error);
+      return;
+    }
+    setShowSubmit(false);
+    setNote("");
+    setReviewerEmpId("");
+    await afterAction(result);
+  };
+
+  if (!review) {
+    if (loading) return <p className="text-sm text-gray-500">Loading review...</p>;
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  const rounds = review.rounds || [];
+  const pending = rounds[0] && !rounds[0].decision ? rounds[0] : null;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Review</label>
+      <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-md space-y-3 text-sm">
+        {pending ? (
+          <p className="text-gray-700">
+            Waiting for review by <span className="font-medium">{review.reviewer_name || nameOf(review.reviewer_id)}</span>
+            {pending.note && <span className="block text-gray-500 mt-1">Note: {pending.note}</span>}
+          </p>
+        ) : rounds.length === 0 ? (
+          <p className="text-gray-500">Not submitted for review yet</p>
+        ) : null}
+
+        {review.can_decide && (
+          <TaskReviewDecision
+            onApprove={async (comment) => afterAction(await approveReview(taskId, comment))}
+            onRequestChanges={async (comment) => afterAction(await requestChanges(taskId, comment))}
+          />
+        )}
+
+        {review.can_submit && !showSubmit && (
+          <button
+            type="button"
+            onClick={() => setShowSubmit(true)}
+            className="px-3 py-1 text-sm bg-purple-600 text-white rounded hover:bg-purple-700"
+          >
+            Submit for review
+          </button>
+        )}
+
+        {showSubmit && (
+          <div className="space-y-2">
+            <select
+              value={reviewerEmpId}
+              onChange={(e) => setReviewerEmpId(e.target.value)}
+              className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              <option value="">
+                {review.default_reviewer_id
+                  ? `Team manager (${nameOf(review.default_reviewer_id)})`
+                  : "Team manager"}
+              </option>
+              {reviewers.map((u) => (
+                <option key={u.emp_id} value={u.emp_id}>
+                  {u.name} ({u.role})
+                </option>
+              ))}
+            </select>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={2}
+              maxLength={2000}
+              placeholder="Note for the reviewer (optional)"
+              className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <div className="flex gap-2">
+              <button
+                type="button"
+                disabled={saving}
+                onClick={handleSubmit}
+                className="px-3 py-1 text-sm bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50"
+              >
+                {saving ? "Submitting..." : "Submit"}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowSubmit(false)}
+                className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {actionError && <p className="text-xs text-red-600">{actionError}</p>}
+
+        {rounds.some((r) => r.decision) && (
+          <ul className="space-y-1 border-t border-gray-200 pt-2">
+            {rounds.filter((r) => r.decision).map((r) => (
+              <li key={r.round} className="text-xs text-gray-600">
+                <span className={`font-medium ${DECISION_LABELS[r.decision].className}`}>
+                  Round {r.round}: {DECISION_LABELS[r.decision].label}
+                </span>{" "}
+                by {nameOf(r.decided_by)} on {new Date(r.decided_at).toLocaleDateString()}
+                {r.comment && <span className="block text-gray-500">&ldquo;{r.comment}&rdquo;</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
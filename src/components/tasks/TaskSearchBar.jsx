@@ -0,0 +1,426 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useTaskSearch } from "@/utils/hooks/useTaskSearch";
+import { useTags } from "@/utils/hooks/useTags";
+import { useTaskWorkflow } from "@/utils/hooks/useTaskWorkflow";
+import { useAuth } from "@/utils/hooks/useAuth";
+import { useProjects } from "@/utils/hooks/useProjects";
+import { useProjectCustomFields } from "@/utils/hooks/useProjectCustomFields";
+import ExportButtons from "@/components/report/ExportButtons";
+
+const SORT_OPTIONS = [
+  { value: "due_date", label: "Due date" },
+  { value: "priority", label: "Priority" },
+  { value: "created_at", label: "Created" },
+  { value: "title", label: "Title" },
+];
+
+const EMPTY_FILTERS = {
+  q: "",
+  status: [],
+  priority_min: "",
+  priority_max: "",
+  project_id: "",
+  tag: "",
+  due_from: "",
+  due_to: "",
+  recurring: "",
+  sort: "due_date",
+  direction: "asc",
+};
+
+// Saved filters store status as a comma separated string
+const fromSaved = (saved = {}) => ({
+  ...EMPTY_FILTERS,
+  ...saved,
+  status: saved.status ? String(saved.status).split(",") : [],
+});
+
+// Custom field filters are sent as cf_<fieldId>
+const isCustomFieldKey = (key) => /^cf_\d+$/.test(key);
+
+// Only these fields make a search "active"; sort order alone does not
+const hasCriteria = (filters) =>
+  Boolean(
+    filters.q.trim() ||
+      filters.status.length ||
+      filters.priority_min ||
+      filters.priority_max ||
+      filters.project_id ||
+      filters.tag ||
+      filters.due_from ||
+      filters.due_to ||
+      filters.recurring ||
+      Object.keys(filters).some((key) => isCustomFieldKey(key) && filters[key])
+  );
+
+/**
+ * Server-side task search with saved filters.
+ * Calls onResultsChange(tasks) while a search is active and onResultsChange(null)
+ * once it is cleared, so the parent view can fall back to its own task list.
+ */
+export default function TaskSearchBar({ onResultsChange }) {
+  const {
+    results,
+    nextCursor,
+    isSearching,
+    savedFilters,
+    loading,
+    error,
+    search,
+    loadMore,
+    clearSearch,
+    fetchSavedFilters,
+    saveFilter,
+    deleteFilter,
+  } = useTaskSearch();
+  const { tags, fetchTags } = useTags();
+  const { statusOptions } = useTaskWorkflow();
+  const { user } = useAuth();
+  const { projects } = useProjects(user);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const { fields: customFields, members: customFieldMembers } = useProjectCustomFields(filters.project_id || null);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [selectedFilterId, setSelectedFilterId] = useState("");
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    fetchSavedFilters();
+    fetchTags();
+  }, [fetchSavedFilters, fetchTags]);
+
+  useEffect(() => {
+    if (typeof onResultsChange === "function") {
+      onResultsChange(isSearching ? results : null);
+    }
+  }, [isSearching, results, onResultsChange]);
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  // Custom field filters belong to one project; switching projects drops them
+  const changeProject = (projectId) =>
+    setFilters((prev) => {
+      const next = { ...prev, project_id: projectId };
+      Object.keys(next).filter(isCustomFieldKey).forEach((key) => delete next[key]);
+      return next;
+    });
+
+  const renderCustomFieldFilter = (field) => {
+    const key = `cf_${field.id}`;
+    const value = filters[key] || "";
+    if (field.type === "select" || field.type === "multi_select" || field.type === "user") {
+      const choices = field.type === "user"
+        ? customFieldMembers.map((member) => ({ value: member.emp_id, label: member.name }))
+        : (field.options || []).map((option) => ({ value: option, label: option }));
+      return (
+        <select
+          value={value}
+          onChange={(e) => updateFilter(key, e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value="">Any</option>
+          {choices.map((choice) => (
+            <option key={choice.value} value={choice.value}>{choice.label}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={field.type === "number" ? "number" : field.type === "date" ? "date" : "text"}
+        value={value}
+        onChange={(e) => updateFilter(key, e.target.value)}
+        placeholder={field.type === "text" ? "Contains..." : ""}
+        className="border border-gray-300 rounded px-2 py-1"
+      />
+    );
+  };
+
+  const toggleStatus = (status) =>
+    setFilters((prev) => ({
+      ...prev,
+      status: prev.status.includes(status)
+        ? prev.status.filter((s) => s !== status)
+        : [...prev.status, status],
+    }));
+
+  const runSearch = async (nextFilters = filters) => {
+    setActionError("");
+    if (!hasCriteria(nextFilters)) {
+      clearSearch();
+      return;
+    }
+    await search({ ...nextFilters, q: nextFilters.q.trim() });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch();
+  };
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    setSelectedFilterId("");
+    setActionError("");
+    clearSearch();
+  };
+
+  const handleApplySaved = (filterId) => {
+    setSelectedFilterId(filterId);
+    const saved = savedFilters.find((f) => String(f.id) === String(filterId));
+    if (!saved) return;
+    const next = fromSaved(saved.filters);
+    setFilters(next);
+    runSearch(next);
+  };
+
+  const handleSave = async () => {
+    const name = prompt("Name this filter");
+    if (!name || !name.trim()) return;
+    const result = await saveFilter(name.trim(), filters);
+    if (!result.success) {
+      setActionError(result.error);
+      return;
+    }
+    setSelectedFilterId(String(result.filter.id));
+  };
+
+  const handleDeleteSaved = async () => {
+    const saved = savedFilters.find((f) => String(f.id) === String(selectedFilterId));
+    if (!saved || !confirm(`Delete saved filter "${saved.name}"?`)) return;
+    const result = await deleteFilter(saved.id);
+    if (!result.success) {
+      setActionError(result.error);
+      return;
+    }
+    setSelectedFilterId("");
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mb-6 space-y-3">
+      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={filters.q}
+          onChange={(e) => updateFilter("q", e.target.value)}
+          placeholder="Search titles, descriptions and comments..."
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={loading}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {loading ? "Searching..." : "Search"}
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowAdvanced(!showAdvanced)}
+            className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {showAdvanced ? "Hide filters" : "Filters"}
+          </button>
+          {isSearching && (
+            <button
+              type="button"
+              onClick={handleClear}
+              className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className="flex justify-end">
+        <ExportButtons kind="tasks" filters={{ ...filters, q: filters.q.trim() }} label="Export" />
+      </div>
+
+      {showAdvanced && (
+        <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4 text-sm">
+          <div>
+            <span className="block text-xs font-medium text-gray-600 mb-1">Status</span>
+            <div className="flex flex-wrap gap-2">
+              {statusOptions.map((option) => (
+                <label key={option.value} className="inline-flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={filters.status.includes(option.value)}
+                    onChange={() => toggleStatus(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <span className="block text-xs font-medium text-gray-600 mb-1">Priority (1-10)</span>
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={filters.priority_min}
+                onChange={(e) => updateFilter("priority_min", e.target.value)}
+                placeholder="Min"
+                className="w-20 border border-gray-300 rounded px-2 py-1"
+              />
+              <span className="text-gray-400">-</span>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={filters.priority_max}
+                onChange={(e) => updateFilter("priority_max", e.target.value)}
+                placeholder="Max"
+                className="w-20 border border-gray-300 rounded px-2 py-1"
+              />
+            </div>
+          </div>
+          <div>
+            <span className="block text-xs font-medium text-gray-600 mb-1">Project</span>
+            <select
+              value={filters.project_id}
+              onChange={(e) => changeProject(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1"
+            >
+              <option value="">Any project</option>
+              {projects.map((project) => (
+                <option key={project.id} value={project.id}>
+                  {project.title}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <span className="block text-xs font-medium text-gray-600 mb-1">Tag</span>
+            <select
+              value={filters.tag}
+              onChange={(e) => updateFilter("tag", e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1"
+            >
+              <option value="">Any tag</option>
+              {tags.map((tag) => (
+                <option key={tag.id} value={tag.id}>
+                  {tag.name}{tag.project_id ? " (project)" : ""}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <span className="block text-xs font-medium text-gray-600 mb-1">Due between</span>
+            <div className="flex items-center gap-1">
+              <input
+                type="date"
+                value={filters.due_from}
+                onChange={(e) => updateFilter("due_from", e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+              <input
+                type="date"
+                value={filters.due_to}
+                onChange={(e) => updateFilter("due_to", e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+            </div>
+          </div>
+          {customFields.map((field) => (
+            <div key={field.id}>
+              <span className="block text-xs font-medium text-gray-600 mb-1">{field.label}</span>
+              {renderCustomFieldFilter(field)}
+            </div>
+          ))}
+          <div className="flex gap-2">
+            <div>
+              <span className="block text-xs font-medium text-gray-600 mb-1">Recurring</span>
+              <select
+                value={filters.recurring}
+                onChange={(e) => updateFilter("recurring", e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="">Any</option>
+                <option value="true">Recurring</option>
+                <option value="false">One-off</option>
+              </select>
+            </div>
+            <div>
+              <span className="block text-xs font-medium text-gray-600 mb-1">Sort by</span>
+              <div className="flex gap-1">
+                <select
+                  value={filters.sort}
+                  onChange={(e) => updateFilter("sort", e.target.value)}
+                  className="border border-gray-300 rounded px-2 py-1"
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={filters.direction}
+                  onChange={(e) => updateFilter("direction", e.target.value)}
+                  className="border border-gray-300 rounded px-2 py-1"
+                >
+                  <option value="asc">Asc</option>
+                  <option value="desc">Desc</option>
+                </select>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={selectedFilterId}
+          onChange={(e) => handleApplySaved(e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value="">Saved filters{savedFilters.length ? ` (${savedFilters.length})` : ""}</option>
+          {savedFilters.map((saved) => (
+            <option key={saved.id} value={saved.id}>
+              {saved.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!hasCriteria(filters)}
+          className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+        >
+          Save current
+        </button>
+        {selectedFilterId && (
+          <button type="button" onClick={handleDeleteSaved} className="text-red-600 hover:text-red-800">
+            Delete
+          </button>
+        )}
+        {isSearching && (
+          <span className="ml-auto text-gray-600">
+            {results.length} result{results.length === 1 ? "" : "s"}
+            {nextCursor && " (more available)"}
+          </span>
+        )}
+      </div>
+
+      {(error || actionError) && <p className="text-xs text-red-600">{error || actionError}</p>}
+
+      {isSearching && nextCursor && (
+        <div className="text-center">
+          <button
+            type="button"
+            onClick={loadMore}
+            disabled={loading}
+            className="px-4 py-1.5 text-sm text-blue-700 border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50"
+          >
+            {loading ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useTaskTemplates } from "@/utils/hooks/useTaskTemplates";
+
+// Filled in by the server from the base date
+const BUILT_IN_PLACEHOLDERS = ["date", "year", "month", "week"];
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Whole days from today to a YYYY-MM-DD date, or null without a date
+const offsetFromToday = (date) => {
+  if (!date) return null;
+  const start = new Date(`${today()}T00:00:00Z`);
+  const end = new Date(`${date}T00:00:00Z`);
+  return Math.round((end - start) / 86400000);
+};
+
+// Placeholders in a template the user has to fill in
+const customPlaceholders = (template) => {
+  const text = [
+    template?.title_pattern,
+    template?.description_pattern,
+    ...(template?.subtasks || []).flatMap((s) => [s.title, s.description]),
+  ].join(" ");
+  const names = [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+  return [...new Set(names)].filter((name) => !BUILT_IN_PLACEHOLDERS.includes(name));
+};
+
+/**
+ * Create a task from a saved template, or save the task being filled in as a template.
+ * `draft` is the current form state ({ title, description, priority, dueDate,
+ * collaborators, estimated_hours, subtasks }); `onCreated(task)` runs after a task has
+ * been created from a template.
+ */
+export default function TaskTemplatePicker({ draft, projectId = null, assignTo = "", onCreated }) {
+  const { templates, fetchTemplates, createTemplate, deleteTemplate, instantiateTemplate } = useTaskTemplates();
+  const [selectedId, setSelectedId] = useState("");
+  const [baseDate, setBaseDate] = useState(today());
+  const [variables, setVariables] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const selected = templates.find((t) => String(t.id) === String(selectedId)) || null;
+  const placeholders = customPlaceholders(selected);
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    setVariables({});
+    setError("");
+    setMessage("");
+  };
+
+  const handleCreate = async () => {
+    if (!selected) return;
+    setBusy(true);
+    setError("");
+    const result = await instantiateTemplate(selected.id, {
+      baseDate,
+      variables,
+      projectId,
+      ownerId: assignTo,
+    });
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    if (typeof onCreated === "function") onCreated(result.task);
+  };
+
+  const handleSaveDraft = async () => {
+    if (!draft?.title?.trim()) {
+      setError("Fill in at least a title before saving a template");
+      return;
+    }
+    const name = prompt("Name this template", draft.title.trim());
+    if (!name || !name.trim()) return;
+    setBusy(true);
+    setError("");
+    const result = await createTemplate({
+      name: name.trim(),
+      title_pattern: draft.title.trim(),
+      description_pattern: draft.description || null,
+      priority: draft.priority,
+      due_offset_days: offsetFromToday(draft.dueDate),
+      estimated_hours: draft.estimated_hours || null,
+      collaborators: draft.collaborators || [],
+      subtasks: (draft.subtasks || []).map((s) => ({
+        title: s.title,
+        description: s.description || null,
+        priority: s.priority,
+        due_offset_days: offsetFromToday(s.dueDate),
+        estimated_hours: s.estimated_hours || null,
+      })),
+    });
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setSelectedId(String(result.template.id));
+    setMessage(`Saved template "${result.template.name}"`);
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !confirm(`Delete template "${selected.name}"?`)) return;
+    setError("");
+    const result = await deleteTemplate(selected.id);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setSelectedId("");
+  };
+
+  return (
+    <div className="rounded-md border border-gray-200 bg-gray-50 p-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-sm font-medium text-gray-700">Start from a template</label>
+        <select
+          value={selectedId}
+          onChange={(e) => handleSelect(e.target.value)}
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          <option value="">{templates.length === 0 ? "No templates yet" : "Choose a template..."}</option>
+          {templates.map((template) => (
+            <option key={template.id} value={template.id}>
+              {template.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleSaveDraft}
+          disabled={busy}
+          className="ml-auto text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+        >
+          Save this form as a template
+        </button>
+      </div>
+
+      {selected && (
+        <div className="space-y-3 text-sm">
+          <p className="text-gray-600">
+            <span className="font-medium text-gray-900">{selected.title_pattern}</span>
+            {" · "}priority {selected.priority}
+            {selected.due_offset_days !== null && selected.due_offset_days !== undefined && (
+              <> · due {selected.due_offset_days} day{Math.abs(selected.due_offset_days) === 1 ? "" : "s"} after the start date</>
+            )}
+            {" · "}{(selected.subtasks || []).length} subtask{(selected.subtasks || []).length === 1 ? "" : "s"}
+            {(selected.tag_ids || []).length > 0 && <> · {selected.tag_ids.length} tag{selected.tag_ids.length === 1 ? "" : "s"}</>}
+          </p>
+
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <span className="block text-xs font-medium text-gray-600 mb-1">Start date</span>
+              <input
+                type="date"
+                value={baseDate}
+                onChange={(e) => setBaseDate(e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+            </div>
+            {placeholders.map((name) => (
+              <div key={name}>
+                <span className="block text-xs font-medium text-gray-600 mb-1">{`{${name}}`}</span>
+                <input
+                  type="text"
+                  value={variables[name] || ""}
+                  onChange={(e) => setVariables((prev) => ({ ...prev, [name]: e.target.value }))}
+                  className="border border-gray-300 rounded px-2 py-1"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={busy || placeholders.some((name) => !variables[name]?.trim())}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? "Creating..." : "Create task from template"}
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="px-3 py-1.5 text-red-600 hover:text-red-800"
+            >
+              Delete template
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Uses the project and assignee chosen below; placeholders like {"{date}"} and {"{month}"} are filled from the start date.
+          </p>
+        </div>
+      )}
+
+      {message && <p className="text-xs text-green-700">{message}</p>}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useTaskTimeEntries } from "@/utils/hooks/useTaskTimeEntries";
+import { useAuth } from "@/utils/hooks/useAuth";
+
+const formatHours = (hours) => {
+  const value = Number(hours) || 0;
+  return `${Math.round(value * 100) / 100}h`;
+};
+
+const formatMinutes = (minutes) => {
+  const m = Number(minutes) || 0;
+  const h = Math.floor(m / 60);
+  const rest = m % 60;
+  if (h === 0) return `${rest}m`;
+  return rest === 0 ? `${h}h` : `${h}h ${rest}m`;
+};
+
+export default function TaskTimeTracker({ taskId, ownerId, collaborators = [] }) {
+  const { userProfile } = useAuth();
+  const myEmpId = userProfile?.emp_id ? String(userProfile.emp_id) : null;
+  // Only the owner and collaborators can log time; everyone else just sees the totals
+  const canLogTime = !!myEmpId && (
+    String(ownerId) === myEmpId ||
+    (Array.isArray(collaborators) && collaborators.map(String).includes(myEmpId))
+  );
+  const {
+    entries,
+    summary,
+    running,
+    loading,
+    error,
+    fetchTimeEntries,
+    startTimer,
+    stopTimer,
+    addTimeEntry,
+    deleteTimeEntry,
+  } = useTaskTimeEntries();
+  const [manualMinutes, setManualMinutes] = useState("");
+  const [manualNote, setManualNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    if (taskId) {
+      fetchTimeEntries(taskId);
+    }
+  }, [taskId, fetchTimeEntries]);
+
+  const withErrorHandling = async (action) => {
+    setBusy(true);
+    setActionError("");
+    const result = await action();
+    setBusy(false);
+    if (!result.success) setActionError(result.error);
+    return result;
+  };
+
+  const handleManualAdd = async () => {
+    const minutes = parseInt(manualMinutes, 10);
+    if (!minutes) return;
+    const result = await withErrorHandling(() =>
+      addTimeEntry(taskId, { minutes, note: manualNote })
+    );
+    if (result.success) {
+      setManualMinutes("");
+      setManualNote("");
+    }
+  };
+
+  const estimated = summary?.estimated_hours || 0;
+  const logged = summary?.logged_hours || 0;
+  const overEstimate = estimated > 0 && logged > estimated;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Time Tracking</label>
+      <div className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-md space-y-3">
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <span className="text-gray-600">
+            Estimated: <span className="font-medium text-gray-900">{estimated ? formatHours(estimated) : "—"}</span>
+          </span>
+          <span className="text-gray-600">
+            Logged:{" "}
+            <span className={`font-medium ${overEstimate ? "text-red-600" : "text-gray-900"}`}>
+              {formatHours(logged)}
+            </span>
+          </span>
+          {canLogTime && (
+            running ? (
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => withErrorHandling(() => stopTimer(taskId))}
+                className="ml-auto px-3 py-1 text-xs bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+              >
+                Stop timer ({formatMinutes(running.duration_minutes)})
+              </button>
+            ) : (
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => withErrorHandling(() => startTimer(taskId))}
+                className="ml-auto px-3 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+              >
+                Start timer
+              </button>
+            )
+          )}
+        </div>
+
+        {estimated > 0 && (
+          <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full ${overEstimate ? "bg-red-500" : "bg-blue-500"}`}
+              style={{ width: `${Math.min(100, (logged / estimated) * 100)}%` }}
+            />
+          </div>
+        )}
+
+        {loading && entries.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading time entries...</p>
+        ) : error && entries.length === 0 ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : entries.length === 0 ? (
+          <p className="text-sm text-gray-500">No time logged yet</p>
+        ) : (
+          <ul className="space-y-1 max-h-40 overflow-y-auto">
+            {entries.map((entry) => (
+              <li key={entry.id} className="flex items-center justify-between text-xs text-gray-700">
+                <span className="min-w-0 truncate">
+                  <span className="font-medium">{entry.emp_name || entry.emp_id}</span>
+                  {" · "}
+                  {new Date(entry.started_at).toLocaleDateString()}
+                  {" · "}
+                  {entry.ended_at ? formatMinutes(entry.duration_minutes) : "running"}
+                  {entry.note && <span className="text-gray-500"> — {entry.note}</span>}
+                </span>
+                {String(entry.emp_id) === myEmpId && entry.ended_at && (
+                  <button
+                    type="button"
+                    onClick={() => withErrorHandling(() => deleteTimeEntry(taskId, entry.id))}
+                    className="ml-2 text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {actionError && <p className="text-xs text-red-600">{actionError}</p>}
+
+        {canLogTime && (
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="number"
+              min="1"
+              max="1440"
+              value={manualMinutes}
+              onChange={(e) => setManualMinutes(e.target.value)}
+              placeholder="Minutes"
+              className="w-24 border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <input
+              type="text"
+              value={manualNote}
+              onChange={(e) => setManualNote(e.target.value)}
+              placeholder="Note (optional)"
+              className="flex-1 min-w-[120px] border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <button
+              type="button"
+              disabled={busy || !manualMinutes}
+              onClick={handleManualAdd}
+              className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Log time
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+"use client";
+
+import { useState } from "react";
+import { useProjects } from "@/utils/hooks/useProjects";
+import { useTaskTransfer } from "@/utils/hooks/useTaskTransfer";
+import { useTaskSearch } from "@/utils/hooks/useTaskSearch";
+import { useSubtasks } from "@/utils/hooks/useSubtasks";
+
+const inputClass = "px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+/**
+ * Clone, move-to-project and make-subtask controls for a task.
+ * `onChange(action, result)` runs after a clone, move or demotion succeeded, with action
+ * "clone", "move" or "demote".
+ */
+export default function TaskTransferActions({ task, onChange }) {
+  const { projects = [] } = useProjects();
+  const { cloneTask, moveTask } = useTaskTransfer();
+  const { results: searchResults, loading: searching, search } = useTaskSearch();
+  const { demoteTask } = useSubtasks();
+  const [mode, setMode] = useState(null); // "clone" | "move" | "demote" | null
+  const [cloneOptions, setCloneOptions] = useState({
+    include_subtasks: true,
+    reset_status: true,
+    shift_days: 0,
+    project_id: "",
+  });
+  const [targetProject, setTargetProject] = useState("");
+  const [parentQuery, setParentQuery] = useState("");
+  const [targetTask, setTargetTask] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  if (!task?.id) return null;
+
+  const projectValue = (value) => (value === "none" ? null : Number(value));
+
+  const finish = (action, result, text) => {
+    setBusy(false);
+    if (!result.success) {
+      setMessage({ type: "error", text: result.error });
+      return;
+    }
+    setMessage({ type: "success", text });
+    setMode(null);
+    if (typeof onChange === "function") onChange(action, result);
+  };
+
+  const handleClone = async () => {
+    setBusy(true);
+    setMessage({ type: "", text: "" });
+    const { project_id, ...rest } = cloneOptions;
+    const options = { ...rest, shift_days: Number(rest.shift_days) || 0 };
+    if (project_id !== "") options.project_id = projectValue(project_id);
+    const result = await cloneTask(task.id, options);
+    finish("clone", result, result.success ? `Created "${result.task.title}"` : "");
+  };
+
+  const handleMove = async () => {
+    if (targetProject === "") return;
+    setBusy(true);
+    setMessage({ type: "", text: "" });
+    const result = await moveTask(task.id, projectValue(targetProject));
+    const warning = result.nonMemberIds?.length
+      ? ` ${result.nonMemberIds.length} of the people on it are not members of that project.`
+      : "";
+    finish("move", result, `Task moved.${warning}`);
+  };
+
+  const handleParentSearch = () => {
+    setTargetTask("");
+    search({ q: parentQuery.trim(), owner_id: task.owner_id, limit: 20 });
+  };
+
+  const handleDemote = async () => {
+    if (targetTask === "") return;
+    const target = searchResults.find((t) => String(t.id) === targetTask);
+    if (!confirm(`Make "${task.title}" a subtask of "${target?.title}"? Its comments and edit history are removed.`)) return;
+    setBusy(true);
+    setMessage({ type: "", text: "" });
+    const result = await demoteTask(task.id, Number(targetTask));
+    finish("demote", result, `Now a subtask of "${target?.title}".`);
+  };
+
+  const projectOptions = (
+    <>
+      {task.project_id && <option value="none">No project</option>}
+      {projects
+        .filter((p) => p.id !== task.project_id)
+        .map((p) => (
+          <option key={p.id} value={p.id}>{p.title || p.name}</option>
+        ))}
+    </>
+  );
+
+  return (
+    <div className="w-full space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => setMode(mode === "clone" ? null : "clone")}
+          className="px-3 py-2 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Clone
+        </button>
+        <button
+          onClick={() => setMode(mode === "move" ? null : "move")}
+          className="px-3 py-2 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Move to project
+        </button>
+        <button
+          onClick={() => setMode(mode === "demote" ? null : "demote")}
+          className="px-3 py-2 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Make subtask of…
+        </button>
+        {message.text && (
+          <span className={`text-xs ${message.type === "error" ? "text-red-600" : "text-green-700"}`}>{message.text}</span>
+        )}
+      </div>
+
+      {mode === "clone" && (
+        <div className="flex flex-wrap items-center gap-3 bg-gray-50 border border-gray-200 rounded p-3 text-sm">
+          <label className="flex items-center gap-1.5">
+            <input
+              type="checkbox"
+              checked={cloneOptions.include_subtasks}
+              onChange={(e) => setCloneOptions((prev) => ({ ...prev, include_subtasks: e.target.checked }))}
+            />
+            Include subtasks
+          </label>
+          <label className="flex items-center gap-1.5">
+            <input
+              type="checkbox"
+              checked={cloneOptions.reset_status}
+              onChange={(e) => setCloneOptions((prev) => ({ ...prev, reset_status: e.target.checked }))}
+            />
+            Reset statuses
+          </label>
+          <label className="flex items-center gap-1.5">
+            Shift dates by
+            <input
+              type="number"
+              value={cloneOptions.shift_days}
+              onChange={(e) => setCloneOptions((prev) => ({ ...prev, shift_days: e.target.value }))}
+              className={`${inputClass} w-20`}
+            />
+            days
+          </label>
+          <select
+            value={cloneOptions.project_id}
+            onChange={(e) => setCloneOptions((prev) => ({ ...prev, project_id: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="">Same project</option>
+            {projectOptions}
+          </select>
+          <button
+            onClick={handleClone}
+            disabled={busy}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? "Cloning..." : "Create copy"}
+          </button>
+        </div>
+      )}
+
+      {mode === "move" && (
+        <div className="flex flex-wrap items-center gap-3 bg-gray-50 border border-gray-200 rounded p-3 text-sm">
+          <select value={targetProject} onChange={(e) => setTargetProject(e.target.value)} className={inputClass}>
+            <option value="">Choose project…</option>
+            {projectOptions}
+          </select>
+          <span className="text-xs text-gray-500">Subtasks, attachments, collaborators and history move with the task.</span>
+          <button
+            onClick={handleMove}
+            disabled={busy || targetProject === ""}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? "Moving..." : "Move"}
+          </button>
+        </div>
+      )}
+
+      {mode === "demote" && (
+        <div className="flex flex-wrap items-center gap-3 bg-gray-50 border border-gray-200 rounded p-3 text-sm">
+          <input
+            type="text"
+            value={parentQuery}
+            onChange={(e) => setParentQuery(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleParentSearch()}
+            placeholder="Search the owner's tasks…"
+            className={`${inputClass} w-48`}
+          />
+          <button onClick={handleParentSearch} className="px-3 py-1.5 text-sm rounded border border-gray-300 hover:bg-white">
+            {searching ? "Searching..." : "Search"}
+          </button>
+          <select value={targetTask} onChange={(e) => setTargetTask(e.target.value)} className={inputClass}>
+            <option value="">Choose parent task…</option>
+            {searchResults
+              .filter((t) => t.id !== task.id)
+              .map((t) => (
+                <option key={t.id} value={t.id}>{t.title}</option>
+              ))}
+          </select>
+          <span className="text-xs text-gray-500">Subtasks, attachments, time entries and tags move along.</span>
+          <button
+            onClick={handleDemote}
+            disabled={busy || targetTask === ""}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? "Converting..." : "Make subtask"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
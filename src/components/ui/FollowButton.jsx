@@ -0,0 +1,41 @@
+"use client";
+
+import { useWatchers } from "@/utils/hooks/useWatchers";
+
+/**
+ * Follow / unfollow toggle for a task or project (`target` "task" | "project").
+ * Followers get update notifications without being able to edit.
+ */
+export default function FollowButton({ target = "task", id, className = "" }) {
+  const { watching, watchers, loading, error, toggleFollow } = useWatchers(target, id);
+
+  if (!id) return null;
+
+  const others = watchers.length - (watching ? 1 : 0);
+  const title = error
+    ? error
+    : watchers.length > 0
+      ? `Followed by ${watchers.map((w) => w.name || w.emp_id).join(", ")}`
+      : `Get notified when this ${target} is updated`;
+
+  return (
+    <button
+      type="button"
+      title={title}
+      onClick={toggleFollow}
+      disabled={loading}
+      className={`inline-flex items-center px-2 py-1 text-xs rounded border disabled:opacity-50 ${
+        watching
+          ? "border-blue-300 bg-blue-50 text-blue-700 hover:bg-blue-100"
+          : "border-gray-300 text-gray-700 hover:bg-gray-50"
+      } ${className}`}
+    >
+      <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+      </svg>
+      {watching ? "Following" : "Follow"}
+      {others > 0 && <span className="ml-1 text-gray-500">+{others}</span>}
+    </button>
+  );
+}
@@ -0,0 +1,33 @@
+"use client";
+
+const SIZES = { sm: "h-1.5", md: "h-2" };
+
+/**
+ * Percent-complete bar; renders nothing when `value` isn't a number.
+ * `label` is drawn on the left with the percentage on the right (omit both with `showLabel={false}`).
+ */
+export default function ProgressBar({ value, label = "Progress", showLabel = true, size = "md", className = "" }) {
+  if (typeof value !== "number" || Number.isNaN(value)) return null;
+  const percent = Math.max(0, Math.min(100, Math.round(value)));
+  const color = percent >= 100 ? "bg-green-500" : percent >= 50 ? "bg-blue-500" : "bg-yellow-500";
+
+  return (
+    <div className={className} title={`${percent}% complete`}>
+      {showLabel && (
+        <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+          <span>{label}</span>
+          <span>{percent}%</span>
+        </div>
+      )}
+      <div
+        className={`w-full bg-gray-200 rounded-full ${SIZES[size] || SIZES.md}`}
+        role="progressbar"
+        aria-valuenow={percent}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div className={`${SIZES[size] || SIZES.md} rounded-full ${color}`} style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+"use client";
+
+import { useState, useEffect } from "react";
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value)) return value.length ? value.join(", ") : "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}T/.test(text) ? text.slice(0, 10) : text;
+};
+
+/**
+ * Shown when a save was refused because someone else saved first (409 version_conflict).
+ * Lists every field that differs and lets the user keep their value or take the saved one.
+ * `onResolve(choices)` gets `{ [field]: "mine" | "theirs" }`; the caller merges the chosen
+ * values into its form and saves again against `conflict.current_version`.
+ */
+export default function VersionConflictDialog({ conflict, labels = {}, onResolve, onCancel }) {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    const initial = {};
+    (conflict?.diff || []).forEach(({ field }) => {
+      initial[field] = "mine";
+    });
+    setChoices(initial);
+  }, [conflict]);
+
+  if (!conflict) return null;
+  const diff = conflict.diff || [];
+
+  const chooseAll = (side) => {
+    setChoices(Object.fromEntries(diff.map(({ field }) => [field, side])));
+  };
+
+  return (
+    <div className="fixed inset-0 z-[70] flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/40" onClick={onCancel} />
+      <div className="relative bg-white w-full max-w-2xl rounded-lg shadow-lg p-6 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-medium text-gray-900 mb-1">Someone else saved changes</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {conflict.error} Pick which value to keep for each field, then save again.
+        </p>
+
+        {diff.length === 0 ? (
+          <p className="text-sm text-gray-600 mb-4">
+            Your changes don&apos;t overlap with theirs. Save again to apply them on top of the latest version.
+          </p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm mb-4">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Field</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Saved by them</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-600">Yours</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {diff.map(({ field, current, submitted }) => (
+                <tr key={field}>
+                  <td className="px-3 py-2 font-medium text-gray-800">{labels[field] || field}</td>
+                  {[
+                    ["theirs", current],
+                    ["mine", submitted],
+                  ].map(([side, value]) => (
+                    <td key={side} className="px-3 py-2 align-top">
+                      <label className="flex items-start gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          checked={choices[field] === side}
+                          onChange={() => setChoices((prev) => ({ ...prev, [field]: side }))}
+                          className="mt-0.5"
+                        />
+                        <span className="text-gray-700 break-words">{formatValue(value)}</span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2">
+          {diff.length > 0 && (
+            <>
+              <button
+                onClick={() => chooseAll("theirs")}
+                className="mr-auto px-3 py-2 text-sm text-gray-600 hover:text-gray-800"
+              >
+                Take all of theirs
+              </button>
+              <button onClick={() => chooseAll("mine")} className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800">
+                Keep all of mine
+              </button>
+            </>
+          )}
+          <button onClick={onCancel} className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 text-sm">
+            Cancel
+          </button>
+          <button
+            onClick={() => onResolve?.(choices)}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm"
+          >
+            Use these values
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
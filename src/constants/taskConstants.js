@@ -1,5 +1,7 @@
 // Task Priority and Status Constants
 
+import { TASK_WORKFLOW, STATUS_KEYS, toStatusKey } from "../../server/services/workflowService.js";
+
 export const TASK_PRIORITIES = {
   HIGH: "high",
   MEDIUM: "medium",
@@ -35,22 +37,39 @@ export const PRIORITY_COLORS = {
   },
 };
 
+// The statuses and their legacy spellings are defined once, with the server's workflow;
+// who may perform which transition is served by GET /tasks/workflow - see
+// utils/hooks/useTaskWorkflow.js
+export { TASK_WORKFLOW, toStatusKey };
+
+// Workflow status keys
 export const TASK_STATUSES = {
   UNASSIGNED: "unassigned",
-  ONGOING: "on going",
-  UNDER_REVIEW: "under_review",
+  ONGOING: "ongoing",
+  UNDER_REVIEW: "under review",
   COMPLETED: "completed",
 };
 
-export const STATUS_LEVELS = [
-  "unassigned",
-  "on going",
-  "under_review",
-  "completed",
-];
+export const STATUS_LEVELS = STATUS_KEYS;
+
+export const isCompletedStatus = (status) => toStatusKey(status) === TASK_STATUSES.COMPLETED;
+
+// Badge colours used by the dashboards' task lists
+export const STATUS_BADGE_CLASSES = {
+  [TASK_STATUSES.COMPLETED]: "bg-green-100 text-green-800",
+  [TASK_STATUSES.ONGOING]: "bg-blue-100 text-blue-800",
+  [TASK_STATUSES.UNDER_REVIEW]: "bg-yellow-100 text-yellow-800",
+  default: "bg-gray-100 text-gray-800",
+};
+
+export const getStatusBadgeClasses = (status) =>
+  STATUS_BADGE_CLASSES[toStatusKey(status)] || STATUS_BADGE_CLASSES.default;
 
 // Helper function to get priority configuration
 export const getPriorityConfig = (priority) => {
   const priorityKey = priority ? String(priority).toLowerCase() : null;
   return PRIORITY_COLORS[priorityKey] || PRIORITY_COLORS.default;
 };
+
+// How deep subtasks may nest when the server has not told us (GET /subtasks returns max_depth)
+export const DEFAULT_SUBTASK_MAX_DEPTH = 3;
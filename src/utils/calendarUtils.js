@@ -3,6 +3,8 @@
  * Extracted from schedule page for testability
  */
 
+import { TASK_STATUSES, toStatusKey } from "../constants/taskConstants";
+
 /**
  * Normalize a date to start of day (00:00:00)
  * @param {Date} date - Date to normalize
@@ -104,7 +106,9 @@ export const filterByProject = (tasks, projectId) => {
  */
 export const filterByStatus = (tasks, status) => {
   if (!status) return tasks;
-  return tasks.filter((t) => String(t.status || "") === String(status));
+  // Compare workflow keys so stored spellings ("Under Review") match too
+  const statusKey = (value) => toStatusKey(value) ?? String(value || "");
+  return tasks.filter((t) => statusKey(t.status) === statusKey(status));
 };
 
 /**
@@ -138,6 +142,19 @@ export const filterByAssignee = (tasks, assigneeId) => {
   });
 };
 
+/**
+ * Filter tasks by tag
+ * @param {Object[]} tasks - Array of tasks (with a `tags` array from the tasks API)
+ * @param {string|number} tagId - Tag ID to filter by (empty string = no filter)
+ * @returns {Object[]} Filtered tasks
+ */
+export const filterByTag = (tasks, tagId) => {
+  if (!tagId) return tasks;
+  return tasks.filter((t) =>
+    (t.tags || []).some((tag) => String(tag.id) === String(tagId))
+  );
+};
+
 /**
  * Filter tasks that have a due date (exclude tasks without due dates)
  * @param {Object[]} tasks - Array of tasks
@@ -154,6 +171,7 @@ export const filterTasksWithDueDate = (tasks) => {
  * @param {string|number} filters.projectId - Project ID filter
  * @param {string} filters.status - Status filter
  * @param {string|number} filters.assigneeId - Assignee ID filter
+ * @param {string|number} filters.tagId - Tag ID filter
  * @param {boolean} filters.requireDueDate - Whether to require due_date (default: true)
  * @returns {Object[]} Filtered and normalized tasks
  */
@@ -162,6 +180,7 @@ export const applyFilters = (tasks, filters = {}) => {
     projectId = "",
     status = "",
     assigneeId = "",
+    tagId = "",
     requireDueDate = true,
   } = filters;
   
@@ -176,6 +195,7 @@ export const applyFilters = (tasks, filters = {}) => {
   filtered = filterByProject(filtered, projectId);
   filtered = filterByStatus(filtered, status);
   filtered = filterByAssignee(filtered, assigneeId);
+  filtered = filterByTag(filtered, tagId);
   
   // Normalize tasks (add 'due' property)
   return filtered.map((t) => ({
@@ -184,3 +204,83 @@ export const applyFilters = (tasks, filters = {}) => {
   }));
 };
 
+
+/**
+ * Collect dependency links between tasks shown on the calendar
+ * @param {Object[]} tasks - Tasks with a `blocking` array (from the tasks API)
+ * @returns {Object[]} Links as { id, fromId, toId, type, isOpen }, only where both tasks are present
+ */
+export const getDependencyLinks = (tasks) => {
+  const visibleIds = new Set((tasks || []).map((t) => t.id));
+  const links = [];
+
+  (tasks || []).forEach((task) => {
+    (task.blocking || []).forEach((dep) => {
+      if (!visibleIds.has(dep.task_id)) return;
+      links.push({
+        id: dep.dependency_id,
+        fromId: task.id,
+        toId: dep.task_id,
+        type: dep.type,
+        isOpen: !!dep.is_open,
+      });
+    });
+  });
+
+  return links;
+};
+
+/**
+ * Format a date as "YYYY-MM-DD" in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * One task per recurring series, to ask the API for the series' projected occurrences
+ * @param {Object[]} tasks - Tasks from the tasks API
+ * @returns {number[]} Task IDs
+ */
+export const getRecurringSeriesTaskIds = (tasks) => {
+  const bySeries = new Map();
+  (tasks || []).forEach((t) => {
+    if (t.is_recurring && t.recurrence_series_id && !bySeries.has(t.recurrence_series_id)) {
+      bySeries.set(t.recurrence_series_id, t.id);
+    }
+  });
+  return [...bySeries.values()];
+};
+
+/**
+ * Turn projected occurrences into calendar entries shaped like tasks, so the filters and
+ * day grouping treat them like the series' tasks
+ * @param {Object[]} occurrences - From the projections API ({ series_id, task_id, due_date, recurrence_count })
+ * @param {Object[]} tasks - The tasks the calendar shows
+ * @returns {Object[]} Entries with isProjected and sourceTask (the series' task to open)
+ */
+export const buildProjectedEntries = (occurrences, tasks) => {
+  const byId = new Map((tasks || []).map((t) => [t.id, t]));
+  const bySeries = new Map();
+  (tasks || []).forEach((t) => {
+    if (t.recurrence_series_id && !bySeries.has(t.recurrence_series_id)) bySeries.set(t.recurrence_series_id, t);
+  });
+
+  return (occurrences || []).flatMap((occurrence) => {
+    const source = byId.get(occurrence.task_id) || bySeries.get(occurrence.series_id);
+    if (!source || !occurrence.due_date) return [];
+    return [{
+      ...source,
+      id: `projected-${occurrence.series_id}-${occurrence.occurrence_date}`,
+      due_date: occurrence.due_date,
+      status: TASK_STATUSES.ONGOING,
+      recurrence_count: occurrence.recurrence_count,
+      blocking: [],
+      isProjected: true,
+      sourceTask: source,
+    }];
+  });
+};
@@ -0,0 +1,47 @@
+import { useState } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useBulkTasks = () => {
+  const [running, setRunning] = useState(false);
+  const supabase = createClient();
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  // Apply one set of operations to many tasks. `payload` is `{ task_ids | filter }` plus
+  // any of status, priority, due_shift_days, owner_id, collaborators_add,
+  // collaborators_remove, project_id, archive
+  const bulkUpdate = async (payload) => {
+    try {
+      setRunning(true);
+      const token = await getAuthToken();
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/tasks/bulk-update`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(payload),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "Bulk update failed");
+      }
+      return {
+        success: true,
+        results: data.results || [],
+        summary: data.summary || { total: 0, updated: 0, skipped: 0, failed: 0 },
+        notified: data.notified || 0,
+      };
+    } catch (err) {
+      return { success: false, error: err.message };
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return { running, bulkUpdate };
+};
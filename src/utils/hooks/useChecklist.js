@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+// Checklist of plain to-do items on a task; every call returns the whole checklist
+// ({ items, summary, require_complete, can_edit, can_manage })
+export const useChecklist = (taskId) => {
+  const supabase = createClient();
+  const [items, setItems] = useState([]);
+  const [summary, setSummary] = useState({ total: 0, done: 0 });
+  const [requireComplete, setRequireComplete] = useState(false);
+  const [canEdit, setCanEdit] = useState(false);
+  const [canManage, setCanManage] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  const request = async (method, path = "", body) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/checklist${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    setItems(data.items || []);
+    setSummary(data.summary || { total: 0, done: 0 });
+    setRequireComplete(Boolean(data.require_complete));
+    setCanEdit(Boolean(data.can_edit));
+    setCanManage(Boolean(data.can_manage));
+    return data;
+  };
+
+  const refresh = useCallback(async () => {
+    if (!taskId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      await request("GET");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [taskId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const send = async (method, path, body) => {
+    setError(null);
+    try {
+      await request(method, path, body);
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  const addItem = (title) => send("POST", "", { title });
+  const renameItem = (itemId, title) => send("PUT", `/${itemId}`, { title });
+  const toggleItem = (item) => send("POST", `/${item.id}/${item.done ? "uncheck" : "check"}`);
+  const removeItem = (itemId) => send("DELETE", `/${itemId}`);
+  const reorderItems = (orderedIds) => send("PUT", "/order", { ordered_ids: orderedIds });
+  const setRequired = (value) => send("PUT", "/settings", { require_complete: value });
+
+  return {
+    items,
+    summary,
+    requireComplete,
+    canEdit,
+    canManage,
+    loading,
+    error,
+    refresh,
+    addItem,
+    renameItem,
+    toggleItem,
+    removeItem,
+    reorderItems,
+    setRequired,
+  };
+};
@@ -32,6 +32,9 @@ export function useDirectorInsights() {
   });
   
   const [departmentPerformance, setDepartmentPerformance] = useState([]);
+
+  // Per-tag task counts from /director/kpis
+  const [tagBreakdown, setTagBreakdown] = useState([]);
   
   const [collaborationMetrics, setCollaborationMetrics] = useState({
     totalProjects: 0,
@@ -114,6 +117,8 @@ export function useDirectorInsights() {
         completionRate: 0
       });
 
+      setTagBreakdown(kpiData.tagBreakdown || []);
+
       setDepartmentPerformance(deptData.departments?.map(dept => ({
         department: dept.name,
         memberCount: dept.employeeCount,
@@ -268,6 +273,7 @@ export function useDirectorInsights() {
     projectPortfolio,
     taskMetrics,
     departmentPerformance,
+    tagBreakdown,
     collaborationMetrics,
     allTasks,
     allProjects,
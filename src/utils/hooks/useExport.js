@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+// Turn a filter object into a query string, dropping empty values
+const toQueryString = (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    if (Array.isArray(value) && value.length === 0) return;
+    params.set(key, Array.isArray(value) ? value.join(",") : String(value));
+  });
+  return params.toString();
+};
+
+// File name from a Content-Disposition header, if it carries one
+const filenameFrom = (disposition) => /filename="?([^";]+)"?/.exec(disposition || "")?.[1];
+
+// Download a tasks/projects/workload export (CSV or XLSX) with the given filters
+export const useExport = () => {
+  const supabase = createClient();
+  const [downloading, setDownloading] = useState(null); // "<kind>:<format>" in progress
+  const [error, setError] = useState(null);
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  const downloadExport = async (kind, format, filters = {}) => {
+    setDownloading(`${kind}:${format}`);
+    setError(null);
+    try {
+      const token = await getAuthToken();
+      const query = toQueryString({ ...filters, format });
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/export/${kind}?${query}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "Export failed");
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filenameFrom(response.headers.get("Content-Disposition")) || `${kind}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return { downloadExport, downloading, error };
+};
@@ -34,6 +34,20 @@ export function useHrInsights() {
           const perfResponse = await fetch('http://localhost:4000/hr/analytics/performance-rankings');
           if (perfResponse.ok) perfData = await perfResponse.json();
         } catch (e) { console.warn('Performance rankings not available'); }
+
+        // merge estimated vs. logged hours into the rankings
+        try {
+          const hoursResponse = await fetch('http://localhost:4000/hr/performance');
+          if (hoursResponse.ok && Array.isArray(perfData)) {
+            const hoursData = await hoursResponse.json();
+            const hoursById = new Map((hoursData || []).map(e => [e.id, e]));
+            perfData = perfData.map(emp => ({
+              ...emp,
+              estimatedHours: hoursById.get(emp.id)?.estimatedHours ?? 0,
+              loggedHours: hoursById.get(emp.id)?.loggedHours ?? 0
+            }));
+          }
+        } catch (e) { console.warn('Employee hours not available'); }
         
         // fetch trends data
         try {
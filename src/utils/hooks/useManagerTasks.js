@@ -1,6 +1,7 @@
 // utils/hooks/useManagerTasks.js
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { createClient } from '@/utils/supabase/client';
+import { isCompletedStatus, toStatusKey } from '@/constants/taskConstants';
 
 export const useManagerTasks = () => {
   const [allTasks, setAllTasks] = useState([]);
@@ -188,12 +189,12 @@ export const useManagerTasks = () => {
     }
   };
 
-  const getTasksByStatus = (status) => allTasks.filter((t) => t.status === status);
+  const getTasksByStatus = (status) => allTasks.filter((t) => toStatusKey(t.status) === toStatusKey(status));
   const getTasksByPriority = (priority) => allTasks.filter((t) => t.priority === priority);
   const getOverdueTasks = () => {
     const today = new Date();
     return allTasks.filter(
-      (t) => t.due_date && new Date(t.due_date) < today && t.status !== 'completed'
+      (t) => t.due_date && new Date(t.due_date) < today && !isCompletedStatus(t.status)
     );
   };
   const getTasksByStaff = (empId) => allTasks.filter((t) => t.collaborators && t.collaborators.includes(empId));
@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useState } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+// Custom field definitions of a project; every call returns the whole set
+// ({ fields, members, can_manage }), members being who a "user" field can pick
+export const useProjectCustomFields = (projectId) => {
+  const supabase = createClient();
+  const [fields, setFields] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [canManage, setCanManage] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  const request = async (method, path = "", body) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/projects/${projectId}/custom-fields${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    setFields(data.fields || []);
+    setMembers(data.members || []);
+    setCanManage(Boolean(data.can_manage));
+    return data;
+  };
+
+  const refresh = useCallback(async () => {
+    if (!projectId) {
+      setFields([]);
+      setMembers([]);
+      setCanManage(false);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await request("GET");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const send = async (method, path, body) => {
+    setError(null);
+    try {
+      await request(method, path, body);
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  const createField = (field) => send("POST", "", field);
+  const updateField = (fieldId, changes) => send("PUT", `/${fieldId}`, changes);
+  const deleteField = (fieldId) => send("DELETE", `/${fieldId}`);
+
+  return {
+    fields,
+    members,
+    canManage,
+    loading,
+    error,
+    refresh,
+    createField,
+    updateField,
+    deleteField,
+  };
+};
@@ -278,6 +278,9 @@ export function useProjects(user = null) {
         ...(updates.name && { title: updates.name }),
       };
       delete mappedUpdates.name;
+      // The version the project was loaded at is checked by the server via If-Match
+      const { version } = mappedUpdates;
+      delete mappedUpdates.version;
 
       const response = await fetch(
         `${process.env.NEXT_PUBLIC_API_URL}/projects/${id}`,
@@ -286,6 +289,7 @@ export function useProjects(user = null) {
           headers: {
             Authorization: `Bearer ${token}`,
             "Content-Type": "application/json",
+            ...(version !== undefined && version !== null ? { "If-Match": `"${version}"` } : {}),
           },
           body: JSON.stringify(mappedUpdates),
         }
@@ -293,6 +297,12 @@ export function useProjects(user = null) {
 
       if (!response.ok) {
         const errorData = await response.json();
+        // Stale version: the error carries the current project and a field diff
+        if (response.status === 409 && errorData.code === "version_conflict") {
+          const conflictError = new Error(errorData.error);
+          conflictError.conflict = errorData;
+          throw conflictError;
+        }
         throw new Error(
           errorData.message || `HTTP error! status: ${response.status}`
         );
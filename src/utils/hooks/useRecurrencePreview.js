@@ -0,0 +1,80 @@
+import { useState, useCallback } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+// Upcoming dates of a recurrence: of unsaved settings (the task form), of a saved series
+// and projected into a date range (the calendar's ghost entries)
+export const useRecurrencePreview = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = createClient();
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  // Authenticated JSON request to the API; throws with the server's error message
+  const request = async (path, options = {}) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(options.headers || {}),
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  };
+
+  const run = async (path, options) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request(path, options);
+      return { success: true, occurrences: data.occurrences || [], notes: data.notes || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message, occurrences: [], notes: [] };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The first occurrences of settings that are not saved yet (the recurrence fields of a new task)
+  const previewSettings = useCallback(
+    (settings, count) => run("/tasks/recurrence/preview", { method: "POST", body: JSON.stringify({ ...settings, count }) }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    []
+  );
+
+  // The next occurrences of the series a task belongs to
+  const previewTask = useCallback(
+    (taskId, count) => run(`/tasks/${taskId}/recurrence/preview${count ? `?count=${count}` : ""}`),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    []
+  );
+
+  // Projected occurrences of the given tasks' series between two dates ("YYYY-MM-DD")
+  const fetchProjections = useCallback(
+    ({ from, to, taskIds }) => {
+      const query = new URLSearchParams({ from, to, task_ids: taskIds.join(",") });
+      return run(`/tasks/recurrence/projections?${query}`);
+    },
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    []
+  );
+
+  return {
+    loading,
+    error,
+    previewSettings,
+    previewTask,
+    fetchProjections,
+  };
+};
@@ -1,10 +1,12 @@
 import { useState, useCallback } from "react";
 import { createClient } from "@/utils/supabase/client";
+import { DEFAULT_SUBTASK_MAX_DEPTH } from "@/constants/taskConstants";
 
 export const useSubtasks = () => {
   const [subtasks, setSubtasks] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [maxDepth, setMaxDepth] = useState(DEFAULT_SUBTASK_MAX_DEPTH);
   const supabase = createClient();
 
   // Get auth token
@@ -33,6 +35,7 @@ export const useSubtasks = () => {
 
       const data = await response.json();
       setSubtasks(data.subtasks || []);
+      if (data.max_depth) setMaxDepth(data.max_depth);
       return { success: true, subtasks: data.subtasks || [] };
     } catch (err) {
       setError(err.message);
@@ -74,9 +77,11 @@ export const useSubtasks = () => {
   };
 
   // Update subtask
+  // A `version` in updates is sent as If-Match; a stale one returns { conflict }
   const updateSubtask = async (subtaskId, updates) => {
     try {
       const token = await getAuthToken();
+      const { version, ...fields } = updates || {};
       
       const response = await fetch(
         `${process.env.NEXT_PUBLIC_API_URL}/subtasks/${subtaskId}`,
@@ -85,11 +90,19 @@ export const useSubtasks = () => {
           headers: {
             "Content-Type": "application/json",
             Authorization: `Bearer ${token}`,
+            ...(version !== undefined && version !== null ? { "If-Match": `"${version}"` } : {}),
           },
-          body: JSON.stringify(updates),
+          body: JSON.stringify(fields),
         }
       );
 
+      if (response.status === 409) {
+        const conflict = await response.json().catch(() => ({}));
+        if (conflict.code === "version_conflict") {
+          return { success: false, error: conflict.error, conflict };
+        }
+        throw new Error(conflict.error || "Failed to update subtask");
+      }
       if (!response.ok) {
         const errorData = await response.json();
         throw new Error(errorData.error || "Failed to update subtask");
@@ -126,21 +139,103 @@ export const useSubtasks = () => {
         throw new Error(errorData.error || "Failed to delete subtask");
       }
 
-      setSubtasks(prev => prev.filter(subtask => subtask.id !== subtaskId));
+      // Nested subtasks are deleted along with their parent
+      setSubtasks(prev => {
+        const removed = new Set([subtaskId]);
+        let grew = true;
+        while (grew) {
+          grew = false;
+          prev.forEach(subtask => {
+            if (!removed.has(subtask.id) && removed.has(subtask.parent_subtask_id)) {
+              removed.add(subtask.id);
+              grew = true;
+            }
+          });
+        }
+        return prev.filter(subtask => !removed.has(subtask.id));
+      });
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  const send = async (path, method, body) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  };
+
+  // Persist the order of one level (parentSubtaskId null for the top level)
+  const reorderSubtasks = async (taskId, parentSubtaskId, orderedIds) => {
+    const previous = subtasks;
+    const positions = new Map(orderedIds.map((id, index) => [id, index]));
+    setSubtasks(prev =>
+      prev.map(subtask => (positions.has(subtask.id) ? { ...subtask, position: positions.get(subtask.id) } : subtask))
+    );
+    try {
+      await send(`/subtasks/task/${taskId}/order`, "PUT", {
+        parent_subtask_id: parentSubtaskId,
+        ordered_ids: orderedIds,
+      });
       return { success: true };
     } catch (err) {
+      setSubtasks(previous);
       setError(err.message);
       return { success: false, error: err.message };
     }
   };
 
+  // Turn a subtask (and its nested subtasks) into a task of its own
+  const promoteSubtask = async (subtaskId) => {
+    try {
+      const data = await send(`/subtasks/${subtaskId}/promote`, "POST", {});
+      const moved = new Set([subtaskId, ...(data.moved_subtask_ids || [])]);
+      setSubtasks(prev => prev.filter(subtask => !moved.has(subtask.id)));
+      return { success: true, task: data.task };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Turn a task into a subtask of another task (optionally under one of its subtasks)
+  const demoteTask = async (taskId, parentTaskId, parentSubtaskId = null) => {
+    try {
+      const data = await send("/subtasks/demote", "POST", {
+        task_id: taskId,
+        parent_task_id: parentTaskId,
+        parent_subtask_id: parentSubtaskId,
+      });
+      return { success: true, subtask: data.subtask };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
   return {
     subtasks,
     loading,
     error,
+    maxDepth,
     fetchSubtasks,
     createSubtask,
     updateSubtask,
     deleteSubtask,
+    reorderSubtasks,
+    promoteSubtask,
+    demoteTask,
   };
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useTags = () => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  // Authenticated JSON request to the API; throws with the server's error message
+  const request = useCallback(async (path, options = {}) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(options.headers || {}),
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  }, [getAuthToken]);
+
+  const sortByName = (list) => [...list].sort((a, b) => a.name.localeCompare(b.name));
+
+  // Fetch organisation-wide tags plus project tags (only that project's when projectId is given)
+  const fetchTags = useCallback(async (projectId = null) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const query = projectId ? `?project_id=${encodeURIComponent(projectId)}` : "";
+      const data = await request(`/tags${query}`);
+      setTags(data.tags || []);
+      return { success: true, tags: data.tags || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  // Create a tag; projectId null makes it organisation-wide
+  const createTag = async ({ name, color, projectId = null }) => {
+    try {
+      const data = await request("/tags", {
+        method: "POST",
+        body: JSON.stringify({ name, color, project_id: projectId }),
+      });
+      setTags((prev) => sortByName([...prev, data.tag]));
+      return { success: true, tag: data.tag };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Rename or recolour a tag
+  const updateTag = async (tagId, updates) => {
+    try {
+      const data = await request(`/tags/${tagId}`, {
+        method: "PUT",
+        body: JSON.stringify(updates),
+      });
+      setTags((prev) => sortByName(prev.map((t) => (t.id === tagId ? data.tag : t))));
+      return { success: true, tag: data.tag };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Delete a tag everywhere
+  const deleteTag = async (tagId) => {
+    try {
+      await request(`/tags/${tagId}`, { method: "DELETE" });
+      setTags((prev) => prev.filter((t) => t.id !== tagId));
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Replace the tags on a task, or on one of its subtasks
+  const setItemTags = async (taskId, tagIds, { subtaskId = null } = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}/tags`, {
+        method: "PUT",
+        body: JSON.stringify({ tag_ids: tagIds, subtask_id: subtaskId }),
+      });
+      return { success: true, tags: data.tags || [] };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    tags,
+    loading,
+    error,
+    fetchTags,
+    createTag,
+    updateTag,
+    deleteTag,
+    setItemTags,
+  };
+};
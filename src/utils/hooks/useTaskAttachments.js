@@ -0,0 +1,127 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useTaskAttachments = () => {
+  const [attachments, setAttachments] = useState([]);
+  const [allowedMimeTypes, setAllowedMimeTypes] = useState([]);
+  const [maxSizeBytes, setMaxSizeBytes] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  // Authenticated request to the API; throws with the server's error message.
+  // FormData bodies are sent as multipart, everything else as JSON.
+  const request = useCallback(async (path, options = {}) => {
+    const token = await getAuthToken();
+    const isForm = options.body instanceof FormData;
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      ...options,
+      headers: {
+        ...(isForm ? {} : { "Content-Type": "application/json" }),
+        Authorization: `Bearer ${token}`,
+        ...(options.headers || {}),
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  }, [getAuthToken]);
+
+  // Fetch attachments (with versions) for a task
+  const fetchAttachments = useCallback(async (taskId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request(`/tasks/${taskId}/attachments`);
+      setAttachments(data.attachments || []);
+      setAllowedMimeTypes(data.allowed_mime_types || []);
+      setMaxSizeBytes(data.max_size_bytes || null);
+      return { success: true, attachments: data.attachments || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  // Upload a new attachment, optionally against one of the task's subtasks
+  const uploadAttachment = async (taskId, file, { subtaskId = null } = {}) => {
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+      if (subtaskId) formData.append("subtask_id", String(subtaskId));
+      const data = await request(`/tasks/${taskId}/attachments`, {
+        method: "POST",
+        body: formData,
+      });
+      await fetchAttachments(taskId);
+      return { success: true, attachment: data.attachment };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Upload a replacement file as a new version
+  const uploadVersion = async (taskId, attachmentId, file) => {
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+      const data = await request(`/tasks/${taskId}/attachments/${attachmentId}/versions`, {
+        method: "POST",
+        body: formData,
+      });
+      await fetchAttachments(taskId);
+      return { success: true, version: data.version };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Get a short-lived download URL (current version unless one is given)
+  const getDownloadUrl = async (taskId, attachmentId, version = null) => {
+    try {
+      const query = version ? `?version=${version}` : "";
+      const data = await request(`/tasks/${taskId}/attachments/${attachmentId}/download${query}`);
+      return { success: true, url: data.url, fileName: data.file_name };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Delete an attachment and all of its versions
+  const deleteAttachment = async (taskId, attachmentId) => {
+    try {
+      await request(`/tasks/${taskId}/attachments/${attachmentId}`, { method: "DELETE" });
+      await fetchAttachments(taskId);
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    attachments,
+    allowedMimeTypes,
+    maxSizeBytes,
+    loading,
+    error,
+    fetchAttachments,
+    uploadAttachment,
+    uploadVersion,
+    getDownloadUrl,
+    deleteAttachment,
+  };
+};
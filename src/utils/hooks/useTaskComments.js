@@ -0,0 +1,143 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useTaskComments = () => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  // Fetch the comment thread for a task
+  const fetchComments = useCallback(async (taskId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const token = await getAuthToken();
+
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/comments`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to fetch comments");
+      }
+
+      const data = await response.json();
+      setComments(data.comments || []);
+      return { success: true, comments: data.comments || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [getAuthToken]);
+
+  // Add a comment, or a reply when parentCommentId is given
+  const addComment = async (taskId, body, parentCommentId = null) => {
+    try {
+      const token = await getAuthToken();
+
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/comments`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ body, parent_comment_id: parentCommentId }),
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to add comment");
+      }
+
+      const data = await response.json();
+      await fetchComments(taskId);
+      return { success: true, comment: data.comment };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Edit a comment
+  const editComment = async (taskId, commentId, body) => {
+    try {
+      const token = await getAuthToken();
+
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/comments/${commentId}`,
+        {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ body }),
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to edit comment");
+      }
+
+      const data = await response.json();
+      await fetchComments(taskId);
+      return { success: true, comment: data.comment };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Delete a comment
+  const deleteComment = async (taskId, commentId) => {
+    try {
+      const token = await getAuthToken();
+
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/comments/${commentId}`,
+        {
+          method: "DELETE",
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to delete comment");
+      }
+
+      await fetchComments(taskId);
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    comments,
+    loading,
+    error,
+    fetchComments,
+    addComment,
+    editComment,
+    deleteComment,
+  };
+};
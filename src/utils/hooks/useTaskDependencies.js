@@ -0,0 +1,117 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useTaskDependencies = () => {
+  const [blockedBy, setBlockedBy] = useState([]);
+  const [blocking, setBlocking] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  // Fetch the tasks blocking this task and the tasks it blocks
+  const fetchDependencies = useCallback(async (taskId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const token = await getAuthToken();
+
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/dependencies`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to fetch dependencies");
+      }
+
+      const data = await response.json();
+      setBlockedBy(data.blocked_by || []);
+      setBlocking(data.blocking || []);
+      return { success: true, blockedBy: data.blocked_by || [], blocking: data.blocking || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [getAuthToken]);
+
+  // Link another task; direction "blocked_by" means the other task must finish first
+  const addDependency = async (taskId, otherTaskId, direction = "blocked_by", type = "finish_to_start") => {
+    try {
+      const token = await getAuthToken();
+      const payload = direction === "blocking"
+        ? { successor_task_id: otherTaskId, type }
+        : { predecessor_task_id: otherTaskId, type };
+
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/dependencies`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(payload),
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to add dependency");
+      }
+
+      const data = await response.json();
+      await fetchDependencies(taskId);
+      return { success: true, dependency: data.dependency };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Remove a dependency link
+  const removeDependency = async (taskId, dependencyId) => {
+    try {
+      const token = await getAuthToken();
+
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/dependencies/${dependencyId}`,
+        {
+          method: "DELETE",
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to remove dependency");
+      }
+
+      await fetchDependencies(taskId);
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    blockedBy,
+    blocking,
+    loading,
+    error,
+    fetchDependencies,
+    addDependency,
+    removeDependency,
+  };
+};
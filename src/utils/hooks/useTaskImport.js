@@ -0,0 +1,43 @@
+import { createClient } from "@/utils/supabase/client";
+
+// CSV task import: dry runs return the per-row check, a real import writes only when
+// every row is valid. Failed calls still carry the preview (columns, mapping, rows) when
+// the server sent one, so the wizard can show what to fix.
+export const useTaskImport = () => {
+  const supabase = createClient();
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  const send = async (file, { mapping, dryRun }) => {
+    try {
+      const token = await getAuthToken();
+      const formData = new FormData();
+      formData.append("file", file);
+      if (mapping) formData.append("mapping", JSON.stringify(mapping));
+      formData.append("dry_run", dryRun ? "true" : "false");
+
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/tasks/import`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData,
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { success: false, error: data.error || "Import failed", ...data };
+      }
+      return { success: true, ...data };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  // mapping left out: the server guesses it from the headers
+  const previewImport = (file, mapping) => send(file, { mapping, dryRun: true });
+  const runImport = (file, mapping) => send(file, { mapping, dryRun: false });
+
+  return { previewImport, runImport };
+};
@@ -0,0 +1,98 @@
+import { useCallback, useEffect, useState } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+// The recurring series a task belongs to; every call returns the whole series
+// ({ instances, exceptions, upcoming, paused_at, can_manage, ... })
+export const useTaskRecurrence = (taskId, { enabled = true } = {}) => {
+  const supabase = createClient();
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  const request = async (method, path = "", body) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/tasks/${taskId}/recurrence${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error(data.error || "Request failed");
+      err.data = data;
+      throw err;
+    }
+    setSeries(data.series || data);
+    return data;
+  };
+
+  const refresh = useCallback(async () => {
+    if (!taskId || !enabled) return;
+    setLoading(true);
+    setError(null);
+    try {
+      await request("GET");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [taskId, enabled]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const send = async (method, path, body) => {
+    setError(null);
+    try {
+      const data = await request(method, path, body);
+      return { success: true, data };
+    } catch (err) {
+      setError(err.message);
+      // A stale If-Match comes back with the current task for the conflict dialog
+      const conflict = err.data?.code === "version_conflict" ? err.data : undefined;
+      return { success: false, error: err.message, conflict };
+    }
+  };
+
+  const skipOccurrence = (date) => send("POST", "/skip", { date });
+  const rescheduleOccurrence = (date, newDate) => send("POST", "/reschedule", { date, new_date: newDate });
+  const restoreOccurrence = (date) => send("DELETE", `/exceptions/${date}`);
+  const pauseSeries = () => send("POST", "/pause");
+  const resumeSeries = (resumeOn) => send("POST", "/resume", resumeOn ? { resume_on: resumeOn } : undefined);
+  // mode: "on_completion" or "on_schedule"; lookaheadDays: "" for the server's default
+  const setGeneration = (mode, lookaheadDays) =>
+    send("PUT", "/generation", {
+      recurrence_generation: mode,
+      recurrence_lookahead_days: lookaheadDays === "" || lookaheadDays === undefined ? null : Number(lookaheadDays),
+    });
+  // scope: "this", "following" or "all_open"; changes: title, description, priority,
+  // collaborators and/or subtasks ([{ title, description, priority }]); a version is
+  // checked against this task
+  const editSeries = (scope, changes) => send("PUT", "/series", { scope, ...changes });
+
+  return {
+    series,
+    loading,
+    error,
+    refresh,
+    skipOccurrence,
+    rescheduleOccurrence,
+    restoreOccurrence,
+    pauseSeries,
+    resumeSeries,
+    setGeneration,
+    editSeries,
+  };
+};
@@ -0,0 +1,116 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useTaskReview = () => {
+  const [review, setReview] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  const request = useCallback(async (path, options = {}) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(options.headers || {}),
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  }, [getAuthToken]);
+
+  // Current reviewer, whether the user can submit / decide, and past review rounds
+  const fetchReview = useCallback(async (taskId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request(`/tasks/${taskId}/review`);
+      setReview(data);
+      return { success: true, review: data };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  // Tasks waiting for the current user's review
+  const fetchReviewQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request("/tasks/review-queue");
+      setQueue(data.tasks || []);
+      return { success: true, tasks: data.tasks || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  // Without a reviewer the server picks the submitter's team manager
+  const submitForReview = async (taskId, { reviewerEmpId = null, note = "" } = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}/review/submit`, {
+        method: "POST",
+        body: JSON.stringify({ reviewer_emp_id: reviewerEmpId || undefined, note }),
+      });
+      return { success: true, task: data.task, reviewer: data.reviewer };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const approveReview = async (taskId, comment = "") => {
+    try {
+      const data = await request(`/tasks/${taskId}/review/approve`, {
+        method: "POST",
+        body: JSON.stringify({ comment }),
+      });
+      setQueue((prev) => prev.filter((t) => t.id !== taskId));
+      return { success: true, task: data.task };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const requestChanges = async (taskId, comment) => {
+    try {
+      const data = await request(`/tasks/${taskId}/review/request-changes`, {
+        method: "POST",
+        body: JSON.stringify({ comment }),
+      });
+      setQueue((prev) => prev.filter((t) => t.id !== taskId));
+      return { success: true, task: data.task };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    review,
+    queue,
+    loading,
+    error,
+    fetchReview,
+    fetchReviewQueue,
+    submitForReview,
+    approveReview,
+    requestChanges,
+  };
+};
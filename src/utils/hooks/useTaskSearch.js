@@ -0,0 +1,145 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+// Turn a filter object into a query string, dropping empty values
+const toQueryString = (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    params.set(key, Array.isArray(value) ? value.join(",") : String(value));
+  });
+  return params.toString();
+};
+
+export const useTaskSearch = () => {
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [lastFilters, setLastFilters] = useState(null);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  // Authenticated JSON request to the API; throws with the server's error message
+  const request = useCallback(async (path, options = {}) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(options.headers || {}),
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  }, [getAuthToken]);
+
+  // Run a new search, replacing the current results
+  const search = useCallback(async (filters) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request(`/tasks/search?${toQueryString(filters)}`);
+      setResults(data.tasks || []);
+      setNextCursor(data.next_cursor || null);
+      setLastFilters(filters);
+      return { success: true, tasks: data.tasks || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  // Append the next page of the last search
+  const loadMore = async () => {
+    if (!nextCursor || !lastFilters) return { success: true, tasks: [] };
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request(
+        `/tasks/search?${toQueryString({ ...lastFilters, cursor: nextCursor })}`
+      );
+      setResults((prev) => [...prev, ...(data.tasks || [])]);
+      setNextCursor(data.next_cursor || null);
+      return { success: true, tasks: data.tasks || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Forget the last search
+  const clearSearch = useCallback(() => {
+    setResults([]);
+    setNextCursor(null);
+    setLastFilters(null);
+    setError(null);
+  }, []);
+
+  // Fetch the current user's saved filters
+  const fetchSavedFilters = useCallback(async () => {
+    try {
+      const data = await request("/tasks/saved-filters");
+      setSavedFilters(data.filters || []);
+      return { success: true, filters: data.filters || [] };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [request]);
+
+  // Save the given filters under a name
+  const saveFilter = async (name, filters) => {
+    try {
+      const data = await request("/tasks/saved-filters", {
+        method: "POST",
+        body: JSON.stringify({ name, filters }),
+      });
+      setSavedFilters((prev) =>
+        [...prev, data.filter].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      return { success: true, filter: data.filter };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Delete a saved filter
+  const deleteFilter = async (filterId) => {
+    try {
+      await request(`/tasks/saved-filters/${filterId}`, { method: "DELETE" });
+      setSavedFilters((prev) => prev.filter((f) => f.id !== filterId));
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    results,
+    nextCursor,
+    isSearching: lastFilters !== null,
+    savedFilters,
+    loading,
+    error,
+    search,
+    loadMore,
+    clearSearch,
+    fetchSavedFilters,
+    saveFilter,
+    deleteFilter,
+  };
+};
@@ -0,0 +1,113 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useTaskTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  const request = useCallback(async (path, options = {}) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(options.headers || {}),
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  }, [getAuthToken]);
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request("/task-templates");
+      setTemplates(data.templates || []);
+      return { success: true, templates: data.templates || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  const createTemplate = async (template) => {
+    try {
+      const data = await request("/task-templates", {
+        method: "POST",
+        body: JSON.stringify(template),
+      });
+      setTemplates((prev) => [...prev, data.template].sort((a, b) => a.name.localeCompare(b.name)));
+      return { success: true, template: data.template };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const updateTemplate = async (templateId, updates) => {
+    try {
+      const data = await request(`/task-templates/${templateId}`, {
+        method: "PUT",
+        body: JSON.stringify(updates),
+      });
+      setTemplates((prev) => prev.map((t) => (t.id === templateId ? data.template : t)));
+      return { success: true, template: data.template };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const deleteTemplate = async (templateId) => {
+    try {
+      await request(`/task-templates/${templateId}`, { method: "DELETE" });
+      setTemplates((prev) => prev.filter((t) => t.id !== templateId));
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Create the task, subtasks and tags from a template in one call
+  const instantiateTemplate = async (templateId, { baseDate, variables, projectId, ownerId, title } = {}) => {
+    try {
+      const data = await request(`/task-templates/${templateId}/instantiate`, {
+        method: "POST",
+        body: JSON.stringify({
+          base_date: baseDate || undefined,
+          variables: variables || undefined,
+          project_id: projectId || undefined,
+          owner_id: ownerId || undefined,
+          title: title || undefined,
+        }),
+      });
+      return { success: true, task: data.task, subtasks: data.subtasks, skippedTagIds: data.skipped_tag_ids || [] };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    templates,
+    loading,
+    error,
+    fetchTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    instantiateTemplate,
+  };
+};
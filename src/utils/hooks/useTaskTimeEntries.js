@@ -0,0 +1,123 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useTaskTimeEntries = () => {
+  const [entries, setEntries] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [running, setRunning] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  // Authenticated JSON request to the API; throws with the server's error message
+  const request = useCallback(async (path, options = {}) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(options.headers || {}),
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  }, [getAuthToken]);
+
+  // Fetch entries, the estimated vs. logged summary and my running timer
+  const fetchTimeEntries = useCallback(async (taskId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request(`/tasks/${taskId}/time-entries`);
+      setEntries(data.entries || []);
+      setSummary(data.summary || null);
+      setRunning(data.running || null);
+      return { success: true, ...data };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  // Start a timer on a task
+  const startTimer = async (taskId, { subtaskId = null, note = "" } = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}/time-entries/start`, {
+        method: "POST",
+        body: JSON.stringify({ subtask_id: subtaskId, note }),
+      });
+      await fetchTimeEntries(taskId);
+      return { success: true, entry: data.entry };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Stop my running timer on a task
+  const stopTimer = async (taskId) => {
+    try {
+      const data = await request(`/tasks/${taskId}/time-entries/stop`, {
+        method: "POST",
+        body: JSON.stringify({}),
+      });
+      await fetchTimeEntries(taskId);
+      return { success: true, entry: data.entry };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Log time manually
+  const addTimeEntry = async (taskId, { minutes, startedAt = null, subtaskId = null, note = "" }) => {
+    try {
+      const data = await request(`/tasks/${taskId}/time-entries`, {
+        method: "POST",
+        body: JSON.stringify({ minutes, started_at: startedAt, subtask_id: subtaskId, note }),
+      });
+      await fetchTimeEntries(taskId);
+      return { success: true, entry: data.entry };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Delete a time entry
+  const deleteTimeEntry = async (taskId, entryId) => {
+    try {
+      await request(`/tasks/${taskId}/time-entries/${entryId}`, { method: "DELETE" });
+      await fetchTimeEntries(taskId);
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    entries,
+    summary,
+    running,
+    loading,
+    error,
+    fetchTimeEntries,
+    startTimer,
+    stopTimer,
+    addTimeEntry,
+    deleteTimeEntry,
+  };
+};
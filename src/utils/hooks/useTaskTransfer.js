@@ -0,0 +1,50 @@
+import { createClient } from "@/utils/supabase/client";
+
+export const useTaskTransfer = () => {
+  const supabase = createClient();
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  const request = async (path, body) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  };
+
+  // options: { include_subtasks, reset_status, shift_days, project_id, title }
+  const cloneTask = async (taskId, options = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}/clone`, options);
+      return { success: true, task: data.task, subtasks: data.subtasks || [] };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  // projectId null takes the task out of its project
+  const moveTask = async (taskId, projectId) => {
+    try {
+      const data = await request(`/tasks/${taskId}/move`, { project_id: projectId });
+      return { success: true, task: data.task, nonMemberIds: data.non_member_ids || [] };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  return { cloneTask, moveTask };
+};
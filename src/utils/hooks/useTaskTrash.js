@@ -0,0 +1,143 @@
+import { useState, useCallback, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+export const useTaskTrash = () => {
+  const [trash, setTrash] = useState([]);
+  const [archived, setArchived] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [canPurge, setCanPurge] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const supabase = useMemo(() => createClient(), []);
+
+  // Get auth token
+  const getAuthToken = useCallback(async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  }, [supabase]);
+
+  const request = useCallback(async (path, options = {}) => {
+    const token = await getAuthToken();
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(options.headers || {}),
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    return data;
+  }, [getAuthToken]);
+
+  const seriesQuery = (series) => (series ? "?series=true" : "");
+
+  // Deleted tasks with their restore deadline
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request("/tasks/trash");
+      setTrash(data.tasks || []);
+      setRetentionDays(data.retention_days ?? null);
+      setCanPurge(Boolean(data.can_purge));
+      return { success: true, tasks: data.tasks || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  const fetchArchived = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request("/tasks?archived=only");
+      setArchived(data.tasks || []);
+      return { success: true, tasks: data.tasks || [] };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  // `series` applies the action to the rest of a recurring series as well
+  const archiveTask = async (taskId, { series = false } = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}/archive${seriesQuery(series)}`, { method: "POST" });
+      return { success: true, affectedTaskIds: data.affected_task_ids || [taskId] };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const unarchiveTask = async (taskId, { series = false } = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}/unarchive${seriesQuery(series)}`, { method: "POST" });
+      const ids = data.affected_task_ids || [taskId];
+      setArchived((prev) => prev.filter((t) => !ids.includes(t.id)));
+      return { success: true, affectedTaskIds: ids };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const deleteTask = async (taskId, { series = false } = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}${seriesQuery(series)}`, { method: "DELETE" });
+      return {
+        success: true,
+        affectedTaskIds: data.affected_task_ids || [taskId],
+        restoreDeadline: data.restore_deadline || null,
+      };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const restoreTask = async (taskId, { series = false } = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}/restore${seriesQuery(series)}`, { method: "POST" });
+      const ids = data.affected_task_ids || [taskId];
+      setTrash((prev) => prev.filter((t) => !ids.includes(t.id)));
+      return { success: true, affectedTaskIds: ids };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Directors only; there is no undo
+  const purgeTask = async (taskId, { series = false } = {}) => {
+    try {
+      const data = await request(`/tasks/${taskId}/purge${seriesQuery(series)}`, { method: "DELETE" });
+      const ids = data.purged_task_ids || [taskId];
+      setTrash((prev) => prev.filter((t) => !ids.includes(t.id)));
+      return { success: true, purgedTaskIds: ids };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    trash,
+    archived,
+    retentionDays,
+    canPurge,
+    loading,
+    error,
+    fetchTrash,
+    fetchArchived,
+    archiveTask,
+    unarchiveTask,
+    deleteTask,
+    restoreTask,
+    purgeTask,
+  };
+};
@@ -0,0 +1,118 @@
+import { useState, useEffect, useMemo } from "react";
+import { createClient } from "@/utils/supabase/client";
+import { TASK_WORKFLOW, toStatusKey } from "@/constants/taskConstants";
+
+// The workflow only changes with a deploy, so it is fetched once per page load and
+// shared by every component using the hook
+let workflowRequest = null;
+
+// Used until GET /tasks/workflow has answered: every status, no transition limits
+const FALLBACK = {
+  workflow: { ...TASK_WORKFLOW, transitions: null },
+  empId: null,
+  role: null,
+};
+
+const loadWorkflow = async () => {
+  const supabase = createClient();
+  const { data: { session } } = await supabase.auth.getSession();
+  const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/tasks/workflow`, {
+    headers: { Authorization: `Bearer ${session?.access_token}` },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || "Failed to load task workflow");
+  }
+  return { workflow: data.workflow, empId: data.emp_id, role: data.role };
+};
+
+export const useTaskWorkflow = () => {
+  const [state, setState] = useState(FALLBACK);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!workflowRequest) {
+      workflowRequest = loadWorkflow();
+      // Let the next component that mounts try again
+      workflowRequest.catch(() => {
+        workflowRequest = null;
+      });
+    }
+    workflowRequest
+      .then((result) => {
+        if (!cancelled) setState(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const { workflow, empId, role } = state;
+
+  const statusOptions = useMemo(
+    () => workflow.statuses.map((s) => ({ value: s.key, label: s.label })),
+    [workflow]
+  );
+
+  // Statuses a plain or bulk edit may set on a task; those with `via` are only entered
+  // through their own flow (tasks go under review by being submitted)
+  const editableStatusOptions = useMemo(
+    () => workflow.statuses.filter((s) => !s.via).map((s) => ({ value: s.key, label: s.label })),
+    [workflow]
+  );
+
+  const findStatus = (status) => {
+    const key = toStatusKey(status);
+    return workflow.statuses.find((s) => s.key === key) || null;
+  };
+
+  const getStatusLabel = (status) => findStatus(status)?.label || String(status || "");
+
+  const isTerminal = (status) => Boolean(findStatus(status)?.terminal);
+
+  // Which workflow actors the current user is on a task
+  const getActors = (task) => {
+    const actors = [];
+    if (!task || !empId) return actors;
+    if (String(task.owner_id) === String(empId)) actors.push("owner");
+    const collaborators = Array.isArray(task.collaborators) ? task.collaborators : [];
+    if (collaborators.map(String).includes(String(empId))) actors.push("collaborator");
+    if (task.reviewer_id && String(task.reviewer_id) === String(empId)) actors.push("reviewer");
+    if (role === "manager" || role === "director") actors.push(role);
+    return actors;
+  };
+
+  // Status options the current user may pick for an item: its current status plus
+  // every transition open to them. `actorTask` is the task whose owner and
+  // collaborators count (the parent task for subtasks, which have no review flow of
+  // their own, are set under review directly and are signed off by the parent's members).
+  const getStatusOptions = (item, actorTask = item) => {
+    const isSubtask = item !== actorTask;
+    const options = isSubtask ? statusOptions : editableStatusOptions;
+    const currentKey = toStatusKey(item?.status);
+    if (!workflow.transitions || !currentKey) return options;
+    const actors = getActors(actorTask);
+    if (isSubtask) actors.push("reviewer");
+    const allowed = workflow.transitions
+      .filter((t) => t.from === currentKey && t.actors.some((actor) => actors.includes(actor)))
+      .map((t) => t.to);
+    return statusOptions.filter(
+      (o) => o.value === currentKey || (allowed.includes(o.value) && options.some((e) => e.value === o.value))
+    );
+  };
+
+  return {
+    workflow,
+    statusOptions,
+    editableStatusOptions,
+    error,
+    getStatusLabel,
+    isTerminal,
+    getActors,
+    getStatusOptions,
+  };
+};
@@ -1,6 +1,7 @@
 /* istanbul ignore file */
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import { createClient } from "@/utils/supabase/client";
+import { TASK_STATUSES, isCompletedStatus } from "@/constants/taskConstants";
 
 const CACHE_KEY = 'tasks_cache';
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
@@ -196,13 +197,13 @@ export const useTasks = (user = null) => {
 
   // Memoized computed values to prevent unnecessary re-renders
   const activeTasks = useMemo(() => {
-    const active = tasks.filter((task) => task.status !== "completed");
+    const active = tasks.filter((task) => !isCompletedStatus(task.status));
     console.log('📊 useTasks: Computed activeTasks:', active.length, 'from', tasks.length, 'total tasks');
     return active;
   }, [tasks]);
 
   const completedTasks = useMemo(() => {
-    return tasks.filter((task) => task.status === "completed");
+    return tasks.filter((task) => isCompletedStatus(task.status));
   }, [tasks]);
 
   const overdueTasks = useMemo(() => {
@@ -211,7 +212,7 @@ export const useTasks = (user = null) => {
       (task) =>
         task.due_date &&
         new Date(task.due_date) < today &&
-        task.status !== "completed"
+        !isCompletedStatus(task.status)
     );
   }, [tasks]);
 
@@ -311,6 +312,14 @@ export const useTasks = (user = null) => {
       
       let body;
       let headers = { Authorization: `Bearer ${session?.access_token || ""}` };
+
+      // The version the form was opened at goes out as If-Match so stale saves are refused
+      const version = updates instanceof FormData ? updates.get('version') : cleanUpdates.version;
+      if (version !== undefined && version !== null && version !== '') {
+        headers["If-Match"] = `"${version}"`;
+      }
+      if (updates instanceof FormData) updates.delete('version');
+      else delete cleanUpdates.version;
       
       if (updates instanceof FormData) {
         // Ensure due_date normalization for FormData as well
@@ -340,6 +349,9 @@ export const useTasks = (user = null) => {
         responseData = {};
       }
       
+      if (res.status === 409 && responseData?.code === "version_conflict") {
+        return { success: false, error: responseData.error, conflict: responseData };
+      }
       if (!res.ok) {
         throw new Error(responseData?.error || `Request failed: ${res.status}`);
       }
@@ -427,7 +439,7 @@ export const useTasks = (user = null) => {
     const task = tasks.find((t) => t.id === taskId);
     if (!task) return;
 
-    const newStatus = task.status === "completed" ? "ongoing" : "completed";
+    const newStatus = isCompletedStatus(task.status) ? TASK_STATUSES.ONGOING : TASK_STATUSES.COMPLETED;
     return await updateTask(taskId, { status: newStatus });
   };
 
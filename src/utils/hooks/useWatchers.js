@@ -0,0 +1,69 @@
+import { useCallback, useEffect, useState } from "react";
+import { createClient } from "@/utils/supabase/client";
+
+// target is "task" or "project"; watching never grants edit rights, it only
+// subscribes the user to update notifications
+export const useWatchers = (target, id) => {
+  const supabase = createClient();
+  const [watching, setWatching] = useState(false);
+  const [watchers, setWatchers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Get auth token
+  const getAuthToken = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token;
+  };
+
+  const path = `${process.env.NEXT_PUBLIC_API_URL}/${target === "project" ? "projects" : "tasks"}/${id}/watchers`;
+
+  const request = async (method) => {
+    const token = await getAuthToken();
+    const response = await fetch(path, {
+      method,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    setWatching(Boolean(data.watching));
+    setWatchers(data.watchers || []);
+    return data;
+  };
+
+  const refresh = useCallback(async () => {
+    if (!id) return;
+    setLoading(true);
+    setError(null);
+    try {
+      await request("GET");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [target, id]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const toggleFollow = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await request(watching ? "DELETE" : "POST");
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return { watching, watchers, loading, error, refresh, toggleFollow };
+};
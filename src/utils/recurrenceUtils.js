@@ -0,0 +1,163 @@
+/**
+ * Recurrence rule helpers for the task form's rule builder
+ * Builds iCalendar RRULE text from the builder's choices and describes a rule in words.
+ * The server validates and expands rules (server/lib/rrule.js).
+ */
+
+export const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+export const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+export const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+// Positions offered by the builder ("the last Friday", "the second Monday")
+export const SET_POSITIONS = [
+  { value: 1, label: "first" },
+  { value: 2, label: "second" },
+  { value: 3, label: "third" },
+  { value: 4, label: "fourth" },
+  { value: -1, label: "last" },
+];
+
+const WORKDAYS = ["MO", "TU", "WE", "TH", "FR"];
+const UNITS = { DAILY: "day", WEEKLY: "week", MONTHLY: "month", YEARLY: "year" };
+
+/**
+ * Default builder state, starting from the task's due date when there is one
+ * @param {string} [dueDate] - "YYYY-MM-DD"
+ * @returns {object}
+ */
+export const defaultRuleBuilder = (dueDate) => {
+  const date = dueDate ? new Date(`${dueDate}T00:00:00`) : new Date();
+  const weekday = RRULE_WEEKDAYS[date.getDay()];
+  return {
+    freq: "MONTHLY",
+    interval: 1,
+    byDay: [weekday],
+    monthlyMode: "weekday", // "day": on day N of the month; "weekday": on the Nth <weekday>
+    monthDay: date.getDate(),
+    setPos: -1,
+    weekday,
+    month: date.getMonth() + 1,
+  };
+};
+
+/**
+ * RRULE text for the builder's choices and end condition
+ * @param {object} builder - See defaultRuleBuilder
+ * @param {object} [end]
+ * @param {string} [end.endType] - "date", "count" or "never"
+ * @param {string} [end.endDate] - "YYYY-MM-DD"
+ * @param {number|string} [end.count]
+ * @returns {string}
+ */
+export const buildRRule = (builder, { endType = "never", endDate = "", count = "" } = {}) => {
+  const parts = [`FREQ=${builder.freq}`];
+  const interval = parseInt(builder.interval, 10);
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (builder.freq === "YEARLY") parts.push(`BYMONTH=${builder.month}`);
+  if (builder.freq === "WEEKLY" && builder.byDay.length > 0) {
+    parts.push(`BYDAY=${RRULE_WEEKDAYS.filter((d) => builder.byDay.includes(d)).join(",")}`);
+  }
+  if (builder.freq === "MONTHLY" || builder.freq === "YEARLY") {
+    if (builder.monthlyMode === "day") {
+      parts.push(`BYMONTHDAY=${builder.monthDay}`);
+    } else {
+      parts.push(`BYDAY=${builder.weekday === "WEEKDAY" ? WORKDAYS.join(",") : builder.weekday}`);
+      parts.push(`BYSETPOS=${builder.setPos}`);
+    }
+  }
+
+  if (endType === "date" && endDate) parts.push(`UNTIL=${endDate.replace(/-/g, "")}`);
+  else if (endType === "count" && parseInt(count, 10) > 0) parts.push(`COUNT=${parseInt(count, 10)}`);
+  return parts.join(";");
+};
+
+/**
+ * Split RRULE text into its parts ({ FREQ: "WEEKLY", BYDAY: "MO,WE" }), without validating
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export const parseRRuleParts = (text) => {
+  const parts = {};
+  String(text || "")
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .toUpperCase()
+    .split(";")
+    .forEach((part) => {
+      const [name, value] = part.split("=");
+      if (name && value) parts[name] = value;
+    });
+  return parts;
+};
+
+const ordinal = (n) => {
+  if (n === -1) return "last";
+  const position = SET_POSITIONS.find((p) => p.value === n);
+  if (position) return position.label;
+  if (n < 0) return `${ordinal(-n)} to last`;
+  const suffix = n % 10 === 1 && n % 100 !== 11 ? "st" : n % 10 === 2 && n % 100 !== 12 ? "nd" : n % 10 === 3 && n % 100 !== 13 ? "rd" : "th";
+  return `${n}${suffix}`;
+};
+
+const joinWords = (words) => (words.length <= 1 ? words.join("") : `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`);
+
+// "Monday and Friday", "weekdays", "the second Monday"
+const describeDays = (byDay, setPos) => {
+  const days = byDay.map((item) => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+    return match ? { n: match[1] ? Number(match[1]) : null, code: match[2] } : null;
+  });
+  if (days.some((d) => !d)) return null;
+  const isWorkdays = days.length === 5 && WORKDAYS.every((code) => days.some((d) => d.code === code && d.n === null));
+  const names = isWorkdays ? "weekday" : joinWords(days.map((d) => (d.n === null ? "" : `${ordinal(d.n)} `) + WEEKDAY_NAMES[RRULE_WEEKDAYS.indexOf(d.code)]));
+  if (setPos.length > 0) return `the ${joinWords(setPos.map(ordinal))} ${isWorkdays ? "weekday" : days.length > 1 ? `of ${names}` : names}`;
+  if (days.some((d) => d.n !== null)) return `the ${names}`;
+  return isWorkdays ? "weekdays" : names;
+};
+
+const formatUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  if (!match) return value;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+};
+
+/**
+ * Describe an RRULE in words, e.g. "Every month on the last Friday, 6 times"
+ * @param {string} text - RRULE text
+ * @returns {string} - Empty when the rule has no FREQ the builder knows
+ */
+export const describeRRule = (text) => {
+  const parts = parseRRuleParts(text);
+  const unit = UNITS[parts.FREQ];
+  if (!unit) return "";
+  const interval = parseInt(parts.INTERVAL, 10) > 1 ? parseInt(parts.INTERVAL, 10) : 1;
+  let summary = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+  const months = (parts.BYMONTH || "").split(",").filter(Boolean).map((m) => MONTH_NAMES[Number(m) - 1]).filter(Boolean);
+  const monthDays = (parts.BYMONTHDAY || "").split(",").filter(Boolean).map(Number);
+  const setPos = (parts.BYSETPOS || "").split(",").filter(Boolean).map(Number);
+  const byDay = (parts.BYDAY || "").split(",").filter(Boolean);
+
+  if (months.length) summary += ` in ${joinWords(months)}`;
+  if (monthDays.length) {
+    const dayWords = monthDays.map((d) => (d === -1 ? "last day" : d < 0 ? `${ordinal(-d)} to last day` : ordinal(d)));
+    summary += ` on the ${joinWords(dayWords)}`;
+  }
+  if (byDay.length) {
+    const days = describeDays(byDay, monthDays.length ? [] : setPos);
+    if (days && parts.FREQ === "DAILY" && interval === 1 && !monthDays.length && !months.length) summary = `Every ${days === "weekdays" ? "weekday" : days}`;
+    else if (days) summary += monthDays.length ? ` when it is a ${days}` : ` on ${days}`;
+  }
+
+  if (parts.COUNT) summary += `, ${parts.COUNT} time${parts.COUNT === "1" ? "" : "s"}`;
+  else if (parts.UNTIL) summary += `, until ${formatUntil(parts.UNTIL)}`;
+  return summary;
+};
@@ -3,50 +3,96 @@
  * Extracted from report components for testability
  */
 
+import { TASK_STATUSES, toStatusKey, isCompletedStatus } from "../constants/taskConstants";
+
 /**
  * Group tasks by status (Unassigned, Ongoing, Under Review, Completed)
  * @param {Object[]} tasks - Array of tasks with status property
  * @returns {Object} Object with status groups: { completed, underReview, ongoing, unassigned }
  */
 export const groupTasksByStatus = (tasks) => {
-  const completed = tasks.filter(
-    (t) => t.status?.toLowerCase() === "completed"
-  );
-  const underReview = tasks.filter(
-    (t) => t.status?.toLowerCase() === "under review"
-  );
-  const ongoing = tasks.filter((t) => t.status?.toLowerCase() === "ongoing");
-  const unassigned = tasks.filter(
-    (t) => t.status?.toLowerCase() === "unassigned"
-  );
+  const withStatus = (key) => tasks.filter((t) => toStatusKey(t.status) === key);
+
+  const completed = withStatus(TASK_STATUSES.COMPLETED);
+  const underReview = withStatus(TASK_STATUSES.UNDER_REVIEW);
+  const ongoing = withStatus(TASK_STATUSES.ONGOING);
+  const unassigned = withStatus(TASK_STATUSES.UNASSIGNED);
 
   return { completed, underReview, ongoing, unassigned };
 };
 
+/**
+ * Percent-complete of a task: the server-computed `progress` when present,
+ * otherwise 100 for completed tasks and 0 for the rest
+ * @param {Object} task - Task with status and optional progress
+ * @returns {number} 0-100
+ */
+export const getTaskProgress = (task) => {
+  if (typeof task?.progress === "number") return task.progress;
+  return isCompletedStatus(task?.status) ? 100 : 0;
+};
+
 /**
  * Calculate project statistics from tasks
  * @param {Object[]} tasks - Array of tasks
- * @returns {Object} Statistics object with counts
+ * @returns {Object} Statistics object with counts and the average task progress (percent)
  */
 export const getProjectStats = (tasks) => {
   const total = tasks.length;
-  const completed = tasks.filter(
-    (t) => t.status?.toLowerCase() === "completed"
-  ).length;
-  const ongoing = tasks.filter(
-    (t) => t.status?.toLowerCase() === "ongoing"
-  ).length;
-  const underReview = tasks.filter(
-    (t) => t.status?.toLowerCase() === "under review"
-  ).length;
+  const { completed, ongoing, underReview } = groupTasksByStatus(tasks);
   const overdue = tasks.filter(
     (t) =>
       t.due_date &&
       new Date(t.due_date) < new Date() &&
-      t.status?.toLowerCase() !== "completed"
+      !isCompletedStatus(t.status)
   ).length;
 
-  return { total, completed, ongoing, underReview, overdue };
+  return {
+    total,
+    completed: completed.length,
+    ongoing: ongoing.length,
+    underReview: underReview.length,
+    overdue,
+    progress: total
+      ? Math.round(tasks.reduce((sum, t) => sum + getTaskProgress(t), 0) / total)
+      : 0,
+  };
+};
+
+/**
+ * Sum estimated vs. logged hours from tasks carrying a time_summary
+ * (estimates count for the task owner, logged hours for whoever logged them)
+ * @param {Object[]} tasks - Array of tasks with owner_id and time_summary
+ * @returns {Object} { estimated, logged, byMember: { [empId]: { estimated, logged } } }
+ */
+export const getProjectHours = (tasks) => {
+  const round = (n) => Math.round(n * 100) / 100;
+  const byMember = {};
+  const member = (empId) => {
+    if (!byMember[empId]) byMember[empId] = { estimated: 0, logged: 0 };
+    return byMember[empId];
+  };
+  let estimated = 0;
+  let logged = 0;
+
+  tasks.forEach((t) => {
+    const summary = t.time_summary;
+    if (!summary) return;
+    const taskEstimate = Number(summary.estimated_hours) || 0;
+    estimated += taskEstimate;
+    logged += Number(summary.logged_hours) || 0;
+    if (t.owner_id && taskEstimate) member(String(t.owner_id)).estimated += taskEstimate;
+    Object.entries(summary.logged_by_employee || {}).forEach(([empId, hours]) => {
+      member(empId).logged += Number(hours) || 0;
+    });
+  });
+
+  Object.values(byMember).forEach((m) => {
+    m.estimated = round(m.estimated);
+    m.logged = round(m.logged);
+  });
+
+  return { estimated: round(estimated), logged: round(logged), byMember };
 };
 
 /**
@@ -138,7 +184,7 @@ export const hasProjectAccess = (project, userEmpId, userRole) => {
 export const processTasksForReport = (tasks) => {
   if (!tasks || !Array.isArray(tasks)) {
     return {
-      stats: { total: 0, completed: 0, ongoing: 0, underReview: 0, overdue: 0 },
+      stats: { total: 0, completed: 0, ongoing: 0, underReview: 0, overdue: 0, progress: 0 },
       tasksByStatus: { completed: [], underReview: [], ongoing: [], unassigned: [] },
       sortedTasks: [],
       hasData: false,
@@ -157,3 +203,59 @@ export const processTasksForReport = (tasks) => {
   };
 };
 
+
+/**
+ * A custom field value as shown in reports: multi-select values joined with "; ",
+ * people by name, options removed from the field left out
+ * @param {Object} field - Custom field definition
+ * @param {*} value - Stored value
+ * @param {Object} [memberNames] - emp_id -> name
+ * @returns {string}
+ */
+export const formatCustomFieldValue = (field, value, memberNames = {}) => {
+  if (value === null || value === undefined || value === "") return "";
+  const options = field.options || [];
+  if (field.type === "multi_select") {
+    return (Array.isArray(value) ? value : [value]).filter((v) => options.includes(v)).join("; ");
+  }
+  if (field.type === "select") return options.includes(value) ? String(value) : "";
+  if (field.type === "user") return memberNames[value] || String(value);
+  return String(value);
+};
+
+// Quote a CSV cell when it holds a separator, quote or line break
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows of cells as CSV text (CRLF line endings, as spreadsheet apps expect)
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+/**
+ * CSV of a project's tasks with one column per custom field
+ * @param {Object[]} tasks - Tasks (with owner_name and custom_fields)
+ * @param {Object[]} [fields] - The project's custom field definitions
+ * @param {Object} [options]
+ * @param {Object} [options.memberNames] - emp_id -> name, for person fields
+ * @param {Function} [options.getStatusLabel] - Status display label
+ * @returns {string}
+ */
+export const buildTaskCsv = (tasks = [], fields = [], { memberNames = {}, getStatusLabel = (s) => s } = {}) => {
+  const header = ["ID", "Title", "Status", "Priority", "Owner", "Due date", "Progress (%)", ...fields.map((f) => f.label)];
+  const rows = tasks.map((task) => [
+    task.id,
+    task.title,
+    getStatusLabel(task.status),
+    task.priority ?? "",
+    task.owner_name || task.owner_id || "",
+    task.due_date ? String(task.due_date).slice(0, 10) : "",
+    getTaskProgress(task),
+    ...fields.map((field) => formatCustomFieldValue(field, task.custom_fields?.[field.id], memberNames)),
+  ]);
+  return toCsv([header, ...rows]);
+};
@@ -1736,20 +1736,20 @@ describe.skipIf(skipIntegrationTests)(
           console.log("✅ File removal successful");
         });
 
-        it("should reject non-PDF file uploads", async () => {
-          console.log("🧪 Testing non-PDF file rejection...");
+        it("should reject file types outside the attachment allow-list", async () => {
+          console.log("🧪 Testing disallowed file type rejection...");
 
-          // Create a mock text file
-          const txtBuffer = Buffer.from("This is a text file");
+          // Executables are not on the attachment allow-list
+          const exeBuffer = Buffer.from("MZ not really a program");
 
           const response = await request(app)
             .put(`/tasks/${ownedTaskId}`)
             .set("Authorization", `Bearer ${staffToken}`)
-            .attach("file", txtBuffer, "document.txt");
+            .attach("file", exeBuffer, "program.exe");
 
           // Should reject with 400 or 415 (Unsupported Media Type)
           expect(response.status).toBeGreaterThanOrEqual(400);
-          console.log("✅ Non-PDF file rejected as expected");
+          console.log("✅ Disallowed file type rejected as expected");
         });
 
         it("should reject file uploads exceeding 10MB limit", async () => {
@@ -5,8 +5,11 @@ import {
   PRIORITY_COLORS,
   TASK_STATUSES,
   STATUS_LEVELS,
+  toStatusKey,
+  isCompletedStatus,
   getPriorityConfig
 } from '../../../src/constants/taskConstants.js';
+import { STATUS_KEYS } from '../../../server/services/workflowService.js';
 
 describe('Task Constants', () => {
   describe('TASK_PRIORITIES', () => {
@@ -60,10 +63,40 @@ describe('Task Constants', () => {
 
     it('should have correct status values', () => {
       expect(TASK_STATUSES.UNASSIGNED).toBe('unassigned');
-      expect(TASK_STATUSES.ONGOING).toBe('on going');
-      expect(TASK_STATUSES.UNDER_REVIEW).toBe('under_review');
+      expect(TASK_STATUSES.ONGOING).toBe('ongoing');
+      expect(TASK_STATUSES.UNDER_REVIEW).toBe('under review');
       expect(TASK_STATUSES.COMPLETED).toBe('completed');
     });
+
+    it('should list every status in workflow order', () => {
+      expect(STATUS_LEVELS).toEqual(['unassigned', 'ongoing', 'under review', 'completed']);
+    });
+
+    it('should name the statuses of the server workflow', () => {
+      expect(Object.values(TASK_STATUSES).sort()).toEqual([...STATUS_KEYS].sort());
+    });
+  });
+
+  describe('toStatusKey', () => {
+    it('should resolve stored and legacy spellings to workflow keys', () => {
+      expect(toStatusKey('Under Review')).toBe('under review');
+      expect(toStatusKey('under_review')).toBe('under review');
+      expect(toStatusKey('on going')).toBe('ongoing');
+      expect(toStatusKey('In_Progress')).toBe('ongoing');
+      expect(toStatusKey('Completed')).toBe('completed');
+    });
+
+    it('should return null for unknown or empty statuses', () => {
+      expect(toStatusKey('pending')).toBeNull();
+      expect(toStatusKey(null)).toBeNull();
+      expect(toStatusKey(undefined)).toBeNull();
+    });
+
+    it('should detect completed statuses', () => {
+      expect(isCompletedStatus('COMPLETED')).toBe(true);
+      expect(isCompletedStatus('done')).toBe(true);
+      expect(isCompletedStatus('ongoing')).toBe(false);
+    });
   });
 
   describe('getPriorityConfig', () => {
@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for the attachment storage adapters
+ *
+ * Tests upload, removal and signed URLs against a temporary directory, and bucket selection
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage, getAttachmentStorage } from '../../../server/lib/attachmentStorage.js';
+
+describe('Attachment Storage - Local Adapter', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-test-'));
+    storage = createLocalStorage(rootDir, { secret: 'test-secret' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('should upload and read back a file', async () => {
+    await storage.upload('tasks/1/report.txt', Buffer.from('hello'));
+    const content = await storage.read('tasks/1/report.txt');
+    expect(content.toString()).toBe('hello');
+  });
+
+  it('should not overwrite an existing file', async () => {
+    await storage.upload('tasks/1/report.txt', Buffer.from('v1'));
+    await expect(storage.upload('tasks/1/report.txt', Buffer.from('v2'))).rejects.toThrow();
+  });
+
+  it('should reject paths outside the storage root', async () => {
+    await expect(storage.upload('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage path');
+  });
+
+  it('should remove files and ignore missing ones', async () => {
+    await storage.upload('tasks/1/a.txt', Buffer.from('a'));
+    await storage.remove(['tasks/1/a.txt', 'tasks/1/missing.txt']);
+    await expect(storage.read('tasks/1/a.txt')).rejects.toThrow();
+  });
+
+  it('should create signed URLs that verify until they expire', async () => {
+    await storage.upload('tasks/1/a.txt', Buffer.from('a'));
+    const now = Date.parse('2025-11-01T12:00:00Z');
+    const url = await storage.createSignedUrl('tasks/1/a.txt', 60, now);
+
+    expect(storage.verifySignedUrl(url, now + 30 * 1000)).toBe('tasks/1/a.txt');
+    expect(storage.verifySignedUrl(url, now + 120 * 1000)).toBeNull();
+  });
+
+  it('should reject tampered signed URLs', async () => {
+    await storage.upload('tasks/1/a.txt', Buffer.from('a'));
+    const url = await storage.createSignedUrl('tasks/1/a.txt', 60);
+    const tampered = url.replace('tasks%2F1%2Fa.txt', 'tasks%2F2%2Fa.txt');
+
+    expect(storage.verifySignedUrl(tampered)).toBeNull();
+    expect(storage.verifySignedUrl('not a url')).toBeNull();
+  });
+
+  it('should fail to sign URLs for missing files', async () => {
+    await expect(storage.createSignedUrl('tasks/1/missing.txt', 60)).rejects.toThrow();
+  });
+});
+
+describe('Attachment Storage - Supabase Adapter', () => {
+  it('should use the attachments bucket unless a version names another', () => {
+    const supabase = { storage: { from: () => ({}) } };
+    expect(getAttachmentStorage(supabase).bucket).toBe('task-attachment');
+    expect(getAttachmentStorage(supabase, { bucket: 'task-files' }).bucket).toBe('task-files');
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseRRule,
+  formatRRule,
+  isRRule,
+  iterateRRule,
+  nextRRuleOccurrence,
+} from "../../../server/lib/rrule.js";
+
+const take = (text, start, count = 6) => {
+  const { rule, error } = parseRRule(text);
+  if (error) throw new Error(error);
+  const dates = [];
+  for (const date of iterateRRule(rule, start)) {
+    dates.push(date);
+    if (dates.length >= count) break;
+  }
+  return dates;
+};
+
+describe("rrule", () => {
+  it("parses and normalises a rule", () => {
+    const { rule, error } = parseRRule("RRULE:freq=monthly;byday=-1fr;interval=1");
+    expect(error).toBeNull();
+    expect(rule.byDay).toEqual([{ weekday: 5, n: -1 }]);
+    expect(formatRRule(rule)).toBe("FREQ=MONTHLY;BYDAY=-1FR");
+    expect(formatRRule(parseRRule("FREQ=DAILY;UNTIL=20261231T235959Z").rule)).toBe("FREQ=DAILY;UNTIL=20261231");
+  });
+
+  it("rejects invalid and unsupported rules", () => {
+    expect(parseRRule("").error).toBe("Recurrence rule is empty");
+    expect(parseRRule("INTERVAL=2").error).toBe("FREQ is required");
+    expect(parseRRule("FREQ=HOURLY").error).toMatch(/^FREQ must be one of/);
+    expect(parseRRule("FREQ=DAILY;BYHOUR=9").error).toBe("BYHOUR is not supported");
+    expect(parseRRule("FREQ=DAILY;COUNT=2;UNTIL=20261231").error).toBe("COUNT and UNTIL cannot both be set");
+    expect(parseRRule("FREQ=WEEKLY;BYDAY=1MO").error).toMatch(/ordinals/);
+    expect(parseRRule("FREQ=WEEKLY;BYMONTHDAY=1").error).toMatch(/BYMONTHDAY cannot be used/);
+    expect(parseRRule("FREQ=MONTHLY;BYMONTHDAY=32").error).toMatch(/^BYMONTHDAY must be/);
+    expect(parseRRule("FREQ=DAILY;BYSETPOS=1").error).toMatch(/^BYSETPOS needs/);
+    expect(parseRRule("FREQ=DAILY;FREQ=WEEKLY").error).toBe("FREQ is given more than once");
+    expect(parseRRule("FREQ=DAILY;UNTIL=20260230").error).toMatch(/^UNTIL must be/);
+  });
+
+  it("tells RRULEs from named patterns", () => {
+    expect(isRRule("FREQ=DAILY")).toBe(true);
+    expect(isRRule("RRULE:FREQ=DAILY")).toBe(true);
+    expect(isRRule("INTERVAL=2;FREQ=DAILY")).toBe(true);
+    expect(isRRule("weekly")).toBe(false);
+    expect(isRRule(null)).toBe(false);
+  });
+
+  it("expands weekly rules with several days and an interval", () => {
+    expect(take("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE", "2026-10-19")).toEqual([
+      "2026-10-19", "2026-10-21", "2026-11-02", "2026-11-04", "2026-11-16", "2026-11-18",
+    ]);
+  });
+
+  it("expands the last Friday of the month with BYSETPOS or an ordinal", () => {
+    const expected = ["2026-10-30", "2026-11-27", "2026-12-25", "2027-01-29"];
+    expect(take("FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1", "2026-10-01", 4)).toEqual(expected);
+    expect(take("FREQ=MONTHLY;BYDAY=-1FR", "2026-10-01", 4)).toEqual(expected);
+  });
+
+  it("skips months without the day instead of moving it", () => {
+    expect(take("FREQ=MONTHLY;BYMONTHDAY=31", "2026-01-31", 3)).toEqual(["2026-01-31", "2026-03-31", "2026-05-31"]);
+    expect(take("FREQ=MONTHLY;BYMONTHDAY=-1", "2026-01-31", 3)).toEqual(["2026-01-31", "2026-02-28", "2026-03-31"]);
+    expect(take("FREQ=YEARLY", "2024-02-29", 2)).toEqual(["2024-02-29", "2028-02-29"]);
+  });
+
+  it("expands yearly rules by month and weekday", () => {
+    expect(take("FREQ=YEARLY;BYMONTH=11;BYDAY=4TH", "2026-01-01", 3)).toEqual(["2026-11-26", "2027-11-25", "2028-11-23"]);
+    expect(take("FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1", "2026-11-01", 2)).toEqual(["2026-11-02", "2026-12-01"]);
+  });
+
+  it("stops at COUNT, UNTIL or when nothing matches", () => {
+    expect(take("FREQ=DAILY;COUNT=3", "2026-10-19", 10)).toEqual(["2026-10-19", "2026-10-20", "2026-10-21"]);
+    expect(take("FREQ=DAILY;UNTIL=20261021", "2026-10-19", 10)).toEqual(["2026-10-19", "2026-10-20", "2026-10-21"]);
+    expect(take("FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30", "2026-01-01")).toEqual([]);
+  });
+
+  it("finds the next occurrence after a date", () => {
+    const { rule } = parseRRule("FREQ=WEEKLY;BYDAY=MO,TH");
+    expect(nextRRuleOccurrence(rule, "2026-10-19")).toBe("2026-10-22");
+    expect(nextRRuleOccurrence(rule, "2026-10-19", "2026-10-22")).toBe("2026-10-26");
+    expect(nextRRuleOccurrence(parseRRule("FREQ=DAILY;COUNT=2").rule, "2026-10-19", "2026-10-20")).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for the streaming CSV and XLSX writers
+ *
+ * Tests cell quoting, sheet XML and that the written XLSX is a readable ZIP whose
+ * entries match their checksums
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PassThrough } from 'stream';
+import zlib from 'zlib';
+import {
+  csvCell,
+  crc32,
+  columnName,
+  sheetRow,
+  createCsvWriter,
+  createXlsxWriter,
+} from '../../../server/lib/spreadsheetWriter.js';
+
+// Run a writer against an in-memory stream and return everything written
+async function collect(makeWriter, batches) {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+  const writer = makeWriter(out);
+  for (const rows of batches) await writer.writeRows(rows);
+  await writer.end();
+  out.end();
+  return Buffer.concat(chunks);
+}
+
+// Entries of a ZIP file, read through its central directory
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+  for (let i = 0; i < count; i += 1) {
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+    entries[name] = { crc, data };
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('Spreadsheet Writer', () => {
+  it('quotes CSV cells only when needed', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('a,b')).toBe('"a,b"');
+    expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(0)).toBe('0');
+  });
+
+  it('writes CSV with a byte order mark, header and CRLF lines', async () => {
+    const text = (await collect((out) => createCsvWriter(out, ['ID', 'Title']), [[[1, 'One']], [[2, 'Two, too']]])).toString('utf8');
+    expect(text).toBe('﻿ID,Title\r\n1,One\r\n2,"Two, too"\r\n');
+  });
+
+  it('still writes the header of an empty CSV export', async () => {
+    const text = (await collect((out) => createCsvWriter(out, ['ID']), [])).toString('utf8');
+    expect(text).toBe('﻿ID\r\n');
+  });
+
+  it('names columns like a spreadsheet', () => {
+    expect([0, 25, 26, 51, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'AZ', 'ZZ', 'AAA']);
+  });
+
+  it('computes standard CRC-32 checksums, also in pieces', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.from('6789'), crc32(Buffer.from('12345')))).toBe(0xcbf43926);
+  });
+
+  it('writes numbers as numbers and escapes text in sheet rows', () => {
+    expect(sheetRow([1, 'a<b & "c"', null], 2)).toBe(
+      '<row r="2"><c r="A2"><v>1</v></c><c r="B2" t="inlineStr"><is><t xml:space="preserve">a&lt;b &amp; &quot;c&quot;</t></is></c></row>'
+    );
+    expect(sheetRow(['Bold'], 1, true)).toContain('s="1"');
+    expect(sheetRow(['bell\u0007'], 3)).toContain('>bell</t>');
+  });
+
+  it('writes a valid XLSX package across several batches', async () => {
+    const buffer = await collect(
+      (out) => createXlsxWriter(out, ['ID', 'Title'], { sheetName: 'Tasks' }),
+      [[[1, 'First']], [[2, 'Second'], [3, 'Third']]]
+    );
+    const entries = readZip(buffer);
+    expect(Object.keys(entries)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+    ]);
+    Object.values(entries).forEach(({ crc, data }) => expect(crc32(data)).toBe(crc));
+
+    const sheet = entries['xl/worksheets/sheet1.xml'].data.toString('utf8');
+    expect(sheet).toContain('<row r="1"><c r="A1" s="1" t="inlineStr">');
+    expect(sheet).toContain('<row r="4"><c r="A4"><v>3</v></c>');
+    expect(sheet.endsWith('</sheetData></worksheet>')).toBe(true);
+    expect(entries['xl/workbook.xml'].data.toString('utf8')).toContain('<sheet name="Tasks"');
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { recordTaskHistory } from "../../../server/lib/taskAccess.js";
+
+// Inserts into task_edit_history resolve to `result`
+const makeSupabase = (result) => {
+  const inserted = [];
+  return {
+    inserted,
+    from: () => ({
+      insert: (rows) => {
+        inserted.push(...rows);
+        return Promise.resolve(result);
+      },
+    }),
+  };
+};
+
+describe("taskAccess", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("recordTaskHistory", () => {
+    it("writes one history row", async () => {
+      const supabase = makeSupabase({ data: null, error: null });
+      const written = await recordTaskHistory(supabase, {
+        taskId: 7,
+        empId: "E1",
+        userId: "u-1",
+        action: "comment_create",
+        details: { comment_id: 3 },
+      });
+
+      expect(written).toBe(true);
+      expect(supabase.inserted).toEqual([{
+        task_id: 7,
+        editor_emp_id: "E1",
+        editor_user_id: "u-1",
+        action: "comment_create",
+        details: { comment_id: 3 },
+      }]);
+    });
+
+    it("reports an insert that returns an error", async () => {
+      const logged = vi.spyOn(console, "error").mockImplementation(() => {});
+      const supabase = makeSupabase({ data: null, error: { message: "permission denied" } });
+
+      const written = await recordTaskHistory(supabase, { taskId: 7, empId: "E1", userId: "u-1", action: "tag_update" });
+
+      expect(written).toBe(false);
+      expect(logged).toHaveBeenCalledWith("Failed to write task history (tag_update):", { message: "permission denied" });
+    });
+  });
+});
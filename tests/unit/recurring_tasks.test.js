@@ -14,6 +14,9 @@
  * - CS-US75-TC-2: Recurring task with count limit
  * - Date calculations for all patterns
  * - End conditions (date, count, both)
+ * - Skipped and moved occurrences, pausing and resuming a series
+ * - Previews of upcoming occurrences and calendar projections
+ * - Next instances created from the series' values after a one-off edit
  * - Edge cases and error handling
  */
 
@@ -22,7 +25,17 @@ import {
   calculateNextOccurrence,
   shouldContinueRecurrence,
   createRecurringTask,
-  handleTaskCompletion
+  handleTaskCompletion,
+  parseRecurrenceRule,
+  listNextOccurrences,
+  validateException,
+  anchorOccurrence,
+  planResumedOccurrence,
+  getLatestInstance,
+  parsePreviewCount,
+  previewRecurrence,
+  previewSeries,
+  projectOccurrences
 } from '../../server/services/recurrenceService.js';
 
 // ============================================================================
@@ -68,6 +81,10 @@ const createMockSupabase = () => {
               data: mockData[table].slice(0, 1),
               error: null
             }))
+          })),
+          is: vi.fn(() => ({
+            data: [],
+            error: null
           }))
         })),
         order: vi.fn(() => ({
@@ -446,6 +463,317 @@ describe('[UNIT] Recurring Tasks - handleTaskCompletion', () => {
   });
 });
 
+describe('[UNIT] Recurring Tasks - RRULE recurrence', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabase();
+  });
+
+  it('should follow an RRULE passed as the pattern', () => {
+    const lastFriday = 'FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1';
+    const next = calculateNextOccurrence(new Date('2026-10-30'), lastFriday);
+    expect(next.toISOString().split('T')[0]).toBe('2026-11-27');
+
+    const twiceWeekly = 'FREQ=WEEKLY;BYDAY=MO,TH';
+    expect(calculateNextOccurrence(new Date('2026-10-19'), twiceWeekly).toISOString().split('T')[0]).toBe('2026-10-22');
+  });
+
+  it('should return null once the rule has passed UNTIL', () => {
+    expect(calculateNextOccurrence(new Date('2026-10-19'), 'FREQ=WEEKLY;UNTIL=20261025')).toBeNull();
+  });
+
+  it('should reject an invalid RRULE', () => {
+    expect(() => calculateNextOccurrence(new Date('2026-10-19'), 'FREQ=WEEKLY;BYDAY=2MO')).toThrow('Invalid recurrence rule');
+  });
+
+  it('should derive the recurrence columns from a rule', () => {
+    const { fields, error } = parseRecurrenceRule('rrule:freq=weekly;interval=2;byday=we,mo;count=6');
+    expect(error).toBeNull();
+    expect(fields).toEqual({
+      recurrence_rule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=WE,MO;COUNT=6',
+      recurrence_pattern: 'weekly',
+      recurrence_interval: 2,
+      recurrence_count: 6,
+      recurrence_end_date: null
+    });
+
+    expect(parseRecurrenceRule('FREQ=MONTHLY;UNTIL=20261231').fields.recurrence_end_date).toBe('2026-12-31');
+    expect(parseRecurrenceRule('FREQ=HOURLY').error).toMatch(/^Invalid recurrence rule: FREQ must be one of/);
+  });
+
+  it('should create the next instance on the rule and carry the rule over', async () => {
+    mockSupabase.mockData.tasks.push({
+      id: 100,
+      title: 'Month-end report',
+      due_date: '2026-10-30',
+      status: 'completed',
+      is_recurring: true,
+      recurrence_pattern: 'monthly',
+      recurrence_interval: 1,
+      recurrence_rule: 'FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1',
+      owner_id: 1001,
+      recurrence_series_id: 'series-123',
+      recurrence_count: 1,
+      recurrence_max_count: null
+    });
+
+    const result = await handleTaskCompletion(mockSupabase, 100);
+
+    expect(result.success).toBe(true);
+    expect(result.nextTask.due_date).toBe('2026-11-27');
+    expect(result.nextTask.recurrence_rule).toBe('FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1');
+  });
+});
+
+describe('[UNIT] Recurring Tasks - Series exceptions', () => {
+  const weekly = {
+    id: 100,
+    due_date: '2026-10-19', // Monday
+    status: 'ongoing',
+    is_recurring: true,
+    recurrence_pattern: 'weekly',
+    recurrence_interval: 1,
+    recurrence_series_id: 'series-123',
+    recurrence_count: 1,
+    recurrence_max_count: null
+  };
+  const skip = (date) => ({ occurrence_date: date, action: 'skip', new_date: null });
+  const move = (date, newDate) => ({ occurrence_date: date, action: 'reschedule', new_date: newDate });
+
+  it('should pass over skipped dates but still count them', () => {
+    const next = listNextOccurrences(weekly, [skip('2026-10-26')], { count: 2 });
+    expect(next.map((o) => o.due_date)).toEqual(['2026-11-02', '2026-11-09']);
+    expect(next[0].recurrence_count).toBe(3);
+
+    const withSkipped = listNextOccurrences(weekly, [skip('2026-10-26')], { count: 2, includeSkipped: true });
+    expect(withSkipped[0]).toEqual({ occurrence_date: '2026-10-26', due_date: null, recurrence_count: 2, exception: 'skip' });
+  });
+
+  it('should move a rescheduled occurrence without shifting the series', () => {
+    const next = listNextOccurrences(weekly, [move('2026-10-26', '2026-10-28')], { count: 2 });
+    expect(next[0]).toEqual({ occurrence_date: '2026-10-26', due_date: '2026-10-28', recurrence_count: 2, exception: 'reschedule' });
+    expect(next[1].due_date).toBe('2026-11-02');
+  });
+
+  it('should continue from the series date of a moved instance', () => {
+    const moved = { ...weekly, due_date: '2026-10-21', recurrence_occurrence_date: '2026-10-19' };
+    expect(listNextOccurrences(moved)[0].due_date).toBe('2026-10-26');
+  });
+
+  it('should stop at the maximum count when skips use it up', () => {
+    const limited = { ...weekly, recurrence_max_count: 2 };
+    expect(listNextOccurrences(limited, [skip('2026-10-26')])).toEqual([]);
+  });
+
+  it('should only accept upcoming occurrences of the series', () => {
+    const today = '2026-10-19';
+    expect(validateException(weekly, [], { action: 'skip', date: '2026-10-26', today }).error).toBeNull();
+    expect(validateException(weekly, [], { action: 'skip', date: '26/10/2026', today }).error).toBe('date must be a date (YYYY-MM-DD)');
+    expect(validateException(weekly, [], { action: 'skip', date: '2026-10-19', today }).error).toMatch(/^Only occurrences after the current task/);
+    expect(validateException(weekly, [], { action: 'skip', date: '2026-10-27', today }).error).toBe('date is not an upcoming occurrence of this series');
+    expect(validateException(weekly, [], { action: 'reschedule', date: '2026-10-26', today }).error).toBe('new_date must be a date (YYYY-MM-DD)');
+    expect(validateException(weekly, [], { action: 'reschedule', date: '2026-10-26', newDate: '2026-10-26', today }).error).toBe('new_date must differ from the occurrence date');
+    expect(validateException(weekly, [], { action: 'reschedule', date: '2026-10-26', newDate: '2026-10-01', today }).error).toBe('new_date cannot be in the past');
+  });
+
+  it('should allow changing an occurrence that is already skipped', () => {
+    const { error, occurrence } = validateException(weekly, [skip('2026-10-26')], { action: 'reschedule', date: '2026-10-26', newDate: '2026-10-27', today: '2026-10-19' });
+    expect(error).toBeNull();
+    expect(occurrence.recurrence_count).toBe(2);
+  });
+
+  it('should pick the instance with the highest occurrence number', () => {
+    const latest = getLatestInstance([{ id: 1, recurrence_count: 1 }, { id: 3, recurrence_count: 2 }, { id: 2, recurrence_count: 2 }]);
+    expect(latest.id).toBe(3);
+    expect(getLatestInstance([])).toBeNull();
+  });
+});
+
+describe('[UNIT] Recurring Tasks - Pause and resume', () => {
+  const weekly = {
+    id: 100,
+    due_date: '2026-10-05', // Monday
+    status: 'completed',
+    is_recurring: true,
+    recurrence_pattern: 'weekly',
+    recurrence_interval: 1,
+    recurrence_weekday: 1,
+    recurrence_series_id: 'series-123',
+    recurrence_count: 3,
+    recurrence_max_count: null
+  };
+
+  it('should anchor a resumed series on its next date from the resume day', () => {
+    expect(anchorOccurrence(weekly, '2026-10-21')).toBe('2026-10-26');
+    expect(anchorOccurrence(weekly, '2026-10-26')).toBe('2026-10-26');
+    expect(anchorOccurrence({ ...weekly, recurrence_rule: 'FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1' }, '2026-10-19')).toBe('2026-10-30');
+    expect(anchorOccurrence({ ...weekly, recurrence_pattern: 'daily', recurrence_weekday: null }, '2026-10-21')).toBe('2026-10-21');
+  });
+
+  it('should not make up dates missed while paused', () => {
+    const planned = planResumedOccurrence(weekly, [], '2026-10-21');
+    expect(planned).toEqual({ occurrence_date: '2026-10-26', due_date: '2026-10-26', recurrence_count: 4, exception: null });
+  });
+
+  it('should move an open instance instead of numbering a new one', () => {
+    const planned = planResumedOccurrence({ ...weekly, status: 'ongoing' }, [], '2026-10-21');
+    expect(planned.recurrence_count).toBe(3);
+  });
+
+  it('should pass over a skipped date when resuming', () => {
+    const skipped = [{ occurrence_date: '2026-10-26', action: 'skip', new_date: null }];
+    const planned = planResumedOccurrence(weekly, skipped, '2026-10-21');
+    expect(planned.due_date).toBe('2026-11-02');
+    expect(planned.recurrence_count).toBe(5);
+  });
+
+  it('should not resume past the end of the series', () => {
+    expect(planResumedOccurrence({ ...weekly, recurrence_end_date: '2026-10-20' }, [], '2026-10-21')).toBeNull();
+    expect(planResumedOccurrence({ ...weekly, recurrence_max_count: 3 }, [], '2026-10-21')).toBeNull();
+  });
+
+  it('should create no next task while the series is paused', async () => {
+    const mockSupabase = createMockSupabase();
+    mockSupabase.mockData.tasks.push({ ...weekly, recurrence_paused_at: '2026-10-10T09:00:00Z' });
+
+    const result = await handleTaskCompletion(mockSupabase, 100);
+
+    expect(result.success).toBe(true);
+    expect(result.message).toBe('Recurrence series is paused');
+    expect(result.nextTask).toBeUndefined();
+    expect(mockSupabase.mockData.tasks).toHaveLength(1);
+  });
+
+  it('should leave a series generated on schedule to the schedule job', async () => {
+    const mockSupabase = createMockSupabase();
+    mockSupabase.mockData.tasks.push({ ...weekly, recurrence_generation: 'on_schedule' });
+
+    const result = await handleTaskCompletion(mockSupabase, 100);
+
+    expect(result.success).toBe(true);
+    expect(result.message).toBe('Recurrence series is generated on schedule');
+    expect(mockSupabase.mockData.tasks).toHaveLength(1);
+  });
+});
+
+describe('[UNIT] Recurring Tasks - Series edits', () => {
+  it('should create the next task from the series values, not a one-off edit', async () => {
+    const mockSupabase = createMockSupabase();
+    mockSupabase.mockData.tasks.push({
+      id: 100,
+      title: 'Weekly report (short week)',
+      description: 'Send to the team',
+      due_date: '2026-10-05',
+      status: 'completed',
+      priority: 8,
+      owner_id: 'E1',
+      collaborators: ['E2'],
+      is_recurring: true,
+      recurrence_pattern: 'weekly',
+      recurrence_interval: 1,
+      recurrence_series_id: 'series-123',
+      recurrence_count: 1,
+      recurrence_series_values: {
+        title: 'Weekly report',
+        priority: 5,
+        subtasks: [{ title: 'Draft', description: null, priority: 3 }]
+      }
+    });
+
+    const result = await handleTaskCompletion(mockSupabase, 100);
+
+    expect(result.nextTask).toMatchObject({ title: 'Weekly report', priority: 5, description: 'Send to the team', collaborators: ['E2'] });
+    expect(result.nextTask.recurrence_series_values).toBeUndefined();
+    expect(mockSupabase.mockData.sub_task).toEqual([
+      expect.objectContaining({ parent_task_id: result.nextTask.id, title: 'Draft', priority: 3, position: 0, owner_id: 1 })
+    ]);
+  });
+});
+
+describe('[UNIT] Recurring Tasks - Previews', () => {
+  const today = '2026-10-19';
+
+  it('should list the first dates of unsaved settings, starting with the due date', () => {
+    const { occurrences, error } = previewRecurrence({ due_date: '2026-10-19', recurrence_pattern: 'daily', recurrence_interval: 2 }, { count: 3, today });
+    expect(error).toBeNull();
+    expect(occurrences.map((o) => o.due_date)).toEqual(['2026-10-19', '2026-10-21', '2026-10-23']);
+    expect(occurrences.map((o) => o.recurrence_count)).toEqual([1, 2, 3]);
+  });
+
+  it('should start from today without a due date', () => {
+    const { occurrences } = previewRecurrence({ recurrence_pattern: 'weekly' }, { count: 2, today });
+    expect(occurrences.map((o) => o.due_date)).toEqual(['2026-10-19', '2026-10-26']);
+  });
+
+  it('should stop at the end date and maximum count', () => {
+    const byDate = previewRecurrence({ due_date: '2026-10-19', recurrence_pattern: 'weekly', recurrence_end_date: '2026-11-01' }, { today });
+    expect(byDate.occurrences).toHaveLength(2);
+    const byCount = previewRecurrence({ due_date: '2026-10-19', recurrence_rule: 'FREQ=DAILY;COUNT=3' }, { today });
+    expect(byCount.occurrences).toHaveLength(3);
+  });
+
+  it('should explain how a month-based pattern rolls over at month end', () => {
+    const { occurrences, notes } = previewRecurrence({ due_date: '2026-01-31', recurrence_pattern: 'monthly' }, { count: 3, today });
+    expect(occurrences.map((o) => o.due_date)).toEqual(['2026-01-31', '2026-03-03', '2026-04-03']);
+    expect(notes).toHaveLength(1);
+    expect(notes[0]).toMatch(/^Day 31 does not exist in every month: the occurrence after 2026-01-31 falls on 2026-03-03/);
+
+    expect(previewRecurrence({ due_date: '2026-01-15', recurrence_pattern: 'monthly' }, { today }).notes).toEqual([]);
+  });
+
+  it('should explain that a rule skips months without the day', () => {
+    const { occurrences, notes } = previewRecurrence({ due_date: '2026-01-31', recurrence_rule: 'FREQ=MONTHLY;BYMONTHDAY=31' }, { count: 3, today });
+    expect(occurrences.map((o) => o.due_date)).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+    expect(notes).toEqual(['Months without day 31 are skipped; use "last day" of the month to stay at month end.']);
+  });
+
+  it('should point out a first due date that is off the schedule', () => {
+    const { occurrences, notes } = previewRecurrence({ due_date: '2026-10-19', recurrence_rule: 'FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1' }, { count: 2, today });
+    expect(occurrences.map((o) => o.due_date)).toEqual(['2026-10-19', '2026-10-30']);
+    expect(notes[0]).toMatch(/off the schedule/);
+  });
+
+  it('should reject invalid settings', () => {
+    expect(previewRecurrence({ recurrence_pattern: 'hourly' }, { today }).error).toMatch(/^Invalid recurrence pattern/);
+    expect(previewRecurrence({}, { today }).error).toBe('Recurrence pattern is required for recurring tasks');
+    expect(previewRecurrence({ recurrence_rule: 'FREQ=HOURLY' }, { today }).error).toMatch(/^Invalid recurrence rule/);
+    expect(previewRecurrence({ due_date: '2026-02-30', recurrence_pattern: 'daily' }, { today }).error).toBe('due_date must be a date (YYYY-MM-DD)');
+    expect(previewRecurrence({ recurrence_pattern: 'daily', recurrence_interval: 0.5 }, { today }).error).toBe('recurrence_interval must be a positive whole number');
+    expect(previewRecurrence({ recurrence_pattern: 'weekly', recurrence_weekday: 7 }, { today }).error).toBe('recurrence_weekday must be 0 (Sunday) to 6 (Saturday)');
+    expect(previewRecurrence({ due_date: '2026-10-19', recurrence_pattern: 'daily', recurrence_end_date: '2026-10-01' }, { today }).error).toBe('The series ends before its first due date');
+  });
+
+  it('should parse the preview count', () => {
+    expect(parsePreviewCount(undefined)).toBe(10);
+    expect(parsePreviewCount('5')).toBe(5);
+    expect(parsePreviewCount('0')).toBeNull();
+    expect(parsePreviewCount('51')).toBeNull();
+    expect(parsePreviewCount('abc')).toBeNull();
+  });
+
+  it('should preview a saved series from its latest instance', () => {
+    const latest = { id: 5, due_date: '2026-10-19', status: 'ongoing', recurrence_pattern: 'weekly', recurrence_interval: 1, recurrence_count: 4 };
+    const skipped = [{ occurrence_date: '2026-10-26', action: 'skip', new_date: null }];
+    const { occurrences } = previewSeries(latest, skipped, { count: 2 });
+    expect(occurrences).toEqual([
+      { occurrence_date: '2026-10-26', due_date: null, recurrence_count: 5, exception: 'skip' },
+      { occurrence_date: '2026-11-02', due_date: '2026-11-02', recurrence_count: 6, exception: null }
+    ]);
+  });
+
+  it('should project open series into a date range', () => {
+    const open = { id: 5, title: 'Sync', due_date: '2026-10-19', status: 'ongoing', recurrence_pattern: 'weekly', recurrence_interval: 1, recurrence_series_id: 's1' };
+    const paused = { ...open, id: 6, recurrence_series_id: 's2', recurrence_paused_at: '2026-10-01T00:00:00Z' };
+    const done = { ...open, id: 7, recurrence_series_id: 's3', status: 'completed' };
+    const exceptions = [{ series_id: 's1', occurrence_date: '2026-11-02', action: 'skip', new_date: null }];
+
+    const projected = projectOccurrences([open, paused, done], exceptions, { from: '2026-10-20', to: '2026-11-10' });
+    expect(projected.map((o) => o.due_date)).toEqual(['2026-10-26', '2026-11-09']);
+    expect(projected[0]).toMatchObject({ task_id: 5, series_id: 's1', title: 'Sync' });
+  });
+});
+
 describe('[UNIT] Recurring Tasks - Edge Cases', () => {
   
   it('should handle completion on weekend for weekly task', () => {
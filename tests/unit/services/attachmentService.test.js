@@ -0,0 +1,246 @@
+/**
+ * Unit Tests for Attachment Service
+ *
+ * Tests MIME/size validation and version bookkeeping using an in-memory
+ * table stub and the local filesystem storage adapter
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage } from '../../../server/lib/attachmentStorage.js';
+import {
+  isMimeTypeAllowed,
+  getAllowedMimeTypes,
+  getMaxAttachmentBytes,
+  sanitizeFileName,
+  buildStoragePath,
+  validateUpload,
+  groupVersions,
+  createAttachment,
+  addVersion,
+  registerStoredFile,
+  deleteAttachment,
+  getSignedDownloadUrl,
+} from '../../../server/services/attachmentService.js';
+
+// Minimal in-memory stand-in for the Supabase query builder
+function createTableStub() {
+  const tables = { task_attachments: [], task_attachment_versions: [] };
+  let nextId = 1;
+
+  const query = (table) => {
+    const filters = [];
+    let action = 'select';
+    let payload = null;
+    let orderBy = null;
+    let limit = null;
+
+    const rows = () => tables[table].filter((r) => filters.every(([k, v]) => r[k] === v));
+    const run = () => {
+      if (action === 'insert') {
+        const row = { id: nextId++, created_at: new Date().toISOString(), ...payload };
+        tables[table].push(row);
+        return [row];
+      }
+      if (action === 'update') {
+        rows().forEach((r) => Object.assign(r, payload));
+        return rows();
+      }
+      if (action === 'delete') {
+        const removed = rows();
+        tables[table] = tables[table].filter((r) => !removed.includes(r));
+        if (table === 'task_attachments') {
+          const ids = removed.map((r) => r.id);
+          tables.task_attachment_versions = tables.task_attachment_versions.filter((v) => !ids.includes(v.attachment_id));
+        }
+        return removed;
+      }
+      let result = rows();
+      if (orderBy) {
+        const [key, ascending] = orderBy;
+        result = [...result].sort((a, b) => (ascending ? a[key] - b[key] : b[key] - a[key]));
+      }
+      return limit ? result.slice(0, limit) : result;
+    };
+
+    const builder = {
+      insert: (row) => { action = 'insert'; payload = row; return builder; },
+      update: (row) => { action = 'update'; payload = row; return builder; },
+      delete: () => { action = 'delete'; return builder; },
+      select: () => builder,
+      eq: (k, v) => { filters.push([k, v]); return builder; },
+      order: (k, { ascending }) => { orderBy = [k, ascending]; return builder; },
+      limit: (n) => { limit = n; return builder; },
+      single: () => Promise.resolve({ data: run()[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject),
+    };
+    return builder;
+  };
+
+  return { from: query, tables };
+}
+
+const makeFile = (name, content, mimetype = 'text/plain') => ({
+  originalname: name,
+  mimetype,
+  buffer: Buffer.from(content),
+  size: Buffer.byteLength(content),
+});
+
+describe('Attachment Service - Unit Tests', () => {
+  describe('isMimeTypeAllowed', () => {
+    it('should match exact types and wildcards', () => {
+      const allowList = ['application/pdf', 'image/*'];
+      expect(isMimeTypeAllowed('application/pdf', allowList)).toBe(true);
+      expect(isMimeTypeAllowed('image/png', allowList)).toBe(true);
+      expect(isMimeTypeAllowed('IMAGE/JPEG', allowList)).toBe(true);
+      expect(isMimeTypeAllowed('text/plain', allowList)).toBe(false);
+      expect(isMimeTypeAllowed(undefined, allowList)).toBe(false);
+    });
+
+    it('should allow everything with */*', () => {
+      expect(isMimeTypeAllowed('application/x-anything', ['*/*'])).toBe(true);
+    });
+  });
+
+  describe('environment configuration', () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...saved };
+    });
+
+    it('should read the allow-list and size limit from the environment', () => {
+      process.env.ATTACHMENT_ALLOWED_MIME_TYPES = 'text/plain, image/*';
+      process.env.ATTACHMENT_MAX_SIZE_MB = '2';
+      expect(getAllowedMimeTypes()).toEqual(['text/plain', 'image/*']);
+      expect(getMaxAttachmentBytes()).toBe(2 * 1024 * 1024);
+    });
+
+    it('should fall back to defaults', () => {
+      delete process.env.ATTACHMENT_ALLOWED_MIME_TYPES;
+      delete process.env.ATTACHMENT_MAX_SIZE_MB;
+      expect(getAllowedMimeTypes()).toContain('application/pdf');
+      expect(getMaxAttachmentBytes()).toBe(10 * 1024 * 1024);
+    });
+  });
+
+  describe('sanitizeFileName / buildStoragePath', () => {
+    it('should strip directories and unsafe characters', () => {
+      expect(sanitizeFileName('../../etc/pass wd?.txt')).toBe('pass_wd_.txt');
+      expect(sanitizeFileName('')).toBe('file');
+    });
+
+    it('should scope paths by task and subtask', () => {
+      expect(buildStoragePath({ taskId: 5, version: 1, fileName: 'a.pdf' })).toMatch(/^tasks\/5\/[0-9a-f-]+-v1-a\.pdf$/);
+      expect(buildStoragePath({ taskId: 5, subtaskId: 9, version: 2, fileName: 'a.pdf' })).toMatch(/^tasks\/5\/subtasks\/9\/.+-v2-a\.pdf$/);
+    });
+  });
+
+  describe('validateUpload', () => {
+    it('should reject missing, disallowed and oversized files', () => {
+      expect(validateUpload(null)).toBe('No file uploaded');
+      expect(validateUpload({ mimetype: 'application/x-msdownload', size: 1 })).toMatch(/not allowed/);
+      expect(validateUpload({ mimetype: 'application/pdf', size: 50 * 1024 * 1024 })).toBe('File is too large');
+      expect(validateUpload({ mimetype: 'application/pdf', size: 100 })).toBeNull();
+    });
+  });
+
+  describe('groupVersions', () => {
+    it('should attach versions newest first and expose the current one', () => {
+      const [attachment] = groupVersions(
+        [{ id: 1, current_version: 2 }],
+        [
+          { attachment_id: 1, version: 1, mime_type: 'text/plain', size_bytes: 3 },
+          { attachment_id: 1, version: 2, mime_type: 'application/pdf', size_bytes: 7 },
+          { attachment_id: 2, version: 1 },
+        ]
+      );
+      expect(attachment.versions.map((v) => v.version)).toEqual([2, 1]);
+      expect(attachment.current).toMatchObject({ version: 2, mime_type: 'application/pdf', size_bytes: 7 });
+    });
+  });
+
+  describe('attachment lifecycle', () => {
+    let rootDir;
+    let storage;
+    let supabase;
+
+    beforeEach(async () => {
+      rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachment-service-test-'));
+      storage = createLocalStorage(rootDir, { secret: 'test-secret' });
+      supabase = createTableStub();
+    });
+
+    afterEach(async () => {
+      await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    it('should create an attachment with version 1 stored in the adapter', async () => {
+      const attachment = await createAttachment(supabase, storage, {
+        taskId: 7,
+        file: makeFile('notes.txt', 'first'),
+        empId: 'E1',
+      });
+
+      expect(attachment.current_version).toBe(1);
+      expect(attachment.versions).toHaveLength(1);
+      const stored = await storage.read(attachment.versions[0].storage_path);
+      expect(stored.toString()).toBe('first');
+    });
+
+    it('should add versions and keep older ones downloadable', async () => {
+      const attachment = await createAttachment(supabase, storage, {
+        taskId: 7,
+        file: makeFile('notes.txt', 'first'),
+        empId: 'E1',
+      });
+      const v2 = await addVersion(supabase, storage, attachment, {
+        file: makeFile('notes-v2.txt', 'second'),
+        empId: 'E2',
+      });
+
+      expect(v2.version).toBe(2);
+      const row = supabase.tables.task_attachments[0];
+      expect(row.current_version).toBe(2);
+      expect(row.file_name).toBe('notes-v2.txt');
+
+      const v1 = supabase.tables.task_attachment_versions.find((v) => v.version === 1);
+      const url = await getSignedDownloadUrl(storage, v1, 60);
+      expect(storage.verifySignedUrl(url)).toBe(v1.storage_path);
+    });
+
+    it('should delete rows and stored files', async () => {
+      const attachment = await createAttachment(supabase, storage, {
+        taskId: 7,
+        file: makeFile('notes.txt', 'first'),
+        empId: 'E1',
+      });
+      const storagePath = attachment.versions[0].storage_path;
+
+      await deleteAttachment(supabase, storage, attachment);
+
+      expect(supabase.tables.task_attachments).toHaveLength(0);
+      expect(supabase.tables.task_attachment_versions).toHaveLength(0);
+      await expect(storage.read(storagePath)).rejects.toThrow();
+    });
+
+    it('should leave files in the legacy bucket alone when deleting', async () => {
+      await storage.upload('old-report.pdf', Buffer.from('%PDF'));
+      const attachment = await registerStoredFile(supabase, {
+        taskId: 7,
+        storagePath: 'old-report.pdf',
+        file: makeFile('old-report.pdf', '%PDF', 'application/pdf'),
+        empId: 'E1',
+      });
+      supabase.tables.task_attachment_versions[0].storage_bucket = 'task-files';
+
+      await deleteAttachment(supabase, storage, attachment);
+
+      expect(supabase.tables.task_attachments).toHaveLength(0);
+      expect((await storage.read('old-report.pdf')).toString()).toBe('%PDF');
+    });
+  });
+});
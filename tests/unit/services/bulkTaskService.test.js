@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for Bulk Task Service
+ *
+ * Tests request validation, due-date shifting, per-task planning with the PUT access
+ * rules and batched notifications
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  BULK_MAX_TASKS,
+  parseBulkRequest,
+  shiftDueDate,
+  planTaskUpdate,
+  buildBulkNotifications,
+} from '../../../server/services/bulkTaskService.js';
+
+const task = (overrides = {}) => ({
+  id: 1,
+  title: 'Quarterly report',
+  status: 'ongoing',
+  priority: 5,
+  due_date: '2026-10-20',
+  owner_id: 'E1',
+  collaborators: ['E2'],
+  project_id: null,
+  archived_at: null,
+  ...overrides,
+});
+
+describe('bulkTaskService', () => {
+  describe('parseBulkRequest', () => {
+    it('accepts task ids with operations', () => {
+      const { taskIds, ops, error } = parseBulkRequest({
+        task_ids: [1, '2', 2],
+        status: 'Completed',
+        priority: '8',
+        due_shift_days: -3,
+        owner_id: 'E5',
+        collaborators_add: ['E7'],
+        collaborators_remove: ['E2'],
+        project_id: 4,
+        archive: true,
+      });
+      expect(error).toBeNull();
+      expect(taskIds).toEqual([1, 2]);
+      expect(ops).toEqual({
+        status: 'completed',
+        priority: 8,
+        dueShiftDays: -3,
+        ownerId: 'E5',
+        collaboratorsAdd: ['E7'],
+        collaboratorsRemove: ['E2'],
+        projectId: 4,
+        archive: true,
+      });
+    });
+
+    it('accepts a search filter instead of ids', () => {
+      const { taskIds, filter, error } = parseBulkRequest({ filter: { owner_id: 'E1' }, priority: 2 });
+      expect(error).toBeNull();
+      expect(taskIds).toBeNull();
+      expect(filter).toEqual({ owner_id: 'E1' });
+    });
+
+    it('treats a null project_id as taking tasks out of their project', () => {
+      expect(parseBulkRequest({ task_ids: [1], project_id: null }).ops).toEqual({ projectId: null });
+    });
+
+    it('rejects requests without a selection or an operation', () => {
+      expect(parseBulkRequest({ status: 'ongoing' }).error).toBe('Provide task_ids or a filter');
+      expect(parseBulkRequest({ task_ids: [] }).error).toMatch(/non-empty/);
+      expect(parseBulkRequest({ task_ids: [1] }).error).toBe('No bulk operation given');
+    });
+
+    it('rejects invalid values', () => {
+      expect(parseBulkRequest({ task_ids: ['x'], priority: 1 }).error).toMatch(/task ids/);
+      expect(parseBulkRequest({ task_ids: [1], status: 'bogus' }).error).toMatch(/Invalid status/);
+      expect(parseBulkRequest({ task_ids: [1], priority: 11 }).error).toMatch(/priority/);
+      expect(parseBulkRequest({ task_ids: [1], due_shift_days: 1.5 }).error).toMatch(/due_shift_days/);
+      expect(parseBulkRequest({ task_ids: [1], collaborators_add: 'E1' }).error).toMatch(/array/);
+      expect(parseBulkRequest({ task_ids: [1], archive: false }).error).toMatch(/archive/);
+    });
+
+    it('caps the number of tasks', () => {
+      const ids = Array.from({ length: BULK_MAX_TASKS + 1 }, (_, i) => i + 1);
+      expect(parseBulkRequest({ task_ids: ids, priority: 1 }).error).toMatch(/At most/);
+    });
+  });
+
+  describe('shiftDueDate', () => {
+    it('moves dates across month ends', () => {
+      expect(shiftDueDate('2026-10-30', 3)).toBe('2026-11-02');
+      expect(shiftDueDate('2026-11-02T09:00:00Z', -3)).toBe('2026-10-30');
+    });
+
+    it('leaves tasks without a due date alone', () => {
+      expect(shiftDueDate(null, 3)).toBeNull();
+    });
+  });
+
+  describe('planTaskUpdate', () => {
+    const owner = { empId: 'E1', role: 'staff' };
+
+    it('lets the owner change everything', () => {
+      const ops = { priority: 9, dueShiftDays: 1, collaboratorsAdd: ['E3'], collaboratorsRemove: ['E2'], projectId: 4 };
+      const plan = planTaskUpdate(task(), ops, owner);
+      expect(plan.error).toBeNull();
+      expect(plan.updates).toEqual({ priority: 9, due_date: '2026-10-21', collaborators: ['E3'], project_id: 4 });
+    });
+
+    it('limits collaborators to status changes', () => {
+      const ctx = { empId: 'E2', role: 'staff' };
+      expect(planTaskUpdate(task(), { status: 'completed' }, ctx).updates).toEqual({ status: 'completed' });
+      expect(planTaskUpdate(task(), { priority: 1 }, ctx)).toMatchObject({ code: 403 });
+    });
+
+    it('refuses to put tasks under review without a submission', () => {
+      expect(parseBulkRequest({ task_ids: [1], status: 'under review' }).error).toBe(
+        'Tasks go under review by being submitted: use POST /tasks/:id/review/submit'
+      );
+      expect(planTaskUpdate(task(), { status: 'Under Review' }, owner)).toMatchObject({
+        code: 400,
+        error: 'Tasks go under review by being submitted: use POST /tasks/:id/review/submit',
+      });
+    });
+
+    it('refuses tasks the requester has no part in', () => {
+      expect(planTaskUpdate(task(), { priority: 1 }, { empId: 'E9', role: 'staff' })).toMatchObject({ code: 403 });
+    });
+
+    it('lets managers act on their team members\' tasks and reassign within the team', () => {
+      const ctx = { empId: 'M1', role: 'manager', teamMemberIds: new Set(['E1', 'E5']) };
+      const plan = planTaskUpdate(task({ status: 'under review' }), { ownerId: 'E5', status: 'completed' }, ctx);
+      expect(plan.error).toBeNull();
+      // Reassignment restarts the task, like a single edit
+      expect(plan.updates).toEqual({ owner_id: 'E5', status: 'ongoing' });
+
+      const outside = planTaskUpdate(task(), { ownerId: 'E8' }, ctx);
+      expect(outside).toMatchObject({ code: 403, error: 'You can only assign tasks to members of your team' });
+    });
+
+    it('keeps managers away from tasks outside their teams', () => {
+      const ctx = { empId: 'M1', role: 'manager', teamMemberIds: new Set(['E5']) };
+      expect(planTaskUpdate(task(), { priority: 1 }, ctx)).toMatchObject({ code: 403 });
+    });
+
+    it('only lets managers and directors reassign', () => {
+      expect(planTaskUpdate(task(), { ownerId: 'E5' }, owner)).toMatchObject({
+        code: 403,
+        error: "You don't have permission to assign tasks",
+      });
+      expect(planTaskUpdate(task(), { ownerId: 'E8' }, { empId: 'D1', role: 'director' }).updates.owner_id).toBe('E8');
+    });
+
+    it('follows the status workflow', () => {
+      const plan = planTaskUpdate(task({ status: 'unassigned' }), { status: 'completed' }, owner);
+      expect(plan).toMatchObject({ code: 409 });
+    });
+
+    it('plans nothing when the values already match', () => {
+      const plan = planTaskUpdate(task({ archived_at: '2026-10-01' }), { status: 'ongoing', priority: 5, archive: true }, owner);
+      expect(plan).toEqual({ updates: {}, archive: false, error: null, code: null });
+    });
+
+    it('archives tasks the requester may archive', () => {
+      expect(planTaskUpdate(task(), { archive: true }, owner).archive).toBe(true);
+      expect(planTaskUpdate(task(), { archive: true }, { empId: 'E2', role: 'staff' })).toMatchObject({ code: 403 });
+      const manager = { empId: 'M1', role: 'manager' };
+      expect(planTaskUpdate(task(), { archive: true }, { ...manager, teamMemberIds: new Set(['E1']) }).archive).toBe(true);
+      expect(planTaskUpdate(task({ collaborators: ['M1'] }), { archive: true }, manager)).toMatchObject({ code: 403 });
+    });
+  });
+
+  describe('buildBulkNotifications', () => {
+    it('sends one notification per person for the whole batch', () => {
+      const changes = [
+        { before: task({ id: 1, title: 'A' }), after: task({ id: 1, title: 'A', owner_id: 'E5' }) },
+        { before: task({ id: 2, title: 'B' }), after: task({ id: 2, title: 'B', owner_id: 'E5' }) },
+      ];
+      const notifications = buildBulkNotifications(changes, { editorEmpId: 'M1', editorName: 'Mia' });
+      const byEmp = Object.fromEntries(notifications.map((n) => [n.empId, n]));
+
+      expect(Object.keys(byEmp).sort()).toEqual(['E1', 'E2', 'E5']);
+      expect(byEmp.E5.taskIds).toEqual([1, 2]);
+      expect(byEmp.E5.title).toBe('2 tasks updated');
+      expect(byEmp.E5.description).toBe('Mia updated "A", "B" in one bulk change.');
+    });
+
+    it('skips the editor and notifies removed collaborators', () => {
+      const changes = [{ before: task(), after: task({ collaborators: [] }) }];
+      const notifications = buildBulkNotifications(changes, { editorEmpId: 'E1', editorName: 'Eve' });
+      expect(notifications.map((n) => n.empId)).toEqual(['E2']);
+      expect(notifications[0].title).toBe('Task Updated (Quarterly report)');
+    });
+
+    it('includes watchers of the changed tasks', () => {
+      const changes = [{ before: task(), after: task() }];
+      const watchersByTask = new Map([[1, ['M1', 'E2']]]);
+      const notifications = buildBulkNotifications(changes, { editorEmpId: 'E1', watchersByTask });
+      expect(notifications.map((n) => n.empId)).toEqual(['E2', 'M1']);
+    });
+
+    it('shortens long task lists', () => {
+      const changes = Array.from({ length: 7 }, (_, i) => ({
+        before: task({ id: i + 1, title: `T${i + 1}` }),
+        after: task({ id: i + 1, title: `T${i + 1}` }),
+      }));
+      const [forOwner] = buildBulkNotifications(changes, { editorEmpId: 'M1' });
+      expect(forOwner.description).toMatch(/and 2 more in one bulk change\.$/);
+    });
+  });
+});
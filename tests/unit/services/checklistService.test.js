@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Checklist Service
+ *
+ * Tests title validation, ordering, summaries, check updates and the completion rule
+ * for tasks that require their checklist
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_CHECKLIST_TITLE_LENGTH,
+  validateChecklistTitle,
+  sortChecklist,
+  summarizeChecklist,
+  nextChecklistPosition,
+  planChecklistReorder,
+  buildCheckUpdate,
+  attachChecklistSummaries,
+  getOpenChecklistItems,
+} from '../../../server/services/checklistService.js';
+
+const items = [
+  { id: 3, task_id: 1, title: 'Notify client', position: 1, done: false },
+  { id: 1, task_id: 1, title: 'Update docs', position: 0, done: true },
+  { id: 2, task_id: 1, title: 'Tag release', position: 1, done: false },
+];
+
+// Minimal supabase stand-in for the tasks and checklist tables
+const makeSupabase = (tasks, checklist) => ({
+  from: (table) => ({
+    select: () => ({
+      eq: (column, value) => {
+        const rows = (table === 'tasks' ? tasks : checklist).filter((r) => r[column] === value);
+        const result = Promise.resolve({ data: rows, error: null });
+        result.single = () => Promise.resolve({ data: rows[0] || null, error: rows[0] ? null : { message: 'Not found' } });
+        return result;
+      },
+      in: (column, values) => Promise.resolve({ data: checklist.filter((r) => values.includes(r[column])), error: null }),
+    }),
+  }),
+});
+
+describe('checklistService', () => {
+  describe('validateChecklistTitle', () => {
+    it('trims titles and rejects empty or long ones', () => {
+      expect(validateChecklistTitle('  Update docs ')).toEqual({ title: 'Update docs', error: null });
+      expect(validateChecklistTitle('   ').error).toBe('title is required');
+      expect(validateChecklistTitle(undefined).error).toBe('title is required');
+      expect(validateChecklistTitle('x'.repeat(MAX_CHECKLIST_TITLE_LENGTH + 1)).error).toMatch(/at most/);
+    });
+  });
+
+  describe('ordering', () => {
+    it('sorts by position, then id, and appends at the end', () => {
+      expect(sortChecklist(items).map((i) => i.id)).toEqual([1, 2, 3]);
+      expect(nextChecklistPosition(items)).toBe(2);
+      expect(nextChecklistPosition([])).toBe(0);
+    });
+
+    it('plans only the positions that change', () => {
+      const { positions, error } = planChecklistReorder(items, [1, 3, 2]);
+      expect(error).toBeNull();
+      expect(positions).toEqual([{ id: 2, position: 2 }]);
+    });
+
+    it('requires every item exactly once', () => {
+      expect(planChecklistReorder(items, [1, 2]).error).toMatch(/exactly once/);
+      expect(planChecklistReorder(items, [1, 2, 2]).error).toMatch(/exactly once/);
+      expect(planChecklistReorder(items, 'x').error).toMatch(/array/);
+    });
+  });
+
+  describe('checking', () => {
+    it('records who checked an item and clears it on uncheck', () => {
+      const now = new Date('2026-10-19T09:00:00Z');
+      expect(buildCheckUpdate(true, 'E1', now)).toEqual({ done: true, done_by: 'E1', done_at: '2026-10-19T09:00:00.000Z' });
+      expect(buildCheckUpdate(false, 'E1', now)).toEqual({ done: false, done_by: null, done_at: null });
+    });
+
+    it('summarizes done over total', () => {
+      expect(summarizeChecklist(items)).toEqual({ total: 3, done: 1 });
+      expect(summarizeChecklist([])).toEqual({ total: 0, done: 0 });
+    });
+  });
+
+  describe('attachChecklistSummaries', () => {
+    it('adds counts to every task', async () => {
+      const tasks = [{ id: 1 }, { id: 2 }];
+      await attachChecklistSummaries(makeSupabase([], items), tasks);
+      expect(tasks[0].checklist).toEqual({ total: 3, done: 1 });
+      expect(tasks[1].checklist).toEqual({ total: 0, done: 0 });
+    });
+  });
+
+  describe('getOpenChecklistItems', () => {
+    it('only blocks tasks that require their checklist', async () => {
+      const optional = makeSupabase([{ id: 1, require_checklist_complete: false }], items);
+      expect(await getOpenChecklistItems(optional, 1)).toEqual([]);
+
+      const required = makeSupabase([{ id: 1, require_checklist_complete: true }], items);
+      expect(await getOpenChecklistItems(required, 1)).toEqual([
+        { id: 2, title: 'Tag release' },
+        { id: 3, title: 'Notify client' },
+      ]);
+    });
+  });
+});
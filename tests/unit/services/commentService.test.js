@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for Comment Service - Pure Functions
+ *
+ * Tests mention parsing and thread building without external dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseMentions, getNewMentions, buildCommentThreads } from '../../../server/services/commentService.js';
+
+describe('Comment Service - Unit Tests', () => {
+  describe('parseMentions', () => {
+    it('should extract emp_ids mentioned with @', () => {
+      expect(parseMentions('Hey @EMP001 and @EMP002, please check')).toEqual(['EMP001', 'EMP002']);
+    });
+
+    it('should de-duplicate repeated mentions', () => {
+      expect(parseMentions('@TEST001 ping @TEST001 again')).toEqual(['TEST001']);
+    });
+
+    it('should ignore e-mail addresses', () => {
+      expect(parseMentions('send it to jane@corp.com')).toEqual([]);
+    });
+
+    it('should handle mentions after punctuation and line breaks', () => {
+      expect(parseMentions('(@A1)\n@B2: done')).toEqual(['A1', 'B2']);
+    });
+
+    it('should return an empty array for empty or non-string input', () => {
+      expect(parseMentions('')).toEqual([]);
+      expect(parseMentions(null)).toEqual([]);
+      expect(parseMentions(42)).toEqual([]);
+    });
+  });
+
+  describe('getNewMentions', () => {
+    it('should return only mentions not previously present', () => {
+      expect(getNewMentions(['EMP001'], ['EMP001', 'EMP002'])).toEqual(['EMP002']);
+    });
+
+    it('should treat a missing previous list as empty', () => {
+      expect(getNewMentions(null, ['EMP001'])).toEqual(['EMP001']);
+    });
+  });
+
+  describe('buildCommentThreads', () => {
+    const rows = [
+      { id: 3, parent_comment_id: 1, body: 'reply 2', created_at: '2025-11-01T10:05:00Z' },
+      { id: 1, parent_comment_id: null, body: 'root', created_at: '2025-11-01T10:00:00Z' },
+      { id: 2, parent_comment_id: 1, body: 'reply 1', created_at: '2025-11-01T10:01:00Z' },
+      { id: 4, parent_comment_id: 2, body: 'nested', created_at: '2025-11-01T10:02:00Z' },
+      { id: 5, parent_comment_id: null, body: 'second root', created_at: '2025-11-01T11:00:00Z' },
+    ];
+
+    it('should nest replies under their parent in chronological order', () => {
+      const threads = buildCommentThreads(rows);
+      expect(threads.map((c) => c.id)).toEqual([1, 5]);
+      expect(threads[0].replies.map((c) => c.id)).toEqual([2, 3]);
+      expect(threads[0].replies[0].replies.map((c) => c.id)).toEqual([4]);
+    });
+
+    it('should promote orphaned replies to the top level', () => {
+      const threads = buildCommentThreads([
+        { id: 7, parent_comment_id: 99, body: 'orphan', created_at: '2025-11-01T10:00:00Z' },
+      ]);
+      expect(threads).toHaveLength(1);
+      expect(threads[0].replies).toEqual([]);
+    });
+
+    it('should not mutate the input rows', () => {
+      const input = [{ id: 1, parent_comment_id: null, created_at: '2025-11-01T10:00:00Z' }];
+      buildCommentThreads(input);
+      expect(input[0].replies).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Concurrency Service
+ *
+ * Tests ETag formatting, If-Match parsing, version checks and the conflict diff
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  VERSION_CONFLICT_CODE,
+  formatEtag,
+  parseIfMatch,
+  getExpectedVersion,
+  isCurrentVersion,
+  diffFields,
+  buildConflict,
+  setEtag,
+} from '../../../server/services/concurrencyService.js';
+
+describe('concurrencyService', () => {
+  describe('formatEtag', () => {
+    it('quotes the version', () => {
+      expect(formatEtag(3)).toBe('"3"');
+    });
+
+    it('returns null without a version', () => {
+      expect(formatEtag(undefined)).toBeNull();
+      expect(formatEtag('3')).toBeNull();
+    });
+  });
+
+  describe('parseIfMatch', () => {
+    it('accepts strong, weak and bare versions', () => {
+      expect(parseIfMatch('"3"')).toEqual({ version: 3, error: null });
+      expect(parseIfMatch('W/"4"')).toEqual({ version: 4, error: null });
+      expect(parseIfMatch('5')).toEqual({ version: 5, error: null });
+      expect(parseIfMatch(6)).toEqual({ version: 6, error: null });
+    });
+
+    it('treats a missing value or * as no check', () => {
+      expect(parseIfMatch(undefined)).toEqual({ version: null, error: null });
+      expect(parseIfMatch('')).toEqual({ version: null, error: null });
+      expect(parseIfMatch('*')).toEqual({ version: null, error: null });
+    });
+
+    it('rejects anything else', () => {
+      expect(parseIfMatch('"abc"').error).toMatch(/If-Match/);
+      expect(parseIfMatch('"1", "2"').error).toMatch(/If-Match/);
+    });
+  });
+
+  describe('getExpectedVersion', () => {
+    it('prefers the If-Match header over the body', () => {
+      const req = { headers: { 'if-match': '"7"' }, body: { version: '2' } };
+      expect(getExpectedVersion(req).version).toBe(7);
+    });
+
+    it('falls back to a version body field', () => {
+      expect(getExpectedVersion({ headers: {}, body: { version: '2' } }).version).toBe(2);
+    });
+
+    it('returns no check when neither is sent', () => {
+      expect(getExpectedVersion({ headers: {}, body: {} })).toEqual({ version: null, error: null });
+    });
+  });
+
+  describe('isCurrentVersion', () => {
+    it('passes when no version was sent', () => {
+      expect(isCurrentVersion({ version: 4 }, null)).toBe(true);
+    });
+
+    it('compares against the row version', () => {
+      expect(isCurrentVersion({ version: 4 }, 4)).toBe(true);
+      expect(isCurrentVersion({ version: 5 }, 4)).toBe(false);
+    });
+
+    it('treats rows without a version as version 1', () => {
+      expect(isCurrentVersion({}, 1)).toBe(true);
+      expect(isCurrentVersion({}, 2)).toBe(false);
+    });
+  });
+
+  describe('diffFields', () => {
+    it('reports only submitted fields whose value differs', () => {
+      const current = { title: 'Theirs', priority: 5, description: 'Same' };
+      const diff = diffFields(current, { title: 'Mine', priority: '5', description: 'Same' });
+      expect(diff).toEqual([{ field: 'title', current: 'Theirs', submitted: 'Mine' }]);
+    });
+
+    it('treats empty values and whole-day dates as equal', () => {
+      const current = { description: null, due_date: '2026-10-20T00:00:00+00:00' };
+      expect(diffFields(current, { description: '', due_date: '2026-10-20' })).toEqual([]);
+    });
+
+    it('ignores array order and bookkeeping fields', () => {
+      const current = { collaborators: ['b', 'a'], version: 3, updated_at: 'x' };
+      expect(diffFields(current, { collaborators: ['a', 'b'], version: 2, updated_at: 'y' })).toEqual([]);
+    });
+
+    it('applies per-field normalizers', () => {
+      const normalize = { status: (s) => (s ? String(s).toLowerCase() : s) };
+      expect(diffFields({ status: 'Ongoing' }, { status: 'ongoing' }, { normalize })).toEqual([]);
+    });
+  });
+
+  describe('buildConflict', () => {
+    it('carries the current row, both versions and the diff', () => {
+      const current = { id: 1, title: 'Theirs', version: 4 };
+      const conflict = buildConflict(current, { title: 'Mine' }, 3);
+      expect(conflict.code).toBe(VERSION_CONFLICT_CODE);
+      expect(conflict.your_version).toBe(3);
+      expect(conflict.current_version).toBe(4);
+      expect(conflict.current).toBe(current);
+      expect(conflict.diff).toEqual([{ field: 'title', current: 'Theirs', submitted: 'Mine' }]);
+    });
+  });
+
+  describe('setEtag', () => {
+    it('sets the header for versioned rows only', () => {
+      const res = { set: vi.fn() };
+      setEtag(res, { version: 2 });
+      setEtag(res, {});
+      expect(res.set).toHaveBeenCalledTimes(1);
+      expect(res.set).toHaveBeenCalledWith('ETag', '"2"');
+    });
+  });
+});
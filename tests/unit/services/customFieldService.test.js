@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for Custom Field Service
+ *
+ * Tests field definition checks, value validation against the definitions (required
+ * fields, options, project members), formatting and loading a project's fields
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  sortCustomFields,
+  validateFieldDefinition,
+  validateFieldUpdate,
+  parseCustomFieldInput,
+  validateTaskCustomFields,
+  formatCustomFieldValue,
+  loadCustomFieldRules,
+  applyCustomFieldRules,
+  resolveTaskCustomFields,
+} from '../../../server/services/customFieldService.js';
+
+const fields = [
+  { id: 1, project_id: 2, label: 'Client', type: 'text', options: [], required: true, position: 0 },
+  { id: 2, project_id: 2, label: 'Budget', type: 'number', options: [], required: false, position: 1 },
+  { id: 3, project_id: 2, label: 'Regions', type: 'multi_select', options: ['EU', 'US'], required: false, position: 2 },
+  { id: 4, project_id: 2, label: 'Reviewer', type: 'user', options: [], required: false, position: 3 },
+  { id: 5, project_id: 2, label: 'Launch', type: 'date', options: [], required: false, position: 4 },
+];
+
+// Minimal supabase stand-in for the projects and project_custom_fields tables
+const makeSupabase = (tables) => ({
+  from: (table) => ({
+    select: () => ({
+      eq: (column, value) => {
+        const rows = (tables[table] || []).filter((r) => r[column] === value);
+        const result = Promise.resolve({ data: rows, error: null });
+        result.single = () => Promise.resolve({ data: rows[0] || null, error: null });
+        return result;
+      },
+    }),
+  }),
+});
+
+describe('Custom Field Service - Unit Tests', () => {
+  describe('field definitions', () => {
+    it('should accept a select field and drop options on other types', () => {
+      expect(validateFieldDefinition({ label: ' Tier ', type: 'select', options: ['Gold', 'Silver'] }))
+        .toEqual({ field: { label: 'Tier', type: 'select', options: ['Gold', 'Silver'], required: false }, error: null });
+      expect(validateFieldDefinition({ label: 'Notes', type: 'text', options: ['x'] }).field.options).toEqual([]);
+    });
+
+    it('should reject bad definitions', () => {
+      expect(validateFieldDefinition({ label: 'Tier', type: 'select' }).error).toMatch(/at least one option/);
+      expect(validateFieldDefinition({ label: 'Tier', type: 'select', options: ['A', 'a'] }).error).toMatch(/unique/);
+      expect(validateFieldDefinition({ label: 'Tier', type: 'colour' }).error).toBeTruthy();
+      expect(validateFieldDefinition({ label: '', type: 'text' }).error).toBeTruthy();
+    });
+
+    it('should not let updates change the type or give options to plain fields', () => {
+      expect(validateFieldUpdate(fields[0], { type: 'number' }).error).toMatch(/type cannot be changed/);
+      expect(validateFieldUpdate(fields[0], { options: ['A'] }).error).toBe('Only select fields have options');
+      expect(validateFieldUpdate(fields[2], { options: [] }).error).toMatch(/at least one option/);
+      expect(validateFieldUpdate(fields[2], { label: 'Markets', type: 'multi_select' }))
+        .toEqual({ updates: { label: 'Markets' }, error: null });
+    });
+
+    it('should order fields by position, then id', () => {
+      expect(sortCustomFields([{ id: 2, position: 1 }, { id: 3, position: 0 }, { id: 1, position: 1 }]).map((f) => f.id))
+        .toEqual([3, 1, 2]);
+    });
+  });
+
+  describe('values', () => {
+    it('should parse form strings and objects', () => {
+      expect(parseCustomFieldInput(undefined)).toEqual({ values: undefined, error: null });
+      expect(parseCustomFieldInput('{"1":"Acme"}')).toEqual({ values: { 1: 'Acme' }, error: null });
+      expect(parseCustomFieldInput('[1]').error).toBe('custom_fields must be an object');
+      expect(parseCustomFieldInput('{oops').error).toBe('custom_fields must be an object');
+    });
+
+    it('should merge over stored values, coerce and drop empty ones', () => {
+      const { values, error } = validateTaskCustomFields(
+        fields,
+        { 2: '1500', 3: ['EU', 'EU'], 5: '' },
+        { 1: 'Acme', 5: '2026-11-01', 99: 'stale' },
+        { memberIds: ['E1'] }
+      );
+      expect(error).toBeNull();
+      expect(values).toEqual({ 1: 'Acme', 2: 1500, 3: ['EU'] });
+    });
+
+    it('should name the field in validation errors', () => {
+      expect(validateTaskCustomFields(fields, {}).error).toBe('Client is required');
+      expect(validateTaskCustomFields(fields, { 1: 'Acme', 3: ['APAC'] }).error).toMatch(/^Regions .*options/);
+      expect(validateTaskCustomFields(fields, { 1: 'Acme', 4: 'E9' }, {}, { memberIds: ['E1'] }).error)
+        .toBe('Reviewer must be a member of the project');
+      expect(validateTaskCustomFields(fields, { 1: 'Acme', 5: '01/11/2026' }).error).toMatch(/^Launch must be a date/);
+      expect(validateTaskCustomFields(fields, { 1: 'Acme', 42: 'x' }).error).toMatch(/^Unknown custom field/);
+    });
+
+    it('should format values for reports', () => {
+      expect(formatCustomFieldValue(fields[2], ['EU', 'US'])).toBe('EU; US');
+      expect(formatCustomFieldValue(fields[3], 'E1', { E1: 'Ada' })).toBe('Ada');
+      expect(formatCustomFieldValue(fields[1], 0)).toBe('0');
+      expect(formatCustomFieldValue(fields[0], null)).toBe('');
+    });
+  });
+
+  describe('resolveTaskCustomFields', () => {
+    it('should check user fields against the project owner and members', async () => {
+      const supabase = makeSupabase({
+        project_custom_fields: fields,
+        projects: [{ id: 2, owner_id: 'E1', members: ['E2'] }],
+      });
+      expect(await resolveTaskCustomFields(supabase, { projectId: 2, incoming: { 1: 'Acme', 4: 'E2' } }))
+        .toEqual({ values: { 1: 'Acme', 4: 'E2' }, error: null });
+      expect((await resolveTaskCustomFields(supabase, { projectId: 2, incoming: { 1: 'Acme', 4: 'E3' } })).error)
+        .toBe('Reviewer must be a member of the project');
+    });
+
+    it('should refuse values for tasks without custom fields', async () => {
+      const supabase = makeSupabase({ project_custom_fields: [] });
+      expect(await resolveTaskCustomFields(supabase, { projectId: null, incoming: {} })).toEqual({ values: {}, error: null });
+      expect((await resolveTaskCustomFields(supabase, { projectId: 7, incoming: { 1: 'x' } })).error)
+        .toMatch(/no custom fields/);
+    });
+
+    it('should drop the old project\'s values when a task changes project', async () => {
+      const supabase = makeSupabase({
+        project_custom_fields: [...fields, { id: 9, project_id: 3, label: 'Area', type: 'text', options: [], required: true }],
+        projects: [{ id: 2, owner_id: 'E1', members: [] }],
+      });
+      const moved = { 1: 'Acme', 2: 100 };
+      expect(await resolveTaskCustomFields(supabase, { projectId: null, incoming: {}, existing: moved }))
+        .toEqual({ values: {}, error: null });
+      expect((await resolveTaskCustomFields(supabase, { projectId: 3, incoming: {}, existing: moved })).error)
+        .toBe('Area is required');
+      expect(await resolveTaskCustomFields(supabase, { projectId: 3, incoming: { 9: 'North' }, existing: moved }))
+        .toEqual({ values: { 9: 'North' }, error: null });
+    });
+  });
+
+  describe('custom field rules', () => {
+    it('should load a project\'s rules once and check many tasks against them', async () => {
+      const supabase = makeSupabase({
+        project_custom_fields: fields,
+        projects: [{ id: 2, owner_id: 'E1', members: ['E2'] }],
+      });
+      const rules = await loadCustomFieldRules(supabase, 2);
+      expect(rules.memberIds).toEqual(['E1', 'E2']);
+      expect(applyCustomFieldRules(rules, {}, { 1: 'Acme', 7: 'other project' })).toEqual({ values: { 1: 'Acme' }, error: null });
+      expect(applyCustomFieldRules(rules, {}, { 7: 'other project' }).error).toBe('Client is required');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for Dependency Service - Pure Functions
+ *
+ * Tests blocker evaluation, cycle detection and summaries without external dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isBlockerOpen,
+  wouldCreateCycle,
+  loadDownstreamLinks,
+  summarizeDependencies,
+} from '../../../server/services/dependencyService.js';
+
+describe('Dependency Service - Unit Tests', () => {
+  describe('isBlockerOpen', () => {
+    it('should keep finish_to_start open until the predecessor is completed', () => {
+      expect(isBlockerOpen('finish_to_start', 'ongoing')).toBe(true);
+      expect(isBlockerOpen('finish_to_start', 'Under Review')).toBe(true);
+      expect(isBlockerOpen('finish_to_start', 'completed')).toBe(false);
+    });
+
+    it('should release start_to_start once the predecessor has started', () => {
+      expect(isBlockerOpen('start_to_start', 'unassigned')).toBe(true);
+      expect(isBlockerOpen('start_to_start', null)).toBe(true);
+      expect(isBlockerOpen('start_to_start', 'ongoing')).toBe(false);
+      expect(isBlockerOpen('start_to_start', 'completed')).toBe(false);
+    });
+
+    it('should treat unknown types as finish_to_start', () => {
+      expect(isBlockerOpen(undefined, 'ongoing')).toBe(true);
+      expect(isBlockerOpen(undefined, 'completed')).toBe(false);
+    });
+  });
+
+  describe('wouldCreateCycle', () => {
+    const edges = [
+      { predecessor_task_id: 1, successor_task_id: 2 },
+      { predecessor_task_id: 2, successor_task_id: 3 },
+    ];
+
+    it('should reject a task depending on itself', () => {
+      expect(wouldCreateCycle([], 5, 5)).toBe(true);
+    });
+
+    it('should detect a direct loop', () => {
+      expect(wouldCreateCycle(edges, 2, 1)).toBe(true);
+    });
+
+    it('should detect an indirect loop', () => {
+      expect(wouldCreateCycle(edges, 3, 1)).toBe(true);
+    });
+
+    it('should allow links that keep the graph acyclic', () => {
+      expect(wouldCreateCycle(edges, 1, 3)).toBe(false);
+      expect(wouldCreateCycle(edges, 4, 1)).toBe(false);
+    });
+
+    it('should compare ids as numbers', () => {
+      expect(wouldCreateCycle(edges, '3', '1')).toBe(true);
+    });
+  });
+
+  describe('loadDownstreamLinks', () => {
+    const links = [
+      { predecessor_task_id: 1, successor_task_id: 2 },
+      { predecessor_task_id: 2, successor_task_id: 3 },
+      { predecessor_task_id: 3, successor_task_id: 2 },
+      { predecessor_task_id: 8, successor_task_id: 9 },
+    ];
+    // Answers `in` filters on task_dependencies and records each queried list
+    const makeSupabase = () => {
+      const queried = [];
+      return {
+        queried,
+        from: () => ({
+          select: () => ({
+            in: (column, values) => {
+              queried.push(values);
+              return Promise.resolve({ data: links.filter((l) => values.includes(l[column])), error: null });
+            },
+          }),
+        }),
+      };
+    };
+
+    it('should follow successors level by level and stop at visited tasks', async () => {
+      const supabase = makeSupabase();
+      const edges = await loadDownstreamLinks(supabase, 1);
+      expect(edges).toHaveLength(3);
+      expect(supabase.queried).toEqual([[1], [2], [3]]);
+      expect(wouldCreateCycle(edges, 3, 1)).toBe(true);
+      expect(wouldCreateCycle(edges, 8, 1)).toBe(false);
+    });
+
+    it('should surface query errors', async () => {
+      const supabase = {
+        from: () => ({ select: () => ({ in: () => Promise.resolve({ data: null, error: new Error('boom') }) }) }),
+      };
+      await expect(loadDownstreamLinks(supabase, 1)).rejects.toThrow('boom');
+    });
+  });
+
+  describe('summarizeDependencies', () => {
+    it('should group links into blocked_by and blocking per task', () => {
+      const tasksById = new Map([
+        [1, { id: 1, title: 'Design', status: 'completed' }],
+        [2, { id: 2, title: 'Build', status: 'ongoing' }],
+      ]);
+      const summaries = summarizeDependencies(
+        [{ id: 10, predecessor_task_id: 1, successor_task_id: 2, type: 'finish_to_start' }],
+        tasksById
+      );
+
+      expect(summaries.get(2).blocked_by).toEqual([
+        expect.objectContaining({ dependency_id: 10, task_id: 1, title: 'Design', is_open: false }),
+      ]);
+      expect(summaries.get(1).blocking).toEqual([
+        expect.objectContaining({ dependency_id: 10, task_id: 2, title: 'Build', is_open: false }),
+      ]);
+      expect(summaries.get(1).blocked_by).toEqual([]);
+    });
+
+    it('should mark links whose predecessor is unknown as open', () => {
+      const summaries = summarizeDependencies(
+        [{ id: 11, predecessor_task_id: 7, successor_task_id: 8, type: 'finish_to_start' }],
+        new Map()
+      );
+      expect(summaries.get(8).blocked_by[0]).toMatchObject({ title: null, is_open: true });
+    });
+  });
+});
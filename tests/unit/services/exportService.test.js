@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Export Service
+ *
+ * Tests format parsing, file names, overdue/due-soon rules and the rows of the task,
+ * project and workload exports
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseExportFormat,
+  exportFilename,
+  isOverdue,
+  isDueSoon,
+  taskExportColumns,
+  taskExportRow,
+  countProjectTasks,
+  projectExportRow,
+  WORKLOAD_EXPORT_COLUMNS,
+  workloadExportRow,
+} from '../../../server/services/exportService.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const userNames = { E1: 'Ann', E2: 'Bob' };
+
+describe('Export Service', () => {
+  it('parses the format, defaulting to CSV', () => {
+    expect(parseExportFormat(undefined)).toBe('csv');
+    expect(parseExportFormat('XLSX')).toBe('xlsx');
+    expect(parseExportFormat('pdf')).toBeNull();
+  });
+
+  it('dates the file name', () => {
+    expect(exportFilename('tasks', 'xlsx', now)).toBe('tasks-2026-10-19.xlsx');
+  });
+
+  it('counts open tasks due before today as overdue and the next days as due soon', () => {
+    expect(isOverdue({ due_date: '2026-10-18', status: 'ongoing' }, now)).toBe(true);
+    expect(isOverdue({ due_date: '2026-10-18', status: 'completed' }, now)).toBe(false);
+    expect(isOverdue({ due_date: '2026-10-19', status: 'ongoing' }, now)).toBe(false);
+    expect(isOverdue({ due_date: null, status: 'ongoing' }, now)).toBe(false);
+    expect(isDueSoon({ due_date: '2026-10-22', status: 'ongoing' }, now)).toBe(true);
+    expect(isDueSoon({ due_date: '2026-10-23', status: 'ongoing' }, now)).toBe(false);
+    expect(isDueSoon({ due_date: '2026-10-18', status: 'ongoing' }, now)).toBe(false);
+  });
+
+  it('builds task rows with names, project titles and custom fields', () => {
+    const fields = [
+      { id: 3, label: 'Regions', type: 'multi_select', options: ['EU', 'US'] },
+      { id: 4, label: 'Reviewer', type: 'user', options: [] },
+    ];
+    expect(taskExportColumns(fields).slice(-3)).toEqual(['Created', 'Regions', 'Reviewer']);
+
+    const row = taskExportRow(
+      {
+        id: 5, title: 'Ship', description: null, status: 'Under Review', priority: 3, owner_id: 'E1',
+        collaborators: ['E2', 'E9'], project_id: 7, due_date: '2026-11-01T00:00:00', estimated_hours: 4,
+        is_recurring: false, created_at: '2026-10-01T09:00:00Z', custom_fields: { 3: ['EU', 'US'], 4: 'E2' },
+      },
+      { userNames, projectTitles: { 7: 'Website' }, fields }
+    );
+    expect(row).toEqual([5, 'Ship', '', 'Under Review', 3, 'Ann', 'Bob; E9', 'Website', '2026-11-01', 4, 'No', '2026-10-01', 'EU; US', 'Bob']);
+  });
+
+  it('counts tasks per project and builds project rows', () => {
+    const counts = countProjectTasks([
+      { project_id: 7, status: 'completed', due_date: '2026-10-01' },
+      { project_id: 7, status: 'ongoing', due_date: '2026-10-01' },
+      { project_id: 8, status: 'ongoing', due_date: null },
+    ], now);
+    expect(counts).toEqual({ 7: { total: 2, completed: 1, overdue: 1 }, 8: { total: 1, completed: 0, overdue: 0 } });
+
+    const project = { id: 7, title: 'Website', status: 'active', owner_id: 'E1', members: ['E2'], progress: 50, created_at: '2026-09-01T00:00:00Z' };
+    expect(projectExportRow(project, { userNames, counts })).toEqual([7, 'Website', 'active', 'Ann', 'Bob', 2, 1, 1, 50, '2026-09-01']);
+    expect(projectExportRow({ ...project, id: 9, progress: null }, { userNames, counts }).slice(5, 9)).toEqual([0, 0, 0, '']);
+  });
+
+  it('builds workload rows per employee', () => {
+    const tasks = [
+      { id: 1, owner_id: 'E1', collaborators: [], status: 'ongoing', due_date: '2026-10-10' },
+      { id: 2, owner_id: 'E1', collaborators: ['E2'], status: 'completed', due_date: '2026-10-10' },
+      { id: 3, owner_id: 'E2', collaborators: ['E1'], status: 'ongoing', due_date: '2026-10-20' },
+      { id: 4, owner_id: 'E3', collaborators: [], status: 'ongoing', due_date: '2026-10-10' },
+    ];
+    const row = workloadExportRow({ emp_id: 'E1', name: 'Ann', department: 'Ops', role: 'staff' }, tasks, { estimated_hours: 6, logged_hours: 2.5 }, now);
+    const cell = (column) => row[WORKLOAD_EXPORT_COLUMNS.indexOf(column)];
+
+    expect(row).toHaveLength(WORKLOAD_EXPORT_COLUMNS.length);
+    expect(cell('Owned tasks')).toBe(2);
+    expect(cell('Owned: Ongoing')).toBe(1);
+    expect(cell('Owned: Completed')).toBe(1);
+    expect(cell('Collaborating on')).toBe(1);
+    expect(cell('Overdue')).toBe(1);
+    expect(cell('Due within 3 days')).toBe(1);
+    expect(cell('Logged hours')).toBe(2.5);
+
+    const idle = workloadExportRow({ emp_id: 'E5', name: 'Cy' }, tasks, null, now);
+    expect(idle.slice(-2)).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Progress Service
+ *
+ * Tests percent-complete for tasks from (nested) subtasks under each weighting and the
+ * roll-up from tasks to projects
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  DEFAULT_PROGRESS_WEIGHTING,
+  parseProgressWeighting,
+  getProgressWeighting,
+  weightedPercent,
+  computeTaskProgress,
+  rollUpProgress,
+} from '../../../server/services/progressService.js';
+
+const subtasks = [
+  { id: 1, parent_task_id: 10, parent_subtask_id: null, status: 'completed', estimated_hours: 6, priority: 8 },
+  { id: 2, parent_task_id: 10, parent_subtask_id: null, status: 'ongoing', estimated_hours: 2, priority: 2 },
+  { id: 3, parent_task_id: 10, parent_subtask_id: 2, status: 'completed', estimated_hours: null, priority: null },
+  { id: 4, parent_task_id: 10, parent_subtask_id: 2, status: 'unassigned', estimated_hours: null, priority: null },
+];
+
+describe('progressService', () => {
+  afterEach(() => {
+    delete process.env.PROGRESS_WEIGHTING;
+  });
+
+  describe('weighting', () => {
+    it('parses weightings from requests and the environment', () => {
+      expect(parseProgressWeighting(undefined)).toBeUndefined();
+      expect(parseProgressWeighting(' Estimate ')).toBe('estimate');
+      expect(parseProgressWeighting('hours')).toBeNull();
+      expect(getProgressWeighting()).toBe(DEFAULT_PROGRESS_WEIGHTING);
+      process.env.PROGRESS_WEIGHTING = 'priority';
+      expect(getProgressWeighting()).toBe('priority');
+      process.env.PROGRESS_WEIGHTING = 'bogus';
+      expect(getProgressWeighting()).toBe(DEFAULT_PROGRESS_WEIGHTING);
+    });
+
+    it('gives missing weights the mean known weight', () => {
+      expect(weightedPercent([])).toBeNull();
+      expect(weightedPercent([{ percent: 100, weight: 3 }, { percent: 0, weight: 1 }])).toBe(75);
+      expect(weightedPercent([{ percent: 100, weight: 4 }, { percent: 0, weight: null }])).toBe(50);
+      expect(weightedPercent([{ percent: 100, weight: null }, { percent: 0, weight: null }])).toBe(50);
+    });
+  });
+
+  describe('computeTaskProgress', () => {
+    it('treats tasks without subtasks as done or not', () => {
+      expect(computeTaskProgress({ status: 'ongoing' }, [])).toBe(0);
+      expect(computeTaskProgress({ status: 'Completed' }, [])).toBe(100);
+      expect(computeTaskProgress({ status: 'completed' }, subtasks)).toBe(100);
+    });
+
+    it('rolls nested subtasks up level by level', () => {
+      // subtask 2 is half done through its children
+      expect(computeTaskProgress({ status: 'ongoing' }, subtasks, 'count')).toBe(75);
+    });
+
+    it('weights by estimate and by priority', () => {
+      expect(computeTaskProgress({ status: 'ongoing' }, subtasks, 'estimate')).toBe(88);
+      expect(computeTaskProgress({ status: 'ongoing' }, subtasks, 'priority')).toBe(90);
+    });
+  });
+
+  describe('rollUpProgress', () => {
+    it('computes tasks and projects', () => {
+      const tasks = [
+        { id: 10, status: 'ongoing', project_id: 1, estimated_hours: null, priority: 5 },
+        { id: 11, status: 'completed', project_id: 1, estimated_hours: 2, priority: 5 },
+        { id: 12, status: 'ongoing', project_id: 2, estimated_hours: 1, priority: 5 },
+        { id: 13, status: 'ongoing', project_id: null },
+      ];
+
+      const count = rollUpProgress({ tasks, subtasks, weighting: 'count' });
+      expect(count.byTask).toEqual({ 10: 75, 11: 100, 12: 0, 13: 0 });
+      expect(count.byProject).toEqual({ 1: 88, 2: 0 });
+
+      // task 10 has no own estimate, so its 8 subtask hours weigh against task 11's 2
+      const estimate = rollUpProgress({ tasks, subtasks, weighting: 'estimate' });
+      expect(estimate.byProject[1]).toBe(90);
+    });
+
+    it('returns empty buckets without tasks', () => {
+      expect(rollUpProgress({})).toEqual({ byTask: {}, byProject: {} });
+    });
+  });
+});
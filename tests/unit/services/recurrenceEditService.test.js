@@ -0,0 +1,214 @@
+/**
+ * Unit Tests for Recurrence Edit Service
+ *
+ * Tests parsing of series edits, which instances a scope reaches, splitting a series,
+ * syncing subtasks by title and the values a series continues with
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseSeriesEdit,
+  selectEditTargets,
+  planSeriesSplit,
+  planSubtaskSync,
+  mergeSeriesValues,
+  applySeriesEdit,
+} from '../../../server/services/recurrenceEditService.js';
+import { getSeriesValues } from '../../../server/services/recurrenceService.js';
+
+const base = {
+  title: 'Weekly report',
+  description: 'Send to the team',
+  priority: 5,
+  collaborators: ['E2'],
+  owner_id: 'E1',
+  is_recurring: true,
+  recurrence_pattern: 'weekly',
+  recurrence_interval: 1,
+  recurrence_series_id: 'series-1',
+  recurrence_series_values: {},
+};
+
+const instances = [
+  { ...base, id: 1, recurrence_count: 1, due_date: '2026-10-05', status: 'completed' },
+  { ...base, id: 2, recurrence_count: 2, due_date: '2026-10-12', status: 'completed' },
+  { ...base, id: 3, recurrence_count: 3, due_date: '2026-10-19', status: 'ongoing' },
+];
+
+// Records every write; reads of sub_task rows filter by parent task and top level
+const makeSupabase = ({ subtasks = [] } = {}) => {
+  const writes = [];
+  const from = (table) => {
+    const op = { table, filters: [] };
+    const resolve = (single) => {
+      if (op.action) {
+        writes.push(op);
+        const row = { id: op.filters.find(([, column]) => column === 'id')?.[2], ...op.values };
+        return { data: single ? row : null, error: null };
+      }
+      const ids = op.filters.find(([type]) => type === 'in')?.[2] || [];
+      return { data: subtasks.filter((s) => ids.includes(s.parent_task_id) && !s.parent_subtask_id), error: null };
+    };
+    const chain = {
+      select: () => chain,
+      update: (values) => Object.assign(op, { action: 'update', values }) && chain,
+      insert: (values) => Object.assign(op, { action: 'insert', values }) && chain,
+      delete: () => Object.assign(op, { action: 'delete' }) && chain,
+      order: () => chain,
+      single: () => Promise.resolve(resolve(true)),
+      then: (onResolve, onReject) => Promise.resolve(resolve(false)).then(onResolve, onReject),
+    };
+    ['eq', 'in', 'is', 'gte'].forEach((type) => {
+      chain[type] = (column, value) => {
+        op.filters.push([type, column, value]);
+        return chain;
+      };
+    });
+    return chain;
+  };
+  return { from, writes };
+};
+
+describe('recurrenceEditService', () => {
+  describe('parseSeriesEdit', () => {
+    it('accepts a scope with at least one change', () => {
+      expect(parseSeriesEdit({ scope: 'following', title: '  Monthly report ', priority: '7' })).toEqual({
+        scope: 'following',
+        changes: { title: 'Monthly report', priority: 7 },
+      });
+      expect(parseSeriesEdit({ scope: 'all_open', collaborators: ['E3', 'E3', 4] }).changes).toEqual({ collaborators: ['E3', '4'] });
+    });
+
+    it('rejects unknown scopes, bad values and empty edits', () => {
+      expect(parseSeriesEdit({ title: 'x' }).error).toMatch(/scope must be one of/);
+      expect(parseSeriesEdit({ scope: 'this', title: '  ' }).error).toBe('title cannot be empty');
+      expect(parseSeriesEdit({ scope: 'this', priority: 11 }).error).toMatch(/priority/);
+      expect(parseSeriesEdit({ scope: 'this', collaborators: 'E2' }).error).toMatch(/collaborators/);
+      expect(parseSeriesEdit({ scope: 'this' }).error).toMatch(/Nothing to change/);
+    });
+
+    it('checks subtask lists', () => {
+      expect(parseSeriesEdit({ scope: 'this', subtasks: [{ title: 'Draft', priority: 3 }, { title: 'Send' }] }).changes.subtasks).toEqual([
+        { title: 'Draft', priority: 3 },
+        { title: 'Send' },
+      ]);
+      expect(parseSeriesEdit({ scope: 'this', subtasks: [{ title: '' }] }).error).toBe('Every subtask needs a title');
+      expect(parseSeriesEdit({ scope: 'this', subtasks: [{ title: 'Send' }, { title: 'send ' }] }).error).toMatch(/listed twice/);
+      expect(parseSeriesEdit({ scope: 'this', subtasks: [{ title: 'Send', priority: 0 }] }).error).toMatch(/Priority of subtask "Send"/);
+    });
+  });
+
+  describe('selectEditTargets', () => {
+    it('reaches this task, the later ones or the open ones', () => {
+      expect(selectEditTargets('this', instances[1], instances).map((t) => t.id)).toEqual([2]);
+      expect(selectEditTargets('following', instances[1], instances).map((t) => t.id)).toEqual([2, 3]);
+      expect(selectEditTargets('all_open', instances[0], instances).map((t) => t.id)).toEqual([1, 3]);
+    });
+  });
+
+  describe('planSeriesSplit', () => {
+    it('ends the old series the day before the edited occurrence', () => {
+      const split = planSeriesSplit(instances[1], instances);
+      expect(split.fromDate).toBe('2026-10-12');
+      expect(split.endDate).toBe('2026-10-11');
+      expect(split.earlier.map((t) => t.id)).toEqual([1]);
+      expect(split.seriesId).not.toBe('series-1');
+    });
+
+    it('has nothing to split at the start of a series', () => {
+      expect(planSeriesSplit(instances[0], instances)).toBeNull();
+    });
+  });
+
+  describe('planSubtaskSync', () => {
+    const existing = [
+      { id: 10, title: 'Draft', description: null, priority: 3, status: 'ongoing' },
+      { id: 11, title: 'Review', description: null, priority: 5, status: 'completed' },
+      { id: 12, title: 'Print', description: null, priority: 5, status: 'ongoing' },
+    ];
+
+    it('updates matches, adds missing subtasks and removes the rest unless completed', () => {
+      const plan = planSubtaskSync(existing, [{ title: 'draft', priority: 4 }, { title: 'Send', description: 'By email' }]);
+      expect(plan.updates).toEqual([{ id: 10, changes: { title: 'draft', priority: 4 } }]);
+      expect(plan.inserts).toEqual([{ title: 'Send', description: 'By email', priority: null }]);
+      expect(plan.removals).toEqual([12]);
+      expect(plan.wanted.map((s) => s.title)).toEqual(['draft', 'Send']);
+      expect(plan.result.map((s) => s.title)).toEqual(['draft', 'Send', 'Review']);
+    });
+  });
+
+  describe('mergeSeriesValues', () => {
+    it('keeps only the fields where the series differs from the instance', () => {
+      const task = { ...instances[2], recurrence_series_values: { priority: 5 } };
+      expect(mergeSeriesValues(task, { title: 'One-off', priority: 5 }, { title: 'Weekly report', priority: 5 })).toEqual({
+        title: 'Weekly report',
+      });
+      expect(mergeSeriesValues(task, { collaborators: ['E3', 'E2'] }, { collaborators: ['E2', 'E3'] })).toEqual({ priority: 5 });
+    });
+  });
+
+  describe('applySeriesEdit', () => {
+    it('"this" keeps the series values for the next instance', async () => {
+      const supabase = makeSupabase();
+      const result = await applySeriesEdit(supabase, {
+        task: instances[2],
+        instances,
+        scope: 'this',
+        changes: { title: 'Weekly report (short week)', priority: 8 },
+      });
+
+      expect(result.splitFrom).toBeNull();
+      expect(supabase.writes).toHaveLength(1);
+      const [update] = supabase.writes;
+      expect(update.values.title).toBe('Weekly report (short week)');
+      expect(update.values.recurrence_series_values).toEqual({ title: 'Weekly report', priority: 5 });
+      expect(getSeriesValues({ ...instances[2], ...update.values })).toMatchObject({ title: 'Weekly report', priority: 5 });
+    });
+
+    it('"following" moves the task and the later ones to a new series', async () => {
+      const supabase = makeSupabase();
+      const result = await applySeriesEdit(supabase, {
+        task: instances[1],
+        instances,
+        scope: 'following',
+        changes: { description: 'Send to the whole department' },
+      });
+
+      expect(result.splitFrom).toBe('series-1');
+      expect(result.seriesId).not.toBe('series-1');
+      const taskUpdates = supabase.writes.filter((w) => w.table === 'tasks');
+      expect(taskUpdates.slice(0, 2).map((w) => w.values.recurrence_series_id)).toEqual([result.seriesId, result.seriesId]);
+      expect(taskUpdates[2].values).toEqual({ recurrence_end_date: '2026-10-11' });
+      expect(taskUpdates[2].filters).toContainEqual(['in', 'id', [1]]);
+      const exceptions = supabase.writes.find((w) => w.table === 'recurrence_exceptions');
+      expect(exceptions.values).toEqual({ series_id: result.seriesId });
+      expect(exceptions.filters).toContainEqual(['gte', 'occurrence_date', '2026-10-12']);
+    });
+
+    it('"all_open" syncs subtasks and updates what a completed latest instance carries over', async () => {
+      const latestDone = instances.map((t) => ({ ...t, status: 'completed' }));
+      latestDone[0] = { ...latestDone[0], status: 'ongoing' };
+      const supabase = makeSupabase({
+        subtasks: [
+          { id: 20, parent_task_id: 1, title: 'Draft', priority: 5, status: 'ongoing', position: 0 },
+          { id: 30, parent_task_id: 3, title: 'Draft', priority: 5, status: 'completed', position: 0 },
+        ],
+      });
+      await applySeriesEdit(supabase, {
+        task: latestDone[0],
+        instances: latestDone,
+        scope: 'all_open',
+        changes: { subtasks: [{ title: 'Draft' }, { title: 'Send' }] },
+      });
+
+      const inserted = supabase.writes.find((w) => w.table === 'sub_task' && w.action === 'insert');
+      expect(inserted.values).toEqual([expect.objectContaining({ parent_task_id: 1, title: 'Send', position: 1, owner_id: 1 })]);
+      const carried = supabase.writes.filter((w) => w.table === 'tasks').at(-1);
+      expect(carried.filters).toContainEqual(['eq', 'id', 3]);
+      expect(carried.values.recurrence_series_values.subtasks).toEqual([
+        { title: 'Draft', description: null, priority: 5 },
+        { title: 'Send', description: null, priority: null },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Recurrence Schedule Service
+ *
+ * Tests the generation settings, which occurrences a run creates (look-ahead, catch-up,
+ * paused series, moved dates) and that a run is idempotent on series + occurrence date
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_MAX_CATCH_UP,
+  getDefaultLookaheadDays,
+  getMaxCatchUp,
+  parseGenerationSettings,
+  planScheduledOccurrences,
+  generateSeriesOccurrences,
+  runScheduledGeneration,
+} from '../../../server/services/recurrenceScheduleService.js';
+
+const daily = {
+  id: 1,
+  title: 'Daily report',
+  owner_id: 'E1',
+  status: 'ongoing',
+  due_date: '2026-10-15',
+  is_recurring: true,
+  recurrence_pattern: 'daily',
+  recurrence_interval: 1,
+  recurrence_series_id: 'series-1',
+  recurrence_count: 1,
+  recurrence_occurrence_date: '2026-10-15',
+  recurrence_generation: 'on_schedule',
+  recurrence_lookahead_days: 0,
+};
+
+// Reads return `rows` for tasks and nothing else; task inserts fail with a unique
+// violation for occurrence dates in `taken`
+const makeSupabase = ({ rows = [], taken = [], exceptions = [] } = {}) => {
+  const inserted = [];
+  const from = (table) => {
+    let insert = null;
+    const resolve = () => {
+      if (!insert) {
+        if (table === 'tasks') return { data: rows, error: null };
+        if (table === 'recurrence_exceptions') return { data: exceptions, error: null };
+        return { data: [], error: null };
+      }
+      if (table === 'tasks' && taken.includes(insert.recurrence_occurrence_date)) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+      }
+      const row = { id: 100 + inserted.length, ...insert };
+      if (table === 'tasks') inserted.push(row);
+      return { data: row, error: null };
+    };
+    const chain = {
+      insert: (values) => {
+        insert = values;
+        return chain;
+      },
+      single: () => Promise.resolve(resolve()),
+      then: (onResolve, onReject) => Promise.resolve(resolve()).then(onResolve, onReject),
+    };
+    ['select', 'eq', 'is', 'in', 'order'].forEach((method) => {
+      chain[method] = () => chain;
+    });
+    return chain;
+  };
+  return { from, inserted };
+};
+
+describe('recurrenceScheduleService', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  describe('settings', () => {
+    it('parses the generation mode and look-ahead', () => {
+      expect(parseGenerationSettings({ recurrence_generation: 'on_schedule', recurrence_lookahead_days: '3' })).toEqual({
+        settings: { recurrence_generation: 'on_schedule', recurrence_lookahead_days: 3 },
+      });
+      expect(parseGenerationSettings({ recurrence_lookahead_days: '' }).settings).toEqual({ recurrence_lookahead_days: null });
+      expect(parseGenerationSettings({}).settings).toEqual({});
+      expect(parseGenerationSettings({ recurrence_generation: 'daily' }).error).toMatch(/recurrence_generation must be one of/);
+      expect(parseGenerationSettings({ recurrence_lookahead_days: 91 }).error).toMatch(/0 to 90/);
+    });
+
+    it('reads defaults from the environment', () => {
+      expect(getDefaultLookaheadDays()).toBe(0);
+      expect(getMaxCatchUp()).toBe(DEFAULT_MAX_CATCH_UP);
+      vi.stubEnv('RECURRENCE_LOOKAHEAD_DAYS', '2');
+      vi.stubEnv('RECURRENCE_MAX_CATCH_UP', 'many');
+      expect(getDefaultLookaheadDays()).toBe(2);
+      expect(getMaxCatchUp()).toBe(DEFAULT_MAX_CATCH_UP);
+    });
+  });
+
+  describe('planScheduledOccurrences', () => {
+    it('catches up on every date up to today', () => {
+      const planned = planScheduledOccurrences(daily, [], { today: '2026-10-18' });
+      expect(planned.map((o) => o.occurrence_date)).toEqual(['2026-10-16', '2026-10-17', '2026-10-18']);
+      expect(planned.map((o) => o.recurrence_count)).toEqual([2, 3, 4]);
+    });
+
+    it('looks ahead and caps a run', () => {
+      const ahead = planScheduledOccurrences({ ...daily, recurrence_lookahead_days: 2 }, [], { today: '2026-10-15' });
+      expect(ahead.map((o) => o.occurrence_date)).toEqual(['2026-10-16', '2026-10-17']);
+      expect(planScheduledOccurrences(daily, [], { today: '2026-12-31', maxCount: 5 })).toHaveLength(5);
+    });
+
+    it('passes over skipped dates and holds back a date moved past the window', () => {
+      const skipped = [{ occurrence_date: '2026-10-16', action: 'skip', new_date: null }];
+      expect(planScheduledOccurrences(daily, skipped, { today: '2026-10-17' }).map((o) => o.occurrence_date)).toEqual(['2026-10-17']);
+
+      const moved = [{ occurrence_date: '2026-10-17', action: 'reschedule', new_date: '2026-10-25' }];
+      expect(planScheduledOccurrences(daily, moved, { today: '2026-10-18' }).map((o) => o.occurrence_date)).toEqual(['2026-10-16']);
+    });
+
+    it('creates nothing for paused, archived or completion-driven series', () => {
+      const today = '2026-10-18';
+      expect(planScheduledOccurrences({ ...daily, recurrence_paused_at: '2026-10-16T08:00:00Z' }, [], { today })).toEqual([]);
+      expect(planScheduledOccurrences({ ...daily, archived_at: '2026-10-16T08:00:00Z' }, [], { today })).toEqual([]);
+      expect(planScheduledOccurrences({ ...daily, recurrence_generation: 'on_completion' }, [], { today })).toEqual([]);
+    });
+
+    it('stops at the end of the series', () => {
+      const planned = planScheduledOccurrences({ ...daily, recurrence_max_count: 2 }, [], { today: '2026-10-20' });
+      expect(planned.map((o) => o.occurrence_date)).toEqual(['2026-10-16']);
+    });
+  });
+
+  describe('generateSeriesOccurrences', () => {
+    it('creates each due occurrence once, passing over dates that already have a task', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const supabase = makeSupabase({ taken: ['2026-10-17'] });
+
+      const result = await generateSeriesOccurrences(supabase, daily, { today: '2026-10-18' });
+
+      expect(result.existing).toBe(1);
+      expect(result.created.map((t) => t.recurrence_occurrence_date)).toEqual(['2026-10-16', '2026-10-18']);
+      expect(result.created[1]).toMatchObject({
+        recurrence_count: 4,
+        recurrence_series_id: 'series-1',
+        recurrence_generation: 'on_schedule',
+        status: 'ongoing',
+      });
+    });
+  });
+
+  describe('runScheduledGeneration', () => {
+    it('runs every scheduled series from its latest instance', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const rows = [
+        { ...daily, status: 'completed' },
+        { ...daily, id: 2, recurrence_count: 2, due_date: '2026-10-16', recurrence_occurrence_date: '2026-10-16' },
+      ];
+      const supabase = makeSupabase({ rows });
+
+      const result = await runScheduledGeneration(supabase, { today: '2026-10-17' });
+
+      expect(result.series).toBe(1);
+      expect(result.created).toEqual([{ id: 100, series_id: 'series-1', due_date: '2026-10-17' }]);
+      expect(result.failed).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Review Service
+ *
+ * Tests default reviewer selection, comment validation and review round summaries
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  REVIEW_ACTIONS,
+  MAX_REVIEW_COMMENT_LENGTH,
+  pickDefaultReviewer,
+  findDefaultReviewer,
+  validateReviewComment,
+  countReviewRounds,
+  summarizeReviewRounds,
+} from '../../../server/services/reviewService.js';
+
+const teams = [
+  { member_ids: ['E9'], manager_ids: ['M9'] },
+  { member_ids: ['E1', 'E2'], manager_ids: ['M1', 'M2'] },
+  { member_ids: ['M1', 'E3'], manager_ids: ['M1'] },
+];
+
+describe('Review Service - Unit Tests', () => {
+  describe('pickDefaultReviewer', () => {
+    it('returns the first manager of a team the submitter belongs to', () => {
+      expect(pickDefaultReviewer(teams, 'E1')).toBe('M1');
+      expect(pickDefaultReviewer(teams, 'E9')).toBe('M9');
+    });
+
+    it('never picks the submitter and returns null without a manager', () => {
+      expect(pickDefaultReviewer([{ member_ids: ['M1'], manager_ids: ['M1', 'M2'] }], 'M1')).toBe('M2');
+      expect(pickDefaultReviewer(teams, 'M1')).toBeNull();
+      expect(pickDefaultReviewer(teams, 'E404')).toBeNull();
+      expect(pickDefaultReviewer(null, 'E1')).toBeNull();
+    });
+  });
+
+  describe('findDefaultReviewer', () => {
+    it('queries the submitter\'s teams', async () => {
+      let containsArgs = null;
+      const supabase = {
+        from: () => ({
+          select: () => ({
+            contains: (column, value) => {
+              containsArgs = [column, value];
+              return Promise.resolve({ data: teams.slice(1, 2), error: null });
+            },
+          }),
+        }),
+      };
+      await expect(findDefaultReviewer(supabase, 'E2')).resolves.toBe('M1');
+      expect(containsArgs).toEqual(['member_ids', ['E2']]);
+    });
+
+    it('throws query errors', async () => {
+      const supabase = {
+        from: () => ({
+          select: () => ({ contains: () => Promise.resolve({ data: null, error: new Error('boom') }) }),
+        }),
+      };
+      await expect(findDefaultReviewer(supabase, 'E2')).rejects.toThrow('boom');
+    });
+  });
+
+  describe('validateReviewComment', () => {
+    it('trims comments and treats empty ones as absent unless required', () => {
+      expect(validateReviewComment('  looks good ')).toEqual({ value: 'looks good', error: null });
+      expect(validateReviewComment('   ')).toEqual({ value: null, error: null });
+      expect(validateReviewComment(undefined, { required: true }).error).toMatch(/required/);
+    });
+
+    it('rejects overly long comments', () => {
+      const result = validateReviewComment('x'.repeat(MAX_REVIEW_COMMENT_LENGTH + 1));
+      expect(result.value).toBeNull();
+      expect(result.error).toMatch(/at most/);
+    });
+  });
+
+  describe('review rounds', () => {
+    const history = [
+      { action: REVIEW_ACTIONS.submit, editor_emp_id: 'E1', created_at: 't1', details: { round: 1, reviewer_id: 'M1', note: 'v1' } },
+      { action: REVIEW_ACTIONS.requestChanges, editor_emp_id: 'M1', created_at: 't2', details: { comment: 'fix totals' } },
+      { action: 'update', editor_emp_id: 'E1', created_at: 't3', details: {} },
+      { action: REVIEW_ACTIONS.submit, editor_emp_id: 'E1', created_at: 't4', details: { round: 2, reviewer_id: 'M1' } },
+      { action: REVIEW_ACTIONS.approve, editor_emp_id: 'M1', created_at: 't5', details: {} },
+    ];
+
+    it('counts submissions', () => {
+      expect(countReviewRounds(history)).toBe(2);
+      expect(countReviewRounds([])).toBe(0);
+    });
+
+    it('pairs each submission with its decision, newest first', () => {
+      const rounds = summarizeReviewRounds(history);
+      expect(rounds).toHaveLength(2);
+      expect(rounds[0]).toMatchObject({ round: 2, decision: 'approved', decided_by: 'M1', decided_at: 't5' });
+      expect(rounds[1]).toMatchObject({
+        round: 1,
+        reviewer_id: 'M1',
+        note: 'v1',
+        decision: 'changes_requested',
+        comment: 'fix totals',
+      });
+    });
+
+    it('leaves a pending round undecided and ignores stray decisions', () => {
+      const rounds = summarizeReviewRounds([
+        { action: REVIEW_ACTIONS.approve, editor_emp_id: 'M1', created_at: 't0', details: {} },
+        { action: REVIEW_ACTIONS.submit, editor_emp_id: 'E1', created_at: 't1', details: {} },
+      ]);
+      expect(rounds).toEqual([
+        expect.objectContaining({ round: 1, submitted_by: 'E1', decision: null, decided_by: null }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for Subtask Tree Service
+ *
+ * Tests nesting rules (depth limit, cycles), sibling ordering, draft insert levels and
+ * the rows built when promoting a subtask or demoting a task
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  DEFAULT_MAX_SUBTASK_DEPTH,
+  getMaxSubtaskDepth,
+  parseParentSubtaskId,
+  buildSubtaskTree,
+  getSubtaskDepth,
+  collectDescendantIds,
+  getBranchHeight,
+  checkNesting,
+  checkDemotion,
+  getSiblings,
+  nextPosition,
+  planReorder,
+  planDraftLevels,
+  buildPromotedTask,
+  buildDemotedSubtask,
+} from '../../../server/services/subtaskTreeService.js';
+
+// 1
+// ├─ 2
+// │  └─ 4
+// └─ 3
+// 5
+const subtasks = [
+  { id: 1, parent_subtask_id: null, position: 0 },
+  { id: 2, parent_subtask_id: 1, position: 1 },
+  { id: 3, parent_subtask_id: 1, position: 0 },
+  { id: 4, parent_subtask_id: 2, position: 0 },
+  { id: 5, parent_subtask_id: null, position: 1 },
+];
+
+describe('subtaskTreeService', () => {
+  afterEach(() => {
+    delete process.env.SUBTASK_MAX_DEPTH;
+  });
+
+  describe('getMaxSubtaskDepth', () => {
+    it('reads SUBTASK_MAX_DEPTH with a default', () => {
+      expect(getMaxSubtaskDepth()).toBe(DEFAULT_MAX_SUBTASK_DEPTH);
+      process.env.SUBTASK_MAX_DEPTH = '5';
+      expect(getMaxSubtaskDepth()).toBe(5);
+      process.env.SUBTASK_MAX_DEPTH = 'zero';
+      expect(getMaxSubtaskDepth()).toBe(DEFAULT_MAX_SUBTASK_DEPTH);
+    });
+  });
+
+  describe('parseParentSubtaskId', () => {
+    it('distinguishes missing, top level and ids', () => {
+      expect(parseParentSubtaskId(undefined)).toEqual({ parentSubtaskId: undefined, error: null });
+      expect(parseParentSubtaskId(null)).toEqual({ parentSubtaskId: null, error: null });
+      expect(parseParentSubtaskId('7')).toEqual({ parentSubtaskId: 7, error: null });
+      expect(parseParentSubtaskId('x').error).toBe('Invalid parent_subtask_id');
+    });
+  });
+
+  describe('tree helpers', () => {
+    it('nests subtasks in position order', () => {
+      const tree = buildSubtaskTree(subtasks);
+      expect(tree.map((n) => n.id)).toEqual([1, 5]);
+      expect(tree[0].children.map((n) => n.id)).toEqual([3, 2]);
+      expect(tree[0].children[1].children.map((n) => n.id)).toEqual([4]);
+    });
+
+    it('measures depth, branches and descendants', () => {
+      expect(getSubtaskDepth(subtasks, 4)).toBe(3);
+      expect(getSubtaskDepth(subtasks, 5)).toBe(1);
+      expect(getBranchHeight(subtasks, 1)).toBe(3);
+      expect(getBranchHeight(subtasks, 3)).toBe(1);
+      expect(getBranchHeight(subtasks, null)).toBe(3);
+      expect(collectDescendantIds(subtasks, 1)).toEqual([2, 3, 4]);
+    });
+
+    it('survives a parent cycle in bad data', () => {
+      const cyclic = [{ id: 1, parent_subtask_id: 2 }, { id: 2, parent_subtask_id: 1 }];
+      expect(getSubtaskDepth(cyclic, 1)).toBe(2);
+      expect(collectDescendantIds(cyclic, 1)).toEqual([2]);
+    });
+  });
+
+  describe('checkNesting', () => {
+    it('allows new subtasks down to the depth limit', () => {
+      expect(checkNesting(subtasks, null, 2, 3).error).toBeNull();
+      expect(checkNesting(subtasks, null, 4, 3).error).toMatch(/at most 3 levels/);
+      expect(checkNesting(subtasks, null, null, 3).error).toBeNull();
+    });
+
+    it('counts the branch that moves along', () => {
+      expect(checkNesting(subtasks, 2, 3, 3).error).toMatch(/at most 3 levels/);
+      expect(checkNesting(subtasks, 3, 5, 3).error).toBeNull();
+    });
+
+    it('refuses cycles and parents from other tasks', () => {
+      expect(checkNesting(subtasks, 1, 4, 5).error).toMatch(/under itself or its own subtasks/);
+      expect(checkNesting(subtasks, 1, 1, 5).error).toMatch(/under itself/);
+      expect(checkNesting(subtasks, null, 99, 5).error).toBe('Parent subtask must belong to the same task');
+    });
+  });
+
+  describe('checkDemotion', () => {
+    it('counts the demoted task and its own subtasks', () => {
+      const own = [{ id: 10, parent_subtask_id: null }];
+      expect(checkDemotion(subtasks, own, 5, 3).error).toBeNull();
+      expect(checkDemotion(subtasks, own, 2, 3).error).toMatch(/at most 3 levels/);
+      expect(checkDemotion(subtasks, [], null, 1).error).toBeNull();
+      expect(checkDemotion(subtasks, [], 99, 3).error).toBe('Parent subtask must belong to the target task');
+    });
+  });
+
+  describe('ordering', () => {
+    it('appends after the last sibling', () => {
+      expect(nextPosition(getSiblings(subtasks, 1))).toBe(2);
+      expect(nextPosition([])).toBe(0);
+      expect(nextPosition([{ id: 1, position: null }])).toBe(1);
+    });
+
+    it('plans only the positions that change', () => {
+      const { positions, error } = planReorder(getSiblings(subtasks, 1), [2, 3]);
+      expect(error).toBeNull();
+      expect(positions).toEqual([{ id: 2, position: 0 }, { id: 3, position: 1 }]);
+      expect(planReorder(getSiblings(subtasks, null), [1, 5]).positions).toEqual([]);
+    });
+
+    it('requires every sibling exactly once', () => {
+      expect(planReorder(getSiblings(subtasks, 1), [2]).error).toMatch(/exactly once/);
+      expect(planReorder(getSiblings(subtasks, 1), [2, 2]).error).toMatch(/exactly once/);
+      expect(planReorder(getSiblings(subtasks, 1), [2, 4]).error).toMatch(/exactly once/);
+      expect(planReorder(getSiblings(subtasks, 1), 'x').error).toMatch(/array/);
+    });
+  });
+
+  describe('planDraftLevels', () => {
+    it('groups drafts by level with sibling positions', () => {
+      const { levels, error } = planDraftLevels([
+        { id: 'a', title: 'A' },
+        { id: 'b', parent_id: 'a', title: 'B' },
+        { id: 'c', title: 'C' },
+        { id: 'd', parent_id: 'a', title: 'D' },
+        { id: 'e', parent_id: 'missing', title: 'E' },
+      ]);
+      expect(error).toBeNull();
+      expect(levels.map((level) => level.map((d) => `${d.id}${d.position}`))).toEqual([
+        ['a0', 'c1', 'e2'],
+        ['b0', 'd1'],
+      ]);
+    });
+
+    it('enforces the depth limit', () => {
+      const drafts = [{ id: 1 }, { id: 2, parent_id: 1 }, { id: 3, parent_id: 2 }];
+      expect(planDraftLevels(drafts, 2).error).toMatch(/at most 2 levels/);
+      expect(planDraftLevels(drafts, 3).levels).toHaveLength(3);
+    });
+  });
+
+  describe('promote / demote rows', () => {
+    it('builds a task from a subtask in the parent\'s project', () => {
+      const row = buildPromotedTask(
+        { title: 'Slides', description: null, priority: 4, status: 'Under Review', due_date: '2026-10-30', collaborators: ['E1', 'E2'] },
+        { owner_id: 'E1', project_id: 3 }
+      );
+      expect(row).toEqual({
+        title: 'Slides',
+        description: null,
+        priority: 4,
+        status: 'Under Review',
+        due_date: '2026-10-30',
+        estimated_hours: null,
+        project_id: 3,
+        owner_id: 'E1',
+        collaborators: ['E2'],
+        is_recurring: false,
+      });
+    });
+
+    it('builds a subtask from a task', () => {
+      const row = buildDemotedSubtask(
+        { title: 'Draft', priority: 2, status: 'ongoing', due_date: '2026-11-01T00:00:00+00:00', collaborators: '["E3"]' },
+        { parentTaskId: 8, parentSubtaskId: 5, position: 2, ownerId: 1 }
+      );
+      expect(row).toEqual({
+        parent_task_id: 8,
+        parent_subtask_id: 5,
+        position: 2,
+        title: 'Draft',
+        description: null,
+        priority: 2,
+        status: 'ongoing',
+        due_date: '2026-11-01',
+        estimated_hours: null,
+        collaborators: ['E3'],
+        owner_id: 1,
+      });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for Tag Service
+ *
+ * Tests tag validation, project scoping, link replacement and per-tag breakdowns
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TAG_COLOR,
+  validateTagInput,
+  isTagAvailableForProject,
+  parseTagIds,
+  attachTags,
+  replaceTags,
+  dropUnavailableTags,
+  computeTagBreakdown,
+} from '../../../server/services/tagService.js';
+
+// In-memory stand-in for the link tables (eq / in filters, insert, delete)
+function createLinkStub(initial = {}) {
+  const tables = { task_tags: [], subtask_tags: [], ...initial };
+
+  const from = (table) => {
+    const filters = [];
+    let action = 'select';
+    let payload = null;
+
+    const rows = () => tables[table].filter((r) => filters.every((f) => f(r)));
+    const builder = {
+      select: () => builder,
+      insert: (values) => { action = 'insert'; payload = values; return builder; },
+      delete: () => { action = 'delete'; return builder; },
+      eq: (key, value) => { filters.push((r) => r[key] === value); return builder; },
+      in: (key, values) => { filters.push((r) => values.includes(r[key])); return builder; },
+      then: (resolve, reject) => {
+        let data;
+        if (action === 'insert') {
+          tables[table].push(...payload);
+          data = payload;
+        } else if (action === 'delete') {
+          data = rows();
+          tables[table] = tables[table].filter((r) => !data.includes(r));
+        } else {
+          data = rows();
+        }
+        return Promise.resolve({ data, error: null }).then(resolve, reject);
+      },
+    };
+    return builder;
+  };
+
+  return { from, tables };
+}
+
+describe('Tag Service - Unit Tests', () => {
+  describe('validateTagInput', () => {
+    it('should trim the name and default the colour', () => {
+      expect(validateTagInput({ name: '  Finance ' })).toEqual({
+        value: { name: 'Finance', color: DEFAULT_TAG_COLOR },
+        error: null,
+      });
+    });
+
+    it('should normalise hex colours', () => {
+      expect(validateTagInput({ name: 'Q4', color: '#3b82f6' }).value.color).toBe('#3B82F6');
+    });
+
+    it('should reject missing names, long names and bad colours', () => {
+      expect(validateTagInput({}).error).toBe('Tag name is required');
+      expect(validateTagInput({ name: 'x'.repeat(41) }).error).toMatch(/at most 40/);
+      expect(validateTagInput({ name: 'Q4', color: 'blue' }).error).toMatch(/hex colour/);
+    });
+
+    it('should only validate provided fields for partial updates', () => {
+      expect(validateTagInput({ color: '#000000' }, { partial: true })).toEqual({
+        value: { color: '#000000' },
+        error: null,
+      });
+      expect(validateTagInput({}, { partial: true }).value).toEqual({});
+    });
+  });
+
+  describe('isTagAvailableForProject', () => {
+    it('should allow organisation-wide tags everywhere', () => {
+      expect(isTagAvailableForProject({ id: 1, project_id: null }, 7)).toBe(true);
+      expect(isTagAvailableForProject({ id: 1, project_id: null }, null)).toBe(true);
+    });
+
+    it('should limit project tags to their project', () => {
+      expect(isTagAvailableForProject({ id: 2, project_id: 7 }, '7')).toBe(true);
+      expect(isTagAvailableForProject({ id: 2, project_id: 7 }, 8)).toBe(false);
+      expect(isTagAvailableForProject({ id: 2, project_id: 7 }, null)).toBe(false);
+    });
+  });
+
+  describe('parseTagIds', () => {
+    it('should dedupe numeric ids', () => {
+      expect(parseTagIds([1, '2', 2])).toEqual([1, 2]);
+    });
+
+    it('should reject non-arrays and invalid ids', () => {
+      expect(parseTagIds('1,2')).toBeNull();
+      expect(parseTagIds([1, 'abc'])).toBeNull();
+      expect(parseTagIds([0])).toBeNull();
+    });
+  });
+
+  describe('attachTags', () => {
+    it('should attach sorted tags and default to an empty list', async () => {
+      const stub = createLinkStub({
+        task_tags: [
+          { task_id: 1, tag: { id: 3, name: 'Urgent', color: '#FF0000', project_id: null } },
+          { task_id: 1, tag: { id: 4, name: 'Finance', color: '#00FF00', project_id: 9 } },
+        ],
+      });
+      const tasks = [{ id: 1 }, { id: 2 }];
+
+      await attachTags(stub, tasks);
+
+      expect(tasks[0].tags.map((t) => t.name)).toEqual(['Finance', 'Urgent']);
+      expect(tasks[1].tags).toEqual([]);
+    });
+  });
+
+  describe('replaceTags', () => {
+    it('should add missing links and remove dropped ones', async () => {
+      const stub = createLinkStub({
+        subtask_tags: [
+          { subtask_id: 5, tag_id: 1 },
+          { subtask_id: 5, tag_id: 2 },
+          { subtask_id: 6, tag_id: 1 },
+        ],
+      });
+
+      const result = await replaceTags(stub, { kind: 'subtask', id: 5, tagIds: [2, 3] });
+
+      expect(result).toEqual({ added: [3], removed: [1] });
+      expect(stub.tables.subtask_tags).toEqual([
+        { subtask_id: 5, tag_id: 2 },
+        { subtask_id: 6, tag_id: 1 },
+        { subtask_id: 5, tag_id: 3 },
+      ]);
+    });
+  });
+
+  describe('dropUnavailableTags', () => {
+    it('should remove other projects\' tags from a moved task and its subtasks', async () => {
+      const orgTag = { id: 1, name: 'Urgent', color: '#FF0000', project_id: null };
+      const oldTag = { id: 2, name: 'Finance', color: '#00FF00', project_id: 9 };
+      const newTag = { id: 3, name: 'Design', color: '#0000FF', project_id: 10 };
+      const stub = createLinkStub({
+        sub_task: [{ id: 5, parent_task_id: 1 }],
+        task_tags: [
+          { task_id: 1, tag_id: 1, tag: orgTag },
+          { task_id: 1, tag_id: 2, tag: oldTag },
+          { task_id: 2, tag_id: 2, tag: oldTag },
+        ],
+        subtask_tags: [
+          { subtask_id: 5, tag_id: 2, tag: oldTag },
+          { subtask_id: 5, tag_id: 3, tag: newTag },
+        ],
+      });
+
+      const removed = await dropUnavailableTags(stub, { taskId: 1, projectId: 10 });
+
+      expect(removed).toEqual([2]);
+      expect(stub.tables.task_tags.map((l) => [l.task_id, l.tag_id])).toEqual([[1, 1], [2, 2]]);
+      expect(stub.tables.subtask_tags.map((l) => [l.subtask_id, l.tag_id])).toEqual([[5, 3]]);
+    });
+
+    it('should keep only organisation-wide tags when the task leaves its project', async () => {
+      const stub = createLinkStub({
+        sub_task: [],
+        task_tags: [
+          { task_id: 1, tag_id: 1, tag: { id: 1, name: 'Urgent', color: '#FF0000', project_id: null } },
+          { task_id: 1, tag_id: 2, tag: { id: 2, name: 'Finance', color: '#00FF00', project_id: 9 } },
+        ],
+      });
+
+      expect(await dropUnavailableTags(stub, { taskId: 1, projectId: null })).toEqual([2]);
+      expect(stub.tables.task_tags.map((l) => l.tag_id)).toEqual([1]);
+    });
+  });
+
+  describe('computeTagBreakdown', () => {
+    it('should count total, completed and overdue tasks per tag', () => {
+      const now = new Date('2025-11-10T00:00:00Z');
+      const tasks = [
+        { id: 1, status: 'completed', due_date: '2025-11-01' },
+        { id: 2, status: 'ongoing', due_date: '2025-11-05' },
+        { id: 3, status: 'ongoing', due_date: '2025-12-01' },
+      ];
+      const tags = [
+        { id: 10, name: 'Finance', color: '#111111', project_id: null },
+        { id: 11, name: 'Audit', color: '#222222', project_id: 4 },
+        { id: 12, name: 'Unused', color: '#333333', project_id: null },
+      ];
+      const links = [
+        { task_id: 1, tag_id: 10 },
+        { task_id: 2, tag_id: 10 },
+        { task_id: 3, tag_id: 10 },
+        { task_id: 2, tag_id: 11 },
+        { task_id: 99, tag_id: 11 },
+      ];
+
+      const breakdown = computeTagBreakdown(tasks, links, tags, now);
+
+      expect(breakdown).toEqual([
+        { tagId: 10, name: 'Finance', color: '#111111', projectId: null, total: 3, completed: 1, overdue: 1, completionRate: 33 },
+        { tagId: 11, name: 'Audit', color: '#222222', projectId: 4, total: 1, completed: 0, overdue: 1, completionRate: 0 },
+        { tagId: 12, name: 'Unused', color: '#333333', projectId: null, total: 0, completed: 0, overdue: 0, completionRate: 0 },
+      ]);
+    });
+  });
+});
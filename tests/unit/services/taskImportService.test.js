@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for Task Import Service
+ *
+ * Tests CSV parsing, column mapping (guessed and sent) and the per-row import plan:
+ * schema checks, owner/collaborator/project lookups and parent references
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseCsv,
+  suggestMapping,
+  parseMapping,
+  planImport,
+} from '../../../server/services/taskImportService.js';
+
+const lookups = {
+  users: [
+    { emp_id: 'E1', email: 'me@example.com' },
+    { emp_id: 'E2', email: 'ann@example.com' },
+    { emp_id: 'E3', email: 'bob@example.com' },
+  ],
+  projects: [
+    { id: 7, title: 'Website', owner_id: 'E1', members: ['E2'], required_fields: [] },
+    { id: 8, title: 'Payroll', owner_id: 'E9', members: [], required_fields: [] },
+    { id: 9, title: 'Audit', owner_id: 'E1', members: [], required_fields: ['Client'] },
+  ],
+  assignableIds: new Set(['E2']),
+};
+
+const plan = (csv, options = {}) => {
+  const { headers, rows } = parseCsv(csv);
+  const { mapping } = parseMapping(options.mapping || suggestMapping(headers), headers);
+  return planImport({ headers, rows, mapping, lookups: options.lookups || lookups, empId: 'E1', role: options.role || 'manager' });
+};
+
+describe('Task Import Service', () => {
+  describe('parseCsv', () => {
+    it('handles quoted fields, doubled quotes, CRLF and a byte order mark', () => {
+      const result = parseCsv('﻿Title,Description\r\n"Fix, then ship","Say ""hi"""\r\nSecond,"two\nlines"\r\n');
+      expect(result.error).toBeNull();
+      expect(result.headers).toEqual(['Title', 'Description']);
+      expect(result.rows).toEqual([['Fix, then ship', 'Say "hi"'], ['Second', 'two\nlines']]);
+    });
+
+    it('skips blank lines and reports empty or broken files', () => {
+      expect(parseCsv('Title\n\nA\n,\n').rows).toEqual([['A']]);
+      expect(parseCsv('  \n').error).toBe('The CSV is empty');
+      expect(parseCsv('Title\n"open').error).toBe('The CSV has an unclosed quoted field');
+    });
+  });
+
+  describe('mapping', () => {
+    it('guesses fields from common header names', () => {
+      expect(suggestMapping(['Task', 'Due Date', 'Owner Email', 'Parent Ref', 'Other'])).toEqual({
+        title: 'Task',
+        due_date: 'Due Date',
+        owner: 'Owner Email',
+        parent: 'Parent Ref',
+      });
+    });
+
+    it('accepts JSON, drops empty entries and requires a title column', () => {
+      expect(parseMapping('{"title":"Name","owner":""}', ['Name'])).toEqual({ mapping: { title: 'Name' }, error: null });
+      expect(parseMapping({ owner: 'Name' }, ['Name']).error).toBe('Map a column to the task title');
+      expect(parseMapping({ title: 'Missing' }, ['Name']).error).toBe('Column "Missing" is not in the file');
+      expect(parseMapping({ colour: 'Name' }, ['Name']).error).toBe('Unknown import field: colour');
+      expect(parseMapping('not json', ['Name']).error).toMatch(/mapping must be an object/);
+    });
+  });
+
+  describe('planImport', () => {
+    it('builds tasks from valid rows', () => {
+      const result = plan('Title,Priority,Due,Owner,Collaborators,Project\nShip,3,2026-11-01,ann@example.com,E1; bob@example.com,Website\n');
+      expect(result.summary).toEqual({ total: 1, valid: 1, invalid: 0 });
+      expect(result.rows[0]).toMatchObject({
+        row: 2,
+        kind: 'task',
+        parent_row: null,
+        errors: [],
+        task: { title: 'Ship', priority: 3, due_date: '2026-11-01', owner_id: 'E2', collaborators: ['E1', 'E3'], project_id: 7 },
+      });
+    });
+
+    it('reports schema and lookup errors per row', () => {
+      const result = plan('Title,Priority,Due,Owner,Project\n,11,tomorrow,nobody@example.com,Nope\n');
+      const { errors } = result.rows[0];
+      expect(result.summary.invalid).toBe(1);
+      expect(errors).toContain('owner: no user with email or emp_id "nobody@example.com"');
+      expect(errors).toContain('project: no project "Nope"');
+      expect(errors).toContain('due_date: must be a date (YYYY-MM-DD)');
+      expect(errors.some((e) => e.startsWith('title:'))).toBe(true);
+      expect(errors.some((e) => e.startsWith('priority:'))).toBe(true);
+    });
+
+    it('applies the assignment and project membership rules', () => {
+      const csv = 'Title,Owner,Project\nA,bob@example.com,\nB,,Payroll\nC,,Audit\n';
+      const manager = plan(csv);
+      expect(manager.rows[0].errors).toEqual(['owner: you can only assign tasks to members of your team']);
+      expect(manager.rows[1].errors).toEqual(['project: you are not a member of "Payroll"']);
+      expect(manager.rows[2].errors).toEqual(['project: "Audit" has required custom fields (Client)']);
+
+      const staff = plan(csv, { role: 'staff', lookups: { ...lookups, assignableIds: new Set() } });
+      expect(staff.rows[0].errors).toEqual(["owner: you don't have permission to assign tasks"]);
+
+      const director = plan(csv, { role: 'director', lookups: { ...lookups, assignableIds: null } });
+      expect(director.rows[0].errors).toEqual([]);
+      expect(director.rows[1].errors).toEqual([]);
+    });
+
+    it('turns rows with a parent reference into subtasks', () => {
+      const result = plan('Ref,Title,Parent\nT1,Launch,\nS1,Write copy,T1\nS2,Test,t1\n');
+      expect(result.summary.invalid).toBe(0);
+      expect(result.rows.map((r) => [r.kind, r.parent_row])).toEqual([['task', null], ['subtask', 2], ['subtask', 2]]);
+    });
+
+    it('falls back to titles when no ref column is mapped', () => {
+      const result = plan('Title,Parent\nLaunch,\nWrite copy,Launch\n');
+      expect(result.rows[1]).toMatchObject({ kind: 'subtask', parent_row: 2, errors: [] });
+    });
+
+    it('rejects bad parent references', () => {
+      const result = plan('Ref,Title,Parent\nT1,Launch,\nS1,Copy,T1\nS2,Deeper,S1\nS3,Self,S3\nS4,Lost,T9\n');
+      const errorsOf = (ref) => result.rows.find((r) => r.ref === ref).errors;
+      expect(errorsOf('S2')).toEqual(['parent: row 3 is a subtask itself']);
+      expect(errorsOf('S3')).toEqual(['parent: a row cannot be its own parent']);
+      expect(errorsOf('S4')).toEqual(['parent: no row "T9"']);
+
+      const duplicated = plan('Ref,Title,Parent\nT1,Launch,\nT1,Again,\nS1,Copy,T1\n');
+      expect(duplicated.rows[0].errors).toEqual(['ref: "T1" is used by more than one row']);
+      expect(duplicated.rows[2].errors).toEqual(['parent: more than one row is "T1"']);
+    });
+  });
+});
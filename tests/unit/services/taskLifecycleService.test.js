@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for Task Lifecycle Service
+ *
+ * Tests archive / trash visibility, the retention window, permissions and how actions
+ * cascade to subtasks and recurring series
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TRASH_RETENTION_DAYS,
+  LIFECYCLE_ACTIONS,
+  parseArchivedFilter,
+  parseSeriesScope,
+  getLifecycleState,
+  isListed,
+  applyLifecycleFilter,
+  getRestoreDeadline,
+  isRestorable,
+  canManageLifecycle,
+  canPurge,
+  selectCascadeTargets,
+  softDelete,
+  restoreDeleted,
+} from '../../../server/services/taskLifecycleService.js';
+
+// Query builder stand-in that records every call
+function createRecordingClient() {
+  const calls = [];
+  const from = (table) => {
+    const builder = {};
+    ['select', 'update', 'delete', 'in', 'eq', 'is', 'not'].forEach((method) => {
+      builder[method] = (...args) => {
+        calls.push({ table, method, args });
+        return builder;
+      };
+    });
+    builder.then = (resolve, reject) => Promise.resolve({ data: [], error: null }).then(resolve, reject);
+    return builder;
+  };
+  return { from, calls };
+}
+
+describe('Task Lifecycle Service - Unit Tests', () => {
+  describe('parseArchivedFilter / parseSeriesScope', () => {
+    it('should default to hiding archived tasks', () => {
+      expect(parseArchivedFilter(undefined)).toBe('exclude');
+      expect(parseArchivedFilter('ONLY')).toBe('only');
+      expect(parseArchivedFilter('all')).toBeNull();
+    });
+
+    it('should only take the whole series when asked', () => {
+      expect(parseSeriesScope('true')).toBe(true);
+      expect(parseSeriesScope(undefined)).toBe(false);
+      expect(parseSeriesScope('1')).toBe(false);
+    });
+  });
+
+  describe('visibility', () => {
+    const active = { id: 1 };
+    const archived = { id: 2, archived_at: '2026-10-01T00:00:00Z' };
+    const deleted = { id: 3, deleted_at: '2026-10-01T00:00:00Z', archived_at: '2026-09-01T00:00:00Z' };
+
+    it('should report the lifecycle state, deleted winning over archived', () => {
+      expect(getLifecycleState(active)).toBe('active');
+      expect(getLifecycleState(archived)).toBe('archived');
+      expect(getLifecycleState(deleted)).toBe('deleted');
+    });
+
+    it('should never list deleted tasks', () => {
+      const ids = (archivedFilter) =>
+        [active, archived, deleted].filter((t) => isListed(t, { archived: archivedFilter })).map((t) => t.id);
+      expect(ids('exclude')).toEqual([1]);
+      expect(ids('include')).toEqual([1, 2]);
+      expect(ids('only')).toEqual([2]);
+    });
+
+    it('should add the matching filters to a query', () => {
+      const client = createRecordingClient();
+      applyLifecycleFilter(client.from('tasks'), { archived: 'only' });
+      expect(client.calls.map((c) => [c.method, ...c.args])).toEqual([
+        ['is', 'deleted_at', null],
+        ['not', 'archived_at', 'is', null],
+      ]);
+    });
+
+    it('should leave builders without null filters alone', () => {
+      const query = { eq: () => query };
+      expect(applyLifecycleFilter(query)).toBe(query);
+    });
+  });
+
+  describe('retention window', () => {
+    const deletedAt = '2026-10-01T12:00:00.000Z';
+
+    it('should put the deadline retention days after the delete', () => {
+      expect(TRASH_RETENTION_DAYS).toBe(30);
+      expect(getRestoreDeadline(deletedAt)).toBe('2026-10-31T12:00:00.000Z');
+      expect(getRestoreDeadline(null)).toBeNull();
+    });
+
+    it('should allow restores only inside the window', () => {
+      const task = { deleted_at: deletedAt };
+      expect(isRestorable(task, new Date('2026-10-31T11:59:59Z'))).toBe(true);
+      expect(isRestorable(task, new Date('2026-10-31T12:00:00Z'))).toBe(false);
+      expect(isRestorable({ deleted_at: null }, new Date(deletedAt))).toBe(false);
+    });
+  });
+
+  describe('permissions', () => {
+    const task = { owner_id: 'E1', deleted_by: 'E2' };
+
+    it('should let owners, the deleter, managers and directors act', () => {
+      expect(canManageLifecycle(task, 'E1', 'staff')).toBe(true);
+      expect(canManageLifecycle(task, 'E2', 'staff')).toBe(true);
+      expect(canManageLifecycle(task, 'M1', 'manager', { teamMemberIds: new Set(['E1']) })).toBe(true);
+      expect(canManageLifecycle(task, 'D1', 'director')).toBe(true);
+      expect(canManageLifecycle(task, 'E3', 'staff')).toBe(false);
+      expect(canManageLifecycle({ owner_id: 'E1' }, 'E3', 'staff')).toBe(false);
+    });
+
+    it('should keep managers to the tasks of their team members', () => {
+      expect(canManageLifecycle(task, 'M1', 'manager')).toBe(false);
+      expect(canManageLifecycle(task, 'M1', 'manager', { teamMemberIds: new Set(['E5']) })).toBe(false);
+      expect(canManageLifecycle({ owner_id: 'M1' }, 'M1', 'manager')).toBe(true);
+    });
+
+    it('should keep purging to directors', () => {
+      expect(canPurge('director')).toBe(true);
+      expect(canPurge('manager')).toBe(false);
+    });
+  });
+
+  describe('selectCascadeTargets', () => {
+    const batch = '2026-10-02T00:00:00.000Z';
+    const task = { id: 1, deleted_at: batch };
+    const series = [
+      task,
+      { id: 2, deleted_at: batch },
+      { id: 3, deleted_at: '2026-09-01T00:00:00.000Z' },
+      { id: 4, deleted_at: null, archived_at: null },
+      { id: 5, deleted_at: null, archived_at: '2026-09-01T00:00:00.000Z' },
+    ];
+
+    it('should restore only the instances deleted in the same batch', () => {
+      expect(selectCascadeTargets(LIFECYCLE_ACTIONS.restore, task, series).map((t) => t.id)).toEqual([1, 2]);
+    });
+
+    it('should delete and archive only live instances', () => {
+      const live = { id: 4, deleted_at: null, archived_at: null };
+      expect(selectCascadeTargets(LIFECYCLE_ACTIONS.delete, live, series).map((t) => t.id)).toEqual([4, 5]);
+      expect(selectCascadeTargets(LIFECYCLE_ACTIONS.archive, live, series).map((t) => t.id)).toEqual([4]);
+    });
+
+    it('should act on the task alone without a series', () => {
+      expect(selectCascadeTargets(LIFECYCLE_ACTIONS.delete, { id: 9 })).toEqual([{ id: 9 }]);
+    });
+  });
+
+  describe('subtask cascade', () => {
+    it('should trash live subtasks with the same timestamp', async () => {
+      const client = createRecordingClient();
+      await softDelete(client, [1, 2], { empId: 'E1', at: 'T1' });
+
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'update', args: [{ deleted_at: 'T1', deleted_by: 'E1' }] });
+      expect(client.calls).toContainEqual({ table: 'sub_task', method: 'update', args: [{ deleted_at: 'T1' }] });
+      expect(client.calls).toContainEqual({ table: 'sub_task', method: 'is', args: ['deleted_at', null] });
+    });
+
+    it('should restore only the subtasks deleted in that batch', async () => {
+      const client = createRecordingClient();
+      await restoreDeleted(client, [1], 'T1');
+
+      expect(client.calls).toContainEqual({ table: 'sub_task', method: 'update', args: [{ deleted_at: null }] });
+      expect(client.calls).toContainEqual({ table: 'sub_task', method: 'eq', args: ['deleted_at', 'T1'] });
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Unit Tests for Task Search Service
+ *
+ * Tests parameter validation, cursors and the filters sent to the query builder
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseSearchParams,
+  sanitizeSavedFilters,
+  expandStatuses,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  searchTasks,
+  buildTextFilter,
+  MAX_COMMENT_MATCHES,
+} from '../../../server/services/taskSearchService.js';
+
+// Query builder stand-in that records every call and resolves with canned rows per table
+function createRecordingClient(rowsByTable) {
+  const calls = [];
+  const from = (table) => {
+    const builder = {};
+    ['select', 'or', 'in', 'eq', 'gte', 'lte', 'contains', 'ilike', 'is', 'textSearch', 'order', 'limit'].forEach((method) => {
+      builder[method] = (...args) => {
+        calls.push({ table, method, args });
+        return builder;
+      };
+    });
+    builder.then = (resolve, reject) =>
+      Promise.resolve({ data: rowsByTable[table] || [], error: null }).then(resolve, reject);
+    return builder;
+  };
+  return { from, calls };
+}
+
+describe('Task Search Service - Unit Tests', () => {
+  describe('parseSearchParams', () => {
+    it('should apply defaults', () => {
+      const { params, error } = parseSearchParams({});
+      expect(error).toBeNull();
+      expect(params).toMatchObject({ q: '', statuses: [], sort: 'due_date', direction: 'asc', limit: 25, cursor: null });
+    });
+
+    it('should parse structured filters', () => {
+      const { params } = parseSearchParams({
+        q: ' budget ',
+        status: 'ongoing,Under Review',
+        priority_min: '3',
+        priority_max: '8',
+        project_id: '12',
+        due_from: '2025-11-01',
+        due_to: '2025-11-30',
+        recurring: 'true',
+        sort: 'priority',
+        direction: 'DESC',
+        limit: '500',
+      });
+      expect(params).toMatchObject({
+        q: 'budget',
+        statuses: ['ongoing', 'under review'],
+        priorityMin: 3,
+        priorityMax: 8,
+        projectId: 12,
+        dueFrom: '2025-11-01',
+        dueTo: '2025-11-30',
+        recurring: true,
+        sort: 'priority',
+        direction: 'desc',
+        limit: 100,
+      });
+    });
+
+    it('should reject invalid values', () => {
+      expect(parseSearchParams({ priority_min: '11' }).error).toMatch(/priority_min/);
+      expect(parseSearchParams({ priority_min: '8', priority_max: '3' }).error).toMatch(/greater/);
+      expect(parseSearchParams({ due_from: 'tomorrow' }).error).toMatch(/due_from/);
+      expect(parseSearchParams({ sort: 'owner_id' }).error).toMatch(/sort/);
+      expect(parseSearchParams({ recurring: 'maybe' }).error).toMatch(/recurring/);
+      expect(parseSearchParams({ cursor: 'garbage' }).error).toBe('Invalid cursor');
+      expect(parseSearchParams({ tag: 'urgent' }).error).toBe('Invalid tag');
+      expect(parseSearchParams({ archived: 'all' }).error).toMatch(/archived/);
+    });
+
+    it('should collect custom field filters', () => {
+      const { params } = parseSearchParams({ cf_4: ' High ', cf_7: '', cf_x: 'ignored' });
+      expect(params.customFields).toEqual([{ fieldId: 4, value: 'High' }]);
+    });
+  });
+
+  describe('sanitizeSavedFilters', () => {
+    it('should keep only searchable keys', () => {
+      const { filters, error } = sanitizeSavedFilters({ q: 'x', status: ['ongoing', 'completed'], cursor: 'abc', limit: 5, foo: 1 });
+      expect(error).toBeNull();
+      expect(filters).toEqual({ q: 'x', status: 'ongoing,completed' });
+    });
+
+    it('should keep custom field filters', () => {
+      expect(sanitizeSavedFilters({ cf_4: 'High', cf_name: 'x' }).filters).toEqual({ cf_4: 'High' });
+    });
+
+    it('should reject invalid filters', () => {
+      expect(sanitizeSavedFilters(null).error).toBe('filters must be an object');
+      expect(sanitizeSavedFilters({ sort: 'nope' }).error).toMatch(/sort/);
+    });
+  });
+
+  describe('expandStatuses', () => {
+    it('should include stored spellings of under review', () => {
+      expect(expandStatuses(['ongoing', 'under review'])).toEqual(['ongoing', 'under review', 'Under Review']);
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip sort value and id', () => {
+      const cursor = encodeCursor({ id: 42, due_date: '2025-11-05' }, 'due_date');
+      expect(decodeCursor(cursor)).toEqual({ v: '2025-11-05', id: 42 });
+    });
+
+    it('should encode missing sort values as null', () => {
+      expect(decodeCursor(encodeCursor({ id: 7 }, 'due_date'))).toEqual({ v: null, id: 7 });
+    });
+
+    it('should build keyset filters for both directions and the null tail', () => {
+      expect(buildCursorFilter('priority', 'asc', { v: 5, id: 9 }))
+        .toBe('priority.gt."5",and(priority.eq."5",id.gt.9),priority.is.null');
+      expect(buildCursorFilter('priority', 'desc', { v: 5, id: 9 }))
+        .toBe('priority.lt."5",and(priority.eq."5",id.gt.9),priority.is.null');
+      expect(buildCursorFilter('due_date', 'asc', { v: null, id: 9 }))
+        .toBe('and(due_date.is.null,id.gt.9)');
+    });
+
+    it('should quote values containing PostgREST syntax', () => {
+      expect(buildCursorFilter('title', 'asc', { v: 'a,b "c"', id: 1 }))
+        .toContain('title.gt."a,b \\"c\\""');
+    });
+  });
+
+  describe('buildTextFilter', () => {
+    it('should quote the query so commas and quotes stay inside it', () => {
+      expect(buildTextFilter('a, "b"')).toBe('search_vector.wfts(english)."a, \\"b\\""');
+      expect(buildTextFilter('x', [1, 2])).toBe('search_vector.wfts(english)."x",id.in.(1,2)');
+    });
+  });
+
+  describe('searchTasks', () => {
+    it('should limit staff to their own tasks and return a next cursor', async () => {
+      const client = createRecordingClient({
+        tasks: [
+          { id: 1, due_date: '2025-11-01' },
+          { id: 2, due_date: '2025-11-02' },
+          { id: 3, due_date: '2025-11-03' },
+        ],
+      });
+      const { params } = parseSearchParams({ limit: '2', status: 'ongoing' });
+
+      const result = await searchTasks(client, { empId: 'E1', role: 'staff', params });
+
+      expect(result.tasks.map((t) => t.id)).toEqual([1, 2]);
+      expect(decodeCursor(result.next_cursor)).toEqual({ v: '2025-11-02', id: 2 });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'or', args: ['owner_id.eq.E1,collaborators.cs.{E1}'] });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'in', args: ['status', ['ongoing']] });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'limit', args: [3] });
+    });
+
+    it('should not restrict managers to their own tasks', async () => {
+      const client = createRecordingClient({ tasks: [] });
+      const { params } = parseSearchParams({});
+
+      const result = await searchTasks(client, { empId: 'M1', role: 'manager', params });
+
+      expect(result).toEqual({ tasks: [], next_cursor: null });
+      expect(client.calls.some((c) => c.method === 'or')).toBe(false);
+    });
+
+    it('should leave out deleted tasks and, by default, archived ones', async () => {
+      const client = createRecordingClient({ tasks: [] });
+
+      await searchTasks(client, { empId: 'M1', role: 'manager', params: parseSearchParams({}).params });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'is', args: ['deleted_at', null] });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'is', args: ['archived_at', null] });
+
+      const included = createRecordingClient({ tasks: [] });
+      await searchTasks(included, { empId: 'M1', role: 'manager', params: parseSearchParams({ archived: 'include' }).params });
+      expect(included.calls.some((c) => c.method === 'is' && c.args[0] === 'archived_at')).toBe(false);
+    });
+
+    it('should match task text in the tasks query and add the tasks of matching comments', async () => {
+      const client = createRecordingClient({
+        task_comments: [{ task_id: 5 }, { task_id: 6 }, { task_id: 5 }],
+        tasks: [{ id: 5 }],
+      });
+      const { params } = parseSearchParams({ q: 'invoice' });
+
+      await searchTasks(client, { empId: 'D1', role: 'director', params });
+
+      expect(client.calls).toContainEqual({ table: 'task_comments', method: 'limit', args: [MAX_COMMENT_MATCHES] });
+      expect(client.calls).toContainEqual({
+        table: 'tasks',
+        method: 'or',
+        args: ['search_vector.wfts(english)."invoice",id.in.(5,6)'],
+      });
+      expect(client.calls.some((c) => c.table === 'tasks' && c.method === 'textSearch')).toBe(false);
+    });
+
+    it('should combine text matches with tagged tasks', async () => {
+      const client = createRecordingClient({
+        task_comments: [],
+        task_tags: [{ task_id: 6 }, { task_id: 9 }],
+        tasks: [{ id: 6 }],
+      });
+      const { params } = parseSearchParams({ q: 'invoice', tag: '3,4' });
+
+      await searchTasks(client, { empId: 'D1', role: 'director', params });
+
+      expect(client.calls).toContainEqual({ table: 'task_tags', method: 'in', args: ['tag_id', [3, 4]] });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'or', args: ['search_vector.wfts(english)."invoice"'] });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'in', args: ['id', [6, 9]] });
+    });
+
+    it('should filter on custom field values within the field\'s project', async () => {
+      const client = createRecordingClient({
+        project_custom_fields: [
+          { id: 4, project_id: 2, type: 'select' },
+          { id: 5, project_id: 2, type: 'text' },
+          { id: 6, project_id: 2, type: 'multi_select' },
+        ],
+        tasks: [],
+      });
+      const { params } = parseSearchParams({ cf_4: 'High', cf_5: '50%', cf_6: 'EU' });
+
+      await searchTasks(client, { empId: 'D1', role: 'director', params });
+
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'eq', args: ['project_id', 2] });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'eq', args: ['custom_fields->>4', 'High'] });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'ilike', args: ['custom_fields->>5', '%50\\%%'] });
+      expect(client.calls).toContainEqual({ table: 'tasks', method: 'contains', args: ['custom_fields', { 6: ['EU'] }] });
+    });
+
+    it('should return nothing for unknown custom fields', async () => {
+      const client = createRecordingClient({ project_custom_fields: [], tasks: [{ id: 1 }] });
+      const { params } = parseSearchParams({ cf_99: 'x' });
+
+      expect(await searchTasks(client, { empId: 'D1', role: 'director', params })).toEqual({ tasks: [], next_cursor: null });
+    });
+
+    it('should short-circuit when no task carries the tags', async () => {
+      const client = createRecordingClient({ tasks: [{ id: 1 }], task_tags: [] });
+      const { params } = parseSearchParams({ tag: '3' });
+
+      const result = await searchTasks(client, { empId: 'D1', role: 'director', params });
+
+      expect(result).toEqual({ tasks: [], next_cursor: null });
+      expect(client.calls.some((c) => c.table === 'tasks')).toBe(false);
+    });
+  });
+});
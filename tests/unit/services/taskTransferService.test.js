@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for Task Transfer Service
+ *
+ * Tests clone / move option parsing, project membership rules and the rows built for
+ * a cloned task and its subtasks
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseCloneOptions,
+  parseMoveTarget,
+  canUseProject,
+  canMoveTask,
+  findNonMembers,
+  buildClonedTask,
+  buildClonedSubtasks,
+  buildClonedSubtaskDrafts,
+} from '../../../server/services/taskTransferService.js';
+import { planDraftLevels } from '../../../server/services/subtaskTreeService.js';
+
+const task = {
+  id: 7,
+  title: 'Launch plan',
+  description: 'Draft and review',
+  priority: 6,
+  status: 'Under Review',
+  due_date: '2026-10-30T00:00:00+00:00',
+  estimated_hours: 4,
+  project_id: 3,
+  owner_id: 'E1',
+  collaborators: ['E2', 'E3'],
+  is_recurring: true,
+  recurrence_pattern: 'weekly',
+};
+
+const project = { id: 5, owner_id: 'E9', members: ['E1', 'E2'] };
+
+describe('taskTransferService', () => {
+  describe('parseCloneOptions', () => {
+    it('defaults to including subtasks and resetting statuses', () => {
+      expect(parseCloneOptions({})).toEqual({
+        options: { includeSubtasks: true, resetStatus: true, shiftDays: 0, projectId: undefined, title: null },
+        error: null,
+      });
+    });
+
+    it('reads explicit options', () => {
+      const { options } = parseCloneOptions({
+        include_subtasks: 'false',
+        reset_status: false,
+        shift_days: '7',
+        project_id: null,
+        title: '  Next launch ',
+      });
+      expect(options).toEqual({ includeSubtasks: false, resetStatus: false, shiftDays: 7, projectId: null, title: 'Next launch' });
+    });
+
+    it('rejects bad values', () => {
+      expect(parseCloneOptions({ shift_days: 1.5 }).error).toMatch(/shift_days/);
+      expect(parseCloneOptions({ project_id: 'abc' }).error).toBe('Invalid project_id');
+      expect(parseCloneOptions({ title: 5 }).error).toBe('title must be text');
+    });
+  });
+
+  describe('parseMoveTarget', () => {
+    it('requires project_id and allows null', () => {
+      expect(parseMoveTarget({}).error).toMatch(/project_id is required/);
+      expect(parseMoveTarget({ project_id: null })).toEqual({ projectId: null, error: null });
+      expect(parseMoveTarget({ project_id: '4' })).toEqual({ projectId: 4, error: null });
+      expect(parseMoveTarget({ project_id: -1 }).error).toBe('Invalid project_id');
+    });
+  });
+
+  describe('permissions', () => {
+    it('lets project members and directors use a project', () => {
+      expect(canUseProject(project, 'E2', 'staff')).toBe(true);
+      expect(canUseProject(project, 'E9', 'staff')).toBe(true);
+      expect(canUseProject(project, 'E4', 'manager')).toBe(false);
+      expect(canUseProject(project, 'E4', 'director')).toBe(true);
+      expect(canUseProject(null, 'E4', 'staff')).toBe(true);
+    });
+
+    it('lets owners, their managers and directors move tasks', () => {
+      expect(canMoveTask(task, 'E1', 'staff')).toBe(true);
+      expect(canMoveTask(task, 'E2', 'staff')).toBe(false);
+      expect(canMoveTask(task, 'M1', 'manager', { teamMemberIds: new Set(['E1']) })).toBe(true);
+      expect(canMoveTask(task, 'M1', 'manager', { teamMemberIds: new Set(['E5']) })).toBe(false);
+      expect(canMoveTask(task, 'M1', 'manager')).toBe(false);
+      expect(canMoveTask(task, 'D1', 'director')).toBe(true);
+    });
+
+    it('lists task people outside the target project', () => {
+      expect(findNonMembers(task, project)).toEqual(['E3']);
+      expect(findNonMembers(task, null)).toEqual([]);
+    });
+  });
+
+  describe('buildClonedTask', () => {
+    it('copies the task for the new owner, reset and shifted', () => {
+      expect(buildClonedTask(task, { ownerId: 'E2', shiftDays: 3 })).toEqual({
+        title: 'Copy of Launch plan',
+        description: 'Draft and review',
+        priority: 6,
+        status: 'ongoing',
+        due_date: '2026-11-02',
+        estimated_hours: 4,
+        project_id: 3,
+        owner_id: 'E2',
+        collaborators: ['E3'],
+        is_recurring: false,
+        require_checklist_complete: false,
+        custom_fields: {},
+      });
+    });
+
+    it('keeps the status, uses a new title and project when asked', () => {
+      const row = buildClonedTask({ ...task, status: 'completed' }, { ownerId: 'E1', resetStatus: false, projectId: null, title: 'Mine' });
+      expect(row).toMatchObject({ title: 'Mine', status: 'completed', project_id: null, due_date: '2026-10-30' });
+    });
+
+    it('restarts an Under Review task even when keeping statuses, as the clone has no review', () => {
+      expect(buildClonedTask(task, { ownerId: 'E1', resetStatus: false }).status).toBe('ongoing');
+    });
+
+    it('keeps custom field values only within the same project', () => {
+      const withFields = { ...task, custom_fields: { 4: 'High' } };
+      expect(buildClonedTask(withFields, { ownerId: 'E1' }).custom_fields).toEqual({ 4: 'High' });
+      expect(buildClonedTask(withFields, { ownerId: 'E1', projectId: 9 }).custom_fields).toEqual({});
+    });
+  });
+
+  describe('buildClonedSubtasks', () => {
+    it('points subtasks at the clone', () => {
+      const rows = buildClonedSubtasks(
+        [{ id: 1, title: 'Slides', status: 'completed', due_date: '2026-10-28', priority: 3, collaborators: null }],
+        99,
+        { shiftDays: -1 }
+      );
+      expect(rows).toEqual([{
+        parent_task_id: 99,
+        title: 'Slides',
+        description: null,
+        priority: 3,
+        status: 'ongoing',
+        due_date: '2026-10-27',
+        estimated_hours: null,
+        collaborators: [],
+      }]);
+    });
+
+    it('maps Under Review to ongoing when keeping statuses', () => {
+      const rows = buildClonedSubtasks(
+        [{ id: 1, title: 'A', status: 'Under Review' }, { id: 2, title: 'B', status: 'completed' }],
+        99,
+        { resetStatus: false }
+      );
+      expect(rows.map((r) => r.status)).toEqual(['ongoing', 'completed']);
+    });
+  });
+
+  describe('buildClonedSubtaskDrafts', () => {
+    it('keeps the nesting and sibling order of the source tree', () => {
+      const drafts = buildClonedSubtaskDrafts([
+        { id: 3, title: 'Child', parent_subtask_id: 1, position: 0 },
+        { id: 2, title: 'Second', parent_subtask_id: null, position: 1 },
+        { id: 1, title: 'First', parent_subtask_id: null, position: 0, status: 'Under Review' },
+      ], { resetStatus: false });
+      expect(drafts.map((d) => [d.id, d.parent_id])).toEqual([[1, null], [3, 1], [2, null]]);
+      expect(drafts[0].row).toMatchObject({ title: 'First', status: 'ongoing' });
+      expect(drafts[0].row).not.toHaveProperty('parent_task_id');
+    });
+
+    it('nests the copies under the copied parents when planned into levels', () => {
+      const drafts = buildClonedSubtaskDrafts([
+        { id: 5, title: 'Leaf', parent_subtask_id: 4, position: 0 },
+        { id: 4, title: 'Root', parent_subtask_id: null, position: 0 },
+      ]);
+      const { levels } = planDraftLevels(drafts);
+      expect(levels.map((level) => level.map((d) => [d.id, d.parent_id, d.position]))).toEqual([
+        [[4, null, 0]],
+        [[5, 4, 0]],
+      ]);
+    });
+  });
+});
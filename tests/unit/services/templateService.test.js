@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for Template Service
+ *
+ * Tests template validation, pattern rendering, date offsets and building task rows
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_TEMPLATE_SUBTASKS,
+  MAX_DUE_OFFSET_DAYS,
+  parseDueOffset,
+  validateTemplateInput,
+  resolveBaseDate,
+  addDays,
+  renderPattern,
+  buildTaskFromTemplate,
+} from '../../../server/services/templateService.js';
+
+describe('Template Service - Unit Tests', () => {
+  describe('parseDueOffset', () => {
+    it('accepts whole days and treats empty values as no due date', () => {
+      expect(parseDueOffset(3)).toBe(3);
+      expect(parseDueOffset('-2')).toBe(-2);
+      expect(parseDueOffset('')).toBeNull();
+      expect(parseDueOffset(null)).toBeNull();
+    });
+
+    it('rejects fractions, text and huge offsets', () => {
+      expect(parseDueOffset(1.5)).toBeUndefined();
+      expect(parseDueOffset('soon')).toBeUndefined();
+      expect(parseDueOffset(MAX_DUE_OFFSET_DAYS + 1)).toBeUndefined();
+    });
+  });
+
+  describe('validateTemplateInput', () => {
+    it('requires a name and a title pattern on create', () => {
+      expect(validateTemplateInput({ title_pattern: 'x' }).error).toMatch(/name is required/);
+      expect(validateTemplateInput({ name: 'Weekly' }).error).toMatch(/Title pattern is required/);
+    });
+
+    it('normalises a full template', () => {
+      const { value, error } = validateTemplateInput({
+        name: '  Weekly report ',
+        title_pattern: 'Report {week}',
+        description_pattern: '',
+        priority: '7',
+        due_offset_days: '5',
+        estimated_hours: '2.5',
+        collaborators: ['E2', 'E2', '', 3],
+        tag_ids: ['4', 4],
+        subtasks: [{ title: ' Draft ', due_offset_days: 2, priority: 3 }],
+      });
+      expect(error).toBeNull();
+      expect(value).toEqual({
+        name: 'Weekly report',
+        title_pattern: 'Report {week}',
+        description_pattern: null,
+        priority: 7,
+        due_offset_days: 5,
+        estimated_hours: 2.5,
+        collaborators: ['E2', '3'],
+        tag_ids: [4],
+        subtasks: [{ title: 'Draft', description: null, priority: 3, due_offset_days: 2, estimated_hours: null }],
+      });
+    });
+
+    it('defaults the priority on create and only validates given fields on update', () => {
+      expect(validateTemplateInput({ name: 'A', title_pattern: 'B' }).value.priority).toBe(5);
+      expect(validateTemplateInput({ priority: 2 }, { partial: true })).toEqual({ value: { priority: 2 }, error: null });
+    });
+
+    it('rejects invalid fields', () => {
+      const base = { name: 'A', title_pattern: 'B' };
+      expect(validateTemplateInput({ ...base, priority: 11 }).error).toMatch(/Priority/);
+      expect(validateTemplateInput({ ...base, due_offset_days: 'x' }).error).toMatch(/due_offset_days/);
+      expect(validateTemplateInput({ ...base, collaborators: 'E1' }).error).toMatch(/collaborators/);
+      expect(validateTemplateInput({ ...base, tag_ids: ['a'] }).error).toMatch(/tag_ids/);
+      expect(validateTemplateInput({ ...base, subtasks: {} }).error).toMatch(/subtasks must be a list/);
+      expect(validateTemplateInput({ ...base, subtasks: [{ title: '' }] }).error).toMatch(/Subtask 1 needs a title/);
+      expect(validateTemplateInput({ ...base, subtasks: [{ title: 'a', priority: 0 }] }).error).toMatch(/Subtask 1: priority/);
+      const tooMany = Array.from({ length: MAX_TEMPLATE_SUBTASKS + 1 }, (_, i) => ({ title: `s${i}` }));
+      expect(validateTemplateInput({ ...base, subtasks: tooMany }).error).toMatch(/at most/);
+    });
+  });
+
+  describe('dates', () => {
+    it('defaults the base date to today and validates given dates', () => {
+      expect(resolveBaseDate(undefined, new Date('2026-03-04T10:00:00Z'))).toBe('2026-03-04');
+      expect(resolveBaseDate('2026-02-28')).toBe('2026-02-28');
+      expect(resolveBaseDate('2026-02-30')).toBeNull();
+      expect(resolveBaseDate('next week')).toBeNull();
+    });
+
+    it('adds day offsets across month and year ends', () => {
+      expect(addDays('2026-01-30', 3)).toBe('2026-02-02');
+      expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+      expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+      expect(addDays('2026-03-01', null)).toBeNull();
+    });
+  });
+
+  describe('renderPattern', () => {
+    it('fills date placeholders and variables, leaving unknown ones', () => {
+      const text = renderPattern('{client} report {date} ({month} {year}, week {week}) {unknown}', {
+        baseDate: '2026-01-01',
+        variables: { client: 'Acme' },
+      });
+      expect(text).toBe('Acme report 2026-01-01 (January 2026, week 1) {unknown}');
+    });
+
+    it('passes null patterns through', () => {
+      expect(renderPattern(null, { baseDate: '2026-01-01' })).toBeNull();
+    });
+  });
+
+  describe('buildTaskFromTemplate', () => {
+    const template = {
+      title_pattern: 'Month end {month}',
+      description_pattern: 'Close the books for {month}',
+      priority: 8,
+      due_offset_days: 10,
+      estimated_hours: 4,
+      collaborators: ['E1', 'E2'],
+      subtasks: [
+        { title: 'Reconcile {month}', due_offset_days: 3, priority: 6 },
+        { title: 'Sign off', due_offset_days: null },
+      ],
+    };
+
+    it('builds the task and subtask rows relative to the base date', () => {
+      const { task, subtasks } = buildTaskFromTemplate(template, {
+        baseDate: '2026-05-01',
+        ownerId: 'E1',
+        projectId: 12,
+      });
+      expect(task).toEqual({
+        title: 'Month end May',
+        description: 'Close the books for May',
+        priority: 8,
+        status: 'ongoing',
+        due_date: '2026-05-11',
+        project_id: 12,
+        collaborators: ['E2'],
+        owner_id: 'E1',
+        estimated_hours: 4,
+      });
+      expect(subtasks).toEqual([
+        expect.objectContaining({ title: 'Reconcile May', priority: 6, status: 'ongoing', due_date: '2026-05-04' }),
+        expect.objectContaining({ title: 'Sign off', priority: null, due_date: null }),
+      ]);
+    });
+
+    it('lets the caller override the title', () => {
+      const { task } = buildTaskFromTemplate(template, { baseDate: '2026-05-01', ownerId: 'E3', title: '  Special  ' });
+      expect(task.title).toBe('Special');
+      expect(task.collaborators).toEqual(['E1', 'E2']);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Unit Tests for Time Tracking Service - Pure Functions
+ *
+ * Tests estimate parsing, entry durations and hour roll-ups without external dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseEstimatedHours,
+  minutesToHours,
+  getEntryMinutes,
+  summarizeEntries,
+  getTaskEstimate,
+  rollupHours,
+  getEmployeeHours,
+  MAX_ENTRY_MINUTES,
+  ROLLUP_BATCH_SIZE,
+} from '../../../server/services/timeTrackingService.js';
+
+describe('Time Tracking Service - Unit Tests', () => {
+  describe('parseEstimatedHours', () => {
+    it('should parse numbers and numeric strings rounded to 2dp', () => {
+      expect(parseEstimatedHours(4)).toBe(4);
+      expect(parseEstimatedHours('2.555')).toBe(2.56);
+    });
+
+    it('should return null to clear an estimate', () => {
+      expect(parseEstimatedHours('')).toBeNull();
+      expect(parseEstimatedHours(null)).toBeNull();
+    });
+
+    it('should return undefined for absent or invalid values', () => {
+      expect(parseEstimatedHours(undefined)).toBeUndefined();
+      expect(parseEstimatedHours('abc')).toBeUndefined();
+      expect(parseEstimatedHours(-1)).toBeUndefined();
+      expect(parseEstimatedHours(5000)).toBeUndefined();
+    });
+  });
+
+  describe('minutesToHours', () => {
+    it('should convert minutes to hours rounded to 2dp', () => {
+      expect(minutesToHours(90)).toBe(1.5);
+      expect(minutesToHours(20)).toBe(0.33);
+      expect(minutesToHours(null)).toBe(0);
+    });
+  });
+
+  describe('getEntryMinutes', () => {
+    const now = new Date('2025-11-01T12:00:00Z');
+
+    it('should prefer stored minutes', () => {
+      expect(getEntryMinutes({ minutes: 45, started_at: '2025-11-01T08:00:00Z' }, now)).toBe(45);
+    });
+
+    it('should count a running timer up to now', () => {
+      expect(getEntryMinutes({ minutes: null, started_at: '2025-11-01T11:30:00Z', ended_at: null }, now)).toBe(30);
+    });
+
+    it('should use ended_at for stopped timers without stored minutes', () => {
+      expect(getEntryMinutes({ started_at: '2025-11-01T09:00:00Z', ended_at: '2025-11-01T10:15:00Z' }, now)).toBe(75);
+    });
+
+    it('should never return negative durations', () => {
+      expect(getEntryMinutes({ started_at: '2025-11-01T13:00:00Z' }, now)).toBe(0);
+      expect(getEntryMinutes(null, now)).toBe(0);
+    });
+
+    it('should cap a timer left running at MAX_ENTRY_MINUTES', () => {
+      expect(getEntryMinutes({ minutes: null, started_at: '2025-10-30T12:00:00Z', ended_at: null }, now)).toBe(MAX_ENTRY_MINUTES);
+    });
+  });
+
+  describe('summarizeEntries', () => {
+    it('should total minutes and split hours by employee', () => {
+      const summary = summarizeEntries([
+        { emp_id: 'E1', minutes: 60 },
+        { emp_id: 'E1', minutes: 30 },
+        { emp_id: 'E2', minutes: 15 },
+      ]);
+
+      expect(summary.logged_minutes).toBe(105);
+      expect(summary.logged_hours).toBe(1.75);
+      expect(summary.by_employee).toEqual({ E1: 1.5, E2: 0.25 });
+    });
+  });
+
+  describe('getTaskEstimate', () => {
+    it('should use the task estimate when set', () => {
+      expect(getTaskEstimate({ estimated_hours: 8 }, [{ estimated_hours: 3 }])).toBe(8);
+    });
+
+    it('should fall back to the sum of subtask estimates', () => {
+      expect(getTaskEstimate({ estimated_hours: null }, [{ estimated_hours: 3 }, { estimated_hours: '1.5' }, {}])).toBe(4.5);
+    });
+  });
+
+  describe('rollupHours', () => {
+    const tasks = [
+      { id: 1, owner_id: 'E1', project_id: 10, estimated_hours: 5 },
+      { id: 2, owner_id: 'E2', project_id: 10, estimated_hours: null },
+      { id: 3, owner_id: 'E1', project_id: null, estimated_hours: 2 },
+    ];
+    const subtasks = [{ parent_task_id: 2, estimated_hours: 4 }];
+    const entries = [
+      { task_id: 1, emp_id: 'E1', minutes: 120 },
+      { task_id: 1, emp_id: 'E2', minutes: 30 },
+      { task_id: 2, emp_id: 'E2', minutes: 60 },
+      { task_id: 99, emp_id: 'E1', minutes: 600 },
+    ];
+
+    it('should attribute estimates to owners and logged time to whoever logged it', () => {
+      const { byEmployee } = rollupHours({ tasks, subtasks, entries });
+      expect(byEmployee.E1).toEqual({ estimated_hours: 7, logged_hours: 2 });
+      expect(byEmployee.E2).toEqual({ estimated_hours: 4, logged_hours: 1.5 });
+    });
+
+    it('should roll up per project and ignore entries for unknown tasks', () => {
+      const { byProject, totals } = rollupHours({ tasks, subtasks, entries });
+      expect(byProject[10]).toEqual({ estimated_hours: 9, logged_hours: 3.5 });
+      expect(totals).toEqual({ estimated_hours: 11, logged_hours: 3.5 });
+    });
+
+    it('should break task logged hours down by employee', () => {
+      const { byTask } = rollupHours({ tasks, subtasks, entries });
+      expect(byTask[1]).toEqual({
+        estimated_hours: 5,
+        logged_hours: 2.5,
+        logged_by_employee: { E1: 2, E2: 0.5 },
+      });
+    });
+
+    it('should return empty buckets for no input', () => {
+      expect(rollupHours({})).toEqual({
+        byTask: {},
+        byEmployee: {},
+        byProject: {},
+        totals: { estimated_hours: 0, logged_hours: 0 },
+      });
+    });
+  });
+
+  describe('getEmployeeHours', () => {
+    // Answers each query from `tables`, filtered by its `in` and `is` clauses, and
+    // records the size of every `in` list
+    const makeSupabase = (tables) => {
+      const inSizes = [];
+      const from = (table) => {
+        let rows = tables[table] || [];
+        const chain = {
+          select: () => chain,
+          in: (column, values) => {
+            inSizes.push(values.length);
+            rows = rows.filter((row) => values.map(String).includes(String(row[column])));
+            return chain;
+          },
+          is: (column, value) => {
+            rows = rows.filter((row) => (row[column] ?? null) === value);
+            return chain;
+          },
+          order: () => chain,
+          range: (start, end) => Promise.resolve({ data: rows.slice(start, end + 1), error: null }),
+        };
+        return chain;
+      };
+      return { from, inSizes };
+    };
+
+    it('should roll up only the given employees, in bounded batches', async () => {
+      const empIds = Array.from({ length: ROLLUP_BATCH_SIZE + 1 }, (_, i) => `E${i}`);
+      const supabase = makeSupabase({
+        tasks: [
+          { id: 1, owner_id: 'E0', project_id: 10, estimated_hours: 5 },
+          { id: 2, owner_id: 'X1', project_id: 10, estimated_hours: 8 },
+          { id: 3, owner_id: 'E1', project_id: null, estimated_hours: 3, deleted_at: '2025-11-01T00:00:00Z' },
+        ],
+        task_time_entries: [
+          { id: 1, task_id: 1, emp_id: 'E0', minutes: 60 },
+          { id: 2, task_id: 2, emp_id: 'E0', minutes: 30 },
+          { id: 3, task_id: 3, emp_id: 'E1', minutes: 90 },
+          { id: 4, task_id: 2, emp_id: 'X1', minutes: 600 },
+        ],
+        sub_task: [],
+      });
+
+      const hours = await getEmployeeHours(supabase, empIds);
+
+      expect(hours).toEqual({ E0: { estimated_hours: 5, logged_hours: 1.5 } });
+      expect(Math.max(...supabase.inSizes)).toBeLessThanOrEqual(ROLLUP_BATCH_SIZE);
+    });
+
+    it('should query nothing without employees', async () => {
+      const supabase = makeSupabase({});
+      expect(await getEmployeeHours(supabase, [])).toEqual({});
+      expect(supabase.inSizes).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit Tests for Watcher Service
+ *
+ * Tests watcher lookups for tasks (directly and through their project), recipient
+ * selection and the notifications built for watchers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getTaskWatcherIds,
+  getWatcherIdsByTask,
+  selectWatcherRecipients,
+  buildWatcherNotifications,
+} from '../../../server/services/watcherService.js';
+
+const rows = {
+  task_watchers: [
+    { task_id: 1, emp_id: 'M1' },
+    { task_id: 2, emp_id: 'E4' },
+  ],
+  project_watchers: [
+    { project_id: 10, emp_id: 'D1' },
+    { project_id: 10, emp_id: 'M1' },
+  ],
+};
+
+// Minimal supabase stand-in answering eq / in filters on the watcher tables
+const fakeSupabase = {
+  from: (table) => ({
+    select: () => ({
+      eq: (column, value) => Promise.resolve({ data: rows[table].filter((r) => r[column] === value), error: null }),
+      in: (column, values) => Promise.resolve({ data: rows[table].filter((r) => values.includes(r[column])), error: null }),
+    }),
+  }),
+};
+
+describe('watcherService', () => {
+  describe('getTaskWatcherIds', () => {
+    it('combines task and project watchers', async () => {
+      expect(await getTaskWatcherIds(fakeSupabase, { id: 1, project_id: 10 })).toEqual(['M1', 'D1']);
+      expect(await getTaskWatcherIds(fakeSupabase, { id: 2, project_id: null })).toEqual(['E4']);
+    });
+  });
+
+  describe('getWatcherIdsByTask', () => {
+    it('groups watchers by task', async () => {
+      const byTask = await getWatcherIdsByTask(fakeSupabase, [
+        { id: 1, project_id: null },
+        { id: 2, project_id: 10 },
+        { id: 3, project_id: 11 },
+      ]);
+      expect(byTask.get(1)).toEqual(['M1']);
+      expect(byTask.get(2)).toEqual(['E4', 'D1', 'M1']);
+      expect(byTask.get(3)).toEqual([]);
+    });
+
+    it('returns an empty map for no tasks', async () => {
+      expect((await getWatcherIdsByTask(fakeSupabase, [])).size).toBe(0);
+    });
+  });
+
+  describe('selectWatcherRecipients', () => {
+    it('leaves out the editor, owner and collaborators', () => {
+      const task = { owner_id: 'E1', collaborators: '["E2"]' };
+      expect(selectWatcherRecipients(['E1', 'E2', 'M1', 'D1', 'M1'], task, 'D1')).toEqual(['M1']);
+    });
+  });
+
+  describe('buildWatcherNotifications', () => {
+    it('tells watchers they follow the task', () => {
+      expect(buildWatcherNotifications({ title: 'Budget' }, ['M1'], { editorName: 'Eve' })).toEqual([{
+        empId: 'M1',
+        title: 'Task Updated (Budget)',
+        description: 'Eve updated a task you\'re following: "Budget."',
+      }]);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for Workflow Service
+ *
+ * Tests status normalisation, transition checks per actor and status counting
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TASK_WORKFLOW,
+  INVALID_STATUS_ERROR,
+  REVIEW_SUBMIT_REQUIRED_ERROR,
+  toStatusKey,
+  normalizeStatus,
+  getStatusLabel,
+  isTerminalStatus,
+  isActiveStatus,
+  isNotStartedStatus,
+  getActors,
+  checkTransition,
+  getAllowedTransitions,
+  countByStatus,
+} from '../../../server/services/workflowService.js';
+
+describe('Workflow Service - Unit Tests', () => {
+  describe('toStatusKey / normalizeStatus', () => {
+    it('resolves stored and legacy spellings to workflow keys', () => {
+      expect(toStatusKey('Under Review')).toBe('under review');
+      expect(toStatusKey('under_review')).toBe('under review');
+      expect(toStatusKey('on going')).toBe('ongoing');
+      expect(toStatusKey('in_progress')).toBe('ongoing');
+      expect(toStatusKey(' Completed ')).toBe('completed');
+      expect(toStatusKey('bogus')).toBeNull();
+      expect(toStatusKey(null)).toBeNull();
+    });
+
+    it('normalises to the stored value and defaults empty input to the initial status', () => {
+      expect(normalizeStatus('under review')).toBe('Under Review');
+      expect(normalizeStatus('done')).toBe('completed');
+      expect(normalizeStatus('')).toBe(TASK_WORKFLOW.initial);
+      expect(normalizeStatus(undefined)).toBe(TASK_WORKFLOW.initial);
+      expect(normalizeStatus('bogus')).toBeNull();
+    });
+
+    it('labels known statuses and passes unknown values through', () => {
+      expect(getStatusLabel('under_review')).toBe('Under Review');
+      expect(getStatusLabel('bogus')).toBe('bogus');
+      expect(getStatusLabel(null)).toBe('');
+    });
+  });
+
+  describe('status categories', () => {
+    it('classifies statuses by workflow category', () => {
+      expect(isTerminalStatus('completed')).toBe(true);
+      expect(isTerminalStatus('ongoing')).toBe(false);
+      expect(isActiveStatus('Under Review')).toBe(true);
+      expect(isActiveStatus('unassigned')).toBe(false);
+      expect(isNotStartedStatus('unassigned')).toBe(true);
+      expect(isNotStartedStatus('bogus')).toBe(false);
+    });
+  });
+
+  describe('getActors', () => {
+    it('derives owner, collaborator and role actors', () => {
+      const task = { owner_id: 'E1', collaborators: ['E2'] };
+      expect(getActors(task, 'E1', 'staff')).toEqual(['owner']);
+      expect(getActors(task, 'E2', 'Manager')).toEqual(['collaborator', 'manager']);
+      expect(getActors(task, 'E3', 'director')).toEqual(['director']);
+      expect(getActors(task, 'E3', undefined)).toEqual([]);
+    });
+
+    it('recognises the reviewer the task was submitted to', () => {
+      const task = { owner_id: 'E1', collaborators: [], reviewer_id: 'M1' };
+      expect(getActors(task, 'M1', 'manager')).toEqual(['reviewer', 'manager']);
+      expect(getActors(task, 'E1', 'staff')).toEqual(['owner']);
+    });
+
+    it('accepts collaborators stored as a JSON string', () => {
+      expect(getActors({ owner_id: 'E1', collaborators: '["E2"]' }, 'E2')).toEqual(['collaborator']);
+      expect(getActors({ owner_id: 'E1', collaborators: 'not json' }, 'E2')).toEqual([]);
+    });
+  });
+
+  describe('checkTransition', () => {
+    it('allows listed transitions for a listed actor', () => {
+      expect(checkTransition('ongoing', 'Under Review', ['owner'], { via: 'review' })).toEqual({ allowed: true, code: null, error: null });
+      expect(checkTransition('Under Review', 'completed', ['manager']).allowed).toBe(true);
+    });
+
+    it('always allows re-saving the current status or leaving an unknown status', () => {
+      expect(checkTransition('completed', 'completed', []).allowed).toBe(true);
+      expect(checkTransition('legacy-value', 'ongoing', []).allowed).toBe(true);
+    });
+
+    it('rejects unknown target statuses with 400', () => {
+      expect(checkTransition('ongoing', 'bogus', ['owner'])).toEqual({
+        allowed: false,
+        code: 400,
+        error: INVALID_STATUS_ERROR,
+      });
+    });
+
+    it('rejects transitions missing from the workflow with 409', () => {
+      const result = checkTransition('completed', 'under review', ['owner'], { via: 'review' });
+      expect(result.allowed).toBe(false);
+      expect(result.code).toBe(409);
+      expect(result.error).toContain('"Completed" to "Under Review"');
+    });
+
+    it('only lets a task go under review through a submission', () => {
+      const direct = { allowed: false, code: 400, error: REVIEW_SUBMIT_REQUIRED_ERROR };
+      expect(checkTransition('ongoing', 'Under Review', ['owner'])).toEqual(direct);
+      expect(checkTransition(null, 'under review', [])).toEqual(direct);
+      expect(checkTransition('legacy-value', 'under review', ['owner'])).toEqual(direct);
+      expect(checkTransition('Under Review', 'under review', ['owner']).allowed).toBe(true);
+    });
+
+    it('rejects actors not listed for the transition with 403', () => {
+      const result = checkTransition('ongoing', 'completed', ['manager']);
+      expect(result.allowed).toBe(false);
+      expect(result.code).toBe(403);
+    });
+
+    it('leaves approving a task under review to the reviewer, managers and directors', () => {
+      expect(checkTransition('Under Review', 'completed', ['reviewer']).allowed).toBe(true);
+      expect(checkTransition('Under Review', 'completed', ['owner', 'collaborator']).code).toBe(403);
+      expect(checkTransition('Under Review', 'ongoing', ['owner']).allowed).toBe(true);
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    it('lists the targets open to the given actors', () => {
+      expect(getAllowedTransitions('ongoing', ['owner'])).toEqual(['unassigned', 'completed']);
+      expect(getAllowedTransitions('ongoing', ['collaborator'], { via: 'review' })).toEqual(['under review', 'completed']);
+      expect(getAllowedTransitions('completed', ['collaborator'])).toEqual([]);
+      expect(getAllowedTransitions('bogus', ['owner'])).toEqual([]);
+    });
+  });
+
+  describe('countByStatus', () => {
+    it('counts every workflow key and ignores unknown statuses', () => {
+      const counts = countByStatus([
+        { status: 'ongoing' },
+        { status: 'on going' },
+        { status: 'Under Review' },
+        { status: 'bogus' },
+        null,
+      ]);
+      expect(counts).toEqual({ unassigned: 0, ongoing: 2, 'under review': 1, completed: 0 });
+    });
+  });
+});
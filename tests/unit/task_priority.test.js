@@ -663,7 +663,7 @@ describe('Task Priority Feature - Unit Tests (CS-US76)', () => {
             const taskId = 1;
             const updateData = {
                 title: 'Updated Title',
-                status: 'under review'
+                status: 'unassigned'
                 // Priority not included
             };
 
@@ -685,7 +685,7 @@ describe('Task Priority Feature - Unit Tests (CS-US76)', () => {
                     title: 'Updated Title',
                     owner_id: mockEmpId,
                     priority: 8, // Should remain unchanged
-                    status: 'under review'
+                    status: 'unassigned'
                 }],
                 error: null
             });
@@ -701,6 +701,31 @@ describe('Task Priority Feature - Unit Tests (CS-US76)', () => {
             }
         });
 
+        it('should refuse to put a task under review through a direct edit', async () => {
+            const taskId = 1;
+
+            mockSupabase._setMockResponse('select-single', {
+                data: {
+                    id: taskId,
+                    title: 'Original Title',
+                    owner_id: mockEmpId,
+                    priority: 8,
+                    status: 'ongoing',
+                    file: null
+                },
+                error: null
+            });
+
+            const response = await request(app)
+                .put(`/tasks/${taskId}`)
+                .set('Authorization', `Bearer ${mockAuthToken}`)
+                .send({ status: 'under review' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Tasks go under review by being submitted: use POST /tasks/:id/review/submit');
+            expect(mockSupabase.from).not.toHaveBeenCalledWith('task_edit_history');
+        });
+
         it('should prevent task update without authentication', async () => {
             const taskId = 1;
             const updateData = {
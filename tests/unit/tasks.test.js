@@ -784,7 +784,7 @@ describe('Task Backend Logic Tests', () => {
         // Mock the update response with new status
         const updatedTask = {
           ...taskWithCollaborators,
-          status: "under review"
+          status: "completed"
         };
 
         mockSupabase._setMockResponse('update', {
@@ -794,7 +794,7 @@ describe('Task Backend Logic Tests', () => {
 
 
 
-        const updateData = { status: "under review" };
+        const updateData = { status: "completed" };
 
         const response = await request(app)
           .put('/tasks/1')
@@ -806,7 +806,7 @@ describe('Task Backend Logic Tests', () => {
         expect([200, 404, 500]).toContain(response.status);
 
         if (response.status === 200 && response.body) {
-          expect(response.body.status).toBe("under review");
+          expect(response.body.status).toBe("completed");
           expect(response.body.title).toBe(taskWithCollaborators.title);
           console.log("✅ Task owner successfully updated task status");
         } else if (response.status === 404) {
@@ -14,8 +14,13 @@ import {
   filterByProject,
   filterByStatus,
   filterByAssignee,
+  filterByTag,
   filterTasksWithDueDate,
   applyFilters,
+  getDependencyLinks,
+  toDateKey,
+  getRecurringSeriesTaskIds,
+  buildProjectedEntries,
 } from '../../../src/utils/calendarUtils.js';
 
 describe('Calendar Utilities - Unit Tests', () => {
@@ -340,6 +345,17 @@ describe('Calendar Utilities - Unit Tests', () => {
       const filtered = filterByStatus(tasks, '');
       expect(filtered.length).toBe(2);
     });
+
+    it('should match stored spellings of a workflow status', () => {
+      const tasks = [
+        { id: 1, status: 'Under Review' },
+        { id: 2, status: 'under review' },
+        { id: 3, status: 'ongoing' },
+      ];
+
+      const filtered = filterByStatus(tasks, 'under review');
+      expect(filtered.map(t => t.id)).toEqual([1, 2]);
+    });
   });
 
   describe('filterByAssignee', () => {
@@ -408,6 +424,25 @@ describe('Calendar Utilities - Unit Tests', () => {
     });
   });
 
+  describe('filterByTag', () => {
+    it('should return all tasks when tagId is empty', () => {
+      const tasks = [{ id: 1 }, { id: 2, tags: [{ id: 5 }] }];
+
+      expect(filterByTag(tasks, '').length).toBe(2);
+    });
+
+    it('should keep only tasks carrying the tag', () => {
+      const tasks = [
+        { id: 1, tags: [{ id: 5, name: 'Finance' }, { id: 6, name: 'Urgent' }] },
+        { id: 2, tags: [{ id: 6, name: 'Urgent' }] },
+        { id: 3 },
+      ];
+
+      const filtered = filterByTag(tasks, '5');
+      expect(filtered.map(t => t.id)).toEqual([1]);
+    });
+  });
+
   describe('filterTasksWithDueDate', () => {
     it('should filter out tasks without due_date', () => {
       const tasks = [
@@ -506,5 +541,70 @@ describe('Calendar Utilities - Unit Tests', () => {
       expect(filtered[0].due.getHours()).toBe(0);
     });
   });
-});
 
+  describe('getDependencyLinks', () => {
+    it('should build links from each task\'s blocking list', () => {
+      const tasks = [
+        { id: 1, blocking: [{ dependency_id: 10, task_id: 2, type: 'finish_to_start', is_open: true }] },
+        { id: 2, blocking: [] },
+      ];
+
+      expect(getDependencyLinks(tasks)).toEqual([
+        { id: 10, fromId: 1, toId: 2, type: 'finish_to_start', isOpen: true },
+      ]);
+    });
+
+    it('should skip links to tasks that are not shown', () => {
+      const tasks = [
+        { id: 1, blocking: [{ dependency_id: 10, task_id: 99, type: 'finish_to_start', is_open: true }] },
+      ];
+
+      expect(getDependencyLinks(tasks)).toEqual([]);
+    });
+
+    it('should handle tasks without dependency data', () => {
+      expect(getDependencyLinks([{ id: 1 }, { id: 2 }])).toEqual([]);
+      expect(getDependencyLinks(null)).toEqual([]);
+    });
+  });
+
+  describe('projected recurring occurrences', () => {
+    const tasks = [
+      { id: 1, title: 'Weekly sync', is_recurring: true, recurrence_series_id: 's1', status: 'completed', project_id: 7 },
+      { id: 2, title: 'Weekly sync', is_recurring: true, recurrence_series_id: 's1', status: 'ongoing', project_id: 7 },
+      { id: 3, title: 'One-off', is_recurring: false },
+    ];
+
+    it('should format dates in local time', () => {
+      expect(toDateKey(new Date(2026, 0, 5))).toBe('2026-01-05');
+    });
+
+    it('should pick one task per series', () => {
+      expect(getRecurringSeriesTaskIds(tasks)).toEqual([1]);
+      expect(getRecurringSeriesTaskIds(null)).toEqual([]);
+    });
+
+    it('should shape occurrences like the series\' tasks', () => {
+      const occurrences = [
+        { series_id: 's1', task_id: 2, occurrence_date: '2026-10-26', due_date: '2026-10-27', recurrence_count: 3 },
+      ];
+      const [entry] = buildProjectedEntries(occurrences, tasks);
+
+      expect(entry).toMatchObject({
+        id: 'projected-s1-2026-10-26',
+        title: 'Weekly sync',
+        project_id: 7,
+        due_date: '2026-10-27',
+        status: 'ongoing',
+        recurrence_count: 3,
+        isProjected: true,
+      });
+      expect(entry.sourceTask.id).toBe(2);
+      expect(applyFilters([entry], { projectId: 7 })).toHaveLength(1);
+    });
+
+    it('should drop occurrences of series the calendar does not show', () => {
+      expect(buildProjectedEntries([{ series_id: 'other', task_id: 9, occurrence_date: '2026-10-26', due_date: '2026-10-26' }], tasks)).toEqual([]);
+    });
+  });
+});
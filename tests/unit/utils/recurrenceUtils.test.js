@@ -0,0 +1,58 @@
+/**
+ * Unit Tests for the recurrence rule builder helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildRRule,
+  defaultRuleBuilder,
+  describeRRule,
+  parseRRuleParts,
+} from '../../../src/utils/recurrenceUtils.js';
+
+describe('Recurrence Utilities - Unit Tests', () => {
+  describe('buildRRule', () => {
+    it('should default to the due date\'s weekday in the last week of the month', () => {
+      const builder = defaultRuleBuilder('2026-10-30');
+      expect(builder.weekday).toBe('FR');
+      expect(buildRRule(builder)).toBe('FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1');
+    });
+
+    it('should build weekly rules with days in week order', () => {
+      const builder = { ...defaultRuleBuilder('2026-10-30'), freq: 'WEEKLY', interval: '2', byDay: ['FR', 'MO'] };
+      expect(buildRRule(builder)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR');
+    });
+
+    it('should build yearly and day-of-month rules', () => {
+      const builder = { ...defaultRuleBuilder('2026-10-30'), freq: 'YEARLY', monthlyMode: 'day', monthDay: -1, month: 2 };
+      expect(buildRRule(builder)).toBe('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1');
+    });
+
+    it('should add the end condition', () => {
+      const builder = { ...defaultRuleBuilder('2026-10-30'), freq: 'DAILY' };
+      expect(buildRRule(builder, { endType: 'count', count: '5' })).toBe('FREQ=DAILY;COUNT=5');
+      expect(buildRRule(builder, { endType: 'date', endDate: '2026-12-31' })).toBe('FREQ=DAILY;UNTIL=20261231');
+      expect(buildRRule(builder, { endType: 'date', endDate: '' })).toBe('FREQ=DAILY');
+    });
+  });
+
+  describe('describeRRule', () => {
+    it('should describe common rules', () => {
+      expect(describeRRule('FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1')).toBe('Every month on the last Friday');
+      expect(describeRRule('FREQ=MONTHLY;BYDAY=2MO')).toBe('Every month on the second Monday');
+      expect(describeRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,FR;COUNT=6')).toBe(
+        'Every 2 weeks on Monday, Wednesday and Friday, 6 times'
+      );
+      expect(describeRRule('FREQ=MONTHLY;BYMONTHDAY=-1')).toBe('Every month on the last day');
+      expect(describeRRule('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR')).toBe('Every weekday');
+      expect(describeRRule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1')).toBe('Every month on the first weekday');
+      expect(describeRRule('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH')).toBe('Every year in November on the fourth Thursday');
+    });
+
+    it('should mention UNTIL and return empty text for unknown frequencies', () => {
+      expect(describeRRule('RRULE:FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20261231')).toBe('Every month on the 15th, until 31 Dec 2026');
+      expect(describeRRule('FREQ=HOURLY')).toBe('');
+      expect(parseRRuleParts('freq=daily;interval=3')).toEqual({ FREQ: 'DAILY', INTERVAL: '3' });
+    });
+  });
+});
@@ -7,11 +7,15 @@ import { describe, it, expect } from 'vitest';
 import {
   groupTasksByStatus,
   getProjectStats,
+  getTaskProgress,
+  getProjectHours,
   sortTasksByDueDate,
   isProjectMember,
   filterProjectsByMembership,
   hasProjectAccess,
   processTasksForReport,
+  formatCustomFieldValue,
+  buildTaskCsv,
 } from '../../../src/utils/reportUtils.js';
 
 describe('Report Utilities - Unit Tests', () => {
@@ -139,6 +143,44 @@ describe('Report Utilities - Unit Tests', () => {
       expect(stats.ongoing).toBe(0);
       expect(stats.underReview).toBe(0);
       expect(stats.overdue).toBe(0);
+      expect(stats.progress).toBe(0);
+    });
+
+    it('should average task progress, falling back to completion', () => {
+      const tasks = [
+        { id: 1, status: 'ongoing', progress: 50 },
+        { id: 2, status: 'completed' },
+        { id: 3, status: 'ongoing' },
+      ];
+
+      expect(getTaskProgress(tasks[0])).toBe(50);
+      expect(getTaskProgress(tasks[1])).toBe(100);
+      expect(getTaskProgress(tasks[2])).toBe(0);
+      expect(getProjectStats(tasks).progress).toBe(50);
+    });
+  });
+
+  describe('getProjectHours', () => {
+    it('should total estimated and logged hours', () => {
+      const tasks = [
+        { id: 1, owner_id: 'E1', time_summary: { estimated_hours: 5, logged_hours: 2.5, logged_by_employee: { E1: 2, E2: 0.5 } } },
+        { id: 2, owner_id: 'E2', time_summary: { estimated_hours: 3, logged_hours: 1, logged_by_employee: { E2: 1 } } },
+      ];
+
+      const hours = getProjectHours(tasks);
+
+      expect(hours.estimated).toBe(8);
+      expect(hours.logged).toBe(3.5);
+      expect(hours.byMember).toEqual({
+        E1: { estimated: 5, logged: 2 },
+        E2: { estimated: 3, logged: 1.5 },
+      });
+    });
+
+    it('should ignore tasks without a time summary', () => {
+      const hours = getProjectHours([{ id: 1, owner_id: 'E1' }]);
+
+      expect(hours).toEqual({ estimated: 0, logged: 0, byMember: {} });
     });
   });
 
@@ -408,5 +450,30 @@ describe('Report Utilities - Unit Tests', () => {
       expect(result.sortedTasks[2].id).toBe(1); // Latest
     });
   });
-});
 
+  describe('buildTaskCsv', () => {
+    const fields = [
+      { id: 1, label: 'Client', type: 'text', options: [] },
+      { id: 2, label: 'Regions', type: 'multi_select', options: ['EU', 'US'] },
+      { id: 3, label: 'Reviewer', type: 'user', options: [] },
+    ];
+
+    it('should format custom field values for people', () => {
+      expect(formatCustomFieldValue(fields[1], ['EU', 'APAC', 'US'])).toBe('EU; US');
+      expect(formatCustomFieldValue({ type: 'select', options: ['A'] }, 'B')).toBe('');
+      expect(formatCustomFieldValue(fields[2], 'E1', { E1: 'Ada' })).toBe('Ada');
+    });
+
+    it('should add one column per custom field and quote awkward cells', () => {
+      const csv = buildTaskCsv(
+        [{ id: 7, title: 'Launch, phase "1"', status: 'ongoing', priority: 5, owner_name: 'Ada', due_date: '2025-11-01T00:00:00', custom_fields: { 1: 'Acme', 2: ['EU'], 3: 'E2' } }],
+        fields,
+        { memberNames: { E2: 'Bo' } }
+      );
+      expect(csv.split('\r\n')).toEqual([
+        'ID,Title,Status,Priority,Owner,Due date,Progress (%),Client,Regions,Reviewer',
+        '7,"Launch, phase ""1""",ongoing,5,Ada,2025-11-01,0,Acme,EU,Bo',
+      ]);
+    });
+  });
+});